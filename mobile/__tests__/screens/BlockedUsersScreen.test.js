@@ -0,0 +1,38 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import api from '../../src/services/api';
+
+const blocked = [
+  { id: 'user-2', firstName: 'Alice', lastName: 'J.', profilePhotoUrl: null, blockedAt: '2026-01-15T12:00:00Z' },
+  { id: 'user-3', firstName: 'Bob', lastName: 'K.', profilePhotoUrl: null, blockedAt: '2026-02-01T12:00:00Z' },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getBlockedUsers.mockResolvedValue(blocked);
+  api.unblockUser.mockResolvedValue({ success: true, isBlocked: false });
+});
+
+describe('BlockedUsersScreen', () => {
+  it('lists blocked users', async () => {
+    const Screen = require('../../src/screens/BlockedUsersScreen').default;
+    const { findByText } = render(<Screen />);
+    await findByText('Alice J.');
+    await findByText('Bob K.');
+  });
+
+  it('shows an empty state', async () => {
+    api.getBlockedUsers.mockResolvedValue([]);
+    const Screen = require('../../src/screens/BlockedUsersScreen').default;
+    const { findByText } = render(<Screen />);
+    await findByText('No blocked users');
+  });
+
+  it('unblocks and removes the row', async () => {
+    const Screen = require('../../src/screens/BlockedUsersScreen').default;
+    const { findByTestId, queryByText } = render(<Screen />);
+    fireEvent.press(await findByTestId('BlockedUsers.button.unblock.user-2'));
+    await waitFor(() => { expect(api.unblockUser).toHaveBeenCalledWith('user-2'); });
+    await waitFor(() => { expect(queryByText('Alice J.')).toBeNull(); });
+  });
+});
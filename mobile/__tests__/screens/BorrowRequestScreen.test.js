@@ -48,4 +48,36 @@ describe('BorrowRequestScreen', () => {
     await act(async () => { fireEvent.press(getByText('Send Request')); });
     expect(api.createTransaction).toHaveBeenCalledWith(expect.objectContaining({ listingId: 'listing-1' }));
   });
+
+  it('bundle borrow calls api.borrowBundle instead of createTransaction', async () => {
+    api.borrowBundle.mockResolvedValue({ id: 'txn-2', freeRental: true });
+    const BorrowRequestScreen = require('../../src/screens/BorrowRequestScreen').default;
+    const bundleRoute = { params: { bundleId: 'bundle-1', listing: { ...listing, id: 'bundle-1', title: 'Camping Kit', listingType: 'lend' } } };
+    const { findByText, getByText } = render(<BorrowRequestScreen navigation={mockNavigation} route={bundleRoute} />);
+    await findByText('Camping Kit');
+    await act(async () => { fireEvent.press(getByText('Send Request')); });
+    expect(api.borrowBundle).toHaveBeenCalledWith('bundle-1', expect.objectContaining({ startDate: expect.any(String), endDate: expect.any(String) }));
+    expect(api.createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('waitlist mode joins the waitlist instead of requesting', async () => {
+    api.joinWaitlist.mockResolvedValue({ id: 'entry-1', status: 'waiting', position: 2 });
+    const BorrowRequestScreen = require('../../src/screens/BorrowRequestScreen').default;
+    const waitlistRoute = { params: { listing, waitlist: true } };
+    const { findByText, getByText } = render(<BorrowRequestScreen navigation={mockNavigation} route={waitlistRoute} />);
+    await findByText('Camera');
+    await act(async () => { fireEvent.press(getByText('Join Waitlist')); });
+    expect(api.joinWaitlist).toHaveBeenCalledWith('listing-1', expect.objectContaining({ startDate: expect.any(String), endDate: expect.any(String) }));
+    expect(api.createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('switches back to a request when the waitlisted dates are open', async () => {
+    api.joinWaitlist.mockRejectedValue(Object.assign(new Error('Those dates are open'), { code: 'DATES_AVAILABLE' }));
+    const BorrowRequestScreen = require('../../src/screens/BorrowRequestScreen').default;
+    const waitlistRoute = { params: { listing, waitlist: true } };
+    const { findByText, getByText } = render(<BorrowRequestScreen navigation={mockNavigation} route={waitlistRoute} />);
+    await findByText('Camera');
+    await act(async () => { fireEvent.press(getByText('Join Waitlist')); });
+    await findByText('Send Request');
+  });
 });
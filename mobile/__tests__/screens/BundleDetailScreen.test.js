@@ -0,0 +1,14 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
+jest.mock('../../src/context/AuthContext', () => ({ useAuth: () => ({ user: { id: 'user-1' } }) }));
+beforeEach(() => { jest.clearAllMocks(); });
+const bundle = { id: 'bundle-1', name: 'Camping Kit', description: 'Everything for a night out', isFree: false, pricePerDay: 20, depositAmount: 50, itemCount: 2, minDuration: 2, maxDuration: 7, visibility: 'neighborhood', isAvailable: true, owner: { id: 'user-2', firstName: 'Bob', lastName: 'S.' }, items: [{ id: 'l-1', title: 'Tent', photoUrl: 'https://test.com/tent.jpg', isAvailable: true }, { id: 'l-2', title: 'Stove', photoUrl: null, isAvailable: true }] };
+const renderScreen = (b) => { const S = require('../../src/screens/BundleDetailScreen').default; return render(<S navigation={mockNavigation} route={{ params: { bundleId: b.id, bundle: b } }} />); };
+describe('BundleDetailScreen', () => {
+  it('lists the items in the bundle', async () => { const { findByText } = renderScreen(bundle); await findByText('Tent'); await findByText('Stove'); await findByText('2 items · $20/day'); });
+  it('opens an item', async () => { const { findByText } = renderScreen(bundle); fireEvent.press(await findByText('Tent')); expect(mockNavigation.navigate).toHaveBeenCalledWith('ListingDetail', { id: 'l-1' }); });
+  it('opens BorrowRequest with the bundle', async () => { const { findByTestId } = renderScreen(bundle); fireEvent.press(await findByTestId('BundleDetail.button.borrow')); expect(mockNavigation.navigate).toHaveBeenCalledWith('BorrowRequest', expect.objectContaining({ bundleId: 'bundle-1', listing: expect.objectContaining({ title: 'Camping Kit', pricePerDay: 20, depositAmount: 50, minDuration: 2, maxDuration: 7 }) })); });
+  it('does not start a borrow when items are out', async () => { const { findByTestId, findByText } = renderScreen({ ...bundle, isAvailable: false, items: [{ ...bundle.items[0], isAvailable: false }, bundle.items[1]] }); fireEvent.press(await findByTestId('BundleDetail.button.borrow')); expect(mockNavigation.navigate).not.toHaveBeenCalled(); await findByText('Currently borrowed'); });
+  it('hides borrowing from the owner', async () => { const { queryByTestId, findByText } = renderScreen({ ...bundle, owner: undefined, isOwner: true }); await findByText('Tent'); expect(queryByTestId('BundleDetail.button.borrow')).toBeNull(); });
+});
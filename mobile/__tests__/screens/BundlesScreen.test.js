@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, waitFor } from '@testing-library/react-native';
+import { render, waitFor, fireEvent } from '@testing-library/react-native';
 import api from '../../src/services/api';
 const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
 jest.mock('../../src/context/AuthContext', () => ({ useAuth: () => ({ user: { id: 'user-1' } }) }));
@@ -11,3 +11,9 @@ describe('BundlesScreen', () => {
   it('renders bundles title', async () => { const S = require('../../src/screens/BundlesScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); await findByText('No Bundles Available'); });
   it('shows empty state', async () => { const S = require('../../src/screens/BundlesScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); await findByText(/Bundle items together/i); });
 });
+describe('BundlesScreen borrowing', () => {
+  const bundle = { id: 'bundle-1', name: 'Camping Kit', isFree: false, pricePerDay: 20, depositAmount: 50, itemCount: 2, minDuration: 2, maxDuration: 7, visibility: 'neighborhood', isAvailable: true, owner: { id: 'user-2', firstName: 'Bob', lastName: 'S.' }, items: [{ id: 'l-1', title: 'Tent', photoUrl: 'https://test.com/tent.jpg' }, { id: 'l-2', title: 'Stove', photoUrl: null }] };
+  it('shows bundle price', async () => { api.getBundles.mockResolvedValue([bundle]); const S = require('../../src/screens/BundlesScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); await findByText('$20/day'); });
+  it('opens the bundle', async () => { api.getBundles.mockResolvedValue([bundle]); const S = require('../../src/screens/BundlesScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); fireEvent.press(await findByText('Camping Kit')); expect(mockNavigation.navigate).toHaveBeenCalledWith('BundleDetail', { bundleId: 'bundle-1', bundle }); });
+  it('opens unavailable bundles too', async () => { api.getBundles.mockResolvedValue([{ ...bundle, isAvailable: false }]); const S = require('../../src/screens/BundlesScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); fireEvent.press(await findByText('Camping Kit')); expect(mockNavigation.navigate).toHaveBeenCalledWith('BundleDetail', expect.objectContaining({ bundleId: 'bundle-1' })); await findByText(/Some items are out/); });
+});
@@ -0,0 +1,42 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import api from '../../src/services/api';
+
+const sessions = [
+  { id: 'sess-1', deviceName: 'Kitchen iPad', platform: 'ios', createdAt: '2026-01-15T12:00:00Z', lastUsedAt: new Date().toISOString(), isCurrent: true },
+  { id: 'sess-2', deviceName: 'Old Pixel', platform: 'android', createdAt: '2026-02-01T12:00:00Z', lastUsedAt: '2026-02-03T12:00:00Z', isCurrent: false },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getSessions.mockResolvedValue(sessions);
+  api.revokeSession.mockResolvedValue({ success: true });
+  api.revokeOtherSessions.mockResolvedValue({ success: true, revoked: 1 });
+});
+
+describe('DevicesScreen', () => {
+  it('lists signed-in devices and marks the current one', async () => {
+    const Screen = require('../../src/screens/DevicesScreen').default;
+    const { findByText, queryByTestId } = render(<Screen />);
+    await findByText('Kitchen iPad');
+    await findByText('Old Pixel');
+    await findByText(/This device/);
+    expect(queryByTestId('Devices.button.revoke.sess-1')).toBeNull();
+  });
+
+  it('signs out another device', async () => {
+    const Screen = require('../../src/screens/DevicesScreen').default;
+    const { findByTestId, queryByText } = render(<Screen />);
+    fireEvent.press(await findByTestId('Devices.button.revoke.sess-2'));
+    await waitFor(() => { expect(api.revokeSession).toHaveBeenCalledWith('sess-2'); });
+    await waitFor(() => { expect(queryByText('Old Pixel')).toBeNull(); });
+  });
+
+  it('signs out all other devices', async () => {
+    const Screen = require('../../src/screens/DevicesScreen').default;
+    const { findByTestId, queryByText } = render(<Screen />);
+    fireEvent.press(await findByTestId('Devices.button.revokeOthers'));
+    await waitFor(() => { expect(api.revokeOtherSessions).toHaveBeenCalled(); });
+    await waitFor(() => { expect(queryByText('Old Pixel')).toBeNull(); });
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, waitFor } from '@testing-library/react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
 import api from '../../src/services/api';
 
 const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
@@ -24,9 +24,18 @@ const mockEarnings = {
   hasConnectAccount: true,
 };
 
+const mockTaxSummary = {
+  year: new Date().getFullYear(),
+  totals: { grossRentalIncome: 17500, platformFees: 525, lateFeeIncome: 40, damageIncome: 0, refunds: 0, netPayouts: 17015, payments: 170 },
+  reconciliation: { checked: true, matched: true, ledgerPayouts: 17015, stripeTransfers: 17015 },
+  reporting: { approaching: true, exceeded: false, warning: 'You\'re approaching the Form 1099-K reporting thresholds.' },
+};
+
 beforeEach(() => {
   jest.clearAllMocks();
   api.getEarnings.mockResolvedValue(mockEarnings);
+  api.getEarningsExport.mockResolvedValue(mockTaxSummary);
+  api.emailEarningsExport.mockResolvedValue({ success: true, sentTo: 'lender@example.com' });
 });
 
 describe('EarningsScreen', () => {
@@ -75,4 +84,24 @@ describe('EarningsScreen', () => {
     await findByText('No earnings yet');
     await findByText('No payouts yet');
   });
+
+  it('shows the tax summary with a reporting threshold warning', async () => {
+    const Screen = require('../../src/screens/EarningsScreen').default;
+    const { findByText, findByTestId } = render(<Screen navigation={mockNavigation} />);
+    await findByText('Tax Summary');
+    expect(api.getEarningsExport).toHaveBeenCalledWith(new Date().getFullYear());
+    expect((await findByTestId('Earnings.text.netPayouts')).props.children).toBe('$17015.00');
+    await findByText(/approaching the Form 1099-K/);
+  });
+
+  it('loads another tax year and emails the breakdown', async () => {
+    const lastYear = new Date().getFullYear() - 1;
+    const Screen = require('../../src/screens/EarningsScreen').default;
+    const { findByTestId, findByText } = render(<Screen navigation={mockNavigation} />);
+    fireEvent.press(await findByTestId(`Earnings.taxYear.${lastYear}`));
+    await waitFor(() => { expect(api.getEarningsExport).toHaveBeenCalledWith(lastYear); });
+    fireEvent.press(await findByTestId('Earnings.button.emailExport'));
+    await waitFor(() => { expect(api.emailEarningsExport).toHaveBeenCalledWith(lastYear); });
+    await findByText('Sent to lender@example.com');
+  });
 });
@@ -66,6 +66,25 @@ describe('FeedScreen', () => {
     expect(createBtns.length).toBeGreaterThan(0);
   });
 
+  it('loads the next page with the cursor from the last one', async () => {
+    const item = (id, title) => ({
+      id, type: 'listing', title, isFree: true, pricePerDay: 0, condition: 'good',
+      user: { id: 'user-2', firstName: 'Bob', lastName: 'Smith', profilePhotoUrl: null, isVerified: false, totalTransactions: 0 },
+      photoUrl: null, createdAt: new Date().toISOString(),
+    });
+    api.getFeed
+      .mockResolvedValueOnce({ items: [item('listing-1', 'Ladder')], hasMore: true, nextCursor: 'cursor-2' })
+      .mockResolvedValueOnce({ items: [item('listing-2', 'Tent')], hasMore: false, nextCursor: null });
+    const FeedScreen = require('../../src/screens/FeedScreen').default;
+    const { findByText, getByTestId } = render(<FeedScreen navigation={mockNavigation} />);
+    await findByText('Ladder');
+    expect(api.getFeed.mock.calls[0][0].cursor).toBeUndefined();
+
+    await act(async () => { fireEvent(getByTestId('Feed.list'), 'onEndReached'); });
+    await findByText('Tent');
+    expect(api.getFeed).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'cursor-2' }));
+  });
+
   it('tap listing navigates to ListingDetail', async () => {
     api.getFeed.mockResolvedValue({
       items: [{
@@ -82,4 +101,15 @@ describe('FeedScreen', () => {
     fireEvent.press(listing);
     expect(mockNavigation.navigate).toHaveBeenCalledWith('ListingDetail', expect.objectContaining({ id: 'listing-1' }));
   });
+
+  it('saves the current search', async () => {
+    api.createSavedSearch.mockResolvedValue({ id: 'search-1', name: 'ladder' });
+    const FeedScreen = require('../../src/screens/FeedScreen').default;
+    const { findByPlaceholderText, findByTestId } = render(<FeedScreen navigation={mockNavigation} />);
+    fireEvent.changeText(await findByPlaceholderText('Search...'), 'ladder');
+    fireEvent.press(await findByTestId('Feed.button.saveSearch'));
+    await waitFor(() => {
+      expect(api.createSavedSearch).toHaveBeenCalledWith({ query: 'ladder' });
+    });
+  });
 });
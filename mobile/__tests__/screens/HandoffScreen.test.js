@@ -0,0 +1,106 @@
+import React from 'react';
+import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { useCameraPermissions } from 'expo-camera';
+import api from '../../src/services/api';
+
+const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn() };
+
+jest.mock('../../src/context/ErrorContext', () => ({ useError: () => ({ showError: jest.fn(), showToast: jest.fn() }) }));
+
+const renderScreen = (params) => {
+  const Screen = require('../../src/screens/HandoffScreen').default;
+  return render(<Screen navigation={mockNavigation} route={{ params: { transactionId: 'txn-1', ...params } }} />);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getHandoffCode.mockResolvedValue({
+    type: 'pickup',
+    code: '482913',
+    qrPayload: 'bh-handoff:txn-1:pickup:nonce.1760000000.sig',
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+  });
+  api.uploadImages.mockResolvedValue(['https://test.s3.amazonaws.com/handoff.jpg']);
+  ImagePicker.launchCameraAsync.mockResolvedValue({ canceled: false, assets: [{ uri: 'file://photo.jpg' }] });
+});
+
+describe('HandoffScreen', () => {
+  it('shows the borrower a one-time code', async () => {
+    const { findByTestId } = renderScreen({ type: 'pickup', mode: 'show' });
+    expect((await findByTestId('Handoff.text.code')).props.children).toBe('482913');
+    expect(api.getHandoffCode).toHaveBeenCalledWith('txn-1', 'pickup');
+  });
+
+  it('shows the code as a QR for the lender to scan', async () => {
+    const { findByTestId } = renderScreen({ type: 'pickup', mode: 'show' });
+    const qr = await findByTestId('Handoff.qr');
+    expect(qr.findByType('QRCode').props.value).toBe('bh-handoff:txn-1:pickup:nonce.1760000000.sig');
+  });
+
+  it('gets a fresh code on request', async () => {
+    const { findByTestId } = renderScreen({ type: 'return', mode: 'show' });
+    await findByTestId('Handoff.text.code');
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.refresh')); });
+    expect(api.getHandoffCode).toHaveBeenCalledTimes(2);
+  });
+
+  it('needs a code and a photo before the lender can verify', async () => {
+    const { findByTestId } = renderScreen({ type: 'pickup', mode: 'verify' });
+    fireEvent.changeText(await findByTestId('Handoff.input.code'), '482913');
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.verify')); });
+    expect(api.confirmRentalPickup).not.toHaveBeenCalled();
+  });
+
+  it('sends a scanned QR code as the handoff code', async () => {
+    useCameraPermissions.mockReturnValue([{ granted: true }, jest.fn()]);
+    api.confirmRentalPickup.mockResolvedValue({ success: true, verified: true });
+    const { findByTestId } = renderScreen({ type: 'pickup', mode: 'verify' });
+
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.scan')); });
+    fireEvent(await findByTestId('Handoff.camera'), 'barcodeScanned', { data: 'bh-handoff:txn-1:pickup:nonce.1760000000.sig' });
+    await findByTestId('Handoff.text.scanned');
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.takePhoto')); });
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.verify')); });
+
+    await waitFor(() => { expect(api.confirmRentalPickup).toHaveBeenCalled(); });
+    const handoff = api.confirmRentalPickup.mock.calls[0][3];
+    expect(handoff.handoffCode).toBe('bh-handoff:txn-1:pickup:nonce.1760000000.sig');
+  });
+
+  it('sends the code with timestamped condition photos', async () => {
+    api.confirmRentalReturn.mockResolvedValue({ success: true, conditionDegraded: false, verified: true });
+    const { findByTestId } = renderScreen({ type: 'return', mode: 'verify', conditionAtPickup: 'good' });
+
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.takePhoto')); });
+    fireEvent.changeText(await findByTestId('Handoff.input.code'), '482913');
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.verify')); });
+
+    await waitFor(() => { expect(api.confirmRentalReturn).toHaveBeenCalled(); });
+    expect(api.uploadImages).toHaveBeenCalledWith(['file://photo.jpg'], 'handoffs');
+    const [id, condition, , , handoff] = api.confirmRentalReturn.mock.calls[0];
+    expect(id).toBe('txn-1');
+    expect(condition).toBe('good');
+    expect(handoff.handoffCode).toBe('482913');
+    expect(handoff.photos[0]).toEqual({ url: 'https://test.s3.amazonaws.com/handoff.jpg', takenAt: expect.any(String) });
+    expect(mockNavigation.goBack).toHaveBeenCalled();
+  });
+
+  it('confirms without a code but still needs a photo', async () => {
+    api.confirmRentalPickup.mockResolvedValue({ success: true, verified: false });
+    const { findByTestId, queryByTestId } = renderScreen({ type: 'pickup', mode: 'confirm' });
+
+    expect(queryByTestId('Handoff.input.code')).toBeNull();
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.verify')); });
+    expect(api.confirmRentalPickup).not.toHaveBeenCalled();
+
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.takePhoto')); });
+    await act(async () => { fireEvent.press(await findByTestId('Handoff.button.verify')); });
+
+    await waitFor(() => { expect(api.confirmRentalPickup).toHaveBeenCalled(); });
+    const handoff = api.confirmRentalPickup.mock.calls[0][3];
+    expect(handoff.unverified).toBe(true);
+    expect(handoff.handoffCode).toBeUndefined();
+    expect(handoff.photos).toHaveLength(1);
+  });
+});
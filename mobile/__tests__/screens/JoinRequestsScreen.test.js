@@ -0,0 +1,64 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import api from '../../src/services/api';
+const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
+jest.mock('../../src/context/ErrorContext', () => ({ useError: () => ({ showError: jest.fn(), showToast: jest.fn() }) }));
+
+const requests = [
+  {
+    id: 'req-1',
+    status: 'pending',
+    createdAt: '2026-03-01T12:00:00Z',
+    answers: [{ questionId: 'q1', question: 'Which street do you live on?', answer: 'Maple Street' }],
+    user: { id: 'user-2', firstName: 'Priya', lastName: 'S.', isVerified: true, rating: 4.8, ratingCount: 3, hasFriendInCommunity: true },
+  },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getJoinRequests.mockResolvedValue(requests);
+  api.approveJoinRequest.mockResolvedValue({ success: true, status: 'approved' });
+  api.denyJoinRequest.mockResolvedValue({ success: true, status: 'denied' });
+});
+
+describe('JoinRequestsScreen', () => {
+  const route = { params: { id: 'comm-1' } };
+
+  it('lists pending requests with their answers', async () => {
+    const Screen = require('../../src/screens/JoinRequestsScreen').default;
+    const { findByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    await findByText('Priya S.');
+    await findByText('Maple Street');
+    await findByText('Friends with a member');
+    expect(api.getJoinRequests).toHaveBeenCalledWith('comm-1');
+  });
+
+  it('approves a request with a message', async () => {
+    const Screen = require('../../src/screens/JoinRequestsScreen').default;
+    const { findByTestId, getByPlaceholderText, getByText, queryByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('JoinRequests.button.approve.req-1'));
+    fireEvent.changeText(getByPlaceholderText(/Welcome to the neighborhood/), 'Glad to have you!');
+    fireEvent.press(getByText('Approve Request'));
+    await waitFor(() => {
+      expect(api.approveJoinRequest).toHaveBeenCalledWith('comm-1', 'req-1', 'Glad to have you!');
+    });
+    await waitFor(() => expect(queryByText('Maple Street')).toBeNull());
+  });
+
+  it('declines a request', async () => {
+    const Screen = require('../../src/screens/JoinRequestsScreen').default;
+    const { findByTestId, getByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('JoinRequests.button.deny.req-1'));
+    fireEvent.press(getByText('Decline Request'));
+    await waitFor(() => {
+      expect(api.denyJoinRequest).toHaveBeenCalledWith('comm-1', 'req-1', undefined);
+    });
+  });
+
+  it('shows an empty state', async () => {
+    api.getJoinRequests.mockResolvedValue([]);
+    const Screen = require('../../src/screens/JoinRequestsScreen').default;
+    const { findByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    await findByText('No pending requests');
+  });
+});
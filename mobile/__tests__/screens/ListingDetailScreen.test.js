@@ -75,4 +75,24 @@ describe('ListingDetailScreen', () => {
     await findByText('Camping Tent');
     expect(queryByText('Request to Borrow')).toBeNull();
   });
+
+  it('offers the waitlist when the item is out', async () => {
+    api.getListing.mockResolvedValue({ ...mockListing, isAvailable: false, status: 'active', waitlist: { count: 2, entry: null } });
+    const ListingDetailScreen = require('../../src/screens/ListingDetailScreen').default;
+    const { findByText, queryByText } = render(<ListingDetailScreen navigation={mockNavigation} route={route} />);
+    const joinBtn = await findByText('Join Waitlist');
+    expect(queryByText('Request to Borrow')).toBeNull();
+    await act(async () => { fireEvent.press(joinBtn); });
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('BorrowRequest', expect.objectContaining({ waitlist: true }));
+  });
+
+  it('lets the next person in line claim an offer with their dates', async () => {
+    const entry = { status: 'offered', position: 1, startDate: '2030-06-01', endDate: '2030-06-04', offerExpiresAt: '2030-05-20T12:00:00Z' };
+    api.getListing.mockResolvedValue({ ...mockListing, status: 'active', waitlist: { count: 1, entry } });
+    const ListingDetailScreen = require('../../src/screens/ListingDetailScreen').default;
+    const { findByText } = render(<ListingDetailScreen navigation={mockNavigation} route={route} />);
+    const claimBtn = await findByText('Claim Now');
+    await act(async () => { fireEvent.press(claimBtn); });
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('BorrowRequest', expect.objectContaining({ startDate: '2030-06-01', endDate: '2030-06-04' }));
+  });
 });
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import * as Location from 'expo-location';
+import api from '../../src/services/api';
+jest.mock('../../src/context/ErrorContext', () => ({ useError: () => ({ showError: jest.fn(), showToast: jest.fn() }) }));
+
+const emptyBoundary = {
+  type: 'Feature',
+  geometry: null,
+  properties: { id: 'comm-1', name: 'Maple Street', slug: 'maple-street', scopeToBoundary: false, areaSqMiles: null },
+};
+
+const savedBoundary = {
+  type: 'Feature',
+  geometry: { type: 'Polygon', coordinates: [[[-71.07, 42.36], [-71.06, 42.36], [-71.06, 42.37], [-71.07, 42.36]]] },
+  properties: { id: 'comm-1', name: 'Maple Street', slug: 'maple-street', scopeToBoundary: true, areaSqMiles: 0.42 },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getCommunityBoundary.mockResolvedValue(emptyBoundary);
+  api.setCommunityBoundary.mockResolvedValue({ success: true, areaSqMiles: 0.42 });
+  api.clearCommunityBoundary.mockResolvedValue({ success: true });
+});
+
+describe('NeighborhoodBoundaryScreen', () => {
+  const route = { params: { id: 'comm-1' } };
+
+  it('explains city matching when no boundary is set', async () => {
+    const Screen = require('../../src/screens/NeighborhoodBoundaryScreen').default;
+    const { findByText } = render(<Screen route={route} />);
+    await findByText('No boundary');
+    expect(api.getCommunityBoundary).toHaveBeenCalledWith('comm-1');
+  });
+
+  it('saves a boundary walked from the current location', async () => {
+    const corners = [[42.36, -71.07], [42.36, -71.06], [42.37, -71.06]];
+    corners.forEach(([latitude, longitude]) => {
+      Location.getCurrentPositionAsync.mockResolvedValueOnce({ coords: { latitude, longitude } });
+    });
+
+    const Screen = require('../../src/screens/NeighborhoodBoundaryScreen').default;
+    const { findByTestId, findByText } = render(<Screen route={route} />);
+    const addCorner = await findByTestId('NeighborhoodBoundary.button.addCorner');
+    for (let i = 1; i <= 3; i++) {
+      fireEvent.press(addCorner);
+      await findByText(`Corner ${i}`);
+    }
+
+    fireEvent.press(await findByText('Save 3-Corner Boundary'));
+    await waitFor(() => {
+      expect(api.setCommunityBoundary).toHaveBeenCalledWith(
+        'comm-1',
+        { type: 'Polygon', coordinates: [[[-71.07, 42.36], [-71.06, 42.36], [-71.06, 42.37]]] },
+        false
+      );
+    });
+  });
+
+  it('imports pasted GeoJSON', async () => {
+    const Screen = require('../../src/screens/NeighborhoodBoundaryScreen').default;
+    const { findByPlaceholderText, getByText } = render(<Screen route={route} />);
+    fireEvent.changeText(await findByPlaceholderText(/"type": "Polygon"/), JSON.stringify(savedBoundary));
+    fireEvent.press(getByText('Import Boundary'));
+    await waitFor(() => {
+      expect(api.setCommunityBoundary).toHaveBeenCalledWith('comm-1', savedBoundary, false);
+    });
+  });
+
+  it('shows the saved boundary with export and remove options', async () => {
+    api.getCommunityBoundary.mockResolvedValue(savedBoundary);
+    const Screen = require('../../src/screens/NeighborhoodBoundaryScreen').default;
+    const { findByText, getByText } = render(<Screen route={route} />);
+    await findByText('Boundary set');
+    getByText(/0.42 sq mi/);
+    getByText('Export GeoJSON');
+    getByText('Remove Boundary');
+  });
+});
@@ -9,5 +9,7 @@ describe('NotificationSettingsScreen', () => {
   it('fetches preferences on mount', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; render(<S navigation={mockNavigation} />); await waitFor(() => { expect(api.getNotificationPreferences).toHaveBeenCalled(); }); });
   it('renders notification categories', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); await findByText(/Borrowing/i); });
   it('renders toggle switches', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; const { getAllByText } = render(<S navigation={mockNavigation} />); await waitFor(() => { expect(getAllByText(/Borrow Request/i).length).toBeGreaterThan(0); }); });
+  it('switches a whole email group', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; const { findByTestId } = render(<S navigation={mockNavigation} />); fireEvent(await findByTestId('NotificationSettings.switch.email.disputes'), 'valueChange', false); await waitFor(() => { expect(api.updateNotificationPreferences).toHaveBeenCalledWith({ emailTypes: { dispute_filed_against_you: false, dispute_resolved: false } }); }); });
+  it('picks a digest frequency', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; const { findByTestId } = render(<S navigation={mockNavigation} />); fireEvent.press(await findByTestId('NotificationSettings.digest.weekly')); await waitFor(() => { expect(api.updateNotificationPreferences).toHaveBeenCalledWith({ emailDigest: 'weekly' }); }); });
   it('renders community section', async () => { const S = require('../../src/screens/NotificationSettingsScreen').default; const { getAllByText } = render(<S navigation={mockNavigation} />); await waitFor(() => { expect(getAllByText(/Community/i).length).toBeGreaterThan(0); }); });
 });
@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import api from '../../src/services/api';
+
+const receipt = {
+  receiptNumber: 'BH-TXN12345',
+  transactionId: 'txn-123',
+  role: 'borrower',
+  status: 'completed',
+  item: { id: 'listing-1', title: 'Cordless Drill' },
+  borrower: { id: 'user-1', name: 'Sam Lee' },
+  lender: { id: 'user-2', name: 'Jordan Park' },
+  period: { start: '2026-03-01', end: '2026-03-04', returnedAt: '2026-03-05T12:00:00Z', days: 3 },
+  lineItems: [
+    { type: 'rental_fee', label: 'Rental fee (3 days x $10.00)', amount: 30, memo: false },
+    { type: 'deposit', label: 'Security deposit (refundable)', amount: 50, memo: false },
+    { type: 'late_fee', label: 'Late fee (kept from deposit)', amount: 5, memo: true },
+    { type: 'deposit_return', label: 'Deposit returned', amount: -45, memo: false },
+  ],
+  total: 35,
+  totalLabel: 'Total paid',
+  depositHolds: [],
+  activity: [
+    { label: 'Payment captured', amount: 80, status: 'succeeded', date: '2026-03-01T12:00:00Z' },
+  ],
+};
+
+const renderScreen = () => {
+  const Screen = require('../../src/screens/ReceiptScreen').default;
+  return render(<Screen route={{ params: { transactionId: 'txn-123' } }} />);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getReceipt.mockResolvedValue(receipt);
+  api.emailReceipt.mockResolvedValue({ success: true, sentTo: 'sam@example.com' });
+});
+
+describe('ReceiptScreen', () => {
+  it('shows the itemized line items and total', async () => {
+    const { findByText, getByText, getByTestId } = renderScreen();
+    await findByText('Receipt BH-TXN12345');
+    expect(api.getReceipt).toHaveBeenCalledWith('txn-123');
+    getByText('Rental fee (3 days x $10.00)');
+    getByText('($5.00)');
+    getByText('-$45.00');
+    expect(getByTestId('Receipt.text.total').props.children).toBe('$35.00');
+  });
+
+  it('emails the receipt', async () => {
+    const { findByTestId, findByText } = renderScreen();
+    fireEvent.press(await findByTestId('Receipt.button.email'));
+    await waitFor(() => { expect(api.emailReceipt).toHaveBeenCalledWith('txn-123'); });
+    await findByText('Sent to sam@example.com');
+  });
+
+  it('shows an error when the receipt cannot load', async () => {
+    api.getReceipt.mockRejectedValue(new Error('Transaction not found'));
+    const { findByText } = renderScreen();
+    await findByText('Transaction not found');
+  });
+});
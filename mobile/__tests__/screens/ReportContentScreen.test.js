@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import api from '../../src/services/api';
+
+jest.mock('../../src/context/AuthContext', () => ({ useAuth: () => ({ user: { id: 'user-1' } }) }));
+
+const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.createReport.mockResolvedValue({ id: 'report-1', status: 'open' });
+  api.uploadImages.mockResolvedValue([]);
+});
+
+describe('ReportContentScreen', () => {
+  const route = { params: { targetType: 'listing', targetId: 'listing-1', targetLabel: 'Circular Saw' } };
+
+  it('renders reasons including prohibited item for listings', () => {
+    const ReportContentScreen = require('../../src/screens/ReportContentScreen').default;
+    const { getByText } = render(<ReportContentScreen navigation={mockNavigation} route={route} />);
+    expect(getByText('Scam or Fraud')).toBeTruthy();
+    expect(getByText('Prohibited Item')).toBeTruthy();
+  });
+
+  it('hides prohibited item for messages', () => {
+    const ReportContentScreen = require('../../src/screens/ReportContentScreen').default;
+    const { queryByText } = render(
+      <ReportContentScreen navigation={mockNavigation} route={{ params: { targetType: 'message', targetId: 'msg-1' } }} />
+    );
+    expect(queryByText('Prohibited Item')).toBeNull();
+  });
+
+  it('requires a reason before submitting', async () => {
+    const ReportContentScreen = require('../../src/screens/ReportContentScreen').default;
+    const { getByTestId, getByText } = render(<ReportContentScreen navigation={mockNavigation} route={route} />);
+    await act(async () => { fireEvent.press(getByTestId('ReportContent.button.submit')); });
+    expect(api.createReport).not.toHaveBeenCalled();
+    expect(getByText('Choose a reason for your report.')).toBeTruthy();
+  });
+
+  it('submits the report with the chosen reason', async () => {
+    const ReportContentScreen = require('../../src/screens/ReportContentScreen').default;
+    const { getByTestId, getByText } = render(<ReportContentScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(getByTestId('ReportContent.picker.scam'));
+    fireEvent.changeText(getByTestId('ReportContent.input.details'), 'Asked me to pay by wire transfer');
+    await act(async () => { fireEvent.press(getByTestId('ReportContent.button.submit')); });
+    expect(api.createReport).toHaveBeenCalledWith(expect.objectContaining({
+      targetType: 'listing',
+      targetId: 'listing-1',
+      reason: 'scam',
+    }));
+    expect(getByText('Thanks for Letting Us Know')).toBeTruthy();
+  });
+
+  it('requires details for "something else"', async () => {
+    const ReportContentScreen = require('../../src/screens/ReportContentScreen').default;
+    const { getByTestId } = render(<ReportContentScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(getByTestId('ReportContent.picker.other'));
+    await act(async () => { fireEvent.press(getByTestId('ReportContent.button.submit')); });
+    expect(api.createReport).not.toHaveBeenCalled();
+  });
+});
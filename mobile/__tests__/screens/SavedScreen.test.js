@@ -24,8 +24,15 @@ jest.mock('../../src/context/ErrorContext', () => ({
 beforeEach(() => {
   jest.clearAllMocks();
   api.getSavedListings.mockResolvedValue([]);
+  api.getSavedSearches.mockResolvedValue([]);
 });
 
+const mockSearch = {
+  id: 'search-1', name: 'ladder', query: 'ladder', categoryId: null, categoryName: null,
+  maxPrice: 10, listingType: null, radiusMiles: 5, visibility: ['close_friends', 'neighborhood', 'town'],
+  alertFrequency: 'instant', matchCount: 3, newMatchCount: 2, createdAt: new Date().toISOString(),
+};
+
 describe('SavedScreen', () => {
   it('displays saved listings', async () => {
     api.getSavedListings.mockResolvedValue([{
@@ -83,4 +90,44 @@ describe('SavedScreen', () => {
     const { findByText } = render(<SavedScreen navigation={mockNavigation} />);
     await findByText('Drill');
   });
+
+  it('shows saved searches with match counts', async () => {
+    api.getSavedSearches.mockResolvedValue([mockSearch]);
+    const SavedScreen = require('../../src/screens/SavedScreen').default;
+    const { findByText, getByText } = render(<SavedScreen navigation={mockNavigation} />);
+    fireEvent.press(await findByText('Searches'));
+    await findByText('ladder');
+    expect(getByText('2 new')).toBeTruthy();
+    expect(getByText('Up to $10/day · Within 5 mi')).toBeTruthy();
+    expect(getByText('3 matches · Instant alerts')).toBeTruthy();
+  });
+
+  it('opens a saved search to show its matches', async () => {
+    api.getSavedSearches.mockResolvedValue([mockSearch]);
+    api.getSavedSearchListings.mockResolvedValue([{
+      id: 'listing-3', title: 'Step Ladder', photoUrl: null, isFree: true, pricePerDay: null, isNew: true,
+      owner: { id: 'user-2', firstName: 'Bob', lastName: 'S.', profilePhotoUrl: null, rating: 0 },
+    }]);
+    const SavedScreen = require('../../src/screens/SavedScreen').default;
+    const { findByText, getByText } = render(<SavedScreen navigation={mockNavigation} />);
+    fireEvent.press(await findByText('Searches'));
+    fireEvent.press(await findByText('ladder'));
+    await findByText('Step Ladder');
+    expect(api.getSavedSearchListings).toHaveBeenCalledWith('search-1');
+    expect(getByText('New')).toBeTruthy();
+  });
+
+  it('changes how often a saved search alerts', async () => {
+    api.getSavedSearches.mockResolvedValue([mockSearch]);
+    api.updateSavedSearch.mockResolvedValue({ ...mockSearch, alertFrequency: 'daily' });
+    const SavedScreen = require('../../src/screens/SavedScreen').default;
+    const { findByText, findByLabelText } = render(<SavedScreen navigation={mockNavigation} />);
+    fireEvent.press(await findByText('Searches'));
+    fireEvent.press(await findByLabelText('Options for ladder'));
+    fireEvent.press(await findByText('Switch to daily digest'));
+    await waitFor(() => {
+      expect(api.updateSavedSearch).toHaveBeenCalledWith('search-1', { alertFrequency: 'daily' });
+    });
+    await findByText('3 matches · Daily digest');
+  });
 });
@@ -1,5 +1,6 @@
 import React from 'react';
-import { render, waitFor } from '@testing-library/react-native';
+import { render, waitFor, fireEvent } from '@testing-library/react-native';
+import { Share } from 'react-native';
 import api from '../../src/services/api';
 const mockNavigation = { navigate: jest.fn(), goBack: jest.fn(), setOptions: jest.fn(), addListener: jest.fn(() => jest.fn()), getParent: () => ({ setOptions: jest.fn() }), dispatch: jest.fn(), canGoBack: () => true };
 jest.mock('../../src/context/AuthContext', () => ({ useAuth: () => ({ user: { id: 'user-1' } }) }));
@@ -9,4 +10,6 @@ describe('SustainabilityScreen', () => {
   it('fetches stats on mount', async () => { const S = require('../../src/screens/SustainabilityScreen').default; render(<S navigation={mockNavigation} />); await waitFor(() => { expect(api.getSustainabilityStats).toHaveBeenCalled(); }); });
   it('fetches community stats', async () => { const S = require('../../src/screens/SustainabilityScreen').default; render(<S navigation={mockNavigation} />); await waitFor(() => { expect(api.getCommunitySustainability).toHaveBeenCalled(); }); });
   it('renders impact title', async () => { const S = require('../../src/screens/SustainabilityScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); await findByText('Your Impact'); });
+  it('shows the latest community report without sharing for members', async () => { api.getCommunitySustainability.mockResolvedValue({ communityId: 'c-1', name: 'Test Community', isOrganizer: false }); api.getCommunityImpactReports.mockResolvedValue({ reports: [{ month: '2026-09', co2SavedKg: 60, moneySaved: 390, borrows: 4, giveaways: 2 }] }); const S = require('../../src/screens/SustainabilityScreen').default; const { findByText, queryByText } = render(<S navigation={mockNavigation} />); await findByText(/4 borrows and 2 giveaways saved/); expect(api.getCommunityImpactReports).toHaveBeenCalledWith('c-1'); expect(queryByText('Share Report')).toBeNull(); });
+  it('lets organizers share the report link', async () => { const shareSpy = jest.spyOn(Share, 'share').mockResolvedValue({}); api.getCommunitySustainability.mockResolvedValue({ communityId: 'c-1', name: 'Test Community', isOrganizer: true }); api.getCommunityImpactReports.mockResolvedValue({ reports: [{ month: '2026-09', co2SavedKg: 60, moneySaved: 390, borrows: 4, giveaways: 2 }] }); api.shareCommunityImpactReport.mockResolvedValue({ month: '2026-09', co2SavedKg: 60, moneySaved: 390, borrows: 4, giveaways: 2, shareUrl: 'https://api.test/r/abc' }); const S = require('../../src/screens/SustainabilityScreen').default; const { findByText } = render(<S navigation={mockNavigation} />); fireEvent.press(await findByText('Share Report')); await waitFor(() => { expect(api.shareCommunityImpactReport).toHaveBeenCalledWith('c-1', '2026-09'); }); await waitFor(() => { expect(shareSpy).toHaveBeenCalledWith({ message: expect.stringContaining('https://api.test/r/abc') }); }); shareSpy.mockRestore(); });
 });
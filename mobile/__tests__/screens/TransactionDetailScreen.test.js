@@ -20,7 +20,11 @@ const mockTransaction = {
   createdAt: new Date().toISOString(),
 };
 
-beforeEach(() => { jest.clearAllMocks(); api.getTransaction.mockResolvedValue(mockTransaction); });
+beforeEach(() => {
+  jest.clearAllMocks();
+  api.getTransaction.mockResolvedValue(mockTransaction);
+  api.getTransactionTimeline.mockResolvedValue({ events: [] });
+});
 
 describe('TransactionDetailScreen', () => {
   const route = { params: { id: 'txn-1' } };
@@ -62,6 +66,133 @@ describe('TransactionDetailScreen', () => {
     expect(api.approveRental).toHaveBeenCalledWith('txn-1');
   });
 
+  it('shows accrued late fees on an overdue rental', async () => {
+    api.getTransaction.mockResolvedValue({
+      ...mockTransaction, status: 'picked_up', rentalFee: 35, depositAmount: 50,
+      endDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+      lateFeeAccrued: 15, lateFeeCharged: 10,
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText('This item is overdue');
+    await findByText(/Late fees so far: \$15\.00/);
+    await findByText(/\$10\.00 taken from the deposit/);
+  });
+
+  it('shows when a long rental\'s deposit hold could not be renewed', async () => {
+    api.getTransaction.mockResolvedValue({
+      ...mockTransaction, status: 'picked_up', rentalDays: 14, rentalFee: 70, depositAmount: 100,
+      paymentHold: {
+        id: 'hold-1', purpose: 'deposit', status: 'held', amount: 100,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), renewalFailed: true,
+      },
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText(/Hold couldn't be renewed/);
+  });
+
+  it('links to the itemized receipt once the rental is under way', async () => {
+    api.getTransaction.mockResolvedValue({ ...mockTransaction, status: 'returned', rentalFee: 30, depositAmount: 50 });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByTestId } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('Transaction.button.receipt'));
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Receipt', { transactionId: 'txn-1' });
+  });
+
+  it('sends the lender to verify the pickup in person', async () => {
+    api.getTransaction.mockResolvedValue({ ...mockTransaction, status: 'paid', isBorrower: false, isLender: true, depositAmount: 50 });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByTestId } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('Transaction.button.handoff.pickup'));
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Handoff', expect.objectContaining({
+      transactionId: 'txn-1', type: 'pickup', mode: 'verify',
+    }));
+  });
+
+  it('sends the borrower to take condition photos when confirming pickup without a code', async () => {
+    api.getTransaction.mockResolvedValue({ ...mockTransaction, status: 'paid', depositAmount: 50 });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByTestId } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('Transaction.button.confirmPickup'));
+    expect(api.confirmRentalPickup).not.toHaveBeenCalled();
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Handoff', expect.objectContaining({
+      transactionId: 'txn-1', type: 'pickup', mode: 'confirm',
+    }));
+  });
+
+  it('lets the lender set each bundle item\'s condition for the handoff', async () => {
+    api.getTransaction.mockResolvedValue({
+      ...mockTransaction, status: 'paid', isBorrower: false, isLender: true,
+      bundle: { id: 'b-1', name: 'Camping Kit', items: [
+        { listingId: 'l-1', title: 'Tent', conditionAtPickup: null, conditionAtReturn: null },
+        { listingId: 'l-2', title: 'Stove', conditionAtPickup: null, conditionAtReturn: null },
+      ] },
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByTestId, findByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText('Items in Camping Kit');
+    fireEvent.press(await findByTestId('Transaction.itemCondition.l-2.fair'));
+    fireEvent.press(await findByTestId('Transaction.button.handoff.pickup'));
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Handoff', expect.objectContaining({
+      type: 'pickup', itemConditions: [{ listingId: 'l-2', condition: 'fair' }],
+    }));
+  });
+
+  it('shows recorded bundle item conditions to the borrower', async () => {
+    api.getTransaction.mockResolvedValue({
+      ...mockTransaction, status: 'picked_up',
+      bundle: { id: 'b-1', name: 'Camping Kit', items: [
+        { listingId: 'l-1', title: 'Tent', conditionAtPickup: 'good', conditionAtReturn: null },
+      ] },
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText('Picked up Good');
+  });
+
+  it('shows condition photos from a verified pickup', async () => {
+    api.getTransaction.mockResolvedValue({
+      ...mockTransaction, status: 'picked_up',
+      handoff: {
+        pickup: { verifiedAt: new Date().toISOString(), photos: [{ url: 'https://test.com/p1.jpg', takenAt: new Date().toISOString() }] },
+        return: { verifiedAt: null, photos: [] },
+      },
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByText, findByTestId } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText('Pickup Verified');
+    await findByText(/1 condition photo$/);
+    fireEvent.press(await findByTestId('Transaction.button.handoff.return'));
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Handoff', expect.objectContaining({ type: 'return', mode: 'show' }));
+  });
+
+  it('lets the lender verify a return the borrower has already marked', async () => {
+    api.getTransaction.mockResolvedValue({ ...mockTransaction, status: 'returned', isBorrower: false, isLender: true, depositAmount: 50 });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByTestId } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('Transaction.button.handoff.return'));
+    expect(mockNavigation.navigate).toHaveBeenCalledWith('Handoff', expect.objectContaining({ type: 'return', mode: 'verify' }));
+  });
+
+  it('lists the transaction history with who made each change', async () => {
+    api.getTransactionTimeline.mockResolvedValue({
+      events: [
+        { id: 'e1', type: 'created', label: 'Request sent', actor: { id: 'user-1', role: 'borrower', name: 'Test User' }, createdAt: new Date().toISOString() },
+        { id: 'e2', type: 'status_changed', label: 'Request approved', actor: { id: 'user-2', role: 'lender', name: 'Alice Jones' }, createdAt: new Date().toISOString() },
+        { id: 'e3', type: 'payment_status_changed', label: 'Payment captured', actor: { id: null, role: 'stripe', name: null }, createdAt: new Date().toISOString() },
+      ],
+    });
+    const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
+    const { findByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
+    await findByText('History');
+    await findByText('Request approved');
+    await findByText(/· You$/);
+    await findByText(/· Alice Jones$/);
+    await findByText(/· Payment processor$/);
+    expect(api.getTransactionTimeline).toHaveBeenCalledWith('txn-1');
+  });
+
   it('displays other party info', async () => {
     const TransactionDetailScreen = require('../../src/screens/TransactionDetailScreen').default;
     const { findAllByText } = render(<TransactionDetailScreen navigation={mockNavigation} route={route} />);
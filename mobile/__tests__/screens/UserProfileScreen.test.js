@@ -40,4 +40,22 @@ describe('UserProfileScreen', () => {
     // User with 15 transactions = Outlaw tier (11-30)
     await findByText('Outlaw');
   });
+  it('blocks the user after confirming', async () => {
+    api.blockUser.mockResolvedValue({ success: true, isBlocked: true });
+    const Screen = require('../../src/screens/UserProfileScreen').default;
+    const { findByTestId, findByText, getAllByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    fireEvent.press(await findByTestId('UserProfile.button.block'));
+    // The sheet's confirm action renders after the profile link of the same name
+    const blockLabels = getAllByText('Block');
+    fireEvent.press(blockLabels[blockLabels.length - 1]);
+    await waitFor(() => { expect(api.blockUser).toHaveBeenCalledWith('user-2'); });
+    await findByText('Unblock');
+  });
+  it('shows the blocked state instead of friend actions', async () => {
+    api.getUser.mockResolvedValue({ ...mockProfile, isBlocked: true });
+    const Screen = require('../../src/screens/UserProfileScreen').default;
+    const { findByText, queryByText } = render(<Screen navigation={mockNavigation} route={route} />);
+    await findByText('Unblock');
+    expect(queryByText(/Add Friend/i)).toBeNull();
+  });
 });
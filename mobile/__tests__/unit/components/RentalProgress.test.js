@@ -0,0 +1,61 @@
+import React from 'react';
+import { render } from '@testing-library/react-native';
+
+const event = (toStatus, createdAt) => ({ type: 'status_changed', toStatus, createdAt });
+
+describe('RentalProgress', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('falls back to the current status without history', () => {
+    const RentalProgress = require('../../../src/components/RentalProgress').default;
+    const { UNSAFE_queryAllByProps, queryByTestId } = render(
+      <RentalProgress status="picked_up" isBorrower />
+    );
+    expect(UNSAFE_queryAllByProps({ name: 'checkmark' })).toHaveLength(2);
+    expect(queryByTestId('RentalProgress.date.requested')).toBeNull();
+  });
+
+  it('dates each step from the history', () => {
+    const RentalProgress = require('../../../src/components/RentalProgress').default;
+    const events = [
+      { type: 'created', toStatus: 'pending', createdAt: '2026-03-02T15:00:00Z' },
+      event('paid', '2026-03-04T15:00:00Z'),
+      event('picked_up', '2026-03-06T15:00:00Z'),
+    ];
+    const { getByTestId, queryByTestId } = render(
+      <RentalProgress status="picked_up" isBorrower events={events} />
+    );
+    expect(getByTestId('RentalProgress.date.requested').props.children).toBe('Mar 2');
+    expect(getByTestId('RentalProgress.date.approved').props.children).toBe('Mar 4');
+    expect(getByTestId('RentalProgress.date.pickup').props.children).toBe('Mar 6');
+    expect(queryByTestId('RentalProgress.date.returned')).toBeNull();
+  });
+
+  it('marks where a cancelled rental stopped', () => {
+    const RentalProgress = require('../../../src/components/RentalProgress').default;
+    const events = [
+      { type: 'created', toStatus: 'pending', createdAt: '2026-03-02T15:00:00Z' },
+      event('paid', '2026-03-04T15:00:00Z'),
+      event('cancelled', '2026-03-05T15:00:00Z'),
+    ];
+    const { UNSAFE_queryAllByProps } = render(
+      <RentalProgress status="cancelled" isBorrower events={events} />
+    );
+    // Request and approval happened; the X sits on the pickup that never did
+    expect(UNSAFE_queryAllByProps({ name: 'checkmark' })).toHaveLength(2);
+    expect(UNSAFE_queryAllByProps({ name: 'close' })).toHaveLength(1);
+  });
+
+  it('marks a declined request on the approval step', () => {
+    const RentalProgress = require('../../../src/components/RentalProgress').default;
+    const events = [
+      { type: 'created', toStatus: 'pending', createdAt: '2026-03-02T15:00:00Z' },
+      event('cancelled', '2026-03-03T15:00:00Z'),
+    ];
+    const { UNSAFE_queryAllByProps } = render(
+      <RentalProgress status="cancelled" isBorrower={false} events={events} />
+    );
+    expect(UNSAFE_queryAllByProps({ name: 'checkmark' })).toHaveLength(1);
+    expect(UNSAFE_queryAllByProps({ name: 'close' })).toHaveLength(1);
+  });
+});
@@ -115,6 +115,36 @@ describe('AuthContext', () => {
     expect(result.current.isAuthenticated).toBe(false);
   });
 
+  it('logout revokes the session on the server', async () => {
+    SecureStore.getItemAsync.mockResolvedValue('stored-token');
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await waitFor(() => { expect(result.current.isAuthenticated).toBe(true); });
+    await act(async () => {
+      await result.current.logout();
+    });
+    expect(api.logout).toHaveBeenCalled();
+    expect(api.setRefreshToken).toHaveBeenCalledWith(null);
+  });
+
+  it('persists rotated tokens and signs out when the session expires', async () => {
+    SecureStore.getItemAsync.mockResolvedValue('stored-token');
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await waitFor(() => { expect(result.current.isAuthenticated).toBe(true); });
+    expect(api.setRefreshToken).toHaveBeenCalledWith('stored-token');
+
+    const handlers = api.setSessionHandlers.mock.calls[0][0];
+    await act(async () => {
+      await handlers.onTokensRefreshed({ accessToken: 'new-access', refreshToken: 'new-refresh' });
+    });
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('accessToken', 'new-access');
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('refreshToken', 'new-refresh');
+
+    await act(async () => {
+      await handlers.onSessionExpired();
+    });
+    expect(result.current.isAuthenticated).toBe(false);
+  });
+
   it('refreshUser calls api.getMe and updates user', async () => {
     SecureStore.getItemAsync.mockResolvedValue('stored-token');
     const { result } = renderHook(() => useAuth(), { wrapper });
@@ -120,6 +120,7 @@ jest.mock('expo-location', () => ({
   getCurrentPositionAsync: jest.fn().mockResolvedValue({ coords: { latitude: 42.36, longitude: -71.06 } }),
   reverseGeocodeAsync: jest.fn().mockResolvedValue([{ city: 'Boston', region: 'MA' }]),
   geocodeAsync: jest.fn().mockResolvedValue([{ latitude: 42.36, longitude: -71.06 }]),
+  Accuracy: { Balanced: 3, High: 4 },
 }));
 
 jest.mock('expo-contacts', () => ({
@@ -175,9 +176,12 @@ jest.mock('expo-crypto', () => ({
 
 jest.mock('expo-camera', () => ({
   Camera: 'Camera',
+  CameraView: 'CameraView',
   useCameraPermissions: jest.fn(() => [{ granted: false }, jest.fn()]),
 }));
 
+jest.mock('react-native-qrcode-svg', () => 'QRCode');
+
 jest.mock('expo-web-browser', () => ({
   openBrowserAsync: jest.fn(),
 }));
@@ -358,11 +362,17 @@ jest.mock('./src/services/api', () => ({
   __esModule: true,
   default: {
     setAuthToken: jest.fn(),
+    setRefreshToken: jest.fn(),
+    setSessionHandlers: jest.fn(),
     // Auth
     login: jest.fn(),
     register: jest.fn(),
     getMe: jest.fn(),
     forgotPassword: jest.fn(),
+    logout: jest.fn(),
+    getSessions: jest.fn(),
+    revokeSession: jest.fn(),
+    revokeOtherSessions: jest.fn(),
     resetPassword: jest.fn(),
     loginWithGoogle: jest.fn(),
     loginWithApple: jest.fn(),
@@ -372,17 +382,32 @@ jest.mock('./src/services/api', () => ({
     getFriends: jest.fn().mockResolvedValue([]),
     addFriend: jest.fn(),
     removeFriend: jest.fn(),
+    getBlockedUsers: jest.fn().mockResolvedValue([]),
+    blockUser: jest.fn(),
+    unblockUser: jest.fn(),
     getFriendRequests: jest.fn().mockResolvedValue([]),
     acceptFriendRequest: jest.fn(),
     declineFriendRequest: jest.fn(),
     searchUsers: jest.fn().mockResolvedValue([]),
     matchContacts: jest.fn().mockResolvedValue([]),
     getUserRatings: jest.fn().mockResolvedValue([]),
+    getUserReputation: jest.fn(),
     getUserListings: jest.fn().mockResolvedValue([]),
     // Communities
     getCommunities: jest.fn().mockResolvedValue([]),
     getCommunity: jest.fn(),
     joinCommunity: jest.fn(),
+    cancelJoinRequest: jest.fn(),
+    getJoinRequests: jest.fn(),
+    approveJoinRequest: jest.fn(),
+    denyJoinRequest: jest.fn(),
+    getCommunityInvite: jest.fn(),
+    getCommunityInvites: jest.fn(),
+    createCommunityInvite: jest.fn(),
+    revokeCommunityInvite: jest.fn(),
+    getCommunityBoundary: jest.fn(),
+    setCommunityBoundary: jest.fn(),
+    clearCommunityBoundary: jest.fn(),
     leaveCommunity: jest.fn(),
     getCommunityMembers: jest.fn().mockResolvedValue([]),
     createCommunity: jest.fn(),
@@ -390,6 +415,10 @@ jest.mock('./src/services/api', () => ({
     getListings: jest.fn().mockResolvedValue([]),
     getMyListings: jest.fn().mockResolvedValue([]),
     getListing: jest.fn(),
+    getListingCalendar: jest.fn(),
+    joinWaitlist: jest.fn(),
+    getWaitlist: jest.fn().mockResolvedValue({ count: 0, entry: null }),
+    leaveWaitlist: jest.fn(),
     createListing: jest.fn(),
     updateListing: jest.fn(),
     deleteListing: jest.fn(),
@@ -404,6 +433,10 @@ jest.mock('./src/services/api', () => ({
     confirmPickup: jest.fn(),
     confirmReturn: jest.fn(),
     rateTransaction: jest.fn(),
+    getReceipt: jest.fn(),
+    getHandoffCode: jest.fn(),
+    getTransactionTimeline: jest.fn().mockResolvedValue({ events: [] }),
+    emailReceipt: jest.fn(),
     // Notifications
     getNotifications: jest.fn().mockResolvedValue({ notifications: [], unreadCount: 0 }),
     markNotificationRead: jest.fn(),
@@ -427,6 +460,12 @@ jest.mock('./src/services/api', () => ({
     saveListing: jest.fn(),
     unsaveListing: jest.fn(),
     checkSaved: jest.fn().mockResolvedValue({ saved: false }),
+    getSavedSearches: jest.fn().mockResolvedValue([]),
+    createSavedSearch: jest.fn(),
+    updateSavedSearch: jest.fn(),
+    deleteSavedSearch: jest.fn(),
+    getSavedSearchListings: jest.fn().mockResolvedValue([]),
+    search: jest.fn().mockResolvedValue({ query: '', didYouMean: null }),
     // Feed
     getFeed: jest.fn().mockResolvedValue({ items: [], hasMore: false }),
     // Categories
@@ -490,6 +529,9 @@ jest.mock('./src/services/api', () => ({
     getSustainabilityStats: jest.fn().mockResolvedValue({ itemsBorrowed: 0, itemsLent: 0, co2Saved: 0, moneySaved: 0 }),
     getSustainabilityCommunity: jest.fn().mockResolvedValue({ totalItems: 0, totalTransactions: 0 }),
     getCommunitySustainability: jest.fn().mockResolvedValue({ name: 'Community', memberCount: 0, totalTransactions: 0, totalSavedCents: 0, totalCo2SavedKg: 0 }),
+    getCommunityImpactReports: jest.fn().mockResolvedValue({ reports: [], isOrganizer: false }),
+    getCommunityImpactReport: jest.fn().mockResolvedValue({}),
+    shareCommunityImpactReport: jest.fn().mockResolvedValue({ shareUrl: null }),
     getBadges: jest.fn().mockResolvedValue([]),
     getAllBadges: jest.fn().mockResolvedValue([]),
     getMyBadges: jest.fn().mockResolvedValue([]),
@@ -501,6 +543,7 @@ jest.mock('./src/services/api', () => ({
     getMyBundles: jest.fn().mockResolvedValue([]),
     createBundle: jest.fn(),
     deleteBundle: jest.fn(),
+    borrowBundle: jest.fn(),
     getCircles: jest.fn().mockResolvedValue([]),
     getCircle: jest.fn(),
     createCircle: jest.fn(),
@@ -541,8 +584,16 @@ jest.mock('./src/services/api', () => ({
     // Dispute extras
     submitDisputeEvidence: jest.fn(),
     addDisputeEvidence: jest.fn(),
+    // Reports
+    createReport: jest.fn(),
+    getMyReports: jest.fn().mockResolvedValue([]),
+    getReports: jest.fn().mockResolvedValue([]),
+    getReport: jest.fn(),
+    resolveReport: jest.fn(),
     // Earnings
     getEarnings: jest.fn().mockResolvedValue({ balance: { available: 0 }, stats: { totalEarned: 0, totalRentals: 0, averagePerRental: 0, activeRentals: 0 }, recentTransactions: [], payouts: [], hasConnectAccount: true }),
+    getEarningsExport: jest.fn().mockResolvedValue({ year: 2026, totals: { grossRentalIncome: 0, platformFees: 0, lateFeeIncome: 0, damageIncome: 0, refunds: 0, netPayouts: 0, payments: 0 }, reconciliation: { checked: false }, reporting: { warning: null } }),
+    emailEarningsExport: jest.fn(),
     // Cancel rental
     cancelRental: jest.fn(),
     // Find account
@@ -550,6 +601,18 @@ jest.mock('./src/services/api', () => ({
   },
 }));
 
+jest.mock('./src/services/realtime', () => ({
+  __esModule: true,
+  default: {
+    setToken: jest.fn(),
+    updateToken: jest.fn(),
+    subscribe: jest.fn(() => jest.fn()),
+    onStatusChange: jest.fn(() => jest.fn()),
+    isConnected: jest.fn(() => false),
+    sendTyping: jest.fn(),
+  },
+}));
+
 jest.mock('./src/utils/haptics', () => ({
   haptics: {
     light: jest.fn(),
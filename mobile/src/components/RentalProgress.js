@@ -41,12 +41,37 @@ function getActiveStep(status, isGiveaway) {
   }
 }
 
-export default function RentalProgress({ status, isBorrower, isGiveaway }) {
-  const activeStep = getActiveStep(status, isGiveaway);
-  const isCancelled = status === 'cancelled' || status === 'disputed';
+// Furthest step the transaction actually reached, and when it first got to each one
+function getHistorySteps(events, isGiveaway) {
+  const reachedAt = [];
+  let reached = -1;
+  events.forEach((event) => {
+    const step = getActiveStep(event.toStatus, isGiveaway);
+    for (let i = 0; i <= step; i++) {
+      if (!reachedAt[i]) reachedAt[i] = event.createdAt;
+    }
+    reached = Math.max(reached, step);
+  });
+  return { reached, reachedAt };
+}
+
+const formatStepDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+export default function RentalProgress({ status, isBorrower, isGiveaway, events }) {
+  const isCancelled = status === 'cancelled' || status === 'declined' || status === 'disputed';
   const steps = isGiveaway
     ? (isBorrower ? GIVEAWAY_RECIPIENT_STEPS : GIVEAWAY_GIVER_STEPS)
     : (isBorrower ? BORROWER_STEPS : LENDER_STEPS);
+  const history = events?.length ? getHistorySteps(events, isGiveaway) : null;
+
+  let activeStep = getActiveStep(status, isGiveaway);
+  if (history && isCancelled) {
+    // A cancelled request stops short of the next step; a dispute stops where it was raised
+    activeStep = status === 'disputed'
+      ? history.reached
+      : Math.min(history.reached + 1, steps.length - 1);
+  }
 
   const elements = [];
   steps.forEach((step, index) => {
@@ -55,7 +80,7 @@ export default function RentalProgress({ status, isBorrower, isGiveaway }) {
     const isFuture = index > activeStep;
 
     if (index > 0) {
-      const connectorDone = (isComplete || isActive) && !isCancelled;
+      const connectorDone = isComplete || (isActive && !isCancelled);
       elements.push(
         <View
           key={`c-${index}`}
@@ -97,20 +122,27 @@ export default function RentalProgress({ status, isBorrower, isGiveaway }) {
         {steps.map((step, index) => {
           const isComplete = index < activeStep;
           const isActive = index === activeStep;
+          const reachedAt = history?.reachedAt[index];
 
           return (
-            <Text
-              key={step.key}
-              style={[
-                styles.label,
-                isComplete && styles.labelComplete,
-                isActive && !isCancelled && styles.labelActive,
-                isCancelled && isActive && styles.labelCancelled,
-              ]}
-              numberOfLines={1}
-            >
-              {step.label}
-            </Text>
+            <View key={step.key} style={styles.labelColumn}>
+              <Text
+                style={[
+                  styles.label,
+                  isComplete && styles.labelComplete,
+                  isActive && !isCancelled && styles.labelActive,
+                  isCancelled && isActive && styles.labelCancelled,
+                ]}
+                numberOfLines={1}
+              >
+                {step.label}
+              </Text>
+              {reachedAt && (isComplete || isActive) ? (
+                <Text style={styles.stepDate} testID={`RentalProgress.date.${step.key}`}>
+                  {formatStepDate(reachedAt)}
+                </Text>
+              ) : null}
+            </View>
           );
         })}
       </View>
@@ -172,12 +204,20 @@ const styles = StyleSheet.create({
     marginTop: SPACING.xs,
     marginHorizontal: SPACING.md,
   },
-  label: {
+  labelColumn: {
     flex: 1,
+    alignItems: 'center',
+  },
+  label: {
     textAlign: 'center',
     fontSize: 10,
     color: COLORS.gray[500],
   },
+  stepDate: {
+    fontSize: 9,
+    color: COLORS.gray[500],
+    marginTop: 1,
+  },
   labelComplete: {
     color: COLORS.primary,
   },
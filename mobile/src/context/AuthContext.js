@@ -14,6 +14,15 @@ export function AuthProvider({ children, navigationRef }) {
   usePushNotifications(isAuthenticated, user);
 
   useEffect(() => {
+    // api.js refreshes expired access tokens on its own; keep the stored pair in sync
+    // and sign out once the server rejects the refresh token
+    api.setSessionHandlers({
+      onTokensRefreshed: async ({ accessToken, refreshToken }) => {
+        await SecureStore.setItemAsync('accessToken', accessToken);
+        await SecureStore.setItemAsync('refreshToken', refreshToken);
+      },
+      onSessionExpired: () => clearSession(),
+    });
     checkAuth();
   }, []);
 
@@ -22,6 +31,7 @@ export function AuthProvider({ children, navigationRef }) {
       const token = await SecureStore.getItemAsync('accessToken');
       if (token) {
         api.setAuthToken(token);
+        api.setRefreshToken(await SecureStore.getItemAsync('refreshToken'));
         const userData = await api.getMe();
         setUser(userData);
         setIsAuthenticated(true);
@@ -30,18 +40,32 @@ export function AuthProvider({ children, navigationRef }) {
       console.log('Auth check failed:', error);
       // Only logout on auth errors (401), not network failures
       if (error?.status === 401) {
-        await logout();
+        await clearSession();
       }
     } finally {
       setIsLoading(false);
     }
   };
 
+  const storeSession = async ({ accessToken, refreshToken }) => {
+    await SecureStore.setItemAsync('accessToken', accessToken);
+    await SecureStore.setItemAsync('refreshToken', refreshToken);
+    api.setAuthToken(accessToken);
+    api.setRefreshToken(refreshToken);
+  };
+
+  const clearSession = async () => {
+    await SecureStore.deleteItemAsync('accessToken');
+    await SecureStore.deleteItemAsync('refreshToken');
+    api.setAuthToken(null);
+    api.setRefreshToken(null);
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
   const login = async (email, password) => {
     const response = await api.login(email, password);
-    await SecureStore.setItemAsync('accessToken', response.accessToken);
-    await SecureStore.setItemAsync('refreshToken', response.refreshToken);
-    api.setAuthToken(response.accessToken);
+    await storeSession(response);
     setUser(response.user);
     setIsAuthenticated(true);
     // Fetch full user profile in background (login response has limited fields)
@@ -51,9 +75,7 @@ export function AuthProvider({ children, navigationRef }) {
 
   const register = async (data) => {
     const response = await api.register(data);
-    await SecureStore.setItemAsync('accessToken', response.accessToken);
-    await SecureStore.setItemAsync('refreshToken', response.refreshToken);
-    api.setAuthToken(response.accessToken);
+    await storeSession(response);
     setUser(response.user);
     setIsAuthenticated(true);
     return response.user;
@@ -61,9 +83,7 @@ export function AuthProvider({ children, navigationRef }) {
 
   const loginWithGoogle = async (idToken) => {
     const response = await api.loginWithGoogle(idToken);
-    await SecureStore.setItemAsync('accessToken', response.accessToken);
-    await SecureStore.setItemAsync('refreshToken', response.refreshToken);
-    api.setAuthToken(response.accessToken);
+    await storeSession(response);
     setUser(response.user);
     setIsAuthenticated(true);
     api.getMe().then(full => setUser(full)).catch(() => {});
@@ -72,21 +92,21 @@ export function AuthProvider({ children, navigationRef }) {
 
   const loginWithApple = async (identityToken, fullName) => {
     const response = await api.loginWithApple(identityToken, fullName);
-    await SecureStore.setItemAsync('accessToken', response.accessToken);
-    await SecureStore.setItemAsync('refreshToken', response.refreshToken);
-    api.setAuthToken(response.accessToken);
+    await storeSession(response);
     setUser(response.user);
     setIsAuthenticated(true);
     api.getMe().then(full => setUser(full)).catch(() => {});
     return response.user;
   };
 
+  // Revoke this device's session on the server, then forget the tokens locally
   const logout = async () => {
-    await SecureStore.deleteItemAsync('accessToken');
-    await SecureStore.deleteItemAsync('refreshToken');
-    api.setAuthToken(null);
-    setUser(null);
-    setIsAuthenticated(false);
+    try {
+      await api.logout();
+    } catch {
+      // Offline or already expired — signing out locally is enough
+    }
+    await clearSession();
   };
 
   const refreshUser = async () => {
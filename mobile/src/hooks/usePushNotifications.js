@@ -165,6 +165,9 @@ function handleNotificationResponse(data) {
     case 'giveaway_complete':
     case 'payment_confirmed':
     case 'return_reminder':
+    case 'rental_overdue':
+    case 'rental_overdue_lender':
+    case 'late_fee_charged':
       if (data.transactionId) {
         navigationRef.navigate('TransactionDetail', { id: data.transactionId });
       }
@@ -182,6 +185,7 @@ function handleNotificationResponse(data) {
       break;
 
     case 'item_match':
+    case 'content_removed':
       if (data.listingId) {
         navigationRef.navigate('ListingDetail', { id: data.listingId });
       }
@@ -203,6 +207,7 @@ function handleNotificationResponse(data) {
     case 'dispute_opened':
     case 'dispute_resolved':
     case 'dispute_auto_advanced':
+    case 'overdue_dispute_opened':
       if (data.disputeId) {
         navigationRef.navigate('DisputeDetail', { id: data.disputeId });
       }
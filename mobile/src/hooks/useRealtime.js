@@ -0,0 +1,40 @@
+import { useState, useEffect, useRef } from 'react';
+import realtime from '../services/realtime';
+
+// Subscribe to a realtime event for the lifetime of the component.
+// The latest handler is always used, so callers don't need to memoize it.
+export function useRealtimeEvent(type, handler) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    return realtime.subscribe(type, (data) => handlerRef.current?.(data));
+  }, [type]);
+}
+
+// Whether the realtime socket is currently connected
+export function useRealtimeStatus() {
+  const [connected, setConnected] = useState(realtime.isConnected());
+
+  useEffect(() => {
+    setConnected(realtime.isConnected());
+    return realtime.onStatusChange(setConnected);
+  }, []);
+
+  return connected;
+}
+
+// Run `callback` every `intervalMs` only while the realtime socket is down
+export function usePollingFallback(callback, intervalMs, enabled = true) {
+  const connected = useRealtimeStatus();
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (!enabled || connected) return;
+    const interval = setInterval(() => callbackRef.current?.(), intervalMs);
+    return () => clearInterval(interval);
+  }, [connected, enabled, intervalMs]);
+
+  return connected;
+}
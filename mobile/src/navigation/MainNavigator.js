@@ -2,6 +2,7 @@ import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { useState, useEffect, useCallback } from 'react';
 import { COLORS } from '../utils/config';
 import api from '../services/api';
+import { useRealtimeEvent, usePollingFallback } from '../hooks/useRealtime';
 import BlurTabBar from '../components/BlurTabBar';
 
 import FeedScreen from '../screens/FeedScreen';
@@ -24,12 +25,14 @@ export default function MainNavigator() {
     }
   }, []);
 
-  // Fetch on mount and periodically
+  // Counts are pushed over the realtime socket; poll only while it's down
+  useRealtimeEvent('badge_count', setBadgeCounts);
+  const realtimeConnected = usePollingFallback(fetchBadgeCount, 30000);
+
+  // Fetch on mount and whenever the socket (re)connects, to catch anything missed
   useEffect(() => {
     fetchBadgeCount();
-    const interval = setInterval(fetchBadgeCount, 30000);
-    return () => clearInterval(interval);
-  }, [fetchBadgeCount]);
+  }, [fetchBadgeCount, realtimeConnected]);
 
   return (
     <Tab.Navigator
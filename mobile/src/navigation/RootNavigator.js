@@ -36,8 +36,11 @@ import EditRequestScreen from '../screens/EditRequestScreen';
 import ListingDiscussionScreen from '../screens/ListingDiscussionScreen';
 import SubscriptionScreen from '../screens/SubscriptionScreen';
 import BundlesScreen from '../screens/BundlesScreen';
+import BundleDetailScreen from '../screens/BundleDetailScreen';
 import JoinCommunityScreen from '../screens/JoinCommunityScreen';
 import InviteMembersScreen from '../screens/InviteMembersScreen';
+import JoinRequestsScreen from '../screens/JoinRequestsScreen';
+import NeighborhoodBoundaryScreen from '../screens/NeighborhoodBoundaryScreen';
 import CommunitySettingsScreen from '../screens/CommunitySettingsScreen';
 import CommunityMembersScreen from '../screens/CommunityMembersScreen';
 import ReferralScreen from '../screens/ReferralScreen';
@@ -47,9 +50,15 @@ import PaymentFlowScreen from '../screens/PaymentFlowScreen';
 import RentalCheckoutScreen from '../screens/RentalCheckoutScreen';
 import DamageClaimScreen from '../screens/DamageClaimScreen';
 import ReportIssueScreen from '../screens/ReportIssueScreen';
+import ReportContentScreen from '../screens/ReportContentScreen';
+import ModerationQueueScreen from '../screens/ModerationQueueScreen';
+import BlockedUsersScreen from '../screens/BlockedUsersScreen';
+import DevicesScreen from '../screens/DevicesScreen';
 import RespondToDisputeScreen from '../screens/RespondToDisputeScreen';
 import EarningsScreen from '../screens/EarningsScreen';
 import TransactionHistoryScreen from '../screens/TransactionHistoryScreen';
+import ReceiptScreen from '../screens/ReceiptScreen';
+import HandoffScreen from '../screens/HandoffScreen';
 import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
 
 const Stack = createNativeStackNavigator();
@@ -139,6 +148,19 @@ export default function RootNavigator() {
             component={TransactionDetailScreen}
             options={{ ...sharedScreenOptions, title: 'Transaction' }}
           />
+          <Stack.Screen
+            name="Receipt"
+            component={ReceiptScreen}
+            options={{ ...sharedScreenOptions, title: 'Receipt' }}
+          />
+          <Stack.Screen
+            name="Handoff"
+            component={HandoffScreen}
+            options={({ route }) => ({
+              ...sharedScreenOptions,
+              title: route.params?.type === 'pickup' ? 'Pickup Handoff' : 'Return Handoff',
+            })}
+          />
           <Stack.Screen
             name="UserProfile"
             component={UserProfileScreen}
@@ -231,11 +253,26 @@ export default function RootNavigator() {
             component={NotificationSettingsScreen}
             options={modalScreenOptions('Notification Settings')}
           />
+          <Stack.Screen
+            name="BlockedUsers"
+            component={BlockedUsersScreen}
+            options={{ ...sharedScreenOptions, title: 'Blocked Users' }}
+          />
+          <Stack.Screen
+            name="Devices"
+            component={DevicesScreen}
+            options={{ ...sharedScreenOptions, title: 'Devices' }}
+          />
           <Stack.Screen
             name="Disputes"
             component={DisputesScreen}
             options={{ ...sharedScreenOptions, title: 'Disputes' }}
           />
+          <Stack.Screen
+            name="ModerationQueue"
+            component={ModerationQueueScreen}
+            options={{ ...sharedScreenOptions, title: 'Reports' }}
+          />
           <Stack.Screen
             name="SetupPayout"
             component={SetupPayoutScreen}
@@ -259,6 +296,11 @@ export default function RootNavigator() {
             component={BundlesScreen}
             options={{ ...sharedScreenOptions, title: 'Item Bundles' }}
           />
+          <Stack.Screen
+            name="BundleDetail"
+            component={BundleDetailScreen}
+            options={{ ...sharedScreenOptions, title: 'Bundle' }}
+          />
           <Stack.Screen
             name="JoinCommunity"
             component={JoinCommunityScreen}
@@ -279,6 +321,16 @@ export default function RootNavigator() {
             component={CommunitySettingsScreen}
             options={{ ...sharedScreenOptions, title: 'Neighborhood Settings' }}
           />
+          <Stack.Screen
+            name="JoinRequests"
+            component={JoinRequestsScreen}
+            options={{ ...sharedScreenOptions, title: 'Join Requests' }}
+          />
+          <Stack.Screen
+            name="NeighborhoodBoundary"
+            component={NeighborhoodBoundaryScreen}
+            options={{ ...sharedScreenOptions, title: 'Neighborhood Boundary' }}
+          />
           <Stack.Screen
             name="Referral"
             component={ReferralScreen}
@@ -314,6 +366,11 @@ export default function RootNavigator() {
             component={ReportIssueScreen}
             options={modalScreenOptions('Report an Issue')}
           />
+          <Stack.Screen
+            name="ReportContent"
+            component={ReportContentScreen}
+            options={modalScreenOptions('Report')}
+          />
           <Stack.Screen
             name="RespondToDispute"
             component={RespondToDisputeScreen}
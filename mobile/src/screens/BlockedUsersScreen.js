@@ -0,0 +1,207 @@
+import { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+
+export default function BlockedUsersScreen() {
+  const [blocked, setBlocked] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [unblockingId, setUnblockingId] = useState(null);
+
+  const fetchBlocked = useCallback(async () => {
+    try {
+      const data = await api.getBlockedUsers();
+      setBlocked(data || []);
+    } catch (error) {
+      console.error('Failed to fetch blocked users:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchBlocked();
+    }, [fetchBlocked])
+  );
+
+  const handleUnblock = async (userId) => {
+    setUnblockingId(userId);
+    try {
+      await api.unblockUser(userId);
+      setBlocked(prev => prev.filter(u => u.id !== userId));
+      haptics.success();
+    } catch (error) {
+      haptics.error();
+    } finally {
+      setUnblockingId(null);
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={styles.card}>
+      <Image
+        source={{ uri: item.profilePhotoUrl || 'https://via.placeholder.com/50' }}
+        style={styles.avatar}
+      />
+      <View style={styles.info}>
+        <Text style={styles.name}>{item.firstName} {item.lastName}</Text>
+        <Text style={styles.subtitle}>
+          Blocked {new Date(item.blockedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+        </Text>
+      </View>
+      <HapticPressable
+        testID={`BlockedUsers.button.unblock.${item.id}`}
+        accessibilityLabel={`Unblock ${item.firstName}`}
+        accessibilityRole="button"
+        haptic="light"
+        style={styles.unblockButton}
+        onPress={() => handleUnblock(item.id)}
+        disabled={unblockingId === item.id}
+      >
+        {unblockingId === item.id ? (
+          <ActivityIndicator size="small" color={COLORS.primary} />
+        ) : (
+          <Text style={styles.unblockText}>Unblock</Text>
+        )}
+      </HapticPressable>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={blocked}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={() => { setIsRefreshing(true); fetchBlocked(); }}
+            tintColor={COLORS.primary}
+          />
+        }
+        ListHeaderComponent={
+          <Text style={styles.hint}>
+            People you block can't see your items or requests, message you, or borrow from you. They aren't notified when you block or unblock them.
+          </Text>
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="ban-outline" size={64} color={COLORS.textMuted} />
+            <Text style={styles.emptyTitle}>No blocked users</Text>
+            <Text style={styles.emptySubtitle}>
+              You can block someone from their profile
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  listContent: {
+    padding: SPACING.lg,
+    flexGrow: 1,
+  },
+  hint: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.lg,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+    gap: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  avatar: {
+    width: 50,
+    height: 50,
+    borderRadius: 16,
+    backgroundColor: COLORS.gray[700],
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 16,
+    color: COLORS.text,
+  },
+  subtitle: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  unblockButton: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    minWidth: 84,
+    alignItems: 'center',
+  },
+  unblockText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+  },
+  emptyTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+    marginTop: SPACING.lg,
+  },
+  emptySubtitle: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    textAlign: 'center',
+  },
+});
@@ -17,23 +17,31 @@ import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { useError } from '../context/ErrorContext';
 import { haptics } from '../utils/haptics';
-import { COLORS, SPACING, RADIUS, TYPOGRAPHY, ENABLE_PAID_TIERS } from '../utils/config';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY, ENABLE_PAID_TIERS, WAITLIST_CLAIM_HOURS } from '../utils/config';
 
 export default function BorrowRequestScreen({ route, navigation }) {
-  const { listing } = route.params;
+  // bundleId is set when borrowing a whole bundle; listing then describes the bundle.
+  // waitlist opens the screen in join-the-waitlist mode; startDate/endDate (YYYY-MM-DD)
+  // prefill the dates, e.g. when claiming a waitlist offer.
+  const { listing, bundleId, waitlist, startDate: initialStart, endDate: initialEnd } = route.params;
   const { user, isGracePeriodActive } = useAuth();
   const { showError } = useError();
   const isGiveaway = listing.listingType === 'giveaway';
   const [accessCheck, setAccessCheck] = useState({ loading: true, canAccess: true, reason: null });
   const tomorrow = new Date();
   tomorrow.setDate(tomorrow.getDate() + 1);
+  // Midday so a YYYY-MM-DD date can't slip a day in the local timezone
+  const parseDay = (day) => new Date(`${day}T12:00:00`);
+  const prefillStart = initialStart && parseDay(initialStart) > new Date() ? parseDay(initialStart) : tomorrow;
 
-  const [startDate, setStartDate] = useState(tomorrow);
+  const [startDate, setStartDate] = useState(prefillStart);
   const [endDate, setEndDate] = useState(() => {
-    const end = new Date(tomorrow);
+    if (initialEnd && parseDay(initialEnd) > prefillStart) return parseDay(initialEnd);
+    const end = new Date(prefillStart);
     end.setDate(end.getDate() + (listing.minDuration || 1));
     return end;
   });
+  const [isWaitlist, setIsWaitlist] = useState(!!waitlist);
   const [message, setMessage] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showStartPicker, setShowStartPicker] = useState(false);
@@ -135,15 +143,55 @@ export default function BorrowRequestScreen({ route, navigation }) {
     }
 
     setIsSubmitting(true);
+
+    if (isWaitlist) {
+      try {
+        const entry = await api.joinWaitlist(listing.id, {
+          startDate: startDate.toISOString(),
+          endDate: endDate.toISOString(),
+          note: message.trim() || undefined,
+        });
+        haptics.success();
+        navigation.goBack();
+        setTimeout(() => {
+          showError({
+            type: 'success',
+            title: 'You\'re on the Waitlist',
+            message: `You're #${entry.position} in line. We'll let you know as soon as it's your turn.`,
+          });
+        }, 500);
+      } catch (error) {
+        haptics.error();
+        if (error.code === 'DATES_AVAILABLE') {
+          // Nothing to wait for — switch to a normal request for the same dates
+          setIsWaitlist(false);
+        }
+        showError({
+          message: error.message || 'Couldn\'t join the waitlist right now. Please try again.',
+        });
+      } finally {
+        if (navigation.isFocused()) {
+          setIsSubmitting(false);
+        }
+      }
+      return;
+    }
+
     try {
-      const result = await api.createTransaction({
-        listingId: listing.id,
-        ...(isGiveaway ? {} : {
+      const result = bundleId
+        ? await api.borrowBundle(bundleId, {
           startDate: startDate.toISOString(),
           endDate: endDate.toISOString(),
-        }),
-        message: message.trim() || undefined,
-      });
+          message: message.trim() || undefined,
+        })
+        : await api.createTransaction({
+          listingId: listing.id,
+          ...(isGiveaway ? {} : {
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString(),
+          }),
+          message: message.trim() || undefined,
+        });
 
       if (result.clientSecret) {
         // Paid rental — navigate to checkout to authorize payment
@@ -348,7 +396,7 @@ export default function BorrowRequestScreen({ route, navigation }) {
       {/* Dates — hidden for giveaways */}
       {!isGiveaway && (
       <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Rental Period</Text>
+        <Text style={styles.sectionTitle}>{isWaitlist ? 'Dates You Need' : 'Rental Period'}</Text>
         <Text style={styles.hint}>
           {listing.minDuration}-{listing.maxDuration} days allowed
         </Text>
@@ -437,7 +485,7 @@ export default function BorrowRequestScreen({ route, navigation }) {
       </View>
 
       {/* Pricing — hidden for giveaways and free rentals */}
-      {!isGiveaway && total > 0 && (
+      {!isGiveaway && !isWaitlist && total > 0 && (
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Payment Summary</Text>
         <View style={styles.pricingCard}>
@@ -478,15 +526,19 @@ export default function BorrowRequestScreen({ route, navigation }) {
           <ActivityIndicator color="#fff" />
         ) : (
           <Text style={styles.submitButtonText}>
-            {isGiveaway ? 'Request Item' : total > 0 ? `Request & Pay $${total.toFixed(2)}` : 'Send Request'}
+            {isWaitlist
+              ? 'Join Waitlist'
+              : isGiveaway ? 'Request Item' : total > 0 ? `Request & Pay $${total.toFixed(2)}` : 'Send Request'}
           </Text>
         )}
       </HapticPressable>
 
       <Text style={styles.termsText}>
-        {isGiveaway
-          ? 'By requesting this item, you agree to our terms and conditions'
-          : 'By sending this request, you agree to our borrowing terms and conditions'}
+        {isWaitlist
+          ? `When it's your turn you'll have ${WAITLIST_CLAIM_HOURS} hours to claim it before it goes to the next person`
+          : isGiveaway
+            ? 'By requesting this item, you agree to our terms and conditions'
+            : 'By sending this request, you agree to our borrowing terms and conditions'}
       </Text>
     </ScrollView>
   );
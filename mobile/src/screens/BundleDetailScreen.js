@@ -0,0 +1,183 @@
+import { View, Text, StyleSheet, FlatList } from 'react-native';
+import { Ionicons } from '../components/Icon';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+import HapticPressable from '../components/HapticPressable';
+import ShimmerImage from '../components/ShimmerImage';
+import { useAuth } from '../context/AuthContext';
+
+const BundleDetailScreen = ({ navigation, route }) => {
+  const { bundle } = route.params;
+  const { user } = useAuth();
+  const isOwner = bundle.isOwner || bundle.owner?.id === user?.id;
+  const items = bundle.items || [];
+
+  // Hand the bundle to BorrowRequest in listing shape — same date picker, pricing and checkout
+  const handleBorrow = () => {
+    navigation.navigate('BorrowRequest', {
+      bundleId: bundle.id,
+      listing: {
+        id: bundle.id,
+        title: bundle.name,
+        photos: items.map(i => i.photoUrl).filter(Boolean),
+        owner: bundle.owner,
+        isFree: bundle.isFree,
+        pricePerDay: bundle.pricePerDay || 0,
+        depositAmount: bundle.depositAmount || 0,
+        minDuration: bundle.minDuration,
+        maxDuration: bundle.maxDuration,
+        visibility: bundle.visibility,
+        listingType: 'lend',
+      },
+    });
+  };
+
+  const renderItem = ({ item }) => (
+    <HapticPressable
+      haptic="light"
+      scaleDown={0.98}
+      onPress={() => navigation.navigate('ListingDetail', { id: item.id })}
+      style={styles.card}
+    >
+      <View style={styles.cardRow}>
+        <View style={styles.cardThumb}>
+          {item.photoUrl ? (
+            <ShimmerImage source={{ uri: item.photoUrl }} style={styles.cardThumbImage} />
+          ) : (
+            <Ionicons name="image-outline" size={24} color={COLORS.textMuted} />
+          )}
+        </View>
+        <View style={styles.cardContent}>
+          <Text style={styles.cardTitle} numberOfLines={1}>{item.title}</Text>
+          {item.isAvailable === false && (
+            <Text style={styles.unavailableText}>Currently borrowed</Text>
+          )}
+        </View>
+      </View>
+    </HapticPressable>
+  );
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={items}
+        keyExtractor={(item) => item.id}
+        renderItem={renderItem}
+        contentContainerStyle={styles.list}
+        showsVerticalScrollIndicator={false}
+        ListHeaderComponent={
+          <View style={styles.header}>
+            <Text style={styles.heading}>{bundle.name}</Text>
+            {bundle.description ? (
+              <Text style={styles.description}>{bundle.description}</Text>
+            ) : null}
+            <Text style={styles.meta}>
+              {bundle.itemCount || items.length} items · {bundle.isFree ? 'Free to borrow' : `$${bundle.pricePerDay}/day`}
+            </Text>
+          </View>
+        }
+      />
+
+      {!isOwner && (
+        <View style={styles.footer}>
+          <HapticPressable
+            haptic="light"
+            onPress={handleBorrow}
+            disabled={!bundle.isAvailable}
+            style={[styles.borrowButton, !bundle.isAvailable && styles.borrowButtonDisabled]}
+            testID="BundleDetail.button.borrow"
+          >
+            <Text style={styles.borrowText}>
+              {bundle.isAvailable ? 'Borrow Bundle' : 'Some items are out right now'}
+            </Text>
+          </HapticPressable>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: SPACING.lg,
+    paddingBottom: SPACING.md,
+  },
+  heading: {
+    ...TYPOGRAPHY.title2,
+    color: COLORS.text,
+    marginBottom: SPACING.xs,
+  },
+  description: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
+  meta: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  list: {
+    paddingHorizontal: SPACING.md,
+    paddingBottom: SPACING.md,
+  },
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.separator,
+    marginBottom: SPACING.sm,
+    overflow: 'hidden',
+  },
+  cardRow: {
+    flexDirection: 'row',
+  },
+  cardThumb: {
+    width: 72,
+    height: 72,
+    backgroundColor: COLORS.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardThumbImage: {
+    width: '100%',
+    height: '100%',
+  },
+  cardContent: {
+    flex: 1,
+    padding: SPACING.md,
+    justifyContent: 'center',
+  },
+  cardTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+  },
+  unavailableText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.warning,
+    marginTop: 2,
+  },
+  footer: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+  borrowButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.lg,
+    alignItems: 'center',
+  },
+  borrowButtonDisabled: {
+    backgroundColor: COLORS.textMuted,
+  },
+  borrowText: {
+    ...TYPOGRAPHY.body,
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
+
+export default BundleDetailScreen;
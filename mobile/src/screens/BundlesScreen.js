@@ -109,13 +109,13 @@ export default function BundlesScreen({ navigation }) {
 
   const renderBundle = ({ item }) => (
     <HapticPressable
-      onPress={() => navigation.navigate('BundleDetail', { bundleId: item.id })}
+      onPress={() => navigation.navigate('BundleDetail', { bundleId: item.id, bundle: item })}
       haptic="light"
     >
       <View style={[styles.cardBox, styles.bundleCard]}>
         <View style={styles.bundleCardContent}>
           <View style={styles.bundleImages}>
-            {item.listings?.slice(0, 4).map((listing, idx) => (
+            {item.items?.slice(0, 4).map((listing, idx) => (
               <Image
                 key={idx}
                 source={{ uri: listing.photoUrl || 'https://via.placeholder.com/60' }}
@@ -128,7 +128,7 @@ export default function BundlesScreen({ navigation }) {
           </View>
           <View style={styles.bundleInfo}>
             <Text style={styles.bundleName}>{item.name}</Text>
-            <Text style={styles.bundleCount}>{item.listings?.length || 0} items</Text>
+            <Text style={styles.bundleCount}>{item.itemCount || 0} items</Text>
             {item.description && (
               <Text style={styles.bundleDescription} numberOfLines={2}>
                 {item.description}
@@ -139,6 +139,13 @@ export default function BundlesScreen({ navigation }) {
                 <Text style={styles.discountText}>{item.discountPercent}% bundle discount</Text>
               </View>
             )}
+            {activeTab === 'browse' && (
+              <Text style={[styles.bundlePrice, !item.isAvailable && styles.bundleUnavailable]}>
+                {!item.isAvailable
+                  ? 'Some items are out right now'
+                  : item.isFree ? 'Free to borrow' : `$${item.pricePerDay}/day`}
+              </Text>
+            )}
           </View>
           {item.isOwner && (
             <HapticPressable
@@ -402,6 +409,16 @@ const styles = StyleSheet.create({
     color: COLORS.textMuted,
     marginTop: SPACING.xs,
   },
+  bundlePrice: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+    marginTop: SPACING.xs,
+  },
+  bundleUnavailable: {
+    color: COLORS.textMuted,
+    fontWeight: '400',
+  },
   discountBadge: {
     backgroundColor: COLORS.primary + '20',
     paddingHorizontal: SPACING.sm,
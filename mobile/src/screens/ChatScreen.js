@@ -30,6 +30,8 @@ import EmojiReactionPicker from '../components/EmojiReactionPicker';
 import { useAuth } from '../context/AuthContext';
 import { haptics } from '../utils/haptics';
 import api from '../services/api';
+import realtime from '../services/realtime';
+import { useRealtimeEvent, usePollingFallback } from '../hooks/useRealtime';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY, ANIMATION } from '../utils/config';
 
 function SendButton({ onPress, disabled }) {
@@ -75,21 +77,15 @@ export default function ChatScreen({ route, navigation }) {
   const [fullscreenImage, setFullscreenImage] = useState(null);
   const [emojiPickerMessage, setEmojiPickerMessage] = useState(null);
   const [emojiPickerPos, setEmojiPickerPos] = useState(null);
+  const [isOtherTyping, setIsOtherTyping] = useState(false);
   const flatListRef = useRef(null);
   const messageRefs = useRef({});
+  const typingTimeoutRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
 
   useEffect(() => {
     if (conversationId) {
       fetchMessages();
-      // Poll for new messages every 5 seconds
-      const interval = setInterval(() => {
-        if (conversationId) {
-          api.getConversation(conversationId).then(data => {
-            setMessages(data.messages);
-          }).catch(() => {});
-        }
-      }, 5000);
-      return () => clearInterval(interval);
     } else {
       // New conversation - set up initial state
       setIsLoading(false);
@@ -102,6 +98,85 @@ export default function ChatScreen({ route, navigation }) {
     }
   }, [conversationId]);
 
+  // Poll for new messages every 5 seconds while the realtime socket is down
+  const realtimeConnected = usePollingFallback(() => {
+    api.getConversation(conversationId).then(data => {
+      setMessages(data.messages);
+    }).catch(() => {});
+  }, 5000, !!conversationId);
+
+  // Catch up on anything missed while disconnected
+  const wasConnectedRef = useRef(realtimeConnected);
+  useEffect(() => {
+    if (realtimeConnected && !wasConnectedRef.current && conversationId) {
+      fetchMessages();
+    }
+    wasConnectedRef.current = realtimeConnected;
+  }, [realtimeConnected]);
+
+  useEffect(() => () => clearTimeout(typingTimeoutRef.current), []);
+
+  const appendMessage = useCallback((message) => {
+    setMessages(prev => (
+      prev.some(m => m.id === message.id) ? prev : [...prev, message]
+    ));
+  }, []);
+
+  useRealtimeEvent('message:new', (data) => {
+    if (!conversationId || data.conversationId !== conversationId) return;
+    const isOwnMessage = data.senderId === user.id;
+    appendMessage({ ...data, isOwnMessage });
+    if (!isOwnMessage) {
+      setIsOtherTyping(false);
+      api.markConversationRead(conversationId).catch(() => {});
+      setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
+    }
+  });
+
+  useRealtimeEvent('message:read', (data) => {
+    if (data.conversationId !== conversationId || data.readerId === user.id) return;
+    setMessages(prev => prev.map(m => (m.isOwnMessage ? { ...m, isRead: true } : m)));
+  });
+
+  useRealtimeEvent('message:deleted', (data) => {
+    if (data.conversationId !== conversationId) return;
+    setMessages(prev => prev.map(m =>
+      m.id === data.id ? { ...m, isDeleted: true, content: null, imageUrl: null } : m
+    ));
+  });
+
+  useRealtimeEvent('message:reaction', (data) => {
+    if (data.conversationId !== conversationId || data.userId === user.id) return;
+    setMessages(prev => prev.map(m => {
+      if (m.id !== data.messageId) return m;
+      const reactions = (m.reactions || []).filter(r => r.userId !== data.userId);
+      return {
+        ...m,
+        reactions: data.emoji ? [...reactions, { userId: data.userId, emoji: data.emoji }] : reactions,
+      };
+    }));
+  });
+
+  useRealtimeEvent('typing', (data) => {
+    if (data.conversationId !== conversationId) return;
+    clearTimeout(typingTimeoutRef.current);
+    setIsOtherTyping(data.isTyping);
+    if (data.isTyping) {
+      // Clear the indicator if the other side goes quiet without sending a stop
+      typingTimeoutRef.current = setTimeout(() => setIsOtherTyping(false), 5000);
+    }
+  });
+
+  const handleChangeText = useCallback((text) => {
+    setNewMessage(text);
+    if (!conversationId || !text) return;
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > 3000) {
+      lastTypingSentRef.current = now;
+      realtime.sendTyping(conversationId);
+    }
+  }, [conversationId]);
+
   useEffect(() => {
     // Update header with other user's name
     if (conversation?.otherUser) {
@@ -129,6 +204,10 @@ export default function ChatScreen({ route, navigation }) {
     const messageContent = newMessage.trim();
     setNewMessage('');
     setIsSending(true);
+    if (conversationId) {
+      lastTypingSentRef.current = 0;
+      realtime.sendTyping(conversationId, false);
+    }
 
     // Determine recipient
     const recipient = recipientId || conversation?.otherUser?.id;
@@ -154,7 +233,7 @@ export default function ChatScreen({ route, navigation }) {
         isRead: false,
         createdAt: result.createdAt,
       };
-      setMessages(prev => [...prev, newMsg]);
+      appendMessage(newMsg);
 
       // Scroll to bottom
       setTimeout(() => {
@@ -249,7 +328,7 @@ export default function ChatScreen({ route, navigation }) {
         isRead: false,
         createdAt: apiResult.createdAt,
       };
-      setMessages(prev => [...prev, newMsg]);
+      appendMessage(newMsg);
       setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
     } catch (error) {
       console.error('Failed to send image:', error);
@@ -257,7 +336,7 @@ export default function ChatScreen({ route, navigation }) {
     } finally {
       setIsUploading(false);
     }
-  }, [recipientId, conversation, listingId, user.id]);
+  }, [recipientId, conversation, listingId, user.id, appendMessage]);
 
   const handleEmojiSelect = useCallback(async (emoji) => {
     const message = emojiPickerMessage;
@@ -346,16 +425,20 @@ export default function ChatScreen({ route, navigation }) {
         onPress: () => handleDeleteMessage(message.id),
       });
     }
-    if (!message.isOwnMessage) {
+    if (!message.isOwnMessage && !message.isDeleted) {
       actions.push({
         label: 'Report',
         icon: <Ionicons name="flag-outline" size={20} color={COLORS.danger} />,
         destructive: true,
-        onPress: () => {},
+        onPress: () => navigation.navigate('ReportContent', {
+          targetType: 'message',
+          targetId: message.id,
+          targetLabel: message.content,
+        }),
       });
     }
     return actions;
-  }, [handleCopyMessage, handleDeleteMessage]);
+  }, [handleCopyMessage, handleDeleteMessage, navigation]);
 
   const renderReactionPills = (item) => {
     const reactions = item.reactions || [];
@@ -535,6 +618,12 @@ export default function ChatScreen({ route, navigation }) {
         }
       />
 
+      {isOtherTyping && (
+        <Text style={styles.typingIndicator} testID="Chat.typingIndicator">
+          {conversation?.otherUser?.firstName || 'They'} is typing…
+        </Text>
+      )}
+
       {/* Input Bar with Blur Background */}
       {Platform.OS === 'ios' ? (
         <BlurView intensity={80} tint="light" style={styles.inputBlur}>
@@ -549,7 +638,7 @@ export default function ChatScreen({ route, navigation }) {
             <TextInput
               style={styles.input}
               value={newMessage}
-              onChangeText={setNewMessage}
+              onChangeText={handleChangeText}
               placeholder="Type a message..."
               placeholderTextColor={COLORS.textMuted}
               testID="Chat.input.message"
@@ -577,7 +666,7 @@ export default function ChatScreen({ route, navigation }) {
           <TextInput
             style={styles.input}
             value={newMessage}
-            onChangeText={setNewMessage}
+            onChangeText={handleChangeText}
             placeholder="Type a message..."
             placeholderTextColor={COLORS.textMuted}
             multiline
@@ -811,6 +900,12 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginTop: SPACING.lg,
   },
+  typingIndicator: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+    paddingHorizontal: SPACING.lg,
+    paddingBottom: SPACING.xs,
+  },
   inputBlur: {
     borderTopWidth: StyleSheet.hairlineWidth,
     borderTopColor: COLORS.separator,
@@ -61,6 +61,16 @@ export default function CommunityLibraryScreen({ navigation }) {
     }
   };
 
+  const handleJoinWaitlist = async (item) => {
+    try {
+      await api.joinWaitlist(item.id, {});
+      loadItems();
+      haptics.success();
+    } catch (err) {
+      haptics.error();
+    }
+  };
+
   const handleReturn = async (item) => {
     try {
       await api.returnLibraryItem(item.id);
@@ -78,60 +88,83 @@ export default function CommunityLibraryScreen({ navigation }) {
     return `Check out "${checkoutTarget.title}"? Return by ${returnDate.toLocaleDateString()}`;
   };
 
-  const renderItem = ({ item, index }) => (
-    <AnimatedCard index={index}>
-      <HapticPressable
-        style={styles.itemCardPressable}
-        onPress={() => navigation.navigate('ListingDetail', { listingId: item.id })}
-        haptic="light"
-      >
-        <View style={[styles.cardBox, styles.itemCard]}>
-          <Image
-            source={{ uri: item.photoUrl || 'https://via.placeholder.com/100' }}
-            style={styles.itemImage}
-          />
-          <View style={styles.itemInfo}>
-            <Text style={styles.itemTitle} numberOfLines={1}>{item.title}</Text>
-            <Text style={styles.itemCondition}>Condition: {item.condition}</Text>
-            {item.donatedBy && (
-              <Text style={styles.donatedBy}>Donated by {item.donatedBy}</Text>
-            )}
-            <View style={styles.statusRow}>
-              <View style={[
-                styles.statusBadge,
-                item.isAvailable ? styles.statusAvailable : styles.statusUnavailable
-              ]}>
-                <Text style={[
-                  styles.statusText,
-                  item.isAvailable ? styles.statusTextAvailable : styles.statusTextUnavailable
+  const renderItem = ({ item, index }) => {
+    // Back on the shelf but held for whoever is next on the waitlist
+    const isOnHold = item.isAvailable && item.isHeld && item.waitlist?.status !== 'offered';
+    const canCheckOut = item.isAvailable && !isOnHold;
+
+    return (
+      <AnimatedCard index={index}>
+        <HapticPressable
+          style={styles.itemCardPressable}
+          onPress={() => navigation.navigate('ListingDetail', { listingId: item.id })}
+          haptic="light"
+        >
+          <View style={[styles.cardBox, styles.itemCard]}>
+            <Image
+              source={{ uri: item.photoUrl || 'https://via.placeholder.com/100' }}
+              style={styles.itemImage}
+            />
+            <View style={styles.itemInfo}>
+              <Text style={styles.itemTitle} numberOfLines={1}>{item.title}</Text>
+              <Text style={styles.itemCondition}>Condition: {item.condition}</Text>
+              {item.donatedBy && (
+                <Text style={styles.donatedBy}>Donated by {item.donatedBy}</Text>
+              )}
+              <View style={styles.statusRow}>
+                <View style={[
+                  styles.statusBadge,
+                  canCheckOut ? styles.statusAvailable : styles.statusUnavailable
                 ]}>
-                  {item.isAvailable ? 'Available' : 'Checked Out'}
-                </Text>
+                  <Text style={[
+                    styles.statusText,
+                    canCheckOut ? styles.statusTextAvailable : styles.statusTextUnavailable
+                  ]}>
+                    {canCheckOut ? 'Available' : isOnHold ? 'On Hold' : 'Checked Out'}
+                  </Text>
+                </View>
+                <Text style={styles.checkoutLimit}>{item.checkoutLimitDays} day limit</Text>
               </View>
-              <Text style={styles.checkoutLimit}>{item.checkoutLimitDays} day limit</Text>
+              {item.waitlist?.status === 'offered' && (
+                <Text style={styles.waitlistNote}>Your turn — check it out before the hold expires</Text>
+              )}
+              {item.waitlist?.status === 'waiting' && (
+                <Text style={styles.waitlistNote}>#{item.waitlist.position} on the waitlist</Text>
+              )}
+              {!item.waitlist && item.waitlistCount > 0 && (
+                <Text style={styles.checkoutLimit}>{item.waitlistCount} waiting</Text>
+              )}
             </View>
+            {canCheckOut ? (
+              <HapticPressable
+                style={styles.checkoutButton}
+                onPress={() => handleCheckout(item)}
+                haptic="medium"
+              >
+                <Text style={styles.checkoutButtonText}>Check Out</Text>
+              </HapticPressable>
+            ) : item.isCheckedOutByMe ? (
+              <HapticPressable
+                style={styles.returnButton}
+                onPress={() => handleReturn(item)}
+                haptic="medium"
+              >
+                <Text style={styles.returnButtonText}>Return</Text>
+              </HapticPressable>
+            ) : !item.waitlist ? (
+              <HapticPressable
+                style={styles.waitlistButton}
+                onPress={() => handleJoinWaitlist(item)}
+                haptic="medium"
+              >
+                <Text style={styles.waitlistButtonText}>Join Waitlist</Text>
+              </HapticPressable>
+            ) : null}
           </View>
-          {item.isAvailable ? (
-            <HapticPressable
-              style={styles.checkoutButton}
-              onPress={() => handleCheckout(item)}
-              haptic="medium"
-            >
-              <Text style={styles.checkoutButtonText}>Check Out</Text>
-            </HapticPressable>
-          ) : item.isCheckedOutByMe ? (
-            <HapticPressable
-              style={styles.returnButton}
-              onPress={() => handleReturn(item)}
-              haptic="medium"
-            >
-              <Text style={styles.returnButtonText}>Return</Text>
-            </HapticPressable>
-          ) : null}
-        </View>
-      </HapticPressable>
-    </AnimatedCard>
-  );
+        </HapticPressable>
+      </AnimatedCard>
+    );
+  };
 
   if (loading) {
     return (
@@ -337,6 +370,24 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: COLORS.text,
   },
+  waitlistButton: {
+    borderWidth: 1.5,
+    borderColor: COLORS.primary,
+    paddingHorizontal: 14,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.full,
+    marginLeft: SPACING.sm,
+  },
+  waitlistButtonText: {
+    ...TYPOGRAPHY.button,
+    fontSize: 13,
+    color: COLORS.primary,
+  },
+  waitlistNote: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    marginTop: SPACING.xs,
+  },
   emptyState: {
     flex: 1,
     padding: 40,
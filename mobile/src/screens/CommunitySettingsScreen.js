@@ -37,8 +37,11 @@ export default function CommunitySettingsScreen({ route, navigation }) {
   const [editAnnouncement, setEditAnnouncement] = useState('');
   const [isEditing, setIsEditing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [requiresApproval, setRequiresApproval] = useState(false);
+  const [editQuestions, setEditQuestions] = useState([]);
 
   const canEdit = community?.role === 'organizer' || user?.isAdmin;
+  const isOrganizer = community?.role === 'organizer';
 
   useEffect(() => {
     fetchCommunity();
@@ -52,6 +55,8 @@ export default function CommunitySettingsScreen({ route, navigation }) {
       setEditDescription(data.description || '');
       setEditBannerUrl(data.bannerUrl || null);
       setEditAnnouncement(data.announcement || '');
+      setRequiresApproval(!!data.requiresApproval);
+      setEditQuestions(data.joinQuestions || []);
     } catch (error) {
       console.error('Failed to fetch community:', error);
     } finally {
@@ -75,11 +80,16 @@ export default function CommunitySettingsScreen({ route, navigation }) {
         bannerUrl = urls[0];
       }
 
+      const joinQuestions = editQuestions
+        .filter(q => q.question.trim())
+        .map(q => ({ ...q, question: q.question.trim() }));
+
       await api.updateCommunity(id, {
         name: editName.trim(),
         description: editDescription.trim(),
         bannerUrl: bannerUrl || null,
         announcement: editAnnouncement.trim() || null,
+        joinQuestions,
       });
       setCommunity(prev => ({
         ...prev,
@@ -87,7 +97,9 @@ export default function CommunitySettingsScreen({ route, navigation }) {
         description: editDescription.trim(),
         bannerUrl: bannerUrl || null,
         announcement: editAnnouncement.trim() || null,
+        joinQuestions,
       }));
+      setEditQuestions(joinQuestions);
       setSelectedBannerPhoto(null);
       setIsEditing(false);
       haptics.success();
@@ -106,9 +118,27 @@ export default function CommunitySettingsScreen({ route, navigation }) {
     setEditBannerUrl(community?.bannerUrl || null);
     setSelectedBannerPhoto(null);
     setEditAnnouncement(community?.announcement || '');
+    setEditQuestions(community?.joinQuestions || []);
     setIsEditing(false);
   };
 
+  const handleToggleApproval = async (value) => {
+    setRequiresApproval(value);
+    try {
+      await api.updateCommunity(id, { requiresApproval: value });
+      setCommunity(prev => ({ ...prev, requiresApproval: value }));
+      haptics.light();
+    } catch (err) {
+      setRequiresApproval(!value);
+      haptics.error();
+      showError({ type: 'generic', message: err.message || 'Failed to update approval setting' });
+    }
+  };
+
+  const updateQuestion = (index, text) => {
+    setEditQuestions(prev => prev.map((q, i) => (i === index ? { ...q, question: text } : q)));
+  };
+
   const handlePickBanner = async () => {
     const result = await ImagePicker.launchImageLibraryAsync({
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
@@ -228,6 +258,41 @@ export default function CommunitySettingsScreen({ route, navigation }) {
               spellCheck={true}
             />
 
+            {/* Join Questions */}
+            <Text style={styles.fieldLabel}>Join Questions</Text>
+            <Text style={styles.fieldHint}>
+              Asked when someone requests to join while approval is required
+            </Text>
+            {editQuestions.map((q, index) => (
+              <View key={q.id || `new-${index}`} style={styles.questionRow}>
+                <TextInput
+                  style={[styles.input, styles.questionInput]}
+                  value={q.question}
+                  onChangeText={(text) => updateQuestion(index, text)}
+                  placeholder="e.g., Which street do you live on?"
+                  placeholderTextColor={COLORS.textMuted}
+                  maxLength={200}
+                />
+                <HapticPressable
+                  style={styles.questionRemove}
+                  onPress={() => setEditQuestions(prev => prev.filter((_, i) => i !== index))}
+                  haptic="light"
+                >
+                  <Ionicons name="close-circle" size={22} color={COLORS.textMuted} />
+                </HapticPressable>
+              </View>
+            ))}
+            {editQuestions.length < 5 && (
+              <HapticPressable
+                style={styles.addQuestionButton}
+                onPress={() => setEditQuestions(prev => [...prev, { question: '', required: true }])}
+                haptic="light"
+              >
+                <Ionicons name="add" size={16} color={COLORS.primary} />
+                <Text style={styles.addQuestionText}>Add Question</Text>
+              </HapticPressable>
+            )}
+
             <View style={styles.editActions}>
               <HapticPressable style={styles.cancelButton} onPress={handleCancelEdit} haptic="light">
                 <Text style={styles.cancelButtonText}>Cancel</Text>
@@ -264,6 +329,58 @@ export default function CommunitySettingsScreen({ route, navigation }) {
         )}
       </View>
 
+      {/* Membership (organizers) */}
+      {isOrganizer && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Membership</Text>
+
+          <View style={[styles.cardBox, styles.settingCard]}>
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingLabel}>Require Approval</Text>
+                <Text style={styles.settingDescription}>
+                  Review new neighbors before they can see neighborhood items
+                </Text>
+              </View>
+              <Switch
+                testID="CommunitySettings.switch.requireApproval"
+                value={requiresApproval}
+                onValueChange={handleToggleApproval}
+                trackColor={{ false: COLORS.primaryMuted, true: COLORS.primary }}
+                thumbColor="#fff"
+                ios_backgroundColor={COLORS.primaryMuted}
+              />
+            </View>
+          </View>
+
+          <HapticPressable
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('JoinRequests', { id })}
+            haptic="light"
+          >
+            <Ionicons name="mail-unread-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.actionButtonText}>Join Requests</Text>
+            {community?.pendingRequestCount > 0 && (
+              <View style={styles.countBadge}>
+                <Text style={styles.countBadgeText}>{community.pendingRequestCount}</Text>
+              </View>
+            )}
+            <Ionicons name="chevron-forward" size={20} color={COLORS.gray[600]} />
+          </HapticPressable>
+
+          <HapticPressable
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('NeighborhoodBoundary', { id })}
+            haptic="light"
+          >
+            <Ionicons name="map-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.actionButtonText}>Boundary</Text>
+            <Text style={styles.actionButtonValue}>{community?.hasBoundary ? 'Set' : 'City-wide'}</Text>
+            <Ionicons name="chevron-forward" size={20} color={COLORS.gray[600]} />
+          </HapticPressable>
+        </View>
+      )}
+
       {/* Notification Settings */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Notifications</Text>
@@ -449,6 +566,50 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginTop: SPACING.xs,
   },
+  fieldHint: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.sm,
+  },
+  questionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  questionInput: {
+    flex: 1,
+  },
+  questionRemove: {
+    padding: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  addQuestionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    paddingVertical: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  addQuestionText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  countBadge: {
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    paddingHorizontal: 6,
+    backgroundColor: COLORS.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  countBadgeText: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: '700',
+    color: '#fff',
+  },
   fieldLabel: {
     ...TYPOGRAPHY.caption,
     color: COLORS.textSecondary,
@@ -542,6 +703,10 @@ const styles = StyleSheet.create({
     flex: 1,
     color: COLORS.text,
   },
+  actionButtonValue: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+  },
   leaveButton: {
     backgroundColor: COLORS.danger + '10',
     borderColor: COLORS.danger + '30',
@@ -0,0 +1,274 @@
+import { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+
+const PLATFORM_ICONS = {
+  ios: 'phone-portrait-outline',
+  android: 'phone-portrait-outline',
+  web: 'desktop-outline',
+};
+
+const describeLastActive = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 5) return 'Active now';
+  if (minutes < 60) return `Active ${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Active ${hours}h ago`;
+  return `Active ${new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+};
+
+export default function DevicesScreen() {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const data = await api.getSessions();
+      setSessions(data || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Couldn\'t load your devices');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchSessions();
+    }, [fetchSessions])
+  );
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    try {
+      await api.revokeSession(sessionId);
+      setSessions(prev => prev.filter(s => s.id !== sessionId));
+      haptics.success();
+    } catch (err) {
+      haptics.error();
+      setError(err.message || 'Couldn\'t sign out that device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevokingId('others');
+    try {
+      await api.revokeOtherSessions();
+      setSessions(prev => prev.filter(s => s.isCurrent));
+      haptics.success();
+    } catch (err) {
+      haptics.error();
+      setError(err.message || 'Couldn\'t sign out your other devices');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={styles.card}>
+      <View style={styles.iconWrap}>
+        <Ionicons
+          name={PLATFORM_ICONS[item.platform] || 'hardware-chip-outline'}
+          size={22}
+          color={COLORS.primary}
+        />
+      </View>
+      <View style={styles.info}>
+        <Text style={styles.name}>{item.deviceName || 'Unknown device'}</Text>
+        <Text style={styles.subtitle}>
+          {item.isCurrent ? 'This device' : describeLastActive(item.lastUsedAt)}
+          {' · Signed in '}
+          {new Date(item.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+        </Text>
+      </View>
+      {!item.isCurrent && (
+        <HapticPressable
+          testID={`Devices.button.revoke.${item.id}`}
+          accessibilityLabel={`Sign out ${item.deviceName || 'device'}`}
+          accessibilityRole="button"
+          haptic="light"
+          style={styles.revokeButton}
+          onPress={() => handleRevoke(item.id)}
+          disabled={revokingId === item.id}
+        >
+          {revokingId === item.id ? (
+            <ActivityIndicator size="small" color={COLORS.danger} />
+          ) : (
+            <Text style={styles.revokeText}>Sign Out</Text>
+          )}
+        </HapticPressable>
+      )}
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  const hasOtherSessions = sessions.some(s => !s.isCurrent);
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={sessions}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={() => { setIsRefreshing(true); fetchSessions(); }}
+            tintColor={COLORS.primary}
+          />
+        }
+        ListHeaderComponent={
+          <>
+            <Text style={styles.hint}>
+              These devices are signed in to your account. If you don't recognize one, sign it out and change your password.
+            </Text>
+            {error && (
+              <View style={styles.errorCard}>
+                <Ionicons name="alert-circle" size={18} color={COLORS.danger} />
+                <Text style={styles.errorCardText}>{error}</Text>
+              </View>
+            )}
+          </>
+        }
+        ListFooterComponent={hasOtherSessions ? (
+          <HapticPressable
+            testID="Devices.button.revokeOthers"
+            accessibilityRole="button"
+            haptic="medium"
+            style={styles.revokeAllButton}
+            onPress={handleRevokeOthers}
+            disabled={revokingId === 'others'}
+          >
+            {revokingId === 'others' ? (
+              <ActivityIndicator size="small" color={COLORS.danger} />
+            ) : (
+              <Text style={styles.revokeAllText}>Sign Out All Other Devices</Text>
+            )}
+          </HapticPressable>
+        ) : null}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  listContent: {
+    padding: SPACING.lg,
+    flexGrow: 1,
+  },
+  hint: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.lg,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+    gap: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  iconWrap: {
+    width: 44,
+    height: 44,
+    borderRadius: 14,
+    backgroundColor: COLORS.primary + '1A',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 16,
+    color: COLORS.text,
+  },
+  subtitle: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  revokeButton: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.danger,
+    minWidth: 84,
+    alignItems: 'center',
+  },
+  revokeText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.danger,
+  },
+  revokeAllButton: {
+    marginTop: SPACING.lg,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.danger,
+    alignItems: 'center',
+  },
+  revokeAllText: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 15,
+    color: COLORS.danger,
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.danger + '12',
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  errorCardText: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.danger,
+    flex: 1,
+  },
+});
@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import {
   View,
   Text,
@@ -18,12 +18,29 @@ import { useError } from '../context/ErrorContext';
 import { haptics } from '../utils/haptics';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
 
+const CURRENT_YEAR = new Date().getFullYear();
+const TAX_YEARS = [CURRENT_YEAR, CURRENT_YEAR - 1, CURRENT_YEAR - 2];
+
 export default function EarningsScreen({ navigation }) {
   const [earnings, setEarnings] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [taxYear, setTaxYear] = useState(CURRENT_YEAR);
+  const [taxSummary, setTaxSummary] = useState(null);
+  const [exportSending, setExportSending] = useState(false);
+  const [exportSentTo, setExportSentTo] = useState(null);
   const { showError } = useError();
 
+  useEffect(() => {
+    let cancelled = false;
+    setTaxSummary(null);
+    setExportSentTo(null);
+    api.getEarningsExport(taxYear)
+      .then((data) => { if (!cancelled) setTaxSummary(data); })
+      .catch((error) => console.error('Error fetching earnings export:', error));
+    return () => { cancelled = true; };
+  }, [taxYear]);
+
   const fetchEarnings = useCallback(async (isRefresh = false) => {
     try {
       if (!isRefresh) setLoading(true);
@@ -47,6 +64,20 @@ export default function EarningsScreen({ navigation }) {
     }, [fetchEarnings])
   );
 
+  const handleEmailExport = async () => {
+    setExportSending(true);
+    try {
+      const result = await api.emailEarningsExport(taxYear);
+      setExportSentTo(result.sentTo);
+      haptics.success();
+    } catch (error) {
+      haptics.error();
+      showError({ message: error.message || 'Couldn\'t email your earnings summary. Please try again.' });
+    } finally {
+      setExportSending(false);
+    }
+  };
+
   const handleRefresh = () => {
     setRefreshing(true);
     haptics.light();
@@ -207,6 +238,81 @@ export default function EarningsScreen({ navigation }) {
           </View>
         )}
 
+        {/* Tax Summary */}
+        {hasConnectAccount && (
+          <View style={styles.section}>
+            <Text style={styles.sectionHeader}>Tax Summary</Text>
+            <View style={styles.yearOptions}>
+              {TAX_YEARS.map(year => (
+                <HapticPressable
+                  key={year}
+                  testID={`Earnings.taxYear.${year}`}
+                  haptic="light"
+                  style={[styles.yearChip, taxYear === year && styles.yearChipSelected]}
+                  onPress={() => setTaxYear(year)}
+                >
+                  <Text style={[styles.yearChipText, taxYear === year && styles.yearChipTextSelected]}>{year}</Text>
+                </HapticPressable>
+              ))}
+            </View>
+            {taxSummary && (
+              <View style={[styles.feeBreakdown, styles.cardBox]}>
+                <View style={styles.feeRow}>
+                  <Text style={styles.feeLabel}>Gross Rental Income</Text>
+                  <Text style={styles.feeValue}>{formatCurrency(taxSummary.totals.grossRentalIncome)}</Text>
+                </View>
+                <View style={styles.feeRow}>
+                  <Text style={styles.feeLabel}>Platform Fees Withheld</Text>
+                  <Text style={styles.feeDeduction}>-{formatCurrency(taxSummary.totals.platformFees)}</Text>
+                </View>
+                {taxSummary.totals.lateFeeIncome > 0 && (
+                  <View style={styles.feeRow}>
+                    <Text style={styles.feeLabel}>Late Fee Income</Text>
+                    <Text style={styles.feeValue}>{formatCurrency(taxSummary.totals.lateFeeIncome)}</Text>
+                  </View>
+                )}
+                {taxSummary.totals.damageIncome > 0 && (
+                  <View style={styles.feeRow}>
+                    <Text style={styles.feeLabel}>Damage Claim Income</Text>
+                    <Text style={styles.feeValue}>{formatCurrency(taxSummary.totals.damageIncome)}</Text>
+                  </View>
+                )}
+                <View style={styles.feeSeparator} />
+                <View style={styles.feeRow}>
+                  <Text style={styles.feeLabelBold}>Net Payouts</Text>
+                  <Text testID="Earnings.text.netPayouts" style={styles.feeValueBold}>
+                    {formatCurrency(taxSummary.totals.netPayouts)}
+                  </Text>
+                </View>
+                {taxSummary.reconciliation.checked && !taxSummary.reconciliation.matched && (
+                  <Text style={styles.taxNote}>
+                    Stripe shows {formatCurrency(taxSummary.reconciliation.stripeTransfers)} in transfers this year. Contact support if the difference doesn't clear up.
+                  </Text>
+                )}
+                {taxSummary.reporting.warning && (
+                  <View style={styles.taxWarning}>
+                    <Ionicons name="alert-circle" size={18} color={COLORS.warning} />
+                    <Text style={styles.taxWarningText}>{taxSummary.reporting.warning}</Text>
+                  </View>
+                )}
+                <HapticPressable
+                  testID="Earnings.button.emailExport"
+                  accessibilityRole="button"
+                  haptic="medium"
+                  style={styles.exportButton}
+                  onPress={handleEmailExport}
+                  disabled={exportSending}
+                >
+                  <Ionicons name="mail-outline" size={16} color={COLORS.primary} />
+                  <Text style={styles.exportButtonText}>
+                    {exportSentTo ? `Sent to ${exportSentTo}` : 'Email Monthly Breakdown (CSV + PDF)'}
+                  </Text>
+                </HapticPressable>
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Recent Earnings */}
         <View style={styles.section}>
           <Text style={styles.sectionHeader}>Recent Earnings</Text>
@@ -414,6 +520,66 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.footnote,
     color: COLORS.danger,
   },
+  yearOptions: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  yearChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+  },
+  yearChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  yearChipText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.text,
+  },
+  yearChipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  taxWarning: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.warningMuted,
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginTop: SPACING.md,
+  },
+  taxWarningText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.text,
+    flex: 1,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.xs,
+    marginTop: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  exportButtonText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  taxNote: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.sm,
+  },
   feeSeparator: {
     height: 1,
     backgroundColor: COLORS.separator,
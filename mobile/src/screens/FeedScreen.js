@@ -73,7 +73,7 @@ export default function FeedScreen({ navigation }) {
   const [feed, setFeed] = useState([]);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
   const [hasMore, setHasMore] = useState(true);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [search, setSearch] = useState('');
@@ -82,6 +82,7 @@ export default function FeedScreen({ navigation }) {
   const [categories, setCategories] = useState([]);
   const [categoryFilters, setCategoryFilters] = useState([]);
   const [showActionSheet, setShowActionSheet] = useState(false);
+  const [savedSearchQuery, setSavedSearchQuery] = useState(null);
   const [hasNeighborhood, setHasNeighborhood] = useState(true); // assume yes until checked
   const [activeDisputes, setActiveDisputes] = useState([]);
   const [pendingRequests, setPendingRequests] = useState([]);
@@ -103,9 +104,12 @@ export default function FeedScreen({ navigation }) {
   const [focusedItemId, setFocusedItemId] = useState(null);
 
 
-  const fetchFeed = useCallback(async (pageNum = 1, append = false) => {
+  // Without a cursor this loads the first page; with one it appends the next
+  const fetchFeed = useCallback(async (cursor = null) => {
+    const append = !!cursor;
     try {
-      const params = { page: pageNum, limit: 20 };
+      const params = { limit: 20 };
+      if (cursor) params.cursor = cursor;
       if (search) params.search = search;
       if (activeFilters.length > 0) params.type = activeFilters.join(',');
       if (visibilityFilters.length > 0) params.visibility = visibilityFilters.join(',');
@@ -119,7 +123,7 @@ export default function FeedScreen({ navigation }) {
         setFeed(data.items || []);
       }
       setHasMore(data.hasMore);
-      setPage(pageNum);
+      setNextCursor(data.nextCursor || null);
     } catch (error) {
       console.error('Failed to fetch feed:', error);
     } finally {
@@ -182,7 +186,7 @@ export default function FeedScreen({ navigation }) {
 
   useEffect(() => {
     if (!isInitialLoad) {
-      fetchFeed(1, false);
+      fetchFeed();
     }
   }, [activeFilters, visibilityFilters, categoryFilters]);
 
@@ -193,7 +197,7 @@ export default function FeedScreen({ navigation }) {
         // to avoid blocking the JS thread during transitions
         InteractionManager.runAfterInteractions(() => {
           setIsRefreshing(true);
-          fetchFeed(1, false);
+          fetchFeed();
           checkNeighborhood();
           fetchActiveDisputes();
           fetchBannerData();
@@ -261,7 +265,7 @@ export default function FeedScreen({ navigation }) {
     setIsRefreshing(true);
     setRequestDiscussions({});
     setListingDiscussions({});
-    fetchFeed(1, false);
+    fetchFeed();
     refreshUser(); // Refresh user data on manual pull-to-refresh
     checkNeighborhood();
     fetchActiveDisputes();
@@ -329,21 +333,39 @@ export default function FeedScreen({ navigation }) {
   const PEEK_HEIGHT = 8;
 
   const onEndReached = () => {
-    if (!isLoadingMore && hasMore) {
+    if (!isLoadingMore && hasMore && nextCursor) {
       setIsLoadingMore(true);
-      fetchFeed(page + 1, true);
+      fetchFeed(nextCursor);
     }
   };
 
   const handleSearch = () => {
-    fetchFeed(1, false);
+    fetchFeed();
   };
 
   const handleClearSearch = useCallback(() => {
     setSearch('');
-    fetchFeed(1, false);
+    fetchFeed();
   }, []);
 
+  // Keep the current search and filters as a saved search that alerts on new matches
+  const handleSaveSearch = async () => {
+    const query = search.trim();
+    if (!query || savedSearchQuery === query) return;
+    const data = { query };
+    if (activeFilters.length === 1 && activeFilters[0] === 'giveaway') data.listingType = 'giveaway';
+    if (activeFilters.length === 1 && activeFilters[0] === 'listings') data.listingType = 'lend';
+    if (visibilityFilters.length > 0) data.visibility = visibilityFilters;
+    if (categoryFilters.length === 1) data.categoryId = categoryFilters[0];
+    try {
+      await api.createSavedSearch(data);
+      haptics.success();
+      setSavedSearchQuery(query);
+    } catch (error) {
+      console.error('Failed to save search:', error);
+    }
+  };
+
   const formatTimeAgo = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -363,7 +385,7 @@ export default function FeedScreen({ navigation }) {
     try {
       await api.renewRequest(requestId);
       haptics.success();
-      fetchFeed(1, false);
+      fetchFeed();
     } catch (error) {
       haptics.error();
     }
@@ -828,6 +850,18 @@ export default function FeedScreen({ navigation }) {
             style={styles.headerSearchBar}
             dark
           />
+          {search.trim().length > 0 && (
+            <HapticPressable
+              onPress={handleSaveSearch}
+              haptic="light"
+              testID="Feed.button.saveSearch"
+              accessibilityLabel={savedSearchQuery === search.trim() ? 'Search saved' : 'Save this search'}
+              accessibilityRole="button"
+              style={styles.addButton}
+            >
+              <Ionicons name={savedSearchQuery === search.trim() ? 'bookmark' : 'bookmark-outline'} size={18} color="#fff" />
+            </HapticPressable>
+          )}
           <HapticPressable onPress={() => setShowActionSheet(true)} haptic="light" testID="Feed.button.create" accessibilityLabel="Create new listing" accessibilityRole="button" style={styles.addButton}>
             <Ionicons name="add" size={22} color="#fff" />
           </HapticPressable>
@@ -888,6 +922,7 @@ export default function FeedScreen({ navigation }) {
 
       <FlatList
         ref={listRef}
+        testID="Feed.list"
         data={feed}
         renderItem={renderItem}
         keyExtractor={(item) => `${item.type}-${item.id}`}
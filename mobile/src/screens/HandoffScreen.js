@@ -0,0 +1,529 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import QRCode from 'react-native-qrcode-svg';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import { useError } from '../context/ErrorContext';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY, CONDITION_LABELS } from '../utils/config';
+
+const MAX_PHOTOS = 10;
+const CONDITIONS = ['like_new', 'good', 'fair', 'worn'];
+const QR_PREFIX = 'bh-handoff:';
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+// Borrower side: show the one-time code as a QR for the lender to scan, with the digits as a fallback
+function ShowCode({ transactionId, type, navigation }) {
+  const [handoff, setHandoff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchCode = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await api.getHandoffCode(transactionId, type);
+      setHandoff(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Couldn\'t get a handoff code');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [transactionId, type]);
+
+  useEffect(() => {
+    fetchCode();
+  }, [fetchCode]);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={[styles.card, styles.codeCard]}>
+        <Text style={styles.cardLabel}>{type === 'pickup' ? 'Pickup code' : 'Return code'}</Text>
+        {isLoading ? (
+          <ActivityIndicator size="large" color={COLORS.primary} style={styles.codeLoading} />
+        ) : handoff ? (
+          <>
+            <View testID="Handoff.qr" style={styles.qr}>
+              <QRCode value={handoff.qrPayload} size={200} color={COLORS.text} backgroundColor={COLORS.surface} />
+            </View>
+            <Text testID="Handoff.text.code" style={styles.code}>{handoff.code}</Text>
+            <Text style={styles.meta}>Expires at {formatTime(handoff.expiresAt)}</Text>
+          </>
+        ) : (
+          <Text style={styles.errorText}>{error}</Text>
+        )}
+      </View>
+
+      <Text style={styles.instructions}>
+        Show this code to the owner when you meet. They'll scan it, or type the number, and take
+        condition photos to confirm the {type} — it only works once and only for this rental.
+      </Text>
+
+      <HapticPressable
+        testID="Handoff.button.refresh"
+        accessibilityRole="button"
+        haptic="light"
+        style={styles.secondaryButton}
+        onPress={fetchCode}
+        disabled={isLoading}
+      >
+        <Ionicons name="refresh" size={18} color={COLORS.primary} />
+        <Text style={styles.secondaryButtonText}>Get a New Code</Text>
+      </HapticPressable>
+      <HapticPressable
+        haptic="light"
+        style={styles.primaryButton}
+        onPress={() => navigation.goBack()}
+      >
+        <Text style={styles.primaryButtonText}>Done</Text>
+      </HapticPressable>
+    </ScrollView>
+  );
+}
+
+// Lender side: scan or enter the borrower's code and photograph the item's condition.
+// In confirm mode (either party, no code) the photos are still required as the record.
+function VerifyHandoff({ transactionId, type, requireCode, defaultCondition, itemConditions, depositAmount, listingTitle, navigation }) {
+  const { showToast } = useError();
+  const [code, setCode] = useState('');
+  const [scannedPayload, setScannedPayload] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+  const [condition, setCondition] = useState(defaultCondition || 'good');
+  const [photos, setPhotos] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasCode = !!scannedPayload || /^\d{6}$/.test(code);
+  const canSubmit = (hasCode || !requireCode) && photos.length > 0 && !isSubmitting;
+
+  const handleStartScan = async () => {
+    const permission = cameraPermission?.granted ? cameraPermission : await requestCameraPermission();
+    if (!permission?.granted) {
+      haptics.error();
+      setError('BorrowHood needs camera access to scan the code. You can enable it in your device Settings, or type the number instead.');
+      return;
+    }
+    setError(null);
+    setIsScanning(true);
+  };
+
+  const handleScanned = ({ data }) => {
+    // Other QR codes in view are ignored; the server checks the signature
+    if (!isScanning || !data?.startsWith(QR_PREFIX)) return;
+    setIsScanning(false);
+    setScannedPayload(data);
+    setCode('');
+    haptics.success();
+  };
+
+  const handleTakePhoto = async () => {
+    const { status } = await ImagePicker.requestCameraPermissionsAsync();
+    if (status !== 'granted') {
+      haptics.error();
+      setError('BorrowHood needs camera access to take condition photos. You can enable it in your device Settings.');
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({ quality: 0.8 });
+    if (!result.canceled) {
+      const takenAt = new Date().toISOString();
+      setPhotos(prev => [...prev, { uri: result.assets[0].uri, takenAt }].slice(0, MAX_PHOTOS));
+      haptics.light();
+    }
+  };
+
+  const removePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async () => {
+    if (!canSubmit) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const urls = await api.uploadImages(photos.map(p => p.uri), 'handoffs');
+      const handoff = {
+        ...(requireCode ? { handoffCode: scannedPayload || code } : { unverified: true }),
+        photos: urls.map((url, index) => ({ url, takenAt: photos[index].takenAt })),
+      };
+
+      const result = type === 'pickup'
+        ? await api.confirmRentalPickup(transactionId, condition, itemConditions, handoff)
+        : await api.confirmRentalReturn(transactionId, condition, undefined, itemConditions, handoff);
+
+      if (result.conditionDegraded) {
+        haptics.warning();
+        navigation.navigate('DamageClaim', {
+          transactionId,
+          depositAmount,
+          listingTitle,
+          conditionAtPickup: defaultCondition,
+          conditionAtReturn: condition,
+        });
+        return;
+      }
+
+      haptics.success();
+      const done = requireCode ? 'verified' : 'confirmed';
+      showToast(type === 'pickup' ? `Pickup ${done}!` : `Return ${done}!`, 'success');
+      navigation.goBack();
+    } catch (err) {
+      haptics.error();
+      setError(err.message || (requireCode
+        ? 'Couldn\'t verify the handoff. Please try again.'
+        : 'Couldn\'t confirm the handoff. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+      {requireCode && (
+        <View style={styles.card}>
+          <Text style={styles.cardLabel}>Borrower's code</Text>
+          {isScanning ? (
+            <>
+              <CameraView
+                testID="Handoff.camera"
+                style={styles.scanner}
+                facing="back"
+                barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+                onBarcodeScanned={handleScanned}
+              />
+              <HapticPressable haptic="light" style={styles.secondaryButton} onPress={() => setIsScanning(false)}>
+                <Text style={styles.secondaryButtonText}>Type the Code Instead</Text>
+              </HapticPressable>
+            </>
+          ) : scannedPayload ? (
+            <View style={styles.scannedRow}>
+              <Ionicons name="checkmark-circle" size={20} color={COLORS.primary} />
+              <Text testID="Handoff.text.scanned" style={styles.scannedText}>Code scanned</Text>
+              <HapticPressable haptic="light" onPress={() => setScannedPayload(null)}>
+                <Text style={styles.secondaryButtonText}>Clear</Text>
+              </HapticPressable>
+            </View>
+          ) : (
+            <>
+              <HapticPressable
+                testID="Handoff.button.scan"
+                accessibilityRole="button"
+                haptic="light"
+                style={styles.secondaryButton}
+                onPress={handleStartScan}
+              >
+                <Ionicons name="qr-code-outline" size={18} color={COLORS.primary} />
+                <Text style={styles.secondaryButtonText}>Scan QR Code</Text>
+              </HapticPressable>
+              <TextInput
+                testID="Handoff.input.code"
+                style={styles.codeInput}
+                value={code}
+                onChangeText={text => setCode(text.replace(/\D/g, ''))}
+                placeholder="000000"
+                placeholderTextColor={COLORS.textMuted}
+                keyboardType="number-pad"
+                maxLength={6}
+              />
+            </>
+          )}
+          <Text style={styles.meta}>Ask the borrower to open this rental and tap Show Code.</Text>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.cardLabel}>Condition</Text>
+        <View style={styles.chipRow}>
+          {CONDITIONS.map(value => (
+            <HapticPressable
+              key={value}
+              testID={`Handoff.condition.${value}`}
+              haptic="light"
+              style={[styles.chip, condition === value && styles.chipActive]}
+              onPress={() => setCondition(value)}
+            >
+              <Text style={[styles.chipText, condition === value && styles.chipTextActive]}>
+                {CONDITION_LABELS[value]}
+              </Text>
+            </HapticPressable>
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardLabel}>Condition photos</Text>
+        <Text style={styles.meta}>Take at least one photo now — they're kept with the rental as a record.</Text>
+        <View style={styles.photoGrid}>
+          {photos.map((photo, index) => (
+            <HapticPressable key={photo.uri} haptic="light" onPress={() => removePhoto(index)}>
+              <Image source={{ uri: photo.uri }} style={styles.photo} />
+              <View style={styles.photoRemove}>
+                <Ionicons name="close" size={12} color="#fff" />
+              </View>
+            </HapticPressable>
+          ))}
+          {photos.length < MAX_PHOTOS && (
+            <HapticPressable
+              testID="Handoff.button.takePhoto"
+              accessibilityLabel="Take condition photo"
+              haptic="light"
+              style={[styles.photo, styles.addPhoto]}
+              onPress={handleTakePhoto}
+            >
+              <Ionicons name="camera-outline" size={24} color={COLORS.primary} />
+            </HapticPressable>
+          )}
+        </View>
+      </View>
+
+      {error && (
+        <View style={styles.errorCard}>
+          <Ionicons name="alert-circle" size={18} color={COLORS.danger} />
+          <Text style={styles.errorCardText}>{error}</Text>
+        </View>
+      )}
+
+      <HapticPressable
+        testID="Handoff.button.verify"
+        accessibilityRole="button"
+        haptic="medium"
+        style={[styles.primaryButton, !canSubmit && styles.buttonDisabled]}
+        onPress={handleSubmit}
+        disabled={!canSubmit}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator size="small" color={COLORS.background} />
+        ) : (
+          <Text style={styles.primaryButtonText}>
+            {`${requireCode ? 'Verify' : 'Confirm'} ${type === 'pickup' ? 'Pickup' : 'Return'}`}
+          </Text>
+        )}
+      </HapticPressable>
+    </ScrollView>
+  );
+}
+
+export default function HandoffScreen({ route, navigation }) {
+  const {
+    transactionId,
+    type,
+    mode,
+    conditionAtPickup,
+    itemConditions,
+    depositAmount,
+    listingTitle,
+  } = route.params;
+
+  if (mode === 'show') {
+    return <ShowCode transactionId={transactionId} type={type} navigation={navigation} />;
+  }
+
+  return (
+    <VerifyHandoff
+      transactionId={transactionId}
+      type={type}
+      requireCode={mode !== 'confirm'}
+      defaultCondition={conditionAtPickup}
+      itemConditions={itemConditions}
+      depositAmount={depositAmount}
+      listingTitle={listingTitle}
+      navigation={navigation}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+  card: {
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  codeCard: {
+    alignItems: 'center',
+  },
+  cardLabel: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textMuted,
+    fontWeight: '600',
+    marginBottom: SPACING.sm,
+  },
+  code: {
+    ...TYPOGRAPHY.largeTitle,
+    fontSize: 44,
+    letterSpacing: 8,
+    color: COLORS.text,
+    fontVariant: ['tabular-nums'],
+  },
+  qr: {
+    padding: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  codeLoading: {
+    marginVertical: SPACING.lg,
+  },
+  codeInput: {
+    ...TYPOGRAPHY.largeTitle,
+    letterSpacing: 6,
+    textAlign: 'center',
+    color: COLORS.text,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+    borderRadius: RADIUS.md,
+    paddingVertical: SPACING.sm,
+    marginBottom: SPACING.sm,
+  },
+  scanner: {
+    height: 240,
+    borderRadius: RADIUS.md,
+    overflow: 'hidden',
+  },
+  scannedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  scannedText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  meta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  instructions: {
+    ...TYPOGRAPHY.subheadline,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginBottom: SPACING.lg,
+  },
+  errorText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.danger,
+    textAlign: 'center',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+  },
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.text,
+  },
+  chipTextActive: {
+    color: COLORS.background,
+    fontWeight: '600',
+  },
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+  },
+  photo: {
+    width: 72,
+    height: 72,
+    borderRadius: RADIUS.sm,
+  },
+  addPhoto: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: COLORS.primary,
+  },
+  photoRemove: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 10,
+    width: 20,
+    height: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.danger + '12',
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  errorCardText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.danger,
+    flex: 1,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.primary,
+    borderRadius: RADIUS.md,
+    paddingVertical: SPACING.md,
+  },
+  primaryButtonText: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 15,
+    color: COLORS.background,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  secondaryButtonText: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 15,
+    color: COLORS.primary,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
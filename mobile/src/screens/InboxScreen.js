@@ -29,6 +29,10 @@ const NOTIFICATION_ICONS = {
   pickup_confirmed: 'cube',
   return_confirmed: 'checkbox',
   return_reminder: 'alarm',
+  rental_overdue: 'alarm',
+  rental_overdue_lender: 'alarm',
+  late_fee_charged: 'card',
+  overdue_dispute_opened: 'alert-circle',
   dispute_opened: 'warning',
   dispute_filed_against_you: 'alert-circle',
   dispute_counter_received: 'swap-horizontal',
@@ -38,7 +42,9 @@ const NOTIFICATION_ICONS = {
   dispute_resolved: 'checkmark-done',
   new_rating: 'star',
   rating_received: 'star',
+  join_request: 'person-add',
   join_approved: 'people',
+  join_denied: 'close-circle',
   item_match: 'sparkles',
   new_request: 'search',
   new_message: 'chatbubble',
@@ -47,6 +53,9 @@ const NOTIFICATION_ICONS = {
   referral_joined: 'gift',
   referral_reward: 'trophy',
   payment_failed: 'card',
+  report_resolved: 'shield-checkmark',
+  content_removed: 'eye-off',
+  moderation_warning: 'warning',
 };
 
 export default function InboxScreen({ navigation, badgeCounts, onRead }) {
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,25 +6,48 @@ import {
   TextInput,
   Share,
   ScrollView,
+  ActivityIndicator,
 } from 'react-native';
 import * as Clipboard from 'expo-clipboard';
 import { Ionicons } from '../components/Icon';
+import api from '../services/api';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
 import HapticPressable from '../components/HapticPressable';
 import { haptics } from '../utils/haptics';
 
+const APP_LINK = 'https://borrowhood.com';
+
 export default function InviteMembersScreen({ route, navigation }) {
   const { communityId } = route.params;
   const [email, setEmail] = useState('');
+  const [invite, setInvite] = useState(null);
+  const [isLoadingInvite, setIsLoadingInvite] = useState(true);
+
+  // Organizers get a code that skips approval; reuse the newest one instead of
+  // minting a fresh code every visit. Members can't issue codes (403).
+  useEffect(() => {
+    const loadInvite = async () => {
+      try {
+        const invites = await api.getCommunityInvites(communityId);
+        setInvite(invites?.[0] || await api.createCommunityInvite(communityId, {}));
+      } catch (error) {
+        setInvite(null);
+      } finally {
+        setIsLoadingInvite(false);
+      }
+    };
+    loadInvite();
+  }, [communityId]);
 
-  // Generate a simple invite code (in production, this would come from the API)
-  const inviteCode = `BH-${communityId?.slice(0, 8).toUpperCase() || 'INVITE'}`;
-  const inviteLink = `https://borrowhood.app/join/${inviteCode}`;
+  const inviteCode = invite?.code;
+  const inviteLink = invite?.link || APP_LINK;
 
   const handleShare = async () => {
     try {
       await Share.share({
-        message: `Join my neighborhood on Borrowhood! Use invite code: ${inviteCode}\n\nDownload the app and enter this code to join: ${inviteLink}`,
+        message: inviteCode
+          ? `Join my neighborhood on Borrowhood! Use invite code: ${inviteCode}\n\nDownload the app and enter this code to join: ${inviteLink}`
+          : `Join my neighborhood on Borrowhood! Download the app to borrow and lend with neighbors: ${inviteLink}`,
       });
     } catch (error) {
       console.error('Share error:', error);
@@ -32,6 +55,7 @@ export default function InviteMembersScreen({ route, navigation }) {
   };
 
   const handleCopyCode = async () => {
+    if (!inviteCode) return;
     await Clipboard.setStringAsync(inviteCode);
     haptics.success();
   };
@@ -70,32 +94,40 @@ export default function InviteMembersScreen({ route, navigation }) {
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Invite Code</Text>
         <Text style={styles.sectionDescription}>
-          Share this code with neighbors to let them join
+          {inviteCode || isLoadingInvite
+            ? 'Neighbors who join with this code skip the approval queue'
+            : 'Only organizers can create invite codes. Ask one of them to share theirs.'}
         </Text>
 
-        <View style={[styles.cardBox, styles.codeCard]}>
-          <View style={styles.codeContainer}>
-            <Text style={styles.codeText}>{inviteCode}</Text>
-            <HapticPressable style={styles.copyButton} onPress={handleCopyCode} haptic="light">
-              <Ionicons name="copy-outline" size={20} color={COLORS.primary} />
-            </HapticPressable>
+        {isLoadingInvite ? (
+          <ActivityIndicator size="small" color={COLORS.primary} />
+        ) : inviteCode ? (
+          <View style={[styles.cardBox, styles.codeCard]}>
+            <View style={styles.codeContainer}>
+              <Text style={styles.codeText}>{inviteCode}</Text>
+              <HapticPressable style={styles.copyButton} onPress={handleCopyCode} haptic="light">
+                <Ionicons name="copy-outline" size={20} color={COLORS.primary} />
+              </HapticPressable>
+            </View>
           </View>
-        </View>
+        ) : null}
       </View>
 
       {/* Link Section */}
-      <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Invite Link</Text>
-
-        <View style={[styles.cardBox, styles.linkCard]}>
-          <View style={styles.linkContainer}>
-            <Text style={styles.linkText} numberOfLines={1}>{inviteLink}</Text>
-            <HapticPressable style={styles.copyButton} onPress={handleCopyLink} haptic="light">
-              <Ionicons name="copy-outline" size={20} color={COLORS.primary} />
-            </HapticPressable>
+      {inviteCode && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Invite Link</Text>
+
+          <View style={[styles.cardBox, styles.linkCard]}>
+            <View style={styles.linkContainer}>
+              <Text style={styles.linkText} numberOfLines={1}>{inviteLink}</Text>
+              <HapticPressable style={styles.copyButton} onPress={handleCopyLink} haptic="light">
+                <Ionicons name="copy-outline" size={20} color={COLORS.primary} />
+              </HapticPressable>
+            </View>
           </View>
         </View>
-      </View>
+      )}
 
       {/* Email Invite Section */}
       <View style={styles.section}>
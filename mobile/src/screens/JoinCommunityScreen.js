@@ -23,7 +23,7 @@ const NEEDS_LOCATION_MESSAGE = 'Set your location in your profile to discover ne
 
 export default function JoinCommunityScreen({ navigation }) {
   const { user, refreshUser } = useAuth();
-  const { showError } = useError();
+  const { showError, showToast } = useError();
   const [neighborhoods, setNeighborhoods] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
@@ -33,6 +33,11 @@ export default function JoinCommunityScreen({ navigation }) {
   const [newDescription, setNewDescription] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [needsLocation, setNeedsLocation] = useState(false);
+  const [questionTarget, setQuestionTarget] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [showInviteModal, setShowInviteModal] = useState(false);
+  const [inviteCode, setInviteCode] = useState('');
+  const [isRedeeming, setIsRedeeming] = useState(false);
 
   useEffect(() => {
     fetchNeighborhoods();
@@ -56,10 +61,19 @@ export default function JoinCommunityScreen({ navigation }) {
     }
   };
 
-  const handleJoin = async (neighborhood) => {
+  const submitJoin = async (neighborhood, data) => {
     setJoiningId(neighborhood.id);
     try {
-      await api.joinCommunity(neighborhood.id);
+      const result = await api.joinCommunity(neighborhood.id, data);
+      if (result?.status === 'pending') {
+        setNeighborhoods(prev =>
+          prev.map(n => n.id === neighborhood.id ? { ...n, hasPendingRequest: true } : n)
+        );
+        setQuestionTarget(null);
+        haptics.success();
+        showToast('Request sent — an organizer will review it soon', 'success');
+        return;
+      }
       await refreshUser();
       haptics.success();
       navigation.goBack();
@@ -74,6 +88,85 @@ export default function JoinCommunityScreen({ navigation }) {
     }
   };
 
+  const handleJoin = async (neighborhood) => {
+    if (!neighborhood.requiresApproval) {
+      return submitJoin(neighborhood);
+    }
+
+    // Approval-gated neighborhoods may ask questions before the request goes to an organizer
+    setJoiningId(neighborhood.id);
+    try {
+      const detail = await api.getCommunity(neighborhood.id);
+      if (detail?.joinQuestions?.length) {
+        setAnswers({});
+        setQuestionTarget({ ...neighborhood, joinQuestions: detail.joinQuestions });
+        setJoiningId(null);
+        return;
+      }
+    } catch (error) {
+      // Fall through — the server will ask for answers if it needs them
+    }
+    await submitJoin(neighborhood);
+  };
+
+  const handleSubmitAnswers = () => {
+    const missing = questionTarget.joinQuestions.some(q => q.required && !answers[q.id]?.trim());
+    if (missing) {
+      haptics.warning();
+      showError({ type: 'validation', message: 'Please answer the required questions.' });
+      return;
+    }
+    submitJoin(questionTarget, {
+      answers: questionTarget.joinQuestions
+        .filter(q => answers[q.id]?.trim())
+        .map(q => ({ questionId: q.id, answer: answers[q.id].trim() })),
+    });
+  };
+
+  const handleCancelRequest = async (neighborhood) => {
+    setJoiningId(neighborhood.id);
+    try {
+      await api.cancelJoinRequest(neighborhood.id);
+      setNeighborhoods(prev =>
+        prev.map(n => n.id === neighborhood.id ? { ...n, hasPendingRequest: false } : n)
+      );
+      haptics.light();
+    } catch (error) {
+      haptics.error();
+      showError({ message: error.message || 'Couldn\'t withdraw your request. Please try again.' });
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  const handleRedeemInvite = async () => {
+    const code = inviteCode.trim();
+    if (!code) {
+      haptics.warning();
+      return;
+    }
+
+    setIsRedeeming(true);
+    try {
+      const invite = await api.getCommunityInvite(code);
+      await api.joinCommunity(invite.community.id, { inviteCode: code });
+      await refreshUser();
+      setShowInviteModal(false);
+      setInviteCode('');
+      haptics.success();
+      showToast(`Welcome to ${invite.community.name}!`, 'success');
+      navigation.goBack();
+    } catch (error) {
+      haptics.error();
+      showError({
+        type: 'validation',
+        message: error.message || 'That invite code didn\'t work. Check it and try again.',
+      });
+    } finally {
+      setIsRedeeming(false);
+    }
+  };
+
   const handleCreate = async () => {
     if (!newName.trim()) {
       showError({
@@ -150,6 +243,20 @@ export default function JoinCommunityScreen({ navigation }) {
             <Ionicons name="checkmark-circle" size={16} color={COLORS.primary} />
             <Text style={styles.memberBadgeText}>Joined</Text>
           </View>
+        ) : item.hasPendingRequest ? (
+          <View style={styles.pendingRow}>
+            <View style={styles.memberBadge}>
+              <Ionicons name="time-outline" size={16} color={COLORS.textSecondary} />
+              <Text style={[styles.memberBadgeText, styles.pendingBadgeText]}>Request Pending</Text>
+            </View>
+            <HapticPressable
+              onPress={() => handleCancelRequest(item)}
+              disabled={joiningId === item.id}
+              haptic="light"
+            >
+              <Text style={styles.withdrawText}>Withdraw</Text>
+            </HapticPressable>
+          </View>
         ) : (
           <HapticPressable
             style={styles.joinButton}
@@ -160,7 +267,9 @@ export default function JoinCommunityScreen({ navigation }) {
             {joiningId === item.id ? (
               <ActivityIndicator size="small" color="#fff" />
             ) : (
-              <Text style={styles.joinButtonText}>Join Neighborhood</Text>
+              <Text style={styles.joinButtonText}>
+                {item.requiresApproval ? 'Request to Join' : 'Join Neighborhood'}
+              </Text>
             )}
           </HapticPressable>
         )}
@@ -213,6 +322,14 @@ export default function JoinCommunityScreen({ navigation }) {
         <Text style={styles.createButtonText}>Create New Neighborhood</Text>
       </HapticPressable>
 
+      <HapticPressable
+        style={styles.inviteLink}
+        onPress={() => setShowInviteModal(true)}
+        haptic="light"
+      >
+        <Text style={styles.inviteLinkText}>Have an invite code?</Text>
+      </HapticPressable>
+
       {/* Neighborhoods List */}
       <FlatList
         data={filteredNeighborhoods}
@@ -299,6 +416,104 @@ export default function JoinCommunityScreen({ navigation }) {
           </View>
         </KeyboardAvoidingView>
       </Modal>
+
+      {/* Join Questions Modal */}
+      <Modal
+        visible={!!questionTarget}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setQuestionTarget(null)}
+      >
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Request to Join</Text>
+              <HapticPressable onPress={() => setQuestionTarget(null)} haptic="light">
+                <Ionicons name="close" size={24} color={COLORS.text} />
+              </HapticPressable>
+            </View>
+
+            <Text style={styles.modalSubtitle}>
+              The organizers of {questionTarget?.name} review new members. Answer a few questions to send your request.
+            </Text>
+
+            {questionTarget?.joinQuestions.map(q => (
+              <View key={q.id}>
+                <Text style={styles.inputLabel}>{q.question}{q.required ? ' *' : ''}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={answers[q.id] || ''}
+                  onChangeText={(text) => setAnswers(prev => ({ ...prev, [q.id]: text }))}
+                  placeholderTextColor={COLORS.textSecondary}
+                  maxLength={1000}
+                />
+              </View>
+            ))}
+
+            <HapticPressable
+              style={[styles.modalButton, joiningId === questionTarget?.id && styles.modalButtonDisabled]}
+              onPress={handleSubmitAnswers}
+              disabled={joiningId === questionTarget?.id}
+              haptic="medium"
+            >
+              {joiningId === questionTarget?.id ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.modalButtonText}>Send Request</Text>
+              )}
+            </HapticPressable>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+
+      {/* Invite Code Modal */}
+      <Modal
+        visible={showInviteModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowInviteModal(false)}
+      >
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Enter Invite Code</Text>
+              <HapticPressable onPress={() => setShowInviteModal(false)} haptic="light">
+                <Ionicons name="close" size={24} color={COLORS.text} />
+              </HapticPressable>
+            </View>
+
+            <TextInput
+              style={styles.input}
+              value={inviteCode}
+              onChangeText={setInviteCode}
+              placeholder="BH-XXXXXXXX"
+              placeholderTextColor={COLORS.textSecondary}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              maxLength={20}
+            />
+
+            <HapticPressable
+              style={[styles.modalButton, isRedeeming && styles.modalButtonDisabled]}
+              onPress={handleRedeemInvite}
+              disabled={isRedeeming}
+              haptic="medium"
+            >
+              {isRedeeming ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.modalButtonText}>Join with Code</Text>
+              )}
+            </HapticPressable>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
     </View>
   );
 }
@@ -365,6 +580,17 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.button,
     color: COLORS.primary,
   },
+  inviteLink: {
+    alignSelf: 'center',
+    marginTop: -SPACING.sm,
+    marginBottom: SPACING.md,
+    padding: SPACING.xs,
+  },
+  inviteLinkText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   listContent: {
     padding: SPACING.lg,
     paddingTop: 0,
@@ -440,6 +666,19 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: COLORS.primary,
   },
+  pendingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  pendingBadgeText: {
+    color: COLORS.textSecondary,
+  },
+  withdrawText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.danger,
+  },
   emptyContainer: {
     alignItems: 'center',
     paddingVertical: 48,
@@ -492,6 +731,11 @@ const styles = StyleSheet.create({
     fontSize: 20,
     color: COLORS.text,
   },
+  modalSubtitle: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.sm,
+  },
   inputLabel: {
     ...TYPOGRAPHY.footnote,
     fontSize: 14,
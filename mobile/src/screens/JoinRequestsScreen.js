@@ -0,0 +1,407 @@
+import { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  Image,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import { useError } from '../context/ErrorContext';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+
+export default function JoinRequestsScreen({ route, navigation }) {
+  const { id: communityId } = route.params;
+  const { showToast, showError } = useError();
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [review, setReview] = useState(null); // { request, approve }
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const data = await api.getJoinRequests(communityId);
+      setRequests(data || []);
+    } catch (err) {
+      showError({ message: err.message || 'Failed to load join requests' });
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, [communityId]);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchRequests();
+    }, [fetchRequests])
+  );
+
+  const openReview = (request, approve) => {
+    setMessage('');
+    setReview({ request, approve });
+  };
+
+  const handleSubmitReview = async () => {
+    const { request, approve } = review;
+    setIsSubmitting(true);
+    try {
+      const note = message.trim() || undefined;
+      if (approve) {
+        await api.approveJoinRequest(communityId, request.id, note);
+      } else {
+        await api.denyJoinRequest(communityId, request.id, note);
+      }
+      setRequests(prev => prev.filter(r => r.id !== request.id));
+      setReview(null);
+      haptics.success();
+      showToast(
+        approve ? `${request.user.firstName} is now a member` : 'Request declined',
+        'success'
+      );
+    } catch (err) {
+      haptics.error();
+      showError({ message: err.message || 'Failed to review request' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderRequest = ({ item }) => (
+    <View style={styles.card}>
+      <HapticPressable
+        haptic="light"
+        style={styles.userRow}
+        onPress={() => navigation.navigate('UserProfile', { id: item.user.id })}
+      >
+        {item.user.profilePhotoUrl ? (
+          <Image source={{ uri: item.user.profilePhotoUrl }} style={styles.avatar} />
+        ) : (
+          <View style={[styles.avatar, styles.avatarPlaceholder]}>
+            <Text style={styles.avatarInitial}>{item.user.firstName?.charAt(0)}</Text>
+          </View>
+        )}
+        <View style={styles.userInfo}>
+          <View style={styles.nameRow}>
+            <Text style={styles.userName}>{item.user.firstName} {item.user.lastName}</Text>
+            {item.user.isVerified && (
+              <Ionicons name="checkmark-circle" size={16} color={COLORS.primary} />
+            )}
+          </View>
+          <Text style={styles.userMeta}>
+            Requested {new Date(item.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            {item.user.ratingCount > 0 ? ` · ${item.user.rating.toFixed(1)}★` : ''}
+          </Text>
+          {item.user.hasFriendInCommunity && (
+            <Text style={styles.friendHint}>Friends with a member</Text>
+          )}
+        </View>
+      </HapticPressable>
+
+      {item.answers.map(a => (
+        <View key={a.questionId} style={styles.answer}>
+          <Text style={styles.answerQuestion}>{a.question}</Text>
+          <Text style={styles.answerText}>{a.answer}</Text>
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        <HapticPressable
+          testID={`JoinRequests.button.deny.${item.id}`}
+          haptic="light"
+          style={[styles.actionButton, styles.denyButton]}
+          onPress={() => openReview(item, false)}
+        >
+          <Text style={styles.denyText}>Decline</Text>
+        </HapticPressable>
+        <HapticPressable
+          testID={`JoinRequests.button.approve.${item.id}`}
+          haptic="medium"
+          style={[styles.actionButton, styles.approveButton]}
+          onPress={() => openReview(item, true)}
+        >
+          <Text style={styles.approveText}>Approve</Text>
+        </HapticPressable>
+      </View>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={requests}
+        keyExtractor={(item) => item.id}
+        renderItem={renderRequest}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={() => { setIsRefreshing(true); fetchRequests(); }}
+            tintColor={COLORS.primary}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="people-outline" size={48} color={COLORS.gray[600]} />
+            <Text style={styles.emptyText}>No pending requests</Text>
+            <Text style={styles.emptySubtext}>
+              When neighbors ask to join, they'll show up here for you to review.
+            </Text>
+          </View>
+        }
+      />
+
+      <Modal
+        visible={!!review}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setReview(null)}
+      >
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {review?.approve ? 'Approve' : 'Decline'} {review?.request.user.firstName}
+              </Text>
+              <HapticPressable onPress={() => setReview(null)} haptic="light">
+                <Ionicons name="close" size={24} color={COLORS.text} />
+              </HapticPressable>
+            </View>
+
+            <Text style={styles.inputLabel}>Message (optional)</Text>
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              value={message}
+              onChangeText={setMessage}
+              placeholder={review?.approve ? 'Welcome to the neighborhood!' : 'Let them know why...'}
+              placeholderTextColor={COLORS.textSecondary}
+              multiline
+              maxLength={500}
+            />
+
+            <HapticPressable
+              style={[
+                styles.modalButton,
+                !review?.approve && styles.modalButtonDanger,
+                isSubmitting && styles.modalButtonDisabled,
+              ]}
+              onPress={handleSubmitReview}
+              disabled={isSubmitting}
+              haptic="medium"
+            >
+              {isSubmitting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.modalButtonText}>
+                  {review?.approve ? 'Approve Request' : 'Decline Request'}
+                </Text>
+              )}
+            </HapticPressable>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  list: {
+    padding: SPACING.lg,
+    flexGrow: 1,
+  },
+  card: {
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  userRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: COLORS.gray[200],
+  },
+  avatarPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  avatarInitial: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.textSecondary,
+  },
+  userInfo: {
+    flex: 1,
+    marginLeft: SPACING.md,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  userName: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+  },
+  userMeta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  friendHint: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.primary,
+    marginTop: 2,
+  },
+  answer: {
+    marginTop: SPACING.md,
+  },
+  answerQuestion: {
+    ...TYPOGRAPHY.caption1,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  answerText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: SPACING.sm + 2,
+    borderRadius: RADIUS.md - 2,
+    alignItems: 'center',
+  },
+  denyButton: {
+    borderWidth: 1,
+    borderColor: COLORS.danger,
+  },
+  denyText: {
+    ...TYPOGRAPHY.button,
+    color: COLORS.danger,
+  },
+  approveButton: {
+    backgroundColor: COLORS.primary,
+  },
+  approveText: {
+    ...TYPOGRAPHY.button,
+    color: '#fff',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 48,
+    paddingHorizontal: SPACING.xl,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+    marginTop: SPACING.md,
+  },
+  emptySubtext: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xs,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    borderTopLeftRadius: RADIUS.xl,
+    borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.xl,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.lg,
+  },
+  modalTitle: {
+    ...TYPOGRAPHY.h2,
+    fontSize: 20,
+    color: COLORS.text,
+  },
+  inputLabel: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SPACING.xs,
+  },
+  input: {
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    borderWidth: 1,
+    borderColor: COLORS.separator,
+  },
+  textArea: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  modalButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.md,
+    alignItems: 'center',
+    marginTop: SPACING.lg,
+  },
+  modalButtonDanger: {
+    backgroundColor: COLORS.danger,
+  },
+  modalButtonDisabled: {
+    opacity: 0.6,
+  },
+  modalButtonText: {
+    ...TYPOGRAPHY.button,
+    color: '#fff',
+  },
+});
@@ -41,6 +41,7 @@ export default function ListingDetailScreen({ route, navigation }) {
   const [isSaved, setIsSaved] = useState(false);
   const [deleteSheetVisible, setDeleteSheetVisible] = useState(false);
   const [messageLoading, setMessageLoading] = useState(false);
+  const [leaveWaitlistVisible, setLeaveWaitlistVisible] = useState(false);
 
   const heartScale = useSharedValue(1);
   const heartAnimStyle = useAnimatedStyle(() => ({
@@ -121,6 +122,17 @@ export default function ListingDetailScreen({ route, navigation }) {
     }
   };
 
+  const handleLeaveWaitlist = async () => {
+    try {
+      await api.leaveWaitlist(id);
+      haptics.success();
+      fetchListing();
+    } catch (error) {
+      haptics.error();
+      showError({ message: error.message || 'Couldn\'t leave the waitlist. Please try again.' });
+    }
+  };
+
   const handleDelete = async () => {
     try {
       await api.deleteListing(id);
@@ -152,6 +164,10 @@ export default function ListingDetailScreen({ route, navigation }) {
     );
   }
 
+  const waitlistEntry = listing.waitlist?.entry;
+  const canJoinWaitlist = !listing.isAvailable && !listing.activeTransaction && !waitlistEntry
+    && listing.listingType !== 'giveaway' && listing.status === 'active';
+
   return (
     <View style={styles.container}>
       <ScrollView contentContainerStyle={{ paddingBottom: 100 }}>
@@ -323,6 +339,32 @@ export default function ListingDetailScreen({ route, navigation }) {
             </HapticPressable>
           )}
 
+          {/* Taken down by a moderator — only the owner can still see it */}
+          {listing.isOwner && listing.status === 'hidden' && (
+            <View style={[styles.cardBox, styles.waitlistCard]}>
+              <Ionicons name="eye-off-outline" size={22} color={COLORS.danger} />
+              <Text style={styles.waitlistCardText}>
+                This listing was removed after a community report and is no longer visible to neighbors.
+              </Text>
+            </View>
+          )}
+
+          {/* Waitlist status */}
+          {waitlistEntry && !listing.activeTransaction && (
+            <View style={[styles.cardBox, styles.waitlistCard]}>
+              <Ionicons
+                name={waitlistEntry.status === 'offered' ? 'notifications' : 'time-outline'}
+                size={22}
+                color={COLORS.greenText}
+              />
+              <Text style={styles.waitlistCardText}>
+                {waitlistEntry.status === 'offered'
+                  ? `It's your turn! Claim it by ${new Date(waitlistEntry.offerExpiresAt).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })} or it goes to the next person.`
+                  : `You're #${waitlistEntry.position} in line. We'll notify you when it's your turn.`}
+              </Text>
+            </View>
+          )}
+
           {/* Description */}
           {listing.description && (
             <View style={styles.descriptionSection}>
@@ -365,6 +407,24 @@ export default function ListingDetailScreen({ route, navigation }) {
                 <Ionicons name="chevron-forward" size={20} color={COLORS.gray[400]} />
               </View>
             </HapticPressable>
+
+            {!listing.isOwner && (
+              <HapticPressable
+                testID="ListingDetail.button.report"
+                accessibilityLabel="Report this listing"
+                accessibilityRole="button"
+                style={styles.reportLink}
+                onPress={() => navigation.navigate('ReportContent', {
+                  targetType: 'listing',
+                  targetId: listing.id,
+                  targetLabel: listing.title,
+                })}
+                haptic="light"
+              >
+                <Ionicons name="flag-outline" size={16} color={COLORS.textMuted} />
+                <Text style={styles.reportLinkText}>Report this listing</Text>
+              </HapticPressable>
+            )}
           </>
           )}
         </View>
@@ -415,7 +475,7 @@ export default function ListingDetailScreen({ route, navigation }) {
             >
               <Ionicons name="chatbubble" size={20} color={COLORS.greenText} />
             </HapticPressable>
-            {listing.isAvailable && !listing.activeTransaction && (
+            {listing.isAvailable && !listing.activeTransaction && waitlistEntry?.status !== 'offered' && (
               <HapticPressable
                 testID="ListingDetail.button.borrow"
                 accessibilityLabel={listing.listingType === 'giveaway' ? 'Claim this item' : 'Request to borrow'}
@@ -429,6 +489,40 @@ export default function ListingDetailScreen({ route, navigation }) {
                 </Text>
               </HapticPressable>
             )}
+            {waitlistEntry?.status === 'offered' && !listing.activeTransaction && (
+              <HapticPressable
+                style={styles.borrowButton}
+                onPress={() => navigation.navigate('BorrowRequest', {
+                  listing,
+                  startDate: waitlistEntry.startDate,
+                  endDate: waitlistEntry.endDate,
+                })}
+                haptic="medium"
+              >
+                <Text style={styles.borrowButtonText}>Claim Now</Text>
+              </HapticPressable>
+            )}
+            {waitlistEntry?.status === 'waiting' && !listing.isAvailable && !listing.activeTransaction && (
+              <HapticPressable
+                style={[styles.borrowButton, styles.waitlistButton]}
+                onPress={() => setLeaveWaitlistVisible(true)}
+                haptic="light"
+              >
+                <Ionicons name="time-outline" size={20} color={COLORS.greenText} />
+                <Text style={styles.waitlistButtonText}>#{waitlistEntry.position} on Waitlist</Text>
+              </HapticPressable>
+            )}
+            {canJoinWaitlist && (
+              <HapticPressable
+                accessibilityLabel="Join the waitlist"
+                accessibilityRole="button"
+                style={styles.borrowButton}
+                onPress={() => navigation.navigate('BorrowRequest', { listing, waitlist: true })}
+                haptic="medium"
+              >
+                <Text style={styles.borrowButtonText}>Join Waitlist</Text>
+              </HapticPressable>
+            )}
             {listing.activeTransaction && (
               <HapticPressable
                 style={styles.borrowButton}
@@ -452,14 +546,16 @@ export default function ListingDetailScreen({ route, navigation }) {
             >
               <Ionicons name="trash-outline" size={20} color={COLORS.danger} />
             </HapticPressable>
-            <HapticPressable
-              style={[styles.borrowButton, styles.editButton]}
-              onPress={() => navigation.navigate('EditListing', { listing })}
-              haptic="light"
-            >
-              <Ionicons name="create-outline" size={20} color="#fff" />
-              <Text style={styles.borrowButtonText}>Edit</Text>
-            </HapticPressable>
+            {listing.status !== 'hidden' && (
+              <HapticPressable
+                style={[styles.borrowButton, styles.editButton]}
+                onPress={() => navigation.navigate('EditListing', { listing })}
+                haptic="light"
+              >
+                <Ionicons name="create-outline" size={20} color="#fff" />
+                <Text style={styles.borrowButtonText}>Edit</Text>
+              </HapticPressable>
+            )}
           </View>
         </View>
       )}
@@ -478,6 +574,21 @@ export default function ListingDetailScreen({ route, navigation }) {
         ]}
         cancelLabel="Cancel"
       />
+
+      <ActionSheet
+        isVisible={leaveWaitlistVisible}
+        onClose={() => setLeaveWaitlistVisible(false)}
+        title="Leave Waitlist"
+        message={`You're #${waitlistEntry?.position || 1} in line for "${listing?.title}". Leaving gives up your place.`}
+        actions={[
+          {
+            label: 'Leave Waitlist',
+            onPress: handleLeaveWaitlist,
+            destructive: true,
+          },
+        ]}
+        cancelLabel="Stay in Line"
+      />
     </View>
   );
 }
@@ -866,4 +977,34 @@ const styles = StyleSheet.create({
     color: '#fff',
     ...TYPOGRAPHY.headline,
   },
+  waitlistButton: {
+    backgroundColor: COLORS.greenSurface,
+  },
+  waitlistButtonText: {
+    color: COLORS.greenText,
+    ...TYPOGRAPHY.headline,
+  },
+  waitlistCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.md,
+    padding: SPACING.lg,
+    marginBottom: SPACING.xl,
+  },
+  waitlistCardText: {
+    ...TYPOGRAPHY.subheadline,
+    color: COLORS.text,
+    flex: 1,
+  },
+  reportLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.xs,
+    paddingVertical: SPACING.lg,
+  },
+  reportLinkText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textMuted,
+  },
 });
@@ -180,6 +180,14 @@ export default function ListingDiscussionScreen({ route, navigation }) {
     setDeleteSheetVisible(true);
   };
 
+  const reportPost = (post) => {
+    navigation.navigate('ReportContent', {
+      targetType: 'discussion',
+      targetId: post.id,
+      targetLabel: post.content,
+    });
+  };
+
   const startReply = (post) => {
     setReplyingTo(post);
     inputRef.current?.focus();
@@ -228,6 +236,15 @@ export default function ListingDiscussionScreen({ route, navigation }) {
             <Text style={styles.deleteText}>Delete</Text>
           </HapticPressable>
         )}
+        {!isRequest && !reply.isOwn && (
+          <HapticPressable
+            haptic="light"
+            style={styles.deleteButton}
+            onPress={() => reportPost(reply)}
+          >
+            <Text style={styles.reportText}>Report</Text>
+          </HapticPressable>
+        )}
       </View>
     </View>
   );
@@ -284,6 +301,17 @@ export default function ListingDiscussionScreen({ route, navigation }) {
               </Text>
             </HapticPressable>
           )}
+          {!isRequest && !post.isOwn && (
+            <HapticPressable
+              haptic="light"
+              style={styles.actionButton}
+              onPress={() => reportPost(post)}
+              accessibilityLabel="Report post"
+            >
+              <Ionicons name="flag-outline" size={16} color={COLORS.textSecondary} />
+              <Text style={styles.actionText}>Report</Text>
+            </HapticPressable>
+          )}
         </View>
 
         {isExpanded && (
@@ -556,6 +584,11 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: COLORS.danger,
   },
+  reportText: {
+    ...TYPOGRAPHY.caption1,
+    fontWeight: '500',
+    color: COLORS.textMuted,
+  },
   composeContainer: {
     borderTopWidth: 1,
     borderTopColor: COLORS.separator,
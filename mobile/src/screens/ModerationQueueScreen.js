@@ -0,0 +1,382 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  RefreshControl,
+  ActivityIndicator,
+  Image,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '../components/Icon';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+import HapticPressable from '../components/HapticPressable';
+import SegmentedControl from '../components/SegmentedControl';
+import ActionSheet from '../components/ActionSheet';
+
+const STATUS_SEGMENTS = [
+  { label: 'Open', value: 'open' },
+  { label: 'Actioned', value: 'actioned' },
+  { label: 'Dismissed', value: 'dismissed' },
+];
+
+const TARGET_CONFIG = {
+  listing: { label: 'Listing', icon: 'cube-outline' },
+  discussion: { label: 'Discussion Post', icon: 'chatbubbles-outline' },
+  message: { label: 'Message', icon: 'chatbubble-outline' },
+  user: { label: 'Profile', icon: 'person-outline' },
+};
+
+const ACTION_LABELS = {
+  hide: 'Content hidden',
+  warn: 'Author warned',
+  suspend: 'Account suspended',
+};
+
+export default function ModerationQueueScreen({ navigation }) {
+  const { user } = useAuth();
+  const [reports, setReports] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const data = await api.getReports({ status: statusFilter });
+      setReports(Array.isArray(data) ? data : []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Couldn\'t load reports');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchReports();
+  }, [fetchReports]);
+
+  const onRefresh = () => {
+    setIsRefreshing(true);
+    fetchReports();
+  };
+
+  const resolve = async (report, action) => {
+    try {
+      await api.resolveReport(report.id, { action });
+      haptics.success();
+      setReports(prev => prev.filter(r => r.id !== report.id));
+    } catch (err) {
+      haptics.error();
+      setError(err.message || 'Couldn\'t resolve this report');
+    }
+  };
+
+  const openTarget = (report) => {
+    if (report.targetType === 'listing') {
+      navigation.navigate('ListingDetail', { id: report.targetId });
+    } else if (report.targetType === 'user') {
+      navigation.navigate('UserProfile', { id: report.targetId });
+    }
+  };
+
+  const getActions = (report) => {
+    const actions = [];
+    if (report.targetType === 'listing' || report.targetType === 'user') {
+      actions.push({
+        label: report.targetType === 'listing' ? 'View Listing' : 'View Profile',
+        onPress: () => openTarget(report),
+      });
+    }
+    if (report.targetType !== 'user' && !report.isHidden) {
+      actions.push({
+        label: 'Hide Content',
+        destructive: true,
+        onPress: () => resolve(report, 'hide'),
+      });
+    }
+    actions.push({
+      label: 'Warn Author',
+      onPress: () => resolve(report, 'warn'),
+    });
+    if (user?.isAdmin && !report.reportedUser?.isSuspended) {
+      actions.push({
+        label: 'Suspend Account',
+        destructive: true,
+        onPress: () => resolve(report, 'suspend'),
+      });
+    }
+    actions.push({
+      label: 'Dismiss',
+      onPress: () => resolve(report, 'dismiss'),
+    });
+    return actions;
+  };
+
+  const renderItem = ({ item }) => {
+    const target = TARGET_CONFIG[item.targetType] || { label: item.targetType, icon: 'flag-outline' };
+    const isOpen = item.status === 'open';
+
+    return (
+      <HapticPressable
+        testID={`ModerationQueue.report.${item.id}`}
+        onPress={() => (isOpen ? setSelectedReport(item) : openTarget(item))}
+        haptic="light"
+      >
+        <View style={[styles.card, styles.cardBox]}>
+          <View style={styles.cardContent}>
+            <View style={styles.cardHeader}>
+              <View style={styles.targetRow}>
+                <Ionicons name={target.icon} size={16} color={COLORS.textSecondary} />
+                <Text style={styles.targetText}>{target.label}</Text>
+              </View>
+              <View style={[styles.reasonBadge, { backgroundColor: COLORS.danger + '20' }]}>
+                <Text style={[styles.reasonText, { color: COLORS.danger }]}>{item.reasonLabel}</Text>
+              </View>
+            </View>
+
+            {item.preview ? (
+              <Text style={styles.preview} numberOfLines={3}>{item.preview}</Text>
+            ) : (
+              <Text style={styles.previewMissing}>Content no longer available</Text>
+            )}
+
+            {item.details ? (
+              <Text style={styles.details} numberOfLines={2}>"{item.details}"</Text>
+            ) : null}
+
+            {item.evidenceUrls?.length > 0 && (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.evidenceRow}>
+                {item.evidenceUrls.map((url) => (
+                  <Image key={url} source={{ uri: url }} style={styles.evidenceImage} />
+                ))}
+              </ScrollView>
+            )}
+
+            <View style={styles.cardFooter}>
+              <Text style={styles.footerText}>
+                {item.reportedUser?.firstName || 'Unknown'}
+                {item.reportCount > 1 ? ` · ${item.reportCount} reports` : ''}
+                {' · '}{new Date(item.createdAt).toLocaleDateString()}
+              </Text>
+              {isOpen ? (
+                <Ionicons name="ellipsis-horizontal" size={20} color={COLORS.textMuted} />
+              ) : (
+                <Text style={styles.outcomeText}>{ACTION_LABELS[item.action] || 'Dismissed'}</Text>
+              )}
+            </View>
+          </View>
+        </View>
+      </HapticPressable>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  const selectedSegmentIndex = STATUS_SEGMENTS.findIndex(s => s.value === statusFilter);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filtersContainer}>
+        <SegmentedControl
+          segments={STATUS_SEGMENTS.map(s => s.label)}
+          selectedIndex={selectedSegmentIndex >= 0 ? selectedSegmentIndex : 0}
+          onIndexChange={(index) => setStatusFilter(STATUS_SEGMENTS[index].value)}
+        />
+      </View>
+
+      {error && (
+        <View style={styles.errorCard}>
+          <Ionicons name="alert-circle" size={18} color={COLORS.danger} />
+          <Text style={styles.errorCardText}>{error}</Text>
+        </View>
+      )}
+
+      <FlatList
+        data={reports}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={onRefresh}
+            tintColor={COLORS.primary}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons name="shield-checkmark-outline" size={64} color={COLORS.textMuted} />
+            <Text style={styles.emptyTitle}>
+              {statusFilter === 'open' ? 'All clear' : 'Nothing here yet'}
+            </Text>
+            <Text style={styles.emptySubtitle}>
+              {statusFilter === 'open'
+                ? 'There are no reports waiting for review'
+                : 'Reviewed reports will show up here'}
+            </Text>
+          </View>
+        }
+      />
+
+      <ActionSheet
+        isVisible={!!selectedReport}
+        onClose={() => setSelectedReport(null)}
+        title="Review Report"
+        message={selectedReport?.reportCount > 1
+          ? `${selectedReport.reportCount} neighbors reported this. Your decision closes all of their reports.`
+          : 'The reporter will be told the outcome, but not who reviewed it.'}
+        actions={selectedReport ? getActions(selectedReport) : []}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+  },
+  filtersContainer: {
+    paddingHorizontal: SPACING.lg,
+    paddingTop: SPACING.md,
+    paddingBottom: SPACING.sm,
+  },
+  listContent: {
+    padding: SPACING.lg,
+    flexGrow: 1,
+  },
+  cardBox: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  card: {
+    marginBottom: SPACING.md,
+  },
+  cardContent: {
+    padding: SPACING.lg,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: SPACING.md,
+  },
+  targetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  targetText: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textSecondary,
+    fontWeight: '600',
+  },
+  reasonBadge: {
+    paddingHorizontal: SPACING.md - 2,
+    paddingVertical: SPACING.xs,
+    borderRadius: RADIUS.xs,
+  },
+  reasonText: {
+    ...TYPOGRAPHY.caption1,
+    fontWeight: '600',
+  },
+  preview: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    marginBottom: SPACING.sm,
+  },
+  previewMissing: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textMuted,
+    fontStyle: 'italic',
+    marginBottom: SPACING.sm,
+  },
+  details: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    lineHeight: 20,
+    marginBottom: SPACING.sm,
+  },
+  evidenceRow: {
+    marginBottom: SPACING.sm,
+  },
+  evidenceImage: {
+    width: 64,
+    height: 64,
+    borderRadius: RADIUS.sm,
+    marginRight: SPACING.sm,
+  },
+  cardFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingTop: SPACING.md,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: COLORS.separator,
+  },
+  footerText: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+    flex: 1,
+  },
+  outcomeText: {
+    ...TYPOGRAPHY.caption1,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.danger + '12',
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginHorizontal: SPACING.lg,
+    marginTop: SPACING.sm,
+  },
+  errorCardText: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.danger,
+    flex: 1,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+  },
+  emptyTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+    marginTop: SPACING.lg,
+  },
+  emptySubtitle: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    textAlign: 'center',
+  },
+});
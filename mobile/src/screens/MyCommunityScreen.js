@@ -281,6 +281,18 @@ export default function MyCommunityScreen({ navigation }) {
           <Ionicons name="chevron-forward" size={20} color={COLORS.gray[600]} />
         </HapticPressable>
 
+        {(community.role === 'organizer' || user?.isAdmin) && (
+          <HapticPressable
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('ModerationQueue')}
+            haptic="light"
+          >
+            <Ionicons name="flag-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.actionButtonText}>Review Reports</Text>
+            <Ionicons name="chevron-forward" size={20} color={COLORS.gray[600]} />
+          </HapticPressable>
+        )}
+
       </View>
     </ScrollView>
   );
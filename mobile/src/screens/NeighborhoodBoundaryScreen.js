@@ -0,0 +1,456 @@
+import { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Switch,
+  ScrollView,
+  Share,
+  ActivityIndicator,
+} from 'react-native';
+import * as Location from 'expo-location';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import ActionSheet from '../components/ActionSheet';
+import { useError } from '../context/ErrorContext';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+
+const formatCorner = ([lng, lat]) => `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+
+export default function NeighborhoodBoundaryScreen({ route }) {
+  const { id } = route.params;
+  const { showError, showToast } = useError();
+  const [feature, setFeature] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [unavailable, setUnavailable] = useState(false);
+  const [corners, setCorners] = useState([]);
+  const [isLocating, setIsLocating] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [scopeToBoundary, setScopeToBoundary] = useState(false);
+  const [showRemoveSheet, setShowRemoveSheet] = useState(false);
+
+  const hasBoundary = !!feature?.geometry;
+
+  const loadBoundary = async () => {
+    try {
+      const data = await api.getCommunityBoundary(id);
+      setFeature(data);
+      setScopeToBoundary(!!data.properties?.scopeToBoundary);
+    } catch (err) {
+      if (err.status === 501) {
+        setUnavailable(true);
+      } else {
+        showError({ message: err.message || 'Failed to load boundary' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBoundary();
+  }, [id]);
+
+  const handleAddCorner = async () => {
+    setIsLocating(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        showError({ message: 'Location permission is needed to walk the boundary.' });
+        return;
+      }
+      const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      setCorners(prev => [...prev, [coords.longitude, coords.latitude]]);
+      haptics.light();
+    } catch (err) {
+      showError({ message: 'Could not get your location. Try again outside.' });
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const saveBoundary = async (boundary) => {
+    setIsSaving(true);
+    try {
+      const result = await api.setCommunityBoundary(id, boundary, scopeToBoundary);
+      haptics.success();
+      showToast(`Boundary saved (${result.areaSqMiles} sq mi)`, 'success');
+      setCorners([]);
+      setImportText('');
+      await loadBoundary();
+    } catch (err) {
+      haptics.error();
+      showError({ message: err.message || 'Failed to save boundary' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveCorners = () => {
+    saveBoundary({ type: 'Polygon', coordinates: [corners] });
+  };
+
+  const handleImport = () => {
+    let geojson;
+    try {
+      geojson = JSON.parse(importText);
+    } catch {
+      showError({ type: 'validation', message: "That doesn't look like GeoJSON. Paste the whole file contents." });
+      return;
+    }
+    saveBoundary(geojson);
+  };
+
+  const handleExport = async () => {
+    try {
+      await Share.share({
+        title: `${feature.properties.name} boundary`,
+        message: JSON.stringify(feature, null, 2),
+      });
+    } catch (error) {
+      console.error('Share error:', error);
+    }
+  };
+
+  const handleToggleScope = async (value) => {
+    setScopeToBoundary(value);
+    if (!hasBoundary) return;
+    try {
+      await api.updateCommunity(id, { scopeToBoundary: value });
+      haptics.light();
+    } catch (err) {
+      setScopeToBoundary(!value);
+      haptics.error();
+      showError({ message: err.message || 'Failed to update visibility setting' });
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await api.clearCommunityBoundary(id);
+      haptics.success();
+      showToast('Boundary removed', 'success');
+      setScopeToBoundary(false);
+      await loadBoundary();
+    } catch (err) {
+      showError({ message: err.message || 'Failed to remove boundary' });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  if (unavailable) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="map-outline" size={48} color={COLORS.gray[600]} />
+        <Text style={styles.emptyText}>Boundaries aren't available yet</Text>
+        <Text style={styles.emptySubtext}>Neighbors are matched by city for now.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {/* Current boundary */}
+      <View style={[styles.cardBox, styles.statusCard]}>
+        <Ionicons
+          name={hasBoundary ? 'map' : 'business-outline'}
+          size={28}
+          color={COLORS.primary}
+        />
+        <View style={styles.statusInfo}>
+          <Text style={styles.statusTitle}>
+            {hasBoundary ? 'Boundary set' : 'No boundary'}
+          </Text>
+          <Text style={styles.statusDescription}>
+            {hasBoundary
+              ? `Covers ${feature.properties.areaSqMiles} sq mi. Only people living inside can join.`
+              : 'Anyone in your city can join. Draw or import a boundary to limit it to your neighborhood.'}
+          </Text>
+        </View>
+      </View>
+
+      <View style={[styles.cardBox, styles.settingRow]}>
+        <View style={styles.settingInfo}>
+          <Text style={styles.settingLabel}>Limit neighborhood items</Text>
+          <Text style={styles.settingDescription}>
+            Show neighborhood-only items to people inside the boundary instead of the whole city
+          </Text>
+        </View>
+        <Switch
+          testID="NeighborhoodBoundary.switch.scope"
+          value={scopeToBoundary}
+          onValueChange={handleToggleScope}
+          trackColor={{ false: COLORS.primaryMuted, true: COLORS.primary }}
+          thumbColor="#fff"
+          ios_backgroundColor={COLORS.primaryMuted}
+        />
+      </View>
+
+      {/* Walk the boundary */}
+      <Text style={styles.sectionTitle}>Walk the Boundary</Text>
+      <Text style={styles.sectionHint}>
+        Stand at each corner of your neighborhood and add it. Three or more corners make a boundary.
+      </Text>
+      {corners.map((corner, index) => (
+        <View key={`${corner[0]}-${corner[1]}-${index}`} style={styles.cornerRow}>
+          <Text style={styles.cornerLabel}>Corner {index + 1}</Text>
+          <Text style={styles.cornerValue}>{formatCorner(corner)}</Text>
+          <HapticPressable
+            onPress={() => setCorners(prev => prev.filter((_, i) => i !== index))}
+            haptic="light"
+          >
+            <Ionicons name="close-circle" size={20} color={COLORS.gray[600]} />
+          </HapticPressable>
+        </View>
+      ))}
+      <HapticPressable
+        testID="NeighborhoodBoundary.button.addCorner"
+        style={styles.actionButton}
+        onPress={handleAddCorner}
+        disabled={isLocating}
+        haptic="medium"
+      >
+        {isLocating ? (
+          <ActivityIndicator size="small" color={COLORS.primary} />
+        ) : (
+          <Ionicons name="locate" size={20} color={COLORS.primary} />
+        )}
+        <Text style={styles.actionButtonText}>Add My Location as a Corner</Text>
+      </HapticPressable>
+      {corners.length >= 3 && (
+        <HapticPressable
+          style={[styles.primaryButton, isSaving && styles.buttonDisabled]}
+          onPress={handleSaveCorners}
+          disabled={isSaving}
+          haptic="medium"
+        >
+          <Text style={styles.primaryButtonText}>Save {corners.length}-Corner Boundary</Text>
+        </HapticPressable>
+      )}
+
+      {/* Import */}
+      <Text style={styles.sectionTitle}>Import GeoJSON</Text>
+      <Text style={styles.sectionHint}>
+        Paste a polygon drawn on geojson.io or downloaded from your city's open data portal.
+      </Text>
+      <TextInput
+        style={[styles.input, styles.textArea]}
+        value={importText}
+        onChangeText={setImportText}
+        placeholder='{"type": "Polygon", "coordinates": [...]}'
+        placeholderTextColor={COLORS.textSecondary}
+        autoCapitalize="none"
+        autoCorrect={false}
+        multiline
+      />
+      <HapticPressable
+        style={[styles.primaryButton, (!importText.trim() || isSaving) && styles.buttonDisabled]}
+        onPress={handleImport}
+        disabled={!importText.trim() || isSaving}
+        haptic="medium"
+      >
+        <Text style={styles.primaryButtonText}>Import Boundary</Text>
+      </HapticPressable>
+
+      {hasBoundary && (
+        <>
+          <Text style={styles.sectionTitle}>Current Boundary</Text>
+          <HapticPressable style={styles.actionButton} onPress={handleExport} haptic="light">
+            <Ionicons name="share-outline" size={20} color={COLORS.primary} />
+            <Text style={styles.actionButtonText}>Export GeoJSON</Text>
+          </HapticPressable>
+          <HapticPressable
+            style={[styles.actionButton, styles.removeButton]}
+            onPress={() => setShowRemoveSheet(true)}
+            haptic="light"
+          >
+            <Ionicons name="trash-outline" size={20} color={COLORS.danger} />
+            <Text style={[styles.actionButtonText, styles.removeText]}>Remove Boundary</Text>
+          </HapticPressable>
+        </>
+      )}
+
+      <ActionSheet
+        isVisible={showRemoveSheet}
+        onClose={() => setShowRemoveSheet(false)}
+        title="Remove boundary?"
+        message="Membership and neighborhood items will go back to matching by city."
+        actions={[
+          {
+            label: 'Remove Boundary',
+            destructive: true,
+            onPress: handleRemove,
+          },
+        ]}
+      />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xl,
+    backgroundColor: COLORS.background,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+    marginTop: SPACING.md,
+  },
+  emptySubtext: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.xs,
+  },
+  cardBox: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  statusCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: SPACING.lg,
+    gap: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  statusInfo: {
+    flex: 1,
+  },
+  statusTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+  },
+  statusDescription: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: SPACING.lg,
+  },
+  settingInfo: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  settingLabel: {
+    ...TYPOGRAPHY.body,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  settingDescription: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: SPACING.xl,
+    marginBottom: SPACING.xs,
+  },
+  sectionHint: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.sm,
+  },
+  cornerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.xs,
+    gap: SPACING.sm,
+  },
+  cornerLabel: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.text,
+    width: 72,
+  },
+  cornerValue: {
+    ...TYPOGRAPHY.footnote,
+    flex: 1,
+    color: COLORS.textSecondary,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+    padding: SPACING.lg,
+    borderRadius: RADIUS.md,
+    marginBottom: SPACING.sm,
+    gap: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  actionButtonText: {
+    ...TYPOGRAPHY.body,
+    flex: 1,
+    color: COLORS.text,
+  },
+  removeButton: {
+    backgroundColor: COLORS.danger + '10',
+    borderColor: COLORS.danger + '30',
+  },
+  removeText: {
+    color: COLORS.danger,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.separator,
+    borderRadius: RADIUS.md,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: 14,
+    ...TYPOGRAPHY.body,
+    backgroundColor: COLORS.surface,
+    color: COLORS.text,
+    marginBottom: SPACING.sm,
+  },
+  textArea: {
+    height: 120,
+    textAlignVertical: 'top',
+  },
+  primaryButton: {
+    paddingVertical: 12,
+    borderRadius: RADIUS.md,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+    marginBottom: SPACING.sm,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    ...TYPOGRAPHY.button,
+    color: '#fff',
+  },
+});
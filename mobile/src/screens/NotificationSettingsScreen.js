@@ -49,6 +49,22 @@ const NOTIFICATION_SETTINGS = [
   },
 ];
 
+// Emailed notification types, grouped the way they're shown. The server keeps a
+// preference per type; each row switches its whole group.
+const EMAIL_SETTINGS = [
+  { key: 'bookings', label: 'Bookings', description: 'Borrow requests, approvals and declines', types: ['borrow_request', 'request_approved', 'request_declined'] },
+  { key: 'reminders', label: 'Return Reminders', description: 'Due dates and overdue items', types: ['return_reminder', 'rental_overdue'] },
+  { key: 'receipts', label: 'Receipts & Deposits', description: 'Payment receipts and deposit refunds or charges', types: ['payment_confirmed', 'deposit_released', 'deposit_charged'] },
+  { key: 'disputes', label: 'Disputes', description: 'Claims filed against you and their outcome', types: ['dispute_filed_against_you', 'dispute_resolved'] },
+  { key: 'payouts', label: 'Payouts', description: 'When your earnings are sent to your bank', types: ['payout_sent'] },
+];
+
+const DIGEST_OPTIONS = [
+  { value: 'off', label: 'Right away' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+];
+
 export default function NotificationSettingsScreen() {
   const [preferences, setPreferences] = useState({});
   const [isLoading, setIsLoading] = useState(true);
@@ -104,6 +120,28 @@ export default function NotificationSettingsScreen() {
     }
   };
 
+  const emailOn = preferences.email !== false;
+  const emailGroupOn = (types) => types.every(type => preferences.emailTypes?.[type] !== false);
+
+  const saveEmailPreferences = async (changes) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, ...changes, emailTypes: { ...preferences.emailTypes, ...changes.emailTypes } });
+
+    try {
+      setIsSaving(true);
+      await api.updateNotificationPreferences(changes);
+      haptics.selection();
+    } catch (error) {
+      setPreferences(previous);
+      haptics.error();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEmailGroupToggle = (types, value) =>
+    saveEmailPreferences({ emailTypes: Object.fromEntries(types.map(type => [type, value])) });
+
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -158,6 +196,68 @@ export default function NotificationSettingsScreen() {
         </View>
       ))}
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Email</Text>
+        <View style={[styles.cardBox, styles.settingsGroup]}>
+          <View style={[styles.settingRow, styles.settingRowBorder]}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingLabel}>Email Notifications</Text>
+              <Text style={styles.settingDescription}>Important updates, even when push is off</Text>
+            </View>
+            <Switch
+              testID="NotificationSettings.switch.email"
+              value={emailOn}
+              onValueChange={(value) => saveEmailPreferences({ email: value })}
+              trackColor={{ false: COLORS.primaryMuted, true: COLORS.primary }}
+              thumbColor="#fff"
+              ios_backgroundColor={COLORS.primaryMuted}
+            />
+          </View>
+          {EMAIL_SETTINGS.map((setting) => (
+            <View key={setting.key} style={[styles.settingRow, styles.settingRowBorder, !emailOn && styles.settingRowDisabled]}>
+              <View style={styles.settingInfo}>
+                <Text style={styles.settingLabel}>{setting.label}</Text>
+                <Text style={styles.settingDescription}>{setting.description}</Text>
+              </View>
+              <Switch
+                testID={`NotificationSettings.switch.email.${setting.key}`}
+                value={emailOn && emailGroupOn(setting.types)}
+                disabled={!emailOn}
+                onValueChange={(value) => handleEmailGroupToggle(setting.types, value)}
+                trackColor={{ false: COLORS.primaryMuted, true: COLORS.primary }}
+                thumbColor="#fff"
+                ios_backgroundColor={COLORS.primaryMuted}
+              />
+            </View>
+          ))}
+          <View style={[styles.settingRow, styles.digestRow, !emailOn && styles.settingRowDisabled]}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingLabel}>Receipts & Payouts Delivery</Text>
+              <Text style={styles.settingDescription}>Send these one by one, or bundled into a digest</Text>
+            </View>
+            <View style={styles.digestOptions}>
+              {DIGEST_OPTIONS.map((option) => {
+                const selected = (preferences.emailDigest || 'off') === option.value;
+                return (
+                  <HapticPressable
+                    key={option.value}
+                    testID={`NotificationSettings.digest.${option.value}`}
+                    style={[styles.digestChip, selected && styles.digestChipSelected]}
+                    onPress={() => !selected && saveEmailPreferences({ emailDigest: option.value })}
+                    disabled={!emailOn}
+                    haptic="light"
+                  >
+                    <Text style={[styles.digestChipText, selected && styles.digestChipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </HapticPressable>
+                );
+              })}
+            </View>
+          </View>
+        </View>
+      </View>
+
       <Text style={styles.footerText}>
         You can also manage notification permissions in your device settings.
       </Text>
@@ -207,9 +307,40 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: COLORS.separator,
   },
+  settingRowDisabled: {
+    opacity: 0.5,
+  },
   settingInfo: {
     flex: 1,
   },
+  digestRow: {
+    flexDirection: 'column',
+    alignItems: 'stretch',
+  },
+  digestOptions: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+  },
+  digestChip: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+  },
+  digestChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  digestChipText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.text,
+  },
+  digestChipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   settingLabel: {
     ...TYPOGRAPHY.body,
     fontWeight: '500',
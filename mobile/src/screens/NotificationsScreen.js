@@ -27,7 +27,9 @@ const NOTIFICATION_ICONS = {
   dispute_resolved: 'checkmark-done',
   new_rating: 'star',
   rating_received: 'star',
+  join_request: 'person-add',
   join_approved: 'people',
+  join_denied: 'close-circle',
   item_match: 'sparkles',
   new_request: 'search',
   new_message: 'chatbubble',
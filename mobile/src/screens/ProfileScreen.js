@@ -245,6 +245,13 @@ export default function ProfileScreen({ navigation }) {
             title="Disputes"
             onPress={() => navigation.navigate('Disputes')}
           />
+          {user?.isAdmin && (
+            <GroupedListItem
+              icon="shield-outline"
+              title="Review Reports"
+              onPress={() => navigation.navigate('ModerationQueue')}
+            />
+          )}
           {/* TODO: Restore when re-enabling paid tiers (ENABLE_PAID_TIERS) */}
           {ENABLE_PAID_TIERS && (
             <GroupedListItem
@@ -290,6 +297,16 @@ export default function ProfileScreen({ navigation }) {
             title="Notifications"
             onPress={() => navigation.navigate('NotificationSettings')}
           />
+          <GroupedListItem
+            icon="phone-portrait-outline"
+            title="Devices"
+            onPress={() => navigation.navigate('Devices')}
+          />
+          <GroupedListItem
+            icon="ban-outline"
+            title="Blocked Users"
+            onPress={() => navigation.navigate('BlockedUsers')}
+          />
           <GroupedListItem
             icon="help-circle-outline"
             title="Help & Support"
@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '../components/Icon';
+import HapticPressable from '../components/HapticPressable';
+import api from '../services/api';
+import { haptics } from '../utils/haptics';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '');
+
+export default function ReceiptScreen({ route }) {
+  const { transactionId } = route.params;
+  const [receipt, setReceipt] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchReceipt = useCallback(async () => {
+    try {
+      const data = await api.getReceipt(transactionId);
+      setReceipt(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Couldn\'t load this receipt');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [transactionId]);
+
+  useEffect(() => {
+    fetchReceipt();
+  }, [fetchReceipt]);
+
+  const handleEmail = async () => {
+    setIsSending(true);
+    try {
+      const result = await api.emailReceipt(transactionId);
+      setSentTo(result.sentTo);
+      setError(null);
+      haptics.success();
+    } catch (err) {
+      haptics.error();
+      setError(err.message || 'Couldn\'t email this receipt');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={COLORS.primary} />
+      </View>
+    );
+  }
+
+  if (!receipt) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="receipt-outline" size={48} color={COLORS.textMuted} />
+        <Text style={styles.emptyText}>{error || 'Receipt not available'}</Text>
+      </View>
+    );
+  }
+
+  const hasMemo = receipt.lineItems.some(line => line.memo);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.receiptNumber}>Receipt {receipt.receiptNumber}</Text>
+        <Text style={styles.itemTitle}>{receipt.item.title}</Text>
+        <Text style={styles.meta}>
+          {formatDate(receipt.period.start)} – {formatDate(receipt.period.end)}
+          {receipt.period.returnedAt ? ` · Returned ${formatDate(receipt.period.returnedAt)}` : ''}
+        </Text>
+        <Text style={styles.meta}>
+          {receipt.role === 'borrower' ? `Borrowed from ${receipt.lender.name}` : `Lent to ${receipt.borrower.name}`}
+        </Text>
+
+        <View style={styles.lines}>
+          {receipt.lineItems.map((line, index) => (
+            <View key={`${line.type}-${index}`} style={styles.lineRow}>
+              <Text style={[styles.lineLabel, line.memo && styles.memoText]}>{line.label}</Text>
+              <Text style={[styles.lineValue, line.memo && styles.memoText]}>
+                {line.memo ? `(${formatMoney(line.amount)})` : formatMoney(line.amount)}
+              </Text>
+            </View>
+          ))}
+          <View style={[styles.lineRow, styles.totalRow]}>
+            <Text style={styles.totalLabel}>{receipt.totalLabel}</Text>
+            <Text testID="Receipt.text.total" style={styles.totalValue}>{formatMoney(receipt.total)}</Text>
+          </View>
+        </View>
+        {hasMemo && (
+          <Text style={styles.footnote}>
+            Amounts in parentheses show where part of your deposit went and aren't added to the total.
+          </Text>
+        )}
+      </View>
+
+      {receipt.activity.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Payment Activity</Text>
+          {receipt.activity.map((entry, index) => (
+            <View key={index} style={styles.lineRow}>
+              <View style={styles.activityInfo}>
+                <Text style={styles.lineLabel}>{entry.label}</Text>
+                <Text style={styles.activityMeta}>
+                  {entry.status === 'succeeded' ? formatDate(entry.date) : entry.status}
+                </Text>
+              </View>
+              {entry.amount !== null && <Text style={styles.lineValue}>{formatMoney(entry.amount)}</Text>}
+            </View>
+          ))}
+        </View>
+      )}
+
+      {error && (
+        <View style={styles.errorCard}>
+          <Ionicons name="alert-circle" size={18} color={COLORS.danger} />
+          <Text style={styles.errorCardText}>{error}</Text>
+        </View>
+      )}
+
+      <HapticPressable
+        testID="Receipt.button.email"
+        accessibilityRole="button"
+        haptic="medium"
+        style={styles.emailButton}
+        onPress={handleEmail}
+        disabled={isSending}
+      >
+        {isSending ? (
+          <ActivityIndicator size="small" color={COLORS.background} />
+        ) : (
+          <>
+            <Ionicons name="mail-outline" size={18} color={COLORS.background} />
+            <Text style={styles.emailButtonText}>Email Receipt (PDF)</Text>
+          </>
+        )}
+      </HapticPressable>
+      {sentTo && <Text style={styles.sentText}>Sent to {sentTo}</Text>}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    padding: SPACING.lg,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.md,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.md,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  receiptNumber: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textMuted,
+    fontWeight: '600',
+  },
+  itemTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+    marginTop: SPACING.xs,
+  },
+  meta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  lines: {
+    marginTop: SPACING.lg,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 16,
+    color: COLORS.text,
+    marginBottom: SPACING.sm,
+  },
+  lineRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: SPACING.xs,
+    gap: SPACING.md,
+  },
+  lineLabel: {
+    ...TYPOGRAPHY.subheadline,
+    color: COLORS.text,
+    flexShrink: 1,
+  },
+  lineValue: {
+    ...TYPOGRAPHY.subheadline,
+    color: COLORS.text,
+  },
+  memoText: {
+    color: COLORS.textMuted,
+    fontSize: 13,
+  },
+  totalRow: {
+    marginTop: SPACING.sm,
+    paddingTop: SPACING.sm,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.borderBrown,
+  },
+  totalLabel: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+  },
+  totalValue: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.primary,
+  },
+  footnote: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+    marginTop: SPACING.sm,
+  },
+  activityInfo: {
+    flex: 1,
+  },
+  activityMeta: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textSecondary,
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.danger + '12',
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  errorCardText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.danger,
+    flex: 1,
+  },
+  emailButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.primary,
+    borderRadius: RADIUS.md,
+    paddingVertical: SPACING.md,
+  },
+  emailButtonText: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 15,
+    color: COLORS.background,
+  },
+  sentText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: SPACING.sm,
+  },
+});
@@ -0,0 +1,424 @@
+import { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView,
+  Image,
+} from 'react-native';
+import { Ionicons } from '../components/Icon';
+import { COLORS, SPACING, RADIUS, TYPOGRAPHY } from '../utils/config';
+import api from '../services/api';
+import HapticPressable from '../components/HapticPressable';
+import { haptics } from '../utils/haptics';
+import * as ImagePicker from 'expo-image-picker';
+
+const REASONS = [
+  { key: 'spam', icon: 'mail-unread-outline', label: 'Spam' },
+  { key: 'harassment', icon: 'hand-left-outline', label: 'Harassment' },
+  { key: 'scam', icon: 'warning-outline', label: 'Scam or Fraud' },
+  { key: 'inappropriate', icon: 'eye-off-outline', label: 'Inappropriate Content' },
+  { key: 'prohibited_item', icon: 'ban-outline', label: 'Prohibited Item' },
+  { key: 'other', icon: 'ellipsis-horizontal-circle-outline', label: 'Something Else' },
+];
+
+const TARGET_NOUNS = {
+  listing: 'listing',
+  discussion: 'post',
+  message: 'message',
+  user: 'profile',
+};
+
+export default function ReportContentScreen({ navigation, route }) {
+  const { targetType, targetId, targetLabel } = route.params || {};
+
+  // Prohibited items only make sense for listings
+  const reasons = REASONS.filter(r => r.key !== 'prohibited_item' || targetType === 'listing');
+  const noun = TARGET_NOUNS[targetType] || 'content';
+
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [completed, setCompleted] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const detailsRequired = reason === 'other';
+
+  const pickPhotos = async () => {
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      selectionLimit: 4 - photos.length,
+      quality: 0.8,
+    });
+
+    if (!result.canceled) {
+      const newPhotos = result.assets.map(a => a.uri);
+      setPhotos(prev => [...prev, ...newPhotos].slice(0, 4));
+    }
+  };
+
+  const removePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async () => {
+    if (submitting) return;
+
+    if (!reason) {
+      setSubmitError('Choose a reason for your report.');
+      haptics.warning();
+      return;
+    }
+    if (detailsRequired && details.trim().length < 10) {
+      setSubmitError('Tell us a little more about what\'s wrong (at least 10 characters).');
+      haptics.warning();
+      return;
+    }
+
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      let evidenceUrls = [];
+      if (photos.length > 0) {
+        evidenceUrls = await api.uploadImages(photos, 'reports');
+      }
+
+      await api.createReport({
+        targetType,
+        targetId,
+        reason,
+        details: details.trim() || undefined,
+        evidenceUrls,
+      });
+
+      setCompleted(true);
+      haptics.success();
+    } catch (err) {
+      haptics.error();
+      setSubmitError(err.message || 'Couldn\'t send your report right now. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (completed) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.centeredContent}>
+          <View style={styles.successCircle}>
+            <Ionicons name="checkmark-circle" size={64} color={COLORS.primary} />
+          </View>
+          <Text style={styles.title}>Thanks for Letting Us Know</Text>
+          <Text style={styles.subtitle}>
+            A neighborhood organizer will review this {noun}. We'll notify you once they've taken a look. They won't tell anyone who reported it.
+          </Text>
+          <HapticPressable
+            testID="ReportContent.button.done"
+            style={styles.primaryButton}
+            onPress={() => navigation.goBack()}
+            haptic="light"
+          >
+            <Text style={styles.primaryButtonText}>Done</Text>
+          </HapticPressable>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollContent}
+        contentContainerStyle={styles.scrollInner}
+        keyboardShouldPersistTaps="handled"
+      >
+        {targetLabel ? (
+          <Text style={styles.targetLabel} numberOfLines={2}>{targetLabel}</Text>
+        ) : null}
+
+        {/* Reason picker */}
+        <View style={[styles.cardBox, styles.card]}>
+          <View style={styles.cardContent}>
+            <Text style={styles.cardLabel}>What's wrong with this {noun}? *</Text>
+
+            {reasons.map((r, index) => (
+              <HapticPressable
+                testID={`ReportContent.picker.${r.key}`}
+                key={r.key}
+                style={[
+                  styles.typeRow,
+                  index < reasons.length - 1 && styles.typeRowBorder,
+                ]}
+                onPress={() => { setReason(r.key); setSubmitError(null); }}
+                haptic="light"
+              >
+                <Ionicons
+                  name={r.icon}
+                  size={22}
+                  color={reason === r.key ? COLORS.primary : COLORS.textSecondary}
+                />
+                <Text style={[styles.typeLabel, reason === r.key && styles.typeLabelSelected]}>
+                  {r.label}
+                </Text>
+                {reason === r.key && (
+                  <Ionicons name="checkmark" size={22} color={COLORS.primary} />
+                )}
+              </HapticPressable>
+            ))}
+          </View>
+        </View>
+
+        {/* Details */}
+        <View style={[styles.cardBox, styles.card]}>
+          <View style={styles.cardContent}>
+            <Text style={styles.cardLabel}>Details{detailsRequired ? ' *' : ''}</Text>
+            <Text style={styles.cardHint}>
+              {detailsRequired ? 'Minimum 10 characters' : 'Optional — anything that helps the reviewer'}
+            </Text>
+            <TextInput
+              testID="ReportContent.input.details"
+              accessibilityLabel="Report details"
+              style={styles.notesInput}
+              value={details}
+              onChangeText={(text) => { setDetails(text); setSubmitError(null); }}
+              placeholder="What happened?"
+              placeholderTextColor={COLORS.textMuted}
+              multiline
+              textAlignVertical="top"
+              maxLength={2000}
+            />
+            <Text style={styles.charCount}>{details.length}/2000</Text>
+          </View>
+        </View>
+
+        {/* Evidence screenshots */}
+        <View style={[styles.cardBox, styles.card]}>
+          <View style={styles.cardContent}>
+            <Text style={styles.cardLabel}>Screenshots</Text>
+            <Text style={styles.cardHint}>Optional — up to 4 images</Text>
+
+            <View style={styles.photosGrid}>
+              {photos.map((uri, index) => (
+                <View key={index} style={styles.photoWrapper}>
+                  <Image source={{ uri }} style={styles.photo} />
+                  <HapticPressable
+                    style={styles.removePhoto}
+                    onPress={() => removePhoto(index)}
+                    haptic="light"
+                  >
+                    <Ionicons name="close-circle" size={22} color={COLORS.danger} />
+                  </HapticPressable>
+                </View>
+              ))}
+
+              {photos.length < 4 && (
+                <HapticPressable
+                  testID="ReportContent.button.addPhoto"
+                  accessibilityLabel="Add screenshot"
+                  accessibilityRole="button"
+                  style={styles.addPhotoButton}
+                  onPress={pickPhotos}
+                  haptic="light"
+                >
+                  <Ionicons name="camera-outline" size={28} color={COLORS.textSecondary} />
+                  <Text style={styles.addPhotoText}>Add</Text>
+                </HapticPressable>
+              )}
+            </View>
+          </View>
+        </View>
+
+        {submitError && (
+          <View style={styles.errorCard}>
+            <Ionicons name="alert-circle" size={18} color={COLORS.danger} />
+            <Text style={styles.errorCardText}>{submitError}</Text>
+          </View>
+        )}
+
+        <HapticPressable
+          testID="ReportContent.button.submit"
+          accessibilityLabel="Submit report"
+          accessibilityRole="button"
+          style={[styles.primaryButton, submitting && styles.buttonDisabled]}
+          onPress={handleSubmit}
+          disabled={submitting}
+          haptic="medium"
+        >
+          {submitting ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Submit Report</Text>
+          )}
+        </HapticPressable>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centeredContent: {
+    flex: 1,
+    padding: SPACING.xl,
+    justifyContent: 'center',
+  },
+  scrollContent: {
+    flex: 1,
+  },
+  scrollInner: {
+    padding: SPACING.xl,
+    paddingTop: SPACING.lg,
+    paddingBottom: SPACING.xxl,
+  },
+  targetLabel: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.textSecondary,
+    marginBottom: SPACING.lg,
+  },
+  title: {
+    ...TYPOGRAPHY.h1,
+    color: COLORS.text,
+    textAlign: 'center',
+    marginBottom: SPACING.md,
+  },
+  subtitle: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: SPACING.xxl,
+  },
+  successCircle: {
+    alignItems: 'center',
+    marginBottom: SPACING.xl,
+  },
+  cardBox: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  card: {
+    marginBottom: SPACING.lg,
+  },
+  cardContent: {
+    padding: SPACING.lg,
+  },
+  cardLabel: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: '600',
+    marginBottom: SPACING.xs,
+  },
+  cardHint: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.md,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.md,
+    gap: SPACING.md,
+  },
+  typeRowBorder: {
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: COLORS.separator,
+  },
+  typeLabel: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    flex: 1,
+  },
+  typeLabelSelected: {
+    color: COLORS.primary,
+    fontWeight: '600',
+  },
+  notesInput: {
+    backgroundColor: COLORS.surfaceElevated,
+    borderRadius: RADIUS.sm,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+    padding: SPACING.md,
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    minHeight: 100,
+  },
+  charCount: {
+    ...TYPOGRAPHY.caption2,
+    color: COLORS.textMuted,
+    textAlign: 'right',
+    marginTop: SPACING.xs,
+  },
+  photosGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+  },
+  photoWrapper: {
+    width: 80,
+    height: 80,
+    borderRadius: RADIUS.sm,
+    overflow: 'hidden',
+  },
+  photo: {
+    width: '100%',
+    height: '100%',
+  },
+  removePhoto: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+  },
+  addPhotoButton: {
+    width: 80,
+    height: 80,
+    borderRadius: RADIUS.sm,
+    backgroundColor: COLORS.surfaceElevated,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 2,
+  },
+  addPhotoText: {
+    ...TYPOGRAPHY.caption2,
+    color: COLORS.textSecondary,
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.danger + '12',
+    borderRadius: RADIUS.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.lg,
+  },
+  errorCardText: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.danger,
+    flex: 1,
+  },
+  primaryButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: SPACING.lg,
+    borderRadius: RADIUS.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    ...TYPOGRAPHY.button,
+    fontSize: 16,
+  },
+});
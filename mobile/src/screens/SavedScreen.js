@@ -20,6 +20,8 @@ import { Ionicons } from '../components/Icon';
 import HapticPressable from '../components/HapticPressable';
 import AnimatedCard from '../components/AnimatedCard';
 import NativeHeader from '../components/NativeHeader';
+import SegmentedControl from '../components/SegmentedControl';
+import ActionSheet from '../components/ActionSheet';
 import { haptics } from '../utils/haptics';
 import api from '../services/api';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY, ANIMATION } from '../utils/config';
@@ -29,6 +31,22 @@ const GRID_GAP = SPACING.sm;
 const CARD_WIDTH = (SCREEN_WIDTH - SPACING.lg * 2 - GRID_GAP) / 2;
 const IMAGE_HEIGHT = CARD_WIDTH * 1.1;
 
+const ALERT_LABELS = {
+  instant: 'Instant alerts',
+  daily: 'Daily digest',
+  off: 'Alerts off',
+};
+
+function searchSummary(search) {
+  const parts = [];
+  if (search.query && search.name !== search.query) parts.push(`"${search.query}"`);
+  if (search.categoryName && search.name !== search.categoryName) parts.push(search.categoryName);
+  if (search.listingType === 'giveaway') parts.push('Giveaways');
+  if (search.listingType === 'lend') parts.push('To borrow');
+  if (search.maxPrice != null) parts.push(search.maxPrice === 0 ? 'Free only' : `Up to $${search.maxPrice}/day`);
+  if (search.radiusMiles) parts.push(`Within ${search.radiusMiles} mi`);
+  return parts.join(' · ');
+}
 
 function HeartButton({ onUnsave }) {
   const scale = useSharedValue(1);
@@ -55,15 +73,24 @@ function HeartButton({ onUnsave }) {
 }
 
 export default function SavedScreen({ navigation }) {
+  const [activeTab, setActiveTab] = useState(0);
   const [listings, setListings] = useState([]);
+  const [searches, setSearches] = useState([]);
+  const [openSearch, setOpenSearch] = useState(null);
+  const [searchListings, setSearchListings] = useState([]);
+  const [menuSearch, setMenuSearch] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
 
 
   const fetchSaved = useCallback(async () => {
     try {
-      const data = await api.getSavedListings();
+      const [data, savedSearches] = await Promise.all([
+        api.getSavedListings(),
+        api.getSavedSearches(),
+      ]);
       setListings(data);
+      setSearches(savedSearches);
     } catch (error) {
       console.error('Failed to fetch saved listings:', error);
     } finally {
@@ -72,6 +99,19 @@ export default function SavedScreen({ navigation }) {
     }
   }, []);
 
+  const fetchSearchListings = useCallback(async (search) => {
+    try {
+      const data = await api.getSavedSearchListings(search.id);
+      setSearchListings(data);
+      // Opening a search marks its matches as seen
+      setSearches(prev => prev.map(s => (s.id === search.id ? { ...s, newMatchCount: 0 } : s)));
+    } catch (error) {
+      console.error('Failed to fetch saved search matches:', error);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, []);
+
   useEffect(() => {
     fetchSaved();
   }, [fetchSaved]);
@@ -87,7 +127,35 @@ export default function SavedScreen({ navigation }) {
 
   const onRefresh = () => {
     setIsRefreshing(true);
-    fetchSaved();
+    if (openSearch) {
+      fetchSearchListings(openSearch);
+    } else {
+      fetchSaved();
+    }
+  };
+
+  const handleOpenSearch = (search) => {
+    setSearchListings([]);
+    setOpenSearch(search);
+    fetchSearchListings(search);
+  };
+
+  const handleSetAlerts = async (search, alertFrequency) => {
+    try {
+      const updated = await api.updateSavedSearch(search.id, { alertFrequency });
+      setSearches(prev => prev.map(s => (s.id === search.id ? updated : s)));
+    } catch (error) {
+      console.error('Failed to update saved search:', error);
+    }
+  };
+
+  const handleDeleteSearch = async (search) => {
+    try {
+      await api.deleteSavedSearch(search.id);
+      setSearches(prev => prev.filter(s => s.id !== search.id));
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+    }
   };
 
   const handleUnsave = async (listingId) => {
@@ -111,8 +179,16 @@ export default function SavedScreen({ navigation }) {
             source={{ uri: item.photoUrl || 'https://via.placeholder.com/200' }}
             style={styles.cardImage}
           />
-          <HeartButton onUnsave={() => handleUnsave(item.id)} />
-          {!item.isAvailable && (
+          {openSearch ? (
+            item.isNew && (
+              <View style={styles.newBadge}>
+                <Text style={styles.newBadgeText}>New</Text>
+              </View>
+            )
+          ) : (
+            <HeartButton onUnsave={() => handleUnsave(item.id)} />
+          )}
+          {!openSearch && !item.isAvailable && (
             <View style={styles.unavailableBadge}>
               <Text style={styles.unavailableText}>Borrowed</Text>
             </View>
@@ -150,44 +226,167 @@ export default function SavedScreen({ navigation }) {
     </AnimatedCard>
   );
 
+  const renderSearch = ({ item, index }) => {
+    const summary = searchSummary(item);
+    return (
+      <AnimatedCard index={index} style={styles.searchWrap}>
+        <HapticPressable
+          onPress={() => handleOpenSearch(item)}
+          haptic="light"
+          style={styles.searchCard}
+        >
+          <View style={styles.searchIcon}>
+            <Ionicons name="search" size={18} color={COLORS.primary} />
+          </View>
+          <View style={styles.searchInfo}>
+            <Text style={styles.cardTitle} numberOfLines={1}>{item.name}</Text>
+            {summary ? <Text style={styles.searchSummary} numberOfLines={1}>{summary}</Text> : null}
+            <Text style={styles.searchMeta}>
+              {item.matchCount === 1 ? '1 match' : `${item.matchCount} matches`} · {ALERT_LABELS[item.alertFrequency]}
+            </Text>
+          </View>
+          {item.newMatchCount > 0 && (
+            <View style={styles.newCount}>
+              <Text style={styles.newBadgeText}>{item.newMatchCount} new</Text>
+            </View>
+          )}
+          <HapticPressable
+            onPress={() => setMenuSearch(item)}
+            haptic="light"
+            style={styles.menuButton}
+            accessibilityLabel={`Options for ${item.name}`}
+          >
+            <Ionicons name="ellipsis-horizontal" size={18} color={COLORS.textSecondary} />
+          </HapticPressable>
+        </HapticPressable>
+      </AnimatedCard>
+    );
+  };
+
+  const showingSearches = activeTab === 1 && !openSearch;
+  const refreshControl = (
+    <RefreshControl
+      refreshing={isRefreshing}
+      onRefresh={onRefresh}
+      tintColor={COLORS.primary}
+    />
+  );
+
   return (
     <View style={styles.container}>
-      <NativeHeader title="Saved" />
+      <NativeHeader title="Saved">
+        <SegmentedControl
+          testID="Saved.segment"
+          segments={['Items', 'Searches']}
+          selectedIndex={activeTab}
+          onIndexChange={(index) => { setActiveTab(index); setOpenSearch(null); }}
+          style={styles.segmented}
+        />
+      </NativeHeader>
 
-      <FlatList
-        data={listings}
-        renderItem={renderItem}
-        keyExtractor={(item) => item.id}
-        numColumns={2}
-        contentContainerStyle={styles.listContent}
-        refreshControl={
-          <RefreshControl
-            refreshing={isRefreshing}
-            onRefresh={onRefresh}
-            tintColor={COLORS.primary}
-          />
-        }
-        ListEmptyComponent={
-          !isLoading && (
-            <View style={styles.emptyContainer}>
-              <View style={styles.emptyIconWrap}>
-                <Ionicons name="bookmark-outline" size={28} color={COLORS.primary} style={{ position: 'absolute', top: 16, right: 22 }} />
-                <Ionicons name="heart-outline" size={32} color={COLORS.primary} style={{ position: 'absolute', bottom: 14, left: 18, opacity: 0.7 }} />
+      {showingSearches ? (
+        <FlatList
+          key="searches"
+          data={searches}
+          renderItem={renderSearch}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContent}
+          refreshControl={refreshControl}
+          ListEmptyComponent={
+            !isLoading && (
+              <View style={styles.emptyContainer}>
+                <View style={styles.emptyIconWrap}>
+                  <Ionicons name="search" size={32} color={COLORS.primary} />
+                </View>
+                <Text style={styles.emptyTitle}>No saved searches</Text>
+                <Text style={styles.emptySubtitle}>
+                  Search the feed and tap the bookmark to hear when a neighbor lists a match
+                </Text>
+                <HapticPressable
+                  style={styles.browseButton}
+                  onPress={() => navigation.navigate('Feed')}
+                  haptic="medium"
+                >
+                  <Text style={styles.browseButtonText}>Search Items</Text>
+                </HapticPressable>
               </View>
-              <Text style={styles.emptyTitle}>Nothing saved yet</Text>
+            )
+          }
+        />
+      ) : openSearch ? (
+        <FlatList
+          key="search-matches"
+          data={searchListings}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id}
+          numColumns={2}
+          contentContainerStyle={styles.listContent}
+          refreshControl={refreshControl}
+          ListHeaderComponent={
+            <HapticPressable onPress={() => setOpenSearch(null)} haptic="light" style={styles.backRow}>
+              <Ionicons name="chevron-back" size={18} color={COLORS.primary} />
+              <Text style={styles.backText} numberOfLines={1}>{openSearch.name}</Text>
+            </HapticPressable>
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
               <Text style={styles.emptySubtitle}>
-                Tap the heart on any listing to save it here
+                Nothing matches right now. We'll let you know when a neighbor lists one.
               </Text>
-              <HapticPressable
-                style={styles.browseButton}
-                onPress={() => navigation.navigate('Feed')}
-                haptic="medium"
-              >
-                <Text style={styles.browseButtonText}>Browse Items</Text>
-              </HapticPressable>
             </View>
-          )
-        }
+          }
+        />
+      ) : (
+        <FlatList
+          key="items"
+          data={listings}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id}
+          numColumns={2}
+          contentContainerStyle={styles.listContent}
+          refreshControl={refreshControl}
+          ListEmptyComponent={
+            !isLoading && (
+              <View style={styles.emptyContainer}>
+                <View style={styles.emptyIconWrap}>
+                  <Ionicons name="bookmark-outline" size={28} color={COLORS.primary} style={{ position: 'absolute', top: 16, right: 22 }} />
+                  <Ionicons name="heart-outline" size={32} color={COLORS.primary} style={{ position: 'absolute', bottom: 14, left: 18, opacity: 0.7 }} />
+                </View>
+                <Text style={styles.emptyTitle}>Nothing saved yet</Text>
+                <Text style={styles.emptySubtitle}>
+                  Tap the heart on any listing to save it here
+                </Text>
+                <HapticPressable
+                  style={styles.browseButton}
+                  onPress={() => navigation.navigate('Feed')}
+                  haptic="medium"
+                >
+                  <Text style={styles.browseButtonText}>Browse Items</Text>
+                </HapticPressable>
+              </View>
+            )
+          }
+        />
+      )}
+
+      <ActionSheet
+        isVisible={!!menuSearch}
+        onClose={() => setMenuSearch(null)}
+        title={menuSearch?.name}
+        message={menuSearch ? ALERT_LABELS[menuSearch.alertFrequency] : null}
+        actions={menuSearch ? [
+          ...Object.entries(ALERT_LABELS)
+            .filter(([frequency]) => frequency !== menuSearch.alertFrequency)
+            .map(([frequency, label]) => ({
+              label: frequency === 'off' ? 'Turn off alerts' : `Switch to ${label.toLowerCase()}`,
+              onPress: () => handleSetAlerts(menuSearch, frequency),
+            })),
+          {
+            label: 'Delete Search',
+            destructive: true,
+            onPress: () => handleDeleteSearch(menuSearch),
+          },
+        ] : []}
       />
     </View>
   );
@@ -198,6 +397,9 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: COLORS.background,
   },
+  segmented: {
+    marginTop: SPACING.sm,
+  },
   listContent: {
     padding: SPACING.lg,
     paddingBottom: 100,
@@ -234,6 +436,21 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  newBadge: {
+    position: 'absolute',
+    top: SPACING.sm,
+    left: SPACING.sm,
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 2,
+    borderRadius: RADIUS.xs,
+  },
+  newBadgeText: {
+    ...TYPOGRAPHY.caption1,
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 11,
+  },
   unavailableBadge: {
     position: 'absolute',
     bottom: SPACING.sm,
@@ -306,6 +523,60 @@ const styles = StyleSheet.create({
     color: COLORS.textMuted,
     flex: 1,
   },
+  // Saved searches
+  searchWrap: {
+    marginBottom: GRID_GAP,
+  },
+  searchCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.md,
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1.5,
+    borderColor: COLORS.borderBrown,
+  },
+  searchIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: RADIUS.md,
+    backgroundColor: COLORS.primaryMuted,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  searchInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  searchSummary: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+  },
+  searchMeta: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+  },
+  newCount: {
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 2,
+    borderRadius: RADIUS.full,
+  },
+  menuButton: {
+    padding: SPACING.xs,
+  },
+  backRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    marginBottom: SPACING.md,
+  },
+  backText: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.primary,
+    flex: 1,
+  },
   // Empty state
   emptyContainer: {
     flex: 1,
@@ -5,15 +5,25 @@ import {
   StyleSheet,
   ScrollView,
   ActivityIndicator,
+  Share,
 } from 'react-native';
+import { Ionicons } from '../components/Icon';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY, ANIMATION } from '../utils/config';
 import { haptics } from '../utils/haptics';
 import api from '../services/api';
 import AnimatedCard from '../components/AnimatedCard';
+import HapticPressable from '../components/HapticPressable';
+
+const formatMonth = (month) => {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(year, m - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
 
 export default function SustainabilityScreen() {
   const [stats, setStats] = useState(null);
   const [communityStats, setCommunityStats] = useState(null);
+  const [latestReport, setLatestReport] = useState(null);
+  const [isSharing, setIsSharing] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -28,6 +38,10 @@ export default function SustainabilityScreen() {
       ]);
       setStats(userStats);
       setCommunityStats(community);
+      if (community?.communityId) {
+        const { reports } = await api.getCommunityImpactReports(community.communityId);
+        setLatestReport(reports?.[0] || null);
+      }
       haptics.success();
     } catch (err) {
       haptics.error();
@@ -36,6 +50,21 @@ export default function SustainabilityScreen() {
     }
   };
 
+  const handleShareReport = async () => {
+    setIsSharing(true);
+    try {
+      const report = await api.shareCommunityImpactReport(communityStats.communityId, latestReport.month);
+      setLatestReport(report);
+      await Share.share({
+        message: `In ${formatMonth(report.month)}, ${communityStats.name || 'our neighborhood'} saved ${Math.round(report.co2SavedKg)}kg of CO₂ by sharing instead of buying. See our impact: ${report.shareUrl}`,
+      });
+    } catch (error) {
+      console.error('Share error:', error);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -163,6 +192,27 @@ export default function SustainabilityScreen() {
                 <Text style={styles.communityStatLabel}>CO₂ Saved</Text>
               </View>
             </View>
+
+            {latestReport && (
+              <View style={styles.reportBox}>
+                <Text style={styles.reportTitle}>{formatMonth(latestReport.month)} report</Text>
+                <Text style={styles.reportSummary}>
+                  {latestReport.borrows} borrows and {latestReport.giveaways} giveaways saved{' '}
+                  {latestReport.co2SavedKg.toFixed(0)}kg of CO₂ and ${latestReport.moneySaved.toFixed(0)}
+                </Text>
+                {communityStats?.isOrganizer && (
+                  <HapticPressable
+                    style={styles.shareButton}
+                    onPress={handleShareReport}
+                    disabled={isSharing}
+                    haptic="medium"
+                  >
+                    <Ionicons name="share-outline" size={18} color="#fff" />
+                    <Text style={styles.shareButtonText}>Share Report</Text>
+                  </HapticPressable>
+                )}
+              </View>
+            )}
           </View>
         </AnimatedCard>
       </View>
@@ -368,6 +418,36 @@ const styles = StyleSheet.create({
     marginTop: SPACING.xs,
     textAlign: 'center',
   },
+  reportBox: {
+    marginTop: SPACING.lg,
+    paddingTop: SPACING.lg,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: COLORS.separator,
+  },
+  reportTitle: {
+    ...TYPOGRAPHY.headline,
+    color: COLORS.text,
+  },
+  reportSummary: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+    lineHeight: 20,
+  },
+  shareButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.primary,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.md,
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+  },
+  shareButtonText: {
+    ...TYPOGRAPHY.button,
+    color: '#fff',
+  },
   rankCard: {
     padding: SPACING.xl,
     alignItems: 'center',
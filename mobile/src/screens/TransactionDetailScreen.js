@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import {
   View,
   Text,
@@ -10,7 +10,7 @@ import {
   Platform,
   RefreshControl,
 } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
+import { useFocusEffect, useIsFocused } from '@react-navigation/native';
 import * as Notifications from 'expo-notifications';
 import { Ionicons } from '../components/Icon';
 import HapticPressable from '../components/HapticPressable';
@@ -19,11 +19,34 @@ import ActionSheet from '../components/ActionSheet';
 import { useAuth } from '../context/AuthContext';
 import { useError } from '../context/ErrorContext';
 import api from '../services/api';
+import { useRealtimeEvent, usePollingFallback } from '../hooks/useRealtime';
 import { haptics } from '../utils/haptics';
 import RentalProgress from '../components/RentalProgress';
 import { COLORS, SPACING, RADIUS, TYPOGRAPHY, TRANSACTION_STATUS_LABELS, CONDITION_LABELS } from '../utils/config';
 import { scheduleReturnReminders, cancelReturnReminders } from '../utils/returnReminders';
 
+// Where the card hold behind this rental stands — long rentals keep the deposit on its own hold
+function holdStatusText(hold) {
+  if (!hold) return null;
+  const until = hold.expiresAt
+    ? new Date(hold.expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    : null;
+  if (hold.status === 'charged') return 'Deposit charged to your card — refunded after return';
+  if (hold.status === 'lapsed') return 'Card hold expired';
+  if (hold.renewalFailed) return `Hold couldn't be renewed — expires ${until}`;
+  if (hold.purpose === 'deposit') return `Deposit held on card until ${until}, renewed automatically`;
+  return `Held on card until ${until}`;
+}
+
+// Who made a change on the timeline, as the viewer would say it
+function actorText(actor, userId) {
+  if (actor.id && actor.id === userId) return 'You';
+  if (actor.name) return actor.name;
+  if (actor.role === 'stripe') return 'Payment processor';
+  if (actor.role === 'organizer' || actor.role === 'admin') return 'BorrowHood support';
+  return null;
+}
+
 async function dismissRelatedNotifications(transactionId) {
   try {
     const delivered = await Notifications.getPresentedNotificationsAsync();
@@ -44,23 +67,37 @@ export default function TransactionDetailScreen({ route, navigation }) {
   const { user } = useAuth();
   const { showError, showToast } = useError();
   const [transaction, setTransaction] = useState(null);
+  const [timeline, setTimeline] = useState([]);
   const [fetchError, setFetchError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState(false);
   const [returnSheetVisible, setReturnSheetVisible] = useState(false);
   const [cancelSheetVisible, setCancelSheetVisible] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
-  const pollRef = useRef(null);
+  const [itemConditions, setItemConditions] = useState({});
+  const isFocused = useIsFocused();
 
   useFocusEffect(useCallback(() => {
     fetchTransaction();
     dismissRelatedNotifications(id);
-    pollRef.current = setInterval(fetchTransaction, 10000);
-    return () => clearInterval(pollRef.current);
   }, [id]));
 
+  // Status changes are pushed over the realtime socket; poll only while it's down
+  useRealtimeEvent('transaction:updated', (data) => {
+    if (isFocused && data.transactionId === id) fetchTransaction();
+  });
+  usePollingFallback(() => fetchTransaction(), 10000, isFocused);
+
   const isGiveaway = transaction?.listingType === 'giveaway';
 
+  // The lender records each bundle item's condition when it goes out and when it comes back
+  const bundleItems = transaction?.bundle?.items || [];
+  const itemConditionStage = !transaction?.isLender || bundleItems.length === 0 ? null
+    : ['paid', 'approved'].includes(transaction.status) ? 'pickup'
+    : ['picked_up', 'return_pending', 'returned'].includes(transaction.status) ? 'return'
+    : null;
+  const itemConditionList = Object.entries(itemConditions).map(([listingId, condition]) => ({ listingId, condition }));
+
   // Schedule or cancel return reminders based on transaction status (skip for giveaways)
   useEffect(() => {
     if (!transaction) return;
@@ -71,7 +108,18 @@ export default function TransactionDetailScreen({ route, navigation }) {
     }
   }, [transaction?.status]);
 
+  const fetchTimeline = async () => {
+    try {
+      const data = await api.getTransactionTimeline(id);
+      setTimeline(data?.events || []);
+    } catch (error) {
+      // History is extra detail — the rest of the screen works without it
+      console.error('Failed to fetch transaction timeline:', error);
+    }
+  };
+
   const fetchTransaction = async () => {
+    fetchTimeline();
     try {
       const data = await api.getTransaction(id);
       setTransaction(data);
@@ -119,45 +167,18 @@ export default function TransactionDetailScreen({ route, navigation }) {
     }
   };
 
-  const handleConfirmPickup = async () => {
-    setActionLoading(true);
-    try {
-      await api.confirmRentalPickup(id);
-      fetchTransaction();
-      haptics.success();
-      showToast('Pickup confirmed!', 'success');
-    } catch (error) {
-      haptics.error();
-      showError({ message: error.message || 'Couldn\'t confirm the pickup right now. Please check your connection and try again.' });
-    } finally {
-      setActionLoading(false);
-    }
-  };
-
-  const handleConfirmReturn = async (condition) => {
-    setActionLoading(true);
-    try {
-      const result = await api.confirmRentalReturn(id, condition);
-      if (result.conditionDegraded) {
-        haptics.warning();
-        navigation.navigate('DamageClaim', {
-          transactionId: id,
-          depositAmount: transaction.depositAmount,
-          listingTitle: transaction.listing.title,
-          conditionAtPickup: transaction.conditionAtPickup,
-          conditionAtReturn: condition,
-        });
-      } else {
-        fetchTransaction();
-        haptics.success();
-        showToast('Return confirmed!', 'success');
-      }
-    } catch (error) {
-      haptics.error();
-      showError({ message: error.message || 'Couldn\'t confirm the return right now. Please check your connection and try again.' });
-    } finally {
-      setActionLoading(false);
-    }
+  // Confirming without the in-person code still goes through the handoff screen for condition photos
+  const handleConfirmHandoff = (type) => {
+    setReturnSheetVisible(false);
+    navigation.navigate('Handoff', {
+      transactionId: id,
+      type,
+      mode: 'confirm',
+      conditionAtPickup: transaction.conditionAtPickup || transaction.listing?.condition,
+      depositAmount: transaction.depositAmount,
+      listingTitle: transaction.listing?.title,
+      itemConditions: itemConditionStage === type ? itemConditionList : undefined,
+    });
   };
 
   const handleCancel = async () => {
@@ -262,6 +283,7 @@ export default function TransactionDetailScreen({ route, navigation }) {
             isBorrower={transaction.isBorrower}
             isGiveaway={isGiveaway}
             paymentStatus={transaction.paymentStatus}
+            events={timeline}
           />
         </View>
 
@@ -356,6 +378,17 @@ export default function TransactionDetailScreen({ route, navigation }) {
               <Text style={styles.priceValue}>${(transaction.depositAmount || 0).toFixed(2)}</Text>
             </View>
             )}
+            {transaction.paymentHold && (
+            <Text
+              style={[
+                styles.holdNote,
+                (transaction.paymentHold.renewalFailed || transaction.paymentHold.status === 'lapsed')
+                  && { color: COLORS.warning },
+              ]}
+            >
+              {holdStatusText(transaction.paymentHold)}
+            </Text>
+            )}
             <View style={[styles.priceRow, styles.totalRow]}>
               <Text style={styles.totalLabel}>Total</Text>
               <Text style={styles.totalValue}>
@@ -363,9 +396,79 @@ export default function TransactionDetailScreen({ route, navigation }) {
               </Text>
             </View>
           </View>
+          {!['pending', 'declined'].includes(transaction.status) && (
+          <HapticPressable
+            testID="Transaction.button.receipt"
+            accessibilityRole="button"
+            haptic="light"
+            style={styles.receiptLink}
+            onPress={() => navigation.navigate('Receipt', { transactionId: transaction.id })}
+          >
+            <Ionicons name="receipt-outline" size={16} color={COLORS.primary} />
+            <Text style={styles.receiptLinkText}>View Receipt</Text>
+          </HapticPressable>
+          )}
         </View>
         )}
 
+        {/* Bundle items — condition per item at pickup and return */}
+        {bundleItems.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Items in {transaction.bundle.name}</Text>
+            {bundleItems.map((item) => {
+              const recorded = itemConditionStage === 'return' ? item.conditionAtPickup : null;
+              const selected = itemConditions[item.listingId] || recorded;
+              return (
+                <View key={item.listingId} style={styles.bundleItem}>
+                  <Text style={styles.bundleItemTitle}>{item.title}</Text>
+                  {itemConditionStage ? (
+                    <View style={styles.conditionChips}>
+                      {Object.keys(CONDITION_LABELS).map((value) => (
+                        <HapticPressable
+                          key={value}
+                          testID={`Transaction.itemCondition.${item.listingId}.${value}`}
+                          haptic="light"
+                          style={[styles.conditionChip, selected === value && styles.conditionChipActive]}
+                          onPress={() => setItemConditions(prev => ({ ...prev, [item.listingId]: value }))}
+                        >
+                          <Text style={[styles.conditionChipText, selected === value && styles.conditionChipTextActive]}>
+                            {CONDITION_LABELS[value]}
+                          </Text>
+                        </HapticPressable>
+                      ))}
+                    </View>
+                  ) : (
+                    <Text style={styles.bundleItemMeta}>
+                      {item.conditionAtPickup ? `Picked up ${CONDITION_LABELS[item.conditionAtPickup]}` : 'Not picked up yet'}
+                      {item.conditionAtReturn ? ` · Returned ${CONDITION_LABELS[item.conditionAtReturn]}` : ''}
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        )}
+
+        {/* Condition photos taken at verified handoffs */}
+        {['pickup', 'return'].map((stage) => {
+          const handoff = transaction.handoff?.[stage];
+          if (!handoff?.verifiedAt) return null;
+          return (
+            <View key={stage} style={styles.section}>
+              <Text style={styles.sectionTitle}>{stage === 'pickup' ? 'Pickup' : 'Return'} Verified</Text>
+              <Text style={styles.handoffMeta}>
+                {new Date(handoff.verifiedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                {` · ${handoff.photos.length} condition photo${handoff.photos.length === 1 ? '' : 's'}`}
+              </Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.handoffPhotos}>
+                {handoff.photos.map((photo) => (
+                  <Image key={photo.url} source={{ uri: photo.url }} style={styles.handoffPhoto} />
+                ))}
+              </ScrollView>
+            </View>
+          );
+        })}
+
         {/* Messages */}
         {transaction.borrowerMessage && (
           <View style={styles.section}>
@@ -381,6 +484,31 @@ export default function TransactionDetailScreen({ route, navigation }) {
           </View>
         )}
 
+        {/* History — every status and payment change, oldest first */}
+        {timeline.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>History</Text>
+            {timeline.map((event, index) => {
+              const by = actorText(event.actor, user?.id);
+              return (
+                <View key={event.id} style={styles.historyRow} testID={`Transaction.history.${event.type}`}>
+                  <View style={styles.historyMarker}>
+                    <View style={[styles.historyDot, index === timeline.length - 1 && styles.historyDotLatest]} />
+                    {index < timeline.length - 1 && <View style={styles.historyLine} />}
+                  </View>
+                  <View style={styles.historyContent}>
+                    <Text style={styles.historyLabel}>{event.label}</Text>
+                    <Text style={styles.historyMeta}>
+                      {new Date(event.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                      {by ? ` · ${by}` : ''}
+                    </Text>
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* Dispute Banner */}
         {transaction?.hasDispute && transaction?.disputeId && (() => {
           const active = ['pending', 'awaitingResponse', 'underReview'].includes(transaction.disputeStatus);
@@ -407,7 +535,17 @@ export default function TransactionDetailScreen({ route, navigation }) {
         {!isGiveaway && transaction.status === 'picked_up' && new Date() > new Date(transaction.endDate) && (
           <View style={styles.overdueBanner}>
             <Ionicons name="warning" size={20} color={COLORS.warning} />
-            <Text style={styles.overdueText}>This item is overdue</Text>
+            <View style={styles.overdueContent}>
+              <Text style={styles.overdueText}>This item is overdue</Text>
+              {(transaction.lateFeeAccrued || 0) > 0 && (
+                <Text style={styles.overdueSubtext}>
+                  Late fees so far: ${transaction.lateFeeAccrued.toFixed(2)}
+                  {(transaction.lateFeeCharged || 0) > 0
+                    ? ` ($${transaction.lateFeeCharged.toFixed(2)} taken from the deposit)`
+                    : ''}
+                </Text>
+              )}
+            </View>
           </View>
         )}
 
@@ -495,7 +633,7 @@ export default function TransactionDetailScreen({ route, navigation }) {
             accessibilityRole="button"
             haptic="medium"
             style={styles.approveButton}
-            onPress={handleConfirmPickup}
+            onPress={() => handleConfirmHandoff('pickup')}
             disabled={actionLoading}
           >
             <Text style={styles.approveButtonText}>Confirm Pickup</Text>
@@ -503,6 +641,39 @@ export default function TransactionDetailScreen({ route, navigation }) {
         </View>
       )}
 
+      {/* In-person handoff: the borrower shows a one-time code, the lender enters it with condition photos */}
+      {!isGiveaway && (() => {
+        const stage = ['paid', 'approved'].includes(transaction.status) ? 'pickup'
+          : ['picked_up', 'return_pending', 'returned'].includes(transaction.status) ? 'return' : null;
+        if (!stage || transaction.handoff?.[stage]?.verifiedAt) return null;
+        return (
+          <View style={styles.footer}>
+            <HapticPressable
+              testID={`Transaction.button.handoff.${stage}`}
+              accessibilityRole="button"
+              haptic="light"
+              style={styles.handoffButton}
+              onPress={() => navigation.navigate('Handoff', {
+                transactionId: id,
+                type: stage,
+                mode: transaction.isBorrower ? 'show' : 'verify',
+                conditionAtPickup: transaction.conditionAtPickup || transaction.listing?.condition,
+                depositAmount: transaction.depositAmount,
+                listingTitle: transaction.listing?.title,
+                itemConditions: itemConditionStage === stage ? itemConditionList : undefined,
+              })}
+            >
+              <Ionicons name={transaction.isBorrower ? 'qr-code-outline' : 'camera-outline'} size={18} color={COLORS.primary} />
+              <Text style={styles.handoffButtonText}>
+                {transaction.isBorrower
+                  ? `Show ${stage === 'pickup' ? 'Pickup' : 'Return'} Code`
+                  : `Verify ${stage === 'pickup' ? 'Pickup' : 'Return'} In Person`}
+              </Text>
+            </HapticPressable>
+          </View>
+        );
+      })()}
+
       {/* Borrower: Submit return + Report Issue (Report Issue only for paid transactions) */}
       {transaction.isBorrower && transaction.status === 'picked_up' && (
         <View style={styles.footer}>
@@ -622,7 +793,7 @@ export default function TransactionDetailScreen({ route, navigation }) {
         actions={[
           {
             label: 'Confirm Return',
-            onPress: () => handleConfirmReturn(transaction?.conditionAtPickup || 'good'),
+            onPress: () => handleConfirmHandoff('return'),
             primary: true,
           },
         ]}
@@ -636,7 +807,7 @@ export default function TransactionDetailScreen({ route, navigation }) {
         actions={[
           {
             label: 'Yes, looks good',
-            onPress: () => handleConfirmReturn(transaction?.conditionAtPickup || 'good'),
+            onPress: () => handleConfirmHandoff('return'),
             primary: true,
           },
           {
@@ -678,6 +849,45 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: COLORS.background,
   },
+  bundleItem: {
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: COLORS.separator,
+  },
+  bundleItemTitle: {
+    ...TYPOGRAPHY.bodySmall,
+    fontWeight: '600',
+    color: COLORS.text,
+    marginBottom: SPACING.xs,
+  },
+  bundleItemMeta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+  },
+  conditionChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.xs,
+  },
+  conditionChip: {
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 4,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.borderBrown,
+  },
+  conditionChipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  conditionChipText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.text,
+  },
+  conditionChipTextActive: {
+    color: COLORS.background,
+    fontWeight: '600',
+  },
   overdueBanner: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -702,11 +912,19 @@ const styles = StyleSheet.create({
     flex: 1,
     lineHeight: 20,
   },
+  overdueContent: {
+    flex: 1,
+  },
   overdueText: {
     ...TYPOGRAPHY.bodySmall,
     fontWeight: '600',
     color: COLORS.warning,
   },
+  overdueSubtext: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.warning,
+    marginTop: 2,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -884,6 +1102,88 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.bodySmall,
     color: COLORS.text,
   },
+  handoffMeta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+  },
+  historyMarker: {
+    alignItems: 'center',
+    width: 12,
+  },
+  historyDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 5,
+    backgroundColor: COLORS.gray[500],
+  },
+  historyDotLatest: {
+    backgroundColor: COLORS.primary,
+  },
+  historyLine: {
+    flex: 1,
+    width: 1,
+    marginVertical: 2,
+    backgroundColor: COLORS.gray[700],
+  },
+  historyContent: {
+    flex: 1,
+    paddingBottom: SPACING.md,
+  },
+  historyLabel: {
+    ...TYPOGRAPHY.bodySmall,
+    color: COLORS.text,
+  },
+  historyMeta: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  handoffPhotos: {
+    marginTop: SPACING.sm,
+  },
+  handoffPhoto: {
+    width: 72,
+    height: 72,
+    borderRadius: RADIUS.sm,
+    marginRight: SPACING.sm,
+  },
+  handoffButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.primary,
+  },
+  handoffButtonText: {
+    ...TYPOGRAPHY.headline,
+    fontSize: 15,
+    color: COLORS.primary,
+  },
+  receiptLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: SPACING.xs,
+    marginTop: SPACING.md,
+  },
+  receiptLinkText: {
+    ...TYPOGRAPHY.subheadline,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  holdNote: {
+    ...TYPOGRAPHY.caption1,
+    color: COLORS.textMuted,
+  },
   totalRow: {
     marginTop: SPACING.sm,
     paddingTop: SPACING.md,
@@ -26,6 +26,8 @@ export default function UserProfileScreen({ route, navigation }) {
   const [isFriend, setIsFriend] = useState(false);
   const [isAddingFriend, setIsAddingFriend] = useState(false);
   const [removeFriendSheetVisible, setRemoveFriendSheetVisible] = useState(false);
+  const [blockSheetVisible, setBlockSheetVisible] = useState(false);
+  const [isBlocked, setIsBlocked] = useState(false);
 
   const isOwnProfile = String(currentUser?.id) === String(id);
 
@@ -39,6 +41,7 @@ export default function UserProfileScreen({ route, navigation }) {
     try {
       const data = await api.getUser(id);
       setUser(data);
+      setIsBlocked(!!data?.isBlocked);
     } catch (error) {
       console.error('Failed to fetch user:', error);
     } finally {
@@ -89,6 +92,27 @@ export default function UserProfileScreen({ route, navigation }) {
     }
   };
 
+  const handleBlock = async () => {
+    try {
+      await api.blockUser(id);
+      setIsBlocked(true);
+      setIsFriend(false);
+      haptics.success();
+    } catch (error) {
+      haptics.error();
+    }
+  };
+
+  const handleUnblock = async () => {
+    try {
+      await api.unblockUser(id);
+      setIsBlocked(false);
+      haptics.success();
+    } catch (error) {
+      haptics.error();
+    }
+  };
+
   const handleMessage = async () => {
     try {
       const conversations = await api.getConversations();
@@ -161,8 +185,25 @@ export default function UserProfileScreen({ route, navigation }) {
           </View>
         )}
 
+        {/* Blocked */}
+        {!isOwnProfile && isBlocked && (
+          <View style={[styles.cardBox, styles.blockedCard]}>
+            <Ionicons name="ban-outline" size={20} color={COLORS.textSecondary} />
+            <Text style={styles.blockedText}>
+              You blocked {user.firstName}. Neither of you can see the other's items or send messages.
+            </Text>
+            <HapticPressable
+              testID="UserProfile.button.unblock"
+              haptic="light"
+              onPress={handleUnblock}
+            >
+              <Text style={styles.unblockText}>Unblock</Text>
+            </HapticPressable>
+          </View>
+        )}
+
         {/* Action Buttons */}
-        {!isOwnProfile && (
+        {!isOwnProfile && !isBlocked && (
           <View style={styles.actionButtons}>
             <HapticPressable
               haptic="medium"
@@ -228,6 +269,39 @@ export default function UserProfileScreen({ route, navigation }) {
             </View>
           )}
         </View>
+
+        {!isOwnProfile && (
+          <View style={styles.safetyLinks}>
+            <HapticPressable
+              testID="UserProfile.button.report"
+              accessibilityLabel={`Report ${user.firstName}`}
+              accessibilityRole="button"
+              style={styles.reportLink}
+              onPress={() => navigation.navigate('ReportContent', {
+                targetType: 'user',
+                targetId: id,
+                targetLabel: user.firstName,
+              })}
+              haptic="light"
+            >
+              <Ionicons name="flag-outline" size={16} color={COLORS.textMuted} />
+              <Text style={styles.reportLinkText}>Report</Text>
+            </HapticPressable>
+            {!isBlocked && (
+              <HapticPressable
+                testID="UserProfile.button.block"
+                accessibilityLabel={`Block ${user.firstName}`}
+                accessibilityRole="button"
+                style={styles.reportLink}
+                onPress={() => setBlockSheetVisible(true)}
+                haptic="light"
+              >
+                <Ionicons name="ban-outline" size={16} color={COLORS.textMuted} />
+                <Text style={styles.reportLinkText}>Block</Text>
+              </HapticPressable>
+            )}
+          </View>
+        )}
       </ScrollView>
 
       <ActionSheet
@@ -243,6 +317,20 @@ export default function UserProfileScreen({ route, navigation }) {
           },
         ]}
       />
+
+      <ActionSheet
+        isVisible={blockSheetVisible}
+        onClose={() => setBlockSheetVisible(false)}
+        title={`Block ${user.firstName}?`}
+        message="You won't see each other's items or requests, and neither of you can message or borrow from the other. They won't be notified. You'll also stop being friends."
+        actions={[
+          {
+            label: 'Block',
+            destructive: true,
+            onPress: handleBlock,
+          },
+        ]}
+      />
     </View>
   );
 }
@@ -410,4 +498,38 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.button,
     color: COLORS.primary,
   },
+  safetyLinks: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: SPACING.xl,
+  },
+  reportLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.xs,
+    paddingVertical: SPACING.xl,
+  },
+  blockedCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.md,
+    padding: SPACING.lg,
+    marginHorizontal: SPACING.lg,
+    marginBottom: SPACING.lg,
+  },
+  blockedText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textSecondary,
+    flex: 1,
+  },
+  unblockText: {
+    ...TYPOGRAPHY.footnote,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
+  reportLinkText: {
+    ...TYPOGRAPHY.footnote,
+    color: COLORS.textMuted,
+  },
 });
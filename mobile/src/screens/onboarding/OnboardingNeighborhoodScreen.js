@@ -175,14 +175,31 @@ export default function OnboardingNeighborhoodScreen({ navigation }) {
   const handleJoinNeighborhood = async (community) => {
     setIsLoading(true);
     try {
-      await api.joinCommunity(community.id);
+      const result = await api.joinCommunity(community.id);
+      if (result?.status === 'pending') {
+        setNeighborhoods(prev =>
+          prev.map(n => n.id === community.id ? { ...n, hasPendingRequest: true } : n)
+        );
+        setErrorSheet({
+          visible: true,
+          title: 'Request Sent',
+          message: `The organizers of ${community.name} review new neighbors. We'll let you know when you're approved.`,
+        });
+        return;
+      }
       setJoinedCommunity(community);
       setNeighborhoods(prev =>
         prev.map(n => n.id === community.id ? { ...n, isMember: true } : n)
       );
       haptics.success();
     } catch (error) {
-      setErrorSheet({ visible: true, title: 'Error', message: 'Failed to join neighborhood.' });
+      setErrorSheet({
+        visible: true,
+        title: 'Error',
+        message: error.code === 'ANSWERS_REQUIRED'
+          ? 'This neighborhood asks a few questions before you join. You can send a request from the Neighborhood tab once you finish setting up.'
+          : 'Failed to join neighborhood.',
+      });
     } finally {
       setIsLoading(false);
     }
@@ -1,4 +1,7 @@
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
 import { API_URL } from '../utils/config';
+import realtime from './realtime';
 import { manipulateAsync, SaveFormat } from 'expo-image-manipulator';
 
 // Compress image to max 1600px wide, JPEG 80% quality
@@ -17,24 +20,81 @@ const compressImage = async (uri) => {
 
 // Token management
 let authToken = null;
+let refreshToken = null;
+let sessionHandlers = {};
+let refreshPromise = null;
 
 const setAuthToken = (token) => {
   authToken = token;
+  realtime.setToken(token);
 };
 
-// Fetch helper
-const request = async (endpoint, options = {}) => {
+const setRefreshToken = (token) => {
+  refreshToken = token;
+};
+
+// AuthContext registers these: persist rotated tokens, sign out when the session is gone
+const setSessionHandlers = (handlers) => {
+  sessionHandlers = handlers || {};
+};
+
+// Sent with every request so the server can label the session on the Devices screen
+const DEVICE_HEADERS = {
+  'X-Platform': Platform.OS,
+  'X-Device-Name': Device.deviceName || Device.modelName || '',
+};
+
+// Swap the refresh token for a new pair. Concurrent 401s share one refresh —
+// refresh tokens are single-use, so a second parallel call would revoke the session.
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...DEVICE_HEADERS },
+        body: JSON.stringify({ refreshToken }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Session expired');
+        error.status = response.status;
+        error.code = data.code;
+        // Only a rejected refresh ends the session — network failures don't
+        if (response.status === 401 || response.status === 403) {
+          await sessionHandlers.onSessionExpired?.();
+        }
+        throw error;
+      }
+
+      authToken = data.accessToken;
+      refreshToken = data.refreshToken;
+      realtime.updateToken(data.accessToken);
+      await sessionHandlers.onTokensRefreshed?.(data);
+      return data.accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Fetch helper. Access tokens are short-lived: on a 401 the request is retried once
+// after refreshing the session.
+const request = async (endpoint, options = {}, { retryOnUnauthorized = true } = {}) => {
   const url = `${API_URL}${endpoint}`;
 
   if (__DEV__) console.log('API Request:', url);
 
   const headers = {
     'Content-Type': 'application/json',
+    ...DEVICE_HEADERS,
     ...options.headers,
   };
 
-  if (authToken) {
-    headers['Authorization'] = `Bearer ${authToken}`;
+  const sentToken = authToken;
+  if (sentToken) {
+    headers['Authorization'] = `Bearer ${sentToken}`;
   }
 
   const config = {
@@ -44,6 +104,18 @@ const request = async (endpoint, options = {}) => {
 
   try {
     const response = await fetch(url, config);
+
+    if (response.status === 401 && retryOnUnauthorized && sentToken && refreshToken) {
+      try {
+        await refreshSession();
+      } catch {
+        // Fall through and surface the original 401
+      }
+      if (authToken && authToken !== sentToken) {
+        return request(endpoint, options, { retryOnUnauthorized: false });
+      }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
@@ -132,6 +204,18 @@ const resetPassword = (resetToken, newPassword) =>
 const findAccount = (params) =>
   post('/auth/find-account', params);
 
+const logout = () =>
+  post('/auth/logout');
+
+const getSessions = () =>
+  get('/auth/sessions');
+
+const revokeSession = (sessionId) =>
+  del(`/auth/sessions/${sessionId}`);
+
+const revokeOtherSessions = () =>
+  del('/auth/sessions');
+
 const linkAccount = (provider, token) =>
   post('/auth/link-account', { provider, ...token });
 
@@ -165,9 +249,21 @@ const removeFriend = (friendId) =>
 const getUserRatings = (userId) =>
   get(`/users/${userId}/ratings`);
 
+const getUserReputation = (userId) =>
+  get(`/users/${userId}/reputation`);
+
 const getUserListings = (userId) =>
   get(`/users/${userId}/listings`);
 
+const getBlockedUsers = () =>
+  get('/users/me/blocked');
+
+const blockUser = (userId) =>
+  post(`/users/${userId}/block`);
+
+const unblockUser = (userId) =>
+  del(`/users/${userId}/block`);
+
 const getFriendRequests = () =>
   get('/users/me/friend-requests');
 
@@ -192,8 +288,41 @@ const getCommunities = (params) =>
 const getCommunity = (id) =>
   get(`/communities/${id}`);
 
-const joinCommunity = (id) =>
-  post(`/communities/${id}/join`);
+const joinCommunity = (id, data) =>
+  post(`/communities/${id}/join`, data);
+
+const cancelJoinRequest = (id) =>
+  del(`/communities/${id}/join-request`);
+
+const getJoinRequests = (communityId, params) =>
+  get(`/communities/${communityId}/join-requests`, params);
+
+const approveJoinRequest = (communityId, requestId, message) =>
+  post(`/communities/${communityId}/join-requests/${requestId}/approve`, { message });
+
+const denyJoinRequest = (communityId, requestId, message) =>
+  post(`/communities/${communityId}/join-requests/${requestId}/deny`, { message });
+
+const getCommunityInvite = (code) =>
+  get(`/communities/invites/${encodeURIComponent(code)}`);
+
+const getCommunityInvites = (communityId) =>
+  get(`/communities/${communityId}/invites`);
+
+const createCommunityInvite = (communityId, data) =>
+  post(`/communities/${communityId}/invites`, data);
+
+const revokeCommunityInvite = (communityId, inviteId) =>
+  del(`/communities/${communityId}/invites/${inviteId}`);
+
+const getCommunityBoundary = (id) =>
+  get(`/communities/${id}/boundary`);
+
+const setCommunityBoundary = (communityId, boundary, scopeToBoundary) =>
+  put(`/communities/${communityId}/boundary`, { boundary, scopeToBoundary });
+
+const clearCommunityBoundary = (communityId) =>
+  del(`/communities/${communityId}/boundary`);
 
 const leaveCommunity = (id) =>
   post(`/communities/${id}/leave`);
@@ -273,6 +402,13 @@ const confirmPayment = (id) =>
 const confirmPickup = (id, condition) =>
   post(`/transactions/${id}/pickup`, { condition });
 
+// Borrower's one-time code for the lender to verify a pickup or return in person
+const getHandoffCode = (id, type) =>
+  post(`/transactions/${id}/handoff-code`, { type });
+
+const getTransactionTimeline = (id) =>
+  get(`/transactions/${id}/timeline`);
+
 
 const cancelTransaction = (id) =>
   post(`/transactions/${id}/cancel`);
@@ -280,6 +416,12 @@ const cancelTransaction = (id) =>
 const rateTransaction = (id, rating, comment) =>
   post(`/transactions/${id}/rate`, { rating, comment });
 
+const getReceipt = (id) =>
+  get(`/transactions/${id}/receipt`);
+
+const emailReceipt = (id) =>
+  post(`/transactions/${id}/receipt/email`);
+
 // ============================================
 // Disputes
 // ============================================
@@ -310,6 +452,24 @@ const declineCounter = (id) =>
 const addDisputeEvidence = (id, urls) =>
   post(`/disputes/${id}/evidence`, { urls });
 
+// ============================================
+// Reports (moderation)
+// ============================================
+const createReport = (data) =>
+  post('/reports', data);
+
+const getMyReports = () =>
+  get('/reports/mine');
+
+const getReports = (params) =>
+  get('/reports', params);
+
+const getReport = (id) =>
+  get(`/reports/${id}`);
+
+const resolveReport = (id, { action, notes }) =>
+  post(`/reports/${id}/resolve`, { action, notes });
+
 // ============================================
 // Notifications
 // ============================================
@@ -541,6 +701,15 @@ const getSustainabilityStats = () =>
 const getCommunitySustainability = () =>
   get('/sustainability/community');
 
+const getCommunityImpactReports = (communityId) =>
+  get(`/sustainability/communities/${communityId}/reports`);
+
+const getCommunityImpactReport = (communityId, month) =>
+  get(`/sustainability/communities/${communityId}/reports/${month}`);
+
+const shareCommunityImpactReport = (communityId, month) =>
+  post(`/sustainability/communities/${communityId}/reports/${month}/share`);
+
 // ============================================
 // Badges
 // ============================================
@@ -574,6 +743,9 @@ const createBundle = (data) =>
 const deleteBundle = (id) =>
   del(`/bundles/${id}`);
 
+const borrowBundle = (id, data) =>
+  post(`/bundles/${id}/borrow`, data);
+
 // ============================================
 // Lending Circles
 // ============================================
@@ -616,6 +788,21 @@ const setListingAvailability = (listingId, data) =>
 const checkAvailability = (listingId, startDate, endDate) =>
   get(`/listings/${listingId}/check-availability`, { startDate, endDate });
 
+const getListingCalendar = (listingId, params) =>
+  get(`/listings/${listingId}/calendar`, params);
+
+// ============================================
+// Waitlist
+// ============================================
+const joinWaitlist = (listingId, data) =>
+  post(`/listings/${listingId}/waitlist`, data);
+
+const getWaitlist = (listingId) =>
+  get(`/listings/${listingId}/waitlist`);
+
+const leaveWaitlist = (listingId) =>
+  del(`/listings/${listingId}/waitlist`);
+
 // ============================================
 // Community Library
 // ============================================
@@ -686,11 +873,13 @@ const declineRental = (id, reason) =>
 const confirmRentalPayment = (id) =>
   post(`/rentals/${id}/confirm-payment`);
 
-const confirmRentalPickup = (id, condition) =>
-  post(`/rentals/${id}/pickup`, { condition });
+// handoff is { handoffCode, photos: [{ url, takenAt }] } when the lender verifies in person,
+// or { unverified: true, photos } to confirm without the in-person check
+const confirmRentalPickup = (id, condition, itemConditions, handoff = {}) =>
+  post(`/rentals/${id}/pickup`, { condition, itemConditions, ...handoff });
 
-const confirmRentalReturn = (id, condition, notes) =>
-  post(`/rentals/${id}/return`, { condition, notes });
+const confirmRentalReturn = (id, condition, notes, itemConditions, handoff = {}) =>
+  post(`/rentals/${id}/return`, { condition, notes, itemConditions, ...handoff });
 
 const cancelRental = (id) =>
   post(`/rentals/${id}/cancel`);
@@ -716,6 +905,37 @@ const retryTransfers = () =>
 const getEarnings = () =>
   get('/earnings');
 
+const getEarningsExport = (year) =>
+  get('/earnings/export', { year });
+
+const emailEarningsExport = (year) =>
+  post('/earnings/export/email', { year });
+
+// Rent-to-Own
+const getRtoContracts = (params) =>
+  get('/rto', params);
+
+const getRtoContract = (id) =>
+  get(`/rto/${id}`);
+
+const getRtoQuote = (listingId, totalPayments) =>
+  get('/rto/quote', { listingId, totalPayments });
+
+const proposeRtoContract = ({ listingId, totalPayments, paymentFrequency, firstPaymentDate }) =>
+  post('/rto', { listingId, totalPayments, paymentFrequency, firstPaymentDate, termsAccepted: true });
+
+const approveRtoContract = (id) =>
+  post(`/rto/${id}/approve`);
+
+const declineRtoContract = (id, reason) =>
+  post(`/rto/${id}/decline`, { reason });
+
+const cancelRtoContract = (id) =>
+  post(`/rto/${id}/cancel`);
+
+const payRtoInstallment = (contractId, paymentId) =>
+  post(`/rto/${contractId}/payments/${paymentId}/pay`);
+
 // Onboarding
 const updateOnboardingStep = (step) =>
   patch('/onboarding/step', { step });
@@ -735,6 +955,17 @@ const saveListing = (listingId) => post(`/saved/${listingId}`);
 const unsaveListing = (listingId) => del(`/saved/${listingId}`);
 const checkSaved = (listingId) => get(`/saved/check/${listingId}`);
 
+// Saved searches
+const getSavedSearches = () => get('/saved/searches');
+const createSavedSearch = (data) => post('/saved/searches', data);
+const updateSavedSearch = (id, data) => patch(`/saved/searches/${id}`, data);
+const deleteSavedSearch = (id) => del(`/saved/searches/${id}`);
+const getSavedSearchListings = (id) => get(`/saved/searches/${id}/listings`);
+
+// Search across listings, requests, bundles and people
+// params: { q, types, categoryId, condition, priceBand, listingType, maxDistance, limit, offset }
+const search = (params) => get('/search', params);
+
 // ============================================
 // Referrals
 // ============================================
@@ -744,6 +975,8 @@ const claimReferralReward = () => post('/referrals/claim');
 
 export default {
   setAuthToken,
+  setRefreshToken,
+  setSessionHandlers,
   // Auth
   login,
   register,
@@ -755,6 +988,10 @@ export default {
   verifyResetCode,
   resetPassword,
   findAccount,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   linkAccount,
   loginWithGoogle,
   loginWithApple,
@@ -768,7 +1005,11 @@ export default {
   getFriendRequests,
   acceptFriendRequest,
   declineFriendRequest,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
   getUserRatings,
+  getUserReputation,
   getUserListings,
   searchUsers,
   matchContacts,
@@ -776,6 +1017,17 @@ export default {
   getCommunities,
   getCommunity,
   joinCommunity,
+  cancelJoinRequest,
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest,
+  getCommunityInvite,
+  getCommunityInvites,
+  createCommunityInvite,
+  revokeCommunityInvite,
+  getCommunityBoundary,
+  setCommunityBoundary,
+  clearCommunityBoundary,
   leaveCommunity,
   updateCommunity,
   getCommunityMembers,
@@ -802,8 +1054,12 @@ export default {
   declineTransaction,
   confirmPayment,
   confirmPickup,
+  getHandoffCode,
+  getTransactionTimeline,
   cancelTransaction,
   rateTransaction,
+  getReceipt,
+  emailReceipt,
   // Disputes
   getDisputes,
   getDispute,
@@ -814,6 +1070,12 @@ export default {
   acceptCounter,
   declineCounter,
   addDisputeEvidence,
+  // Reports
+  createReport,
+  getMyReports,
+  getReports,
+  getReport,
+  resolveReport,
   // Notifications
   getNotifications,
   markNotificationRead,
@@ -869,6 +1131,9 @@ export default {
   // Sustainability
   getSustainabilityStats,
   getCommunitySustainability,
+  getCommunityImpactReports,
+  getCommunityImpactReport,
+  shareCommunityImpactReport,
   // Badges
   getAllBadges,
   getMyBadges,
@@ -880,6 +1145,7 @@ export default {
   getMyBundles,
   createBundle,
   deleteBundle,
+  borrowBundle,
   // Lending Circles
   getCircles,
   getCircle,
@@ -894,6 +1160,11 @@ export default {
   getListingAvailability,
   setListingAvailability,
   checkAvailability,
+  getListingCalendar,
+  // Waitlist
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
   // Community Library
   getLibraryItems,
   donateToLibrary,
@@ -922,13 +1193,32 @@ export default {
   getRentalPaymentStatus,
   getConnectBalance,
   getEarnings,
+  getEarningsExport,
+  emailEarningsExport,
   testVerifyConnect,
   retryTransfers,
+  // Rent-to-Own
+  getRtoContracts,
+  getRtoContract,
+  getRtoQuote,
+  proposeRtoContract,
+  approveRtoContract,
+  declineRtoContract,
+  cancelRtoContract,
+  payRtoInstallment,
   // Saved listings
   getSavedListings,
   saveListing,
   unsaveListing,
   checkSaved,
+
+  // Saved searches
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchListings,
+  search,
   // Referrals
   getReferralCode,
   getReferralStatus,
@@ -0,0 +1,144 @@
+import { AppState } from 'react-native';
+import { BASE_URL } from '../utils/config';
+
+// Live updates from the server's /ws gateway (messages, reactions, read receipts,
+// typing, badge counts, transaction changes). Screens keep their polling as a
+// fallback and only run it while this socket is down.
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+let authToken = null;
+let socket = null;
+let connected = false;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+
+const listeners = new Map(); // event type -> Set<handler>
+const statusListeners = new Set();
+
+const getSocketUrl = () => `${BASE_URL.replace(/^http/, 'ws')}/ws`;
+
+const setConnected = (value) => {
+  if (connected === value) return;
+  connected = value;
+  statusListeners.forEach(listener => listener(value));
+};
+
+const dispatch = (type, data) => {
+  const handlers = listeners.get(type);
+  if (handlers) handlers.forEach(handler => handler(data));
+};
+
+const scheduleReconnect = () => {
+  if (!authToken || reconnectTimer) return;
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempts, RECONNECT_MAX_MS);
+  reconnectAttempts += 1;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+};
+
+const connect = () => {
+  if (!authToken || socket) return;
+
+  const ws = new WebSocket(getSocketUrl(), null, {
+    headers: { Authorization: `Bearer ${authToken}` },
+  });
+  socket = ws;
+
+  ws.onopen = () => {
+    reconnectAttempts = 0;
+    setConnected(true);
+  };
+
+  ws.onmessage = (event) => {
+    try {
+      const { type, data } = JSON.parse(event.data);
+      dispatch(type, data);
+    } catch {
+      // Ignore malformed frames
+    }
+  };
+
+  ws.onerror = () => {
+    // onclose follows and handles reconnect
+  };
+
+  ws.onclose = () => {
+    if (socket === ws) socket = null;
+    setConnected(false);
+    scheduleReconnect();
+  };
+};
+
+const disconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  reconnectAttempts = 0;
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.onclose = null;
+    ws.close();
+  }
+  setConnected(false);
+};
+
+// Called alongside api.setAuthToken — connects on sign-in, disconnects on sign-out
+const setToken = (token) => {
+  if (token === authToken) return;
+  disconnect();
+  authToken = token;
+  if (token) connect();
+};
+
+// Called after a token refresh — keeps the open socket and uses the new token on the next reconnect
+const updateToken = (token) => {
+  if (authToken) authToken = token;
+};
+
+// Reconnect right away when the app comes back to the foreground
+AppState.addEventListener?.('change', (state) => {
+  if (state === 'active' && authToken && !socket) {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    connect();
+  }
+});
+
+const subscribe = (type, handler) => {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  return () => listeners.get(type)?.delete(handler);
+};
+
+const onStatusChange = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+const isConnected = () => connected;
+
+const send = (type, payload = {}) => {
+  if (!socket || !connected) return false;
+  socket.send(JSON.stringify({ type, ...payload }));
+  return true;
+};
+
+const sendTyping = (conversationId, isTyping = true) =>
+  send('typing', { conversationId, isTyping });
+
+export default {
+  setToken,
+  updateToken,
+  subscribe,
+  onStatusChange,
+  isConnected,
+  sendTyping,
+};
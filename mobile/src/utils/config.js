@@ -31,6 +31,9 @@ export const CATEGORY_ICONS = {
 export const ENABLE_PAID_TIERS = false;
 
 // App constants
+// Matches WAITLIST_CLAIM_HOURS on the server
+export const WAITLIST_CLAIM_HOURS = 24;
+
 export const CONDITION_LABELS = {
   like_new: 'Like New',
   good: 'Good',
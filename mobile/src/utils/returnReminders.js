@@ -3,6 +3,7 @@ import * as Notifications from 'expo-notifications';
 const REMINDER_IDS = {
   dayBefore: (txId) => `return-reminder-1d-${txId}`,
   dueToday: (txId) => `return-due-${txId}`,
+  // No longer scheduled — kept so cancelReturnReminders clears ones set by older versions
   overdue1: (txId) => `return-overdue-1d-${txId}`,
   overdue3: (txId) => `return-overdue-3d-${txId}`,
 };
@@ -11,8 +12,8 @@ const REMINDER_IDS = {
  * Schedule local notifications for an active rental:
  * - 1 day before return date
  * - On the return date
- * - 1 day after (overdue)
- * - 3 days after (overdue)
+ *
+ * Overdue nudges come from the server, which also accrues late fees and escalates.
  */
 export async function scheduleReturnReminders(transactionId, endDate, listingTitle) {
   try {
@@ -35,18 +36,6 @@ export async function scheduleReturnReminders(transactionId, endDate, listingTit
         title: 'Return Due Today',
         body: `"${listingTitle}" is due back today. Please arrange the return.`,
       },
-      {
-        id: REMINDER_IDS.overdue1(transactionId),
-        date: new Date(due.getTime() + 24 * 60 * 60 * 1000),
-        title: 'Rental Overdue',
-        body: `"${listingTitle}" was due yesterday. Please return it as soon as possible.`,
-      },
-      {
-        id: REMINDER_IDS.overdue3(transactionId),
-        date: new Date(due.getTime() + 3 * 24 * 60 * 60 * 1000),
-        title: 'Rental Overdue — 3 Days Late',
-        body: `"${listingTitle}" is 3 days overdue. The lender may file a dispute.`,
-      },
     ];
 
     for (const reminder of reminders) {
@@ -0,0 +1,8 @@
+-- Migration: Rent-to-Own lifecycle
+-- Supports the /api/rto router on top of the tables from 003_messaging_and_rto.sql
+
+-- Listings whose ownership passed to a borrower through a completed RTO contract
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'transferred';
+
+-- Track the day-before payment reminder so the scheduler only sends it once
+ALTER TABLE rto_payments ADD COLUMN IF NOT EXISTS reminder_sent BOOLEAN DEFAULT false;
@@ -0,0 +1,21 @@
+-- Migration: Bundle borrowing
+-- A bundle borrow is a single borrow_transactions row (one PaymentIntent, one deposit)
+-- that covers every listing in the bundle. listing_id holds the first member item.
+
+ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_bundle ON borrow_transactions(bundle_id) WHERE bundle_id IS NOT NULL;
+
+-- Snapshot of the items in a bundle borrow, with per-item condition at pickup and return
+CREATE TABLE IF NOT EXISTS bundle_transaction_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  condition_at_pickup item_condition,
+  condition_at_return item_condition,
+  sort_order INT DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(transaction_id, listing_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_txn_items_txn ON bundle_transaction_items(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_bundle_txn_items_listing ON bundle_transaction_items(listing_id);
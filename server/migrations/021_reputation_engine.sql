@@ -0,0 +1,44 @@
+-- Migration: Reputation engine
+-- reputation_score, response_time_avg_hours, on_time_return_rate, item_care_rating and
+-- the lending streak columns are now recalculated by services/reputation.js from
+-- transaction history, so the triggers that incremented them in place are retired.
+
+-- When the lender approved or declined the request (drives response_time_avg_hours)
+ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS lender_responded_at TIMESTAMPTZ;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_updated_at TIMESTAMPTZ;
+-- Score breakdown from the last recalculation, served as-is by GET /api/users/:id/reputation
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_components JSONB;
+
+-- Streaks are derived from days with an item out on loan, not counted per approval
+DROP TRIGGER IF EXISTS trigger_update_lending_streak ON borrow_transactions;
+DROP FUNCTION IF EXISTS update_lending_streak();
+
+-- Same as 005 minus the +5 reputation bump, which the engine now accounts for
+CREATE OR REPLACE FUNCTION update_sustainability_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+  item_value DECIMAL(10,2);
+  co2_per_item DECIMAL(10,2) := 5.0; -- Estimate 5kg CO2 saved per shared item
+BEGIN
+  IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
+    -- Get estimated item value (use deposit as proxy, or default)
+    SELECT COALESCE(l.deposit_amount, 50) INTO item_value
+    FROM listings l WHERE l.id = NEW.listing_id;
+
+    -- Update lender stats
+    UPDATE users SET
+      items_shared_count = items_shared_count + 1,
+      co2_saved_kg = co2_saved_kg + co2_per_item
+    WHERE id = NEW.lender_id;
+
+    -- Update borrower stats
+    UPDATE users SET
+      items_borrowed_count = items_borrowed_count + 1,
+      total_money_saved = total_money_saved + item_value,
+      co2_saved_kg = co2_saved_kg + co2_per_item
+    WHERE id = NEW.borrower_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
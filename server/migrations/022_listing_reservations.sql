@@ -0,0 +1,78 @@
+-- Migration: Listing reservations
+-- Every dated borrow holds its dates in listing_reservations (one row per item, so a
+-- bundle borrow reserves each member listing). The exclusion constraint makes
+-- overlapping bookings of the same listing impossible at the database level.
+-- period is [start, end + buffer_days): the next pickup can be on the return day,
+-- or buffer_days later when the owner wants turnaround time between rentals.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS buffer_days INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS listing_reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  period DATERANGE NOT NULL,
+  buffer_days INT NOT NULL DEFAULT 0,
+  released_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(transaction_id, listing_id),
+  CONSTRAINT listing_reservations_no_overlap
+    EXCLUDE USING gist (listing_id WITH =, period WITH &&) WHERE (released_at IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_reservations_listing ON listing_reservations(listing_id) WHERE released_at IS NULL;
+
+-- Keep reservations in step with the transaction: cancelled/declined borrows free their
+-- dates, and an early return gives back the unused days (never extends — a late return
+-- must not collide with the next booking)
+CREATE OR REPLACE FUNCTION sync_listing_reservations()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IN ('cancelled', 'declined') AND OLD.status IS DISTINCT FROM NEW.status THEN
+    UPDATE listing_reservations SET released_at = NOW()
+    WHERE transaction_id = NEW.id AND released_at IS NULL;
+  ELSIF NEW.actual_return_at IS NOT NULL AND OLD.actual_return_at IS NULL THEN
+    UPDATE listing_reservations
+    SET period = daterange(
+      lower(period),
+      LEAST(upper(period), GREATEST(lower(period), NEW.actual_return_at::date) + buffer_days),
+      '[)'
+    )
+    WHERE transaction_id = NEW.id AND released_at IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_listing_reservations ON borrow_transactions;
+CREATE TRIGGER trigger_sync_listing_reservations
+  AFTER UPDATE ON borrow_transactions
+  FOR EACH ROW EXECUTE FUNCTION sync_listing_reservations();
+
+-- Reserve dates for borrows already in flight. Overlaps that slipped in before this
+-- constraint existed are skipped rather than failing the migration.
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT bt.id, bt.listing_id, bt.requested_start_date, bt.requested_end_date
+    FROM borrow_transactions bt
+    JOIN listings l ON bt.listing_id = l.id
+    WHERE bt.status IN ('pending', 'approved', 'paid', 'picked_up', 'return_pending')
+      AND bt.bundle_id IS NULL
+      AND l.listing_type IS DISTINCT FROM 'giveaway'
+      AND bt.requested_end_date >= CURRENT_DATE
+    ORDER BY bt.created_at
+  LOOP
+    BEGIN
+      INSERT INTO listing_reservations (listing_id, transaction_id, period)
+      VALUES (r.listing_id, r.id, daterange(r.requested_start_date, GREATEST(r.requested_end_date, r.requested_start_date + 1), '[)'))
+      ON CONFLICT (transaction_id, listing_id) DO NOTHING;
+    EXCEPTION WHEN exclusion_violation THEN
+      RAISE NOTICE 'Skipped overlapping reservation for transaction %', r.id;
+    END;
+  END LOOP;
+END $$;
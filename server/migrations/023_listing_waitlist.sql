@@ -0,0 +1,29 @@
+-- Migration: Listing waitlist
+-- Borrowers queue for an item that's out (or booked for the dates they want). When it
+-- frees up the scheduler offers it to the next person in line, who has a limited
+-- window to claim it before the offer moves on. Community library items are listings
+-- too, so their checkouts share the same queue (desired dates are optional there).
+--
+-- status: waiting -> offered -> claimed | expired; cancelled when the borrower leaves
+
+CREATE TABLE IF NOT EXISTS listing_waitlist (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  desired_start_date DATE,
+  desired_end_date DATE,
+  note TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  offered_at TIMESTAMPTZ,
+  offer_expires_at TIMESTAMPTZ,
+  claimed_transaction_id UUID REFERENCES borrow_transactions(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open place in line per borrower per listing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_waitlist_open
+  ON listing_waitlist(listing_id, user_id) WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS idx_listing_waitlist_queue
+  ON listing_waitlist(listing_id, created_at) WHERE status IN ('waiting', 'offered');
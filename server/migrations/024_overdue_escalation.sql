@@ -0,0 +1,26 @@
+-- Migration: Overdue escalation
+-- The scheduler accrues late_fee_per_day on overdue rentals (capped at the deposit),
+-- nudges both parties at +1/+3/+7 days, optionally charges the accrued fee against the
+-- held deposit, and opens a non-return dispute past a threshold. Every step writes a
+-- row to rental_overdue_events so the transaction keeps a record of what happened.
+--
+-- late_fee_amount_cents now holds the accrued total; late_fee_charged_cents is the part
+-- already taken from the deposit (and withheld from its refund).
+
+ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS late_fee_charged_cents INT DEFAULT 0;
+
+-- event_type: fee_accrued | reminder | fee_charged | dispute_opened
+CREATE TABLE IF NOT EXISTS rental_overdue_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  event_type VARCHAR(30) NOT NULL,
+  days_overdue INT NOT NULL,
+  amount_cents INT DEFAULT 0,
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- The scheduler runs hourly; each step happens at most once per day overdue
+  UNIQUE (transaction_id, event_type, days_overdue)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_overdue_events_txn
+  ON rental_overdue_events(transaction_id, created_at);
@@ -0,0 +1,39 @@
+-- Migration: Moderation reports
+-- Anyone can report a listing, a discussion post, a chat message or a user profile.
+-- Reports land in a review queue for admins and for organizers of the communities the
+-- reported person belongs to, who can hide the content, warn its author or (admins only)
+-- suspend the account. Reporters are notified of the outcome.
+--
+-- target_type: listing | discussion | message | user
+-- status: open -> actioned | dismissed
+-- action: hide | warn | suspend (null when dismissed)
+
+CREATE TABLE IF NOT EXISTS reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type VARCHAR(20) NOT NULL,
+  target_id UUID NOT NULL,
+  -- Author of the reported content (or the reported profile itself)
+  reported_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  -- Community of the listing the content hangs off, when there is one
+  community_id UUID REFERENCES communities(id) ON DELETE SET NULL,
+  reason VARCHAR(30) NOT NULL,
+  details TEXT,
+  evidence_urls TEXT[] DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  action VARCHAR(20),
+  resolution_notes TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open report per person per piece of content
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_unique
+  ON reports(reporter_id, target_type, target_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reports_queue ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_reports_reported_user ON reports(reported_user_id);
+
+-- Listings a moderator took down; the owner can't relist them
+ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'hidden';
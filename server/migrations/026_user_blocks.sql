@@ -0,0 +1,15 @@
+-- Migration: User blocking
+-- A block hides each person from the other in the feed, browse and people search,
+-- and stops messages and borrow requests between them. Blocking also removes any
+-- friendship (pending or accepted) between the pair.
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id != blocked_id)
+);
+
+-- Lookups run in both directions
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
@@ -0,0 +1,16 @@
+-- Migration: Admin console
+-- Runtime feature toggles managed from the admin console. Every change made
+-- through the console is also written to audit_log.
+
+CREATE TABLE IF NOT EXISTS feature_flags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  key VARCHAR(100) UNIQUE NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT false,
+  description TEXT,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The console lists the audit log newest first
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at DESC);
@@ -0,0 +1,38 @@
+-- Migration: Approval-gated community membership
+-- Communities with requires_approval = true queue join requests for an organizer
+-- instead of adding the member straight away. Pending requests live in their own
+-- table, so nothing that checks community_memberships sees them until approved.
+-- Organizer-issued invite codes skip the queue.
+
+ALTER TABLE communities ADD COLUMN IF NOT EXISTS join_questions JSONB DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS community_join_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')),
+  answers JSONB DEFAULT '[]',
+  review_message TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_join_requests_pending
+  ON community_join_requests(community_id, user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_join_requests_user ON community_join_requests(user_id);
+
+CREATE TABLE IF NOT EXISTS community_invites (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  max_uses INTEGER,
+  use_count INTEGER DEFAULT 0,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_community_invites_community ON community_invites(community_id);
@@ -0,0 +1,18 @@
+-- Migration: Geofenced communities
+-- Organizers can give a community a boundary polygon (drawn in the app or imported
+-- as GeoJSON). Joining requires the user's location to fall inside it, and with
+-- scope_to_boundary on, neighborhood-visibility items in the community are shown
+-- to people inside the polygon instead of everyone in the same city.
+
+ALTER TABLE communities ADD COLUMN IF NOT EXISTS boundary GEOGRAPHY(POLYGON, 4326);
+ALTER TABLE communities ADD COLUMN IF NOT EXISTS scope_to_boundary BOOLEAN DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_communities_boundary ON communities USING GIST(boundary);
+
+-- The app saves latitude/longitude; keep the PostGIS point in step so it can be
+-- tested against boundaries
+ALTER TABLE users ADD COLUMN IF NOT EXISTS location GEOGRAPHY(POINT, 4326);
+CREATE INDEX IF NOT EXISTS idx_users_location ON users USING GIST(location);
+
+UPDATE users
+SET location = ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography
+WHERE location IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL;
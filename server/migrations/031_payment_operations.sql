@@ -0,0 +1,42 @@
+-- Migration: Payment operations ledger
+-- Every capture, cancel, refund and transfer is recorded here before Stripe is
+-- called. Failed operations are retried with backoff; after MAX_ATTEMPTS they go
+-- dead and admins are told. A reconciliation job checks succeeded and dead
+-- operations against Stripe (and webhook events) and flags mismatches.
+
+CREATE TABLE IF NOT EXISTS payment_operations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('capture', 'cancel', 'refund', 'transfer')),
+  purpose VARCHAR(50) NOT NULL,
+  idempotency_key VARCHAR(255) UNIQUE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'dead', 'abandoned')),
+  retryable BOOLEAN NOT NULL DEFAULT true,
+  transaction_id UUID REFERENCES borrow_transactions(id) ON DELETE SET NULL,
+  dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL,
+  stripe_payment_intent_id VARCHAR(255),
+  destination_account_id VARCHAR(255),
+  amount_cents INTEGER,
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  stripe_object_id VARCHAR(255),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ,
+  succeeded_at TIMESTAMPTZ,
+  webhook_confirmed_at TIMESTAMPTZ,
+  reconciliation_status VARCHAR(20) NOT NULL DEFAULT 'unchecked'
+    CHECK (reconciliation_status IN ('unchecked', 'matched', 'mismatch', 'resolved')),
+  reconciliation_note TEXT,
+  reconciled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_operations_retry
+  ON payment_operations(next_attempt_at) WHERE status = 'failed';
+CREATE INDEX IF NOT EXISTS idx_payment_operations_transaction ON payment_operations(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_payment_operations_dispute ON payment_operations(dispute_id);
+CREATE INDEX IF NOT EXISTS idx_payment_operations_stripe_object ON payment_operations(stripe_object_id);
+CREATE INDEX IF NOT EXISTS idx_payment_operations_mismatch
+  ON payment_operations(created_at) WHERE reconciliation_status = 'mismatch';
@@ -0,0 +1,24 @@
+-- Migration: Payment holds
+-- Tracks every card authorization on a transaction and when it lapses. The checkout
+-- hold covers a request until the lender responds; long rentals capture the rental
+-- fee at approval and keep the deposit on its own hold, renewed before it expires or
+-- converted into an off-session charge when renewal fails.
+
+CREATE TABLE IF NOT EXISTS payment_holds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('checkout', 'deposit')),
+  stripe_payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+  amount_cents INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'held'
+    CHECK (status IN ('held', 'charged', 'captured', 'released', 'refunded', 'replaced', 'lapsed')),
+  expires_at TIMESTAMPTZ,
+  renewal_attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  warned_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_holds_expiring ON payment_holds(expires_at) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_payment_holds_transaction ON payment_holds(transaction_id);
@@ -0,0 +1,16 @@
+-- Migration: Email digest queue
+-- Low-priority notification emails (receipts, payouts) for users who chose a daily or
+-- weekly digest wait here until the scheduler bundles them into one message.
+
+CREATE TABLE IF NOT EXISTS email_digest_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  action_url TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_digest_items_pending ON email_digest_items(user_id) WHERE sent_at IS NULL;
@@ -0,0 +1,37 @@
+-- Migration: Verified pickup and return handoffs
+-- The borrower's app shows a short-lived signed QR code (or a 6-digit fallback code) that
+-- the lender scans in person to confirm pickup or return. Timestamped condition photos
+-- taken at each handoff are kept with the transaction and copied into any dispute.
+
+CREATE TABLE IF NOT EXISTS handoff_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  handoff VARCHAR(10) NOT NULL CHECK (handoff IN ('pickup', 'return')),
+  nonce VARCHAR(64) UNIQUE NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  issued_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  failed_attempts INT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  used_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_handoff_codes_open ON handoff_codes(transaction_id, handoff) WHERE used_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS handoff_photos (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  handoff VARCHAR(10) NOT NULL CHECK (handoff IN ('pickup', 'return')),
+  url TEXT NOT NULL,
+  taken_at TIMESTAMPTZ NOT NULL,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_handoff_photos_transaction ON handoff_photos(transaction_id, handoff);
+
+ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS pickup_verified_at TIMESTAMPTZ;
+ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS return_verified_at TIMESTAMPTZ;
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS handoff_evidence JSONB;
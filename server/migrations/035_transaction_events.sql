@@ -0,0 +1,130 @@
+-- Migration: Transaction event history and status state machine
+-- Every change to borrow_transactions.status or payment_status is appended to
+-- transaction_events by a trigger, so webhooks, scheduler jobs and routes are all
+-- covered. Routes name the acting user with SET LOCAL borrowhood.actor_id; anything
+-- else is recorded as the system. Status changes not listed in
+-- transaction_status_transitions are rejected with SQLSTATE BH001.
+
+CREATE TABLE IF NOT EXISTS transaction_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  event_type VARCHAR(40) NOT NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30),
+  from_payment_status VARCHAR(30),
+  to_payment_status VARCHAR(30),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_role VARCHAR(20) NOT NULL DEFAULT 'system',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_events_transaction ON transaction_events(transaction_id, created_at);
+
+CREATE TABLE IF NOT EXISTS transaction_status_transitions (
+  from_status VARCHAR(30) NOT NULL,
+  to_status VARCHAR(30) NOT NULL,
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO transaction_status_transitions (from_status, to_status) VALUES
+  ('pending', 'approved'), ('pending', 'paid'), ('pending', 'cancelled'), ('pending', 'declined'),
+  ('approved', 'paid'), ('approved', 'picked_up'), ('approved', 'returned'), ('approved', 'completed'),
+  ('approved', 'cancelled'), ('approved', 'disputed'),
+  ('paid', 'picked_up'), ('paid', 'returned'), ('paid', 'cancelled'), ('paid', 'disputed'),
+  ('picked_up', 'return_pending'), ('picked_up', 'returned'), ('picked_up', 'completed'),
+  ('picked_up', 'disputed'), ('picked_up', 'account_deleted'),
+  ('return_pending', 'returned'), ('return_pending', 'completed'), ('return_pending', 'disputed'),
+  ('returned', 'completed'), ('returned', 'disputed'),
+  ('disputed', 'completed'),
+  ('completed', 'disputed'),
+  ('account_deleted', 'returned'), ('account_deleted', 'completed'), ('account_deleted', 'disputed')
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION guard_transaction_transition()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status AND NOT EXISTS (
+    SELECT 1 FROM transaction_status_transitions
+    WHERE from_status = OLD.status AND to_status = NEW.status
+  ) THEN
+    RAISE EXCEPTION 'Illegal transaction status transition: % -> %', OLD.status, NEW.status
+      USING ERRCODE = 'BH001';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_guard_transaction_transition ON borrow_transactions;
+CREATE TRIGGER trigger_guard_transaction_transition
+  BEFORE UPDATE OF status ON borrow_transactions
+  FOR EACH ROW EXECUTE FUNCTION guard_transaction_transition();
+
+CREATE OR REPLACE FUNCTION record_transaction_event()
+RETURNS TRIGGER AS $$
+DECLARE
+  actor UUID := NULLIF(current_setting('borrowhood.actor_id', true), '')::uuid;
+  actor_source TEXT := NULLIF(current_setting('borrowhood.actor_source', true), '');
+  actor_kind TEXT;
+BEGIN
+  actor_kind := CASE
+    WHEN actor IS NOT NULL AND actor = NEW.borrower_id THEN 'borrower'
+    WHEN actor IS NOT NULL AND actor = NEW.lender_id THEN 'lender'
+    WHEN actor_source IS NOT NULL THEN actor_source
+    WHEN actor IS NOT NULL THEN 'admin'
+    ELSE 'system'
+  END;
+
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO transaction_events
+      (transaction_id, event_type, to_status, to_payment_status, actor_id, actor_role)
+    VALUES (NEW.id, 'created', NEW.status, NEW.payment_status, actor, actor_kind);
+  ELSIF NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.payment_status IS DISTINCT FROM OLD.payment_status THEN
+    INSERT INTO transaction_events
+      (transaction_id, event_type, from_status, to_status, from_payment_status, to_payment_status, actor_id, actor_role)
+    VALUES (
+      NEW.id,
+      CASE WHEN NEW.status IS DISTINCT FROM OLD.status THEN 'status_changed' ELSE 'payment_status_changed' END,
+      OLD.status, NEW.status, OLD.payment_status, NEW.payment_status, actor, actor_kind
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_record_transaction_event ON borrow_transactions;
+CREATE TRIGGER trigger_record_transaction_event
+  AFTER INSERT OR UPDATE ON borrow_transactions
+  FOR EACH ROW EXECUTE FUNCTION record_transaction_event();
+
+-- History is append-only. Events are only deleted along with their transaction
+-- (ON DELETE CASCADE, e.g. account deletion), by which point the parent row is gone.
+CREATE OR REPLACE FUNCTION reject_transaction_event_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM borrow_transactions WHERE id = OLD.transaction_id) THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'transaction_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_transaction_events_append_only ON transaction_events;
+CREATE TRIGGER trigger_transaction_events_append_only
+  BEFORE UPDATE OR DELETE ON transaction_events
+  FOR EACH ROW EXECUTE FUNCTION reject_transaction_event_change();
+
+-- Existing transactions start their history from what the row already records
+INSERT INTO transaction_events (transaction_id, event_type, to_status, actor_id, actor_role, metadata, created_at)
+SELECT id, 'created', 'pending', borrower_id, 'borrower', '{"backfilled": true}', created_at
+FROM borrow_transactions bt
+WHERE NOT EXISTS (SELECT 1 FROM transaction_events e WHERE e.transaction_id = bt.id);
+
+INSERT INTO transaction_events
+  (transaction_id, event_type, from_status, to_status, to_payment_status, actor_role, metadata, created_at)
+SELECT id, 'status_changed', 'pending', status, payment_status, 'system', '{"backfilled": true}',
+       COALESCE(updated_at, created_at)
+FROM borrow_transactions bt
+WHERE status <> 'pending'
+  AND NOT EXISTS (SELECT 1 FROM transaction_events e WHERE e.transaction_id = bt.id AND e.event_type = 'status_changed');
@@ -0,0 +1,8 @@
+-- Migration: Indexes for ranking the feed in SQL
+-- The feed scores every visible listing and request per load: save counts per listing,
+-- the viewer's own saves and borrows by category, and newest-first candidate scans.
+
+CREATE INDEX IF NOT EXISTS idx_saved_listings_listing_created ON saved_listings(listing_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_listings_active_created ON listings(created_at DESC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_item_requests_open_created ON item_requests(created_at DESC) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_borrow_transactions_borrower_created ON borrow_transactions(borrower_id, created_at);
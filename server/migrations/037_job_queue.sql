@@ -0,0 +1,42 @@
+-- Migration: Postgres-backed job queue
+-- Background work (notification fan-out, push and email delivery, the recurring
+-- scheduler tasks) is queued here and claimed with FOR UPDATE SKIP LOCKED, so any number
+-- of server replicas can run workers without doing the same job twice.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+  -- Enqueueing the same key twice is a no-op, so retried producers don't double up
+  dedupe_key VARCHAR(255),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  duration_ms INTEGER,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_type_status ON jobs(type, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_finished ON jobs(finished_at) WHERE status = 'succeeded';
+
+-- Recurring jobs. The replica that locks a due row enqueues the run and moves
+-- next_run_at on, so each run is queued once however many replicas are up.
+CREATE TABLE IF NOT EXISTS job_schedules (
+  job_type VARCHAR(100) PRIMARY KEY,
+  every_minutes INTEGER CHECK (every_minutes > 0),
+  daily_at_hour INTEGER CHECK (daily_at_hour BETWEEN 0 AND 23),
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  next_run_at TIMESTAMPTZ NOT NULL,
+  last_run_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK ((every_minutes IS NULL) <> (daily_at_hour IS NULL))
+);
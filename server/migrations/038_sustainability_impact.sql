@@ -0,0 +1,96 @@
+-- Migration: Sustainability impact engine
+-- The flat 5kg-per-rental trigger from 005 is replaced by a ledger of impact credits
+-- priced from per-category factors. A completed rental (or a handed-off giveaway)
+-- queues an 'impact.credit_transaction' job that writes credits for both parties and
+-- rebuilds their users totals from the ledger.
+
+-- Manufacturing emissions of a new item and what buying one would cost. Subcategories
+-- without their own factors use their parent's.
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS embodied_co2_kg DECIMAL(8,2);
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS replacement_cost DECIMAL(10,2);
+
+UPDATE categories SET embodied_co2_kg = f.co2, replacement_cost = f.cost
+FROM (VALUES
+  ('tools-hardware', 25, 120),
+  ('kitchen-cooking', 15, 60),
+  ('garden-outdoor', 30, 150),
+  ('sports-recreation', 20, 100),
+  ('electronics-tech', 60, 300),
+  ('party-events', 10, 50),
+  ('kids-baby', 20, 90),
+  ('camping-travel', 35, 150),
+  ('cleaning', 20, 100),
+  ('other', 15, 60)
+) AS f(slug, co2, cost)
+WHERE categories.slug = f.slug AND categories.embodied_co2_kg IS NULL;
+
+DROP TRIGGER IF EXISTS trigger_update_sustainability ON borrow_transactions;
+DROP FUNCTION IF EXISTS update_sustainability_stats();
+
+-- One row per party per item of a transaction; recalculation overwrites in place
+CREATE TABLE IF NOT EXISTS impact_credits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('borrower', 'lender', 'receiver', 'giver')),
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  co2_kg DECIMAL(10,2) NOT NULL DEFAULT 0,
+  money_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+  earned_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(transaction_id, listing_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_impact_credits_user ON impact_credits(user_id);
+CREATE INDEX IF NOT EXISTS idx_impact_credits_earned ON impact_credits(earned_at);
+
+-- Credits change when a rental enters or leaves 'completed' or a giveaway is handed off.
+-- The job rebuilds the transaction's credits from scratch, so it needs no dedupe key.
+CREATE OR REPLACE FUNCTION queue_impact_credit()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF 'completed' IN (NEW.status, OLD.status) OR EXISTS (
+    SELECT 1 FROM listings WHERE id = NEW.listing_id AND listing_type = 'giveaway'
+  ) THEN
+    INSERT INTO jobs (type, payload)
+    VALUES ('impact.credit_transaction', jsonb_build_object('transactionId', NEW.id));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_queue_impact_credit ON borrow_transactions;
+CREATE TRIGGER trigger_queue_impact_credit
+  AFTER UPDATE OF status ON borrow_transactions
+  FOR EACH ROW
+  WHEN (NEW.status IS DISTINCT FROM OLD.status
+        AND (NEW.status IN ('completed', 'returned') OR OLD.status IN ('completed', 'returned')))
+  EXECUTE FUNCTION queue_impact_credit();
+
+-- Eco Warrior is earned on CO2 saved, not a count
+UPDATE badge_definitions SET requirement_type = 'co2_kg' WHERE name = 'Eco Warrior';
+
+-- Monthly community reports; share_token makes one readable without logging in
+CREATE TABLE IF NOT EXISTS community_impact_reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+  month DATE NOT NULL,
+  co2_kg DECIMAL(10,2) NOT NULL DEFAULT 0,
+  money_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+  borrows INT NOT NULL DEFAULT 0,
+  giveaways INT NOT NULL DEFAULT 0,
+  active_members INT NOT NULL DEFAULT 0,
+  top_categories JSONB NOT NULL DEFAULT '[]',
+  share_token VARCHAR(64) UNIQUE,
+  shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  shared_at TIMESTAMPTZ,
+  generated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(community_id, month)
+);
+
+-- Credit everything completed before the engine existed
+INSERT INTO jobs (type, payload, dedupe_key)
+VALUES ('impact.recalculate', '{}', 'impact:backfill')
+ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING;
@@ -0,0 +1,56 @@
+-- Migration: Saved searches
+-- A saved search is a browse query kept with its filters. Whenever a listing goes live
+-- (created, or back to 'active' after being paused or relisted) a
+-- 'saved_search.match_listing' job checks it against every saved search and records a
+-- match; instant searches alert right away, daily ones wait for the morning digest.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  query VARCHAR(100),
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  max_price DECIMAL(10,2) CHECK (max_price >= 0),
+  listing_type VARCHAR(10) CHECK (listing_type IN ('lend', 'giveaway')),
+  radius_miles DECIMAL(5,1) CHECK (radius_miles > 0),
+  -- Comma-separated like listings.visibility: which audiences' listings to include
+  visibility VARCHAR(50) NOT NULL DEFAULT 'close_friends,neighborhood,town',
+  alert_frequency VARCHAR(10) NOT NULL DEFAULT 'instant'
+    CHECK (alert_frequency IN ('instant', 'daily', 'off')),
+  last_viewed_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+
+-- One row per listing a search has matched; alerted_at stays NULL until the user is told
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  matched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  alerted_at TIMESTAMPTZ,
+  UNIQUE(saved_search_id, listing_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+  ON saved_search_matches(saved_search_id) WHERE alerted_at IS NULL;
+
+CREATE OR REPLACE FUNCTION queue_saved_search_match()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'active' THEN
+    INSERT INTO jobs (type, payload)
+    VALUES ('saved_search.match_listing', jsonb_build_object('listingId', NEW.id));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_queue_saved_search_match ON listings;
+CREATE TRIGGER trigger_queue_saved_search_match
+  AFTER INSERT OR UPDATE OF status ON listings
+  FOR EACH ROW
+  WHEN (NEW.status = 'active')
+  EXECUTE FUNCTION queue_saved_search_match();
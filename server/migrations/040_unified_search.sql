@@ -0,0 +1,107 @@
+-- Migration: Unified search
+-- Listings, requests, bundles and people are searched through one service: full text
+-- with synonym expansion, pg_trgm for typos and partial words, and a vocabulary of
+-- words people actually list to suggest spelling corrections from.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Different names for the same thing. A search containing any phrase in a group also
+-- matches the canonical name and the other phrases, and the other way round.
+CREATE TABLE IF NOT EXISTS search_synonyms (
+  phrase VARCHAR(100) PRIMARY KEY CHECK (phrase = LOWER(phrase)),
+  canonical VARCHAR(100) NOT NULL CHECK (canonical = LOWER(canonical)),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_synonyms_canonical ON search_synonyms(canonical);
+
+INSERT INTO search_synonyms (phrase, canonical) VALUES
+  ('weed whacker', 'string trimmer'),
+  ('weed wacker', 'string trimmer'),
+  ('weed eater', 'string trimmer'),
+  ('weedeater', 'string trimmer'),
+  ('whipper snipper', 'string trimmer'),
+  ('line trimmer', 'string trimmer'),
+  ('power washer', 'pressure washer'),
+  ('jet washer', 'pressure washer'),
+  ('hand truck', 'dolly'),
+  ('sack truck', 'dolly'),
+  ('shop vac', 'wet dry vacuum'),
+  ('shopvac', 'wet dry vacuum'),
+  ('skilsaw', 'circular saw'),
+  ('skil saw', 'circular saw'),
+  ('sawzall', 'reciprocating saw'),
+  ('bbq', 'grill'),
+  ('barbecue', 'grill'),
+  ('barbeque', 'grill'),
+  ('snowblower', 'snow blower'),
+  ('snow thrower', 'snow blower'),
+  ('rototiller', 'tiller'),
+  ('cultivator', 'tiller'),
+  ('stepladder', 'ladder'),
+  ('step ladder', 'ladder'),
+  ('hedge clippers', 'hedge trimmer'),
+  ('pop up canopy', 'canopy tent'),
+  ('gazebo', 'canopy tent'),
+  ('stroller', 'pushchair'),
+  ('pram', 'pushchair'),
+  ('car seat', 'infant car seat'),
+  ('projector screen', 'projection screen'),
+  ('pa system', 'speaker'),
+  ('bike', 'bicycle'),
+  ('sup', 'paddle board'),
+  ('paddleboard', 'paddle board')
+ON CONFLICT (phrase) DO NOTHING;
+
+-- tsquery for a search: the text itself OR every synonym rewrite of it
+CREATE OR REPLACE FUNCTION search_tsquery(q TEXT)
+RETURNS tsquery AS $$
+  SELECT COALESCE(string_agg('(' || alt_query || ')', ' | ')::tsquery, plainto_tsquery('english', q))
+  FROM (
+    SELECT DISTINCT plainto_tsquery('english', alt)::text AS alt_query
+    FROM (
+      SELECT LOWER(q) AS alt
+      UNION
+      SELECT regexp_replace(LOWER(q), '\m' || s.phrase || '\M', s.canonical, 'g')
+      FROM search_synonyms s WHERE LOWER(q) ~ ('\m' || s.phrase || '\M')
+      UNION
+      SELECT regexp_replace(LOWER(q), '\m' || s.phrase || '\M', other.phrase, 'g')
+      FROM search_synonyms s
+      JOIN search_synonyms other ON other.canonical = s.canonical AND other.phrase <> s.phrase
+      WHERE LOWER(q) ~ ('\m' || s.phrase || '\M')
+      UNION
+      SELECT regexp_replace(LOWER(q), '\m' || s.canonical || '\M', s.phrase, 'g')
+      FROM search_synonyms s WHERE LOWER(q) ~ ('\m' || s.canonical || '\M')
+    ) alts
+  ) queries
+  WHERE numnode(alt_query::tsquery) > 0
+$$ LANGUAGE sql STABLE;
+
+-- Words that appear in live listings and requests, for "did you mean" corrections.
+-- Refreshed by the 'search.refresh_terms' job.
+CREATE MATERIALIZED VIEW IF NOT EXISTS search_terms AS
+SELECT word, ndoc
+FROM ts_stat($terms$
+  SELECT to_tsvector('simple', title || ' ' || COALESCE(description, '')) FROM listings WHERE status = 'active'
+  UNION ALL
+  SELECT to_tsvector('simple', title) FROM item_requests WHERE status = 'open'
+  UNION ALL
+  SELECT to_tsvector('simple', name) FROM categories
+  UNION ALL
+  SELECT to_tsvector('simple', phrase || ' ' || canonical) FROM search_synonyms
+$terms$)
+WHERE length(word) >= 3 AND word ~ '^[a-z]+$';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_terms_word ON search_terms(word);
+CREATE INDEX IF NOT EXISTS idx_search_terms_trgm ON search_terms USING gin(word gin_trgm_ops);
+
+-- Typo-tolerant title matching, and full text for the tables that didn't have it
+CREATE INDEX IF NOT EXISTS idx_listings_title_trgm ON listings USING gin(LOWER(title) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_item_requests_title_trgm ON item_requests USING gin(LOWER(title) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_item_requests_search
+  ON item_requests USING gin(to_tsvector('english', title || ' ' || COALESCE(description, '')));
+CREATE INDEX IF NOT EXISTS idx_bundles_name_trgm ON bundles USING gin(LOWER(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_bundles_search
+  ON bundles USING gin(to_tsvector('english', name || ' ' || COALESCE(description, '')));
+CREATE INDEX IF NOT EXISTS idx_users_name_trgm
+  ON users USING gin(LOWER(first_name || ' ' || COALESCE(last_name, '') || ' ' || COALESCE(display_name, '')) gin_trgm_ops);
@@ -35,6 +35,7 @@ import bundleRoutes from './routes/bundles.js';
 import circleRoutes from './routes/circles.js';
 import seasonalRoutes from './routes/seasonal.js';
 import availabilityRoutes from './routes/availability.js';
+import waitlistRoutes from './routes/waitlist.js';
 import libraryRoutes from './routes/library.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import paymentMethodRoutes from './routes/paymentMethods.js';
@@ -46,7 +47,12 @@ import paymentRoutes from './routes/payments.js';
 import rentalRoutes from './routes/rentals.js';
 import onboardingRoutes from './routes/onboarding.js';
 import earningsRoutes from './routes/earnings.js';
+import rtoRoutes from './routes/rto.js';
+import reportRoutes from './routes/reports.js';
+import adminRoutes from './routes/admin.js';
+import searchRoutes from './routes/search.js';
 import { startScheduler } from './services/scheduler.js';
+import { attachRealtimeGateway } from './services/realtime.js';
 
 const app = express();
 
@@ -105,6 +111,7 @@ app.use('/api/payments', stripeLimiter);
 app.use('/api/subscriptions', stripeLimiter);
 app.use('/api/identity', stripeLimiter);
 app.use('/api/rentals', stripeLimiter);
+app.use('/api/rto', stripeLimiter);
 
 // Stripe webhooks need raw body (before JSON parsing)
 app.use('/webhooks/stripe', express.raw({ type: 'application/json' }));
@@ -126,6 +133,9 @@ app.use(express.static(path.join(__dirname, '../public')));
 app.get('/terms', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/terms.html'));
 });
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/admin/index.html'));
+});
 app.get('/admin/disputes', (req, res) => {
   // Remove helmet CSP so inline scripts/styles work on admin dashboard
   res.removeHeader('Content-Security-Policy');
@@ -240,10 +250,12 @@ app.use('/api/bundles', bundleRoutes);
 app.use('/api/circles', circleRoutes);
 app.use('/api/seasonal', seasonalRoutes);
 app.use('/api/listings', availabilityRoutes);
+app.use('/api/listings', waitlistRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/payment-methods', paymentMethodRoutes);
 app.use('/api/saved', savedRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/listings', discussionRoutes);
 app.use('/api/requests', requestDiscussionRoutes);
@@ -253,6 +265,9 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/rentals', rentalRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/earnings', earningsRoutes);
+app.use('/api/rto', rtoRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/webhooks', webhookRoutes);
 
 // Health check
@@ -278,8 +293,12 @@ const PORT = process.env.PORT || 3000;
 
 // Run migrations before starting server
 runMigrations().then(() => {
-  app.listen(PORT, '0.0.0.0', () => {
+  const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info(`Borrowhood server running on port ${PORT}`);
-    startScheduler();
+    // Web replicas can leave background jobs to dedicated workers (npm run worker)
+    if (process.env.RUN_JOBS !== 'false') {
+      startScheduler().catch(err => logger.error('Scheduler start error:', err));
+    }
   });
+  attachRealtimeGateway(server);
 });
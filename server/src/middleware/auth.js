@@ -1,61 +1,97 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { query } from '../utils/db.js';
+import { isFeatureEnabled } from '../services/featureFlags.js';
 
-// Verify JWT token
-export async function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization;
+// Resolve a JWT to its user, enforcing suspension and password-reset invalidation.
+// Throws an error with a .status the caller can return. Shared with the realtime gateway.
+export async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const authErr = new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    authErr.status = 401;
+    throw authErr;
+  }
 
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+  // Fetch user from database (token_invalidated_at may not exist on first deploy)
+  let result;
+  try {
+    result = await query(
+      'SELECT id, email, first_name, last_name, display_name, status, is_admin, token_invalidated_at FROM users WHERE id = $1',
+      [decoded.userId]
+    );
+  } catch (colErr) {
+    // Fallback if token_invalidated_at column doesn't exist yet
+    result = await query(
+      'SELECT id, email, first_name, last_name, status, is_admin FROM users WHERE id = $1',
+      [decoded.userId]
+    );
   }
 
-  const token = authHeader.split(' ')[1];
+  if (result.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 401;
+    throw err;
+  }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Fetch user from database (token_invalidated_at may not exist on first deploy)
-    let result;
-    try {
-      result = await query(
-        'SELECT id, email, first_name, last_name, display_name, status, is_admin, token_invalidated_at FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-    } catch (colErr) {
-      // Fallback if token_invalidated_at column doesn't exist yet
-      result = await query(
-        'SELECT id, email, first_name, last_name, status, is_admin FROM users WHERE id = $1',
-        [decoded.userId]
-      );
+  const user = result.rows[0];
+
+  if (user.status === 'suspended') {
+    const err = new Error('Account suspended');
+    err.status = 403;
+    throw err;
+  }
+
+  // Check if token was issued before a password reset invalidated all sessions
+  if (user.token_invalidated_at && decoded.iat) {
+    const invalidatedAt = Math.floor(new Date(user.token_invalidated_at).getTime() / 1000);
+    if (decoded.iat < invalidatedAt) {
+      const err = new Error('Token invalidated — please sign in again');
+      err.status = 401;
+      throw err;
     }
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+  // Tokens issued for a device session stop working as soon as that session is revoked
+  if (decoded.sid) {
+    const session = await query(
+      'SELECT revoked_at, expires_at FROM auth_sessions WHERE id = $1 AND user_id = $2',
+      [decoded.sid, user.id]
+    );
+    const s = session.rows[0];
+    if (!s || s.revoked_at || new Date(s.expires_at) < new Date()) {
+      const err = new Error('Session revoked — please sign in again');
+      err.status = 401;
+      throw err;
     }
+  }
 
-    const user = result.rows[0];
+  user.is_admin = user.is_admin || false;
+  user.session_id = decoded.sid || null;
+  return user;
+}
 
-    if (user.status === 'suspended') {
-      return res.status(403).json({ error: 'Account suspended' });
-    }
+// Verify JWT token
+export async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
 
-    // Check if token was issued before a password reset invalidated all sessions
-    if (user.token_invalidated_at && decoded.iat) {
-      const invalidatedAt = Math.floor(new Date(user.token_invalidated_at).getTime() / 1000);
-      if (decoded.iat < invalidatedAt) {
-        return res.status(401).json({ error: 'Token invalidated — please sign in again' });
-      }
-    }
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
 
-    req.user = user;
-    req.user.is_admin = user.is_admin || false;
-    next();
+  const token = authHeader.split(' ')[1];
+
+  let user;
+  try {
+    user = await verifyAccessToken(token);
   } catch (err) {
-    if (err.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    return res.status(401).json({ error: 'Invalid token' });
+    return res.status(err.status || 401).json({ error: err.status ? err.message : 'Invalid token' });
   }
+
+  req.user = user;
+  next();
 }
 
 // Require verified identity (checks both is_verified flag and grace period)
@@ -131,18 +167,36 @@ export function requireAdmin(req, res, next) {
   next();
 }
 
-// Generate tokens
-export function generateTokens(userId) {
+// Require a feature the admin console can switch off (see FEATURE_FLAGS)
+export function requireFeature(key) {
+  return async (req, res, next) => {
+    if (!await isFeatureEnabled(key)) {
+      return res.status(503).json({
+        error: 'This feature is turned off right now',
+        code: 'FEATURE_DISABLED',
+      });
+    }
+    next();
+  };
+}
+
+export const ACCESS_TOKEN_TTL = '15m';
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Generate tokens for a device session. Use startSession / rotateRefreshToken in
+// services/sessions.js rather than calling this directly — the refresh token is only
+// accepted once its hash has been stored.
+export function generateTokens(userId, sessionId) {
   const accessToken = jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 
   const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, sid: sessionId, type: 'refresh', jti: crypto.randomUUID() },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
   );
 
   return { accessToken, refreshToken };
@@ -0,0 +1,1174 @@
+import { Router } from 'express';
+import { query, withTransaction } from '../utils/db.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { getPaymentIntent } from '../services/stripe.js';
+import {
+  executePaymentOperation,
+  formatOperation,
+  retryOperationNow,
+  resolvePaymentOperation,
+} from '../services/paymentOperations.js';
+import { recordAudit, getAuditLog } from '../services/audit.js';
+import { syncUserLocation } from '../services/geofence.js';
+import { FEATURE_FLAGS, getFeatureFlags, setFeatureFlag } from '../services/featureFlags.js';
+import { getJobMetrics, formatJob, retryDeadJob, enqueueJob } from '../services/jobQueue.js';
+
+const router = Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const formatUser = (u) => ({
+  id: u.id,
+  email: u.email,
+  firstName: u.first_name,
+  lastName: u.last_name,
+  profilePhotoUrl: u.profile_photo_url,
+  city: u.city,
+  state: u.state,
+  status: u.status,
+  isVerified: u.is_verified,
+  isAdmin: u.is_admin,
+  hasConnectAccount: !!u.stripe_connect_account_id,
+  createdAt: u.created_at,
+});
+
+const formatTransaction = (t) => ({
+  id: t.id,
+  status: t.status,
+  paymentStatus: t.payment_status,
+  listing: { id: t.listing_id, title: t.listing_title },
+  borrower: { id: t.borrower_id, firstName: t.borrower_first_name, lastName: t.borrower_last_name },
+  lender: { id: t.lender_id, firstName: t.lender_first_name, lastName: t.lender_last_name },
+  startDate: t.requested_start_date,
+  endDate: t.requested_end_date,
+  rentalFee: parseFloat(t.rental_fee),
+  depositAmount: parseFloat(t.deposit_amount),
+  platformFee: parseFloat(t.platform_fee),
+  lenderPayout: parseFloat(t.lender_payout),
+  stripePaymentIntentId: t.stripe_payment_intent_id,
+  stripeTransferId: t.stripe_transfer_id,
+  createdAt: t.created_at,
+});
+
+const TRANSACTION_SELECT = `
+  SELECT t.*, l.title as listing_title,
+         b.first_name as borrower_first_name, b.last_name as borrower_last_name,
+         lnd.first_name as lender_first_name, lnd.last_name as lender_last_name
+  FROM borrow_transactions t
+  JOIN listings l ON t.listing_id = l.id
+  JOIN users b ON t.borrower_id = b.id
+  JOIN users lnd ON t.lender_id = lnd.id`;
+
+// ============================================
+// GET /api/admin/stats
+// Counts for the console overview
+// ============================================
+router.get('/stats', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM users) as user_count,
+         (SELECT COUNT(*) FROM users WHERE status = 'suspended') as suspended_count,
+         (SELECT COUNT(*) FROM reports WHERE status = 'open') as open_report_count,
+         (SELECT COUNT(*) FROM disputes WHERE status = 'underReview') as dispute_review_count,
+         (SELECT COUNT(*) FROM borrow_transactions
+          WHERE status IN ('completed', 'returned') AND lender_payout > 0
+            AND (stripe_transfer_id IS NULL OR stripe_transfer_id = '')
+            AND stripe_payment_intent_id IS NOT NULL) as unpaid_payout_count,
+         (SELECT COUNT(*) FROM payment_operations
+          WHERE (status = 'dead' OR reconciliation_status = 'mismatch')
+            AND reconciliation_status != 'resolved') as payment_attention_count`
+    );
+    const s = result.rows[0];
+
+    res.json({
+      users: parseInt(s.user_count),
+      suspendedUsers: parseInt(s.suspended_count),
+      openReports: parseInt(s.open_report_count),
+      disputesNeedingReview: parseInt(s.dispute_review_count),
+      unpaidPayouts: parseInt(s.unpaid_payout_count),
+      paymentsNeedingAttention: parseInt(s.payment_attention_count),
+    });
+  } catch (err) {
+    console.error('Admin stats error:', err);
+    res.status(500).json({ error: 'Failed to load stats' });
+  }
+});
+
+// ============================================
+// GET /api/admin/users
+// Look up users by email, name or id
+// ============================================
+router.get('/users', authenticate, requireAdmin, async (req, res) => {
+  const { q, status } = req.query;
+
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (q && UUID_PATTERN.test(q.trim())) {
+      params.push(q.trim());
+      conditions.push(`id = $${params.length}`);
+    } else if (q) {
+      params.push(`%${q.trim()}%`);
+      conditions.push(`(email ILIKE $${params.length} OR first_name ILIKE $${params.length}
+        OR last_name ILIKE $${params.length} OR CONCAT(first_name, ' ', last_name) ILIKE $${params.length})`);
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status::text = $${params.length}`);
+    }
+
+    const result = await query(
+      `SELECT * FROM users
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      params
+    );
+
+    res.json(result.rows.map(formatUser));
+  } catch (err) {
+    console.error('Admin user search error:', err);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// ============================================
+// GET /api/admin/users/:id
+// Account detail: activity counts, communities, reports and audit history
+// ============================================
+router.get('/users/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM users WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [counts, memberships, reports, history] = await Promise.all([
+      query(
+        `SELECT
+           (SELECT COUNT(*) FROM listings WHERE owner_id = $1 AND status != 'deleted') as listing_count,
+           (SELECT COUNT(*) FROM borrow_transactions WHERE borrower_id = $1) as borrow_count,
+           (SELECT COUNT(*) FROM borrow_transactions WHERE lender_id = $1) as lend_count,
+           (SELECT COUNT(*) FROM reports WHERE reported_user_id = $1) as reported_count,
+           (SELECT COUNT(*) FROM reports WHERE reported_user_id = $1 AND status = 'open') as open_report_count`,
+        [req.params.id]
+      ),
+      query(
+        `SELECT c.id, c.name, m.role
+         FROM community_memberships m
+         JOIN communities c ON m.community_id = c.id
+         WHERE m.user_id = $1
+         ORDER BY c.name`,
+        [req.params.id]
+      ),
+      query(
+        `SELECT id, target_type, reason, status, action, created_at
+         FROM reports WHERE reported_user_id = $1
+         ORDER BY created_at DESC LIMIT 10`,
+        [req.params.id]
+      ),
+      getAuditLog({ entityType: 'user', entityId: req.params.id, limit: 20 }),
+    ]);
+
+    const c = counts.rows[0];
+
+    res.json({
+      ...formatUser(result.rows[0]),
+      counts: {
+        listings: parseInt(c.listing_count),
+        borrows: parseInt(c.borrow_count),
+        lends: parseInt(c.lend_count),
+        reports: parseInt(c.reported_count),
+        openReports: parseInt(c.open_report_count),
+      },
+      communities: memberships.rows.map(m => ({ id: m.id, name: m.name, role: m.role })),
+      recentReports: reports.rows.map(r => ({
+        id: r.id,
+        targetType: r.target_type,
+        reason: r.reason,
+        status: r.status,
+        action: r.action,
+        createdAt: r.created_at,
+      })),
+      auditLog: history,
+    });
+  } catch (err) {
+    console.error('Admin user detail error:', err);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+});
+
+// ============================================
+// POST /api/admin/users/:id/suspend
+// Suspend an account (blocks sign-in and all API access)
+// ============================================
+router.post('/users/:id/suspend', authenticate, requireAdmin,
+  body('reason').isLength({ min: 1, max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query('SELECT status FROM users WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (existing.rows.length === 0) return null;
+
+        await client.query(`UPDATE users SET status = 'suspended' WHERE id = $1`, [req.params.id]);
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'user.suspend',
+          entityType: 'user',
+          entityId: req.params.id,
+          oldValues: { status: existing.rows[0].status },
+          newValues: { status: 'suspended', reason: req.body.reason },
+          req,
+        }, client);
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ success: true, status: 'suspended' });
+    } catch (err) {
+      console.error('Admin suspend error:', err);
+      res.status(500).json({ error: 'Failed to suspend user' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/admin/users/:id/unsuspend
+// Restore a suspended account to verified or pending
+// ============================================
+router.post('/users/:id/unsuspend', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const status = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT status, is_verified FROM users WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (existing.rows.length === 0) return null;
+
+      const u = existing.rows[0];
+      if (u.status !== 'suspended') return u.status;
+
+      const restored = u.is_verified ? 'verified' : 'pending';
+      await client.query('UPDATE users SET status = $1 WHERE id = $2', [restored, req.params.id]);
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'user.unsuspend',
+        entityType: 'user',
+        entityId: req.params.id,
+        oldValues: { status: 'suspended' },
+        newValues: { status: restored },
+        req,
+      }, client);
+      return restored;
+    });
+
+    if (!status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, status });
+  } catch (err) {
+    console.error('Admin unsuspend error:', err);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+// ============================================
+// POST /api/admin/users/:id/verification
+// Override identity verification (e.g. after a manual document check)
+// ============================================
+router.post('/users/:id/verification', authenticate, requireAdmin,
+  body('isVerified').isBoolean(),
+  body('reason').isLength({ min: 1, max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isVerified = req.body.isVerified === true || req.body.isVerified === 'true';
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query(
+          'SELECT status, is_verified, verified_at FROM users WHERE id = $1 FOR UPDATE',
+          [req.params.id]
+        );
+        if (existing.rows.length === 0) return null;
+
+        const u = existing.rows[0];
+        // Leave suspended accounts suspended — verification is independent of suspension
+        const status = u.status === 'suspended' ? 'suspended' : (isVerified ? 'verified' : 'pending');
+
+        const result = await client.query(
+          `UPDATE users
+           SET is_verified = $1, status = $2,
+               verified_at = CASE WHEN $1 THEN COALESCE(verified_at, NOW()) ELSE NULL END
+           WHERE id = $3
+           RETURNING status, is_verified, verified_at`,
+          [isVerified, status, req.params.id]
+        );
+
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'user.verification_override',
+          entityType: 'user',
+          entityId: req.params.id,
+          oldValues: { isVerified: u.is_verified, status: u.status },
+          newValues: { isVerified, status, reason: req.body.reason },
+          req,
+        }, client);
+
+        return result.rows[0];
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        success: true,
+        status: updated.status,
+        isVerified: updated.is_verified,
+        verifiedAt: updated.verified_at,
+      });
+    } catch (err) {
+      console.error('Admin verification override error:', err);
+      res.status(500).json({ error: 'Failed to update verification' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/admin/users/:id/reset-onboarding
+// Send a user back through onboarding (location, founder status)
+// ============================================
+router.post('/users/:id/reset-onboarding', authenticate, requireAdmin,
+  body('reason').isLength({ min: 1, max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query(
+          'SELECT city, state, onboarding_step, onboarding_completed, is_founder FROM users WHERE id = $1 FOR UPDATE',
+          [req.params.id]
+        );
+        if (existing.rows.length === 0) return null;
+
+        const u = existing.rows[0];
+        await client.query(
+          `UPDATE users SET city = NULL, state = NULL, onboarding_step = NULL,
+                            onboarding_completed = false, is_founder = false
+           WHERE id = $1`,
+          [req.params.id]
+        );
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'user.reset_onboarding',
+          entityType: 'user',
+          entityId: req.params.id,
+          oldValues: {
+            city: u.city,
+            state: u.state,
+            onboardingStep: u.onboarding_step,
+            onboardingCompleted: u.onboarding_completed,
+            isFounder: u.is_founder,
+          },
+          newValues: { reason: req.body.reason },
+          req,
+        }, client);
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Admin reset onboarding error:', err);
+      res.status(500).json({ error: 'Failed to reset onboarding' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/admin/users/:id/reset
+// Full reset: clear Stripe, subscription, onboarding, verification and communities
+// ============================================
+router.post('/users/:id/reset', authenticate, requireAdmin,
+  body('reason').isLength({ min: 1, max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot reset your own account' });
+    }
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query(
+          `SELECT status, is_verified, subscription_tier, stripe_customer_id, stripe_connect_account_id
+           FROM users WHERE id = $1 FOR UPDATE`,
+          [req.params.id]
+        );
+        if (existing.rows.length === 0) return null;
+
+        const u = existing.rows[0];
+        await client.query(
+          `UPDATE users SET
+            stripe_customer_id = NULL,
+            stripe_subscription_id = NULL,
+            subscription_tier = 'free',
+            city = NULL,
+            state = NULL,
+            latitude = NULL,
+            longitude = NULL,
+            onboarding_step = NULL,
+            onboarding_completed = false,
+            is_founder = false,
+            is_verified = false,
+            status = 'pending',
+            verified_at = NULL,
+            stripe_connect_account_id = NULL,
+            verification_grace_until = NULL,
+            verification_status = NULL,
+            stripe_identity_session_id = NULL
+          WHERE id = $1`,
+          [req.params.id]
+        );
+        await client.query('DELETE FROM community_memberships WHERE user_id = $1', [req.params.id]);
+        await syncUserLocation(req.params.id, client);
+
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'user.reset',
+          entityType: 'user',
+          entityId: req.params.id,
+          oldValues: {
+            status: u.status,
+            isVerified: u.is_verified,
+            subscriptionTier: u.subscription_tier,
+            stripeCustomerId: u.stripe_customer_id,
+            stripeConnectAccountId: u.stripe_connect_account_id,
+          },
+          newValues: { status: 'pending', reason: req.body.reason },
+          req,
+        }, client);
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ success: true, status: 'pending' });
+    } catch (err) {
+      console.error('Admin reset user error:', err);
+      res.status(500).json({ error: 'Failed to reset user' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/admin/verifications/reset
+// Clear identity verification on every verified account so they re-verify
+// ============================================
+router.post('/verifications/reset', authenticate, requireAdmin,
+  body('reason').isLength({ min: 1, max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const count = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE users SET status = 'active', is_verified = false, verified_at = NULL
+           WHERE is_verified = true
+           RETURNING id`
+        );
+        for (const user of result.rows) {
+          await recordAudit({
+            actorId: req.user.id,
+            action: 'user.reset_verification',
+            entityType: 'user',
+            entityId: user.id,
+            oldValues: { isVerified: true },
+            newValues: { isVerified: false, reason: req.body.reason },
+            req,
+          }, client);
+        }
+        return result.rowCount;
+      });
+
+      res.json({ success: true, count });
+    } catch (err) {
+      console.error('Admin reset verifications error:', err);
+      res.status(500).json({ error: 'Failed to reset verifications' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/admin/transactions
+// Recent transactions, filterable by status, payment status or user
+// ============================================
+router.get('/transactions', authenticate, requireAdmin, async (req, res) => {
+  const { status, paymentStatus, userId, unpaidPayout } = req.query;
+
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`t.status::text = $${params.length}`);
+    }
+    if (paymentStatus) {
+      params.push(paymentStatus);
+      conditions.push(`t.payment_status = $${params.length}`);
+    }
+    if (userId) {
+      params.push(userId);
+      conditions.push(`(t.borrower_id = $${params.length} OR t.lender_id = $${params.length})`);
+    }
+    if (unpaidPayout === 'true') {
+      conditions.push(`t.status IN ('completed', 'returned') AND t.lender_payout > 0
+        AND (t.stripe_transfer_id IS NULL OR t.stripe_transfer_id = '')
+        AND t.stripe_payment_intent_id IS NOT NULL`);
+    }
+
+    const result = await query(
+      `${TRANSACTION_SELECT}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY t.created_at DESC
+       LIMIT 50`,
+      params
+    );
+
+    res.json(result.rows.map(formatTransaction));
+  } catch (err) {
+    console.error('Admin transactions error:', err);
+    res.status(500).json({ error: 'Failed to load transactions' });
+  }
+});
+
+// ============================================
+// GET /api/admin/transactions/:id
+// Transaction detail with live Stripe payment state and audit history
+// ============================================
+router.get('/transactions/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`${TRANSACTION_SELECT} WHERE t.id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const t = result.rows[0];
+
+    let paymentIntent = null;
+    if (t.stripe_payment_intent_id) {
+      try {
+        const pi = await getPaymentIntent(t.stripe_payment_intent_id);
+        paymentIntent = {
+          id: pi.id,
+          status: pi.status,
+          amount: pi.amount / 100,
+          amountCaptured: (pi.amount_received || 0) / 100,
+          latestCharge: pi.latest_charge,
+        };
+      } catch (stripeErr) {
+        paymentIntent = { id: t.stripe_payment_intent_id, error: stripeErr.message };
+      }
+    }
+
+    const [disputes, operations, history] = await Promise.all([
+      query(
+        'SELECT id, type, status, created_at FROM disputes WHERE transaction_id = $1 ORDER BY created_at DESC',
+        [req.params.id]
+      ),
+      query(
+        'SELECT * FROM payment_operations WHERE transaction_id = $1 ORDER BY created_at',
+        [req.params.id]
+      ),
+      getAuditLog({ entityType: 'transaction', entityId: req.params.id, limit: 20 }),
+    ]);
+
+    res.json({
+      ...formatTransaction(t),
+      lateFeeChargedCents: t.late_fee_charged_cents || 0,
+      actualPickupAt: t.actual_pickup_at,
+      actualReturnAt: t.actual_return_at,
+      paymentIntent,
+      disputes: disputes.rows.map(d => ({ id: d.id, type: d.type, status: d.status, createdAt: d.created_at })),
+      paymentOperations: operations.rows.map(formatOperation),
+      auditLog: history,
+    });
+  } catch (err) {
+    console.error('Admin transaction detail error:', err);
+    res.status(500).json({ error: 'Failed to load transaction' });
+  }
+});
+
+// ============================================
+// POST /api/admin/transactions/:id/retry-payout
+// Retry a lender payout that never reached Stripe
+// ============================================
+router.post('/transactions/:id/retry-payout', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT t.id, t.status, t.lender_payout, t.stripe_payment_intent_id, t.stripe_transfer_id,
+              t.payment_status, u.stripe_connect_account_id
+       FROM borrow_transactions t
+       JOIN users u ON t.lender_id = u.id
+       WHERE t.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const t = result.rows[0];
+
+    if (t.stripe_transfer_id) {
+      return res.status(400).json({ error: 'Lender has already been paid for this transaction' });
+    }
+    if (!['completed', 'returned', 'return_pending'].includes(t.status)) {
+      return res.status(400).json({ error: 'Payouts can only be retried once the item is returned' });
+    }
+    if (!(parseFloat(t.lender_payout) > 0) || !t.stripe_payment_intent_id) {
+      return res.status(400).json({ error: 'Nothing to pay out for this transaction' });
+    }
+    if (!t.stripe_connect_account_id) {
+      return res.status(400).json({ error: 'Lender has not set up payouts' });
+    }
+
+    // Reuse the payout's ledger entry so a retry can never pay the lender twice
+    const idempotencyKey = `rental_payout:${t.id}`;
+    const existing = await query(
+      'SELECT id, status FROM payment_operations WHERE idempotency_key = $1',
+      [idempotencyKey]
+    );
+    const prior = existing.rows[0];
+    const payout = prior && prior.status !== 'succeeded'
+      ? await retryOperationNow(prior.id)
+      : await executePaymentOperation({
+        kind: 'transfer',
+        purpose: 'rental_payout',
+        idempotencyKey,
+        paymentIntentId: t.stripe_payment_intent_id,
+        amountCents: Math.round(parseFloat(t.lender_payout) * 100),
+        destinationAccountId: t.stripe_connect_account_id,
+        transactionId: t.id,
+        metadata: { transactionId: t.id, retriedBy: req.user.id },
+      });
+
+    if (!payout || payout.status === 'processing') {
+      return res.status(409).json({ error: 'A payout attempt is already in progress' });
+    }
+    if (payout.status !== 'succeeded') {
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'transaction.payout_retry_failed',
+        entityType: 'transaction',
+        entityId: t.id,
+        newValues: { error: payout.lastError, paymentOperationId: payout.id },
+        req,
+      });
+      return res.status(502).json({ error: `Stripe transfer failed: ${payout.lastError}` });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE borrow_transactions SET stripe_transfer_id = $1, payment_status = 'completed' WHERE id = $2`,
+        [payout.stripeObjectId, t.id]
+      );
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'transaction.payout_retry',
+        entityType: 'transaction',
+        entityId: t.id,
+        oldValues: { stripeTransferId: null, paymentStatus: t.payment_status },
+        newValues: { stripeTransferId: payout.stripeObjectId, paymentStatus: 'completed' },
+        req,
+      }, client);
+    });
+
+    res.json({ success: true, transferId: payout.stripeObjectId });
+  } catch (err) {
+    console.error('Admin retry payout error:', err);
+    res.status(500).json({ error: 'Failed to retry payout' });
+  }
+});
+
+// ============================================
+// GET /api/admin/payment-operations
+// Payment ledger, filterable by status, reconciliation state or transaction.
+// ?attention=true lists dead operations and Stripe mismatches still open.
+// ============================================
+router.get('/payment-operations', authenticate, requireAdmin, async (req, res) => {
+  const { status, reconciliation, transactionId, attention } = req.query;
+
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (reconciliation) {
+      params.push(reconciliation);
+      conditions.push(`reconciliation_status = $${params.length}`);
+    }
+    if (transactionId) {
+      params.push(transactionId);
+      conditions.push(`transaction_id = $${params.length}`);
+    }
+    if (attention === 'true') {
+      conditions.push(`(status = 'dead' OR reconciliation_status = 'mismatch') AND reconciliation_status != 'resolved'`);
+    }
+
+    const result = await query(
+      `SELECT * FROM payment_operations
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      params
+    );
+
+    res.json(result.rows.map(formatOperation));
+  } catch (err) {
+    console.error('Admin payment operations error:', err);
+    res.status(500).json({ error: 'Failed to load payment operations' });
+  }
+});
+
+// ============================================
+// POST /api/admin/payment-operations/:id/retry
+// Send a failed, dead or abandoned operation back to Stripe now
+// ============================================
+router.post('/payment-operations/:id/retry', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const existing = await query('SELECT * FROM payment_operations WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment operation not found' });
+    }
+    const before = existing.rows[0];
+
+    const op = await retryOperationNow(before.id);
+    if (!op) {
+      return res.status(400).json({ error: `Can't retry an operation that is ${before.status}` });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'payment_operation.retry',
+      entityType: 'payment_operation',
+      entityId: op.id,
+      oldValues: { status: before.status, attempts: before.attempts },
+      newValues: { status: op.status, attempts: op.attempts, error: op.lastError },
+      req,
+    });
+
+    res.json(op);
+  } catch (err) {
+    console.error('Admin retry payment operation error:', err);
+    res.status(500).json({ error: 'Failed to retry payment operation' });
+  }
+});
+
+// ============================================
+// POST /api/admin/payment-operations/:id/resolve
+// Close out a Stripe mismatch or a dead operation settled by hand
+// ============================================
+router.post('/payment-operations/:id/resolve', authenticate, requireAdmin,
+  body('note').isLength({ min: 5, max: 1000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const op = await resolvePaymentOperation(req.params.id, req.body.note);
+      if (!op) {
+        return res.status(404).json({ error: 'No open mismatch or dead operation with that id' });
+      }
+
+      await recordAudit({
+        actorId: req.user.id,
+        action: 'payment_operation.resolve',
+        entityType: 'payment_operation',
+        entityId: op.id,
+        newValues: { reconciliationStatus: 'resolved', note: req.body.note },
+        req,
+      });
+
+      res.json(op);
+    } catch (err) {
+      console.error('Admin resolve payment operation error:', err);
+      res.status(500).json({ error: 'Failed to resolve payment operation' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/admin/jobs
+// Job queue health per type: backlog, lag, run counts and durations, plus schedules.
+// ?hours= sets the window for run counts (default 24)
+// ============================================
+router.get('/jobs', authenticate, requireAdmin, async (req, res) => {
+  const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 7);
+
+  try {
+    res.json(await getJobMetrics({ hours }));
+  } catch (err) {
+    console.error('Admin job metrics error:', err);
+    res.status(500).json({ error: 'Failed to load job metrics' });
+  }
+});
+
+// ============================================
+// GET /api/admin/jobs/dead
+// Dead-lettered jobs, newest first, optionally for one type
+// ============================================
+router.get('/jobs/dead', authenticate, requireAdmin, async (req, res) => {
+  const { type } = req.query;
+
+  try {
+    const params = [];
+    if (type) params.push(type);
+    const result = await query(
+      `SELECT * FROM jobs
+       WHERE status = 'dead' ${type ? 'AND type = $1' : ''}
+       ORDER BY finished_at DESC
+       LIMIT 100`,
+      params
+    );
+
+    res.json(result.rows.map(formatJob));
+  } catch (err) {
+    console.error('Admin dead jobs error:', err);
+    res.status(500).json({ error: 'Failed to load dead jobs' });
+  }
+});
+
+// ============================================
+// POST /api/admin/jobs/:id/retry
+// Put a dead job back on the queue with fresh attempts
+// ============================================
+router.post('/jobs/:id/retry', authenticate, requireAdmin, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'No dead job with that id' });
+  }
+
+  try {
+    const job = await retryDeadJob(req.params.id);
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'job.retry',
+      entityType: 'job',
+      entityId: job.id,
+      newValues: { type: job.type, status: job.status },
+      req,
+    });
+
+    res.json(job);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Admin retry job error:', err);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// ============================================
+// POST /api/admin/impact/recalculate
+// Rebuild every impact credit, user total and community report from history,
+// e.g. after changing a category's CO2 or replacement-cost factors
+// ============================================
+router.post('/impact/recalculate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const jobId = await enqueueJob('impact.recalculate', {}, { maxAttempts: 3 });
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'impact.recalculate',
+      entityType: 'job',
+      entityId: jobId,
+      req,
+    });
+
+    res.json({ jobId, status: 'queued' });
+  } catch (err) {
+    console.error('Admin impact recalculation error:', err);
+    res.status(500).json({ error: 'Failed to queue impact recalculation' });
+  }
+});
+
+// ============================================
+// GET /api/admin/communities
+// All communities, including inactive ones
+// ============================================
+router.get('/communities', authenticate, requireAdmin, async (req, res) => {
+  const { q } = req.query;
+
+  try {
+    const params = [];
+    let where = '';
+    if (q) {
+      params.push(`%${q.trim()}%`);
+      where = `WHERE c.name ILIKE $1 OR c.city ILIKE $1`;
+    }
+
+    const result = await query(
+      `SELECT c.*,
+              (SELECT COUNT(*) FROM community_memberships WHERE community_id = c.id) as member_count,
+              (SELECT COUNT(*) FROM community_memberships WHERE community_id = c.id AND role = 'organizer') as organizer_count,
+              (SELECT COUNT(*) FROM listings WHERE community_id = c.id AND status = 'active') as listing_count
+       FROM communities c
+       ${where}
+       ORDER BY c.name
+       LIMIT 100`,
+      params
+    );
+
+    res.json(result.rows.map(c => ({
+      id: c.id,
+      name: c.name,
+      slug: c.slug,
+      city: c.city,
+      state: c.state,
+      isActive: c.is_active,
+      requiresApproval: c.requires_approval,
+      memberCount: parseInt(c.member_count),
+      organizerCount: parseInt(c.organizer_count),
+      listingCount: parseInt(c.listing_count),
+      createdAt: c.created_at,
+    })));
+  } catch (err) {
+    console.error('Admin communities error:', err);
+    res.status(500).json({ error: 'Failed to load communities' });
+  }
+});
+
+// ============================================
+// PATCH /api/admin/communities/:id
+// Activate/deactivate a community or change its join policy
+// ============================================
+router.patch('/communities/:id', authenticate, requireAdmin,
+  body('isActive').optional().isBoolean(),
+  body('requiresApproval').optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { isActive, requiresApproval } = req.body;
+    if (isActive === undefined && requiresApproval === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query(
+          'SELECT is_active, requires_approval FROM communities WHERE id = $1 FOR UPDATE',
+          [req.params.id]
+        );
+        if (existing.rows.length === 0) return null;
+
+        const c = existing.rows[0];
+        const result = await client.query(
+          `UPDATE communities
+           SET is_active = COALESCE($1, is_active),
+               requires_approval = COALESCE($2, requires_approval),
+               updated_at = NOW()
+           WHERE id = $3
+           RETURNING is_active, requires_approval`,
+          [isActive ?? null, requiresApproval ?? null, req.params.id]
+        );
+
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'community.update',
+          entityType: 'community',
+          entityId: req.params.id,
+          oldValues: { isActive: c.is_active, requiresApproval: c.requires_approval },
+          newValues: { isActive: result.rows[0].is_active, requiresApproval: result.rows[0].requires_approval },
+          req,
+        }, client);
+
+        return result.rows[0];
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Community not found' });
+      }
+
+      res.json({ success: true, isActive: updated.is_active, requiresApproval: updated.requires_approval });
+    } catch (err) {
+      console.error('Admin community update error:', err);
+      res.status(500).json({ error: 'Failed to update community' });
+    }
+  }
+);
+
+// ============================================
+// PATCH /api/admin/communities/:id/members/:userId
+// Promote a member to organizer or step them back down
+// ============================================
+router.patch('/communities/:id/members/:userId', authenticate, requireAdmin,
+  body('role').isIn(['member', 'organizer']),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const updated = await withTransaction(async (client) => {
+        const existing = await client.query(
+          'SELECT id, role FROM community_memberships WHERE community_id = $1 AND user_id = $2 FOR UPDATE',
+          [req.params.id, req.params.userId]
+        );
+        if (existing.rows.length === 0) return null;
+
+        await client.query(
+          'UPDATE community_memberships SET role = $1 WHERE id = $2',
+          [req.body.role, existing.rows[0].id]
+        );
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'community.member_role',
+          entityType: 'community',
+          entityId: req.params.id,
+          oldValues: { userId: req.params.userId, role: existing.rows[0].role },
+          newValues: { userId: req.params.userId, role: req.body.role },
+          req,
+        }, client);
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Membership not found' });
+      }
+
+      res.json({ success: true, role: req.body.role });
+    } catch (err) {
+      console.error('Admin member role error:', err);
+      res.status(500).json({ error: 'Failed to update member role' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/admin/feature-flags
+// Every toggleable feature with its current state
+// ============================================
+router.get('/feature-flags', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getFeatureFlags());
+  } catch (err) {
+    console.error('Admin feature flags error:', err);
+    res.status(500).json({ error: 'Failed to load feature flags' });
+  }
+});
+
+// ============================================
+// PUT /api/admin/feature-flags/:key
+// Turn a feature on or off
+// ============================================
+router.put('/feature-flags/:key', authenticate, requireAdmin,
+  body('enabled').isBoolean(),
+  body('description').optional().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!FEATURE_FLAGS[req.params.key]) {
+      return res.status(400).json({ error: `Unknown feature flag. Known flags: ${Object.keys(FEATURE_FLAGS).join(', ')}` });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+
+    try {
+      const flag = await withTransaction(async (client) => {
+        const { previous, flag: saved } = await setFeatureFlag(
+          req.params.key, { enabled, description: req.body.description }, req.user.id, client
+        );
+        await recordAudit({
+          actorId: req.user.id,
+          action: 'feature_flag.set',
+          entityType: 'feature_flag',
+          entityId: saved.id,
+          oldValues: previous ? { key: previous.key, enabled: previous.enabled } : null,
+          newValues: { key: saved.key, enabled: saved.enabled },
+          req,
+        }, client);
+        return saved;
+      });
+
+      res.json({
+        id: flag.id,
+        key: flag.key,
+        enabled: flag.enabled,
+        description: flag.description,
+        updatedAt: flag.updated_at,
+      });
+    } catch (err) {
+      console.error('Admin set feature flag error:', err);
+      res.status(500).json({ error: 'Failed to update feature flag' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/admin/audit-log
+// Audit history, filterable by entity, actor or action
+// ============================================
+router.get('/audit-log', authenticate, requireAdmin, async (req, res) => {
+  const { entityType, entityId, actorId, action } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    res.json(await getAuditLog({ entityType, entityId, actorId, action, limit, offset }));
+  } catch (err) {
+    console.error('Admin audit log error:', err);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+export default router;
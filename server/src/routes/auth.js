@@ -5,11 +5,15 @@ import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import jwksClient from 'jwks-rsa';
 import { query } from '../utils/db.js';
-import { generateTokens, authenticate } from '../middleware/auth.js';
-import { createStripeCustomer, createIdentityVerificationSession, getIdentityVerificationSession, cancelPaymentIntent } from '../services/stripe.js';
+import { authenticate } from '../middleware/auth.js';
+import { createStripeCustomer, createIdentityVerificationSession, getIdentityVerificationSession } from '../services/stripe.js';
+import { executePaymentOperation } from '../services/paymentOperations.js';
 import { sendNotification } from '../services/notifications.js';
+import { setTransactionListingsAvailable } from '../services/bundles.js';
+import { queryAs } from '../services/transactionEvents.js';
 import { sendResetCodeEmail, sendAccountHintEmail } from '../services/email.js';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
+import { startSession, rotateRefreshToken, listSessions, revokeSession, revokeAllSessions } from '../services/sessions.js';
 
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
@@ -99,7 +103,7 @@ router.post('/register',
         }
       }
 
-      const tokens = generateTokens(user.id);
+      const tokens = await startSession(user.id, req);
 
       res.status(201).json({
         user: {
@@ -167,7 +171,7 @@ router.post('/login',
         return res.status(403).json({ error: 'Account suspended' });
       }
 
-      const tokens = generateTokens(user.id);
+      const tokens = await startSession(user.id, req);
 
       res.json({
         user: {
@@ -266,7 +270,7 @@ router.post('/google', async (req, res) => {
       return res.status(403).json({ error: 'Account suspended' });
     }
 
-    const tokens = generateTokens(user.id);
+    const tokens = await startSession(user.id, req);
 
     res.status(isNewUser ? 201 : 200).json({
       user: {
@@ -398,7 +402,7 @@ router.post('/apple', async (req, res) => {
       return res.status(403).json({ error: 'Account suspended' });
     }
 
-    const tokens = generateTokens(user.id);
+    const tokens = await startSession(user.id, req);
 
     const needsName = !user.first_name;
 
@@ -421,6 +425,112 @@ router.post('/apple', async (req, res) => {
   }
 });
 
+// ============================================
+// POST /api/auth/refresh
+// Swap a refresh token for a new access/refresh pair (each refresh token works once)
+// ============================================
+router.post('/refresh',
+  body('refreshToken').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+      res.json(tokens);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error('Refresh token error:', err);
+      res.status(500).json({ error: 'Failed to refresh session' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/auth/logout
+// End the current device session
+// ============================================
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.user.session_id) {
+      await revokeSession(req.user.id, req.user.session_id);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// ============================================
+// GET /api/auth/sessions
+// Devices currently signed in to this account
+// ============================================
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json(sessions.map(s => ({
+      id: s.id,
+      deviceName: s.device_name,
+      platform: s.platform,
+      userAgent: s.user_agent,
+      ipAddress: s.ip_address,
+      createdAt: s.created_at,
+      lastUsedAt: s.last_used_at,
+      isCurrent: s.id === req.user.session_id,
+    })));
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+// ============================================
+// DELETE /api/auth/sessions/:id
+// Sign out one device
+// ============================================
+router.delete('/sessions/:id', authenticate,
+  param('id').isUUID(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const revoked = await revokeSession(req.user.id, req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      res.status(500).json({ error: 'Failed to sign out device' });
+    }
+  }
+);
+
+// ============================================
+// DELETE /api/auth/sessions
+// Sign out every other device
+// ============================================
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id, { exceptSessionId: req.user.session_id });
+    res.json({ success: true, revoked: count });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({ error: 'Failed to sign out other devices' });
+  }
+});
+
 // ============================================
 // POST /api/auth/verify-identity
 // Start Stripe Identity verification session
@@ -585,88 +695,6 @@ router.post('/check-verification', authenticate, async (req, res) => {
 });
 
 // ============================================
-// POST /api/auth/admin/reset-onboarding
-// Temp admin endpoint to reset a user's onboarding
-// ============================================
-router.post('/admin/reset-onboarding', async (req, res) => {
-  const { email, secret } = req.body;
-  if (!process.env.ADMIN_SECRET || !secret || secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  try {
-    const result = await query(
-      "UPDATE users SET city = NULL, state = NULL, onboarding_step = NULL, onboarding_completed = false, is_founder = false WHERE email = $1 RETURNING id, email",
-      [email]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    res.json({ success: true, user: result.rows[0] });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// ============================================
-// POST /api/auth/admin/reset-verifications
-// Reset all user verifications (admin only)
-// ============================================
-router.post('/admin/reset-verifications', async (req, res) => {
-  const { secret } = req.body;
-  if (!process.env.ADMIN_SECRET || !secret || secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  try {
-    const result = await query(
-      "UPDATE users SET status = 'active', is_verified = false, verified_at = NULL WHERE is_verified = true RETURNING id, email"
-    );
-    res.json({ success: true, count: result.rowCount, users: result.rows });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// POST /api/auth/admin/reset-user
-// Full reset: clear Stripe, subscription, onboarding, verification for a user
-// ============================================
-router.post('/admin/reset-user', async (req, res) => {
-  const { email, secret } = req.body;
-  if (!process.env.ADMIN_SECRET || !secret || secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  try {
-    const result = await query(
-      `UPDATE users SET
-        stripe_customer_id = NULL,
-        stripe_subscription_id = NULL,
-        subscription_tier = 'free',
-        city = NULL,
-        state = NULL,
-        latitude = NULL,
-        longitude = NULL,
-        onboarding_step = NULL,
-        onboarding_completed = false,
-        is_founder = false,
-        is_verified = false,
-        status = 'pending',
-        verified_at = NULL,
-        stripe_connect_account_id = NULL,
-        verification_grace_until = NULL,
-        verification_status = NULL,
-        stripe_identity_session_id = NULL
-      WHERE email = $1 RETURNING id, email`,
-      [email]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-
-    // Also clear community memberships
-    const userId = result.rows[0].id;
-    await query('DELETE FROM community_memberships WHERE user_id = $1', [userId]);
-
-    res.json({ success: true, user: result.rows[0] });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
 // DELETE /api/auth/account
 // Delete user account (Apple App Store requirement)
 // ============================================
@@ -690,22 +718,25 @@ router.delete('/account', authenticate, async (req, res) => {
       if (txn.status === 'pending' || txn.status === 'approved') {
         // Cancel Stripe PaymentIntent if present
         if (txn.stripe_payment_intent_id) {
-          try {
-            await cancelPaymentIntent(txn.stripe_payment_intent_id);
-          } catch (stripeErr) {
-            console.error(`Failed to cancel PI ${txn.stripe_payment_intent_id} for txn ${txn.id}:`, stripeErr.message);
+          const cancel = await executePaymentOperation({
+            kind: 'cancel',
+            purpose: 'rental_cancel',
+            idempotencyKey: `rental_cancel:${txn.id}`,
+            paymentIntentId: txn.stripe_payment_intent_id,
+            transactionId: txn.id,
+          });
+          if (cancel.status !== 'succeeded') {
+            console.error(`Failed to cancel PI ${txn.stripe_payment_intent_id} for txn ${txn.id}, queued for retry:`, cancel.lastError);
           }
         }
 
         // Mark cancelled and re-enable listing
-        await query(
+        await queryAs(
+          { userId },
           `UPDATE borrow_transactions SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
           [txn.id]
         );
-        await query(
-          `UPDATE listings SET is_available = true WHERE id = $1`,
-          [txn.listing_id]
-        );
+        await setTransactionListingsAvailable(txn.id, true);
 
         // Notify the other party
         try {
@@ -717,7 +748,8 @@ router.delete('/account', authenticate, async (req, res) => {
         }
       } else if (txn.status === 'picked_up') {
         // Item is out — do NOT cancel the payment, flag for support
-        await query(
+        await queryAs(
+          { userId },
           `UPDATE borrow_transactions SET status = 'account_deleted', updated_at = NOW() WHERE id = $1`,
           [txn.id]
         );
@@ -775,6 +807,7 @@ router.delete('/account', authenticate, async (req, res) => {
     await query('DELETE FROM lending_circle_members WHERE user_id = $1', [userId]);
     await query('DELETE FROM subscription_history WHERE user_id = $1', [userId]);
     await query('DELETE FROM audit_log WHERE actor_id = $1', [userId]);
+    await query('DELETE FROM auth_sessions WHERE user_id = $1', [userId]);
     await query('DELETE FROM item_requests WHERE user_id = $1', [userId]);
     // 7. Final cleanup — delete all notifications referencing this user (must be last before user delete)
     await query('DELETE FROM notifications WHERE user_id = $1 OR from_user_id = $1', [userId]);
@@ -1049,6 +1082,7 @@ router.post('/reset-password',
          WHERE id = $2`,
         [passwordHash, user.id]
       );
+      await revokeAllSessions(user.id, { reason: 'password_reset' });
 
       res.json({ message: 'Password reset successfully' });
     } catch (err) {
@@ -1187,31 +1221,4 @@ router.post('/link-account', authenticate, async (req, res) => {
   }
 });
 
-// ============================================
-// POST /api/auth/admin/debug-transactions
-// Debug: list recent transactions
-// ============================================
-router.post('/admin/debug-transactions', async (req, res) => {
-  const { secret } = req.body;
-  if (!process.env.ADMIN_SECRET || !secret || secret !== process.env.ADMIN_SECRET) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-  try {
-    const result = await query(
-      `SELECT bt.id, bt.status, bt.payment_status, bt.borrower_id, bt.lender_id,
-              bt.created_at, l.title,
-              b.first_name as borrower_name, lnd.first_name as lender_name
-       FROM borrow_transactions bt
-       JOIN listings l ON bt.listing_id = l.id
-       JOIN users b ON bt.borrower_id = b.id
-       JOIN users lnd ON bt.lender_id = lnd.id
-       ORDER BY bt.created_at DESC
-       LIMIT 15`
-    );
-    res.json({ transactions: result.rows });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
 export default router;
@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { findConflicts, getListingCalendar } from '../services/reservations.js';
+import { isInNeighborhood } from '../services/geofence.js';
 
 const router = Router();
 
@@ -15,7 +17,7 @@ router.get('/:listingId/availability', authenticate, async (req, res) => {
   try {
     // Visibility gate — check requester has access to this listing
     const listingCheck = await query(
-      `SELECT l.visibility, l.owner_id, u.city as owner_city
+      `SELECT l.visibility, l.owner_id, l.community_id, u.city as owner_city
        FROM listings l JOIN users u ON l.owner_id = u.id
        WHERE l.id = $1`,
       [req.params.listingId]
@@ -39,9 +41,11 @@ router.get('/:listingId/availability', authenticate, async (req, res) => {
           return res.status(403).json({ error: 'This item is only available to close friends', code: 'FRIENDSHIP_REQUIRED' });
         }
       } else if (listing.visibility === 'neighborhood') {
-        const viewerCity = await query('SELECT city FROM users WHERE id = $1', [req.user.id]);
-        const vCity = viewerCity.rows[0]?.city;
-        if (!vCity || !listing.owner_city || vCity.toLowerCase() !== listing.owner_city.toLowerCase()) {
+        const isNeighbor = await isInNeighborhood(req.user.id, {
+          communityId: listing.community_id,
+          ownerCity: listing.owner_city,
+        });
+        if (!isNeighbor) {
           return res.status(403).json({ error: 'This item is only available to neighbors', code: 'NEIGHBORHOOD_MISMATCH' });
         }
       } else if (listing.visibility === 'town') {
@@ -62,43 +66,24 @@ router.get('/:listingId/availability', authenticate, async (req, res) => {
     const start = startDate || new Date().toISOString().split('T')[0];
     const end = endDate || new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    // Get blocked dates from availability table
-    const blockedDates = await query(
-      `SELECT start_date, end_date, note
-       FROM listing_availability
-       WHERE listing_id = $1
-         AND is_available = false
-         AND end_date >= $2
-         AND start_date <= $3
-       ORDER BY start_date`,
-      [req.params.listingId, start, end]
-    );
-
-    // Get booked dates from transactions
-    const bookedDates = await query(
-      `SELECT scheduled_pickup_date as start_date, scheduled_return_date as end_date,
-              u.first_name as borrower_name
-       FROM borrow_transactions bt
-       JOIN users u ON bt.borrower_id = u.id
-       WHERE bt.listing_id = $1
-         AND bt.status IN ('approved', 'paid', 'picked_up')
-         AND bt.scheduled_return_date >= $2
-         AND bt.scheduled_pickup_date <= $3
-       ORDER BY bt.scheduled_pickup_date`,
-      [req.params.listingId, start, end]
-    );
+    const calendar = await getListingCalendar(req.params.listingId, start, end);
+    const isOwner = listing.owner_id === req.user.id;
 
     res.json({
-      blocked: blockedDates.rows.map(d => ({
-        startDate: d.start_date,
-        endDate: d.end_date,
+      bufferDays: calendar.bufferDays,
+      blocked: calendar.blocked.map(d => ({
+        startDate: d.startDate,
+        endDate: d.endDate,
         note: d.note,
       })),
-      booked: bookedDates.rows.map(d => ({
-        startDate: d.start_date,
-        endDate: d.end_date,
-        borrowerName: d.borrower_name,
+      booked: calendar.bookings.map(b => ({
+        startDate: b.startDate,
+        endDate: b.endDate,
+        reservedThrough: b.reservedThrough,
+        // Only the owner sees who has the item booked
+        ...(isOwner && { borrowerName: b.borrower.firstName }),
       })),
+      unavailable: calendar.unavailable,
     });
   } catch (err) {
     console.error('Get availability error:', err);
@@ -145,7 +130,12 @@ router.post('/:listingId/availability', authenticate,
         [req.params.listingId, startDate, endDate, isAvailable, note]
       );
 
-      res.status(201).json({ id: result.rows[0].id });
+      // Blocking doesn't cancel existing bookings — tell the owner which ones it overlaps
+      const conflictingBookings = isAvailable ? [] : (await findConflicts([req.params.listingId], startDate, endDate))
+        .filter(c => c.type === 'booked')
+        .map(c => ({ startDate: c.startDate, endDate: c.endDate }));
+
+      res.status(201).json({ id: result.rows[0].id, conflictingBookings });
     } catch (err) {
       console.error('Set availability error:', err);
       res.status(500).json({ error: 'Failed to set availability' });
@@ -181,6 +171,40 @@ router.delete('/:listingId/availability/:id', authenticate, async (req, res) =>
   }
 });
 
+// ============================================
+// GET /api/listings/:listingId/calendar
+// Owner calendar — blocked dates merged with bookings and pending requests
+// ============================================
+router.get('/:listingId/calendar', authenticate, async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  try {
+    const listing = await query(
+      'SELECT owner_id FROM listings WHERE id = $1',
+      [req.params.listingId]
+    );
+
+    if (listing.rows.length === 0) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.rows[0].owner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Default to the next 90 days
+    const start = startDate || new Date().toISOString().split('T')[0];
+    const end = endDate || new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const calendar = await getListingCalendar(req.params.listingId, start, end);
+
+    res.json({ startDate: start, endDate: end, ...calendar });
+  } catch (err) {
+    console.error('Get calendar error:', err);
+    res.status(500).json({ error: 'Failed to get calendar' });
+  }
+});
+
 // ============================================
 // GET /api/listings/:listingId/check-availability
 // Check if dates are available
@@ -192,36 +216,66 @@ router.get('/:listingId/check-availability', authenticate, async (req, res) => {
     return res.status(400).json({ error: 'startDate and endDate required' });
   }
 
+  if (startDate > endDate) {
+    return res.status(400).json({ error: 'endDate must be after startDate' });
+  }
+
   try {
-    // Check for blocked dates
-    const blocked = await query(
-      `SELECT 1 FROM listing_availability
-       WHERE listing_id = $1 AND is_available = false
-         AND start_date <= $3 AND end_date >= $2
-       LIMIT 1`,
-      [req.params.listingId, startDate, endDate]
+    const listing = await query(
+      `SELECT status, listing_type, is_available, min_duration, max_duration, buffer_days
+       FROM listings WHERE id = $1`,
+      [req.params.listingId]
     );
 
-    if (blocked.rows.length > 0) {
-      return res.json({ available: false, reason: 'Owner has marked these dates unavailable' });
+    if (listing.rows.length === 0) {
+      return res.status(404).json({ error: 'Listing not found' });
     }
 
-    // Check for existing bookings
-    const booked = await query(
-      `SELECT 1 FROM borrow_transactions
-       WHERE listing_id = $1
-         AND status IN ('approved', 'paid', 'picked_up')
-         AND scheduled_pickup_date <= $3
-         AND scheduled_return_date >= $2
-       LIMIT 1`,
-      [req.params.listingId, startDate, endDate]
-    );
+    const l = listing.rows[0];
+
+    if (l.status !== 'active') {
+      return res.json({ available: false, reason: 'This item is not currently listed', code: 'NOT_LISTED' });
+    }
+
+    // Giveaways have no dates — they're either still up for grabs or claimed
+    if (l.listing_type === 'giveaway') {
+      return l.is_available
+        ? res.json({ available: true })
+        : res.json({ available: false, reason: 'This item has already been claimed', code: 'CLAIMED' });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    if (startDate.split('T')[0] < today) {
+      return res.json({ available: false, reason: 'Start date is in the past', code: 'PAST_DATE' });
+    }
+
+    const rentalDays = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+    if (rentalDays < l.min_duration || rentalDays > l.max_duration) {
+      return res.json({
+        available: false,
+        reason: `Duration must be between ${l.min_duration} and ${l.max_duration} days`,
+        code: 'INVALID_DURATION',
+      });
+    }
+
+    const conflicts = await findConflicts([req.params.listingId], startDate, endDate, { borrowerId: req.user.id });
+    const isBlocked = conflicts.some(c => c.type === 'blocked');
+    const isBooked = conflicts.some(c => c.type === 'booked');
+
+    if (conflicts.length > 0) {
+      let reason = 'Held for someone on the waitlist';
+      if (isBlocked) reason = 'Owner has marked these dates unavailable';
+      else if (isBooked) reason = 'Already booked for these dates';
 
-    if (booked.rows.length > 0) {
-      return res.json({ available: false, reason: 'Already booked for these dates' });
+      return res.json({
+        available: false,
+        reason,
+        code: isBlocked ? 'DATES_BLOCKED' : 'DATES_UNAVAILABLE',
+        conflicts: conflicts.map(c => ({ type: c.type, startDate: c.startDate, endDate: c.reservedThrough || c.endDate })),
+      });
     }
 
-    res.json({ available: true });
+    res.json({ available: true, bufferDays: l.buffer_days });
   } catch (err) {
     console.error('Check availability error:', err);
     res.status(500).json({ error: 'Failed to check availability' });
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { recalculateReputation } from '../services/reputation.js';
 
 const router = Router();
 
@@ -207,6 +208,11 @@ router.post('/check', authenticate, async (req, res) => {
             earned = true;
           }
           break;
+        case 'co2_kg':
+          if (parseFloat(stats.co2_saved_kg) >= badge.requirement_value) {
+            earned = true;
+          }
+          break;
       }
 
       if (earned) {
@@ -222,15 +228,14 @@ router.post('/check', authenticate, async (req, res) => {
           icon: badge.icon,
           points: badge.points,
         });
-
-        // Add points to reputation
-        await query(
-          `UPDATE users SET reputation_score = reputation_score + $1 WHERE id = $2`,
-          [badge.points, userId]
-        );
       }
     }
 
+    // Badge points count toward reputation
+    if (newBadges.length > 0) {
+      await recalculateReputation(userId);
+    }
+
     res.json({ newBadges });
   } catch (err) {
     console.error('Check badges error:', err);
@@ -1,10 +1,63 @@
 import { Router } from 'express';
-import { query } from '../utils/db.js';
-import { authenticate } from '../middleware/auth.js';
+import { query, withTransaction } from '../utils/db.js';
+import { authenticate, ENABLE_PAID_TIERS, requireFeature } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { stripe, createPaymentIntent, createEphemeralKey } from '../services/stripe.js';
+import { sendNotification } from '../services/notifications.js';
+import { reserveListings } from '../services/reservations.js';
+import { claimWaitlistEntries } from '../services/waitlist.js';
+import { PLATFORM_FEE_PERCENT } from '../utils/constants.js';
+import { needsDepositHold } from '../services/paymentHolds.js';
+import { isBlockedBetween } from '../services/blocks.js';
 
 const router = Router();
 
+// Same access rules POST /api/transactions applies to a single listing, checked
+// against every item in the bundle. Returns an error response body or null.
+async function checkBundleAccess(userId, bundle, items, isPaidRental) {
+  const borrowerInfo = await query(
+    'SELECT is_verified, city, subscription_tier, verification_grace_until FROM users WHERE id = $1',
+    [userId]
+  );
+  const borrower = borrowerInfo.rows[0];
+  const sameCity = borrower?.city && bundle.lender_city
+    && borrower.city.toLowerCase() === bundle.lender_city.toLowerCase();
+  const hasTownItem = items.some(i => i.visibility === 'town');
+
+  if (isPaidRental || hasTownItem) {
+    const graceActive = borrower?.verification_grace_until && new Date(borrower.verification_grace_until) > new Date();
+    const verified = borrower?.is_verified || graceActive;
+
+    if (ENABLE_PAID_TIERS && (borrower?.subscription_tier || 'free') !== 'plus' && !verified) {
+      return { status: 403, error: 'Plus subscription required to borrow this bundle', code: 'PLUS_REQUIRED', requiredTier: 'plus' };
+    }
+    if (!verified) {
+      return { status: 403, error: 'Identity verification required to borrow this bundle', code: 'VERIFICATION_REQUIRED' };
+    }
+    if (hasTownItem && !sameCity) {
+      return { status: 403, error: 'This bundle is only available to verified users in the same town', code: 'TOWN_MISMATCH' };
+    }
+  }
+
+  if (items.some(i => i.visibility === 'neighborhood') && !sameCity) {
+    return { status: 403, error: 'This bundle is only available to neighbors', code: 'NEIGHBORHOOD_MISMATCH' };
+  }
+
+  if (items.some(i => i.visibility === 'close_friends')) {
+    const friendship = await query(
+      `SELECT 1 FROM friendships
+       WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
+       AND status = 'accepted'`,
+      [userId, bundle.owner_id]
+    );
+    if (friendship.rows.length === 0) {
+      return { status: 403, error: 'This bundle is only available to close friends', code: 'FRIENDSHIP_REQUIRED' };
+    }
+  }
+
+  return null;
+}
+
 // ============================================
 // GET /api/bundles
 // Get available bundles
@@ -24,7 +77,7 @@ router.get('/', authenticate, async (req, res) => {
     const bundles = await Promise.all(result.rows.map(async (b) => {
       // Get bundle items
       const items = await query(
-        `SELECT l.id, l.title,
+        `SELECT l.id, l.title, l.is_available, l.visibility, l.min_duration, l.max_duration,
                 (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
          FROM bundle_items bi
          JOIN listings l ON bi.listing_id = l.id
@@ -43,6 +96,11 @@ router.get('/', authenticate, async (req, res) => {
         depositAmount: parseFloat(b.deposit_amount),
         itemCount: parseInt(b.item_count),
         timesBorrowed: b.times_borrowed,
+        // A bundle can only be borrowed for a duration every item allows
+        minDuration: Math.max(1, ...items.rows.map(i => i.min_duration || 1)),
+        maxDuration: Math.min(...items.rows.map(i => i.max_duration || 14)),
+        visibility: items.rows.some(i => i.visibility === 'town') ? 'town' : items.rows[0]?.visibility,
+        isAvailable: items.rows.length > 0 && items.rows.every(i => i.is_available),
         owner: {
           id: b.owner_id,
           firstName: b.display_name || b.first_name,
@@ -53,6 +111,7 @@ router.get('/', authenticate, async (req, res) => {
           id: i.id,
           title: i.title,
           photoUrl: i.photo_url,
+          isAvailable: i.is_available,
         })),
         createdAt: b.created_at,
       };
@@ -80,19 +139,42 @@ router.get('/mine', authenticate, async (req, res) => {
       [req.user.id]
     );
 
-    res.json(result.rows.map(b => ({
-      id: b.id,
-      name: b.name,
-      description: b.description,
-      photoUrl: b.photo_url,
-      isFree: b.is_free,
-      pricePerDay: b.price_per_day ? parseFloat(b.price_per_day) : null,
-      depositAmount: parseFloat(b.deposit_amount),
-      itemCount: parseInt(b.item_count),
-      timesBorrowed: b.times_borrowed,
-      status: b.status,
-      createdAt: b.created_at,
-    })));
+    // Owners open a bundle to see what's in it, so include the items
+    const bundles = await Promise.all(result.rows.map(async (b) => {
+      const items = await query(
+        `SELECT l.id, l.title, l.is_available,
+                (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
+         FROM bundle_items bi
+         JOIN listings l ON bi.listing_id = l.id
+         WHERE bi.bundle_id = $1
+         ORDER BY bi.sort_order`,
+        [b.id]
+      );
+
+      return {
+        id: b.id,
+        name: b.name,
+        description: b.description,
+        photoUrl: b.photo_url,
+        isFree: b.is_free,
+        pricePerDay: b.price_per_day ? parseFloat(b.price_per_day) : null,
+        depositAmount: parseFloat(b.deposit_amount),
+        itemCount: parseInt(b.item_count),
+        timesBorrowed: b.times_borrowed,
+        status: b.status,
+        isOwner: true,
+        isAvailable: items.rows.length > 0 && items.rows.every(i => i.is_available),
+        items: items.rows.map(i => ({
+          id: i.id,
+          title: i.title,
+          photoUrl: i.photo_url,
+          isAvailable: i.is_available,
+        })),
+        createdAt: b.created_at,
+      };
+    }));
+
+    res.json(bundles);
   } catch (err) {
     console.error('Get my bundles error:', err);
     res.status(500).json({ error: 'Failed to get bundles' });
@@ -155,6 +237,223 @@ router.post('/', authenticate,
   }
 );
 
+// ============================================
+// POST /api/bundles/:id/borrow
+// Request to borrow a whole bundle as one transaction —
+// one PaymentIntent and one deposit hold, every item locked together
+// ============================================
+router.post('/:id/borrow', authenticate, requireFeature('bundles'),
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601(),
+  body('message').optional().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, message } = req.body;
+
+    try {
+      const bundleResult = await query(
+        `SELECT b.*, u.city as lender_city
+         FROM bundles b
+         JOIN users u ON b.owner_id = u.id
+         WHERE b.id = $1 AND b.status = 'active'`,
+        [req.params.id]
+      );
+
+      if (bundleResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+
+      const bundle = bundleResult.rows[0];
+
+      if (bundle.owner_id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot borrow your own bundle' });
+      }
+
+      if (await isBlockedBetween(req.user.id, bundle.owner_id)) {
+        return res.status(403).json({ error: 'You can\'t borrow from this person', code: 'BLOCKED' });
+      }
+
+      const itemsResult = await query(
+        `SELECT l.id, l.title, l.status, l.listing_type, l.visibility, l.is_available,
+                l.min_duration, l.max_duration
+         FROM bundle_items bi
+         JOIN listings l ON bi.listing_id = l.id
+         WHERE bi.bundle_id = $1
+         ORDER BY bi.sort_order`,
+        [bundle.id]
+      );
+      const items = itemsResult.rows;
+
+      if (items.length === 0) {
+        return res.status(400).json({ error: 'This bundle has no items' });
+      }
+
+      if (items.some(i => i.status !== 'active' || i.listing_type === 'giveaway')) {
+        return res.status(400).json({ error: 'One or more items in this bundle are not available' });
+      }
+
+      const rentalDays = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+      const minDuration = Math.max(1, ...items.map(i => i.min_duration || 1));
+      const maxDuration = Math.min(...items.map(i => i.max_duration || 14));
+
+      if (rentalDays < minDuration || rentalDays > maxDuration) {
+        return res.status(400).json({
+          error: `Duration must be between ${minDuration} and ${maxDuration} days`
+        });
+      }
+
+      // Bundle pricing replaces the individual item prices
+      const dailyRate = bundle.is_free ? 0 : (parseFloat(bundle.price_per_day) || 0);
+      const rentalFee = dailyRate * rentalDays;
+      const depositAmount = parseFloat(bundle.deposit_amount) || 0;
+      const platformFee = rentalFee * PLATFORM_FEE_PERCENT;
+      const lenderPayout = rentalFee - platformFee;
+      const totalChargeCents = Math.round((rentalFee + depositAmount) * 100);
+
+      const accessError = await checkBundleAccess(req.user.id, bundle, items, dailyRate > 0);
+      if (accessError) {
+        const { status, ...body } = accessError;
+        return res.status(status).json(body);
+      }
+
+      // Every item in the bundle holds the same dates; one clash fails the whole request
+      const requiresPayment = totalChargeCents >= 50;
+      let transactionId;
+      try {
+        transactionId = await withTransaction(async (client) => {
+          const result = await client.query(
+            `INSERT INTO borrow_transactions (
+              listing_id, bundle_id, borrower_id, lender_id,
+              requested_start_date, requested_end_date,
+              rental_days, daily_rate, rental_fee, deposit_amount,
+              platform_fee, lender_payout, borrower_message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING id`,
+            [
+              items[0].id, bundle.id, req.user.id, bundle.owner_id,
+              startDate, endDate,
+              rentalDays, dailyRate, rentalFee, depositAmount,
+              platformFee, lenderPayout, message
+            ]
+          );
+
+          for (let i = 0; i < items.length; i++) {
+            await client.query(
+              `INSERT INTO bundle_transaction_items (transaction_id, listing_id, sort_order)
+               VALUES ($1, $2, $3)`,
+              [result.rows[0].id, items[i].id, i]
+            );
+          }
+
+          await reserveListings(client, {
+            transactionId: result.rows[0].id,
+            listingIds: items.map(i => i.id),
+            startDate,
+            endDate,
+            borrowerId: req.user.id,
+          });
+          await claimWaitlistEntries({ listingIds: items.map(i => i.id), userId: req.user.id, transactionId: result.rows[0].id }, client);
+
+          return result.rows[0].id;
+        });
+      } catch (reserveErr) {
+        if (reserveErr.code === 'DATES_UNAVAILABLE' || reserveErr.code === 'DATES_BLOCKED') {
+          return res.status(409).json({
+            error: reserveErr.code === 'DATES_BLOCKED'
+              ? 'The owner has marked some of these dates unavailable for an item in this bundle'
+              : 'An item in this bundle is already booked for these dates',
+            code: reserveErr.code,
+            conflicts: reserveErr.conflicts,
+          });
+        }
+        throw reserveErr;
+      }
+
+      // Free bundle — no payment step, notify the owner right away
+      if (!requiresPayment) {
+        await sendNotification(bundle.owner_id, 'borrow_request', {
+          borrowerName: req.user.display_name || req.user.first_name,
+          itemTitle: bundle.name,
+          transactionId,
+          listingId: items[0].id,
+          fromUserId: req.user.id,
+        });
+        return res.status(201).json({ id: transactionId, freeRental: true });
+      }
+
+      // Paid bundle — lender is notified from confirm-payment once the hold is in place
+      const borrowerInfo = await query(
+        'SELECT stripe_customer_id, email FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      let customerId = borrowerInfo.rows[0]?.stripe_customer_id;
+
+      if (!customerId) {
+        const customer = await stripe.customers.create({
+          email: borrowerInfo.rows[0].email,
+          metadata: { userId: req.user.id },
+        });
+        customerId = customer.id;
+        await query(
+          'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
+          [customerId, req.user.id]
+        );
+      }
+
+      // Deleting the transaction drops its item snapshot and reservations with it
+      const releaseAndDelete = async () => {
+        await query('DELETE FROM borrow_transactions WHERE id = $1', [transactionId]);
+      };
+
+      let paymentIntent;
+      try {
+        paymentIntent = await createPaymentIntent({
+          amount: totalChargeCents,
+          customerId,
+          metadata: { transaction_id: transactionId, bundle_id: bundle.id },
+          // Long rentals re-hold the deposit on this card after approval
+          setupFutureUsage: needsDepositHold({
+            rental_days: rentalDays, rental_fee: rentalFee, deposit_amount: depositAmount,
+          }) ? 'off_session' : null,
+        });
+      } catch (stripeErr) {
+        await releaseAndDelete();
+        console.error('Stripe PaymentIntent creation failed for bundle:', stripeErr);
+        return res.status(500).json({ error: 'Payment setup failed. Please try again.' });
+      }
+
+      await query(
+        'UPDATE borrow_transactions SET stripe_payment_intent_id = $1 WHERE id = $2',
+        [paymentIntent.id, transactionId]
+      );
+
+      let ephemeralKey;
+      try {
+        ephemeralKey = await createEphemeralKey(customerId, '2024-06-20');
+      } catch (keyErr) {
+        await releaseAndDelete();
+        console.error('Ephemeral key creation failed for bundle:', keyErr);
+        return res.status(500).json({ error: 'Payment setup failed. Please try again.' });
+      }
+
+      res.status(201).json({
+        id: transactionId,
+        clientSecret: paymentIntent.client_secret,
+        ephemeralKey: ephemeralKey.secret,
+        customerId,
+      });
+    } catch (err) {
+      console.error('Borrow bundle error:', err);
+      res.status(500).json({ error: 'Failed to create borrow request' });
+    }
+  }
+);
+
 // ============================================
 // DELETE /api/bundles/:id
 // Delete a bundle
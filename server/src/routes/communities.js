@@ -1,10 +1,36 @@
 import { Router } from 'express';
-import { query } from '../utils/db.js';
+import { query, withTransaction } from '../utils/db.js';
 import { authenticate, requireVerified, requireOrganizer } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { sendNotification, notifyOrganizers } from '../services/notifications.js';
+import {
+  generateInviteCode,
+  normalizeJoinQuestions,
+  checkJoinAnswers,
+  addMember,
+  findUsableInvite,
+  redeemInvite,
+} from '../services/membership.js';
+import {
+  hasBoundarySupport,
+  checkJoinEligibility,
+  parseBoundary,
+  setCommunityBoundary,
+  getBoundaryFeature,
+} from '../services/geofence.js';
 
 const router = Router();
 
+const formatInvite = (i) => ({
+  id: i.id,
+  code: i.code,
+  link: `${process.env.APP_URL || 'https://borrowhood.com'}/join/${i.code}`,
+  maxUses: i.max_uses,
+  useCount: i.use_count,
+  expiresAt: i.expires_at,
+  createdAt: i.created_at,
+});
+
 // ============================================
 // GET /api/communities
 // List communities within 1 mile of user's location
@@ -58,10 +84,14 @@ router.get('/', authenticate, async (req, res) => {
       return res.json([]);
     }
 
-    // Find communities in the same city/town
+    // Find communities in the same city/town, plus any whose boundary
+    // covers the user's location
+    const cityMatch = await hasBoundarySupport()
+      ? '(LOWER(c.city) = LOWER($1) OR ST_Covers(c.boundary, (SELECT location FROM users WHERE id = $2)))'
+      : 'LOWER(c.city) = LOWER($1)';
     let whereConditions = [
       'c.is_active = true',
-      'LOWER(c.city) = LOWER($1)'
+      cityMatch
     ];
     let params = [userCity, req.user.id];
 
@@ -80,7 +110,8 @@ router.get('/', authenticate, async (req, res) => {
       `SELECT c.*,
               (SELECT COUNT(*) FROM community_memberships WHERE community_id = c.id) as member_count,
               (SELECT COUNT(*) FROM listings WHERE community_id = c.id AND status = 'active') as listing_count,
-              EXISTS(SELECT 1 FROM community_memberships WHERE community_id = c.id AND user_id = $2) as is_member
+              EXISTS(SELECT 1 FROM community_memberships WHERE community_id = c.id AND user_id = $2) as is_member,
+              EXISTS(SELECT 1 FROM community_join_requests WHERE community_id = c.id AND user_id = $2 AND status = 'pending') as has_pending_request
        FROM communities c
        WHERE ${whereConditions.join(' AND ')}
        ORDER BY c.name`,
@@ -97,6 +128,8 @@ router.get('/', authenticate, async (req, res) => {
       memberCount: parseInt(c.member_count),
       listingCount: parseInt(c.listing_count),
       isMember: c.is_member,
+      requiresApproval: c.requires_approval,
+      hasPendingRequest: c.has_pending_request,
     })));
   } catch (err) {
     console.error('Get communities error:', err);
@@ -218,6 +251,35 @@ router.get('/nearby', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/communities/invites/:code
+// Look up the community behind an invite code or link
+// ============================================
+router.get('/invites/:code', authenticate, async (req, res) => {
+  try {
+    const invite = await findUsableInvite(req.params.code);
+    if (!invite) {
+      return res.status(404).json({ error: 'This invite code is invalid or has expired', code: 'INVALID_INVITE' });
+    }
+
+    res.json({
+      code: invite.code,
+      community: {
+        id: invite.community_id,
+        name: invite.community_name,
+        slug: invite.community_slug,
+        description: invite.description,
+        city: invite.city,
+        state: invite.state,
+        bannerUrl: invite.banner_url || null,
+      },
+    });
+  } catch (err) {
+    console.error('Get invite error:', err);
+    res.status(500).json({ error: 'Failed to look up invite' });
+  }
+});
+
 // ============================================
 // GET /api/communities/:id
 // Get community details
@@ -245,6 +307,29 @@ router.get('/:id', authenticate, async (req, res) => {
       [c.id, req.user.id]
     );
 
+    // Non-members of approval-gated communities see where their request stands
+    let joinRequest = null;
+    if (membership.rows.length === 0 && c.requires_approval) {
+      const requestResult = await query(
+        `SELECT id, status, review_message, created_at, reviewed_at
+         FROM community_join_requests
+         WHERE community_id = $1 AND user_id = $2 AND status IN ('pending', 'denied')
+         ORDER BY created_at DESC LIMIT 1`,
+        [c.id, req.user.id]
+      );
+      joinRequest = requestResult.rows[0] || null;
+    }
+
+    // Organizers see how many requests are waiting
+    let pendingRequestCount = null;
+    if (membership.rows[0]?.role === 'organizer') {
+      const pendingResult = await query(
+        `SELECT COUNT(*) FROM community_join_requests WHERE community_id = $1 AND status = 'pending'`,
+        [c.id]
+      );
+      pendingRequestCount = parseInt(pendingResult.rows[0].count);
+    }
+
     // Get organizers
     const organizers = await query(
       `SELECT u.id, u.first_name, u.last_name, u.display_name, u.profile_photo_url
@@ -285,8 +370,19 @@ router.get('/:id', authenticate, async (req, res) => {
       memberCount: parseInt(c.member_count),
       listingCount: parseInt(c.listing_count),
       requiresApproval: c.requires_approval,
+      joinQuestions: c.join_questions || [],
+      hasBoundary: !!c.boundary,
+      scopeToBoundary: !!c.scope_to_boundary,
       isMember: membership.rows.length > 0,
       role: membership.rows[0]?.role || null,
+      joinRequest: joinRequest ? {
+        id: joinRequest.id,
+        status: joinRequest.status,
+        message: joinRequest.review_message,
+        createdAt: joinRequest.created_at,
+        reviewedAt: joinRequest.reviewed_at,
+      } : null,
+      pendingRequestCount,
       organizers: organizers.rows.map(o => ({
         id: o.id,
         firstName: o.display_name || o.first_name,
@@ -305,7 +401,7 @@ router.get('/:id', authenticate, async (req, res) => {
 // Update community details (organizer or app admin)
 // ============================================
 router.patch('/:id', authenticate, async (req, res) => {
-  const { name, description, bannerUrl, announcement } = req.body;
+  const { name, description, bannerUrl, announcement, requiresApproval, joinQuestions, scopeToBoundary } = req.body;
 
   try {
     // Check if caller is an organizer or app admin
@@ -348,6 +444,24 @@ router.patch('/:id', authenticate, async (req, res) => {
         updates.push('announcement_by = NULL');
       }
     }
+    if (requiresApproval !== undefined) {
+      updates.push(`requires_approval = $${paramIndex++}`);
+      params.push(!!requiresApproval);
+    }
+    if (joinQuestions !== undefined) {
+      let questions;
+      try {
+        questions = normalizeJoinQuestions(joinQuestions);
+      } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+      }
+      updates.push(`join_questions = $${paramIndex++}`);
+      params.push(JSON.stringify(questions));
+    }
+    if (scopeToBoundary !== undefined) {
+      updates.push(`scope_to_boundary = $${paramIndex++}`);
+      params.push(!!scopeToBoundary);
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -368,40 +482,412 @@ router.patch('/:id', authenticate, async (req, res) => {
 
 // ============================================
 // POST /api/communities/:id/join
-// Join a community
+// Join a community. Approval-gated communities queue a join request
+// unless a valid invite code is supplied.
 // ============================================
-router.post('/:id/join', authenticate, async (req, res) => {
+router.post('/:id/join', authenticate,
+  body('inviteCode').optional({ nullable: true }).isString().isLength({ max: 20 }),
+  body('answers').optional().isArray({ max: 10 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { inviteCode, answers } = req.body;
+
+    try {
+      // Verify community exists
+      const community = await query(
+        'SELECT * FROM communities WHERE id = $1',
+        [req.params.id]
+      );
+
+      if (community.rows.length === 0) {
+        return res.status(404).json({ error: 'Community not found' });
+      }
+      const c = community.rows[0];
+
+      // Geographic validation: inside the boundary polygon if the community
+      // has one, otherwise the user's city must match the community's city
+      const ineligible = await checkJoinEligibility(req.user.id, c);
+      if (ineligible) {
+        const { status, ...payload } = ineligible;
+        return res.status(status).json(payload);
+      }
+
+      const userResult = await query(
+        'SELECT first_name, last_name, display_name FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      const user = userResult.rows[0];
+
+      const existing = await query(
+        'SELECT 1 FROM community_memberships WHERE community_id = $1 AND user_id = $2',
+        [c.id, req.user.id]
+      );
+      if (existing.rows.length > 0) {
+        return res.json({ success: true, status: 'member' });
+      }
+
+      if (inviteCode) {
+        const redeemed = await withTransaction(client => redeemInvite(inviteCode, req.user.id, c.id, client));
+        if (!redeemed) {
+          return res.status(400).json({ error: 'This invite code is invalid or has expired', code: 'INVALID_INVITE' });
+        }
+        return res.json({ success: true, status: 'member' });
+      }
+
+      if (!c.requires_approval) {
+        await addMember(req.user.id, c.id);
+        return res.json({ success: true, status: 'member' });
+      }
+
+      let storedAnswers;
+      try {
+        storedAnswers = checkJoinAnswers(c.join_questions || [], answers);
+      } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message, code: err.code, questions: err.questions });
+      }
+
+      const pending = await query(
+        `SELECT id FROM community_join_requests
+         WHERE community_id = $1 AND user_id = $2 AND status = 'pending'`,
+        [c.id, req.user.id]
+      );
+      if (pending.rows.length > 0) {
+        return res.json({ success: true, status: 'pending', requestId: pending.rows[0].id });
+      }
+
+      const created = await query(
+        `INSERT INTO community_join_requests (community_id, user_id, answers)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [c.id, req.user.id, JSON.stringify(storedAnswers)]
+      );
+
+      const firstName = user?.display_name || user?.first_name;
+      const lastInitial = !user?.display_name && user?.last_name ? ` ${user.last_name.charAt(0)}.` : '';
+      await notifyOrganizers(c.id, 'join_request', {
+        userName: firstName ? `${firstName}${lastInitial}` : null,
+        communityName: c.name,
+        communityId: c.id,
+        fromUserId: req.user.id,
+      });
+
+      res.status(201).json({ success: true, status: 'pending', requestId: created.rows[0].id });
+    } catch (err) {
+      console.error('Join community error:', err);
+      res.status(500).json({ error: 'Failed to join community' });
+    }
+  }
+);
+
+// ============================================
+// DELETE /api/communities/:id/join-request
+// Withdraw your pending join request
+// ============================================
+router.delete('/:id/join-request', authenticate, async (req, res) => {
   try {
-    // Verify community exists
-    const community = await query(
-      'SELECT * FROM communities WHERE id = $1',
-      [req.params.id]
+    const result = await query(
+      `UPDATE community_join_requests SET status = 'cancelled'
+       WHERE community_id = $1 AND user_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, req.user.id]
     );
 
-    if (community.rows.length === 0) {
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No pending request' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Cancel join request error:', err);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+});
+
+// ============================================
+// GET /api/communities/:communityId/join-requests
+// Join request queue (organizer only)
+// ============================================
+router.get('/:communityId/join-requests', authenticate, requireOrganizer, async (req, res) => {
+  const status = ['pending', 'approved', 'denied'].includes(req.query.status) ? req.query.status : 'pending';
+
+  try {
+    const result = await query(
+      `SELECT r.id, r.status, r.answers, r.review_message, r.created_at, r.reviewed_at,
+              u.id as user_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url,
+              u.city, u.is_verified, u.created_at as user_created_at,
+              u.lender_rating, u.lender_rating_count,
+              EXISTS(
+                SELECT 1 FROM friendships f
+                JOIN community_memberships m ON m.user_id = f.friend_id AND m.community_id = r.community_id
+                WHERE f.user_id = u.id AND f.status = 'accepted'
+              ) as has_friend_in_community
+       FROM community_join_requests r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.community_id = $1 AND r.status = $2
+       ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+       LIMIT 100`,
+      [req.params.communityId, status]
+    );
+
+    res.json(result.rows.map(r => ({
+      id: r.id,
+      status: r.status,
+      answers: r.answers || [],
+      message: r.review_message,
+      createdAt: r.created_at,
+      reviewedAt: r.reviewed_at,
+      user: {
+        id: r.user_id,
+        firstName: r.display_name || r.first_name,
+        lastName: r.display_name ? '' : (r.last_name ? r.last_name.charAt(0) + '.' : ''),
+        profilePhotoUrl: r.profile_photo_url,
+        city: r.city,
+        isVerified: r.is_verified,
+        memberSince: r.user_created_at,
+        rating: parseFloat(r.lender_rating) || 0,
+        ratingCount: r.lender_rating_count || 0,
+        hasFriendInCommunity: r.has_friend_in_community,
+      },
+    })));
+  } catch (err) {
+    console.error('Get join requests error:', err);
+    res.status(500).json({ error: 'Failed to get join requests' });
+  }
+});
+
+// Shared by the approve and deny routes below
+async function reviewJoinRequest(req, res, approve) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { communityId, requestId } = req.params;
+  const message = req.body.message?.trim() || null;
+
+  try {
+    const reviewed = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE community_join_requests
+         SET status = $3, review_message = $4, reviewed_by = $5, reviewed_at = NOW()
+         WHERE id = $1 AND community_id = $2 AND status = 'pending'
+         RETURNING user_id`,
+        [requestId, communityId, approve ? 'approved' : 'denied', message, req.user.id]
+      );
+      if (result.rows.length === 0) return null;
+
+      if (approve) {
+        await addMember(result.rows[0].user_id, communityId, client);
+      }
+      return result.rows[0];
+    });
+
+    if (!reviewed) {
+      return res.status(404).json({ error: 'Join request not found or already reviewed' });
+    }
+
+    const community = await query('SELECT name FROM communities WHERE id = $1', [communityId]);
+    await sendNotification(reviewed.user_id, approve ? 'join_approved' : 'join_denied', {
+      communityName: community.rows[0]?.name,
+      communityId,
+      message,
+      fromUserId: req.user.id,
+    });
+
+    res.json({ success: true, status: approve ? 'approved' : 'denied' });
+  } catch (err) {
+    console.error('Review join request error:', err);
+    res.status(500).json({ error: 'Failed to review join request' });
+  }
+}
+
+// ============================================
+// POST /api/communities/:communityId/join-requests/:requestId/approve
+// Approve a join request with an optional welcome message (organizer only)
+// ============================================
+router.post('/:communityId/join-requests/:requestId/approve', authenticate, requireOrganizer,
+  body('message').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  (req, res) => reviewJoinRequest(req, res, true)
+);
+
+// ============================================
+// POST /api/communities/:communityId/join-requests/:requestId/deny
+// Deny a join request with an optional message (organizer only)
+// ============================================
+router.post('/:communityId/join-requests/:requestId/deny', authenticate, requireOrganizer,
+  body('message').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  (req, res) => reviewJoinRequest(req, res, false)
+);
+
+// ============================================
+// POST /api/communities/:communityId/invites
+// Create an invite code that skips approval (organizer only)
+// ============================================
+router.post('/:communityId/invites', authenticate, requireOrganizer,
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: 1000 }),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 90 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { maxUses, expiresInDays } = req.body;
+
+    try {
+      const result = await query(
+        `INSERT INTO community_invites (community_id, code, created_by, max_uses, expires_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $5::int) END)
+         RETURNING *`,
+        [req.params.communityId, generateInviteCode(), req.user.id, maxUses || null, expiresInDays || null]
+      );
+
+      res.status(201).json(formatInvite(result.rows[0]));
+    } catch (err) {
+      console.error('Create invite error:', err);
+      res.status(500).json({ error: 'Failed to create invite' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/communities/:communityId/invites
+// Active invite codes (organizer only)
+// ============================================
+router.get('/:communityId/invites', authenticate, requireOrganizer, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM community_invites
+       WHERE community_id = $1 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND (max_uses IS NULL OR use_count < max_uses)
+       ORDER BY created_at DESC`,
+      [req.params.communityId]
+    );
+
+    res.json(result.rows.map(formatInvite));
+  } catch (err) {
+    console.error('Get invites error:', err);
+    res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+// ============================================
+// DELETE /api/communities/:communityId/invites/:inviteId
+// Revoke an invite code (organizer only)
+// ============================================
+router.delete('/:communityId/invites/:inviteId', authenticate, requireOrganizer, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE community_invites SET revoked_at = NOW()
+       WHERE id = $1 AND community_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.inviteId, req.params.communityId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke invite error:', err);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// ============================================
+// GET /api/communities/:id/boundary
+// Export the neighborhood boundary as a GeoJSON Feature (?download=1 for a file)
+// ============================================
+router.get('/:id/boundary', authenticate, async (req, res) => {
+  try {
+    if (!await hasBoundarySupport()) {
+      return res.status(501).json({ error: 'Neighborhood boundaries are not available on this server' });
+    }
+
+    const feature = await getBoundaryFeature(req.params.id);
+    if (!feature) {
       return res.status(404).json({ error: 'Community not found' });
     }
 
-    // Geographic validation: user's city must match the community's city
-    const userResult = await query('SELECT city FROM users WHERE id = $1', [req.user.id]);
-    const userCity = userResult.rows[0]?.city;
-    const communityCity = community.rows[0].city;
+    if (req.query.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="${feature.properties.slug}-boundary.geojson"`);
+    }
+    res.type('application/geo+json').send(JSON.stringify(feature));
+  } catch (err) {
+    console.error('Get boundary error:', err);
+    res.status(500).json({ error: 'Failed to get boundary' });
+  }
+});
 
-    if (userCity && communityCity && userCity.toLowerCase() !== communityCity.toLowerCase()) {
-      return res.status(403).json({ error: 'You can only join communities in your city.' });
+// ============================================
+// PUT /api/communities/:communityId/boundary
+// Import or redraw the boundary from GeoJSON (organizer only)
+// ============================================
+router.put('/:communityId/boundary', authenticate, requireOrganizer,
+  body('scopeToBoundary').optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Accept { boundary, scopeToBoundary } or a raw GeoJSON upload
+    const { scopeToBoundary } = req.body;
+    const geojson = req.body.boundary ?? req.body;
+
+    try {
+      if (!await hasBoundarySupport()) {
+        return res.status(501).json({ error: 'Neighborhood boundaries are not available on this server' });
+      }
+
+      const polygon = parseBoundary(geojson);
+      const { areaSqMiles } = await withTransaction(async (client) => {
+        const saved = await setCommunityBoundary(req.params.communityId, polygon, client);
+        if (scopeToBoundary !== undefined) {
+          await client.query(
+            'UPDATE communities SET scope_to_boundary = $1 WHERE id = $2',
+            [scopeToBoundary, req.params.communityId]
+          );
+        }
+        return saved;
+      });
+
+      res.json({ success: true, areaSqMiles: Math.round(areaSqMiles * 100) / 100 });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error('Set boundary error:', err);
+      res.status(500).json({ error: 'Failed to save boundary' });
+    }
+  }
+);
+
+// ============================================
+// DELETE /api/communities/:communityId/boundary
+// Remove the boundary; the community goes back to city matching (organizer only)
+// ============================================
+router.delete('/:communityId/boundary', authenticate, requireOrganizer, async (req, res) => {
+  try {
+    if (!await hasBoundarySupport()) {
+      return res.status(501).json({ error: 'Neighborhood boundaries are not available on this server' });
     }
 
     await query(
-      `INSERT INTO community_memberships (user_id, community_id)
-       VALUES ($1, $2)
-       ON CONFLICT DO NOTHING`,
-      [req.user.id, req.params.id]
+      'UPDATE communities SET boundary = NULL, scope_to_boundary = false WHERE id = $1',
+      [req.params.communityId]
     );
 
     res.json({ success: true });
   } catch (err) {
-    console.error('Join community error:', err);
-    res.status(500).json({ error: 'Failed to join community' });
+    console.error('Clear boundary error:', err);
+    res.status(500).json({ error: 'Failed to remove boundary' });
   }
 });
 
@@ -3,13 +3,14 @@ import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
 import { sendNotification } from '../services/notifications.js';
+import { isInNeighborhood } from '../services/geofence.js';
 
 const router = Router();
 
 // Shared visibility gate for discussion endpoints
 async function checkListingAccess(req, res, listingId) {
   const listingCheck = await query(
-    `SELECT l.visibility, l.owner_id, u.city as owner_city
+    `SELECT l.visibility, l.owner_id, l.community_id, u.city as owner_city
      FROM listings l JOIN users u ON l.owner_id = u.id
      WHERE l.id = $1`,
     [listingId]
@@ -35,9 +36,11 @@ async function checkListingAccess(req, res, listingId) {
         return false;
       }
     } else if (listing.visibility === 'neighborhood') {
-      const viewerCity = await query('SELECT city FROM users WHERE id = $1', [req.user.id]);
-      const vCity = viewerCity.rows[0]?.city;
-      if (!vCity || !listing.owner_city || vCity.toLowerCase() !== listing.owner_city.toLowerCase()) {
+      const isNeighbor = await isInNeighborhood(req.user.id, {
+        communityId: listing.community_id,
+        ownerCity: listing.owner_city,
+      });
+      if (!isNeighbor) {
         res.status(403).json({ error: 'This item is only available to neighbors', code: 'NEIGHBORHOOD_MISMATCH' });
         return false;
       }
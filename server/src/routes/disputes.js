@@ -4,7 +4,12 @@ import { authenticate } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
 import { sendNotification } from '../services/notifications.js';
 import { notifyOrganizers } from '../services/notifications.js';
-import { stripe, capturePaymentIntent, cancelPaymentIntent, getPaymentIntent, createTransfer } from '../services/stripe.js';
+import { setTransactionListingsAvailable } from '../services/bundles.js';
+import { refreshTransactionReputation } from '../services/reputation.js';
+import { executePaymentOperation } from '../services/paymentOperations.js';
+import { getActiveDepositHold, settleDeposit } from '../services/paymentHolds.js';
+import { getHandoffPhotos } from '../services/handoffs.js';
+import { queryAs, setTransactionActor } from '../services/transactionEvents.js';
 import { ORGANIZER_FEE_PERCENT } from '../utils/constants.js';
 
 const router = Router();
@@ -113,18 +118,29 @@ router.post('/', authenticate,
       const claimantUserId = req.user.id;
       const respondentUserId = t.borrower_id === req.user.id ? t.lender_id : t.borrower_id;
 
+      // Condition photos from the verified handoffs go in as evidence, as they were when filed
+      const handoffPhotos = await getHandoffPhotos(transactionId);
+      const handoffEvidence = handoffPhotos.pickup.length > 0 || handoffPhotos.return.length > 0
+        ? {
+          pickup: { verifiedAt: t.pickup_verified_at, photos: handoffPhotos.pickup },
+          return: { verifiedAt: t.return_verified_at, photos: handoffPhotos.return },
+        }
+        : null;
+
       const result = await query(
         `INSERT INTO disputes (
           transaction_id, claimant_user_id, respondent_user_id, opened_by_id,
           type, description, reason, photo_urls, evidence_urls,
-          requested_amount, status
-        ) VALUES ($1, $2, $3, $2, $4, $5, $5, $6, $6, $7, 'awaitingResponse')
+          requested_amount, status, handoff_evidence
+        ) VALUES ($1, $2, $3, $2, $4, $5, $5, $6, $6, $7, 'awaitingResponse', $8)
         RETURNING id, created_at`,
-        [transactionId, claimantUserId, respondentUserId, type, description, photoUrls, cappedAmount]
+        [transactionId, claimantUserId, respondentUserId, type, description, photoUrls, cappedAmount,
+          handoffEvidence ? JSON.stringify(handoffEvidence) : null]
       );
 
       // Update transaction status to disputed
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions SET status = 'disputed' WHERE id = $1`,
         [transactionId]
       );
@@ -358,7 +374,7 @@ router.get('/:id', authenticate, async (req, res) => {
   try {
     const result = await query(
       `SELECT d.id as dispute_id, d.transaction_id, d.status as dispute_status,
-              d.type, d.description, d.photo_urls, d.reason, d.evidence_urls,
+              d.type, d.description, d.photo_urls, d.reason, d.evidence_urls, d.handoff_evidence,
               d.response_description, d.response_photo_urls, d.responded_at, d.counter_amount,
               d.requested_amount, d.resolved_amount, d.hold_expired,
               d.resolution_notes, d.deposit_to_lender, d.deposit_to_borrower, d.organizer_fee,
@@ -417,6 +433,7 @@ router.get('/:id', authenticate, async (req, res) => {
       type: d.type || 'damagesClaim',
       description: d.description || d.reason,
       photoUrls: d.photo_urls || d.evidence_urls || [],
+      handoffEvidence: d.handoff_evidence || null,
       listing: {
         id: d.listing_id,
         title: d.listing_title,
@@ -476,13 +493,22 @@ router.get('/:id', authenticate, async (req, res) => {
 // ============================================
 // Shared resolution helper
 // ============================================
-async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, notes, resolvedById }) {
-  const depositAmount = parseFloat(dispute.deposit_amount);
+async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, notes, resolvedById, actorId = resolvedById }) {
+  // Late fees already charged against the deposit aren't there to refund or claim again
+  const depositAmount = parseFloat(dispute.deposit_amount) - (dispute.late_fee_charged_cents || 0) / 100;
   const rentalFee = parseFloat(dispute.rental_fee) || 0;
   const totalAmount = rentalFee + depositAmount;
   let finalResolvedAmount = 0;
   let status = '';
   let holdExpired = false;
+  // Money movements go through the payment ledger; failed refunds and payouts are
+  // retried in the background rather than dropped
+  const operations = [];
+  // Long rentals keep the deposit on its own hold; the checkout payment only covers the fee
+  const depositHold = dispute.stripe_payment_intent_id
+    ? await getActiveDepositHold(dispute.transaction_id)
+    : null;
+  let depositClaimedCents = 0;
 
   if (outcome === 'claimant') {
     const maxAmount = Math.min(
@@ -493,29 +519,51 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
     finalResolvedAmount = maxAmount;
     status = 'resolvedInFavorOfClaimant';
 
-    if (dispute.stripe_payment_intent_id) {
+    if (depositHold) {
+      // Claim against the deposit hold first; any excess is already in the captured fee
+      const claimCents = Math.min(Math.round(finalResolvedAmount * 100), depositHold.amount_cents);
+      const settled = await settleDeposit(
+        { id: dispute.transaction_id }, claimCents, { disputeId: dispute.id }
+      );
+      depositClaimedCents = settled.claimedCents;
+      if (depositClaimedCents < claimCents) {
+        holdExpired = true;
+        status = 'expired';
+        console.error('Deposit hold capture failed (hold likely expired):', dispute.transaction_id);
+      }
+    } else if (dispute.stripe_payment_intent_id) {
       if (dispute.payment_status === 'authorized') {
-        // Payment still held — capture just the resolved amount
-        try {
-          const amountCents = Math.round(finalResolvedAmount * 100);
-          await capturePaymentIntent(dispute.stripe_payment_intent_id, amountCents);
-        } catch (stripeErr) {
+        // Payment still held — capture just the resolved amount. Not retried: a
+        // capture that fails here means the hold has expired.
+        const capture = await executePaymentOperation({
+          kind: 'capture',
+          purpose: 'dispute_capture',
+          idempotencyKey: `dispute_capture:${dispute.id}`,
+          paymentIntentId: dispute.stripe_payment_intent_id,
+          amountCents: Math.round(finalResolvedAmount * 100),
+          transactionId: dispute.transaction_id,
+          disputeId: dispute.id,
+          retry: false,
+        });
+        operations.push(capture);
+        if (capture.status !== 'succeeded') {
           holdExpired = true;
           status = 'expired';
-          console.error('Stripe capture failed (hold likely expired):', stripeErr.message);
+          console.error('Stripe capture failed (hold likely expired):', capture.lastError);
         }
       } else if (dispute.payment_status === 'captured') {
         // Payment already captured — refund the borrower's portion (deposit - claim)
         const refundAmount = Math.round((depositAmount - finalResolvedAmount) * 100);
         if (refundAmount > 0) {
-          try {
-            await stripe.refunds.create({
-              payment_intent: dispute.stripe_payment_intent_id,
-              amount: refundAmount,
-            });
-          } catch (stripeErr) {
-            console.error('Stripe refund failed (non-blocking):', stripeErr.message);
-          }
+          operations.push(await executePaymentOperation({
+            kind: 'refund',
+            purpose: 'dispute_refund',
+            idempotencyKey: `dispute_refund:${dispute.id}`,
+            paymentIntentId: dispute.stripe_payment_intent_id,
+            amountCents: refundAmount,
+            transactionId: dispute.transaction_id,
+            disputeId: dispute.id,
+          }));
         }
       }
     }
@@ -523,29 +571,32 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
     status = outcome === 'respondent' ? 'resolvedInFavorOfRespondent' : 'dismissed';
     finalResolvedAmount = 0;
 
-    if (dispute.stripe_payment_intent_id) {
+    if (depositHold) {
+      await settleDeposit({ id: dispute.transaction_id }, 0, { disputeId: dispute.id });
+    } else if (dispute.stripe_payment_intent_id) {
       if (dispute.payment_status === 'authorized') {
-        // Release the hold
-        try {
-          const pi = await getPaymentIntent(dispute.stripe_payment_intent_id);
-          if (pi.status === 'requires_capture') {
-            await cancelPaymentIntent(dispute.stripe_payment_intent_id);
-          }
-        } catch (stripeErr) {
-          console.error('Stripe release error (may be already expired):', stripeErr.message);
-        }
+        // Release the hold (an expired hold counts as released)
+        operations.push(await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'dispute_release',
+          idempotencyKey: `dispute_release:${dispute.id}`,
+          paymentIntentId: dispute.stripe_payment_intent_id,
+          transactionId: dispute.transaction_id,
+          disputeId: dispute.id,
+        }));
       } else if (dispute.payment_status === 'captured') {
         // Refund the full deposit to borrower
         const refundAmount = Math.round(depositAmount * 100);
         if (refundAmount > 0) {
-          try {
-            await stripe.refunds.create({
-              payment_intent: dispute.stripe_payment_intent_id,
-              amount: refundAmount,
-            });
-          } catch (stripeErr) {
-            console.error('Stripe deposit refund failed (non-blocking):', stripeErr.message);
-          }
+          operations.push(await executePaymentOperation({
+            kind: 'refund',
+            purpose: 'dispute_refund',
+            idempotencyKey: `dispute_refund:${dispute.id}`,
+            paymentIntentId: dispute.stripe_payment_intent_id,
+            amountCents: refundAmount,
+            transactionId: dispute.transaction_id,
+            disputeId: dispute.id,
+          }));
         }
       }
     }
@@ -586,6 +637,7 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
       ]
     );
 
+    await setTransactionActor(client, { userId: actorId, source: resolvedById ? 'organizer' : null });
     await client.query(
       `UPDATE borrow_transactions SET status = 'completed', payment_status = 'resolved' WHERE id = $1`,
       [dispute.transaction_id]
@@ -604,6 +656,15 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
        WHERE listings.id = t.listing_id AND t.id = $2`,
       [lenderPayout, dispute.transaction_id]
     );
+
+    // Bundle borrow — release the other items and count the borrow on the bundle
+    await setTransactionListingsAvailable(dispute.transaction_id, true, client);
+    await client.query(
+      `UPDATE bundles SET times_borrowed = times_borrowed + 1
+       FROM borrow_transactions t
+       WHERE bundles.id = t.bundle_id AND t.id = $1`,
+      [dispute.transaction_id]
+    );
   });
 
   // Transfer to lender's Connect account if applicable
@@ -612,27 +673,46 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
     const payeeId = claimantIsBorrower ? dispute.borrower_id : dispute.lender_id;
     // If lender is the claimant, transfer claim amount to them
     if (!claimantIsBorrower && finalResolvedAmount > 0) {
-      try {
-        const lenderResult = await query(
-          'SELECT stripe_connect_account_id FROM users WHERE id = $1',
-          [dispute.lender_id]
-        );
-        const connectId = lenderResult.rows[0]?.stripe_connect_account_id;
-        if (connectId) {
-          const transferCents = Math.round(finalResolvedAmount * 100);
-          await createTransfer({
-            amount: transferCents,
-            destinationAccountId: connectId,
-            sourcePaymentIntentId: dispute.stripe_payment_intent_id,
-            metadata: {
-              transactionId: dispute.transaction_id,
-              disputeId: dispute.id,
-              type: 'dispute_resolution_payout',
-            },
-          });
-        }
-      } catch (transferErr) {
-        console.error('Dispute resolution transfer failed (non-blocking):', transferErr.message);
+      const lenderResult = await query(
+        'SELECT stripe_connect_account_id FROM users WHERE id = $1',
+        [dispute.lender_id]
+      );
+      const connectId = lenderResult.rows[0]?.stripe_connect_account_id;
+      if (connectId && depositClaimedCents > 0) {
+        // The part of the claim captured from the deposit hold is paid out of that charge
+        operations.push(await executePaymentOperation({
+          kind: 'transfer',
+          purpose: 'dispute_payout',
+          idempotencyKey: `dispute_payout:${dispute.id}:deposit`,
+          paymentIntentId: depositHold.stripe_payment_intent_id,
+          amountCents: depositClaimedCents,
+          destinationAccountId: connectId,
+          transactionId: dispute.transaction_id,
+          disputeId: dispute.id,
+          metadata: {
+            transactionId: dispute.transaction_id,
+            disputeId: dispute.id,
+            type: 'dispute_resolution_payout',
+          },
+        }));
+      }
+      const remainingCents = Math.round(finalResolvedAmount * 100) - depositClaimedCents;
+      if (connectId && remainingCents > 0 && !holdExpired) {
+        operations.push(await executePaymentOperation({
+          kind: 'transfer',
+          purpose: 'dispute_payout',
+          idempotencyKey: `dispute_payout:${dispute.id}`,
+          paymentIntentId: dispute.stripe_payment_intent_id,
+          amountCents: remainingCents,
+          destinationAccountId: connectId,
+          transactionId: dispute.transaction_id,
+          disputeId: dispute.id,
+          metadata: {
+            transactionId: dispute.transaction_id,
+            disputeId: dispute.id,
+            type: 'dispute_resolution_payout',
+          },
+        }));
       }
     }
   }
@@ -652,7 +732,12 @@ async function resolveDisputeInternally({ dispute, outcome, resolvedAmount, note
     resolvedAmount: finalResolvedAmount,
   });
 
-  return { status, finalResolvedAmount, holdExpired, organizerFee };
+  refreshTransactionReputation(dispute.transaction_id);
+
+  // The capture is reported through holdExpired; anything else unfinished is queued for retry
+  const paymentsPending = operations.some(op => op.kind !== 'capture' && op.status !== 'succeeded');
+
+  return { status, finalResolvedAmount, holdExpired, organizerFee, paymentsPending };
 }
 
 // ============================================
@@ -786,7 +871,7 @@ router.post('/:id/resolve', authenticate,
     try {
       const dispute = await query(
         `SELECT d.*, t.deposit_amount, t.rental_fee, t.lender_id, t.borrower_id,
-                t.stripe_payment_intent_id, t.payment_status,
+                t.stripe_payment_intent_id, t.payment_status, t.late_fee_charged_cents,
                 l.community_id
          FROM disputes d
          JOIN borrow_transactions t ON d.transaction_id = t.id
@@ -829,6 +914,7 @@ router.post('/:id/resolve', authenticate,
           resolvedAmount: result.finalResolvedAmount,
           holdExpired: result.holdExpired,
           organizerFee: result.organizerFee,
+          paymentsPending: result.paymentsPending,
         },
       });
     } catch (err) {
@@ -846,7 +932,7 @@ router.post('/:id/accept', authenticate, async (req, res) => {
   try {
     const dispute = await query(
       `SELECT d.*, t.deposit_amount, t.rental_fee, t.lender_id, t.borrower_id,
-              t.stripe_payment_intent_id, t.payment_status,
+              t.stripe_payment_intent_id, t.payment_status, t.late_fee_charged_cents,
               l.community_id
        FROM disputes d
        JOIN borrow_transactions t ON d.transaction_id = t.id
@@ -891,6 +977,7 @@ router.post('/:id/accept', authenticate, async (req, res) => {
       resolvedAmount,
       notes: 'Claim accepted by respondent — resolved automatically.',
       resolvedById: null,
+      actorId: req.user.id,
     });
 
     res.json({
@@ -900,6 +987,7 @@ router.post('/:id/accept', authenticate, async (req, res) => {
         resolvedAmount: result.finalResolvedAmount,
         holdExpired: result.holdExpired,
         organizerFee: result.organizerFee,
+        paymentsPending: result.paymentsPending,
       },
     });
   } catch (err) {
@@ -916,7 +1004,7 @@ router.post('/:id/accept-counter', authenticate, async (req, res) => {
   try {
     const dispute = await query(
       `SELECT d.*, t.deposit_amount, t.rental_fee, t.lender_id, t.borrower_id,
-              t.stripe_payment_intent_id, t.payment_status,
+              t.stripe_payment_intent_id, t.payment_status, t.late_fee_charged_cents,
               l.community_id
        FROM disputes d
        JOIN borrow_transactions t ON d.transaction_id = t.id
@@ -954,6 +1042,7 @@ router.post('/:id/accept-counter', authenticate, async (req, res) => {
       resolvedAmount: counterAmount,
       notes: `Counter offer of $${counterAmount.toFixed(2)} accepted by claimant — resolved automatically.`,
       resolvedById: null,
+      actorId: req.user.id,
     });
 
     res.json({
@@ -963,6 +1052,7 @@ router.post('/:id/accept-counter', authenticate, async (req, res) => {
         resolvedAmount: result.finalResolvedAmount,
         holdExpired: result.holdExpired,
         organizerFee: result.organizerFee,
+        paymentsPending: result.paymentsPending,
       },
     });
   } catch (err) {
@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { stripe } from '../services/stripe.js';
+import { buildEarningsExport, renderEarningsCsv, renderEarningsPdf } from '../services/earningsExport.js';
+import { sendEarningsExportEmail } from '../services/email.js';
 
 const router = Router();
 
@@ -205,4 +207,74 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Export years run from launch to the current year; defaults to the current year
+const parseExportYear = (value) => {
+  const currentYear = new Date().getFullYear();
+  const year = value === undefined ? currentYear : Number(value);
+  return Number.isInteger(year) && year >= 2020 && year <= currentYear ? year : null;
+};
+
+const exportHolderName = (user) => user.display_name || [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+// ============================================
+// GET /api/earnings/export?year=&format=csv|json|pdf
+// Annual month-by-month earnings summary for taxes
+// ============================================
+router.get('/export', authenticate, async (req, res) => {
+  const year = parseExportYear(req.query.year);
+  const format = req.query.format || 'json';
+
+  if (!year) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+  if (!['csv', 'json', 'pdf'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv, json or pdf' });
+  }
+
+  try {
+    const summary = await buildEarningsExport(req.user.id, year);
+    const filename = `borrowhood-earnings-${year}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv').send(renderEarningsCsv(summary));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.type('application/pdf').send(renderEarningsPdf(summary, { name: exportHolderName(req.user) }));
+    }
+
+    res.json(summary);
+  } catch (err) {
+    console.error('Export earnings error:', err.message);
+    res.status(500).json({ error: 'Failed to export earnings' });
+  }
+});
+
+// ============================================
+// POST /api/earnings/export/email
+// Email the year's summary to the lender as CSV and PDF attachments
+// ============================================
+router.post('/export/email', authenticate, async (req, res) => {
+  const year = parseExportYear(req.body.year);
+  if (!year) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  try {
+    const summary = await buildEarningsExport(req.user.id, year);
+    await sendEarningsExportEmail(req.user.email, {
+      summary,
+      csv: renderEarningsCsv(summary),
+      pdf: renderEarningsPdf(summary, { name: exportHolderName(req.user) }),
+    });
+
+    res.json({ success: true, sentTo: req.user.email });
+  } catch (err) {
+    console.error('Email earnings export error:', err.message);
+    res.status(500).json({ error: 'Failed to email earnings export' });
+  }
+});
+
 export default router;
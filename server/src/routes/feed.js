@@ -1,18 +1,30 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate, ENABLE_PAID_TIERS } from '../middleware/auth.js';
+import { getBlockedUserIds } from '../services/blocks.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from '../services/geofence.js';
+import { FEED_WEIGHTS, encodeFeedCursor, decodeFeedCursor, rankFeedCandidates } from '../services/feedRanking.js';
+import { prepareSearch, textMatchSql } from '../services/search.js';
 
 const router = Router();
 
 // ============================================
 // GET /api/feed
-// Get combined feed of listings and requests
+// Get combined feed of listings and requests, ranked for the viewer
+// Pass the returned nextCursor as ?cursor= for the next page; ?explain=true
+// (admins, or outside production) adds each item's score components
 // ============================================
 router.get('/', authenticate, async (req, res) => {
-  const { page = 1, limit = 20, search, type, categoryId, visibility } = req.query;
-  const offset = (page - 1) * limit;
+  const { page = 1, search, type, categoryId, visibility, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const offset = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+  const explain = req.query.explain === 'true'
+    && (req.user.is_admin || process.env.NODE_ENV !== 'production');
 
   try {
+    const after = cursor ? decodeFeedCursor(cursor) : null;
+    const asOf = after ? after.asOf : new Date().toISOString();
+
     // Get user info for visibility filtering
     const userResult = await query(
       'SELECT city, subscription_tier, is_verified, verification_grace_until FROM users WHERE id = $1',
@@ -44,8 +56,11 @@ router.get('/', authenticate, async (req, res) => {
     );
     const communityIds = communityResult.rows.map(c => c.community_id);
 
-    let listingsResult = { rows: [] };
-    let requestsResult = { rows: [] };
+    // People the user blocked or was blocked by never appear in the feed
+    const blockedIds = await getBlockedUserIds(req.user.id);
+
+    // Boundary-scoped communities match neighborhood items by polygon, not city
+    const geofenced = await hasBoundarySupport();
 
     // Parse type filters (can be comma-separated: listings,free,requests)
     const typeFilters = type ? type.split(',') : [];
@@ -55,174 +70,179 @@ router.get('/', authenticate, async (req, res) => {
     const wantBorrowOnly = typeFilters.includes('listings') && !typeFilters.includes('giveaway') && !typeFilters.includes('free');
     const wantRequests = typeFilters.length === 0 || typeFilters.includes('requests');
 
-    // Get listings if applicable
-    if (wantListings) {
-      let listingQuery = `
-        SELECT
-          l.id,
-          'listing' as type,
-          l.title,
-          l.description,
-          l.condition,
-          l.is_free,
-          l.is_available,
-          l.price_per_day,
-          l.created_at,
-          u.id as user_id,
-          u.first_name,
-          u.last_name,
-          u.display_name,
-          u.profile_photo_url,
-          u.lender_rating as rating,
-          u.lender_rating_count as rating_count,
-          u.status,
-          u.total_transactions,
-          l.owner_id,
-          l.listing_type,
-          l.visibility as listing_visibility,
-          u.city as owner_city,
-          cat.name as category_name,
-          cat.icon as category_icon,
-          (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
-        FROM listings l
-        JOIN users u ON l.owner_id = u.id
-        LEFT JOIN categories cat ON l.category_id = cat.id
-        WHERE l.status = 'active'
-          AND (l.listing_type != 'giveaway' OR l.is_available = true)`;
+    // Listings and requests share one parameter list so they can be ranked together
+    const params = [req.user.id, blockedIds];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const candidates = [];
 
-      const listingParams = [];
+    // Matched the same way as /api/search; the feed keeps its own ranking
+    const prepared = search && search.trim() ? await prepareSearch(search) : null;
 
-      if (search) {
-        listingQuery += ` AND (l.title ILIKE $${listingParams.length + 1} OR l.description ILIKE $${listingParams.length + 1})`;
-        listingParams.push(`%${search}%`);
+    if (wantListings) {
+      const conditions = [
+        `l.status = 'active'`,
+        `(l.listing_type != 'giveaway' OR l.is_available = true)`,
+        `l.owner_id != ALL($2)`,
+      ];
+
+      if (prepared) {
+        conditions.push(textMatchSql(prepared, { alias: 'l', param }).match);
       }
 
       if (wantFreeOnly) {
-        listingQuery += ` AND l.is_free = true`;
+        conditions.push('l.is_free = true');
       } else if (wantGiveawayOnly) {
-        listingQuery += ` AND l.listing_type = 'giveaway'`;
+        conditions.push(`l.listing_type = 'giveaway'`);
       } else if (wantBorrowOnly) {
-        listingQuery += ` AND l.listing_type = 'lend'`;
+        conditions.push(`l.listing_type = 'lend'`);
       }
 
       if (categoryId) {
-        listingQuery += ` AND l.category_id = $${listingParams.length + 1}`;
-        listingParams.push(categoryId);
+        conditions.push(`l.category_id = ANY(string_to_array(${param(categoryId)}, ',')::uuid[])`);
       }
 
-      // Visibility filtering
-      if (visibilityFilters.length > 0) {
-        const visConds = [];
-        // Always show own listings
-        visConds.push(`l.owner_id = $${listingParams.length + 1}`);
-        listingParams.push(req.user.id);
-
-        if (visibilityFilters.includes('close_friends')) {
-          visConds.push(`('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${listingParams.length + 1}))`);
-          listingParams.push(friendIds.length > 0 ? friendIds : [null]);
-        }
-        if (visibilityFilters.includes('neighborhood')) {
-          if (userCity) {
-            visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${listingParams.length + 1}) AND u.city IS NOT NULL)`);
-            listingParams.push(userCity);
-          } else if (communityIds.length > 0) {
-            visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND l.community_id = ANY($${listingParams.length + 1}))`);
-            listingParams.push(communityIds);
-          }
-        }
-        if (visibilityFilters.includes('town') && canSeeTown) {
-          visConds.push(`('town' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${listingParams.length + 1}) AND u.city IS NOT NULL)`);
-          listingParams.push(userCity);
-        }
-        listingQuery += ` AND (${visConds.join(' OR ')})`;
-      } else {
-        // No visibility filter — show everything user has access to
-        const visConds = [];
-        visConds.push(`l.owner_id = $${listingParams.length + 1}`);
-        listingParams.push(req.user.id);
-        visConds.push(`('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${listingParams.length + 1}))`);
-        listingParams.push(friendIds.length > 0 ? friendIds : [null]);
+      // Visibility filtering — with no filter, show everything the user has access to
+      const showAll = visibilityFilters.length === 0;
+      // Always show own listings
+      const visConds = ['l.owner_id = $1'];
+      if (showAll || visibilityFilters.includes('close_friends')) {
+        visConds.push(`('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY(${param(friendIds.length > 0 ? friendIds : [null])}))`);
+      }
+      if (showAll || visibilityFilters.includes('neighborhood')) {
         if (userCity) {
-          visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${listingParams.length + 1}) AND u.city IS NOT NULL)`);
-          listingParams.push(userCity);
+          visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatchSql(geofenced, { viewerParam: '$1', cityParam: param(userCity) })})`);
         } else if (communityIds.length > 0) {
-          visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND l.community_id = ANY($${listingParams.length + 1}))`);
-          listingParams.push(communityIds);
-        }
-        if (canSeeTown) {
-          visConds.push(`('town' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${listingParams.length + 1}) AND u.city IS NOT NULL)`);
-          listingParams.push(userCity);
+          visConds.push(`('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND l.community_id = ANY(${param(communityIds)}))`);
         }
-        listingQuery += ` AND (${visConds.join(' OR ')})`;
       }
+      if ((showAll || visibilityFilters.includes('town')) && canSeeTown) {
+        visConds.push(`('town' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER(${param(userCity)}) AND u.city IS NOT NULL)`);
+      }
+      conditions.push(`(${visConds.join(' OR ')})`);
 
-      listingQuery += ` ORDER BY l.created_at DESC LIMIT $${listingParams.length + 1}`;
-      listingParams.push(parseInt(limit) * 2);
-
-      listingsResult = await query(listingQuery, listingParams);
+      candidates.push(`
+        SELECT l.id, 'listing' as type, l.owner_id, l.category_id, l.created_at
+        FROM listings l
+        JOIN users u ON l.owner_id = u.id
+        WHERE ${conditions.join(' AND ')}`);
     }
 
-    // Get requests if applicable
     if (wantRequests) {
-      let requestQuery = `
-        SELECT
-          r.id,
-          'request' as type,
-          r.title,
-          r.description,
-          r.needed_from,
-          r.needed_until,
-          r.expires_at,
-          r.created_at,
-          r.visibility,
-          u.id as user_id,
-          u.first_name,
-          u.last_name,
-          u.display_name,
-          u.profile_photo_url
-        FROM item_requests r
-        JOIN users u ON r.user_id = u.id
-        WHERE r.status = 'open'
-          AND (
-            r.user_id = $1
-            OR (
-              (r.expires_at IS NULL OR r.expires_at > NOW())
-              AND (r.needed_until IS NULL OR r.needed_until >= CURRENT_DATE)
-            )
-          )`;
-
-      const requestParams = [req.user.id];
+      const conditions = [
+        `r.status = 'open'`,
+        `(
+          r.user_id = $1
+          OR (
+            (r.expires_at IS NULL OR r.expires_at > NOW())
+            AND (r.needed_until IS NULL OR r.needed_until >= CURRENT_DATE)
+          )
+        )`,
+        `r.user_id != ALL($2)`,
+      ];
 
       // Visibility filtering for requests (same logic as listings)
-      const reqVisConds = [];
-      reqVisConds.push(`r.user_id = $${requestParams.length + 1}`);
-      requestParams.push(req.user.id);
-      reqVisConds.push(`('close_friends' = ANY(string_to_array(r.visibility::text, ',')) AND r.user_id = ANY($${requestParams.length + 1}))`);
-      requestParams.push(friendIds.length > 0 ? friendIds : [null]);
+      const reqVisConds = ['r.user_id = $1'];
+      reqVisConds.push(`('close_friends' = ANY(string_to_array(r.visibility::text, ',')) AND r.user_id = ANY(${param(friendIds.length > 0 ? friendIds : [null])}))`);
       if (userCity) {
-        reqVisConds.push(`('neighborhood' = ANY(string_to_array(r.visibility::text, ',')) AND LOWER(u.city) = LOWER($${requestParams.length + 1}) AND u.city IS NOT NULL)`);
-        requestParams.push(userCity);
+        reqVisConds.push(`('neighborhood' = ANY(string_to_array(r.visibility::text, ',')) AND ${neighborhoodMatchSql(geofenced, { item: 'r', viewerParam: '$1', cityParam: param(userCity) })})`);
       } else if (communityIds.length > 0) {
-        reqVisConds.push(`('neighborhood' = ANY(string_to_array(r.visibility::text, ',')) AND r.community_id = ANY($${requestParams.length + 1}))`);
-        requestParams.push(communityIds);
+        reqVisConds.push(`('neighborhood' = ANY(string_to_array(r.visibility::text, ',')) AND r.community_id = ANY(${param(communityIds)}))`);
       }
       if (canSeeTown) {
-        reqVisConds.push(`('town' = ANY(string_to_array(r.visibility::text, ',')) AND LOWER(u.city) = LOWER($${requestParams.length + 1}) AND u.city IS NOT NULL)`);
-        requestParams.push(userCity);
+        reqVisConds.push(`('town' = ANY(string_to_array(r.visibility::text, ',')) AND LOWER(u.city) = LOWER(${param(userCity)}) AND u.city IS NOT NULL)`);
       }
-      requestQuery += ` AND (${reqVisConds.join(' OR ')})`;
+      conditions.push(`(${reqVisConds.join(' OR ')})`);
 
-      if (search) {
-        requestQuery += ` AND (r.title ILIKE $${requestParams.length + 1} OR r.description ILIKE $${requestParams.length + 1})`;
-        requestParams.push(`%${search}%`);
+      if (prepared) {
+        conditions.push(textMatchSql(prepared, { alias: 'r', param }).match);
       }
 
-      requestQuery += ` ORDER BY r.created_at DESC LIMIT $${requestParams.length + 1}`;
-      requestParams.push(parseInt(limit) * 2);
+      candidates.push(`
+        SELECT r.id, 'request' as type, r.user_id as owner_id, r.category_id, r.created_at
+        FROM item_requests r
+        JOIN users u ON r.user_id = u.id
+        WHERE ${conditions.join(' AND ')}`);
+    }
 
-      requestsResult = await query(requestQuery, requestParams);
+    if (candidates.length === 0) {
+      return res.json({ items: [], limit, nextCursor: null, hasMore: false });
     }
 
+    const ranked = await rankFeedCandidates({
+      candidatesSql: candidates.join(' UNION ALL '),
+      params,
+      viewerId: req.user.id,
+      geofenced,
+      asOf,
+      after,
+      limit,
+      offset,
+    });
+
+    const hasMore = ranked.length > limit;
+    const pageItems = ranked.slice(0, limit);
+    const listingIds = pageItems.filter(i => i.type === 'listing').map(i => i.id);
+    const requestIds = pageItems.filter(i => i.type === 'request').map(i => i.id);
+
+    const listingsResult = listingIds.length === 0 ? { rows: [] } : await query(
+      `SELECT
+        l.id,
+        'listing' as type,
+        l.title,
+        l.description,
+        l.condition,
+        l.is_free,
+        l.is_available,
+        l.price_per_day,
+        l.created_at,
+        u.id as user_id,
+        u.first_name,
+        u.last_name,
+        u.display_name,
+        u.profile_photo_url,
+        u.lender_rating as rating,
+        u.lender_rating_count as rating_count,
+        u.status,
+        u.total_transactions,
+        l.owner_id,
+        l.listing_type,
+        l.visibility as listing_visibility,
+        u.city as owner_city,
+        cat.name as category_name,
+        cat.icon as category_icon,
+        (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
+      FROM listings l
+      JOIN users u ON l.owner_id = u.id
+      LEFT JOIN categories cat ON l.category_id = cat.id
+      WHERE l.id = ANY($1)`,
+      [listingIds]
+    );
+
+    const requestsResult = requestIds.length === 0 ? { rows: [] } : await query(
+      `SELECT
+        r.id,
+        'request' as type,
+        r.title,
+        r.description,
+        r.needed_from,
+        r.needed_until,
+        r.expires_at,
+        r.created_at,
+        r.visibility,
+        u.id as user_id,
+        u.first_name,
+        u.last_name,
+        u.display_name,
+        u.profile_photo_url
+      FROM item_requests r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.id = ANY($1)`,
+      [requestIds]
+    );
+
     // Determine if we need to mask owner info on town listings
     const needsMasking = canSeeTown && !canSeeTownUnmasked;
 
@@ -237,12 +257,13 @@ router.get('/', authenticate, async (req, res) => {
       totalTransactions: 0,
     };
 
-    // Combine and sort by created_at
-    const listings = listingsResult.rows.map(l => {
+    const details = new Map();
+
+    listingsResult.rows.forEach(l => {
       const isTownListing = (l.listing_visibility || '').split(',').includes('town') && l.owner_id !== req.user.id;
       const ownerMasked = needsMasking && isTownListing;
 
-      return {
+      details.set(l.id, {
         id: l.id,
         type: 'listing',
         title: l.title,
@@ -270,82 +291,49 @@ router.get('/', authenticate, async (req, res) => {
           id: ownerMasked ? null : l.owner_id,
         },
         ...(ownerMasked && { ownerMasked: true }),
-      };
+      });
     });
 
-    const requests = requestsResult.rows.map(r => ({
-      id: r.id,
-      type: 'request',
-      title: r.title,
-      description: r.description,
-      neededFrom: r.needed_from,
-      neededUntil: r.needed_until,
-      isExpired: r.expires_at ? new Date(r.expires_at) < new Date() : false,
-      createdAt: r.created_at,
-      user: {
-        id: r.user_id,
-        firstName: r.display_name || r.first_name,
-        lastName: r.display_name ? '' : (r.last_name ? r.last_name.charAt(0) + '.' : ''),
-        profilePhotoUrl: r.profile_photo_url,
-      },
-    }));
-
-    // Feed algorithm: score-based with freshness tiers + randomization
-    // - New listings (< 24h) get top priority
-    // - Recent items (1-7 days) get medium priority
-    // - Older items fill the rest
-    // - Random factor within tiers keeps feed feeling fresh each load
-    // - ISOs get a small boost to stay visible
-    const now = Date.now();
-    const HOUR = 3600000;
-    const DAY = 24 * HOUR;
-
-    const scored = [...listings, ...requests].map(item => {
-      const age = now - new Date(item.createdAt).getTime();
-      const isRequest = item.type === 'request';
-
-      // Base score from recency (exponential decay)
-      let score;
-      if (age < DAY) {
-        // Under 24h: highest tier (score 800-1000)
-        score = 1000 - (age / DAY) * 200;
-      } else if (age < 7 * DAY) {
-        // 1-7 days: medium tier (score 400-800)
-        score = 800 - ((age - DAY) / (6 * DAY)) * 400;
-      } else {
-        // Older: lower tier (score 0-400, decays over 30 days)
-        score = Math.max(0, 400 - ((age - 7 * DAY) / (30 * DAY)) * 400);
-      }
-
-      // New listing bonus: extra push for listings < 12h old
-      if (!isRequest && age < 12 * HOUR) {
-        score += 150;
-      }
-
-      // ISO boost: smaller than before, keeps them visible but not dominant
-      if (isRequest) {
-        score += 50;
-      }
-
-      // Random factor: shuffles items within ~same freshness level
-      // ±75 points keeps it interesting without breaking the tiers
-      score += (Math.random() - 0.5) * 150;
-
-      return { ...item, _score: score };
+    requestsResult.rows.forEach(r => {
+      details.set(r.id, {
+        id: r.id,
+        type: 'request',
+        title: r.title,
+        description: r.description,
+        neededFrom: r.needed_from,
+        neededUntil: r.needed_until,
+        isExpired: r.expires_at ? new Date(r.expires_at) < new Date() : false,
+        createdAt: r.created_at,
+        user: {
+          id: r.user_id,
+          firstName: r.display_name || r.first_name,
+          lastName: r.display_name ? '' : (r.last_name ? r.last_name.charAt(0) + '.' : ''),
+          profilePhotoUrl: r.profile_photo_url,
+        },
+      });
     });
 
-    const feed = scored
-      .sort((a, b) => b._score - a._score)
-      .slice(offset, offset + parseInt(limit))
-      .map(({ _score, ...item }) => item);
+    // Keep the ranked order; an item deleted since ranking simply drops out
+    const feed = pageItems
+      .filter(item => details.has(item.id))
+      .map(item => (explain
+        ? { ...details.get(item.id), ranking: { score: parseFloat(item.score), components: item.components } }
+        : details.get(item.id)));
+
+    const last = pageItems[pageItems.length - 1];
 
     res.json({
       items: feed,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      hasMore: feed.length === parseInt(limit),
+      ...(!cursor && { page: parseInt(page) || 1 }),
+      limit,
+      nextCursor: hasMore ? encodeFeedCursor({ score: last.score, id: last.id, asOf }) : null,
+      hasMore,
+      ...(explain && { weights: FEED_WEIGHTS, rankedAt: asOf }),
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
     console.error('Get feed error:', err);
     res.status(500).json({ error: 'Failed to get feed' });
   }
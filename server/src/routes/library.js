@@ -1,7 +1,9 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireFeature } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { isHeldForSomeoneElse, claimWaitlistEntries } from '../services/waitlist.js';
+import { queryAs } from '../services/transactionEvents.js';
 
 const router = Router();
 
@@ -29,13 +31,24 @@ router.get('/', authenticate, async (req, res) => {
               cli.checkout_limit_days, cli.is_available,
               (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url,
               u.first_name as donated_by_first_name,
-              cli.donation_date
+              cli.donation_date,
+              mine.status as waitlist_status, mine.offer_expires_at,
+              (SELECT COUNT(*) FROM listing_waitlist w
+               WHERE w.listing_id = l.id AND w.status IN ('waiting', 'offered')) as waitlist_count,
+              (SELECT COUNT(*) FROM listing_waitlist w
+               WHERE w.listing_id = l.id AND w.status IN ('waiting', 'offered')
+                 AND w.created_at <= mine.created_at) as waitlist_position,
+              EXISTS (SELECT 1 FROM listing_waitlist w
+                      WHERE w.listing_id = l.id AND w.status = 'offered'
+                        AND w.offer_expires_at > NOW() AND w.user_id <> $2) as is_held
        FROM community_library_items cli
        JOIN listings l ON cli.listing_id = l.id
        LEFT JOIN users u ON cli.donated_by = u.id
+       LEFT JOIN listing_waitlist mine ON mine.listing_id = l.id AND mine.user_id = $2
+         AND mine.status IN ('waiting', 'offered')
        WHERE cli.community_id = $1 AND l.status = 'active'
        ORDER BY cli.donation_date DESC`,
-      [communityId]
+      [communityId, req.user.id]
     );
 
     res.json(result.rows.map(i => ({
@@ -48,6 +61,14 @@ router.get('/', authenticate, async (req, res) => {
       photoUrl: i.photo_url,
       donatedBy: i.donated_by_first_name,
       donationDate: i.donation_date,
+      // Held for the next person on the waitlist — not on the shelf for anyone else
+      isHeld: i.is_held,
+      waitlistCount: parseInt(i.waitlist_count),
+      waitlist: i.waitlist_status ? {
+        status: i.waitlist_status,
+        position: parseInt(i.waitlist_position),
+        offerExpiresAt: i.offer_expires_at,
+      } : null,
     })));
   } catch (err) {
     console.error('Get library error:', err);
@@ -123,7 +144,7 @@ router.post('/donate', authenticate,
 // POST /api/library/:itemId/checkout
 // Check out a library item
 // ============================================
-router.post('/:itemId/checkout', authenticate,
+router.post('/:itemId/checkout', authenticate, requireFeature('library'),
   body('returnDate').isISO8601(),
   async (req, res) => {
     const errors = validationResult(req);
@@ -151,6 +172,10 @@ router.post('/:itemId/checkout', authenticate,
         return res.status(400).json({ error: 'Item is currently checked out' });
       }
 
+      if (await isHeldForSomeoneElse(item.rows[0].listing_id, req.user.id)) {
+        return res.status(409).json({ error: 'This item is being held for the next person on the waitlist', code: 'HELD_FOR_WAITLIST' });
+      }
+
       // Check return date is within limit
       const maxDate = new Date();
       maxDate.setDate(maxDate.getDate() + item.rows[0].checkout_limit_days);
@@ -160,11 +185,14 @@ router.post('/:itemId/checkout', authenticate,
         });
       }
 
-      // Create transaction for tracking
+      // Create transaction for tracking — library checkouts are free, so no money changes hands
       const transaction = await query(
         `INSERT INTO borrow_transactions
-         (listing_id, borrower_id, lender_id, status, scheduled_pickup_date, scheduled_return_date, is_free)
-         VALUES ($1, $2, $3, 'approved', CURRENT_DATE, $4, true)
+         (listing_id, borrower_id, lender_id, status, requested_start_date, requested_end_date,
+          scheduled_pickup_date, scheduled_return_date, rental_days,
+          daily_rate, rental_fee, deposit_amount, platform_fee, lender_payout)
+         VALUES ($1, $2, $3, 'approved', CURRENT_DATE, $4, CURRENT_DATE, $4,
+                 GREATEST($4::date - CURRENT_DATE, 1), 0, 0, 0, 0, 0)
          RETURNING id`,
         [item.rows[0].listing_id, req.user.id, item.rows[0].donated_by, returnDate]
       );
@@ -175,6 +203,12 @@ router.post('/:itemId/checkout', authenticate,
         [req.params.itemId]
       );
 
+      await claimWaitlistEntries({
+        listingIds: [item.rows[0].listing_id],
+        userId: req.user.id,
+        transactionId: transaction.rows[0].id,
+      });
+
       res.json({ transactionId: transaction.rows[0].id });
     } catch (err) {
       console.error('Checkout library item error:', err);
@@ -202,7 +236,8 @@ router.post('/:itemId/return', authenticate, async (req, res) => {
     }
 
     // Complete the transaction
-    await query(
+    await queryAs(
+      { userId: req.user.id },
       `UPDATE borrow_transactions SET status = 'completed' WHERE id = $1`,
       [checkout.rows[0].id]
     );
@@ -4,6 +4,10 @@ import { authenticate, requireVerified, ENABLE_PAID_TIERS } from '../middleware/
 import { body, validationResult } from 'express-validator';
 import { sendNotification } from '../services/notifications.js';
 import { analyzeItemImage } from '../services/imageAnalysis.js';
+import { getWaitlistEntry } from '../services/waitlist.js';
+import { getBlockedUserIds } from '../services/blocks.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from '../services/geofence.js';
+import { prepareSearch, textMatchSql } from '../services/search.js';
 
 const router = Router();
 
@@ -37,7 +41,8 @@ router.get('/', authenticate, async (req, res) => {
     );
     const friendIds = friendsResult.rows.map(f => f.friend_id);
 
-    let whereConditions = [`l.status = 'active'`, `l.is_available = true`];
+    // Lend listings stay listed while they're out — other dates can still be booked
+    let whereConditions = [`l.status = 'active'`, `(l.listing_type IS DISTINCT FROM 'giveaway' OR l.is_available = true)`];
     let selectExtra = '';
     let params = [];
     let paramIndex = 1;
@@ -68,22 +73,35 @@ router.get('/', authenticate, async (req, res) => {
       params.push(categoryId);
     }
 
-    // Search
-    if (search) {
-      whereConditions.push(`to_tsvector('english', l.title || ' ' || COALESCE(l.description, '')) @@ plainto_tsquery($${paramIndex++})`);
-      params.push(search);
+    // Search — synonyms, typos and category boosting come from the search service
+    let searchRank = null;
+    if (search && search.trim()) {
+      const text = textMatchSql(await prepareSearch(search), {
+        alias: 'l',
+        param: (value) => {
+          params.push(value);
+          return `$${paramIndex++}`;
+        },
+      });
+      whereConditions.push(text.match);
+      searchRank = text.rank;
     }
 
     // Visibility rules:
     // - Own listings: always visible
     // - close_friends: visible if owner is in user's friends list
-    // - neighborhood: visible if owner is in the same city
+    // - neighborhood: visible if owner is in the same city, or for communities
+    //   scoped to their boundary, if the viewer lives inside it
     // - town: visible only if user has Explorer+ subscription, is verified, and owner is in same city
+    const neighborhoodMatch = neighborhoodMatchSql(await hasBoundarySupport(), {
+      viewerParam: `$${paramIndex}`,
+      cityParam: `$${paramIndex + 1}`,
+    });
     if (canAccessTown) {
       whereConditions.push(`(
         l.owner_id = $${paramIndex} OR
         ('town' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex + 1} AND u.city IS NOT NULL) OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex + 1} AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex + 2}))
       )`);
       params.push(req.user.id, userCity, friendIds.length > 0 ? friendIds : [null]);
@@ -93,7 +111,7 @@ router.get('/', authenticate, async (req, res) => {
       whereConditions.push(`(
         l.owner_id = $${paramIndex} OR
         ('town' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex + 1} AND u.city IS NOT NULL) OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex + 1} AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex + 2}))
       )`);
       params.push(req.user.id, userCity, friendIds.length > 0 ? friendIds : [null]);
@@ -102,7 +120,7 @@ router.get('/', authenticate, async (req, res) => {
       // User can't access town listings - only show friends and neighborhood
       whereConditions.push(`(
         l.owner_id = $${paramIndex} OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex + 1} AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex + 2}))
       )`);
       params.push(req.user.id, userCity || '', friendIds.length > 0 ? friendIds : [null]);
@@ -113,10 +131,15 @@ router.get('/', authenticate, async (req, res) => {
     whereConditions.push(`l.owner_id != $${paramIndex++}`);
     params.push(req.user.id);
 
+    // ...or listings from anyone on either side of a block
+    whereConditions.push(`l.owner_id != ALL($${paramIndex++})`);
+    params.push(await getBlockedUserIds(req.user.id));
+
     params.push(limit, offset);
 
-    // Order by distance if available, otherwise by date
-    const orderBy = userLocation ? 'distance_miles ASC NULLS LAST, l.created_at DESC' : 'l.created_at DESC';
+    // Best matches first when searching, then by distance if available, otherwise by date
+    let orderBy = userLocation ? 'distance_miles ASC NULLS LAST, l.created_at DESC' : 'l.created_at DESC';
+    if (searchRank) orderBy = `${searchRank} DESC, ${orderBy}`;
 
     const result = await query(
       `SELECT l.*, u.first_name, u.last_name, u.display_name, u.profile_photo_url,
@@ -151,6 +174,7 @@ router.get('/', authenticate, async (req, res) => {
         minDuration: l.min_duration,
         maxDuration: l.max_duration,
         listingType: l.listing_type || 'lend',
+        isAvailable: l.is_available,
         visibility: l.visibility,
         photoUrl: l.photo_url,
         category: l.category_name,
@@ -211,6 +235,7 @@ router.get('/mine', authenticate, async (req, res) => {
       listingType: l.listing_type || 'lend',
       pricePerDay: l.price_per_day ? parseFloat(l.price_per_day) : null,
       depositAmount: parseFloat(l.deposit_amount),
+      bufferDays: l.buffer_days,
       isAvailable: l.is_available,
       status: l.status,
       photoUrl: l.photo_url,
@@ -248,6 +273,11 @@ router.get('/:id', authenticate, async (req, res) => {
 
     const l = result.rows[0];
 
+    // Listings taken down by a moderator stay visible to their owner only
+    if (l.status === 'hidden' && l.owner_id !== req.user.id) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
     // Town listing visibility check for non-owner viewers
     const visibilityScopes = l.visibility ? l.visibility.split(',') : ['close_friends'];
     let ownerMasked = false;
@@ -306,6 +336,13 @@ router.get('/:id', authenticate, async (req, res) => {
 
     const txn = activeTransaction.rows[0] || null;
 
+    const waitlistCount = await query(
+      `SELECT COUNT(*) FROM listing_waitlist
+       WHERE listing_id = $1 AND status IN ('waiting', 'offered')`,
+      [l.id]
+    );
+    const waitlistEntry = l.owner_id === req.user.id ? null : await getWaitlistEntry(l.id, req.user.id);
+
     res.json({
       id: l.id,
       title: l.title,
@@ -317,6 +354,7 @@ router.get('/:id', authenticate, async (req, res) => {
       depositAmount: parseFloat(l.deposit_amount),
       minDuration: l.min_duration,
       maxDuration: l.max_duration,
+      bufferDays: l.buffer_days,
       visibility: l.visibility,
       isAvailable: l.is_available,
       status: l.status,
@@ -324,6 +362,12 @@ router.get('/:id', authenticate, async (req, res) => {
       category: l.category_name,
       categoryId: l.category_id,
       timesBorrowed: l.times_borrowed,
+      rto: l.rto_available ? {
+        purchasePrice: parseFloat(l.rto_purchase_price),
+        minPayments: l.rto_min_payments,
+        maxPayments: l.rto_max_payments,
+        rentalCreditPercent: parseFloat(l.rto_rental_credit_percent),
+      } : null,
       owner: ownerMasked ? {
         id: null,
         firstName: 'Verified',
@@ -353,6 +397,10 @@ router.get('/:id', authenticate, async (req, res) => {
         startDate: txn.requested_start_date,
         endDate: txn.requested_end_date,
       } : null,
+      waitlist: {
+        count: parseInt(waitlistCount.rows[0].count),
+        entry: waitlistEntry,
+      },
       createdAt: l.created_at,
     });
   } catch (err) {
@@ -405,6 +453,7 @@ router.post('/', authenticate,
   body('depositAmount').optional().isFloat({ min: 0 }),
   body('minDuration').optional().isInt({ min: 1, max: 365 }),
   body('maxDuration').optional().isInt({ min: 1, max: 365 }),
+  body('bufferDays').optional().isInt({ min: 0, max: 30 }),
   body('visibility').isArray({ min: 1 }),
   body('visibility.*').isIn(['close_friends', 'neighborhood', 'town']),
   body('requestMatchId').optional().isUUID(),
@@ -417,7 +466,7 @@ router.post('/', authenticate,
 
     const {
       title, description, condition, communityId, categoryId,
-      isFree: _isFree, pricePerDay: _pricePerDay, depositAmount, minDuration, maxDuration,
+      isFree: _isFree, pricePerDay: _pricePerDay, depositAmount, minDuration, maxDuration, bufferDays,
       visibility, photos, requestMatchId, listingType: _listingType
     } = req.body;
     const listingType = _listingType === 'giveaway' ? 'giveaway' : 'lend';
@@ -483,14 +532,15 @@ router.post('/', authenticate,
       const result = await query(
         `INSERT INTO listings (
           owner_id, community_id, category_id, title, description, condition,
-          is_free, price_per_day, deposit_amount, min_duration, max_duration, visibility, listing_type
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          is_free, price_per_day, deposit_amount, min_duration, max_duration, visibility, listing_type,
+          buffer_days
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING id`,
         [
           req.user.id, communityId || null, categoryId || null, title, description, condition,
           isFree, isFree ? null : pricePerDay, isGiveaway ? 0 : (depositAmount || 0),
           isGiveaway ? null : (minDuration || 1), isGiveaway ? null : (maxDuration || 14),
-          primaryVisibility, listingType
+          primaryVisibility, listingType, isGiveaway ? 0 : (bufferDays || 0)
         ]
       );
 
@@ -527,15 +577,26 @@ router.post('/', authenticate,
       } else {
         // Fuzzy text match — find matching open requests and notify their owners
         try {
-          const matchingRequests = communityId ? await query(
-            `SELECT r.id, r.user_id, r.title as request_title
-             FROM item_requests r
-             WHERE r.status = 'open'
-               AND r.community_id = $1
-               AND r.user_id != $2
-               AND to_tsvector('english', r.title || ' ' || COALESCE(r.description, '')) @@ plainto_tsquery($3)`,
-            [communityId, req.user.id, title]
-          ) : { rows: [] };
+          let matchingRequests = { rows: [] };
+          if (communityId) {
+            const matchParams = [communityId, req.user.id];
+            const text = textMatchSql(await prepareSearch(title, { correct: false }), {
+              alias: 'r',
+              param: (value) => {
+                matchParams.push(value);
+                return `$${matchParams.length}`;
+              },
+            });
+            matchingRequests = await query(
+              `SELECT r.id, r.user_id, r.title as request_title
+               FROM item_requests r
+               WHERE r.status = 'open'
+                 AND r.community_id = $1
+                 AND r.user_id != $2
+                 AND ${text.match}`,
+              matchParams
+            );
+          }
 
           for (const match of matchingRequests.rows) {
             await sendNotification(
@@ -570,7 +631,7 @@ router.patch('/:id', authenticate,
     try {
       // Verify ownership
       const listing = await query(
-        'SELECT owner_id FROM listings WHERE id = $1',
+        'SELECT owner_id, status FROM listings WHERE id = $1',
         [req.params.id]
       );
 
@@ -582,9 +643,29 @@ router.patch('/:id', authenticate,
         return res.status(403).json({ error: 'Not authorized' });
       }
 
+      // Ownership passed to the borrower through a completed rent-to-own contract
+      if (listing.rows[0].status === 'transferred') {
+        return res.status(400).json({ error: 'This item has been transferred and can no longer be edited' });
+      }
+
+      // Taken down by a moderator
+      if (listing.rows[0].status === 'hidden') {
+        return res.status(400).json({ error: 'This listing was removed by a moderator and can no longer be edited' });
+      }
+
+      // Validate rent-to-own terms
+      const rtoCredit = req.body.rtoRentalCreditPercent;
+      if (rtoCredit !== undefined && (parseFloat(rtoCredit) <= 0 || parseFloat(rtoCredit) > 100)) {
+        return res.status(400).json({ error: 'Rental credit must be between 1 and 100 percent' });
+      }
+      if (req.body.rtoAvailable === true && req.body.rtoPurchasePrice !== undefined && !(parseFloat(req.body.rtoPurchasePrice) > 0)) {
+        return res.status(400).json({ error: 'Rent-to-own requires a purchase price' });
+      }
+
       const allowedFields = [
         'title', 'description', 'condition', 'category_id', 'is_free', 'price_per_day',
-        'deposit_amount', 'min_duration', 'max_duration', 'visibility', 'status'
+        'deposit_amount', 'min_duration', 'max_duration', 'buffer_days', 'visibility', 'status',
+        'rto_available', 'rto_purchase_price', 'rto_min_payments', 'rto_max_payments', 'rto_rental_credit_percent'
       ];
       const validStatuses = ['active', 'paused'];
       const validVisibilities = ['close_friends', 'neighborhood', 'town'];
@@ -639,6 +720,14 @@ router.patch('/:id', authenticate,
         return res.status(400).json({ error: 'Invalid status value' });
       }
 
+      // Turnaround days between bookings
+      if (req.body.bufferDays !== undefined) {
+        const bufferDays = Number(req.body.bufferDays);
+        if (!Number.isInteger(bufferDays) || bufferDays < 0 || bufferDays > 30) {
+          return res.status(400).json({ error: 'Buffer days must be a whole number between 0 and 30' });
+        }
+      }
+
       // Validate price is not negative
       if (req.body.pricePerDay !== undefined && parseFloat(req.body.pricePerDay) < 0) {
         return res.status(400).json({ error: 'Price cannot be negative' });
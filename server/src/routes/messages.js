@@ -2,10 +2,30 @@ import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
-import { sendNotification } from '../services/notifications.js';
+import { sendNotification, publishBadgeCount } from '../services/notifications.js';
+import { publish } from '../services/realtime.js';
+import { isBlockedBetween } from '../services/blocks.js';
 
 const router = Router();
 
+// Conversation participants, for realtime fan-out
+async function getParticipants(conversationId) {
+  const conv = await query(
+    'SELECT user1_id, user2_id FROM conversations WHERE id = $1',
+    [conversationId]
+  );
+  return conv.rows[0] ? [conv.rows[0].user1_id, conv.rows[0].user2_id] : [];
+}
+
+// Tell the sender their messages were read and refresh the reader's badge
+async function publishRead(conversationId, readerId, participants) {
+  const senderId = participants.find(id => id !== readerId);
+  if (senderId) {
+    publish(senderId, 'message:read', { conversationId, readerId });
+  }
+  await publishBadgeCount(readerId);
+}
+
 // ============================================
 // GET /api/messages/conversations
 // List user's conversations
@@ -129,10 +149,13 @@ router.get('/conversations/:id', authenticate, async (req, res) => {
     }
 
     // Mark messages as read
-    await query(
+    const markedRead = await query(
       'UPDATE messages SET is_read = true WHERE conversation_id = $1 AND sender_id != $2 AND is_read = false',
       [req.params.id, req.user.id]
     );
+    if (markedRead.rowCount > 0) {
+      await publishRead(conv.id, req.user.id, [conv.user1_id, conv.user2_id]);
+    }
 
     // Get messages
     const messages = await query(
@@ -213,6 +236,10 @@ router.post('/', authenticate,
     }
 
     try {
+      if (await isBlockedBetween(req.user.id, recipientId)) {
+        return res.status(403).json({ error: 'You can\'t message this person', code: 'BLOCKED' });
+      }
+
       // Find or create conversation
       let conversationId;
 
@@ -267,6 +294,18 @@ router.post('/', authenticate,
         { fromUserId: req.user.id }
       );
 
+      publish([recipientId, req.user.id], 'message:new', {
+        id: messageResult.rows[0].id,
+        conversationId,
+        senderId: req.user.id,
+        content: content || null,
+        imageUrl: imageUrl || null,
+        isRead: false,
+        isDeleted: false,
+        createdAt: messageResult.rows[0].created_at,
+        reactions: [],
+      });
+
       res.status(201).json({
         id: messageResult.rows[0].id,
         conversationId,
@@ -288,7 +327,7 @@ router.post('/', authenticate,
 router.delete('/:id', authenticate, async (req, res) => {
   try {
     const msg = await query(
-      'SELECT id, sender_id FROM messages WHERE id = $1',
+      'SELECT id, sender_id, conversation_id FROM messages WHERE id = $1',
       [req.params.id]
     );
 
@@ -305,6 +344,11 @@ router.delete('/:id', authenticate, async (req, res) => {
       [req.params.id]
     );
 
+    publish(await getParticipants(msg.rows[0].conversation_id), 'message:deleted', {
+      id: req.params.id,
+      conversationId: msg.rows[0].conversation_id,
+    });
+
     res.json({ success: true });
   } catch (err) {
     console.error('Delete message error:', err);
@@ -320,7 +364,7 @@ router.post('/conversations/:id/read', authenticate, async (req, res) => {
   try {
     // Verify user is part of conversation
     const convCheck = await query(
-      'SELECT id FROM conversations WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
+      'SELECT id, user1_id, user2_id FROM conversations WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
       [req.params.id, req.user.id]
     );
 
@@ -328,10 +372,14 @@ router.post('/conversations/:id/read', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    await query(
-      'UPDATE messages SET is_read = true WHERE conversation_id = $1 AND sender_id != $2',
+    const conv = convCheck.rows[0];
+    const markedRead = await query(
+      'UPDATE messages SET is_read = true WHERE conversation_id = $1 AND sender_id != $2 AND is_read = false',
       [req.params.id, req.user.id]
     );
+    if (markedRead.rowCount > 0) {
+      await publishRead(conv.id, req.user.id, [conv.user1_id, conv.user2_id]);
+    }
 
     res.json({ success: true });
   } catch (err) {
@@ -357,7 +405,7 @@ router.post('/:id/react', authenticate,
     try {
       // Verify message exists and user has access
       const msg = await query(
-        `SELECT m.id FROM messages m
+        `SELECT m.id, m.conversation_id, c.user1_id, c.user2_id FROM messages m
          JOIN conversations c ON m.conversation_id = c.id
          WHERE m.id = $1 AND (c.user1_id = $2 OR c.user2_id = $2)`,
         [req.params.id, req.user.id]
@@ -376,6 +424,14 @@ router.post('/:id/react', authenticate,
         [req.params.id, req.user.id, req.body.emoji]
       );
 
+      const m = msg.rows[0];
+      publish([m.user1_id, m.user2_id], 'message:reaction', {
+        messageId: m.id,
+        conversationId: m.conversation_id,
+        userId: req.user.id,
+        emoji: req.body.emoji,
+      });
+
       res.json({ success: true });
     } catch (err) {
       console.error('React to message error:', err);
@@ -390,11 +446,22 @@ router.post('/:id/react', authenticate,
 // ============================================
 router.delete('/:id/react', authenticate, async (req, res) => {
   try {
-    await query(
-      'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2',
+    const removed = await query(
+      `DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2
+       RETURNING (SELECT conversation_id FROM messages WHERE id = $1) as conversation_id`,
       [req.params.id, req.user.id]
     );
 
+    if (removed.rows.length > 0) {
+      const conversationId = removed.rows[0].conversation_id;
+      publish(await getParticipants(conversationId), 'message:reaction', {
+        messageId: req.params.id,
+        conversationId,
+        userId: req.user.id,
+        emoji: null,
+      });
+    }
+
     res.json({ success: true });
   } catch (err) {
     console.error('Remove reaction error:', err);
@@ -1,6 +1,14 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import {
+  getBadgeCounts,
+  publishBadgeCount,
+  EMAIL_NOTIFICATIONS,
+  EMAIL_DIGEST_FREQUENCIES,
+} from '../services/notifications.js';
+import { verifyUnsubscribe } from '../services/email.js';
 
 const router = Router();
 
@@ -72,37 +80,7 @@ router.get('/badge-count', authenticate, async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const [messagesResult, notificationsResult, actionsResult] = await Promise.all([
-      query(
-        `SELECT COUNT(*) FROM messages m
-         JOIN conversations c ON m.conversation_id = c.id
-         WHERE m.is_read = false AND m.sender_id != $1
-         AND (c.user1_id = $1 OR c.user2_id = $1)`,
-        [userId]
-      ),
-      query(
-        'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
-        [userId]
-      ),
-      query(
-        `SELECT COUNT(*) FROM borrow_transactions WHERE (
-         (lender_id = $1 AND status = 'pending')
-         OR (borrower_id = $1 AND status = 'approved')
-         OR (lender_id = $1 AND status = 'return_pending'))`,
-        [userId]
-      ),
-    ]);
-
-    const messages = parseInt(messagesResult.rows[0].count);
-    const notifications = parseInt(notificationsResult.rows[0].count);
-    const actions = parseInt(actionsResult.rows[0].count);
-
-    res.json({
-      messages,
-      notifications,
-      actions,
-      total: messages + notifications + actions,
-    });
+    res.json(await getBadgeCounts(userId));
   } catch (err) {
     console.error('Get badge count error:', err);
     res.status(500).json({ error: 'Failed to get badge count' });
@@ -120,6 +98,7 @@ router.post('/:id/read', authenticate, async (req, res) => {
        WHERE id = $1 AND user_id = $2`,
       [req.params.id, req.user.id]
     );
+    await publishBadgeCount(req.user.id);
     res.json({ success: true });
   } catch (err) {
     console.error('Mark read error:', err);
@@ -138,6 +117,7 @@ router.post('/read-all', authenticate, async (req, res) => {
        WHERE user_id = $1 AND is_read = false`,
       [req.user.id]
     );
+    await publishBadgeCount(req.user.id);
     res.json({ success: true });
   } catch (err) {
     console.error('Mark all read error:', err);
@@ -168,33 +148,165 @@ router.put('/push-token', authenticate, async (req, res) => {
   }
 });
 
+// Preferences as the app sees them: every emailable type listed, digest defaulted
+const formatPreferences = (prefs) => ({
+  ...prefs,
+  email: prefs.email !== false,
+  emailTypes: Object.fromEntries(
+    Object.keys(EMAIL_NOTIFICATIONS).map(type => [type, prefs.emailTypes?.[type] !== false])
+  ),
+  emailDigest: prefs.emailDigest || 'off',
+  digestTypes: Object.keys(EMAIL_NOTIFICATIONS).filter(type => EMAIL_NOTIFICATIONS[type] === 'digest'),
+});
+
+// ============================================
+// GET /api/notifications/preferences
+// Get notification preferences
+// ============================================
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT notification_preferences FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    res.json(formatPreferences(result.rows[0]?.notification_preferences || {}));
+  } catch (err) {
+    console.error('Get preferences error:', err);
+    res.status(500).json({ error: 'Failed to get preferences' });
+  }
+});
+
 // ============================================
 // PATCH /api/notifications/preferences
 // Update notification preferences
 // ============================================
-router.patch('/preferences', authenticate, async (req, res) => {
-  const { email, push } = req.body;
+router.patch('/preferences', authenticate,
+  body('email').optional().isBoolean(),
+  body('push').optional().isBoolean(),
+  body('emailTypes').optional().isObject(),
+  body('emailTypes.*').optional().isBoolean(),
+  body('emailDigest').optional().isIn(['off', ...EMAIL_DIGEST_FREQUENCIES]),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, push, emailTypes, emailDigest } = req.body;
+
+    const unknownTypes = Object.keys(emailTypes || {}).filter(type => !EMAIL_NOTIFICATIONS[type]);
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({ error: `These notifications aren't sent by email: ${unknownTypes.join(', ')}` });
+    }
+
+    try {
+      const current = await query(
+        'SELECT notification_preferences FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      const prefs = current.rows[0].notification_preferences || {};
+
+      if (email !== undefined) prefs.email = email;
+      if (push !== undefined) prefs.push = push;
+      if (emailTypes !== undefined) prefs.emailTypes = { ...prefs.emailTypes, ...emailTypes };
+      if (emailDigest !== undefined) prefs.emailDigest = emailDigest;
+
+      await query(
+        'UPDATE users SET notification_preferences = $1 WHERE id = $2',
+        [JSON.stringify(prefs), req.user.id]
+      );
+
+      res.json({ success: true, preferences: formatPreferences(prefs) });
+    } catch (err) {
+      console.error('Update preferences error:', err);
+      res.status(500).json({ error: 'Failed to update preferences' });
+    }
+  }
+);
+
+// Unsubscribe links arrive from email clients, not the app — answer with a small page
+const unsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title></head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;background:#f4f0e8;padding:40px 20px;">
+  <div style="max-width:420px;margin:0 auto;background:#fff;border-radius:12px;padding:32px;">
+    <h2 style="margin:0 0 12px;color:#1B3318;">${title}</h2>
+    <p style="color:#3D5A38;line-height:1.5;">${message}</p>
+    ${form}
+  </div>
+</body>
+</html>`;
+
+const describeScope = (scope) => (scope === 'all'
+  ? 'all Borrowhood emails'
+  : `"${scope.replace(/_/g, ' ')}" emails`);
+
+function checkUnsubscribe(req, res) {
+  const { user, scope, sig } = req.query;
+  const validScope = scope === 'all' || Boolean(EMAIL_NOTIFICATIONS[scope]);
+  if (!user || !validScope || !verifyUnsubscribe(user, scope, sig)) {
+    res.status(400).send(unsubscribePage('Link not valid', 'This unsubscribe link is invalid or incomplete. You can change email settings in the Borrowhood app.'));
+    return null;
+  }
+  return { userId: user, scope };
+}
+
+// ============================================
+// GET /api/notifications/unsubscribe
+// Confirmation page for an emailed unsubscribe link (signed, no login).
+// Doesn't change anything itself — link scanners prefetch GETs
+// ============================================
+router.get('/unsubscribe', (req, res) => {
+  const link = checkUnsubscribe(req, res);
+  if (!link) return;
+
+  const action = `?${new URLSearchParams(req.query)}`;
+  res.send(unsubscribePage(
+    'Unsubscribe',
+    `Stop receiving ${describeScope(link.scope)}? You'll still get notifications in the app.`,
+    `<form method="POST" action="${action.replace(/"/g, '&quot;')}">
+      <button type="submit" style="background:#2D5A27;color:#fff;border:0;border-radius:8px;padding:12px 20px;font-size:15px;">Unsubscribe</button>
+    </form>`
+  ));
+});
+
+// ============================================
+// POST /api/notifications/unsubscribe
+// Turn off the linked emails — the confirm button, or a mail client's one-click unsubscribe
+// ============================================
+router.post('/unsubscribe', async (req, res) => {
+  const link = checkUnsubscribe(req, res);
+  if (!link) return;
 
   try {
     const current = await query(
       'SELECT notification_preferences FROM users WHERE id = $1',
-      [req.user.id]
+      [link.userId]
     );
+    if (current.rows.length === 0) {
+      return res.status(404).send(unsubscribePage('Account not found', 'This account no longer exists.'));
+    }
 
     const prefs = current.rows[0].notification_preferences || {};
-
-    if (email !== undefined) prefs.email = email;
-    if (push !== undefined) prefs.push = push;
+    if (link.scope === 'all') {
+      prefs.email = false;
+    } else {
+      prefs.emailTypes = { ...prefs.emailTypes, [link.scope]: false };
+    }
 
     await query(
       'UPDATE users SET notification_preferences = $1 WHERE id = $2',
-      [JSON.stringify(prefs), req.user.id]
+      [JSON.stringify(prefs), link.userId]
     );
 
-    res.json({ success: true, preferences: prefs });
+    res.send(unsubscribePage(
+      'Unsubscribed',
+      `You won't receive ${describeScope(link.scope)} anymore. You can turn them back on in the app's notification settings.`
+    ));
   } catch (err) {
-    console.error('Update preferences error:', err);
-    res.status(500).json({ error: 'Failed to update preferences' });
+    console.error('Unsubscribe error:', err);
+    res.status(500).send(unsubscribePage('Something went wrong', 'Please try again, or change email settings in the app.'));
   }
 });
 
@@ -3,18 +3,26 @@ import { query, withTransaction } from '../utils/db.js';
 import { authenticate, ENABLE_PAID_TIERS } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
 import {
-  stripe,
   createPaymentIntent,
   getPaymentIntent,
-  capturePaymentIntent,
-  cancelPaymentIntent,
-  createTransfer,
   createEphemeralKey,
-  refundPayment,
 } from '../services/stripe.js';
+import { executePaymentOperation } from '../services/paymentOperations.js';
+import {
+  recordCheckoutHold,
+  settleCheckoutHold,
+  settleDeposit,
+  getActiveDepositHold,
+  captureApprovedPayment,
+} from '../services/paymentHolds.js';
 import { sendNotification } from '../services/notifications.js';
+import { setTransactionListingsAvailable, recordItemConditions, getDegradedItems } from '../services/bundles.js';
+import { refreshTransactionReputation } from '../services/reputation.js';
+import { prepareHandoff, recordHandoff } from '../services/handoffs.js';
+import { queryAs, setTransactionActor, asTransitionError } from '../services/transactionEvents.js';
 import logger from '../utils/logger.js';
-import { PLATFORM_FEE_PERCENT, BORROWER_SERVICE_FEE_PERCENT } from '../utils/constants.js';
+import { getOverdueEvents, lateFeeCapCents } from '../services/overdue.js';
+import { PLATFORM_FEE_PERCENT, BORROWER_SERVICE_FEE_PERCENT, LATE_FEE_AUTO_CHARGE } from '../utils/constants.js';
 
 const router = Router();
 
@@ -49,24 +57,22 @@ router.post('/:id/approve', authenticate,
 
       // Free rental — no payment to capture
       if (!t.stripe_payment_intent_id) {
-        await query(
+        await queryAs(
+          { userId: req.user.id },
           `UPDATE borrow_transactions
-           SET status = 'paid', lender_response = $1, payment_status = 'none'
+           SET status = 'paid', lender_response = $1, payment_status = 'none', lender_responded_at = NOW()
            WHERE id = $2`,
           [response, t.id]
         );
 
-        await query(
-          'UPDATE listings SET is_available = false WHERE id = $1',
-          [t.listing_id]
-        );
-
         await sendNotification(t.borrower_id, 'request_approved', {
           transactionId: t.id,
           listingId: t.listing_id,
           itemTitle: t.item_title,
         });
 
+        refreshTransactionReputation(t.id);
+
         return res.json({ success: true, freeRental: true });
       }
 
@@ -78,27 +84,31 @@ router.post('/:id/approve', authenticate,
         });
       }
 
-      await capturePaymentIntent(t.stripe_payment_intent_id);
+      // Not retried in the background — the lender is waiting on the answer. Long rentals
+      // capture the fee now and keep the deposit on a renewable hold.
+      const { operation: capture, depositHold } = await captureApprovedPayment(t, pi);
+      if (capture.status !== 'succeeded') {
+        logger.error('Approve rental capture failed:', { transactionId: t.id, error: capture.lastError });
+        return res.status(500).json({ error: `Failed to approve rental: ${capture.lastError || 'Unknown error'}` });
+      }
 
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions
-         SET status = 'paid', lender_response = $1, payment_status = 'captured'
+         SET status = 'paid', lender_response = $1, payment_status = 'captured', lender_responded_at = NOW()
          WHERE id = $2`,
         [response, t.id]
       );
 
-      await query(
-        'UPDATE listings SET is_available = false WHERE id = $1',
-        [t.listing_id]
-      );
-
       await sendNotification(t.borrower_id, 'request_approved', {
         transactionId: t.id,
         listingId: t.listing_id,
         itemTitle: t.item_title,
       });
 
-      res.json({ success: true });
+      refreshTransactionReputation(t.id);
+
+      res.json({ success: true, depositHold });
     } catch (err) {
       logger.error('Approve rental error:', {
         message: err.message,
@@ -123,9 +133,10 @@ router.post('/:id/decline', authenticate,
     const { reason } = req.body;
 
     try {
-      const result = await query(
+      const result = await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions
-         SET status = 'cancelled', lender_response = $1, payment_status = 'cancelled'
+         SET status = 'cancelled', lender_response = $1, payment_status = 'cancelled', lender_responded_at = NOW()
          WHERE id = $2 AND lender_id = $3 AND status = 'pending'
          RETURNING borrower_id, listing_id, stripe_payment_intent_id`,
         [reason, req.params.id, req.user.id]
@@ -137,19 +148,22 @@ router.post('/:id/decline', authenticate,
 
       const t = result.rows[0];
 
-      // Re-list the item so it can be borrowed again
-      await query(
-        'UPDATE listings SET is_available = true WHERE id = $1',
-        [t.listing_id]
-      );
+      // Re-list the item (every item, for a bundle) so it can be borrowed again
+      await setTransactionListingsAvailable(req.params.id, true);
 
       // Cancel PaymentIntent if one exists
       if (t.stripe_payment_intent_id) {
-        try {
-          await cancelPaymentIntent(t.stripe_payment_intent_id);
-        } catch (e) {
-          logger.warn('Could not cancel PI on decline:', e.message);
+        const cancel = await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'rental_cancel',
+          idempotencyKey: `rental_cancel:${req.params.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: req.params.id,
+        });
+        if (cancel.status !== 'succeeded') {
+          logger.warn('Could not cancel PI on decline, queued for retry:', cancel.lastError);
         }
+        await settleCheckoutHold(req.params.id, 'released');
       }
 
       await sendNotification(t.borrower_id, 'request_declined', {
@@ -157,6 +171,8 @@ router.post('/:id/decline', authenticate,
         listingId: t.listing_id,
       });
 
+      refreshTransactionReputation(req.params.id);
+
       res.json({ success: true });
     } catch (err) {
       logger.error('Decline rental error:', err);
@@ -196,6 +212,7 @@ router.post('/:id/confirm-payment', authenticate, async (req, res) => {
         `UPDATE borrow_transactions SET payment_status = 'authorized' WHERE id = $1`,
         [t.id]
       );
+      await recordCheckoutHold(t.id, pi);
 
       // Now that payment is authorized, notify the lender of the borrow request
       const listing = await query(
@@ -266,27 +283,46 @@ router.post('/:id/cancel', authenticate, async (req, res) => {
     if (t.stripe_payment_intent_id) {
       const pi = await getPaymentIntent(t.stripe_payment_intent_id);
 
+      let operation = null;
       if (pi.status === 'requires_capture') {
         // Hold not yet captured — cancel it (releases hold instantly)
-        await cancelPaymentIntent(t.stripe_payment_intent_id);
+        operation = await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'rental_cancel',
+          idempotencyKey: `rental_cancel:${t.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: t.id,
+          retry: false,
+        });
       } else if (pi.status === 'succeeded') {
         // Payment was captured — issue full refund
-        await refundPayment(t.stripe_payment_intent_id);
+        operation = await executePaymentOperation({
+          kind: 'refund',
+          purpose: 'rental_refund',
+          idempotencyKey: `rental_refund:${t.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: t.id,
+          retry: false,
+        });
       }
+      if (operation && operation.status !== 'succeeded') {
+        return res.status(500).json({ error: `Failed to cancel request: ${operation.lastError}` });
+      }
+      await settleCheckoutHold(t.id, 'released');
+      // Long rentals hold the deposit separately once approved
+      await settleDeposit(t);
     }
 
-    await query(
+    await queryAs(
+      { userId: req.user.id },
       `UPDATE borrow_transactions
        SET status = 'cancelled', payment_status = 'refunded'
        WHERE id = $1`,
       [t.id]
     );
 
-    // Make listing available again
-    await query(
-      'UPDATE listings SET is_available = true WHERE id = $1',
-      [t.listing_id]
-    );
+    // Make listing (or every bundle item) available again
+    await setTransactionListingsAvailable(t.id, true);
 
     await sendNotification(t.lender_id, 'request_declined', {
       transactionId: t.id,
@@ -302,16 +338,34 @@ router.post('/:id/cancel', authenticate, async (req, res) => {
 
 // ============================================
 // POST /api/rentals/:id/pickup
-// Lender confirms pickup
+// Lender confirms pickup by scanning the borrower's handoff code and attaching
+// condition photos. Without a code either party can still confirm by sending
+// unverified: true with condition photos, which is noted in the history.
+// Giveaways need no code.
+// Bundle borrows can record condition per item via itemConditions
 // ============================================
 router.post('/:id/pickup', authenticate,
   body('condition').optional().isIn(['like_new', 'good', 'fair', 'worn']),
+  body('itemConditions').optional().isArray(),
+  body('itemConditions.*.listingId').optional().isUUID(),
+  body('itemConditions.*.condition').optional().isIn(['like_new', 'good', 'fair', 'worn']),
+  body('handoffCode').optional().isString().isLength({ max: 500 }),
+  body('photos').optional().isArray({ max: 10 }),
+  body('photos.*.url').optional().isURL({ require_tld: false }),
+  body('photos.*.takenAt').optional().isISO8601(),
+  body('unverified').optional().isBoolean(),
   async (req, res) => {
-    const { condition } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { condition, itemConditions, handoffCode, photos } = req.body;
+    const unverified = req.body.unverified === true || req.body.unverified === 'true';
 
     try {
       const txn = await query(
-        `SELECT bt.*, l.title as item_title
+        `SELECT bt.*, l.title as item_title, l.listing_type
          FROM borrow_transactions bt
          JOIN listings l ON bt.listing_id = l.id
          WHERE bt.id = $1 AND bt.status IN ('paid', 'approved')`,
@@ -325,48 +379,63 @@ router.post('/:id/pickup', authenticate,
       const t = txn.rows[0];
       const isBorrower = t.borrower_id === req.user.id;
       const isLender = t.lender_id === req.user.id;
+      const isGiveaway = t.listing_type === 'giveaway';
 
       if (!isBorrower && !isLender) {
         return res.status(403).json({ error: 'Not authorized' });
       }
 
-      // Either party can confirm pickup
-      const otherPartyId = isBorrower ? t.lender_id : t.borrower_id;
+      const prepared = await prepareHandoff(t, 'pickup', {
+        handoffCode, photos, unverified, userId: req.user.id, isGiveaway,
+      });
 
-      // Check if this is a giveaway
-      const listingCheck = await query(
-        'SELECT listing_type FROM listings WHERE id = $1',
-        [t.listing_id]
-      );
-      const isGiveaway = listingCheck.rows[0]?.listing_type === 'giveaway';
+      // Status change and handoff record commit together, so a failed update
+      // leaves the code unused for another try
+      const handoff = await withTransaction(async (client) => {
+        await setTransactionActor(client, { userId: req.user.id });
 
-      if (isGiveaway) {
-        // Giveaway: pickup = complete. No return step needed.
-        await query(
-          `UPDATE borrow_transactions
-           SET status = 'returned', actual_pickup_at = NOW(), actual_return_at = NOW(), condition_at_pickup = $1
-           WHERE id = $2`,
-          [condition || 'good', t.id]
-        );
+        if (isGiveaway) {
+          // Giveaway: pickup = complete. No return step needed.
+          await client.query(
+            `UPDATE borrow_transactions
+             SET status = 'returned', actual_pickup_at = NOW(), actual_return_at = NOW(), condition_at_pickup = $1
+             WHERE id = $2`,
+            [condition || 'good', t.id]
+          );
 
-        await query(
-          `UPDATE listings SET status = 'given_away', is_available = false WHERE id = $1`,
-          [t.listing_id]
-        );
+          await client.query(
+            `UPDATE listings SET status = 'given_away', is_available = false WHERE id = $1`,
+            [t.listing_id]
+          );
+        } else {
+          await client.query(
+            `UPDATE borrow_transactions
+             SET status = 'picked_up', actual_pickup_at = NOW(),
+                 condition_at_pickup = $1
+             WHERE id = $2`,
+            [condition || 'good', t.id]
+          );
+
+          // Out with the borrower now; their booking already holds the dates
+          await setTransactionListingsAvailable(t.id, false, client);
 
+          if (t.bundle_id) {
+            await recordItemConditions(t.id, 'pickup', itemConditions, condition, client);
+          }
+        }
+
+        return recordHandoff(t, prepared, client);
+      });
+
+      // Either party can confirm pickup
+      const otherPartyId = isBorrower ? t.lender_id : t.borrower_id;
+
+      if (isGiveaway) {
         await sendNotification(otherPartyId, 'giveaway_complete', {
           itemTitle: t.item_title,
           transactionId: t.id,
         });
       } else {
-        await query(
-          `UPDATE borrow_transactions
-           SET status = 'picked_up', actual_pickup_at = NOW(),
-               condition_at_pickup = $1
-           WHERE id = $2`,
-          [condition || 'good', t.id]
-        );
-
         await sendNotification(otherPartyId, 'pickup_confirmed', {
           itemTitle: t.item_title,
           returnDate: t.requested_end_date,
@@ -374,8 +443,12 @@ router.post('/:id/pickup', authenticate,
         });
       }
 
-      res.json({ success: true, isGiveaway });
+      res.json({ success: true, isGiveaway, verified: handoff.verified });
     } catch (err) {
+      const routeErr = asTransitionError(err);
+      if (routeErr.status) {
+        return res.status(routeErr.status).json({ error: routeErr.message, code: routeErr.code });
+      }
       logger.error('Confirm pickup error:', err);
       res.status(500).json({ error: 'Failed to confirm pickup' });
     }
@@ -386,17 +459,29 @@ router.post('/:id/pickup', authenticate,
 // POST /api/rentals/:id/return
 // Lender confirms clean return — refund deposit to borrower
 // Triggers payout to lender via Connect transfer
+// Needs the borrower's handoff code scanned by the lender, with condition photos,
+// unless the return was already verified or the caller sends unverified: true
+// with condition photos
 // ============================================
 router.post('/:id/return', authenticate,
   body('condition').isIn(['like_new', 'good', 'fair', 'worn']),
   body('notes').optional().isLength({ max: 500 }),
+  body('itemConditions').optional().isArray(),
+  body('itemConditions.*.listingId').optional().isUUID(),
+  body('itemConditions.*.condition').optional().isIn(['like_new', 'good', 'fair', 'worn']),
+  body('handoffCode').optional().isString().isLength({ max: 500 }),
+  body('photos').optional().isArray({ max: 10 }),
+  body('photos.*.url').optional().isURL({ require_tld: false }),
+  body('photos.*.takenAt').optional().isISO8601(),
+  body('unverified').optional().isBoolean(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { condition, notes } = req.body;
+    const { condition, notes, itemConditions, handoffCode, photos } = req.body;
+    const unverified = req.body.unverified === true || req.body.unverified === 'true';
 
     try {
       const txn = await query(
@@ -423,12 +508,24 @@ router.post('/:id/return', authenticate,
         return res.status(403).json({ error: 'Only the lender or borrower can confirm return' });
       }
 
+      if (t.status === 'returned' && !isLender) {
+        return res.status(400).json({ error: 'Item already marked as returned' });
+      }
+      if (!['picked_up', 'return_pending', 'returned'].includes(t.status)) {
+        return res.status(400).json({ error: 'Item not currently borrowed' });
+      }
+
+      // The handoff is only recorded alongside the change it confirms, so a failed
+      // update leaves the code unused for another try
+      const prepared = await prepareHandoff(t, 'return', {
+        handoffCode, photos, unverified, userId: req.user.id,
+      });
+
       // Lender confirming return after borrower already reported it — release deposit
       if (t.status === 'returned') {
-        if (!isLender) {
-          return res.status(400).json({ error: 'Item already marked as returned' });
-        }
-        if (t.payment_status !== 'authorized') {
+        // Long rentals keep the deposit on its own hold after the fee is captured
+        const depositHold = await getActiveDepositHold(t.id);
+        if (t.payment_status !== 'authorized' && !depositHold) {
           return res.status(400).json({ error: 'Deposit has already been processed' });
         }
 
@@ -436,56 +533,85 @@ router.post('/:id/return', authenticate,
         const pickupIdx = conditionOrder.indexOf(t.condition_at_pickup);
         const returnIdx = conditionOrder.indexOf(condition);
 
-        if (returnIdx > pickupIdx) {
+        let degradedItems = [];
+        if (t.bundle_id) {
+          await recordItemConditions(t.id, 'return', itemConditions, condition);
+          degradedItems = await getDegradedItems(t.id);
+        }
+
+        if (returnIdx > pickupIdx || degradedItems.length > 0) {
+          const handoff = await withTransaction((client) => recordHandoff(t, prepared, client));
           return res.json({
             success: true,
             conditionDegraded: true,
+            verified: handoff.verified,
+            degradedItems,
             message: 'Condition degraded. You can file a damage claim.',
           });
         }
 
-        // Release deposit immediately
-        try {
-          if (t.stripe_payment_intent_id) {
-            await cancelPaymentIntent(t.stripe_payment_intent_id);
+        // Release deposit immediately — a failed release is retried by the payment worker
+        if (depositHold) {
+          await settleDeposit(t);
+        } else if (t.stripe_payment_intent_id) {
+          const release = await executePaymentOperation({
+            kind: 'cancel',
+            purpose: 'deposit_release',
+            idempotencyKey: `deposit_release:${t.id}`,
+            paymentIntentId: t.stripe_payment_intent_id,
+            transactionId: t.id,
+          });
+          if (release.status !== 'succeeded') {
+            logger.warn('Deposit release failed, queued for retry:', release.lastError);
           }
-        } catch (releaseErr) {
-          logger.warn('Deposit release failed (non-fatal):', releaseErr.message);
         }
 
-        await query(
-          `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
-          [t.id]
-        );
+        const handoff = await withTransaction(async (client) => {
+          await setTransactionActor(client, { userId: req.user.id });
+          await client.query(
+            `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
+            [t.id]
+          );
+          return recordHandoff(t, prepared, client);
+        });
 
         await sendNotification(t.borrower_id, 'deposit_released', {
           transactionId: t.id,
         });
 
-        return res.json({ success: true, depositReleased: true });
-      }
-
-      if (t.status !== 'picked_up' && t.status !== 'return_pending') {
-        return res.status(400).json({ error: 'Item not currently borrowed' });
+        return res.json({ success: true, depositReleased: true, verified: handoff.verified });
       }
 
-      // Check for condition degradation
+      // Check for condition degradation — per item for bundle borrows
       const conditionOrder = ['like_new', 'good', 'fair', 'worn'];
       const pickupIdx = conditionOrder.indexOf(t.condition_at_pickup);
       const returnIdx = conditionOrder.indexOf(condition);
 
-      if (returnIdx > pickupIdx) {
+      let degradedItems = [];
+      if (t.bundle_id) {
+        await recordItemConditions(t.id, 'return', itemConditions, condition);
+        degradedItems = await getDegradedItems(t.id);
+      }
+
+      if (returnIdx > pickupIdx || degradedItems.length > 0) {
         // Condition worse — flag for damage claim instead of auto-completing
-        await query(
-          `UPDATE borrow_transactions
-           SET condition_at_return = $1, condition_notes = $2
-           WHERE id = $3`,
-          [condition, notes, t.id]
-        );
+        const handoff = await withTransaction(async (client) => {
+          await client.query(
+            `UPDATE borrow_transactions
+             SET condition_at_return = $1, condition_notes = $2
+             WHERE id = $3`,
+            [condition, notes, t.id]
+          );
+          return recordHandoff(t, prepared, client);
+        });
+
+        refreshTransactionReputation(t.id);
 
         return res.json({
           success: true,
           conditionDegraded: true,
+          verified: handoff.verified,
+          degradedItems,
           message: 'Condition degraded. You can file a damage claim.',
         });
       }
@@ -494,7 +620,8 @@ router.post('/:id/return', authenticate,
       const isFreeRental = t.payment_status === 'none' && !t.stripe_payment_intent_id;
 
       // Clean return — process payout, release deposit only if lender confirms
-      await withTransaction(async (client) => {
+      const handoff = await withTransaction(async (client) => {
+        await setTransactionActor(client, { userId: req.user.id });
         await client.query(
           `UPDATE borrow_transactions
            SET status = $5, condition_at_return = $1,
@@ -505,78 +632,97 @@ router.post('/:id/return', authenticate,
            isFreeRental ? 'completed' : 'returned']
         );
 
-        // Transfer rental fee to lender (minus platform fee)
-        try {
-          const lenderResult = await client.query(
-            'SELECT stripe_connect_account_id FROM users WHERE id = $1',
-            [t.lender_id]
-          );
-          const lenderConnectId = lenderResult.rows[0]?.stripe_connect_account_id;
-
-          if (lenderConnectId) {
-            const payoutCents = Math.round(parseFloat(t.lender_payout) * 100);
-            if (payoutCents > 0) {
-              const transfer = await createTransfer({
-                amount: payoutCents,
-                destinationAccountId: lenderConnectId,
-                sourcePaymentIntentId: t.stripe_payment_intent_id,
-                metadata: { transactionId: t.id, type: 'rental_payout' },
-              });
-
-              await client.query(
-                'UPDATE borrow_transactions SET stripe_transfer_id = $1 WHERE id = $2',
-                [transfer.id, t.id]
-              );
-            }
-          } else {
-            logger.info(`Lender ${t.lender_id} has no Connect account, skipping payout transfer`);
-          }
-        } catch (transferErr) {
-          logger.error('Payout transfer failed:', transferErr.message);
+        // Mark listing available again and update stats
+        await client.query(
+          `UPDATE listings
+           SET is_available = true,
+               times_borrowed = times_borrowed + 1,
+               total_earnings = total_earnings + $1
+           WHERE id = $2`,
+          [parseFloat(t.lender_payout), t.listing_id]
+        );
+
+        if (t.bundle_id) {
+          // Release the rest of the bundle and count the borrow on the bundle itself
+          await setTransactionListingsAvailable(t.id, true, client);
           await client.query(
+            'UPDATE bundles SET times_borrowed = times_borrowed + 1 WHERE id = $1',
+            [t.bundle_id]
+          );
+        }
+
+        return recordHandoff(t, prepared, client);
+      });
+
+      // Money moves once the return is recorded — failures are queued in the payment
+      // ledger and retried with backoff, so nothing here rolls the return back
+
+      // Transfer rental fee to lender (minus platform fee)
+      const lenderResult = await query(
+        'SELECT stripe_connect_account_id FROM users WHERE id = $1',
+        [t.lender_id]
+      );
+      const lenderConnectId = lenderResult.rows[0]?.stripe_connect_account_id;
+      const payoutCents = Math.round(parseFloat(t.lender_payout) * 100);
+
+      if (!lenderConnectId) {
+        logger.info(`Lender ${t.lender_id} has no Connect account, skipping payout transfer`);
+      } else if (payoutCents > 0) {
+        const payout = await executePaymentOperation({
+          kind: 'transfer',
+          purpose: 'rental_payout',
+          idempotencyKey: `rental_payout:${t.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          amountCents: payoutCents,
+          destinationAccountId: lenderConnectId,
+          transactionId: t.id,
+          metadata: { transactionId: t.id, type: 'rental_payout' },
+        });
+
+        if (payout.status !== 'succeeded') {
+          logger.error('Payout transfer failed:', payout.lastError);
+          await query(
             `UPDATE borrow_transactions SET payment_status = 'transfer_failed' WHERE id = $1`,
             [t.id]
           );
           try {
             await sendNotification(t.lender_id, 'payment_failed', {
               transactionId: t.id,
-              body: `We couldn't process your payout for "${t.listing_title || 'a rental'}". Please check your payout settings or contact support.`,
+              body: `We couldn't process your payout for "${t.listing_title || 'a rental'}" yet. We'll keep retrying — check your payout settings or contact support if it doesn't arrive.`,
             });
           } catch (notifyErr) {
             logger.error('Failed to notify lender of transfer failure:', notifyErr.message);
           }
         }
+      }
 
-        // Refund deposit to borrower — only when lender confirms clean return
-        // If borrower reported return, deposit stays held for the 7-day dispute window
-        if (isLender) {
-          try {
-            const depositCents = Math.round(parseFloat(t.deposit_amount) * 100);
-            if (depositCents > 0 && t.stripe_payment_intent_id) {
-              await stripe.refunds.create({
-                payment_intent: t.stripe_payment_intent_id,
-                amount: depositCents,
-              });
-            }
-          } catch (refundErr) {
-            logger.warn('Deposit refund failed (non-fatal):', refundErr.message);
+      // Refund deposit to borrower — only when lender confirms clean return
+      // If borrower reported return, deposit stays held for the 7-day dispute window
+      if (isLender) {
+        // Long rentals keep the deposit on its own hold — release or refund that instead
+        const separateDeposit = await settleDeposit(t);
+        // Late fees already charged against the deposit stay with the lender
+        const depositCents = separateDeposit
+          ? 0
+          : Math.round(parseFloat(t.deposit_amount) * 100) - (t.late_fee_charged_cents || 0);
+        if (depositCents > 0 && t.stripe_payment_intent_id) {
+          const refund = await executePaymentOperation({
+            kind: 'refund',
+            purpose: 'deposit_refund',
+            idempotencyKey: `deposit_refund:${t.id}`,
+            paymentIntentId: t.stripe_payment_intent_id,
+            amountCents: depositCents,
+            transactionId: t.id,
+          });
+          if (refund.status !== 'succeeded') {
+            logger.warn('Deposit refund failed, queued for retry:', refund.lastError);
             sendNotification(t.borrower_id, 'payment_failed', {
               transactionId: t.id,
-              body: `We couldn't refund your deposit for "${t.listing_title || 'a rental'}". Please contact support for assistance.`,
+              body: `We couldn't refund your deposit for "${t.listing_title || 'a rental'}" yet. We'll keep retrying — contact support if it doesn't arrive.`,
             }).catch(() => {});
           }
         }
-
-        // Mark listing available again and update stats
-        await client.query(
-          `UPDATE listings
-           SET is_available = true,
-               times_borrowed = times_borrowed + 1,
-               total_earnings = total_earnings + $1
-           WHERE id = $2`,
-          [parseFloat(t.lender_payout), t.listing_id]
-        );
-      });
+      }
 
       // Notify the other party
       const notifyUserId = isLender ? t.borrower_id : t.lender_id;
@@ -584,8 +730,14 @@ router.post('/:id/return', authenticate,
         transactionId: t.id,
       });
 
-      res.json({ success: true, conditionDegraded: false });
+      refreshTransactionReputation(t.id);
+
+      res.json({ success: true, conditionDegraded: false, verified: handoff.verified });
     } catch (err) {
+      const routeErr = asTransitionError(err);
+      if (routeErr.status) {
+        return res.status(routeErr.status).json({ error: routeErr.message, code: routeErr.code });
+      }
       logger.error('Confirm return error:', err);
       res.status(500).json({ error: 'Failed to confirm return' });
     }
@@ -639,7 +791,8 @@ router.post('/:id/damage-claim', authenticate,
       }
 
       // Mark transaction as returned with damage noted
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions
          SET status = 'returned', actual_return_at = NOW(),
              damage_claim_amount_cents = $1, damage_claim_notes = $2,
@@ -663,7 +816,8 @@ router.post('/:id/damage-claim', authenticate,
       );
 
       // Update transaction to disputed status
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions SET status = 'disputed' WHERE id = $1`,
         [t.id]
       );
@@ -730,6 +884,13 @@ router.post('/:id/late-fee', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'No late fee configured for this listing' });
     }
 
+    // The scheduler is already taking the fee out of the deposit — don't bill it twice
+    // (long rentals hold the deposit apart, so their late fees are still billed here)
+    if (LATE_FEE_AUTO_CHARGE && t.payment_status === 'captured' && parseFloat(t.deposit_amount) > 0
+        && !await getActiveDepositHold(t.id)) {
+      return res.status(400).json({ error: 'Late fees for this rental are charged automatically from the deposit' });
+    }
+
     const lateFeeCents = Math.round(lateFeePerDay * daysOverdue * 100);
 
     if (lateFeeCents < 50) {
@@ -829,7 +990,9 @@ router.get('/:id/payment-status', authenticate, async (req, res) => {
       platformFee: parseFloat(t.platform_fee),
       lenderPayout: parseFloat(t.lender_payout),
       lateFeePerDay: parseFloat(t.late_fee_per_day) || 0,
-      lateFeeCharged: t.late_fee_amount_cents / 100,
+      lateFeeAccrued: (t.late_fee_amount_cents || 0) / 100,
+      lateFeeCharged: (t.late_fee_charged_cents || 0) / 100,
+      lateFeeCap: lateFeeCapCents(t) / 100,
       damageClaimAmount: t.damage_claim_amount_cents / 100,
       damageClaimNotes: t.damage_claim_notes,
       damageEvidenceUrls: t.damage_evidence_urls,
@@ -837,6 +1000,7 @@ router.get('/:id/payment-status', authenticate, async (req, res) => {
       daysOverdue,
       isBorrower: t.borrower_id === req.user.id,
       isLender: t.lender_id === req.user.id,
+      overdueEvents: await getOverdueEvents(t.id),
     };
 
     // Get live PI status if available
@@ -0,0 +1,371 @@
+import { Router } from 'express';
+import { query, withTransaction } from '../utils/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { sendNotification } from '../services/notifications.js';
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  getReportTarget,
+  getOrganizedCommunityIds,
+  canReviewReport,
+  hideReportTarget,
+} from '../services/moderation.js';
+import { recordAudit } from '../services/audit.js';
+
+const router = Router();
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  scam: 'Scam or fraud',
+  inappropriate: 'Inappropriate content',
+  prohibited_item: 'Prohibited item',
+  other: 'Other',
+};
+
+function formatReport(r) {
+  return {
+    id: r.id,
+    targetType: r.target_type,
+    targetId: r.target_id,
+    reason: r.reason,
+    reasonLabel: REASON_LABELS[r.reason] || r.reason,
+    details: r.details,
+    evidenceUrls: r.evidence_urls || [],
+    status: r.status,
+    action: r.action,
+    resolutionNotes: r.resolution_notes,
+    reviewedAt: r.reviewed_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ============================================
+// POST /api/reports
+// Report a listing, discussion post, message or user
+// ============================================
+router.post('/', authenticate,
+  body('targetType').isIn(REPORT_TARGET_TYPES),
+  body('targetId').isUUID(),
+  body('reason').isIn(REPORT_REASONS),
+  body('details').optional().isLength({ max: 2000 }),
+  body('evidenceUrls').optional().isArray({ max: 4 }),
+  body('evidenceUrls.*').optional().isURL(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetType, targetId, reason, details, evidenceUrls = [] } = req.body;
+
+    if (reason === 'other' && (!details || details.trim().length < 10)) {
+      return res.status(400).json({ error: 'Please describe the problem (at least 10 characters)' });
+    }
+
+    try {
+      const target = await getReportTarget(targetType, targetId);
+      if (!target) {
+        return res.status(404).json({ error: 'The content you reported no longer exists' });
+      }
+
+      if (target.reportedUserId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot report yourself' });
+      }
+
+      // Only people in the conversation have seen a message
+      if (targetType === 'message' && !target.participantIds.includes(req.user.id)) {
+        return res.status(403).json({ error: 'Not authorized to report this message' });
+      }
+
+      let result;
+      try {
+        result = await query(
+          `INSERT INTO reports (
+            reporter_id, target_type, target_id, reported_user_id, community_id,
+            reason, details, evidence_urls
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *`,
+          [req.user.id, targetType, targetId, target.reportedUserId, target.communityId,
+           reason, details || null, evidenceUrls]
+        );
+      } catch (insertErr) {
+        // Partial unique index — one open report per person per piece of content
+        if (insertErr.code === '23505') {
+          return res.status(409).json({ error: 'You have already reported this' });
+        }
+        throw insertErr;
+      }
+
+      res.status(201).json(formatReport(result.rows[0]));
+    } catch (err) {
+      console.error('Create report error:', err);
+      res.status(500).json({ error: 'Failed to submit report' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/reports/mine
+// Reports the current user has filed, with their outcome
+// ============================================
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM reports WHERE reporter_id = $1 ORDER BY created_at DESC LIMIT 100`,
+      [req.user.id]
+    );
+
+    res.json(result.rows.map(formatReport));
+  } catch (err) {
+    console.error('Get my reports error:', err);
+    res.status(500).json({ error: 'Failed to get reports' });
+  }
+});
+
+// ============================================
+// GET /api/reports
+// Review queue (admins see all, organizers see their communities)
+// Reports about the same content are grouped into one entry
+// ============================================
+router.get('/', authenticate, async (req, res) => {
+  const { status = 'open', targetType } = req.query;
+
+  try {
+    const whereConditions = ['r.status = $1'];
+    const params = [status];
+    let paramIndex = 2;
+
+    if (!req.user.is_admin) {
+      const organizedCommunityIds = await getOrganizedCommunityIds(req.user.id);
+      if (organizedCommunityIds.length === 0) {
+        return res.status(403).json({ error: 'Only organizers and admins can review reports' });
+      }
+
+      whereConditions.push(`(
+        r.community_id = ANY($${paramIndex}) OR EXISTS (
+          SELECT 1 FROM community_memberships cm
+          WHERE cm.user_id = r.reported_user_id AND cm.community_id = ANY($${paramIndex})
+            AND cm.status = 'active'
+        )
+      )`);
+      params.push(organizedCommunityIds);
+      paramIndex++;
+    }
+
+    if (targetType) {
+      whereConditions.push(`r.target_type = $${paramIndex++}`);
+      params.push(targetType);
+    }
+
+    const result = await query(
+      `SELECT DISTINCT ON (r.target_type, r.target_id) r.*,
+              COUNT(*) OVER (PARTITION BY r.target_type, r.target_id) as report_count,
+              u.id as reported_id, u.first_name as reported_first_name,
+              u.display_name as reported_display_name, u.profile_photo_url as reported_photo,
+              u.status as reported_status
+       FROM reports r
+       LEFT JOIN users u ON r.reported_user_id = u.id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY r.target_type, r.target_id, r.created_at`,
+      params
+    );
+
+    // Oldest first, so nothing sits at the bottom of the queue forever
+    const rows = result.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const queue = [];
+    for (const r of rows.slice(0, 100)) {
+      const target = await getReportTarget(r.target_type, r.target_id);
+      queue.push({
+        ...formatReport(r),
+        reportCount: parseInt(r.report_count),
+        preview: target?.preview || null,
+        isHidden: target?.isHidden || false,
+        reportedUser: r.reported_id ? {
+          id: r.reported_id,
+          firstName: r.reported_display_name || r.reported_first_name,
+          profilePhotoUrl: r.reported_photo,
+          isSuspended: r.reported_status === 'suspended',
+        } : null,
+      });
+    }
+
+    res.json(queue);
+  } catch (err) {
+    console.error('Get report queue error:', err);
+    res.status(500).json({ error: 'Failed to get reports' });
+  }
+});
+
+// ============================================
+// GET /api/reports/:id
+// Report detail for reviewers — every report filed about the same content
+// ============================================
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM reports WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = result.rows[0];
+
+    if (report.reporter_id !== req.user.id && !(await canReviewReport(req.user, report))) {
+      return res.status(403).json({ error: 'Not authorized to view this report' });
+    }
+
+    // The reporter only sees their own report and its outcome
+    if (report.reporter_id === req.user.id && !(await canReviewReport(req.user, report))) {
+      return res.json(formatReport(report));
+    }
+
+    const related = await query(
+      `SELECT r.*, u.first_name, u.display_name
+       FROM reports r
+       JOIN users u ON r.reporter_id = u.id
+       WHERE r.target_type = $1 AND r.target_id = $2
+       ORDER BY r.created_at`,
+      [report.target_type, report.target_id]
+    );
+
+    const target = await getReportTarget(report.target_type, report.target_id);
+
+    const priorActions = await query(
+      `SELECT COUNT(*) FROM reports
+       WHERE reported_user_id = $1 AND status = 'actioned'
+         AND NOT (target_type = $2 AND target_id = $3)`,
+      [report.reported_user_id, report.target_type, report.target_id]
+    );
+
+    res.json({
+      ...formatReport(report),
+      preview: target?.preview || null,
+      isHidden: target?.isHidden || false,
+      reportedUserId: report.reported_user_id,
+      priorActionCount: parseInt(priorActions.rows[0].count),
+      reports: related.rows.map(r => ({
+        ...formatReport(r),
+        reporter: { id: r.reporter_id, firstName: r.display_name || r.first_name },
+      })),
+      canSuspend: !!req.user.is_admin,
+    });
+  } catch (err) {
+    console.error('Get report error:', err);
+    res.status(500).json({ error: 'Failed to get report' });
+  }
+});
+
+// ============================================
+// POST /api/reports/:id/resolve
+// Reviewer acts on a report: hide the content, warn the author, suspend the account
+// (admins only), or dismiss. Closes every open report about the same content.
+// ============================================
+router.post('/:id/resolve', authenticate,
+  body('action').isIn(MODERATION_ACTIONS),
+  body('notes').optional().isLength({ max: 2000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, notes } = req.body;
+
+    try {
+      const result = await query('SELECT * FROM reports WHERE id = $1', [req.params.id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      const report = result.rows[0];
+
+      if (!(await canReviewReport(req.user, report))) {
+        return res.status(403).json({ error: 'Only organizers and admins can review reports' });
+      }
+
+      if (report.status !== 'open') {
+        return res.status(400).json({ error: 'This report has already been reviewed' });
+      }
+
+      if (action === 'suspend' && !req.user.is_admin) {
+        return res.status(403).json({ error: 'Only admins can suspend accounts' });
+      }
+
+      if (action === 'hide' && report.target_type === 'user') {
+        return res.status(400).json({ error: 'Profiles cannot be hidden — warn or suspend the user instead' });
+      }
+
+      if (report.reported_user_id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot review a report about yourself' });
+      }
+
+      const target = await getReportTarget(report.target_type, report.target_id);
+
+      const resolved = await withTransaction(async (client) => {
+        if (action === 'hide' && target && !target.isHidden) {
+          await hideReportTarget(report.target_type, report.target_id, req.user.id, client);
+        }
+
+        if (action === 'suspend') {
+          await client.query(
+            `UPDATE users SET status = 'suspended' WHERE id = $1`,
+            [report.reported_user_id]
+          );
+        }
+
+        const closed = await client.query(
+          `UPDATE reports
+           SET status = $1, action = $2, resolution_notes = $3, reviewed_by = $4, reviewed_at = NOW()
+           WHERE target_type = $5 AND target_id = $6 AND status = 'open'
+           RETURNING reporter_id`,
+          [action === 'dismiss' ? 'dismissed' : 'actioned', action === 'dismiss' ? null : action,
+           notes || null, req.user.id, report.target_type, report.target_id]
+        );
+
+        await recordAudit({
+          actorId: req.user.id,
+          action: `report.${action}`,
+          entityType: report.target_type,
+          entityId: report.target_id,
+          newValues: { reportId: report.id, reportsClosed: closed.rows.length, notes: notes || null },
+          req,
+        }, client);
+
+        return closed.rows;
+      });
+
+      // Tell the author what happened to their content (a suspended account can't sign in to see it)
+      if (action === 'hide') {
+        await sendNotification(report.reported_user_id, 'content_removed', {
+          targetType: report.target_type,
+          reasonLabel: REASON_LABELS[report.reason],
+          listingId: report.target_type === 'listing' ? report.target_id : undefined,
+        });
+      } else if (action === 'warn') {
+        await sendNotification(report.reported_user_id, 'moderation_warning', {
+          reasonLabel: REASON_LABELS[report.reason],
+          body: notes,
+        });
+      }
+
+      for (const r of resolved) {
+        await sendNotification(r.reporter_id, 'report_resolved', {
+          actioned: action !== 'dismiss',
+          targetType: report.target_type,
+        });
+      }
+
+      res.json({ success: true, status: action === 'dismiss' ? 'dismissed' : 'actioned', reportsClosed: resolved.length });
+    } catch (err) {
+      console.error('Resolve report error:', err);
+      res.status(500).json({ error: 'Failed to resolve report' });
+    }
+  }
+);
+
+export default router;
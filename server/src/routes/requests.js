@@ -2,7 +2,9 @@ import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate, requireVerified, ENABLE_PAID_TIERS } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
-import { sendNotification, sendBulkNotification } from '../services/notifications.js';
+import { queueNewRequestNotifications } from '../services/requestNotifications.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from '../services/geofence.js';
+import { prepareSearch, textMatchSql } from '../services/search.js';
 
 const router = Router();
 
@@ -46,9 +48,17 @@ router.get('/', authenticate, async (req, res) => {
     }
 
     // Search
-    if (search) {
-      whereConditions.push(`to_tsvector('english', r.title || ' ' || COALESCE(r.description, '')) @@ plainto_tsquery($${paramIndex++})`);
-      params.push(search);
+    let searchRank = null;
+    if (search && search.trim()) {
+      const text = textMatchSql(await prepareSearch(search), {
+        alias: 'r',
+        param: (value) => {
+          params.push(value);
+          return `$${paramIndex++}`;
+        },
+      });
+      whereConditions.push(text.match);
+      searchRank = text.rank;
     }
 
     // Don't show user's own requests in browse
@@ -64,7 +74,7 @@ router.get('/', authenticate, async (req, res) => {
        JOIN users u ON r.user_id = u.id
        LEFT JOIN categories c ON r.category_id = c.id
        WHERE ${whereConditions.join(' AND ')}
-       ORDER BY r.created_at DESC
+       ORDER BY ${searchRank ? `${searchRank} DESC, ` : ''}r.created_at DESC
        LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
       params
     );
@@ -162,32 +172,43 @@ router.get('/suggestions', authenticate, async (req, res) => {
     );
     const friendIds = friendsResult.rows.map(f => f.friend_id);
 
-    // Search listings matching any keyword in title or description
-    const likeClauses = words.map((_, i) => `(l.title ILIKE $${i + 1} OR l.description ILIKE $${i + 1})`);
-    const likeParams = words.map(w => `%${w}%`);
-
-    let paramIndex = likeParams.length + 1;
+    let paramIndex = 1;
 
     // Build visibility filter (same rules as feed)
     let visibilityClause;
     const visibilityParams = [];
+    // The viewer's id follows the two visibility params
+    const neighborhoodMatch = neighborhoodMatchSql(await hasBoundarySupport(), {
+      viewerParam: `$${paramIndex + 2}`,
+      cityParam: `$${paramIndex}`,
+    });
     if (canAccessTown) {
       visibilityClause = `(
         ('town' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex} AND u.city IS NOT NULL) OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex} AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex + 1}))
       )`;
       visibilityParams.push(userCity, friendIds.length > 0 ? friendIds : [null]);
       paramIndex += 2;
     } else {
       visibilityClause = `(
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND u.city = $${paramIndex} AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex + 1}))
       )`;
       visibilityParams.push(userCity || '', friendIds.length > 0 ? friendIds : [null]);
       paramIndex += 2;
     }
 
+    // Listings matching any of the words, synonyms included, best matches first
+    const params = [...visibilityParams, req.user.id];
+    const text = textMatchSql(await prepareSearch(words, { correct: false }), {
+      alias: 'l',
+      param: (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      },
+    });
+
     const suggestions = await query(
       `SELECT
         l.id,
@@ -208,11 +229,11 @@ router.get('/suggestions', authenticate, async (req, res) => {
       JOIN users u ON l.owner_id = u.id
       WHERE l.status = 'active'
         AND l.owner_id != $${paramIndex}
-        AND (${likeClauses.join(' OR ')})
+        AND ${text.match}
         AND ${visibilityClause}
-      ORDER BY l.is_available DESC, l.created_at DESC
+      ORDER BY l.is_available DESC, ${text.rank} DESC, l.created_at DESC
       LIMIT 10`,
-      [...likeParams, ...visibilityParams, req.user.id]
+      params
     );
 
     res.json({
@@ -404,66 +425,15 @@ router.post('/', authenticate,
       }
 
       const requestId = result.rows[0].id;
-      res.status(201).json({ id: requestId });
 
-      // Fire-and-forget: notify relevant users about the new request
-      (async () => {
-        try {
-          // Get the creator's name
-          const creator = await query('SELECT first_name, display_name FROM users WHERE id = $1', [req.user.id]);
-          const firstName = creator.rows[0]?.display_name || creator.rows[0]?.first_name || 'Someone';
-
-          let recipientIds = [];
-
-          const visParts = visibility.split(',');
-          if (visParts.length > 0) {
-            // For close_friends: notify user's accepted friends
-            if (visParts.includes('close_friends')) {
-              const friends = await query(
-                `SELECT CASE WHEN user_id = $1 THEN friend_id ELSE user_id END as uid
-                 FROM friendships WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
-                [req.user.id]
-              );
-              recipientIds = friends.rows.map(f => f.uid);
-            }
-
-            // For neighborhood: notify community members
-            if (visParts.includes('neighborhood') && communityId) {
-              const members = await query(
-                'SELECT user_id FROM community_memberships WHERE community_id = $1 AND user_id != $2',
-                [communityId, req.user.id]
-              );
-              recipientIds = members.rows.map(m => m.user_id);
-            }
-
-            // For town: notify all users in the same city/state
-            if (visParts.includes('town')) {
-              const userLocation = await query(
-                'SELECT city, state FROM users WHERE id = $1',
-                [req.user.id]
-              );
-              if (userLocation.rows[0]?.city) {
-                const townUsers = await query(
-                  'SELECT id FROM users WHERE city = $1 AND state = $2 AND id != $3',
-                  [userLocation.rows[0].city, userLocation.rows[0].state, req.user.id]
-                );
-                recipientIds = townUsers.rows.map(u => u.id);
-              }
-            }
-          }
+      // Friends, the community or the whole town hear about it from the job queue
+      try {
+        await queueNewRequestNotifications(requestId);
+      } catch (notifErr) {
+        console.error('Request notification error:', notifErr);
+      }
 
-          if (recipientIds.length > 0) {
-            await sendBulkNotification(
-              recipientIds,
-              'new_request',
-              { firstName, title, requestId },
-              { fromUserId: req.user.id, requestId }
-            );
-          }
-        } catch (notifErr) {
-          console.error('Request notification error:', notifErr);
-        }
-      })();
+      res.status(201).json({ id: requestId });
     } catch (err) {
       console.error('Create request error:', err);
       res.status(500).json({ error: 'Failed to create request' });
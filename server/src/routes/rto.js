@@ -0,0 +1,494 @@
+import { Router } from 'express';
+import { query, withTransaction } from '../utils/db.js';
+import { authenticate, requireFeature } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { sendNotification } from '../services/notifications.js';
+import {
+  buildPaymentSchedule,
+  createPaymentSchedule,
+  chargeInstallment,
+} from '../services/rto.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+function formatPayment(p) {
+  return {
+    id: p.id,
+    paymentNumber: p.payment_number,
+    totalAmount: parseFloat(p.total_amount),
+    equityPortion: parseFloat(p.equity_portion),
+    rentalPortion: parseFloat(p.rental_portion),
+    platformFee: parseFloat(p.platform_fee),
+    lenderPayout: parseFloat(p.lender_payout),
+    dueDate: p.due_date,
+    paidAt: p.paid_at,
+    status: p.status,
+    failureReason: p.failure_reason,
+    retryCount: p.retry_count,
+  };
+}
+
+function formatContract(c, userId) {
+  return {
+    id: c.id,
+    status: c.status,
+    listing: {
+      id: c.listing_id,
+      title: c.listing_title,
+      photoUrl: c.photo_url,
+    },
+    borrower: {
+      id: c.borrower_id,
+      firstName: c.borrower_first_name,
+      profilePhotoUrl: c.borrower_photo,
+    },
+    lender: {
+      id: c.lender_id,
+      firstName: c.lender_first_name,
+      profilePhotoUrl: c.lender_photo,
+    },
+    purchasePrice: parseFloat(c.purchase_price),
+    totalPayments: c.total_payments,
+    paymentAmount: parseFloat(c.payment_amount),
+    rentalCreditPercent: parseFloat(c.rental_credit_percent),
+    paymentFrequency: c.payment_frequency,
+    firstPaymentDate: c.first_payment_date,
+    nextPaymentDate: c.next_payment_date,
+    paymentsCompleted: c.payments_completed,
+    equityAccumulated: parseFloat(c.equity_accumulated),
+    rentalPaid: parseFloat(c.rental_paid),
+    approvedAt: c.approved_at,
+    completedAt: c.completed_at,
+    cancelledAt: c.cancelled_at,
+    cancellationReason: c.cancellation_reason,
+    isBorrower: c.borrower_id === userId,
+    isLender: c.lender_id === userId,
+    createdAt: c.created_at,
+  };
+}
+
+const CONTRACT_SELECT = `
+  SELECT c.*, l.title as listing_title,
+         (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url,
+         COALESCE(b.display_name, b.first_name) as borrower_first_name, b.profile_photo_url as borrower_photo,
+         COALESCE(lnd.display_name, lnd.first_name) as lender_first_name, lnd.profile_photo_url as lender_photo
+  FROM rto_contracts c
+  JOIN listings l ON c.listing_id = l.id
+  JOIN users b ON c.borrower_id = b.id
+  JOIN users lnd ON c.lender_id = lnd.id`;
+
+// ============================================
+// GET /api/rto
+// Get the user's rent-to-own contracts
+// ============================================
+router.get('/', authenticate, async (req, res) => {
+  const { role, status } = req.query; // role: 'borrower' or 'lender'
+
+  try {
+    let whereClause;
+    const params = [req.user.id];
+
+    if (role === 'borrower') {
+      whereClause = 'c.borrower_id = $1';
+    } else if (role === 'lender') {
+      whereClause = 'c.lender_id = $1';
+    } else {
+      whereClause = '(c.borrower_id = $1 OR c.lender_id = $1)';
+    }
+
+    if (status && status !== 'all') {
+      params.push(status);
+      whereClause += ` AND c.status::text = $${params.length}`;
+    }
+
+    const result = await query(
+      `${CONTRACT_SELECT}
+       WHERE ${whereClause}
+       ORDER BY c.created_at DESC`,
+      params
+    );
+
+    res.json(result.rows.map(c => formatContract(c, req.user.id)));
+  } catch (err) {
+    logger.error('Get RTO contracts error:', err);
+    res.status(500).json({ error: 'Failed to get contracts' });
+  }
+});
+
+// ============================================
+// GET /api/rto/quote
+// Preview the payment schedule for an RTO listing
+// ============================================
+router.get('/quote', authenticate, async (req, res) => {
+  const { listingId } = req.query;
+  const totalPayments = parseInt(req.query.totalPayments);
+
+  if (!listingId || !totalPayments || totalPayments < 1) {
+    return res.status(400).json({ error: 'listingId and totalPayments are required' });
+  }
+
+  try {
+    const listing = await query(
+      `SELECT rto_available, rto_purchase_price, rto_min_payments, rto_max_payments, rto_rental_credit_percent
+       FROM listings WHERE id = $1 AND status = 'active'`,
+      [listingId]
+    );
+
+    if (listing.rows.length === 0 || !listing.rows[0].rto_available) {
+      return res.status(404).json({ error: 'Listing is not available for rent-to-own' });
+    }
+
+    const l = listing.rows[0];
+    const schedule = buildPaymentSchedule({
+      purchasePrice: l.rto_purchase_price,
+      rentalCreditPercent: l.rto_rental_credit_percent,
+      totalPayments,
+    });
+
+    res.json({
+      purchasePrice: parseFloat(l.rto_purchase_price),
+      rentalCreditPercent: parseFloat(l.rto_rental_credit_percent),
+      minPayments: l.rto_min_payments,
+      maxPayments: l.rto_max_payments,
+      totalPayments,
+      paymentAmount: schedule.paymentAmount,
+      totalCost: schedule.installments.reduce((sum, i) => sum + i.totalAmount, 0),
+    });
+  } catch (err) {
+    logger.error('RTO quote error:', err);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
+// ============================================
+// GET /api/rto/:id
+// Get contract details with its payment schedule
+// ============================================
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `${CONTRACT_SELECT}
+       WHERE c.id = $1 AND (c.borrower_id = $2 OR c.lender_id = $2)`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const payments = await query(
+      'SELECT * FROM rto_payments WHERE contract_id = $1 ORDER BY payment_number',
+      [req.params.id]
+    );
+
+    res.json({
+      ...formatContract(result.rows[0], req.user.id),
+      payments: payments.rows.map(formatPayment),
+    });
+  } catch (err) {
+    logger.error('Get RTO contract error:', err);
+    res.status(500).json({ error: 'Failed to get contract' });
+  }
+});
+
+// ============================================
+// POST /api/rto
+// Borrower proposes a rent-to-own contract on an RTO listing
+// ============================================
+router.post('/', authenticate, requireFeature('rto'),
+  body('listingId').isUUID(),
+  body('totalPayments').isInt({ min: 1, max: 120 }),
+  body('paymentFrequency').optional().isIn(['weekly', 'biweekly', 'monthly']),
+  body('firstPaymentDate').optional().isISO8601(),
+  body('termsAccepted').equals('true').withMessage('You must accept the rent-to-own terms'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { listingId, totalPayments, paymentFrequency = 'monthly', firstPaymentDate } = req.body;
+
+    try {
+      const listing = await query(
+        `SELECT * FROM listings WHERE id = $1 AND status = 'active'`,
+        [listingId]
+      );
+
+      if (listing.rows.length === 0) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+
+      const l = listing.rows[0];
+
+      if (!l.rto_available || !parseFloat(l.rto_purchase_price)) {
+        return res.status(400).json({ error: 'This item is not offered as rent-to-own' });
+      }
+
+      if (l.owner_id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot rent-to-own your own item' });
+      }
+
+      if (!l.is_available) {
+        return res.status(400).json({ error: 'Item not available' });
+      }
+
+      if ((l.rto_min_payments && totalPayments < l.rto_min_payments) ||
+          (l.rto_max_payments && totalPayments > l.rto_max_payments)) {
+        return res.status(400).json({
+          error: `Number of payments must be between ${l.rto_min_payments || 1} and ${l.rto_max_payments || totalPayments}`,
+        });
+      }
+
+      const firstDate = firstPaymentDate ? new Date(firstPaymentDate) : new Date();
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (firstDate < today) {
+        return res.status(400).json({ error: 'First payment date cannot be in the past' });
+      }
+
+      const borrower = await query(
+        'SELECT stripe_customer_id, first_name, display_name FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      if (!borrower.rows[0]?.stripe_customer_id) {
+        return res.status(400).json({
+          error: 'Add a payment method before starting a rent-to-own contract',
+          code: 'PAYMENT_METHOD_REQUIRED',
+        });
+      }
+
+      const existing = await query(
+        `SELECT id FROM rto_contracts
+         WHERE listing_id = $1 AND borrower_id = $2 AND status IN ('pending', 'active')`,
+        [listingId, req.user.id]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'You already have a contract for this item', contractId: existing.rows[0].id });
+      }
+
+      const { paymentAmount } = buildPaymentSchedule({
+        purchasePrice: l.rto_purchase_price,
+        rentalCreditPercent: l.rto_rental_credit_percent,
+        totalPayments,
+      });
+
+      const result = await query(
+        `INSERT INTO rto_contracts (
+          listing_id, borrower_id, lender_id, purchase_price, total_payments, payment_amount,
+          rental_credit_percent, payment_frequency, first_payment_date, next_payment_date, terms_accepted_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, NOW())
+        RETURNING id`,
+        [
+          listingId, req.user.id, l.owner_id, l.rto_purchase_price, totalPayments, paymentAmount,
+          l.rto_rental_credit_percent, paymentFrequency, firstDate.toISOString().slice(0, 10),
+        ]
+      );
+
+      await sendNotification(l.owner_id, 'rto_request', {
+        borrowerName: borrower.rows[0].display_name || borrower.rows[0].first_name,
+        itemTitle: l.title,
+        listingId,
+        fromUserId: req.user.id,
+      });
+
+      res.status(201).json({ id: result.rows[0].id, paymentAmount });
+    } catch (err) {
+      logger.error('Create RTO contract error:', err);
+      res.status(500).json({ error: 'Failed to create contract' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/rto/:id/approve
+// Lender approves — generates the payment schedule and takes the item off the shelf
+// ============================================
+router.post('/:id/approve', authenticate, async (req, res) => {
+  try {
+    const contract = await query(
+      `SELECT c.*, l.title as item_title
+       FROM rto_contracts c
+       JOIN listings l ON c.listing_id = l.id
+       WHERE c.id = $1 AND c.lender_id = $2 AND c.status = 'pending'`,
+      [req.params.id, req.user.id]
+    );
+
+    if (contract.rows.length === 0) {
+      return res.status(404).json({ error: 'Contract not found or not pending' });
+    }
+
+    const c = contract.rows[0];
+
+    const approved = await withTransaction(async (client) => {
+      // Atomically reserve the item so it can't be borrowed or sold twice. Approved
+      // bookings hold future dates without taking the item, so check those too.
+      const lock = await client.query(
+        `UPDATE listings SET is_available = false
+         WHERE id = $1 AND is_available = true AND status = 'active'
+           AND NOT EXISTS (
+             SELECT 1 FROM listing_reservations lr
+             JOIN borrow_transactions bt ON lr.transaction_id = bt.id
+             WHERE lr.listing_id = listings.id AND lr.released_at IS NULL
+               AND bt.status IN ('approved', 'paid', 'picked_up', 'return_pending', 'disputed')
+           )
+         RETURNING id`,
+        [c.listing_id]
+      );
+      if (lock.rows.length === 0) return false;
+
+      await client.query(
+        `UPDATE rto_contracts SET status = 'active', approved_at = NOW(), next_payment_date = first_payment_date
+         WHERE id = $1`,
+        [c.id]
+      );
+      await createPaymentSchedule(client, c);
+
+      // Other pending proposals for this item can no longer be honored
+      await client.query(
+        `UPDATE rto_contracts
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'Item committed to another contract'
+         WHERE listing_id = $1 AND id != $2 AND status = 'pending'`,
+        [c.listing_id, c.id]
+      );
+      return true;
+    });
+
+    if (!approved) {
+      return res.status(400).json({ error: 'Item is currently unavailable' });
+    }
+
+    await sendNotification(c.borrower_id, 'rto_approved', {
+      itemTitle: c.item_title,
+      listingId: c.listing_id,
+    });
+
+    // First installment due today — charge it now rather than waiting for the scheduler
+    const firstPayment = await query(
+      `SELECT id FROM rto_payments
+       WHERE contract_id = $1 AND payment_number = 1 AND due_date <= CURRENT_DATE`,
+      [c.id]
+    );
+    let firstPaymentStatus = null;
+    if (firstPayment.rows.length > 0) {
+      firstPaymentStatus = await chargeInstallment(firstPayment.rows[0].id);
+    }
+
+    res.json({ success: true, firstPaymentStatus });
+  } catch (err) {
+    logger.error('Approve RTO contract error:', err);
+    res.status(500).json({ error: 'Failed to approve contract' });
+  }
+});
+
+// ============================================
+// POST /api/rto/:id/decline
+// Lender declines a pending proposal
+// ============================================
+router.post('/:id/decline', authenticate,
+  body('reason').optional().isLength({ max: 500 }),
+  async (req, res) => {
+    try {
+      const result = await query(
+        `UPDATE rto_contracts
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $1
+         WHERE id = $2 AND lender_id = $3 AND status = 'pending'
+         RETURNING borrower_id, listing_id`,
+        [req.body.reason || 'Declined by lender', req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Contract not found or not pending' });
+      }
+
+      const c = result.rows[0];
+      const listing = await query('SELECT title FROM listings WHERE id = $1', [c.listing_id]);
+
+      await sendNotification(c.borrower_id, 'rto_declined', {
+        itemTitle: listing.rows[0]?.title,
+        listingId: c.listing_id,
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      logger.error('Decline RTO contract error:', err);
+      res.status(500).json({ error: 'Failed to decline contract' });
+    }
+  }
+);
+
+// ============================================
+// POST /api/rto/:id/cancel
+// Borrower withdraws a proposal before the lender responds
+// ============================================
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE rto_contracts
+       SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'Withdrawn by borrower'
+       WHERE id = $1 AND borrower_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contract not found or cannot be cancelled' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Cancel RTO contract error:', err);
+    res.status(500).json({ error: 'Failed to cancel contract' });
+  }
+});
+
+// ============================================
+// POST /api/rto/:id/payments/:paymentId/pay
+// Borrower pays a due or failed installment now
+// ============================================
+router.post('/:id/payments/:paymentId/pay', authenticate, async (req, res) => {
+  try {
+    const payment = await query(
+      `SELECT p.id, p.status, p.due_date
+       FROM rto_payments p
+       JOIN rto_contracts c ON p.contract_id = c.id
+       WHERE p.id = $1 AND c.id = $2 AND c.borrower_id = $3 AND c.status = 'active'`,
+      [req.params.paymentId, req.params.id, req.user.id]
+    );
+
+    if (payment.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const p = payment.rows[0];
+
+    if (!['pending', 'failed'].includes(p.status)) {
+      return res.status(400).json({ error: `Payment is already ${p.status}` });
+    }
+
+    // Installments must be paid in order
+    const earlierUnpaid = await query(
+      `SELECT 1 FROM rto_payments
+       WHERE contract_id = $1 AND status != 'completed'
+         AND payment_number < (SELECT payment_number FROM rto_payments WHERE id = $2)`,
+      [req.params.id, p.id]
+    );
+    if (earlierUnpaid.rows.length > 0) {
+      return res.status(400).json({ error: 'Earlier payments must be made first' });
+    }
+
+    const status = await chargeInstallment(p.id, { manual: true });
+
+    if (status === 'failed') {
+      return res.status(402).json({ error: 'Payment failed. Please update your payment method and try again.', status });
+    }
+
+    res.json({ success: true, status });
+  } catch (err) {
+    logger.error('Pay RTO installment error:', err);
+    res.status(500).json({ error: 'Failed to process payment' });
+  }
+});
+
+export default router;
@@ -1,9 +1,35 @@
 import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from '../services/geofence.js';
+import {
+  SAVED_SEARCH_VISIBILITIES,
+  ALERT_FREQUENCIES,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchListings,
+} from '../services/savedSearches.js';
 
 const router = Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shared by create and update; null clears a filter
+const savedSearchValidation = [
+  body('name').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('query').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('categoryId').optional({ nullable: true }).isUUID(),
+  body('maxPrice').optional({ nullable: true }).isFloat({ min: 0, max: 10000 }).toFloat(),
+  body('listingType').optional({ nullable: true }).isIn(['lend', 'giveaway']),
+  body('radiusMiles').optional({ nullable: true }).isFloat({ min: 0.5, max: 50 }).toFloat(),
+  body('visibility').optional().isArray({ min: 1 }),
+  body('visibility.*').isIn(SAVED_SEARCH_VISIBILITIES),
+  body('alertFrequency').optional().isIn(ALERT_FREQUENCIES),
+];
+
 // ============================================
 // GET /api/saved
 // Get user's saved listings
@@ -30,12 +56,16 @@ router.get('/', authenticate, async (req, res) => {
     let visibilityClause;
     const params = [req.user.id];
     let paramIndex = 2;
+    const neighborhoodMatch = neighborhoodMatchSql(await hasBoundarySupport(), {
+      viewerParam: '$1',
+      cityParam: `$${paramIndex + 1}`,
+    });
 
     if (canAccessTown) {
       visibilityClause = `(
         l.owner_id = $1 OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex})) OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${paramIndex + 1}) AND u.city IS NOT NULL) OR
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch}) OR
         ('town' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${paramIndex + 1}) AND u.city IS NOT NULL)
       )`;
       params.push(friendIds.length > 0 ? friendIds : [null], userCity);
@@ -44,7 +74,7 @@ router.get('/', authenticate, async (req, res) => {
       visibilityClause = `(
         l.owner_id = $1 OR
         ('close_friends' = ANY(string_to_array(l.visibility::text, ',')) AND l.owner_id = ANY($${paramIndex})) OR
-        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND LOWER(u.city) = LOWER($${paramIndex + 1}) AND u.city IS NOT NULL)
+        ('neighborhood' = ANY(string_to_array(l.visibility::text, ',')) AND ${neighborhoodMatch})
       )`;
       params.push(friendIds.length > 0 ? friendIds : [null], userCity || '');
       paramIndex += 2;
@@ -105,6 +135,102 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/saved/searches
+// Get user's saved searches with match counts
+// ============================================
+router.get('/searches', authenticate, async (req, res) => {
+  try {
+    const searches = await listSavedSearches(req.user.id);
+    res.json(searches);
+  } catch (err) {
+    console.error('Get saved searches error:', err);
+    res.status(500).json({ error: 'Failed to get saved searches' });
+  }
+});
+
+// ============================================
+// POST /api/saved/searches
+// Save a search. Listings it already matches are counted but don't alert.
+// ============================================
+router.post('/searches', authenticate, ...savedSearchValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const search = await createSavedSearch(req.user.id, req.body);
+    res.status(201).json(search);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Create saved search error:', err);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// ============================================
+// PATCH /api/saved/searches/:id
+// Update a saved search's filters, name or alert frequency
+// ============================================
+router.patch('/searches/:id', authenticate, ...savedSearchValidation, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const search = await updateSavedSearch(req.user.id, req.params.id, req.body);
+    res.json(search);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Update saved search error:', err);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// ============================================
+// DELETE /api/saved/searches/:id
+// Delete a saved search
+// ============================================
+router.delete('/searches/:id', authenticate, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  try {
+    await deleteSavedSearch(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Delete saved search error:', err);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// ============================================
+// GET /api/saved/searches/:id/listings
+// Listings a saved search matches now; opening it clears the new-match count
+// ============================================
+router.get('/searches/:id/listings', authenticate, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  try {
+    const listings = await getSavedSearchListings(req.user.id, req.params.id);
+    res.json(listings);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Get saved search listings error:', err);
+    res.status(500).json({ error: 'Failed to get saved search listings' });
+  }
+});
+
 // ============================================
 // POST /api/saved/:listingId
 // Save a listing
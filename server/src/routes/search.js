@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+  SEARCH_TYPES,
+  PRICE_BANDS,
+  MAX_QUERY_LENGTH,
+  search,
+} from '../services/search.js';
+
+const router = Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CONDITIONS = ['like_new', 'good', 'fair', 'worn'];
+const LISTING_TYPES = ['lend', 'giveaway'];
+
+// ============================================
+// GET /api/search
+// Search listings, requests, bundles and people at once.
+// Query: q, types (comma-separated), categoryId, condition, priceBand, listingType,
+// maxDistance (miles), limit, offset — filters and paging apply to listings, which
+// also come with facet counts. didYouMean is set when a word looked misspelled.
+// ============================================
+router.get('/', authenticate, async (req, res) => {
+  const { q = '', categoryId, condition, priceBand, listingType } = req.query;
+  const types = req.query.types ? String(req.query.types).split(',') : SEARCH_TYPES;
+  const maxDistance = req.query.maxDistance !== undefined ? parseFloat(req.query.maxDistance) : null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  const errors = [];
+  if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) errors.push({ path: 'q', msg: `Search must be ${MAX_QUERY_LENGTH} characters or fewer` });
+  if (types.some(t => !SEARCH_TYPES.includes(t))) errors.push({ path: 'types', msg: `Types must be among ${SEARCH_TYPES.join(', ')}` });
+  if (categoryId && !UUID_PATTERN.test(categoryId)) errors.push({ path: 'categoryId', msg: 'Invalid category' });
+  if (condition && !CONDITIONS.includes(condition)) errors.push({ path: 'condition', msg: 'Invalid condition' });
+  if (priceBand && !PRICE_BANDS.includes(priceBand)) errors.push({ path: 'priceBand', msg: 'Invalid price band' });
+  if (listingType && !LISTING_TYPES.includes(listingType)) errors.push({ path: 'listingType', msg: 'Invalid listing type' });
+  if (maxDistance !== null && !(maxDistance > 0 && maxDistance <= 50)) errors.push({ path: 'maxDistance', msg: 'Distance must be between 0 and 50 miles' });
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  try {
+    const results = await search(req.user.id, {
+      q,
+      types,
+      filters: { categoryId, condition, priceBand, listingType, maxDistance },
+      limit,
+      offset,
+    });
+    res.json(results);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Search error:', err);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+export default router;
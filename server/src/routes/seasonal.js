@@ -1,9 +1,23 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import { prepareSearch, textMatchSql } from '../services/search.js';
 
 const router = Router();
 
+// Listings matching any of a seasonal category's keywords, synonyms included.
+// Adds its values to params and returns the condition and ranking SQL.
+async function keywordMatchSql(keywords, params) {
+  const prepared = await prepareSearch(keywords, { correct: false });
+  return textMatchSql(prepared, {
+    alias: 'l',
+    param: (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    },
+  });
+}
+
 // ============================================
 // GET /api/seasonal/suggestions
 // Get seasonal suggestions based on current month
@@ -24,8 +38,10 @@ router.get('/suggestions', authenticate, async (req, res) => {
 
     // For each category, find matching listings
     const suggestions = await Promise.all(categories.rows.map(async (cat) => {
-      // Build search pattern from keywords
-      const keywordPattern = cat.keywords.map(k => `%${k}%`).join('|');
+      if (!cat.keywords?.length) return null;
+
+      const params = [req.user.id];
+      const text = await keywordMatchSql(cat.keywords, params);
 
       const listings = await query(
         `SELECT l.id, l.title, l.is_free, l.price_per_day,
@@ -35,10 +51,10 @@ router.get('/suggestions', authenticate, async (req, res) => {
          JOIN users u ON l.owner_id = u.id
          WHERE l.status = 'active'
            AND l.owner_id != $1
-           AND (${cat.keywords.map((_, i) => `l.title ILIKE $${i + 2}`).join(' OR ')})
-         ORDER BY l.created_at DESC
+           AND ${text.match}
+         ORDER BY ${text.rank} DESC, l.created_at DESC
          LIMIT 6`,
-        [req.user.id, ...cat.keywords.map(k => `%${k}%`)]
+        params
       );
 
       if (listings.rows.length === 0) return null;
@@ -89,15 +105,20 @@ router.get('/featured', authenticate, async (req, res) => {
     }
 
     const cat = category.rows[0];
+    if (!cat.keywords?.length) {
+      return res.json(null);
+    }
 
     // Count matching items
+    const params = [req.user.id];
+    const text = await keywordMatchSql(cat.keywords, params);
     const countResult = await query(
       `SELECT COUNT(*) as count
        FROM listings l
        WHERE l.status = 'active'
          AND l.owner_id != $1
-         AND (${cat.keywords.map((_, i) => `l.title ILIKE $${i + 2}`).join(' OR ')})`,
-      [req.user.id, ...cat.keywords.map(k => `%${k}%`)]
+         AND ${text.match}`,
+      params
     );
 
     const itemCount = parseInt(countResult.rows[0].count);
@@ -1,9 +1,27 @@
 import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  treesEquivalent,
+  getCommunityImpactReport,
+  listCommunityImpactReports,
+  shareCommunityImpactReport,
+  getSharedImpactReport,
+} from '../services/impact.js';
 
 const router = Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function getMembership(communityId, userId) {
+  const result = await query(
+    `SELECT role FROM community_memberships
+     WHERE community_id = $1 AND user_id = $2 AND status = 'active'`,
+    [communityId, userId]
+  );
+  return result.rows[0] || null;
+}
+
 // ============================================
 // GET /api/sustainability/stats
 // Get user's sustainability impact stats
@@ -29,16 +47,19 @@ router.get('/stats', authenticate, async (req, res) => {
 
     const stats = result.rows[0];
 
-    // Calculate additional metrics
-    const treesEquivalent = (parseFloat(stats.co2_saved_kg) / 21).toFixed(1); // ~21kg CO2 per tree per year
+    // Totals are maintained by the impact engine from the user's impact credits
     const totalTransactions = stats.items_shared_count + stats.items_borrowed_count;
+    const moneySaved = parseFloat(stats.total_money_saved) || 0;
 
     res.json({
-      moneySaved: parseFloat(stats.total_money_saved) || 0,
+      moneySaved,
+      moneySavedCents: Math.round(moneySaved * 100),
       itemsShared: stats.items_shared_count || 0,
       itemsBorrowed: stats.items_borrowed_count || 0,
+      totalLends: stats.items_shared_count || 0,
+      totalBorrows: stats.items_borrowed_count || 0,
       co2SavedKg: parseFloat(stats.co2_saved_kg) || 0,
-      treesEquivalent: parseFloat(treesEquivalent) || 0,
+      treesEquivalent: treesEquivalent(stats.co2_saved_kg),
       totalTransactions,
       reputationScore: stats.reputation_score || 0,
       lendingStreak: stats.lending_streak || 0,
@@ -58,28 +79,39 @@ router.get('/community', authenticate, async (req, res) => {
   try {
     // Get user's community
     const membershipResult = await query(
-      `SELECT community_id FROM community_memberships
-       WHERE user_id = $1 AND status = 'active' LIMIT 1`,
+      `SELECT cm.community_id, cm.role, c.name FROM community_memberships cm
+       JOIN communities c ON c.id = cm.community_id
+       WHERE cm.user_id = $1 AND cm.status = 'active'
+       ORDER BY cm.joined_at
+       LIMIT 1`,
       [req.user.id]
     );
 
     if (membershipResult.rows.length === 0) {
       return res.json({
+        communityId: null,
         totalMoneySaved: 0,
+        totalSavedCents: 0,
         totalItemsShared: 0,
+        totalTransactions: 0,
         totalCo2Saved: 0,
+        totalCo2SavedKg: 0,
         memberCount: 0,
+        isOrganizer: false,
       });
     }
 
-    const communityId = membershipResult.rows[0].community_id;
+    const { community_id: communityId, role, name } = membershipResult.rows[0];
 
     const result = await query(
       `SELECT
         SUM(u.total_money_saved) as total_money_saved,
         SUM(u.items_shared_count) as total_items_shared,
         SUM(u.co2_saved_kg) as total_co2_saved,
-        COUNT(DISTINCT u.id) as member_count
+        COUNT(DISTINCT u.id) as member_count,
+        (SELECT COUNT(DISTINCT ic.transaction_id) FROM impact_credits ic
+         JOIN community_memberships m ON m.user_id = ic.user_id
+         WHERE m.community_id = $1 AND m.status = 'active') as total_transactions
        FROM users u
        JOIN community_memberships cm ON u.id = cm.user_id
        WHERE cm.community_id = $1 AND cm.status = 'active'`,
@@ -87,12 +119,20 @@ router.get('/community', authenticate, async (req, res) => {
     );
 
     const stats = result.rows[0];
+    const totalMoneySaved = parseFloat(stats.total_money_saved) || 0;
+    const totalCo2Saved = parseFloat(stats.total_co2_saved) || 0;
 
     res.json({
-      totalMoneySaved: parseFloat(stats.total_money_saved) || 0,
+      communityId,
+      name,
+      totalMoneySaved,
+      totalSavedCents: Math.round(totalMoneySaved * 100),
       totalItemsShared: parseInt(stats.total_items_shared) || 0,
-      totalCo2Saved: parseFloat(stats.total_co2_saved) || 0,
+      totalTransactions: parseInt(stats.total_transactions) || 0,
+      totalCo2Saved,
+      totalCo2SavedKg: totalCo2Saved,
       memberCount: parseInt(stats.member_count) || 0,
+      isOrganizer: role === 'organizer',
     });
   } catch (err) {
     console.error('Get community stats error:', err);
@@ -100,4 +140,140 @@ router.get('/community', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/sustainability/communities/:id/reports
+// Monthly impact reports for a community (members only), newest first
+// ============================================
+router.get('/communities/:id/reports', authenticate, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Community not found' });
+  }
+
+  try {
+    const membership = await getMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(403).json({ error: 'Only members can see this community\'s reports' });
+    }
+
+    const reports = await listCommunityImpactReports(req.params.id);
+    res.json({ reports, isOrganizer: membership.role === 'organizer' });
+  } catch (err) {
+    console.error('List impact reports error:', err);
+    res.status(500).json({ error: 'Failed to get impact reports' });
+  }
+});
+
+// ============================================
+// GET /api/sustainability/communities/:id/reports/:month
+// One month's report (YYYY-MM). The current month is a live running total.
+// ============================================
+router.get('/communities/:id/reports/:month', authenticate, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Community not found' });
+  }
+
+  try {
+    const membership = await getMembership(req.params.id, req.user.id);
+    if (!membership) {
+      return res.status(403).json({ error: 'Only members can see this community\'s reports' });
+    }
+
+    const report = await getCommunityImpactReport(req.params.id, req.params.month);
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Get impact report error:', err);
+    res.status(500).json({ error: 'Failed to get impact report' });
+  }
+});
+
+// ============================================
+// POST /api/sustainability/communities/:id/reports/:month/share
+// Create a public link to a finished month's report (organizers only)
+// ============================================
+router.post('/communities/:id/reports/:month/share', authenticate, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Community not found' });
+  }
+
+  try {
+    const membership = await getMembership(req.params.id, req.user.id);
+    if (membership?.role !== 'organizer') {
+      return res.status(403).json({ error: 'Only organizers can share impact reports' });
+    }
+
+    const report = await shareCommunityImpactReport(req.params.id, req.params.month, req.user.id);
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Share impact report error:', err);
+    res.status(500).json({ error: 'Failed to share impact report' });
+  }
+});
+
+// Shared links are opened in browsers and link previews, not the app — answer with a
+// small page unless JSON was asked for
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const reportStat = (value, label) => `
+    <div style="flex:1;min-width:120px;padding:12px 0;">
+      <div style="color:#1B3318;font-size:24px;font-weight:700;">${value}</div>
+      <div style="color:#3D5A38;font-size:13px;">${label}</div>
+    </div>`;
+
+const sharedReportPage = (report) => {
+  const title = `${escapeHtml(report.communityName)} · ${escapeHtml(report.monthName)}`;
+  const categories = report.topCategories.map(c =>
+    `<li>${escapeHtml(c.name)}: ${c.co2SavedKg}kg CO₂ across ${c.items} ${c.items === 1 ? 'item' : 'items'}</li>`
+  ).join('');
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title>
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${report.co2SavedKg}kg of CO₂ saved by sharing instead of buying">
+</head>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;background:#f4f0e8;padding:40px 20px;">
+  <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:12px;padding:32px;">
+    <p style="margin:0;color:#3D5A38;font-size:13px;text-transform:uppercase;letter-spacing:1px;">Community impact · ${escapeHtml(report.monthName)}</p>
+    <h2 style="margin:4px 0 16px;color:#1B3318;">${escapeHtml(report.communityName)}</h2>
+    <div style="display:flex;flex-wrap:wrap;">
+      ${reportStat(`${report.co2SavedKg}kg`, 'CO₂ saved')}
+      ${reportStat(`$${Math.round(report.moneySaved)}`, 'Saved by neighbors')}
+      ${reportStat(report.borrows, 'Borrows')}
+      ${reportStat(report.giveaways, 'Giveaways')}
+      ${reportStat(report.activeMembers, 'Neighbors sharing')}
+      ${reportStat(report.treesEquivalent, 'Trees\' yearly CO₂')}
+    </div>
+    ${categories ? `<p style="color:#1B3318;font-weight:600;margin:16px 0 4px;">Most shared</p><ul style="color:#3D5A38;line-height:1.6;margin:0;padding-left:20px;">${categories}</ul>` : ''}
+  </div>
+</body>
+</html>`;
+};
+
+// ============================================
+// GET /api/sustainability/reports/shared/:token
+// Public view of a shared community report (no login)
+// ============================================
+router.get('/reports/shared/:token', async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const report = await getSharedImpactReport(req.params.token);
+    if (!wantsHtml) return res.json(report);
+    res.send(sharedReportPage(report));
+  } catch (err) {
+    if (err.status === 404) {
+      return wantsHtml
+        ? res.status(404).send('<!DOCTYPE html><html><body style="font-family:sans-serif;padding:40px;">This report is no longer available.</body></html>')
+        : res.status(404).json({ error: err.message, code: err.code });
+    }
+    console.error('Get shared impact report error:', err);
+    res.status(500).json({ error: 'Failed to get impact report' });
+  }
+});
+
 export default router;
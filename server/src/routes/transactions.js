@@ -1,18 +1,41 @@
 import { Router } from 'express';
-import { query } from '../utils/db.js';
+import { query, withTransaction } from '../utils/db.js';
 import { authenticate, requireVerified, ENABLE_PAID_TIERS } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
 import {
   stripe,
   createPaymentIntent,
   getPaymentIntent,
-  capturePaymentIntent,
-  cancelPaymentIntent,
   createEphemeralKey,
-  refundPayment,
 } from '../services/stripe.js';
+import { executePaymentOperation } from '../services/paymentOperations.js';
+import {
+  needsDepositHold,
+  recordCheckoutHold,
+  settleCheckoutHold,
+  settleDeposit,
+  captureApprovedPayment,
+  getCurrentHold,
+} from '../services/paymentHolds.js';
 import { sendNotification } from '../services/notifications.js';
+import { sendReceiptEmail } from '../services/email.js';
+import {
+  buildReceipt,
+  buildYearEndStatement,
+  renderReceiptPdf,
+  renderStatementPdf,
+} from '../services/receipts.js';
+import { setTransactionListingsAvailable, recordItemConditions, getBundleTransactionItems } from '../services/bundles.js';
+import { refreshTransactionReputation } from '../services/reputation.js';
+import { reserveListings } from '../services/reservations.js';
+import { claimWaitlistEntries } from '../services/waitlist.js';
+import { isBlockedBetween } from '../services/blocks.js';
+import { issueHandoffCode, prepareHandoff, recordHandoff, getHandoffPhotos } from '../services/handoffs.js';
+import {
+  queryAs, setTransactionActor, asTransitionError, getTransactionTimeline, getAllowedTransitions,
+} from '../services/transactionEvents.js';
 import { PLATFORM_FEE_PERCENT } from '../utils/constants.js';
+import { isInNeighborhood } from '../services/geofence.js';
 
 const router = Router();
 
@@ -50,6 +73,10 @@ router.post('/', authenticate,
       const item = listing.rows[0];
       const isGiveaway = item.listing_type === 'giveaway';
 
+      if (await isBlockedBetween(req.user.id, item.owner_id)) {
+        return res.status(403).json({ error: 'You can\'t borrow from this person', code: 'BLOCKED' });
+      }
+
       // Giveaways don't need dates
       if (!isGiveaway && (!startDate || !endDate)) {
         return res.status(400).json({ error: 'Start and end dates are required for borrow requests' });
@@ -105,10 +132,13 @@ router.post('/', authenticate,
       }
 
       // Neighborhood listings require the borrower to be in the same city
+      // (or inside the boundary of a boundary-scoped community)
       if (item.visibility === 'neighborhood') {
-        const borrowerCity = await query('SELECT city FROM users WHERE id = $1', [req.user.id]);
-        const bCity = borrowerCity.rows[0]?.city;
-        if (!bCity || !item.lender_city || bCity.toLowerCase() !== item.lender_city.toLowerCase()) {
+        const isNeighbor = await isInNeighborhood(req.user.id, {
+          communityId: item.community_id,
+          ownerCity: item.lender_city,
+        });
+        if (!isNeighbor) {
           return res.status(403).json({
             error: 'This item is only available to neighbors',
             code: 'NEIGHBORHOOD_MISMATCH',
@@ -136,7 +166,13 @@ router.post('/', authenticate,
         return res.status(400).json({ error: 'Cannot borrow your own item' });
       }
 
-      if (!item.is_available) {
+      // Giveaways go to one person. Dated borrows are checked against reservations below,
+      // so an item that's out now can still be booked for later dates.
+      if (isGiveaway && !item.is_available) {
+        return res.status(400).json({ error: 'Item not available' });
+      }
+
+      if (item.status !== 'active') {
         return res.status(400).json({ error: 'Item not available' });
       }
 
@@ -155,6 +191,10 @@ router.post('/', authenticate,
         const end = new Date(endDate);
         rentalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
 
+        if (startDate.split('T')[0] < new Date().toISOString().split('T')[0]) {
+          return res.status(400).json({ error: 'Start date cannot be in the past' });
+        }
+
         if (rentalDays < item.min_duration || rentalDays > item.max_duration) {
           return res.status(400).json({
             error: `Duration must be between ${item.min_duration} and ${item.max_duration} days`
@@ -172,38 +212,50 @@ router.post('/', authenticate,
         totalChargeCents = Math.round((rentalFee + depositAmount) * 100);
       }
 
-      // Atomically mark item unavailable to prevent race conditions
-      // Only lock for paid rentals (authorization hold prevents double-booking)
-      // Free rentals + giveaways stay available until the lender approves
-      const requiresPayment = totalChargeCents >= 50;
-      if (requiresPayment) {
-        const lockResult = await query(
-          `UPDATE listings SET is_available = false WHERE id = $1 AND is_available = true RETURNING id`,
-          [item.id]
-        );
-        if (lockResult.rows.length === 0) {
-          return res.status(400).json({ error: 'Item was just borrowed by someone else' });
-        }
-      }
+      // Create the transaction and hold its dates in one step — the reservation's
+      // exclusion constraint is what prevents double-booking
+      let transactionId;
+      try {
+        transactionId = await withTransaction(async (client) => {
+          const result = await client.query(
+            `INSERT INTO borrow_transactions (
+              listing_id, borrower_id, lender_id,
+              requested_start_date, requested_end_date,
+              rental_days, daily_rate, rental_fee, deposit_amount,
+              platform_fee, lender_payout, borrower_message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING id`,
+            [
+              listingId, req.user.id, item.owner_id,
+              isGiveaway ? new Date().toISOString() : startDate, isGiveaway ? new Date().toISOString() : endDate,
+              rentalDays, dailyRate, rentalFee, depositAmount,
+              platformFee, lenderPayout, message
+            ]
+          );
 
-      // Create transaction
-      const result = await query(
-        `INSERT INTO borrow_transactions (
-          listing_id, borrower_id, lender_id,
-          requested_start_date, requested_end_date,
-          rental_days, daily_rate, rental_fee, deposit_amount,
-          platform_fee, lender_payout, borrower_message
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        RETURNING id`,
-        [
-          listingId, req.user.id, item.owner_id,
-          isGiveaway ? new Date().toISOString() : startDate, isGiveaway ? new Date().toISOString() : endDate,
-          rentalDays, dailyRate, rentalFee, depositAmount,
-          platformFee, lenderPayout, message
-        ]
-      );
+          if (!isGiveaway) {
+            await reserveListings(client, {
+              transactionId: result.rows[0].id,
+              listingIds: [listingId],
+              startDate,
+              endDate,
+              borrowerId: req.user.id,
+            });
+            await claimWaitlistEntries({ listingIds: [listingId], userId: req.user.id, transactionId: result.rows[0].id }, client);
+          }
 
-      const transactionId = result.rows[0].id;
+          return result.rows[0].id;
+        });
+      } catch (reserveErr) {
+        if (reserveErr.code === 'DATES_UNAVAILABLE' || reserveErr.code === 'DATES_BLOCKED') {
+          return res.status(409).json({
+            error: reserveErr.message,
+            code: reserveErr.code,
+            conflicts: reserveErr.conflicts,
+          });
+        }
+        throw reserveErr;
+      }
 
       // If the borrower included a message, auto-create a DM conversation so the
       // lender can reply immediately (instead of the message being trapped on the transaction)
@@ -286,10 +338,13 @@ router.post('/', authenticate,
           amount: totalChargeCents,
           customerId,
           metadata: { transaction_id: transactionId },
+          // Long rentals re-hold the deposit on this card after approval
+          setupFutureUsage: needsDepositHold({
+            rental_days: rentalDays, rental_fee: rentalFee, deposit_amount: depositAmount,
+          }) ? 'off_session' : null,
         });
       } catch (stripeErr) {
-        // Release item lock and delete orphaned transaction
-        await query('UPDATE listings SET is_available = true WHERE id = $1', [listingId]);
+        // Delete the orphaned transaction (its reservation goes with it)
         await query('DELETE FROM borrow_transactions WHERE id = $1', [transactionId]);
         console.error('Stripe PaymentIntent creation failed:', stripeErr);
         return res.status(500).json({ error: 'Payment setup failed. Please try again.' });
@@ -305,7 +360,6 @@ router.post('/', authenticate,
       try {
         ephemeralKey = await createEphemeralKey(customerId, '2024-06-20');
       } catch (keyErr) {
-        await query('UPDATE listings SET is_available = true WHERE id = $1', [listingId]);
         await query('DELETE FROM borrow_transactions WHERE id = $1', [transactionId]);
         console.error('Ephemeral key creation failed:', keyErr);
         return res.status(500).json({ error: 'Payment setup failed. Please try again.' });
@@ -319,10 +373,6 @@ router.post('/', authenticate,
       });
     } catch (err) {
       console.error('Create transaction error:', err);
-      // Release item lock on any unhandled error
-      if (req.body.listingId) {
-        await query('UPDATE listings SET is_available = true WHERE id = $1', [req.body.listingId]).catch(() => {});
-      }
       res.status(500).json({ error: 'Failed to create borrow request' });
     }
   }
@@ -354,7 +404,7 @@ router.get('/', authenticate, async (req, res) => {
 
     const result = await query(
       `SELECT t.*,
-              l.title as listing_title, l.listing_type,
+              l.title as listing_title, l.listing_type, bnd.name as bundle_name,
               (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url,
               COALESCE(b.display_name, b.first_name) as borrower_first_name,
               CASE WHEN b.display_name IS NOT NULL THEN '' ELSE b.last_name END as borrower_last_name,
@@ -366,6 +416,7 @@ router.get('/', authenticate, async (req, res) => {
        JOIN listings l ON t.listing_id = l.id
        JOIN users b ON t.borrower_id = b.id
        JOIN users lnd ON t.lender_id = lnd.id
+       LEFT JOIN bundles bnd ON t.bundle_id = bnd.id
        WHERE ${whereClause}
        ORDER BY t.created_at DESC`,
       params
@@ -380,6 +431,7 @@ router.get('/', authenticate, async (req, res) => {
         title: t.listing_title,
         photoUrl: t.photo_url,
       },
+      bundle: t.bundle_id ? { id: t.bundle_id, name: t.bundle_name } : null,
       borrower: {
         id: t.borrower_id,
         firstName: t.borrower_first_name,
@@ -406,6 +458,33 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/transactions/statements/:year
+// Year-end totals of what the user earned lending and spent borrowing
+// (?format=pdf for a printable statement)
+// ============================================
+router.get('/statements/:year', authenticate, async (req, res) => {
+  const year = parseInt(req.params.year, 10);
+  if (!/^\d{4}$/.test(req.params.year) || year < 2020 || year > new Date().getFullYear()) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  try {
+    const statement = await buildYearEndStatement(req.user.id, year);
+
+    if (req.query.format === 'pdf') {
+      const name = req.user.display_name || [req.user.first_name, req.user.last_name].filter(Boolean).join(' ');
+      res.setHeader('Content-Disposition', `attachment; filename="borrowhood-statement-${year}.pdf"`);
+      return res.type('application/pdf').send(renderStatementPdf(statement, { name }));
+    }
+
+    res.json(statement);
+  } catch (err) {
+    console.error('Get statement error:', err);
+    res.status(500).json({ error: 'Failed to get statement' });
+  }
+});
+
 // ============================================
 // GET /api/transactions/:id
 // Get transaction details
@@ -415,7 +494,7 @@ router.get('/:id', authenticate, async (req, res) => {
     const result = await query(
       `SELECT t.*,
               l.title as listing_title, l.description as listing_description,
-              l.condition as listing_condition, l.listing_type,
+              l.condition as listing_condition, l.listing_type, bnd.name as bundle_name,
               (SELECT array_agg(url ORDER BY sort_order) FROM listing_photos WHERE listing_id = l.id) as photos,
               (SELECT EXISTS(SELECT 1 FROM disputes WHERE transaction_id = t.id)) as has_dispute,
               (SELECT id FROM disputes WHERE transaction_id = t.id ORDER BY created_at DESC LIMIT 1) as dispute_id,
@@ -430,6 +509,7 @@ router.get('/:id', authenticate, async (req, res) => {
        JOIN listings l ON t.listing_id = l.id
        JOIN users b ON t.borrower_id = b.id
        JOIN users lnd ON t.lender_id = lnd.id
+       LEFT JOIN bundles bnd ON t.bundle_id = bnd.id
        WHERE t.id = $1 AND (t.borrower_id = $2 OR t.lender_id = $2)`,
       [req.params.id, req.user.id]
     );
@@ -447,6 +527,10 @@ router.get('/:id', authenticate, async (req, res) => {
     );
     const myRatingRow = myRatingResult.rows[0] || null;
 
+    const bundleItems = t.bundle_id ? await getBundleTransactionItems(t.id) : null;
+    const paymentHold = t.stripe_payment_intent_id ? await getCurrentHold(t.id) : null;
+    const handoffPhotos = await getHandoffPhotos(t.id);
+
     res.json({
       id: t.id,
       status: t.status,
@@ -458,6 +542,7 @@ router.get('/:id', authenticate, async (req, res) => {
         condition: t.listing_condition,
         photos: t.photos || [],
       },
+      bundle: t.bundle_id ? { id: t.bundle_id, name: t.bundle_name, items: bundleItems } : null,
       borrower: {
         id: t.borrower_id,
         firstName: t.borrower_first_name,
@@ -482,12 +567,19 @@ router.get('/:id', authenticate, async (req, res) => {
       depositAmount: parseFloat(t.deposit_amount),
       platformFee: parseFloat(t.platform_fee),
       lenderPayout: parseFloat(t.lender_payout),
+      lateFeeAccrued: (t.late_fee_amount_cents || 0) / 100,
+      lateFeeCharged: (t.late_fee_charged_cents || 0) / 100,
       conditionAtPickup: t.condition_at_pickup,
       conditionAtReturn: t.condition_at_return,
       conditionNotes: t.condition_notes,
+      handoff: {
+        pickup: { verifiedAt: t.pickup_verified_at, photos: handoffPhotos.pickup },
+        return: { verifiedAt: t.return_verified_at, photos: handoffPhotos.return },
+      },
       borrowerMessage: t.borrower_message,
       lenderResponse: t.lender_response,
       paymentStatus: t.payment_status || null,
+      paymentHold,
       isBorrower: t.borrower_id === req.user.id,
       isLender: t.lender_id === req.user.id,
       myRating: myRatingRow ? { rating: myRatingRow.rating, comment: myRatingRow.comment } : null,
@@ -502,6 +594,40 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/transactions/:id/timeline
+// Every status and payment change on the transaction, oldest first, with who made it
+// ============================================
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, status, payment_status, borrower_id, lender_id FROM borrow_transactions WHERE id = $1',
+      [req.params.id]
+    );
+    const t = result.rows[0];
+
+    if (!t || (t.borrower_id !== req.user.id && t.lender_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const [events, nextStatuses] = await Promise.all([
+      getTransactionTimeline(t.id),
+      getAllowedTransitions(t.status),
+    ]);
+
+    res.json({
+      transactionId: t.id,
+      status: t.status,
+      paymentStatus: t.payment_status,
+      nextStatuses,
+      events,
+    });
+  } catch (err) {
+    console.error('Get transaction timeline error:', err);
+    res.status(500).json({ error: 'Failed to get transaction timeline' });
+  }
+});
+
 // ============================================
 // POST /api/transactions/:id/approve
 // Lender approves borrow request — captures the borrower's existing payment hold
@@ -526,23 +652,21 @@ router.post('/:id/approve', authenticate,
 
       // Free rental — no payment to capture
       if (!t.stripe_payment_intent_id) {
-        await query(
+        await queryAs(
+          { userId: req.user.id },
           `UPDATE borrow_transactions
-           SET status = 'paid', lender_response = $1, payment_status = 'none'
+           SET status = 'paid', lender_response = $1, payment_status = 'none', lender_responded_at = NOW()
            WHERE id = $2`,
           [response, req.params.id]
         );
 
-        await query(
-          'UPDATE listings SET is_available = false WHERE id = $1',
-          [t.listing_id]
-        );
-
         await sendNotification(t.borrower_id, 'request_approved', {
           transactionId: t.id,
           listingId: t.listing_id,
         });
 
+        refreshTransactionReputation(t.id);
+
         return res.json({ success: true, freeRental: true });
       }
 
@@ -563,34 +687,32 @@ router.post('/:id/approve', authenticate,
         });
       }
 
-      try {
-        await capturePaymentIntent(t.stripe_payment_intent_id);
-      } catch (captureErr) {
-        console.error('Payment capture failed:', captureErr.message);
-        await query('UPDATE listings SET is_available = true WHERE id = $1', [t.listing_id]);
+      // Long rentals capture the fee now and keep the deposit on a renewable hold
+      const { operation: capture, depositHold } = await captureApprovedPayment(t, pi);
+      if (capture.status !== 'succeeded') {
+        console.error('Payment capture failed:', capture.lastError);
+        await setTransactionListingsAvailable(t.id, true);
         return res.status(500).json({
           error: 'Payment capture failed. The authorization may have expired. Please ask the borrower to resubmit.',
         });
       }
 
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions
-         SET status = 'paid', lender_response = $1, payment_status = 'captured'
+         SET status = 'paid', lender_response = $1, payment_status = 'captured', lender_responded_at = NOW()
          WHERE id = $2`,
         [response, req.params.id]
       );
 
-      await query(
-        'UPDATE listings SET is_available = false WHERE id = $1',
-        [t.listing_id]
-      );
-
       await sendNotification(t.borrower_id, 'request_approved', {
         transactionId: t.id,
         listingId: t.listing_id,
       });
 
-      res.json({ success: true });
+      refreshTransactionReputation(t.id);
+
+      res.json({ success: true, depositHold });
     } catch (err) {
       console.error('Approve transaction error:', err);
       res.status(500).json({ error: `Failed to approve request: ${err.message}` });
@@ -608,9 +730,10 @@ router.post('/:id/decline', authenticate,
     const { reason } = req.body;
 
     try {
-      const result = await query(
+      const result = await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions
-         SET status = 'cancelled', lender_response = $1, payment_status = 'cancelled'
+         SET status = 'cancelled', lender_response = $1, payment_status = 'cancelled', lender_responded_at = NOW()
          WHERE id = $2 AND lender_id = $3 AND status = 'pending'
          RETURNING borrower_id, listing_id, stripe_payment_intent_id`,
         [reason, req.params.id, req.user.id]
@@ -624,21 +747,29 @@ router.post('/:id/decline', authenticate,
 
       // Cancel PaymentIntent if one exists — releases the hold immediately
       if (t.stripe_payment_intent_id) {
-        try {
-          await cancelPaymentIntent(t.stripe_payment_intent_id);
-        } catch (e) {
-          console.error('Could not cancel PI on decline:', e.message);
+        const cancel = await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'rental_cancel',
+          idempotencyKey: `rental_cancel:${req.params.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: req.params.id,
+        });
+        if (cancel.status !== 'succeeded') {
+          console.error('Could not cancel PI on decline, queued for retry:', cancel.lastError);
         }
+        await settleCheckoutHold(req.params.id, 'released');
       }
 
-      // Re-enable the listing so it can be requested again
-      await query('UPDATE listings SET is_available = true WHERE id = $1', [t.listing_id]);
+      // Re-enable the listing (every item, for a bundle) so it can be requested again
+      await setTransactionListingsAvailable(req.params.id, true);
 
       await sendNotification(t.borrower_id, 'request_declined', {
         transactionId: req.params.id,
         listingId: t.listing_id,
       });
 
+      refreshTransactionReputation(req.params.id);
+
       res.json({ success: true });
     } catch (err) {
       console.error('Decline transaction error:', err);
@@ -679,11 +810,15 @@ router.post('/:id/confirm-payment', authenticate, async (req, res) => {
         `UPDATE borrow_transactions SET payment_status = 'authorized' WHERE id = $1`,
         [req.params.id]
       );
+      await recordCheckoutHold(t.id, pi);
 
       // Now that payment is authorized, notify the lender of the borrow request
       const listing = await query(
-        'SELECT title FROM listings WHERE id = $1',
-        [t.listing_id]
+        `SELECT COALESCE(b.name, l.title) as title
+         FROM listings l
+         LEFT JOIN bundles b ON b.id = $2
+         WHERE l.id = $1`,
+        [t.listing_id, t.bundle_id]
       );
       const borrower = await query(
         'SELECT first_name, display_name FROM users WHERE id = $1',
@@ -741,27 +876,46 @@ router.post('/:id/cancel', authenticate, async (req, res) => {
     if (t.stripe_payment_intent_id) {
       const pi = await getPaymentIntent(t.stripe_payment_intent_id);
 
+      let operation = null;
       if (pi.status === 'requires_capture') {
         // Hold not yet captured — just cancel it (releases hold instantly)
-        await cancelPaymentIntent(t.stripe_payment_intent_id);
+        operation = await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'rental_cancel',
+          idempotencyKey: `rental_cancel:${t.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: t.id,
+          retry: false,
+        });
       } else if (pi.status === 'succeeded') {
         // Payment was captured (lender approved) — issue full refund
-        await refundPayment(t.stripe_payment_intent_id);
+        operation = await executePaymentOperation({
+          kind: 'refund',
+          purpose: 'rental_refund',
+          idempotencyKey: `rental_refund:${t.id}`,
+          paymentIntentId: t.stripe_payment_intent_id,
+          transactionId: t.id,
+          retry: false,
+        });
       }
+      if (operation && operation.status !== 'succeeded') {
+        return res.status(500).json({ error: `Failed to cancel request: ${operation.lastError}` });
+      }
+      await settleCheckoutHold(t.id, 'released');
+      // Long rentals hold the deposit separately once approved
+      await settleDeposit(t);
     }
 
-    await query(
+    await queryAs(
+      { userId: req.user.id },
       `UPDATE borrow_transactions
        SET status = 'cancelled', payment_status = 'refunded'
        WHERE id = $1`,
       [req.params.id]
     );
 
-    // Make listing available again if it was marked unavailable
-    await query(
-      'UPDATE listings SET is_available = true WHERE id = $1',
-      [t.listing_id]
-    );
+    // Make listing (or every bundle item) available again if it was marked unavailable
+    await setTransactionListingsAvailable(t.id, true);
 
     // Notify lender
     await sendNotification(t.lender_id, 'request_declined', {
@@ -778,16 +932,33 @@ router.post('/:id/cancel', authenticate, async (req, res) => {
 
 // ============================================
 // POST /api/transactions/:id/pickup
-// Confirm pickup (both parties must confirm)
+// Confirm pickup. The lender confirms by scanning the borrower's handoff code and
+// attaching condition photos; without one the borrower can still confirm, but only
+// by sending unverified: true with condition photos, which is noted in the history.
+// Giveaways need no code.
 // ============================================
 router.post('/:id/pickup', authenticate,
   body('condition').optional().isIn(['like_new', 'good', 'fair', 'worn']),
+  body('itemConditions').optional().isArray(),
+  body('itemConditions.*.listingId').optional().isUUID(),
+  body('itemConditions.*.condition').optional().isIn(['like_new', 'good', 'fair', 'worn']),
+  body('handoffCode').optional().isString().isLength({ max: 500 }),
+  body('photos').optional().isArray({ max: 10 }),
+  body('photos.*.url').optional().isURL({ require_tld: false }),
+  body('photos.*.takenAt').optional().isISO8601(),
+  body('unverified').optional().isBoolean(),
   async (req, res) => {
-    const { condition } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { condition, itemConditions, handoffCode, photos } = req.body;
+    const unverified = req.body.unverified === true || req.body.unverified === 'true';
 
     try {
       const txn = await query(
-        `SELECT bt.*, l.title as item_title
+        `SELECT bt.*, l.title as item_title, l.listing_type
          FROM borrow_transactions bt
          JOIN listings l ON bt.listing_id = l.id
          WHERE bt.id = $1 AND bt.status IN ('paid', 'approved')`,
@@ -801,48 +972,61 @@ router.post('/:id/pickup', authenticate,
       const t = txn.rows[0];
       const isBorrower = t.borrower_id === req.user.id;
       const isLender = t.lender_id === req.user.id;
+      const isGiveaway = t.listing_type === 'giveaway';
 
-      if (!isBorrower) {
+      if (!isBorrower && !(isLender && handoffCode)) {
         return res.status(403).json({ error: 'Only the borrower can confirm pickup' });
       }
 
-      // Check if this is a giveaway
-      const listingCheck = await query(
-        'SELECT listing_type FROM listings WHERE id = $1',
-        [t.listing_id]
-      );
-      const isGiveaway = listingCheck.rows[0]?.listing_type === 'giveaway';
+      const prepared = await prepareHandoff(t, 'pickup', {
+        handoffCode, photos, unverified, userId: req.user.id, isGiveaway,
+      });
 
-      // Borrower confirms pickup
-      const otherPartyId = isBorrower ? t.lender_id : t.borrower_id;
+      // Status change and handoff record commit together, so a failed update
+      // leaves the code unused for another try
+      const handoff = await withTransaction(async (client) => {
+        await setTransactionActor(client, { userId: req.user.id });
+
+        if (isGiveaway) {
+          // Giveaway: pickup = complete. No return step needed.
+          await client.query(
+            `UPDATE borrow_transactions
+             SET status = 'returned', actual_pickup_at = NOW(), actual_return_at = NOW(), condition_at_pickup = $1
+             WHERE id = $2`,
+            [condition || t.condition_at_pickup, t.id]
+          );
 
-      if (isGiveaway) {
-        // Giveaway: pickup = complete. No return step needed.
-        await query(
-          `UPDATE borrow_transactions
-           SET status = 'returned', actual_pickup_at = NOW(), actual_return_at = NOW(), condition_at_pickup = $1
-           WHERE id = $2`,
-          [condition || t.condition_at_pickup, req.params.id]
-        );
+          // Permanently delist the item (given away)
+          await client.query(
+            `UPDATE listings SET status = 'given_away', is_available = false WHERE id = $1`,
+            [t.listing_id]
+          );
+        } else {
+          await client.query(
+            `UPDATE borrow_transactions
+             SET status = 'picked_up', actual_pickup_at = NOW(), condition_at_pickup = $1
+             WHERE id = $2`,
+            [condition || t.condition_at_pickup, t.id]
+          );
 
-        // Permanently delist the item (given away)
-        await query(
-          `UPDATE listings SET status = 'given_away', is_available = false WHERE id = $1`,
-          [t.listing_id]
-        );
+          // Out with the borrower now; their booking already holds the dates
+          await setTransactionListingsAvailable(t.id, false, client);
 
+          if (t.bundle_id) {
+            await recordItemConditions(t.id, 'pickup', itemConditions, condition, client);
+          }
+        }
+
+        return recordHandoff(t, prepared, client);
+      });
+
+      const otherPartyId = isBorrower ? t.lender_id : t.borrower_id;
+      if (isGiveaway) {
         await sendNotification(otherPartyId, 'giveaway_complete', {
           itemTitle: t.item_title,
           transactionId: t.id,
         });
       } else {
-        await query(
-          `UPDATE borrow_transactions
-           SET status = 'picked_up', actual_pickup_at = NOW(), condition_at_pickup = $1
-           WHERE id = $2`,
-          [condition || t.condition_at_pickup, req.params.id]
-        );
-
         await sendNotification(otherPartyId, 'pickup_confirmed', {
           itemTitle: t.item_title,
           returnDate: t.requested_end_date,
@@ -850,14 +1034,52 @@ router.post('/:id/pickup', authenticate,
         });
       }
 
-      res.json({ success: true, isGiveaway });
+      res.json({ success: true, isGiveaway, verified: handoff.verified });
     } catch (err) {
+      const routeErr = asTransitionError(err);
+      if (routeErr.status) {
+        return res.status(routeErr.status).json({ error: routeErr.message, code: routeErr.code });
+      }
       console.error('Confirm pickup error:', err);
       res.status(500).json({ error: 'Failed to confirm pickup' });
     }
   }
 );
 
+// ============================================
+// POST /api/transactions/:id/handoff-code
+// Borrower gets a short-lived signed code to show the lender at pickup or return
+// ============================================
+router.post('/:id/handoff-code', authenticate,
+  body('type').isIn(['pickup', 'return']),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const txn = await query(
+        'SELECT * FROM borrow_transactions WHERE id = $1 AND (borrower_id = $2 OR lender_id = $2)',
+        [req.params.id, req.user.id]
+      );
+
+      if (txn.rows.length === 0) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const code = await issueHandoffCode(txn.rows[0], req.body.type, req.user.id);
+      res.json(code);
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error('Issue handoff code error:', err);
+      res.status(500).json({ error: 'Failed to create handoff code' });
+    }
+  }
+);
+
 // ============================================
 // POST /api/transactions/:id/rate
 // Rate the other party
@@ -914,7 +1136,8 @@ router.post('/:id/rate', authenticate,
       );
 
       if (parseInt(ratings.rows[0].count) >= 2) {
-        await query(
+        await queryAs(
+          { userId: req.user.id },
           'UPDATE borrow_transactions SET status = $1 WHERE id = $2',
           ['completed', t.id]
         );
@@ -925,6 +1148,8 @@ router.post('/:id/rate', authenticate,
         rating,
       });
 
+      refreshTransactionReputation(t.id);
+
       res.json({ success: true });
     } catch (err) {
       console.error('Rate transaction error:', err);
@@ -933,4 +1158,47 @@ router.post('/:id/rate', authenticate,
   }
 );
 
+// ============================================
+// GET /api/transactions/:id/receipt
+// Itemized receipt for the requesting party (?format=pdf for the invoice PDF)
+// ============================================
+router.get('/:id/receipt', authenticate, async (req, res) => {
+  try {
+    const receipt = await buildReceipt(req.params.id, req.user.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Disposition', `attachment; filename="${receipt.receiptNumber}.pdf"`);
+      return res.type('application/pdf').send(renderReceiptPdf(receipt));
+    }
+
+    res.json(receipt);
+  } catch (err) {
+    console.error('Get receipt error:', err);
+    res.status(500).json({ error: 'Failed to get receipt' });
+  }
+});
+
+// ============================================
+// POST /api/transactions/:id/receipt/email
+// Email the receipt, with the PDF attached, to the requesting party
+// ============================================
+router.post('/:id/receipt/email', authenticate, async (req, res) => {
+  try {
+    const receipt = await buildReceipt(req.params.id, req.user.id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    await sendReceiptEmail(req.user.email, { receipt, pdf: renderReceiptPdf(receipt) });
+
+    res.json({ success: true, sentTo: req.user.email });
+  } catch (err) {
+    console.error('Email receipt error:', err);
+    res.status(500).json({ error: 'Failed to email receipt' });
+  }
+});
+
 export default router;
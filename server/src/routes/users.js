@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { query } from '../utils/db.js';
+import { query, withTransaction } from '../utils/db.js';
 import { authenticate, requireVerified, requireAdmin, ENABLE_PAID_TIERS } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
 import {
@@ -7,9 +7,14 @@ import {
   createConnectAccount,
   createConnectAccountLink,
   getConnectAccount,
-  cancelPaymentIntent,
 } from '../services/stripe.js';
+import { executePaymentOperation } from '../services/paymentOperations.js';
 import { sendNotification } from '../services/notifications.js';
+import { setTransactionListingsAvailable } from '../services/bundles.js';
+import { getBlockedUserIds, isBlockedBetween } from '../services/blocks.js';
+import { recordAudit } from '../services/audit.js';
+import { syncUserLocation } from '../services/geofence.js';
+import { queryAs } from '../services/transactionEvents.js';
 
 const router = Router();
 
@@ -115,6 +120,9 @@ router.patch('/me', authenticate,
       console.log('Profile update query:', updateQuery, 'values count:', values.length);
 
       await query(updateQuery, values);
+      if (latitude !== undefined || longitude !== undefined) {
+        await syncUserLocation(req.user.id);
+      }
       console.log('Profile updated successfully for user:', req.user.id);
       res.json({ success: true });
     } catch (err) {
@@ -267,6 +275,7 @@ router.get('/suggested', authenticate, async (req, res) => {
   const { neighborhood } = req.query;
 
   try {
+    const blockedIds = await getBlockedUserIds(req.user.id);
     let result;
 
     if (neighborhood) {
@@ -275,10 +284,10 @@ router.get('/suggested', authenticate, async (req, res) => {
         `SELECT u.id, u.first_name, u.last_name, u.display_name, u.profile_photo_url, u.city, u.state
          FROM community_memberships m
          JOIN users u ON m.user_id = u.id
-         WHERE m.community_id = $1 AND u.id != $2
+         WHERE m.community_id = $1 AND u.id != $2 AND u.id != ALL($3)
          ORDER BY m.joined_at DESC
          LIMIT 20`,
-        [neighborhood, req.user.id]
+        [neighborhood, req.user.id, blockedIds]
       );
     } else {
       // Get users in any community the current user is in
@@ -287,10 +296,10 @@ router.get('/suggested', authenticate, async (req, res) => {
          FROM community_memberships m
          JOIN community_memberships m2 ON m.community_id = m2.community_id
          JOIN users u ON m2.user_id = u.id
-         WHERE m.user_id = $1 AND u.id != $1
+         WHERE m.user_id = $1 AND u.id != $1 AND u.id != ALL($2)
          ORDER BY COALESCE(u.display_name, u.first_name), u.last_name
          LIMIT 20`,
-        [req.user.id]
+        [req.user.id, blockedIds]
       );
     }
 
@@ -327,17 +336,19 @@ router.get('/search', authenticate, async (req, res) => {
   }
 
   try {
+    const blockedIds = await getBlockedUserIds(req.user.id);
     const result = await query(
       `SELECT id, first_name, last_name, display_name, profile_photo_url, city, state
        FROM users
        WHERE id != $1
+         AND id != ALL($3)
          AND (
            LOWER(COALESCE(display_name, first_name) || ' ' || last_name) LIKE LOWER($2)
            OR LOWER(first_name || ' ' || last_name) LIKE LOWER($2)
            OR LOWER(email) LIKE LOWER($2)
          )
        LIMIT 20`,
-      [req.user.id, `%${q}%`]
+      [req.user.id, `%${q}%`, blockedIds]
     );
 
     // Check which users are already friends
@@ -384,15 +395,17 @@ router.post('/contacts/match', authenticate, async (req, res) => {
     }
 
     // Find users with matching phone numbers
-    const placeholders = normalizedNumbers.map((_, i) => `$${i + 2}`).join(', ');
+    const blockedIds = await getBlockedUserIds(req.user.id);
+    const placeholders = normalizedNumbers.map((_, i) => `$${i + 3}`).join(', ');
     const result = await query(
       `SELECT id, first_name, last_name, display_name, profile_photo_url, city, state, phone,
               RIGHT(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), 10) as normalized_phone
        FROM users
        WHERE id != $1
+         AND id != ALL($2)
          AND phone IS NOT NULL
          AND RIGHT(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), 10) IN (${placeholders})`,
-      [req.user.id, ...normalizedNumbers]
+      [req.user.id, blockedIds, ...normalizedNumbers]
     );
 
     // Check which users are already friends
@@ -436,6 +449,10 @@ router.post('/me/friends', authenticate,
     }
 
     try {
+      if (await isBlockedBetween(req.user.id, friendId)) {
+        return res.status(403).json({ error: 'You can\'t add this person as a friend' });
+      }
+
       // Check if they already sent us a request - if so, auto-accept
       const existingRequest = await query(
         `SELECT id FROM friendships
@@ -551,24 +568,27 @@ router.delete('/me/friends/:friendId', authenticate, async (req, res) => {
     for (const txn of pendingTxns.rows) {
       // Cancel Stripe PaymentIntent if present
       if (txn.stripe_payment_intent_id) {
-        try {
-          await cancelPaymentIntent(txn.stripe_payment_intent_id);
-        } catch (stripeErr) {
-          console.error(`Failed to cancel PI ${txn.stripe_payment_intent_id} for txn ${txn.id}:`, stripeErr.message);
+        const cancel = await executePaymentOperation({
+          kind: 'cancel',
+          purpose: 'rental_cancel',
+          idempotencyKey: `rental_cancel:${txn.id}`,
+          paymentIntentId: txn.stripe_payment_intent_id,
+          transactionId: txn.id,
+        });
+        if (cancel.status !== 'succeeded') {
+          console.error(`Failed to cancel PI ${txn.stripe_payment_intent_id} for txn ${txn.id}, queued for retry:`, cancel.lastError);
         }
       }
 
       // Set transaction to cancelled
-      await query(
+      await queryAs(
+        { userId: req.user.id },
         `UPDATE borrow_transactions SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
         [txn.id]
       );
 
       // Re-enable listing availability
-      await query(
-        `UPDATE listings SET is_available = true WHERE id = $1`,
-        [txn.listing_id]
-      );
+      await setTransactionListingsAvailable(txn.id, true);
     }
 
     res.json({ success: true });
@@ -578,6 +598,90 @@ router.delete('/me/friends/:friendId', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/users/me/blocked
+// People the current user has blocked
+// ============================================
+router.get('/me/blocked', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.id, u.first_name, u.last_name, u.display_name, u.profile_photo_url, b.created_at as blocked_at
+       FROM user_blocks b
+       JOIN users u ON b.blocked_id = u.id
+       WHERE b.blocker_id = $1
+       ORDER BY b.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json(result.rows.map(u => ({
+      id: u.id,
+      ...publicName(u),
+      profilePhotoUrl: u.profile_photo_url,
+      blockedAt: u.blocked_at,
+    })));
+  } catch (err) {
+    console.error('Get blocked users error:', err);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+// ============================================
+// POST /api/users/:id/block
+// Block a user — hides each of you from the other and removes any friendship
+// ============================================
+router.post('/:id/block', authenticate, async (req, res) => {
+  const blockedId = req.params.id;
+
+  if (blockedId === req.user.id) {
+    return res.status(400).json({ error: 'Cannot block yourself' });
+  }
+
+  try {
+    const target = await query('SELECT id FROM users WHERE id = $1', [blockedId]);
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id)
+         VALUES ($1, $2)
+         ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+        [req.user.id, blockedId]
+      );
+      await client.query(
+        `DELETE FROM friendships
+         WHERE (user_id = $1 AND friend_id = $2)
+            OR (user_id = $2 AND friend_id = $1)`,
+        [req.user.id, blockedId]
+      );
+    });
+
+    res.status(201).json({ success: true, isBlocked: true });
+  } catch (err) {
+    console.error('Block user error:', err);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// ============================================
+// DELETE /api/users/:id/block
+// Unblock a user (friendships removed by the block are not restored)
+// ============================================
+router.delete('/:id/block', authenticate, async (req, res) => {
+  try {
+    await query(
+      'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [req.user.id, req.params.id]
+    );
+
+    res.json({ success: true, isBlocked: false });
+  } catch (err) {
+    console.error('Unblock user error:', err);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 // ============================================
 // GET /api/users/me/connect-status
 // Get Stripe Connect account status
@@ -902,27 +1006,25 @@ router.post('/me/retry-transfers', authenticate, async (req, res) => {
 
     for (const txn of txns.rows) {
       try {
-        const amountCents = Math.round(parseFloat(txn.lender_payout) * 100);
-
-        // Get charge ID from payment intent for source_transaction
-        const params = {
-          amount: amountCents,
-          currency: 'usd',
-          destination: connectId,
+        // Same ledger entry as the payout at return time, so this never pays twice.
+        // A payout already queued for retry is left to the payment worker.
+        const payout = await executePaymentOperation({
+          kind: 'transfer',
+          purpose: 'rental_payout',
+          idempotencyKey: `rental_payout:${txn.id}`,
+          paymentIntentId: txn.stripe_payment_intent_id,
+          amountCents: Math.round(parseFloat(txn.lender_payout) * 100),
+          destinationAccountId: connectId,
+          transactionId: txn.id,
           metadata: { transactionId: txn.id },
-        };
-        if (txn.stripe_payment_intent_id) {
-          const pi = await stripe.paymentIntents.retrieve(txn.stripe_payment_intent_id);
-          if (pi.latest_charge) {
-            params.source_transaction = pi.latest_charge;
-          }
+        });
+        if (payout.status !== 'succeeded') {
+          throw new Error(payout.lastError || `payout is ${payout.status}`);
         }
 
-        const transfer = await stripe.transfers.create(params);
-
         await query(
           `UPDATE borrow_transactions SET stripe_transfer_id = $1, payment_status = 'completed' WHERE id = $2`,
-          [transfer.id, txn.id]
+          [payout.stripeObjectId, txn.id]
         );
 
         transferred++;
@@ -977,6 +1079,41 @@ router.get('/:id/ratings', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// GET /api/users/:id/reputation
+// Reputation score with the components it's built from
+// ============================================
+router.get('/:id/reputation', authenticate, async (req, res) => {
+  try {
+    // Stored by the reputation engine on transaction events and the nightly job
+    const result = await query(
+      `SELECT reputation_score, response_time_avg_hours, on_time_return_rate, item_care_rating,
+              lending_streak, longest_lending_streak, reputation_components, reputation_updated_at
+       FROM users WHERE id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const u = result.rows[0];
+    res.json({
+      userId: req.params.id,
+      reputationScore: u.reputation_score,
+      responseTimeAvgHours: u.response_time_avg_hours !== null ? parseFloat(u.response_time_avg_hours) : null,
+      onTimeReturnRate: u.on_time_return_rate !== null ? parseFloat(u.on_time_return_rate) : null,
+      itemCareRating: u.item_care_rating !== null ? parseFloat(u.item_care_rating) : null,
+      lendingStreak: u.lending_streak,
+      longestLendingStreak: u.longest_lending_streak,
+      components: u.reputation_components || [],
+      updatedAt: u.reputation_updated_at,
+    });
+  } catch (err) {
+    console.error('Get reputation error:', err);
+    res.status(500).json({ error: 'Failed to get reputation' });
+  }
+});
+
 // ============================================
 // GET /api/users/:id
 // Get user profile
@@ -999,6 +1136,10 @@ router.get('/:id', authenticate, async (req, res) => {
     const user = result.rows[0];
     const displayFirst = user.display_name || user.first_name;
     const displayLast = user.display_name ? '' : (user.last_name ? user.last_name.charAt(0) + '.' : '');
+    const blocked = await query(
+      'SELECT 1 FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [req.user.id, user.id]
+    );
     res.json({
       id: user.id,
       firstName: displayFirst,
@@ -1013,6 +1154,7 @@ router.get('/:id', authenticate, async (req, res) => {
       ratingCount: user.rating_count,
       totalTransactions: user.total_transactions,
       memberSince: user.created_at,
+      isBlocked: blocked.rows.length > 0,
     });
   } catch (err) {
     console.error('Get user error:', err);
@@ -1050,6 +1192,11 @@ router.get('/:id/listings', authenticate, async (req, res) => {
       })));
     }
 
+    // Nothing to show across a block
+    if (await isBlockedBetween(req.user.id, profileOwnerId)) {
+      return res.json([]);
+    }
+
     // Other user's listings — apply visibility filtering
     const userResult = await query(
       'SELECT city, is_verified, subscription_tier, verification_grace_until FROM users WHERE id = $1',
@@ -1131,6 +1278,14 @@ router.patch('/me/toggle-payouts', authenticate, requireAdmin, async (req, res)
       'UPDATE users SET payouts_enabled = NOT payouts_enabled WHERE id = $1 RETURNING payouts_enabled',
       [req.user.id]
     );
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'user.toggle_payouts',
+      entityType: 'user',
+      entityId: req.user.id,
+      newValues: { payoutsEnabled: result.rows[0].payouts_enabled },
+      req,
+    });
     res.json({ payoutsEnabled: result.rows[0].payouts_enabled });
   } catch (err) {
     console.error('Toggle payouts error:', err);
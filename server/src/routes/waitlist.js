@@ -0,0 +1,241 @@
+import { Router } from 'express';
+import { query } from '../utils/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { body, validationResult } from 'express-validator';
+import { findConflicts } from '../services/reservations.js';
+import { getWaitlistEntry, isHeldForSomeoneElse } from '../services/waitlist.js';
+import { isInNeighborhood } from '../services/geofence.js';
+
+const router = Router();
+
+// ============================================
+// POST /api/listings/:listingId/waitlist
+// Join the waitlist for an item that's out
+// ============================================
+router.post('/:listingId/waitlist', authenticate,
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601(),
+  body('note').optional().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { note } = req.body;
+    const startDate = req.body.startDate?.split('T')[0];
+    const endDate = req.body.endDate?.split('T')[0];
+
+    try {
+      const listingResult = await query(
+        `SELECT l.owner_id, l.status, l.listing_type, l.visibility, l.min_duration, l.max_duration, l.community_id,
+                u.city as owner_city,
+                cli.community_id as library_community_id, cli.is_available as library_available
+         FROM listings l
+         JOIN users u ON l.owner_id = u.id
+         LEFT JOIN community_library_items cli ON cli.listing_id = l.id
+         WHERE l.id = $1`,
+        [req.params.listingId]
+      );
+
+      if (listingResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+
+      const listing = listingResult.rows[0];
+      const isLibrary = !!listing.library_community_id;
+
+      if (listing.owner_id === req.user.id && !isLibrary) {
+        return res.status(400).json({ error: 'Cannot join the waitlist for your own item' });
+      }
+
+      if (listing.status !== 'active') {
+        return res.status(400).json({ error: 'This item is not currently listed' });
+      }
+
+      if (listing.listing_type === 'giveaway') {
+        return res.status(400).json({ error: 'Giveaways go to one person and have no waitlist' });
+      }
+
+      // Same audience as borrowing: library members, or whoever the listing is visible to
+      if (isLibrary) {
+        const membership = await query(
+          `SELECT 1 FROM community_memberships
+           WHERE community_id = $1 AND user_id = $2 AND status = 'active'`,
+          [listing.library_community_id, req.user.id]
+        );
+        if (membership.rows.length === 0) {
+          return res.status(403).json({ error: 'Only community members can use the library' });
+        }
+      } else if (listing.visibility === 'close_friends') {
+        const friendship = await query(
+          `SELECT 1 FROM friendships
+           WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1))
+           AND status = 'accepted'`,
+          [req.user.id, listing.owner_id]
+        );
+        if (friendship.rows.length === 0) {
+          return res.status(403).json({ error: 'This item is only available to close friends', code: 'FRIENDSHIP_REQUIRED' });
+        }
+      } else if (listing.visibility === 'neighborhood') {
+        const isNeighbor = await isInNeighborhood(req.user.id, {
+          communityId: listing.community_id,
+          ownerCity: listing.owner_city,
+        });
+        if (!isNeighbor) {
+          return res.status(403).json({ error: 'This item is only available to neighbors', code: 'NEIGHBORHOOD_MISMATCH' });
+        }
+      } else if (listing.visibility === 'town') {
+        const viewerResult = await query(
+          'SELECT city, is_verified, verification_grace_until FROM users WHERE id = $1',
+          [req.user.id]
+        );
+        const viewer = viewerResult.rows[0];
+        const graceActive = viewer?.verification_grace_until && new Date(viewer.verification_grace_until) > new Date();
+        const viewerVerified = viewer?.is_verified || graceActive;
+        if (!viewerVerified || !viewer?.city || !listing.owner_city || viewer.city.toLowerCase() !== listing.owner_city.toLowerCase()) {
+          return res.status(403).json({ error: 'This item is only available to verified users in the same town', code: 'TOWN_MISMATCH' });
+        }
+      }
+
+      if (isLibrary) {
+        // A returned item held for the next person still has a line to join
+        if (listing.library_available && !(await isHeldForSomeoneElse(req.params.listingId, req.user.id))) {
+          return res.status(400).json({ error: 'This item is on the shelf — check it out instead', code: 'ITEM_AVAILABLE' });
+        }
+      } else {
+        // Dated listings queue for specific dates; the offer comes when those dates free up
+        if (!startDate || !endDate) {
+          return res.status(400).json({ error: 'Start and end dates are required' });
+        }
+        if (startDate > endDate) {
+          return res.status(400).json({ error: 'endDate must be after startDate' });
+        }
+        if (startDate < new Date().toISOString().split('T')[0]) {
+          return res.status(400).json({ error: 'Start date cannot be in the past' });
+        }
+
+        const rentalDays = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+        if (rentalDays < listing.min_duration || rentalDays > listing.max_duration) {
+          return res.status(400).json({
+            error: `Duration must be between ${listing.min_duration} and ${listing.max_duration} days`
+          });
+        }
+
+        const conflicts = await findConflicts([req.params.listingId], startDate, endDate, { borrowerId: req.user.id });
+        if (conflicts.length === 0) {
+          return res.status(400).json({ error: 'Those dates are open — send a borrow request instead', code: 'DATES_AVAILABLE' });
+        }
+      }
+
+      try {
+        await query(
+          `INSERT INTO listing_waitlist (listing_id, user_id, desired_start_date, desired_end_date, note)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [req.params.listingId, req.user.id, startDate || null, endDate || null, note || null]
+        );
+      } catch (insertErr) {
+        // Partial unique index — one open place in line per person
+        if (insertErr.code === '23505') {
+          return res.status(409).json({ error: 'You are already on the waitlist for this item' });
+        }
+        throw insertErr;
+      }
+
+      const entry = await getWaitlistEntry(req.params.listingId, req.user.id);
+
+      res.status(201).json(entry);
+    } catch (err) {
+      console.error('Join waitlist error:', err);
+      res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+  }
+);
+
+// ============================================
+// GET /api/listings/:listingId/waitlist
+// The owner sees the whole queue; everyone else sees their own place in it
+// ============================================
+router.get('/:listingId/waitlist', authenticate, async (req, res) => {
+  try {
+    const listing = await query(
+      'SELECT owner_id FROM listings WHERE id = $1',
+      [req.params.listingId]
+    );
+
+    if (listing.rows.length === 0) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM listing_waitlist
+       WHERE listing_id = $1 AND status IN ('waiting', 'offered')`,
+      [req.params.listingId]
+    );
+    const count = parseInt(countResult.rows[0].count);
+
+    if (listing.rows[0].owner_id !== req.user.id) {
+      const entry = await getWaitlistEntry(req.params.listingId, req.user.id);
+      return res.json({ count, entry });
+    }
+
+    const queue = await query(
+      `SELECT w.id, w.status, w.desired_start_date::text, w.desired_end_date::text, w.note,
+              w.offer_expires_at, w.created_at,
+              u.id as user_id, u.first_name, u.display_name, u.profile_photo_url
+       FROM listing_waitlist w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.listing_id = $1 AND w.status IN ('waiting', 'offered')
+       ORDER BY w.created_at`,
+      [req.params.listingId]
+    );
+
+    res.json({
+      count,
+      queue: queue.rows.map((w, i) => ({
+        id: w.id,
+        position: i + 1,
+        status: w.status,
+        startDate: w.desired_start_date,
+        endDate: w.desired_end_date,
+        note: w.note,
+        offerExpiresAt: w.offer_expires_at,
+        joinedAt: w.created_at,
+        user: {
+          id: w.user_id,
+          firstName: w.display_name || w.first_name,
+          profilePhotoUrl: w.profile_photo_url,
+        },
+      })),
+    });
+  } catch (err) {
+    console.error('Get waitlist error:', err);
+    res.status(500).json({ error: 'Failed to get waitlist' });
+  }
+});
+
+// ============================================
+// DELETE /api/listings/:listingId/waitlist
+// Leave the waitlist (an open offer passes to the next person on the scheduler's next run)
+// ============================================
+router.delete('/:listingId/waitlist', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE listing_waitlist SET status = 'cancelled', resolved_at = NOW()
+       WHERE listing_id = $1 AND user_id = $2 AND status IN ('waiting', 'offered')
+       RETURNING id`,
+      [req.params.listingId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'You are not on the waitlist for this item' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Leave waitlist error:', err);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+export default router;
@@ -2,7 +2,13 @@ import { Router } from 'express';
 import { query } from '../utils/db.js';
 import { constructWebhookEvent, stripe } from '../services/stripe.js';
 import { sendNotification } from '../services/notifications.js';
+import { setTransactionListingsAvailable } from '../services/bundles.js';
 import logger from '../utils/logger.js';
+import { completeInstallment, failInstallment } from '../services/rto.js';
+import { recordAudit } from '../services/audit.js';
+import { applyWebhookToLedger } from '../services/paymentOperations.js';
+import { recordCheckoutHold } from '../services/paymentHolds.js';
+import { queryAs } from '../services/transactionEvents.js';
 
 const router = Router();
 
@@ -41,6 +47,13 @@ router.post('/stripe', async (req, res) => {
     logger.warn('Webhook dedup check failed:', dedupErr.message);
   }
 
+  // Check the event against the payment ledger — confirms or flags our own money movements
+  try {
+    await applyWebhookToLedger(event);
+  } catch (ledgerErr) {
+    logger.warn(`Payment ledger check failed for ${event.type}:`, ledgerErr.message);
+  }
+
   // Handle the event
   try {
     switch (event.type) {
@@ -112,6 +125,17 @@ router.post('/stripe', async (req, res) => {
         await handleChargeDisputeCreated(event.data.object);
         break;
 
+      // ============================================
+      // Payment ledger only — handled by applyWebhookToLedger above
+      // ============================================
+      case 'refund.created':
+      case 'refund.updated':
+      case 'refund.failed':
+      case 'charge.refund.updated':
+      case 'transfer.created':
+      case 'transfer.reversed':
+        break;
+
       default:
         logger.info(`Unhandled webhook event type: ${event.type}`);
     }
@@ -231,6 +255,18 @@ async function handlePaymentSucceeded(paymentIntent) {
     return;
   }
 
+  // Rent-to-own installment that settled after an off-session charge
+  if (paymentIntent.metadata?.type === 'rto_payment') {
+    await completeInstallment(paymentIntent.metadata.rto_payment_id, paymentIntent.id);
+    logger.info(`RTO installment ${paymentIntent.metadata.rto_payment_id} paid`);
+    return;
+  }
+
+  // Long-rental deposit captured or charged — tracked in payment_holds by the caller
+  if (paymentIntent.metadata?.type === 'deposit_hold') {
+    return;
+  }
+
   const transactionId = paymentIntent.metadata?.transaction_id;
   if (!transactionId) {
     logger.warn('Payment succeeded without transaction_id in metadata');
@@ -239,7 +275,8 @@ async function handlePaymentSucceeded(paymentIntent) {
 
   // payment_intent.succeeded fires after capture (lender already approved).
   // Only update payment_status to 'captured' — don't overwrite status set by approve route.
-  await query(
+  await queryAs(
+    { source: 'stripe' },
     `UPDATE borrow_transactions SET payment_status = 'captured'
      WHERE id = $1 AND payment_status != 'captured'`,
     [transactionId]
@@ -267,10 +304,21 @@ async function handlePaymentSucceeded(paymentIntent) {
 }
 
 async function handlePaymentFailed(paymentIntent) {
+  if (paymentIntent.metadata?.type === 'rto_payment') {
+    await failInstallment(
+      paymentIntent.metadata.rto_payment_id,
+      paymentIntent.last_payment_error?.message || 'Payment failed',
+      paymentIntent.id,
+      { manual: paymentIntent.metadata.trigger === 'manual' }
+    );
+    return;
+  }
+
   const transactionId = paymentIntent.metadata?.transaction_id;
   if (!transactionId) return;
 
-  await query(
+  await queryAs(
+    { source: 'stripe' },
     `UPDATE borrow_transactions SET payment_status = 'failed' WHERE id = $1`,
     [transactionId]
   );
@@ -282,21 +330,21 @@ async function handlePaymentCanceled(paymentIntent) {
   const transactionId = paymentIntent.metadata?.transaction_id;
   if (!transactionId) return;
 
-  await query(
+  // Only a booking that hasn't started is cancelled — releasing the deposit hold
+  // after a return cancels the same PaymentIntent
+  const cancelled = await queryAs(
+    { source: 'stripe' },
     `UPDATE borrow_transactions SET
       status = 'cancelled',
       payment_status = 'cancelled'
-     WHERE id = $1`,
+     WHERE id = $1 AND status IN ('pending', 'approved', 'paid')
+     RETURNING id`,
     [transactionId]
   );
+  if (cancelled.rows.length === 0) return;
 
-  // Mark listing as available again
-  await query(
-    `UPDATE listings SET is_available = true
-     FROM borrow_transactions t
-     WHERE listings.id = t.listing_id AND t.id = $1`,
-    [transactionId]
-  );
+  // Mark listing (or every bundle item) as available again
+  await setTransactionListingsAvailable(transactionId, true);
 
   logger.info(`Payment canceled for transaction ${transactionId}`);
 }
@@ -305,8 +353,11 @@ async function handleAuthorizationHeld(paymentIntent) {
   const transactionId = paymentIntent.metadata?.transaction_id;
   if (!transactionId) return;
 
+  await recordCheckoutHold(transactionId, paymentIntent);
+
   // Update to show authorization is ready (only if not already set by confirm-payment route)
-  const updated = await query(
+  const updated = await queryAs(
+    { source: 'stripe' },
     `UPDATE borrow_transactions SET payment_status = 'authorized'
      WHERE id = $1 AND payment_status != 'authorized'
      RETURNING id`,
@@ -375,22 +426,19 @@ async function handleChargeRefunded(charge) {
     const t = transaction.rows[0];
 
     // Update payment status
-    await query(
+    await queryAs(
+      { source: 'stripe' },
       `UPDATE borrow_transactions SET payment_status = 'refunded' WHERE id = $1`,
       [t.id]
     );
 
     // Log for audit
-    await query(
-      `INSERT INTO audit_log (user_id, action, entity_type, entity_id, details)
-       VALUES ($1, $2, 'transaction', $3, $4)`,
-      [
-        null, // System action
-        'refund_processed',
-        t.id,
-        JSON.stringify({ refund_amount: charge.amount_refunded }),
-      ]
-    );
+    await recordAudit({
+      action: 'refund_processed',
+      entityType: 'transaction',
+      entityId: t.id,
+      newValues: { refund_amount: charge.amount_refunded },
+    });
 
     logger.info(`Refund processed for transaction ${t.id}, payment_status set to refunded`);
   }
@@ -649,7 +697,8 @@ async function handleChargeDisputeCreated(dispute) {
   }
 
   // Flag the transaction as disputed
-  await query(
+  await queryAs(
+    { source: 'stripe' },
     `UPDATE borrow_transactions
      SET status = 'disputed', payment_status = 'disputed'
      WHERE id = $1`,
@@ -0,0 +1,96 @@
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Audit trail. Admin actions (and a few system events like Stripe refunds) are
+ * recorded in audit_log with before/after snapshots of whatever changed.
+ */
+
+/**
+ * Write one audit_log row. Pass `req` to capture the caller's IP and user agent;
+ * leave `actorId` null for system actions.
+ */
+export async function recordAudit({
+  actorId = null,
+  action,
+  entityType,
+  entityId,
+  oldValues = null,
+  newValues = null,
+  req = null,
+}, client = db) {
+  await client.query(
+    `INSERT INTO audit_log (actor_id, action, entity_type, entity_id, old_values, new_values, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      actorId,
+      action,
+      entityType,
+      entityId,
+      oldValues ? JSON.stringify(oldValues) : null,
+      newValues ? JSON.stringify(newValues) : null,
+      req?.ip || null,
+      req?.get?.('user-agent') || null,
+    ]
+  );
+}
+
+/**
+ * Audit entries, newest first. Filter by entity, actor or action.
+ */
+export async function getAuditLog({ entityType, entityId, actorId, action, limit = 50, offset = 0 } = {}, client = db) {
+  const conditions = [];
+  const params = [];
+
+  if (entityType) {
+    params.push(entityType);
+    conditions.push(`a.entity_type = $${params.length}`);
+  }
+  if (entityId) {
+    params.push(entityId);
+    conditions.push(`a.entity_id = $${params.length}`);
+  }
+  if (actorId) {
+    params.push(actorId);
+    conditions.push(`a.actor_id = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    conditions.push(`a.action = $${params.length}`);
+  }
+
+  params.push(limit, offset);
+
+  const result = await client.query(
+    `SELECT a.*, u.first_name as actor_first_name, u.last_name as actor_last_name, u.email as actor_email
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY a.created_at DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map(a => ({
+    id: a.id,
+    action: a.action,
+    entityType: a.entity_type,
+    entityId: a.entity_id,
+    oldValues: a.old_values,
+    newValues: a.new_values,
+    ipAddress: a.ip_address,
+    actor: a.actor_id ? {
+      id: a.actor_id,
+      firstName: a.actor_first_name,
+      lastName: a.actor_last_name,
+      email: a.actor_email,
+    } : null,
+    createdAt: a.created_at,
+  }));
+}
+
+export default {
+  recordAudit,
+  getAuditLog,
+};
@@ -0,0 +1,41 @@
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * User blocking. A block works both ways: once either person blocks the other,
+ * neither sees the other in feeds, browse or people search, and neither can
+ * message or send a borrow request to the other.
+ */
+
+/**
+ * Everyone the user has blocked or been blocked by. Pass the result as an array
+ * parameter to `<column> != ALL($n)` — an empty array filters nothing.
+ */
+export async function getBlockedUserIds(userId, client = db) {
+  const result = await client.query(
+    `SELECT blocked_id as id FROM user_blocks WHERE blocker_id = $1
+     UNION
+     SELECT blocker_id as id FROM user_blocks WHERE blocked_id = $1`,
+    [userId]
+  );
+  return result.rows.map(r => r.id);
+}
+
+/**
+ * Whether either user has blocked the other.
+ */
+export async function isBlockedBetween(userId, otherUserId, client = db) {
+  const result = await client.query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [userId, otherUserId]
+  );
+  return result.rows.length > 0;
+}
+
+export default {
+  getBlockedUserIds,
+  isBlockedBetween,
+};
@@ -0,0 +1,103 @@
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Set availability on every listing a transaction covers — the single listing for a
+ * normal borrow, or all member items for a bundle borrow.
+ * is_available means the item is with its owner right now: it goes false at pickup and
+ * back at return. Future bookings are held in listing_reservations, so approving one
+ * leaves the listing bookable for other dates. Freeing a listing skips any item another
+ * borrower still has out.
+ * Pass a transaction client to run inside withTransaction.
+ */
+export async function setTransactionListingsAvailable(transactionId, isAvailable, client = db) {
+  await client.query(
+    `UPDATE listings SET is_available = $1
+     WHERE id IN (
+       SELECT listing_id FROM borrow_transactions WHERE id = $2
+       UNION
+       SELECT listing_id FROM bundle_transaction_items WHERE transaction_id = $2
+     )
+     AND (NOT $1 OR NOT EXISTS (
+       SELECT 1 FROM listing_reservations lr
+       JOIN borrow_transactions other ON lr.transaction_id = other.id
+       WHERE lr.listing_id = listings.id
+         AND lr.transaction_id <> $2
+         AND lr.released_at IS NULL
+         AND other.status IN ('picked_up', 'return_pending', 'disputed')
+     ))`,
+    [isAvailable, transactionId]
+  );
+}
+
+/**
+ * Record per-item condition for a bundle borrow at 'pickup' or 'return'.
+ * itemConditions is [{ listingId, condition }]; items left out fall back to
+ * fallbackCondition, or at pickup to the listing's own condition.
+ */
+export async function recordItemConditions(transactionId, stage, itemConditions = [], fallbackCondition = null, client = db) {
+  const column = stage === 'pickup' ? 'condition_at_pickup' : 'condition_at_return';
+
+  for (const item of itemConditions) {
+    await client.query(
+      `UPDATE bundle_transaction_items SET ${column} = $1
+       WHERE transaction_id = $2 AND listing_id = $3`,
+      [item.condition, transactionId, item.listingId]
+    );
+  }
+
+  await client.query(
+    `UPDATE bundle_transaction_items bti
+     SET ${column} = COALESCE($1::item_condition, ${stage === 'pickup' ? 'l.condition' : 'NULL'})
+     FROM listings l
+     WHERE bti.listing_id = l.id AND bti.transaction_id = $2 AND bti.${column} IS NULL`,
+    [fallbackCondition, transactionId]
+  );
+}
+
+/**
+ * Items in a bundle borrow that came back in worse condition than they left in.
+ * item_condition is ordered like_new < good < fair < worn.
+ */
+export async function getDegradedItems(transactionId, client = db) {
+  const result = await client.query(
+    `SELECT bti.listing_id, l.title, bti.condition_at_pickup, bti.condition_at_return
+     FROM bundle_transaction_items bti
+     JOIN listings l ON bti.listing_id = l.id
+     WHERE bti.transaction_id = $1 AND bti.condition_at_return > bti.condition_at_pickup`,
+    [transactionId]
+  );
+  return result.rows.map(i => ({
+    listingId: i.listing_id,
+    title: i.title,
+    conditionAtPickup: i.condition_at_pickup,
+    conditionAtReturn: i.condition_at_return,
+  }));
+}
+
+export async function getBundleTransactionItems(transactionId) {
+  const result = await query(
+    `SELECT bti.listing_id, bti.condition_at_pickup, bti.condition_at_return, l.title,
+            (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) as photo_url
+     FROM bundle_transaction_items bti
+     JOIN listings l ON bti.listing_id = l.id
+     WHERE bti.transaction_id = $1
+     ORDER BY bti.sort_order`,
+    [transactionId]
+  );
+  return result.rows.map(i => ({
+    listingId: i.listing_id,
+    title: i.title,
+    photoUrl: i.photo_url,
+    conditionAtPickup: i.condition_at_pickup,
+    conditionAtReturn: i.condition_at_return,
+  }));
+}
+
+export default {
+  setTransactionListingsAvailable,
+  recordItemConditions,
+  getDegradedItems,
+  getBundleTransactionItems,
+};
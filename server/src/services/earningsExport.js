@@ -0,0 +1,325 @@
+import { query } from '../utils/db.js';
+import { stripe } from './stripe.js';
+import { createPdf, wrapText, PAGE_WIDTH } from '../utils/pdf.js';
+import { logger } from '../utils/logger.js';
+import {
+  TAX_REPORTING_THRESHOLD_CENTS,
+  TAX_REPORTING_THRESHOLD_TRANSACTIONS,
+  TAX_REPORTING_WARNING_RATIO,
+} from '../utils/constants.js';
+
+/**
+ * Lender earnings export — an annual, month-by-month summary for taxes. Built on a cash
+ * basis from the payment ledger: every succeeded transfer to the lender lands in the
+ * month it was paid, so net payouts add up to exactly what Stripe sent. Rental and
+ * rent-to-own payouts are grossed back up to what the borrower paid, with the
+ * difference shown as platform fees withheld.
+ *
+ * Payouts sent before the ledger existed only left their transfer id on
+ * borrow_transactions or rto_payments; those rows stand in for the missing ledger entry.
+ */
+
+export const EXPORT_COLUMNS = [
+  ['grossRentalIncome', 'Gross rental income'],
+  ['platformFees', 'Platform fees withheld'],
+  ['lateFeeIncome', 'Late fee income'],
+  ['damageIncome', 'Damage claim income'],
+  ['refunds', 'Refunded to borrowers'],
+  ['netPayouts', 'Net payouts'],
+];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+const emptyRow = () => ({
+  grossRentalIncome: 0,
+  platformFees: 0,
+  lateFeeIncome: 0,
+  damageIncome: 0,
+  refunds: 0,
+  netPayouts: 0,
+  payments: 0,
+});
+
+const toDollars = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [key, key === 'payments' ? value : value / 100])
+);
+
+/**
+ * Sum of Stripe transfers to a Connect account within [start, end), net of reversals.
+ * Returns null when Stripe can't be reached so the export still works offline.
+ */
+async function sumStripeTransfers(connectId, start, end) {
+  try {
+    let total = 0;
+    let startingAfter;
+    for (;;) {
+      const page = await stripe.transfers.list({
+        destination: connectId,
+        created: { gte: Math.floor(start.getTime() / 1000), lt: Math.floor(end.getTime() / 1000) },
+        limit: 100,
+        ...(startingAfter ? { starting_after: startingAfter } : {}),
+      });
+      for (const transfer of page.data) {
+        total += transfer.amount - (transfer.amount_reversed || 0);
+      }
+      if (!page.has_more || page.data.length === 0) return total;
+      startingAfter = page.data[page.data.length - 1].id;
+    }
+  } catch (err) {
+    logger.error(`Earnings export: could not list Stripe transfers for ${connectId}:`, err.message);
+    return null;
+  }
+}
+
+function reportingStatus(grossCents, payments) {
+  const amountRatio = grossCents / TAX_REPORTING_THRESHOLD_CENTS;
+  const countRatio = payments / TAX_REPORTING_THRESHOLD_TRANSACTIONS;
+  const exceeded = amountRatio >= 1 && countRatio >= 1;
+  const approaching = !exceeded
+    && (amountRatio >= TAX_REPORTING_WARNING_RATIO || countRatio >= TAX_REPORTING_WARNING_RATIO);
+
+  let warning = null;
+  if (exceeded) {
+    warning = 'Your earnings this year are over the Form 1099-K reporting thresholds. Expect a 1099-K from our payment processor, Stripe.';
+  } else if (approaching) {
+    warning = `You're approaching the Form 1099-K reporting thresholds ($${(TAX_REPORTING_THRESHOLD_CENTS / 100).toLocaleString('en-US')} and ${TAX_REPORTING_THRESHOLD_TRANSACTIONS} payments in a year). Keep records of your rental income and expenses.`;
+  }
+
+  return {
+    grossPayments: grossCents / 100,
+    payments,
+    thresholdAmount: TAX_REPORTING_THRESHOLD_CENTS / 100,
+    thresholdPayments: TAX_REPORTING_THRESHOLD_TRANSACTIONS,
+    approaching,
+    exceeded,
+    warning,
+  };
+}
+
+/**
+ * Month-by-month earnings for a lender's calendar year (UTC), with totals, a check of
+ * the ledger against Stripe's own transfer records, and 1099-K threshold status.
+ */
+export async function buildEarningsExport(userId, year) {
+  const start = new Date(Date.UTC(year, 0, 1));
+  const end = new Date(Date.UTC(year + 1, 0, 1));
+
+  const months = Array.from({ length: 12 }, emptyRow);
+
+  const transfers = await query(
+    `SELECT op.purpose, op.amount_cents, op.succeeded_at,
+            t.rental_fee, rp.total_amount as rto_amount
+     FROM payment_operations op
+     LEFT JOIN borrow_transactions t ON t.id = op.transaction_id
+     LEFT JOIN rto_payments rp ON op.purpose = 'rto_payout' AND rp.id = (op.metadata->>'rtoPaymentId')::uuid
+     LEFT JOIN rto_contracts rc ON rc.id = rp.contract_id
+     WHERE op.kind = 'transfer' AND op.status = 'succeeded'
+       AND (t.lender_id = $1 OR rc.lender_id = $1)
+       AND op.succeeded_at >= $2 AND op.succeeded_at < $3
+
+     UNION ALL
+
+     -- Pre-ledger rental payouts, dated by the return that released them
+     SELECT 'rental_payout', ROUND(t.lender_payout * 100)::int, COALESCE(t.actual_return_at, t.updated_at),
+            t.rental_fee, NULL
+     FROM borrow_transactions t
+     WHERE t.lender_id = $1 AND t.stripe_transfer_id IS NOT NULL AND t.stripe_transfer_id != ''
+       AND COALESCE(t.actual_return_at, t.updated_at) >= $2 AND COALESCE(t.actual_return_at, t.updated_at) < $3
+       AND NOT EXISTS (
+         SELECT 1 FROM payment_operations op
+         WHERE op.kind = 'transfer' AND op.status = 'succeeded'
+           AND (op.stripe_object_id = t.stripe_transfer_id
+                OR (op.purpose = 'rental_payout' AND op.transaction_id = t.id))
+       )
+
+     UNION ALL
+
+     -- Pre-ledger rent-to-own payouts, sent when the installment was paid
+     SELECT 'rto_payout', ROUND(rp.lender_payout * 100)::int, rp.paid_at,
+            NULL, rp.total_amount
+     FROM rto_payments rp
+     JOIN rto_contracts rc ON rc.id = rp.contract_id
+     WHERE rc.lender_id = $1 AND rp.stripe_transfer_id IS NOT NULL AND rp.stripe_transfer_id != ''
+       AND rp.paid_at >= $2 AND rp.paid_at < $3
+       AND NOT EXISTS (
+         SELECT 1 FROM payment_operations op
+         WHERE op.kind = 'transfer' AND op.status = 'succeeded'
+           AND (op.stripe_object_id = rp.stripe_transfer_id
+                OR (op.purpose = 'rto_payout' AND op.metadata->>'rtoPaymentId' = rp.id::text))
+       )`,
+    [userId, start, end]
+  );
+
+  for (const op of transfers.rows) {
+    const row = months[new Date(op.succeeded_at).getUTCMonth()];
+    const amount = op.amount_cents || 0;
+    row.netPayouts += amount;
+
+    if (op.purpose === 'rental_payout' || op.purpose === 'rto_payout') {
+      // Everything held back from what the borrower paid is the platform's cut
+      const gross = Math.max(toCents(op.purpose === 'rto_payout' ? op.rto_amount : op.rental_fee), amount);
+      row.grossRentalIncome += gross;
+      row.platformFees += gross - amount;
+      row.payments += 1;
+    } else if (op.purpose === 'late_fee') {
+      row.lateFeeIncome += amount;
+    } else if (op.purpose === 'dispute_payout') {
+      row.damageIncome += amount;
+    } else {
+      row.grossRentalIncome += amount;
+    }
+  }
+
+  // Bookings refunded after the borrower was charged — the fee never reached the lender
+  const refunds = await query(
+    `SELECT op.succeeded_at, LEAST(COALESCE(op.amount_cents, ROUND(t.rental_fee * 100)::int),
+                                     ROUND(t.rental_fee * 100)::int) as refunded_cents
+     FROM payment_operations op
+     JOIN borrow_transactions t ON t.id = op.transaction_id
+     WHERE op.kind = 'refund' AND op.purpose = 'rental_refund' AND op.status = 'succeeded'
+       AND t.lender_id = $1
+       AND op.succeeded_at >= $2 AND op.succeeded_at < $3`,
+    [userId, start, end]
+  );
+
+  for (const refund of refunds.rows) {
+    months[new Date(refund.succeeded_at).getUTCMonth()].refunds += refund.refunded_cents || 0;
+  }
+
+  const totals = months.reduce((sum, row) => {
+    for (const key of Object.keys(sum)) sum[key] += row[key];
+    return sum;
+  }, emptyRow());
+
+  const userResult = await query(
+    'SELECT stripe_connect_account_id FROM users WHERE id = $1',
+    [userId]
+  );
+  const connectId = userResult.rows[0]?.stripe_connect_account_id;
+  const stripeCents = connectId ? await sumStripeTransfers(connectId, start, end) : null;
+
+  return {
+    year,
+    currency: 'usd',
+    basis: 'cash',
+    generatedAt: new Date().toISOString(),
+    months: months.map((row, index) => ({
+      month: `${year}-${String(index + 1).padStart(2, '0')}`,
+      ...toDollars(row),
+    })),
+    totals: toDollars(totals),
+    reconciliation: {
+      checked: stripeCents !== null,
+      ledgerPayouts: totals.netPayouts / 100,
+      stripeTransfers: stripeCents !== null ? stripeCents / 100 : null,
+      matched: stripeCents !== null ? stripeCents === totals.netPayouts : null,
+    },
+    reporting: reportingStatus(
+      totals.grossRentalIncome + totals.lateFeeIncome + totals.damageIncome,
+      totals.payments
+    ),
+  };
+}
+
+// ── Renditions ──────────────────────────────────────────────────────
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderEarningsCsv(summary) {
+  const header = ['Month', ...EXPORT_COLUMNS.map(([, label]) => label), 'Payments'];
+  const line = (label, row) => [
+    label,
+    ...EXPORT_COLUMNS.map(([key]) => row[key].toFixed(2)),
+    row.payments,
+  ].map(csvCell).join(',');
+
+  return [
+    header.map(csvCell).join(','),
+    ...summary.months.map(row => line(row.month, row)),
+    line('Total', summary.totals),
+  ].join('\r\n') + '\r\n';
+}
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+
+export function renderEarningsPdf(summary, { name } = {}) {
+  const doc = createPdf({ title: `${summary.year} earnings summary` });
+  const margin = 40;
+  const right = PAGE_WIDTH - margin;
+  const monthWidth = 50;
+  const columnWidth = (right - margin - monthWidth) / EXPORT_COLUMNS.length;
+  const columnRight = (index) => margin + monthWidth + columnWidth * (index + 1);
+
+  let y = margin + 14;
+  doc.text('Borrowhood', margin, y, { size: 18, bold: true });
+  doc.text(`${summary.year} Earnings Summary`, right, y, { size: 12, bold: true, align: 'right' });
+  y += 16;
+  doc.text(`Generated ${new Date(summary.generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`,
+    right, y, { size: 9, gray: 0.4, align: 'right' });
+  if (name) doc.text(`Prepared for ${name}`, margin, y, { size: 10 });
+  y += 14;
+  doc.rule(margin, y, right, { width: 1, gray: 0.2 });
+  y += 26;
+
+  // Column headings wrap onto two lines to fit the page width
+  EXPORT_COLUMNS.forEach(([, label], index) => {
+    const words = label.split(' ');
+    const split = Math.ceil(words.length / 2);
+    doc.text(words.slice(0, split).join(' '), columnRight(index), y, { size: 8, bold: true, gray: 0.4, align: 'right' });
+    doc.text(words.slice(split).join(' '), columnRight(index), y + 10, { size: 8, bold: true, gray: 0.4, align: 'right' });
+  });
+  doc.text('MONTH', margin, y + 10, { size: 8, bold: true, gray: 0.4 });
+  y += 16;
+  doc.rule(margin, y, right);
+  y += 16;
+
+  const row = (label, values, { bold = false } = {}) => {
+    doc.text(label, margin, y, { size: 9, bold });
+    EXPORT_COLUMNS.forEach(([key], index) => {
+      doc.text(money(values[key]), columnRight(index), y, { size: 9, bold, align: 'right' });
+    });
+    y += 18;
+  };
+
+  summary.months.forEach((values, index) => row(MONTH_NAMES[index], values));
+  doc.rule(margin, y - 6, right, { width: 1, gray: 0.2 });
+  y += 8;
+  row('Total', summary.totals, { bold: true });
+
+  const paragraph = (text, { size = 9, bold = false, gray = 0 } = {}) => {
+    for (const lineText of wrapText(text, size, right - margin, { bold })) {
+      doc.text(lineText, margin, y, { size, bold, gray });
+      y += size + 4;
+    }
+    y += 2;
+  };
+
+  y += 12;
+  const { reconciliation, reporting } = summary;
+  paragraph(`Payments: ${summary.totals.payments}`);
+  if (reconciliation.checked) {
+    paragraph(reconciliation.matched
+      ? `Net payouts match Stripe transfer records (${money(reconciliation.stripeTransfers)}).`
+      : `Stripe transfer records show ${money(reconciliation.stripeTransfers)}; contact support about the difference.`,
+    { gray: 0.3 });
+  }
+  if (reporting.warning) paragraph(reporting.warning, { bold: true });
+
+  y += 10;
+  paragraph('Cash basis: amounts are counted in the month they were paid out (UTC). Refunded bookings were never paid out and are not part of gross income. This summary is not tax advice.',
+    { size: 8, gray: 0.45 });
+
+  return doc.toBuffer();
+}
+
+export default {
+  EXPORT_COLUMNS,
+  buildEarningsExport,
+  renderEarningsCsv,
+  renderEarningsPdf,
+};
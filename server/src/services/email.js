@@ -1,3 +1,5 @@
+import net from 'net';
+import crypto from 'crypto';
 import { Resend } from 'resend';
 import { logger } from '../utils/logger.js';
 
@@ -8,11 +10,126 @@ let resend = null;
 if (process.env.RESEND_API_KEY) {
   resend = new Resend(process.env.RESEND_API_KEY);
   logger.info('Email configured via Resend');
+} else if (process.env.SMTP_HOST) {
+  logger.info(`RESEND_API_KEY not set — emails will go to SMTP at ${process.env.SMTP_HOST}`);
 } else {
   logger.warn('RESEND_API_KEY not set — emails will be logged to console only');
 }
 
 const FROM = 'Borrowhood <noreply@borrowhood.net>';
+const APP_URL = process.env.APP_URL || 'https://borrowhood.com';
+
+// ── Local SMTP ──────────────────────────────────────────────────────
+// Without Resend, SMTP_HOST/SMTP_PORT can point at a local stand-in (Mailpit,
+// MailHog, smtp4dev) so emails can be read and tested end to end. Plain SMTP
+// only — no TLS or auth, this is not meant for a real relay.
+
+const address = (mailbox) => mailbox.match(/<([^>]+)>/)?.[1] || mailbox;
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const base64Lines = (content) => Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+function buildMime({ from, to, subject, text, html, headers = {}, attachments = [] }) {
+  const boundary = `bh_${crypto.randomBytes(12).toString('hex')}`;
+  const mixed = attachments.length > 0 ? `bh_${crypto.randomBytes(12).toString('hex')}` : null;
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${address(from).split('@')[1]}>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+  ];
+  // With attachments the text/html alternatives nest inside a multipart/mixed part
+  if (mixed) {
+    lines.push(`Content-Type: multipart/mixed; boundary="${mixed}"`, '', `--${mixed}`);
+  }
+  lines.push(
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    // Base64 bodies never start a line with '.', so no SMTP dot-stuffing is needed
+    base64Lines(text),
+  );
+  if (html) {
+    lines.push(
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(html),
+    );
+  }
+  lines.push(`--${boundary}--`);
+  if (mixed) {
+    for (const attachment of attachments) {
+      lines.push(
+        `--${mixed}`,
+        `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${attachment.filename}"`,
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(attachment.content),
+      );
+    }
+    lines.push(`--${mixed}--`);
+  }
+  lines.push('');
+  return lines.join('\r\n');
+}
+
+function sendSmtp(message) {
+  const host = process.env.SMTP_HOST;
+  const port = parseInt(process.env.SMTP_PORT, 10) || 1025;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const steps = [
+      [220, () => `EHLO ${process.env.SMTP_HELO || 'localhost'}`],
+      [250, () => `MAIL FROM:<${address(message.from)}>`],
+      [250, () => `RCPT TO:<${address(message.to)}>`],
+      [250, () => 'DATA'],
+      [354, () => `${buildMime(message)}\r\n.`],
+      [250, () => 'QUIT'],
+    ];
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(10000, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('error', reject);
+    socket.on('close', () => {
+      if (steps.length > 0) reject(new Error('SMTP connection closed early'));
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      // A reply is complete at a line with a space after the code; "250-" lines continue it
+      let match;
+      while ((match = buffer.match(/^(\d{3}) .*\r?\n/m))) {
+        const reply = buffer.slice(0, match.index + match[0].length);
+        buffer = buffer.slice(reply.length);
+        const [expected, next] = steps.shift() || [];
+        if (!expected) return;
+        if (parseInt(match[1], 10) !== expected) {
+          socket.destroy();
+          reject(new Error(`SMTP error: ${reply.trim()}`));
+          return;
+        }
+        socket.write(`${next()}\r\n`);
+        if (steps.length === 0) {
+          socket.end();
+          resolve();
+        }
+      }
+    });
+  });
+}
 
 // ── Helpers ─────────────────────────────────────────────────────────
 
@@ -44,18 +161,32 @@ function wrapHtml(title, bodyHtml) {
 </html>`;
 }
 
-async function sendMail({ to, subject, text, html }) {
+async function sendMail({ to, subject, text, html, headers, attachments }) {
   if (resend) {
     try {
-      await resend.emails.send({ from: FROM, to, subject, text, html });
+      await resend.emails.send({
+        from: FROM, to, subject, text, html, headers,
+        attachments: attachments?.map(({ filename, content }) => ({ filename, content })),
+      });
       logger.info(`Email sent to ${to}: ${subject}`);
     } catch (err) {
       logger.error(`Failed to send email to ${to}:`, err);
       throw err;
     }
+  } else if (process.env.SMTP_HOST) {
+    try {
+      await sendSmtp({ from: FROM, to, subject, text, html, headers, attachments });
+      logger.info(`Email sent via SMTP to ${to}: ${subject}`);
+    } catch (err) {
+      logger.error(`Failed to send email via SMTP to ${to}:`, err);
+      throw err;
+    }
   } else {
     logger.info(`[EMAIL CONSOLE] To: ${to} | Subject: ${subject}`);
     logger.info(`[EMAIL CONSOLE] Body: ${text}`);
+    if (attachments?.length) {
+      logger.info(`[EMAIL CONSOLE] Attachments: ${attachments.map(a => a.filename).join(', ')}`);
+    }
   }
 }
 
@@ -101,3 +232,156 @@ export async function sendAccountHintEmail(to, providers) {
   `);
   await sendMail({ to, subject, text, html });
 }
+
+// ── Notification emails ─────────────────────────────────────────────
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const signUnsubscribe = (userId, scope) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`unsubscribe:${userId}:${scope}`)
+  .digest('base64url');
+
+/**
+ * Link that turns off one notification type's emails (or all of them, scope 'all')
+ * without signing in. Signed so it can't be forged for someone else's account.
+ */
+export function unsubscribeUrl(userId, scope = 'all') {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const params = new URLSearchParams({ user: userId, scope, sig: signUnsubscribe(userId, scope) });
+  return `${apiUrl}/api/notifications/unsubscribe?${params}`;
+}
+
+export function verifyUnsubscribe(userId, scope, sig) {
+  const expected = Buffer.from(signUnsubscribe(userId, scope));
+  const given = Buffer.from(String(sig || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Where a notification's "Open in Borrowhood" button goes.
+ */
+export function notificationActionUrl(data = {}) {
+  if (data.disputeId) return `${APP_URL}/disputes/${data.disputeId}`;
+  if (data.transactionId) return `${APP_URL}/transactions/${data.transactionId}`;
+  if (data.listingId) return `${APP_URL}/listings/${data.listingId}`;
+  return APP_URL;
+}
+
+function unsubscribeFooter(url) {
+  return `
+    <p style="margin:24px 0 0;color:#6B8A66;font-size:12px;line-height:1.5;">
+      You're getting this because of your Borrowhood email settings.
+      <a href="${url}" style="color:#6B8A66;">Unsubscribe</a>
+    </p>`;
+}
+
+// One-click unsubscribe (RFC 8058) for mail clients that offer it
+const unsubscribeHeaders = (url) => ({
+  'List-Unsubscribe': `<${url}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+});
+
+export async function sendNotificationEmail(to, { title, body, actionUrl, unsubscribeUrl: unsubscribe }) {
+  const text = `${body}\n\nOpen in Borrowhood: ${actionUrl}\n\nUnsubscribe: ${unsubscribe}`;
+  const html = wrapHtml(escapeHtml(title), `
+    <p style="margin:0 0 20px;color:#3D5A38;font-size:15px;line-height:1.5;">${escapeHtml(body)}</p>
+    <a href="${actionUrl}" style="display:inline-block;background:#2D5A27;color:#ffffff;text-decoration:none;font-size:15px;font-weight:600;padding:12px 20px;border-radius:8px;">
+      Open in Borrowhood
+    </a>
+    ${unsubscribeFooter(unsubscribe)}
+  `);
+  await sendMail({ to, subject: title, text, html, headers: unsubscribeHeaders(unsubscribe) });
+}
+
+export async function sendDigestEmail(to, { frequency, items, unsubscribeUrl: unsubscribe }) {
+  const period = frequency === 'weekly' ? 'week' : 'day';
+  const subject = `Your Borrowhood ${frequency} summary`;
+  const text = [
+    `Here's what happened this ${period}:`,
+    ...items.map(item => `\n${item.title}\n${item.body}${item.action_url ? `\n${item.action_url}` : ''}`),
+    `\nUnsubscribe: ${unsubscribe}`,
+  ].join('\n');
+  const html = wrapHtml(`Your ${frequency} summary`, `
+    <p style="margin:0 0 16px;color:#3D5A38;font-size:15px;line-height:1.5;">Here's what happened this ${period}:</p>
+    ${items.map(item => `
+    <div style="border-top:1px solid #e0d5c0;padding:14px 0;">
+      <p style="margin:0 0 4px;color:#1B3318;font-size:14px;font-weight:600;">${escapeHtml(item.title)}</p>
+      <p style="margin:0;color:#3D5A38;font-size:14px;line-height:1.5;">${escapeHtml(item.body)}</p>
+      ${item.action_url ? `<a href="${item.action_url}" style="color:#2D5A27;font-size:13px;">View</a>` : ''}
+    </div>`).join('')}
+    ${unsubscribeFooter(unsubscribe)}
+  `);
+  await sendMail({ to, subject, text, html, headers: unsubscribeHeaders(unsubscribe) });
+}
+
+export async function sendReceiptEmail(to, { receipt, pdf }) {
+  const subject = `Your Borrowhood receipt ${receipt.receiptNumber}`;
+  const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+  const text = [
+    `Receipt ${receipt.receiptNumber} for ${receipt.item.title}`,
+    '',
+    ...receipt.lineItems.map(line => `${line.label}: ${line.memo ? `(${money(line.amount)})` : money(line.amount)}`),
+    `${receipt.totalLabel}: ${money(receipt.total)}`,
+    '',
+    'The full receipt is attached as a PDF.',
+  ].join('\n');
+  const html = wrapHtml(`Receipt ${receipt.receiptNumber}`, `
+    <p style="margin:0 0 16px;color:#3D5A38;font-size:15px;line-height:1.5;">${escapeHtml(receipt.item.title)}</p>
+    <table width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;color:#3D5A38;">
+      ${receipt.lineItems.map(line => `
+      <tr style="${line.memo ? 'color:#6B8A66;' : ''}">
+        <td style="padding:6px 0;">${escapeHtml(line.label)}</td>
+        <td style="padding:6px 0;text-align:right;">${line.memo ? `(${money(line.amount)})` : money(line.amount)}</td>
+      </tr>`).join('')}
+      <tr style="color:#1B3318;font-weight:700;">
+        <td style="padding:10px 0;border-top:1px solid #e0d5c0;">${receipt.totalLabel}</td>
+        <td style="padding:10px 0;border-top:1px solid #e0d5c0;text-align:right;">${money(receipt.total)}</td>
+      </tr>
+    </table>
+    <p style="margin:16px 0 0;color:#6B8A66;font-size:13px;line-height:1.5;">The full receipt is attached as a PDF.</p>
+  `);
+  await sendMail({
+    to, subject, text, html,
+    attachments: [{ filename: `${receipt.receiptNumber}.pdf`, content: pdf, contentType: 'application/pdf' }],
+  });
+}
+
+export async function sendEarningsExportEmail(to, { summary, csv, pdf }) {
+  const { year, totals, reporting } = summary;
+  const subject = `Your Borrowhood ${year} earnings summary`;
+  const money = (amount) => `$${amount.toFixed(2)}`;
+  const text = [
+    `Your ${year} earnings summary is attached as a CSV and a PDF.`,
+    '',
+    `Gross rental income: ${money(totals.grossRentalIncome)}`,
+    `Platform fees withheld: ${money(totals.platformFees)}`,
+    `Net payouts: ${money(totals.netPayouts)}`,
+    ...(reporting.warning ? ['', reporting.warning] : []),
+  ].join('\n');
+  const html = wrapHtml(`${year} earnings summary`, `
+    <p style="margin:0 0 16px;color:#3D5A38;font-size:15px;line-height:1.5;">
+      Your month-by-month summary is attached as a CSV (for spreadsheets) and a PDF.
+    </p>
+    <table width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;color:#3D5A38;">
+      <tr><td style="padding:6px 0;">Gross rental income</td><td style="padding:6px 0;text-align:right;">${money(totals.grossRentalIncome)}</td></tr>
+      <tr><td style="padding:6px 0;">Platform fees withheld</td><td style="padding:6px 0;text-align:right;">${money(totals.platformFees)}</td></tr>
+      <tr style="color:#1B3318;font-weight:700;">
+        <td style="padding:10px 0;border-top:1px solid #e0d5c0;">Net payouts</td>
+        <td style="padding:10px 0;border-top:1px solid #e0d5c0;text-align:right;">${money(totals.netPayouts)}</td>
+      </tr>
+    </table>
+    ${reporting.warning ? `<p style="margin:16px 0 0;color:#B8860B;font-size:13px;line-height:1.5;">${escapeHtml(reporting.warning)}</p>` : ''}
+  `);
+  await sendMail({
+    to, subject, text, html,
+    attachments: [
+      { filename: `borrowhood-earnings-${year}.csv`, content: csv, contentType: 'text/csv' },
+      { filename: `borrowhood-earnings-${year}.pdf`, content: pdf, contentType: 'application/pdf' },
+    ],
+  });
+}
@@ -0,0 +1,70 @@
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Feature toggles stored in feature_flags and flipped from the admin console.
+ * Only the features below can be toggled; each one is enforced by requireFeature()
+ * on the routes that start it. A flag that has never been set reads as its default.
+ */
+
+export const FEATURE_FLAGS = {
+  rto: { description: 'New rent-to-own proposals', defaultEnabled: true },
+  bundles: { description: 'Borrowing bundles', defaultEnabled: true },
+  library: { description: 'Community library checkouts', defaultEnabled: true },
+};
+
+export async function getFeatureFlags(client = db) {
+  const result = await client.query(
+    `SELECT f.*, u.first_name as updated_by_name
+     FROM feature_flags f
+     LEFT JOIN users u ON f.updated_by = u.id
+     WHERE f.key = ANY($1)`,
+    [Object.keys(FEATURE_FLAGS)]
+  );
+  const saved = new Map(result.rows.map(f => [f.key, f]));
+
+  return Object.entries(FEATURE_FLAGS).map(([key, def]) => {
+    const f = saved.get(key);
+    return {
+      id: f?.id || null,
+      key,
+      enabled: f ? f.enabled : def.defaultEnabled,
+      description: f?.description || def.description,
+      updatedByName: f?.updated_by_name || null,
+      updatedAt: f?.updated_at || null,
+    };
+  });
+}
+
+export async function isFeatureEnabled(key, client = db) {
+  const result = await client.query('SELECT enabled FROM feature_flags WHERE key = $1', [key]);
+  return result.rows.length > 0 ? result.rows[0].enabled : (FEATURE_FLAGS[key]?.defaultEnabled ?? false);
+}
+
+/**
+ * Create or update a flag. Returns the previous row (null if new) and the saved one
+ * so callers can audit the change.
+ */
+export async function setFeatureFlag(key, { enabled, description }, actorId, client = db) {
+  const existing = await client.query('SELECT * FROM feature_flags WHERE key = $1', [key]);
+  const result = await client.query(
+    `INSERT INTO feature_flags (key, enabled, description, updated_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (key) DO UPDATE
+     SET enabled = EXCLUDED.enabled,
+         description = COALESCE($3, feature_flags.description),
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+     RETURNING *`,
+    [key, enabled, description ?? null, actorId]
+  );
+  return { previous: existing.rows[0] || null, flag: result.rows[0] };
+}
+
+export default {
+  FEATURE_FLAGS,
+  getFeatureFlags,
+  isFeatureEnabled,
+  setFeatureFlag,
+};
@@ -0,0 +1,184 @@
+import { query } from '../utils/db.js';
+
+/**
+ * Feed ranking. Every listing and request the viewer can see is scored in one SQL
+ * query from signals that don't change between page loads, then ordered by
+ * (score, id) and paged with an opaque keyset cursor. The cursor pins the time the
+ * first page was ranked, so recency is measured from that moment and items posted
+ * since then wait for the next refresh instead of shifting later pages.
+ */
+
+export const FEED_WEIGHTS = {
+  freshDay: 1000,           // posted within the last day (decays to 800)
+  freshWeek: 800,           // 1-7 days (decays to 400)
+  freshMonth: 400,          // older, decays to 0 over the following 30 days
+  newListing: 150,          // listings under NEW_LISTING_HOURS old
+  request: 50,              // keeps ISOs visible without dominating
+  distance: 200,            // owner next door, falling to 0 at MAX_DISTANCE_MILES
+  friend: 150,
+  sharedCircle: 100,
+  categoryInterest: 30,     // per borrow or save in the item's category, capped
+  reputation: 0.5,          // per owner reputation point, capped
+  popularity: 5,            // per save by someone else, capped
+};
+
+const NEW_LISTING_HOURS = 12;
+const MAX_DISTANCE_MILES = 10;
+const INTEREST_CAP = 5;
+const INTEREST_WINDOW_DAYS = 180;
+const REPUTATION_CAP = 200;
+const POPULARITY_CAP = 10;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const feedError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+/**
+ * Cursor for the page after the given item: its score and id plus the ranking time.
+ */
+export function encodeFeedCursor({ score, id, asOf }) {
+  return Buffer.from(JSON.stringify({ s: score, i: id, a: asOf })).toString('base64url');
+}
+
+export function decodeFeedCursor(cursor) {
+  try {
+    const { s, i, a } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!/^-?\d+(\.\d+)?$/.test(s) || typeof i !== 'string' || !UUID_PATTERN.test(i) || Number.isNaN(Date.parse(a))) {
+      throw new Error('malformed');
+    }
+    return { score: s, id: i, asOf: a };
+  } catch (err) {
+    throw feedError('Invalid feed cursor', 400, 'INVALID_CURSOR');
+  }
+}
+
+/**
+ * Rank feed candidates for a viewer.
+ *
+ * @param {object} options
+ * @param {string} options.candidatesSql - SELECT of (id, type, owner_id, category_id, created_at)
+ *   for everything the viewer may see, using $-placeholders from options.params
+ * @param {Array} options.params - placeholder values for candidatesSql
+ * @param {string} options.viewerId
+ * @param {boolean} options.geofenced - users.location is available for distance
+ * @param {string} options.asOf - ISO time the feed is ranked at
+ * @param {object|null} options.after - decoded cursor to continue from
+ * @param {number} options.limit
+ * @param {number} options.offset - legacy page-based paging, ignored with a cursor
+ * @returns {Promise<Array>} rows of { id, type, score, components } best first, up to limit + 1
+ */
+export async function rankFeedCandidates({ candidatesSql, params, viewerId, geofenced, asOf, after, limit, offset = 0 }) {
+  const values = [...params];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const viewer = param(viewerId);
+  const asOfParam = `${param(asOf)}::timestamptz`;
+  const W = FEED_WEIGHTS;
+
+  const distanceSql = geofenced
+    ? `CASE WHEN v.location IS NULL OR o.location IS NULL THEN 0
+         ELSE ${W.distance} * GREATEST(0, 1 - ST_Distance(o.location, v.location) / 1609.34 / ${MAX_DISTANCE_MILES})
+       END`
+    : '0';
+
+  let keyset = '';
+  if (after) {
+    keyset = `WHERE (score, id) < (${param(after.score)}::numeric, ${param(after.id)}::uuid)`;
+  }
+
+  const result = await query(
+    `WITH candidates AS (${candidatesSql}),
+     interests AS (
+       SELECT category_id, COUNT(*) as n FROM (
+         SELECT l.category_id FROM borrow_transactions bt
+         JOIN listings l ON l.id = bt.listing_id
+         WHERE bt.borrower_id = ${viewer}
+           AND bt.created_at BETWEEN ${asOfParam} - INTERVAL '${INTEREST_WINDOW_DAYS} days' AND ${asOfParam}
+         UNION ALL
+         SELECT l.category_id FROM saved_listings s
+         JOIN listings l ON l.id = s.listing_id
+         WHERE s.user_id = ${viewer}
+           AND s.created_at BETWEEN ${asOfParam} - INTERVAL '${INTEREST_WINDOW_DAYS} days' AND ${asOfParam}
+       ) history
+       WHERE category_id IS NOT NULL
+       GROUP BY category_id
+     ),
+     components AS (
+       SELECT c.id, c.type,
+         (CASE
+           WHEN c.age_hours < 24 THEN ${W.freshDay} - c.age_hours / 24 * (${W.freshDay} - ${W.freshWeek})
+           WHEN c.age_hours < 168 THEN ${W.freshWeek} - (c.age_hours - 24) / 144 * (${W.freshWeek} - ${W.freshMonth})
+           ELSE GREATEST(0, ${W.freshMonth} - (c.age_hours - 168) / 720 * ${W.freshMonth})
+         END) as freshness,
+         (CASE
+           WHEN c.type = 'request' THEN ${W.request}
+           WHEN c.age_hours < ${NEW_LISTING_HOURS} THEN ${W.newListing}
+           ELSE 0
+         END) as boost,
+         (${distanceSql}) as distance,
+         (CASE WHEN EXISTS (
+             SELECT 1 FROM friendships f
+             WHERE f.user_id = ${viewer} AND f.friend_id = c.owner_id AND f.status = 'accepted'
+           ) THEN ${W.friend} ELSE 0 END
+          + CASE WHEN c.owner_id <> ${viewer} AND EXISTS (
+             SELECT 1 FROM lending_circle_members mine
+             JOIN lending_circle_members theirs ON theirs.circle_id = mine.circle_id
+             WHERE mine.user_id = ${viewer} AND mine.status = 'active'
+               AND theirs.user_id = c.owner_id AND theirs.status = 'active'
+           ) THEN ${W.sharedCircle} ELSE 0 END) as affinity,
+         ${W.categoryInterest} * LEAST(COALESCE(i.n, 0), ${INTEREST_CAP}) as interest,
+         ${W.reputation} * LEAST(GREATEST(COALESCE(o.reputation_score, 0), 0), ${REPUTATION_CAP}) as reputation,
+         (CASE WHEN c.type = 'listing' THEN ${W.popularity} * LEAST((
+             SELECT COUNT(*) FROM saved_listings s
+             WHERE s.listing_id = c.id AND s.user_id <> ${viewer} AND s.created_at <= ${asOfParam}
+           ), ${POPULARITY_CAP}) ELSE 0 END) as popularity
+       FROM (
+         SELECT cand.*, GREATEST(EXTRACT(EPOCH FROM (${asOfParam} - cand.created_at)) / 3600, 0) as age_hours
+         FROM candidates cand
+         WHERE cand.created_at <= ${asOfParam}
+       ) c
+       JOIN users o ON o.id = c.owner_id
+       JOIN users v ON v.id = ${viewer}
+       LEFT JOIN interests i ON i.category_id = c.category_id
+     ),
+     scored AS (
+       SELECT *, ROUND((freshness + boost + distance + affinity + interest + reputation + popularity)::numeric, 3) as score
+       FROM components
+     )
+     SELECT * FROM scored
+     ${keyset}
+     ORDER BY score DESC, id DESC
+     LIMIT ${param(limit + 1)} OFFSET ${param(after ? 0 : offset)}`,
+    values
+  );
+
+  const round = (n) => Math.round(parseFloat(n) * 1000) / 1000;
+  return result.rows.map(row => ({
+    id: row.id,
+    type: row.type,
+    score: row.score,
+    components: {
+      freshness: round(row.freshness),
+      boost: round(row.boost),
+      distance: round(row.distance),
+      affinity: round(row.affinity),
+      interest: round(row.interest),
+      reputation: round(row.reputation),
+      popularity: round(row.popularity),
+    },
+  }));
+}
+
+export default {
+  FEED_WEIGHTS,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  rankFeedCandidates,
+};
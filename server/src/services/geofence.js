@@ -0,0 +1,272 @@
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+const db = { query };
+
+/**
+ * Community geofences. A community can carry a boundary polygon; when it does,
+ * joining requires the user's location to be inside it, and communities with
+ * scope_to_boundary show neighborhood-visibility items to people inside the
+ * polygon rather than everyone in the owner's city. Deployments without PostGIS
+ * have no boundary column, and everything falls back to city matching.
+ */
+
+const SQ_METERS_PER_SQ_MILE = 2589988.11;
+const MAX_BOUNDARY_POINTS = 2000;
+const MAX_BOUNDARY_SQ_MILES = 100;
+
+let boundarySupport = null;
+
+const geofenceError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+/**
+ * Whether this database has communities.boundary and users.location (PostGIS).
+ * Checked once per process — migrations run before the server takes traffic.
+ */
+export async function hasBoundarySupport(client = db) {
+  if (boundarySupport !== null) return boundarySupport;
+  try {
+    const result = await client.query(
+      `SELECT COUNT(*)::int as count FROM information_schema.columns
+       WHERE (table_name = 'communities' AND column_name = 'boundary')
+          OR (table_name = 'users' AND column_name = 'location')`
+    );
+    boundarySupport = result.rows[0].count === 2;
+  } catch (err) {
+    logger.warn('Boundary support check failed, matching by city:', err.message);
+    return false;
+  }
+  return boundarySupport;
+}
+
+/**
+ * SQL condition for "this listing's neighborhood visibility reaches the viewer".
+ * Listings in a boundary-scoped community need the viewer inside the polygon;
+ * everything else matches on the owner's city.
+ *
+ * @param {boolean} geofenced - result of hasBoundarySupport()
+ * @param {object} refs - table aliases and placeholders: { item, owner, viewerParam, cityParam }
+ */
+export function neighborhoodMatchSql(geofenced, { item = 'l', owner = 'u', viewerParam, cityParam }) {
+  const cityMatch = `(${owner}.city IS NOT NULL AND LOWER(${owner}.city) = LOWER(${cityParam}))`;
+  if (!geofenced) return cityMatch;
+
+  return `(CASE
+    WHEN EXISTS (
+      SELECT 1 FROM communities gc
+      WHERE gc.id = ${item}.community_id AND gc.scope_to_boundary AND gc.boundary IS NOT NULL
+    ) THEN EXISTS (
+      SELECT 1 FROM communities gc JOIN users gv ON gv.id = ${viewerParam}
+      WHERE gc.id = ${item}.community_id AND ST_Covers(gc.boundary, gv.location)
+    )
+    ELSE ${cityMatch}
+  END)`;
+}
+
+/**
+ * Single-item version of neighborhoodMatchSql for routes that check one listing.
+ */
+export async function isInNeighborhood(viewerId, { communityId, ownerCity }, client = db) {
+  if (communityId && await hasBoundarySupport(client)) {
+    const result = await client.query(
+      `SELECT (c.scope_to_boundary AND c.boundary IS NOT NULL) as scoped,
+              COALESCE(ST_Covers(c.boundary, u.location), false) as covered
+       FROM communities c, users u
+       WHERE c.id = $1 AND u.id = $2`,
+      [communityId, viewerId]
+    );
+    if (result.rows[0]?.scoped) {
+      return result.rows[0].covered;
+    }
+  }
+
+  const viewer = await client.query('SELECT city FROM users WHERE id = $1', [viewerId]);
+  const viewerCity = viewer.rows[0]?.city;
+  return !!(viewerCity && ownerCity && viewerCity.toLowerCase() === ownerCity.toLowerCase());
+}
+
+/**
+ * Whether a user may join a community: inside its boundary if it has one,
+ * otherwise in the same city. Returns null when eligible, or { status, error, code }.
+ */
+export async function checkJoinEligibility(userId, community, client = db) {
+  if (await hasBoundarySupport(client)) {
+    const result = await client.query(
+      `SELECT c.boundary IS NOT NULL as has_boundary,
+              u.location IS NOT NULL as has_location,
+              COALESCE(ST_Covers(c.boundary, u.location), false) as covered
+       FROM communities c, users u
+       WHERE c.id = $1 AND u.id = $2`,
+      [community.id, userId]
+    );
+    const row = result.rows[0];
+    if (row?.has_boundary) {
+      if (!row.has_location) {
+        return {
+          status: 400,
+          error: 'Set your location in your profile so we can check you live in this neighborhood.',
+          code: 'LOCATION_REQUIRED',
+        };
+      }
+      if (!row.covered) {
+        return { status: 403, error: 'You can only join neighborhoods you live in.', code: 'OUTSIDE_BOUNDARY' };
+      }
+      return null;
+    }
+  }
+
+  const user = await client.query('SELECT city FROM users WHERE id = $1', [userId]);
+  const userCity = user.rows[0]?.city;
+  if (userCity && community.city && userCity.toLowerCase() !== community.city.toLowerCase()) {
+    return { status: 403, error: 'You can only join communities in your city.' };
+  }
+  return null;
+}
+
+/**
+ * Copy a user's saved latitude/longitude into users.location.
+ */
+export async function syncUserLocation(userId, client = db) {
+  if (!await hasBoundarySupport(client)) return;
+  await client.query(
+    `UPDATE users
+     SET location = CASE
+       WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+       THEN ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography
+     END
+     WHERE id = $1`,
+    [userId]
+  );
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2
+  && Number.isFinite(p[0]) && Number.isFinite(p[1])
+  && p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90;
+
+/**
+ * Pull a single polygon out of uploaded GeoJSON (a Polygon, a Feature, a
+ * FeatureCollection with one polygon, or a one-part MultiPolygon) and check its
+ * shape. Open rings — e.g. points tapped out in the app — are closed for you.
+ */
+export function parseBoundary(input) {
+  let geometry = input;
+  if (geometry?.type === 'FeatureCollection') {
+    const polygons = (geometry.features || []).filter(f => ['Polygon', 'MultiPolygon'].includes(f?.geometry?.type));
+    if (polygons.length !== 1) {
+      throw geofenceError('The GeoJSON must contain exactly one polygon');
+    }
+    geometry = polygons[0];
+  }
+  if (geometry?.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    if (geometry.coordinates?.length !== 1) {
+      throw geofenceError('The boundary must be a single polygon');
+    }
+    geometry = { type: 'Polygon', coordinates: geometry.coordinates[0] };
+  }
+  if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    throw geofenceError('Expected a GeoJSON Polygon');
+  }
+
+  let pointCount = 0;
+  const rings = geometry.coordinates.map((ring) => {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) {
+      throw geofenceError('Coordinates must be [longitude, latitude] pairs');
+    }
+    const positions = ring.map(p => [p[0], p[1]]);
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      positions.push([first[0], first[1]]);
+    }
+    if (positions.length < 4) {
+      throw geofenceError('A boundary needs at least three corners');
+    }
+    pointCount += positions.length;
+    return positions;
+  });
+
+  if (pointCount > MAX_BOUNDARY_POINTS) {
+    throw geofenceError(`A boundary can have at most ${MAX_BOUNDARY_POINTS} points`);
+  }
+
+  return { type: 'Polygon', coordinates: rings };
+}
+
+/**
+ * Save a parsed polygon as the community's boundary and re-center the community
+ * on it. Rejects self-intersecting or oversized shapes.
+ */
+export async function setCommunityBoundary(communityId, polygon, client = db) {
+  const geojson = JSON.stringify(polygon);
+
+  const check = await client.query(
+    `SELECT ST_IsValid(g) as valid, ST_IsValidReason(g) as reason,
+            ST_Area(g::geography) / ${SQ_METERS_PER_SQ_MILE} as area_sq_miles
+     FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) as g) shape`,
+    [geojson]
+  );
+  const { valid, reason, area_sq_miles: area } = check.rows[0];
+  if (!valid) {
+    throw geofenceError(`The boundary isn't a valid shape (${reason})`, 400, 'INVALID_BOUNDARY');
+  }
+  if (parseFloat(area) > MAX_BOUNDARY_SQ_MILES) {
+    throw geofenceError(`Neighborhood boundaries can cover at most ${MAX_BOUNDARY_SQ_MILES} square miles`, 400, 'BOUNDARY_TOO_LARGE');
+  }
+
+  await client.query(
+    `UPDATE communities
+     SET boundary = ST_SetSRID(ST_GeomFromGeoJSON($2), 4326)::geography,
+         center = ST_Centroid(ST_SetSRID(ST_GeomFromGeoJSON($2), 4326))::geography
+     WHERE id = $1`,
+    [communityId, geojson]
+  );
+
+  return { areaSqMiles: parseFloat(area) };
+}
+
+/**
+ * The community's boundary as a GeoJSON Feature (geometry is null when unset).
+ */
+export async function getBoundaryFeature(communityId, client = db) {
+  const result = await client.query(
+    `SELECT id, name, slug, scope_to_boundary,
+            ST_AsGeoJSON(boundary::geometry) as geojson,
+            ST_Area(boundary) / ${SQ_METERS_PER_SQ_MILE} as area_sq_miles
+     FROM communities
+     WHERE id = $1`,
+    [communityId]
+  );
+  const c = result.rows[0];
+  if (!c) return null;
+
+  return {
+    type: 'Feature',
+    geometry: c.geojson ? JSON.parse(c.geojson) : null,
+    properties: {
+      id: c.id,
+      name: c.name,
+      slug: c.slug,
+      scopeToBoundary: c.scope_to_boundary,
+      areaSqMiles: c.area_sq_miles !== null ? Math.round(parseFloat(c.area_sq_miles) * 100) / 100 : null,
+    },
+  };
+}
+
+export default {
+  hasBoundarySupport,
+  neighborhoodMatchSql,
+  isInNeighborhood,
+  checkJoinEligibility,
+  syncUserLocation,
+  parseBoundary,
+  setCommunityBoundary,
+  getBoundaryFeature,
+};
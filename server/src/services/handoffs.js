@@ -0,0 +1,299 @@
+import crypto from 'crypto';
+import { query, withTransaction } from '../utils/db.js';
+import { recordTransactionEvent } from './transactionEvents.js';
+
+/**
+ * Verified handoffs. At pickup and at return the borrower's app shows a short-lived
+ * signed QR code (with a 6-digit code to read out when the camera won't scan). The
+ * lender scans it in person, which proves both people were there, and uploads
+ * timestamped condition photos with the confirmation. A code works once, for one
+ * transaction and one handoff, and stops working when the next one is issued.
+ * Every pickup and return of a borrowed item needs one; the only way round it is an
+ * explicit unverified confirmation, which still needs the condition photos and is
+ * noted in the transaction history.
+ */
+
+export const HANDOFF_TYPES = ['pickup', 'return'];
+export const HANDOFF_CODE_TTL_MINUTES = 10;
+export const HANDOFF_MAX_ATTEMPTS = 5;
+export const HANDOFF_MAX_PHOTOS = 10;
+// Condition photos must be taken at the handoff, not pulled from an old camera roll
+export const HANDOFF_PHOTO_MAX_AGE_MINUTES = 60;
+
+const QR_PREFIX = 'bh-handoff';
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+// Which transaction states each handoff can happen in
+const HANDOFF_STATUSES = {
+  pickup: ['paid', 'approved'],
+  return: ['picked_up', 'return_pending', 'returned'],
+};
+
+const handoffError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const sign = (transactionId, type, nonce, expiresAt) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`handoff:${transactionId}:${type}:${nonce}:${expiresAt}`)
+  .digest('base64url');
+
+const hashCode = (nonce, code) => crypto
+  .createHash('sha256')
+  .update(`${nonce}:${code}`)
+  .digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const verifiedColumn = (type) => (type === 'pickup' ? 'pickup_verified_at' : 'return_verified_at');
+
+/**
+ * Issue a fresh code for the borrower to show. Any earlier unused code for the same
+ * handoff is retired so only the one on screen works.
+ */
+export async function issueHandoffCode(t, type, userId) {
+  if (!HANDOFF_TYPES.includes(type)) {
+    throw handoffError('Handoff must be pickup or return');
+  }
+  if (t.borrower_id !== userId) {
+    throw handoffError('Only the borrower can show a handoff code', 403);
+  }
+  if (!HANDOFF_STATUSES[type].includes(t.status)) {
+    throw handoffError(`This rental isn't ready for ${type}`, 400, 'WRONG_STATUS');
+  }
+  if (t[verifiedColumn(type)]) {
+    throw handoffError(`The ${type} has already been verified`, 409, 'ALREADY_VERIFIED');
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + HANDOFF_CODE_TTL_MINUTES * 60 * 1000);
+  const expSeconds = Math.floor(expiresAt.getTime() / 1000);
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `UPDATE handoff_codes SET expires_at = NOW()
+       WHERE transaction_id = $1 AND handoff = $2 AND used_at IS NULL AND expires_at > NOW()`,
+      [t.id, type]
+    );
+    await client.query(
+      `INSERT INTO handoff_codes (transaction_id, handoff, nonce, code_hash, issued_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [t.id, type, nonce, hashCode(nonce, code), userId, expiresAt]
+    );
+  });
+
+  return {
+    type,
+    code,
+    qrPayload: `${QR_PREFIX}:${t.id}:${type}:${nonce}.${expSeconds}.${sign(t.id, type, nonce, expSeconds)}`,
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Find the open code a scanned QR payload or typed 6-digit code refers to.
+ * Wrong 6-digit guesses count against the code and lock it after HANDOFF_MAX_ATTEMPTS.
+ */
+async function findMatchingCode(t, type, handoffCode) {
+  const value = String(handoffCode).trim();
+
+  if (/^\d{6}$/.test(value)) {
+    const open = await query(
+      `SELECT * FROM handoff_codes
+       WHERE transaction_id = $1 AND handoff = $2 AND used_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [t.id, type]
+    );
+    const row = open.rows[0];
+    if (!row) {
+      throw handoffError('This code has expired. Ask the borrower to refresh it.', 400, 'CODE_EXPIRED');
+    }
+    if (row.failed_attempts >= HANDOFF_MAX_ATTEMPTS) {
+      throw handoffError('Too many wrong codes. Ask the borrower to refresh it.', 429, 'CODE_LOCKED');
+    }
+    if (!safeEqual(hashCode(row.nonce, value), row.code_hash)) {
+      await query(
+        'UPDATE handoff_codes SET failed_attempts = failed_attempts + 1 WHERE id = $1',
+        [row.id]
+      );
+      throw handoffError('That code doesn\'t match', 400, 'CODE_INVALID');
+    }
+    return row;
+  }
+
+  const [prefix, transactionId, payloadType, token = ''] = value.split(':');
+  const [nonce, exp, signature] = token.split('.');
+  if (prefix !== QR_PREFIX || !nonce || !exp || !signature) {
+    throw handoffError('That code doesn\'t match', 400, 'CODE_INVALID');
+  }
+  if (transactionId !== t.id || payloadType !== type) {
+    throw handoffError(`That code is for a different ${transactionId === t.id ? 'handoff' : 'rental'}`, 400, 'CODE_MISMATCH');
+  }
+  if (!safeEqual(sign(t.id, type, nonce, exp), signature)) {
+    throw handoffError('That code doesn\'t match', 400, 'CODE_INVALID');
+  }
+  if (Number(exp) * 1000 <= Date.now()) {
+    throw handoffError('This code has expired. Ask the borrower to refresh it.', 400, 'CODE_EXPIRED');
+  }
+
+  const result = await query(
+    `SELECT * FROM handoff_codes
+     WHERE nonce = $1 AND transaction_id = $2 AND handoff = $3 AND used_at IS NULL AND expires_at > NOW()`,
+    [nonce, t.id, type]
+  );
+  if (!result.rows[0]) {
+    throw handoffError('This code has already been used or replaced', 400, 'CODE_EXPIRED');
+  }
+  return result.rows[0];
+}
+
+function normalizePhotos(photos) {
+  if (!Array.isArray(photos) || photos.length === 0) {
+    throw handoffError('Take at least one condition photo at the handoff', 400, 'PHOTOS_REQUIRED');
+  }
+  if (photos.length > HANDOFF_MAX_PHOTOS) {
+    throw handoffError(`Attach at most ${HANDOFF_MAX_PHOTOS} photos`);
+  }
+
+  const now = Date.now();
+  const oldest = now - HANDOFF_PHOTO_MAX_AGE_MINUTES * 60 * 1000;
+
+  return photos.map((photo) => {
+    const takenAt = new Date(photo?.takenAt);
+    if (!photo?.url || Number.isNaN(takenAt.getTime())) {
+      throw handoffError('Each photo needs a url and takenAt time');
+    }
+    if (takenAt.getTime() > now + CLOCK_SKEW_MS || takenAt.getTime() < oldest) {
+      throw handoffError('Condition photos must be taken during the handoff', 400, 'PHOTO_STALE');
+    }
+    return { url: photo.url, takenAt };
+  });
+}
+
+/**
+ * Work out how a pickup or return is being confirmed, before anything is written:
+ * - with the borrower's code and condition photos taken on the spot (lender only)
+ * - already verified by an earlier request that recorded the handoff
+ * - without an in-person check, only when the caller asks for it with `unverified`
+ *   and sends condition photos taken on the spot
+ * Giveaways never come back, so they don't need a check. Throws with .status/.code.
+ */
+export async function prepareHandoff(t, type, { handoffCode, photos, unverified = false, userId, isGiveaway = false }) {
+  if (!HANDOFF_TYPES.includes(type)) {
+    throw handoffError('Handoff must be pickup or return');
+  }
+
+  if (handoffCode) {
+    if (t.lender_id !== userId) {
+      throw handoffError('Only the lender can scan the borrower\'s handoff code', 403);
+    }
+    if (!HANDOFF_STATUSES[type].includes(t.status)) {
+      throw handoffError(`This rental isn't ready for ${type}`, 400, 'WRONG_STATUS');
+    }
+
+    const normalized = normalizePhotos(photos);
+    const code = await findMatchingCode(t, type, handoffCode);
+    return { type, mode: 'verified', codeId: code.id, photos: normalized, userId };
+  }
+
+  if (isGiveaway || t[verifiedColumn(type)]) {
+    return { type, mode: 'none', userId };
+  }
+  if (unverified) {
+    return { type, mode: 'unverified', photos: normalizePhotos(photos), userId };
+  }
+  throw handoffError(`Scan the borrower's handoff code to confirm the ${type}`, 400, 'HANDOFF_REQUIRED');
+}
+
+async function insertPhotos(t, { type, photos, userId }, client) {
+  for (const photo of photos) {
+    await client.query(
+      `INSERT INTO handoff_photos (transaction_id, handoff, url, taken_at, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [t.id, type, photo.url, photo.takenAt, userId]
+    );
+  }
+}
+
+/**
+ * Record a prepared handoff inside the caller's transaction, next to the status change
+ * it confirms — if that change fails, the code stays unused and the handoff unverified.
+ * Both kinds attach the photos. A verified handoff also marks the code used and stamps
+ * pickup_verified_at / return_verified_at; an unverified one is noted in the history.
+ */
+export async function recordHandoff(t, handoff, client) {
+  const { type, userId } = handoff;
+
+  if (handoff.mode === 'unverified') {
+    await insertPhotos(t, handoff, client);
+    await recordTransactionEvent(t.id, `${type}_unverified`, {
+      actor: { userId },
+      metadata: { photoCount: handoff.photos.length },
+    }, client);
+    return { type, verified: false, verifiedAt: null, photoCount: handoff.photos.length };
+  }
+  if (handoff.mode !== 'verified') {
+    const verifiedAt = t[verifiedColumn(type)] || null;
+    return { type, verified: !!verifiedAt, verifiedAt, photoCount: 0 };
+  }
+
+  // Claim the code — only one confirmation can win if two arrive together
+  const claimed = await client.query(
+    `UPDATE handoff_codes SET used_at = NOW(), used_by = $2
+     WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING used_at`,
+    [handoff.codeId, userId]
+  );
+  if (claimed.rows.length === 0) {
+    throw handoffError('This code has already been used or replaced', 400, 'CODE_EXPIRED');
+  }
+
+  await insertPhotos(t, handoff, client);
+
+  const verifiedAt = claimed.rows[0].used_at;
+  await client.query(
+    `UPDATE borrow_transactions SET ${verifiedColumn(type)} = $1 WHERE id = $2`,
+    [verifiedAt, t.id]
+  );
+  await recordTransactionEvent(t.id, `${type}_verified`, {
+    actor: { userId },
+    metadata: { photoCount: handoff.photos.length },
+  }, client);
+
+  return { type, verified: true, verifiedAt, photoCount: handoff.photos.length };
+}
+
+/**
+ * Condition photos for a transaction grouped by handoff, oldest first.
+ */
+export async function getHandoffPhotos(transactionId) {
+  const result = await query(
+    `SELECT handoff, url, taken_at, uploaded_by
+     FROM handoff_photos
+     WHERE transaction_id = $1
+     ORDER BY taken_at, created_at`,
+    [transactionId]
+  );
+
+  const grouped = { pickup: [], return: [] };
+  for (const row of result.rows) {
+    grouped[row.handoff].push({ url: row.url, takenAt: row.taken_at, uploadedBy: row.uploaded_by });
+  }
+  return grouped;
+}
+
+export default {
+  HANDOFF_TYPES,
+  issueHandoffCode,
+  prepareHandoff,
+  recordHandoff,
+  getHandoffPhotos,
+};
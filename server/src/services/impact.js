@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { registerJobHandler } from './jobQueue.js';
+import { enqueueBulkNotification } from './notifications.js';
+import { recalculateReputation } from './reputation.js';
+
+/**
+ * Sustainability impact engine. Every item that changes hands earns impact_credits for
+ * both parties, priced from the item category's embodied_co2_kg and replacement_cost
+ * (a subcategory without its own factors uses its parent's):
+ *
+ *   borrow   — half a new item's emissions avoided, split between borrower and lender;
+ *              the borrower saves the replacement cost less their share of the rental fee
+ *   giveaway — the whole item's emissions avoided, split between giver and receiver;
+ *              the receiver saves the full replacement cost
+ *
+ * A rental earns credits once it is completed, a giveaway once it is handed off
+ * ('returned'). The users totals (co2_saved_kg, total_money_saved, items_shared_count,
+ * items_borrowed_count) are always rebuilt from the ledger, so recalculation is
+ * idempotent and 'impact.recalculate' can rebuild everyone after a factor change.
+ */
+
+export const IMPACT_FACTORS = {
+  borrowShare: 0.5,
+  giveawayShare: 1,
+  defaultCo2Kg: 15,
+  defaultReplacementCost: 60,
+};
+
+const TREE_CO2_KG_PER_YEAR = 21;
+
+const impactError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+// Transactions that have earned credits (bt joined to its listing as l)
+const QUALIFIES = `(bt.status = 'completed' OR (bt.status = 'returned' AND l.listing_type = 'giveaway'))`;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const treesEquivalent = (co2Kg) => round2((parseFloat(co2Kg) || 0) / TREE_CO2_KG_PER_YEAR);
+
+/**
+ * Write (or rewrite) the credits for the given transactions — all of them when
+ * transactionIds is null — and drop credits for any that no longer qualify.
+ * Returns the ids of users whose credits changed.
+ */
+export async function creditTransactions(transactionIds = null) {
+  const credited = await query(
+    `WITH qualifying AS (
+       SELECT bt.id, bt.listing_id, bt.borrower_id, bt.lender_id,
+              COALESCE(bt.rental_fee, 0) AS rental_fee,
+              COALESCE(bt.actual_return_at, bt.updated_at, bt.created_at) AS earned_at,
+              l.listing_type = 'giveaway' AS is_giveaway
+       FROM borrow_transactions bt
+       JOIN listings l ON l.id = bt.listing_id
+       WHERE ($1::uuid[] IS NULL OR bt.id = ANY($1::uuid[])) AND ${QUALIFIES}
+     ),
+     items AS (
+       SELECT q.*, i.item_listing_id, COUNT(*) OVER (PARTITION BY q.id) AS item_count
+       FROM qualifying q
+       CROSS JOIN LATERAL (
+         SELECT listing_id AS item_listing_id FROM bundle_transaction_items WHERE transaction_id = q.id
+         UNION
+         SELECT q.listing_id
+         WHERE NOT EXISTS (SELECT 1 FROM bundle_transaction_items WHERE transaction_id = q.id)
+       ) i
+     ),
+     priced AS (
+       SELECT it.*, l.category_id,
+              COALESCE(c.embodied_co2_kg, p.embodied_co2_kg, $2::numeric)
+                * CASE WHEN it.is_giveaway THEN $4::numeric ELSE $5::numeric END / 2 AS co2_each,
+              COALESCE(c.replacement_cost, p.replacement_cost, $3::numeric) AS replacement_cost
+       FROM items it
+       JOIN listings l ON l.id = it.item_listing_id
+       LEFT JOIN categories c ON c.id = l.category_id
+       LEFT JOIN categories p ON p.id = c.parent_id
+     ),
+     credits AS (
+       SELECT id, item_listing_id, borrower_id AS user_id,
+              CASE WHEN is_giveaway THEN 'receiver' ELSE 'borrower' END AS role,
+              category_id, co2_each,
+              CASE WHEN is_giveaway THEN replacement_cost
+                   ELSE GREATEST(replacement_cost - rental_fee / item_count, 0) END AS money_saved,
+              earned_at
+       FROM priced
+       UNION ALL
+       SELECT id, item_listing_id, lender_id,
+              CASE WHEN is_giveaway THEN 'giver' ELSE 'lender' END,
+              category_id, co2_each, 0, earned_at
+       FROM priced
+     )
+     INSERT INTO impact_credits (transaction_id, listing_id, user_id, role, category_id, co2_kg, money_saved, earned_at)
+     SELECT id, item_listing_id, user_id, role, category_id, ROUND(co2_each, 2), ROUND(money_saved, 2), earned_at
+     FROM credits
+     ON CONFLICT (transaction_id, listing_id, role) DO UPDATE SET
+       user_id = EXCLUDED.user_id,
+       category_id = EXCLUDED.category_id,
+       co2_kg = EXCLUDED.co2_kg,
+       money_saved = EXCLUDED.money_saved,
+       earned_at = EXCLUDED.earned_at,
+       updated_at = NOW()
+     RETURNING user_id`,
+    [transactionIds, IMPACT_FACTORS.defaultCo2Kg, IMPACT_FACTORS.defaultReplacementCost,
+     IMPACT_FACTORS.giveawayShare, IMPACT_FACTORS.borrowShare]
+  );
+
+  // A completed rental can still be reopened (e.g. a dispute), so its credits go
+  const revoked = await query(
+    `DELETE FROM impact_credits ic
+     USING borrow_transactions bt, listings l
+     WHERE bt.id = ic.transaction_id AND l.id = bt.listing_id
+       AND ($1::uuid[] IS NULL OR bt.id = ANY($1::uuid[]))
+       AND NOT ${QUALIFIES}
+     RETURNING ic.user_id`,
+    [transactionIds]
+  );
+
+  return [...new Set([...credited.rows, ...revoked.rows].map(r => r.user_id))];
+}
+
+/**
+ * Rebuild a user's impact totals from their credits and award any CO2 badges they've
+ * now reached. Returns the newly earned badges.
+ */
+export async function refreshUserImpact(userId) {
+  await query(
+    `UPDATE users u SET
+       co2_saved_kg = t.co2_kg,
+       total_money_saved = t.money_saved,
+       items_shared_count = t.shared,
+       items_borrowed_count = t.borrowed
+     FROM (
+       SELECT COALESCE(SUM(co2_kg), 0) AS co2_kg,
+              COALESCE(SUM(money_saved), 0) AS money_saved,
+              COUNT(*) FILTER (WHERE role IN ('lender', 'giver')) AS shared,
+              COUNT(*) FILTER (WHERE role IN ('borrower', 'receiver')) AS borrowed
+       FROM impact_credits WHERE user_id = $1
+     ) t
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  const awarded = await query(
+    `INSERT INTO user_badges (user_id, badge_id)
+     SELECT u.id, bd.id
+     FROM users u
+     JOIN badge_definitions bd ON bd.requirement_type = 'co2_kg' AND bd.is_active = true
+     WHERE u.id = $1 AND u.co2_saved_kg >= bd.requirement_value
+     ON CONFLICT (user_id, badge_id) DO NOTHING
+     RETURNING badge_id`,
+    [userId]
+  );
+
+  // Badge points count toward reputation
+  if (awarded.rows.length > 0) {
+    await recalculateReputation(userId);
+  }
+
+  return awarded.rows.map(r => r.badge_id);
+}
+
+/**
+ * Credit one transaction and refresh both parties. Run by the 'impact.credit_transaction'
+ * job, which the borrow_transactions status trigger queues.
+ */
+export async function creditTransaction(transactionId) {
+  const userIds = await creditTransactions([transactionId]);
+  for (const userId of userIds) {
+    await refreshUserImpact(userId);
+  }
+  return userIds.length;
+}
+
+/**
+ * Rebuild every credit, every user's totals and every stored community report from
+ * history. Safe to run at any time; share links on existing reports are kept.
+ */
+export async function recalculateAllImpact() {
+  await creditTransactions(null);
+
+  const users = await query(
+    `SELECT id FROM users u
+     WHERE EXISTS (SELECT 1 FROM impact_credits WHERE user_id = u.id)
+        OR u.co2_saved_kg <> 0 OR u.total_money_saved <> 0
+        OR u.items_shared_count <> 0 OR u.items_borrowed_count <> 0`
+  );
+
+  let updated = 0;
+  for (const u of users.rows) {
+    try {
+      await refreshUserImpact(u.id);
+      updated++;
+    } catch (err) {
+      logger.error(`Impact recalculation failed for user ${u.id}:`, err);
+    }
+  }
+
+  const reports = await query(
+    `SELECT community_id, to_char(month, 'YYYY-MM-DD') AS month FROM community_impact_reports`
+  );
+  for (const r of reports.rows) {
+    await generateCommunityImpactReport(r.community_id, r.month);
+  }
+
+  return { users: updated, reports: reports.rows.length };
+}
+
+// ── Community reports ────────────────────────────────────────────────
+
+/**
+ * 'YYYY-MM' → 'YYYY-MM-01', or null when it isn't a month.
+ */
+export function parseMonth(value) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(value || '') ? `${value}-01` : null;
+}
+
+export const formatImpactReport = (r) => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return {
+    communityId: r.community_id,
+    month: r.month_key,
+    co2SavedKg: parseFloat(r.co2_kg) || 0,
+    moneySaved: parseFloat(r.money_saved) || 0,
+    treesEquivalent: treesEquivalent(r.co2_kg),
+    borrows: r.borrows,
+    giveaways: r.giveaways,
+    activeMembers: r.active_members,
+    topCategories: r.top_categories,
+    inProgress: Boolean(r.in_progress),
+    shareUrl: r.share_token ? `${apiUrl}/api/sustainability/reports/shared/${r.share_token}` : null,
+    sharedAt: r.shared_at || null,
+    generatedAt: r.generated_at || null,
+  };
+};
+
+// Totals for a community's active members over one calendar month
+async function computeCommunityImpact(communityId, month) {
+  const params = [communityId, month];
+  const memberCredits = `
+    SELECT ic.* FROM impact_credits ic
+    JOIN community_memberships cm ON cm.user_id = ic.user_id
+    WHERE cm.community_id = $1 AND cm.status = 'active'
+      AND ic.earned_at >= $2::date AND ic.earned_at < $2::date + INTERVAL '1 month'`;
+
+  const [totals, categories] = await Promise.all([
+    query(
+      `SELECT COALESCE(SUM(co2_kg), 0) AS co2_kg,
+              COALESCE(SUM(money_saved), 0) AS money_saved,
+              COUNT(DISTINCT transaction_id) FILTER (WHERE role IN ('borrower', 'lender'))::int AS borrows,
+              COUNT(DISTINCT transaction_id) FILTER (WHERE role IN ('receiver', 'giver'))::int AS giveaways,
+              COUNT(DISTINCT user_id)::int AS active_members,
+              to_char($2::date, 'YYYY-MM') AS month_key,
+              $2::date >= date_trunc('month', NOW())::date AS in_progress
+       FROM (${memberCredits}) credits`,
+      params
+    ),
+    query(
+      `SELECT COALESCE(c.name, 'Other') AS name, ROUND(SUM(credits.co2_kg), 2)::float AS "co2SavedKg",
+              COUNT(DISTINCT credits.transaction_id::text || ':' || credits.listing_id::text)::int AS items
+       FROM (${memberCredits}) credits
+       LEFT JOIN categories c ON c.id = credits.category_id
+       GROUP BY COALESCE(c.name, 'Other')
+       ORDER BY 2 DESC
+       LIMIT 3`,
+      params
+    ),
+  ]);
+
+  return { ...totals.rows[0], community_id: communityId, top_categories: categories.rows };
+}
+
+/**
+ * Compute and store a finished month's report (recomputing keeps its share link).
+ */
+export async function generateCommunityImpactReport(communityId, month) {
+  const impact = await computeCommunityImpact(communityId, month);
+  const result = await query(
+    `INSERT INTO community_impact_reports
+       (community_id, month, co2_kg, money_saved, borrows, giveaways, active_members, top_categories)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (community_id, month) DO UPDATE SET
+       co2_kg = EXCLUDED.co2_kg,
+       money_saved = EXCLUDED.money_saved,
+       borrows = EXCLUDED.borrows,
+       giveaways = EXCLUDED.giveaways,
+       active_members = EXCLUDED.active_members,
+       top_categories = EXCLUDED.top_categories,
+       generated_at = NOW()
+     RETURNING *, to_char(month, 'YYYY-MM') AS month_key`,
+    [communityId, month, impact.co2_kg, impact.money_saved, impact.borrows, impact.giveaways,
+     impact.active_members, JSON.stringify(impact.top_categories)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * A community's report for one month: the stored report for a finished month (generated
+ * on first view), or a live, unstored running total for the current month.
+ */
+export async function getCommunityImpactReport(communityId, monthKey) {
+  const month = parseMonth(monthKey);
+  if (!month) throw impactError('Month must look like YYYY-MM', 400, 'INVALID_MONTH');
+
+  const timing = await query(
+    `SELECT $1::date >= date_trunc('month', NOW())::date AS unfinished,
+            $1::date > date_trunc('month', NOW())::date AS future`,
+    [month]
+  );
+  if (timing.rows[0].future) throw impactError('That month hasn\'t started yet', 400, 'INVALID_MONTH');
+  if (timing.rows[0].unfinished) {
+    return formatImpactReport(await computeCommunityImpact(communityId, month));
+  }
+
+  const stored = await query(
+    `SELECT *, to_char(month, 'YYYY-MM') AS month_key FROM community_impact_reports
+     WHERE community_id = $1 AND month = $2`,
+    [communityId, month]
+  );
+  return formatImpactReport(stored.rows[0] || await generateCommunityImpactReport(communityId, month));
+}
+
+/**
+ * Stored reports for a community, newest first.
+ */
+export async function listCommunityImpactReports(communityId, { limit = 12 } = {}) {
+  const result = await query(
+    `SELECT *, to_char(month, 'YYYY-MM') AS month_key FROM community_impact_reports
+     WHERE community_id = $1
+     ORDER BY month DESC
+     LIMIT $2`,
+    [communityId, limit]
+  );
+  return result.rows.map(formatImpactReport);
+}
+
+/**
+ * Give a finished month's report a public link. Sharing again returns the same link.
+ */
+export async function shareCommunityImpactReport(communityId, monthKey, userId) {
+  const report = await getCommunityImpactReport(communityId, monthKey);
+  if (report.inProgress) {
+    throw impactError('Reports can be shared once the month is over', 400, 'MONTH_NOT_FINISHED');
+  }
+
+  const result = await query(
+    `UPDATE community_impact_reports SET
+       share_token = COALESCE(share_token, $3),
+       shared_by = COALESCE(shared_by, $4),
+       shared_at = COALESCE(shared_at, NOW())
+     WHERE community_id = $1 AND month = $2
+     RETURNING *, to_char(month, 'YYYY-MM') AS month_key`,
+    [communityId, parseMonth(monthKey), crypto.randomBytes(24).toString('hex'), userId]
+  );
+  return formatImpactReport(result.rows[0]);
+}
+
+/**
+ * A shared report by its public token, with the community's name.
+ */
+export async function getSharedImpactReport(token) {
+  const result = await query(
+    `SELECT r.*, to_char(r.month, 'YYYY-MM') AS month_key, to_char(r.month, 'FMMonth YYYY') AS month_name,
+            c.name AS community_name
+     FROM community_impact_reports r
+     JOIN communities c ON c.id = r.community_id
+     WHERE r.share_token = $1`,
+    [token]
+  );
+  if (result.rows.length === 0) throw impactError('Report not found', 404, 'REPORT_NOT_FOUND');
+
+  const row = result.rows[0];
+  return { ...formatImpactReport(row), communityName: row.community_name, monthName: row.month_name };
+}
+
+/**
+ * Store last month's report for every community that doesn't have one yet and tell
+ * the organizers of communities that shared anything. Run daily, so a missed night
+ * catches up the next day.
+ */
+export async function generateMonthlyImpactReports() {
+  const due = await query(
+    `SELECT c.id, c.name, to_char(date_trunc('month', NOW()) - INTERVAL '1 month', 'YYYY-MM-DD') AS month,
+            to_char(date_trunc('month', NOW()) - INTERVAL '1 month', 'FMMonth YYYY') AS month_name,
+            to_char(date_trunc('month', NOW()) - INTERVAL '1 month', 'YYYY-MM') AS month_key
+     FROM communities c
+     WHERE NOT EXISTS (
+       SELECT 1 FROM community_impact_reports r
+       WHERE r.community_id = c.id AND r.month = (date_trunc('month', NOW()) - INTERVAL '1 month')::date
+     )`
+  );
+
+  let generated = 0;
+  for (const community of due.rows) {
+    const report = await generateCommunityImpactReport(community.id, community.month);
+    generated++;
+    if (report.borrows + report.giveaways === 0) continue;
+
+    const organizers = await query(
+      `SELECT user_id FROM community_memberships
+       WHERE community_id = $1 AND role = 'organizer' AND status = 'active'`,
+      [community.id]
+    );
+    await enqueueBulkNotification(
+      organizers.rows.map(o => o.user_id),
+      'impact_report_ready',
+      {
+        communityId: community.id,
+        communityName: community.name,
+        month: community.month_key,
+        monthName: community.month_name,
+        co2SavedKg: parseFloat(report.co2_kg),
+      },
+      {},
+      { dedupeKey: `impact-report:${community.id}:${community.month_key}` }
+    );
+  }
+  return generated;
+}
+
+registerJobHandler('impact.credit_transaction', async ({ transactionId }) => {
+  await creditTransaction(transactionId);
+});
+registerJobHandler('impact.recalculate', async () => {
+  const result = await recalculateAllImpact();
+  logger.info(`Impact recalculated for ${result.users} users and ${result.reports} community reports`);
+});
+registerJobHandler('impact.community_reports', async () => {
+  const generated = await generateMonthlyImpactReports();
+  if (generated > 0) logger.info(`Generated ${generated} community impact reports`);
+});
+
+export default {
+  IMPACT_FACTORS,
+  treesEquivalent,
+  creditTransactions,
+  refreshUserImpact,
+  creditTransaction,
+  recalculateAllImpact,
+  parseMonth,
+  formatImpactReport,
+  generateCommunityImpactReport,
+  getCommunityImpactReport,
+  listCommunityImpactReports,
+  shareCommunityImpactReport,
+  getSharedImpactReport,
+  generateMonthlyImpactReports,
+};
@@ -0,0 +1,445 @@
+import os from 'os';
+import { query, withTransaction } from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Background job queue in Postgres. Producers call enqueueJob(); every server replica
+ * (or a dedicated `npm run worker` process) runs startJobWorker(), which claims due jobs
+ * with FOR UPDATE SKIP LOCKED so no two workers ever run the same one.
+ *
+ * queued → running → succeeded
+ *                  → queued again (retried with backoff) → … → dead (kept for admins)
+ *
+ * A running job is leased: its worker renews locked_at every minute for as long as the
+ * handler runs, and only a job whose lease has lapsed — the worker died — is requeued.
+ *
+ * Recurring work is registered with scheduleJob(). Schedules live in job_schedules and
+ * whichever worker locks a due row enqueues that run, so an hourly job runs once an hour
+ * in total rather than once per replica.
+ */
+
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const LEASE_RENEW_MS = 60 * 1000;
+// Several missed renewals before a job is given up on, so a slow database doesn't requeue it
+const LEASE_MINUTES = 5;
+const SUCCEEDED_RETENTION_DAYS = 7;
+const DEAD_RETENTION_DAYS = 30;
+const POLL_INTERVAL_MS = 1000;
+const SCHEDULE_CHECK_MS = 15 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+const db = { query };
+
+const jobError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+/**
+ * Seconds to wait before the next attempt: 30, 60, 120, … capped at an hour.
+ */
+export function jobBackoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Mark an error as one retrying won't fix; the job goes straight to dead.
+ */
+export function permanentJobError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+export const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  payload: job.payload,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  runAt: job.run_at,
+  lastError: job.last_error,
+  durationMs: job.duration_ms,
+  lockedBy: job.locked_by,
+  finishedAt: job.finished_at,
+  createdAt: job.created_at,
+});
+
+/**
+ * Register the function that runs jobs of a type. Called with (payload, job); throw to
+ * retry. Modules register their handlers when imported.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job. Returns its id, or null when dedupeKey matched an existing job.
+ * Pass a client to enqueue inside the caller's transaction.
+ */
+export async function enqueueJob(type, payload = {}, { runAt = null, maxAttempts = 5, dedupeKey = null } = {}, client = db) {
+  const result = await client.query(
+    `INSERT INTO jobs (type, payload, run_at, max_attempts, dedupe_key)
+     VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4, $5)
+     ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+     RETURNING id`,
+    [type, JSON.stringify(payload), runAt, maxAttempts, dedupeKey]
+  );
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Queue many jobs of one type in a single insert. items are { payload, dedupeKey };
+ * returns how many were new.
+ */
+export async function enqueueJobs(type, items, { maxAttempts = 5 } = {}, client = db) {
+  if (items.length === 0) return 0;
+  const result = await client.query(
+    `INSERT INTO jobs (type, payload, max_attempts, dedupe_key)
+     SELECT $1, item.payload, $2, item.dedupe_key
+     FROM unnest($3::jsonb[], $4::varchar[]) AS item(payload, dedupe_key)
+     ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING`,
+    [
+      type,
+      maxAttempts,
+      items.map(item => JSON.stringify(item.payload || {})),
+      items.map(item => item.dedupeKey || null),
+    ]
+  );
+  return result.rowCount;
+}
+
+// Next local-time occurrence of the hour, as the nightly jobs always ran
+function nextDailyRun(hour, from = new Date()) {
+  const next = new Date(from);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+function nextRunAt(schedule, from = new Date()) {
+  if (schedule.every_minutes) return new Date(from.getTime() + schedule.every_minutes * 60 * 1000);
+  return nextDailyRun(schedule.daily_at_hour, from);
+}
+
+/**
+ * Run a registered job type on a schedule: { everyMinutes } or { dailyAt: hour }.
+ * A new interval schedule runs right away; changing the timing reschedules it.
+ */
+export async function scheduleJob(type, { everyMinutes = null, dailyAt = null, maxAttempts = 3 }) {
+  const spec = { every_minutes: everyMinutes, daily_at_hour: dailyAt };
+  const firstRun = everyMinutes ? new Date() : nextDailyRun(dailyAt);
+  await query(
+    `INSERT INTO job_schedules (job_type, every_minutes, daily_at_hour, max_attempts, next_run_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (job_type) DO UPDATE
+     SET every_minutes = EXCLUDED.every_minutes,
+         daily_at_hour = EXCLUDED.daily_at_hour,
+         max_attempts = EXCLUDED.max_attempts,
+         next_run_at = CASE
+           WHEN job_schedules.every_minutes IS NOT DISTINCT FROM EXCLUDED.every_minutes
+            AND job_schedules.daily_at_hour IS NOT DISTINCT FROM EXCLUDED.daily_at_hour
+           THEN job_schedules.next_run_at
+           ELSE $6
+         END,
+         updated_at = NOW()`,
+    [type, everyMinutes, dailyAt, maxAttempts, firstRun, nextRunAt(spec)]
+  );
+}
+
+/**
+ * Enqueue every schedule that is due. Rows are locked with SKIP LOCKED, so concurrent
+ * workers split the due schedules between them instead of queueing a run each. A run
+ * is skipped while the previous one is still queued or running.
+ */
+export async function enqueueDueSchedules() {
+  return withTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT * FROM job_schedules
+       WHERE next_run_at <= NOW()
+       FOR UPDATE SKIP LOCKED`
+    );
+
+    let enqueued = 0;
+    for (const schedule of due.rows) {
+      const busy = await client.query(
+        `SELECT 1 FROM jobs WHERE type = $1 AND status IN ('queued', 'running') LIMIT 1`,
+        [schedule.job_type]
+      );
+      if (busy.rows.length === 0) {
+        const id = await enqueueJob(schedule.job_type, {}, {
+          maxAttempts: schedule.max_attempts,
+          dedupeKey: `schedule:${schedule.job_type}:${schedule.next_run_at.toISOString()}`,
+        }, client);
+        if (id) enqueued++;
+      }
+      await client.query(
+        'UPDATE job_schedules SET next_run_at = $2, last_run_at = NOW(), updated_at = NOW() WHERE job_type = $1',
+        [schedule.job_type, nextRunAt(schedule)]
+      );
+    }
+    return enqueued;
+  });
+}
+
+// One job per claim: a claimed job's lease is only renewed while it runs, so jobs
+// held back behind a long one would look abandoned to other workers
+async function claimJob(types) {
+  const result = await query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= NOW() AND type = ANY($2)
+       ORDER BY run_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [WORKER_ID, types]
+  );
+  return result.rows[0] || null;
+}
+
+// A claim is one attempt at a job; once its lease lapses and the job is requeued,
+// the old run no longer owns the row
+const OWNS_RUN = `id = $1 AND status = 'running' AND attempts = $2`;
+
+function renewLease(job) {
+  return setInterval(() => {
+    query(`UPDATE jobs SET locked_at = NOW() WHERE ${OWNS_RUN}`, [job.id, job.attempts])
+      .catch(err => logger.warn(`Job ${job.type} ${job.id} lease renewal failed:`, err.message));
+  }, LEASE_RENEW_MS);
+}
+
+async function runJob(job) {
+  // Still ours? If the lease lapsed and the job went to another worker, don't run it twice
+  const owned = await query(`UPDATE jobs SET locked_at = NOW() WHERE ${OWNS_RUN} RETURNING id`, [job.id, job.attempts]);
+  if (owned.rows.length === 0) {
+    logger.warn(`Job ${job.type} ${job.id} lost its lease before it ran; skipping`);
+    return 'skipped';
+  }
+
+  const started = Date.now();
+  const lease = renewLease(job);
+  try {
+    await handlers.get(job.type)(job.payload, job);
+  } catch (err) {
+    clearInterval(lease);
+    const dead = err.permanent || job.attempts >= job.max_attempts;
+    const failed = await query(
+      `UPDATE jobs
+       SET status = CASE WHEN $3 THEN 'dead' ELSE 'queued' END,
+           last_error = $4, duration_ms = $5, locked_by = NULL,
+           run_at = CASE WHEN $3 THEN run_at ELSE NOW() + make_interval(secs => $6) END,
+           finished_at = CASE WHEN $3 THEN NOW() END
+       WHERE ${OWNS_RUN}`,
+      [job.id, job.attempts, dead, err.message, Date.now() - started, jobBackoffSeconds(job.attempts)]
+    );
+    if (failed.rowCount === 0) {
+      logger.warn(`Job ${job.type} ${job.id} failed after its lease lapsed; already requeued`);
+      return 'retrying';
+    }
+    if (dead) {
+      logger.error(`Job ${job.type} ${job.id} dead after ${job.attempts} attempts:`, err.message);
+    } else {
+      logger.warn(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}), retrying:`, err.message);
+    }
+    return dead ? 'dead' : 'retrying';
+  }
+
+  clearInterval(lease);
+  const finished = await query(
+    `UPDATE jobs
+     SET status = 'succeeded', last_error = NULL, duration_ms = $3, finished_at = NOW(), locked_by = NULL
+     WHERE ${OWNS_RUN}`,
+    [job.id, job.attempts, Date.now() - started]
+  );
+  if (finished.rowCount === 0) {
+    logger.warn(`Job ${job.type} ${job.id} finished after its lease lapsed; it will run again`);
+    return 'retrying';
+  }
+  return 'succeeded';
+}
+
+/**
+ * Claim and run up to `limit` due jobs, one at a time. Only types with a registered
+ * handler are claimed, so a worker never picks up work it can't do.
+ */
+export async function runDueJobs({ limit = 10, types = [...handlers.keys()] } = {}) {
+  const runnable = types.filter(type => handlers.has(type));
+  const summary = { ran: 0, succeeded: 0, failed: 0 };
+  if (runnable.length === 0) return summary;
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimJob(runnable);
+    if (!job) break;
+    const outcome = await runJob(job);
+    if (outcome === 'skipped') continue;
+    summary.ran++;
+    if (outcome === 'succeeded') summary.succeeded++;
+    else summary.failed++;
+  }
+  return summary;
+}
+
+/**
+ * Run due jobs until none are left — for tests and one-off scripts.
+ */
+export async function drainJobs(options = {}) {
+  const total = { ran: 0, succeeded: 0, failed: 0 };
+  for (;;) {
+    const batch = await runDueJobs(options);
+    if (batch.ran === 0) return total;
+    total.ran += batch.ran;
+    total.succeeded += batch.succeeded;
+    total.failed += batch.failed;
+  }
+}
+
+/**
+ * Requeue jobs whose worker stopped renewing the lease (it died mid-run), and prune
+ * finished jobs past retention.
+ */
+export async function maintainJobs() {
+  const stuck = await query(
+    `UPDATE jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+         finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END,
+         last_error = 'Worker stopped before the job finished', locked_by = NULL, run_at = NOW()
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1::int)
+     RETURNING id`,
+    [LEASE_MINUTES]
+  );
+  const pruned = await query(
+    `DELETE FROM jobs
+     WHERE (status = 'succeeded' AND finished_at < NOW() - make_interval(days => $1::int))
+        OR (status = 'dead' AND finished_at < NOW() - make_interval(days => $2::int))`,
+    [SUCCEEDED_RETENTION_DAYS, DEAD_RETENTION_DAYS]
+  );
+  if (stuck.rowCount > 0) logger.warn(`Requeued ${stuck.rowCount} stuck jobs`);
+  return { requeued: stuck.rowCount, pruned: pruned.rowCount };
+}
+
+registerJobHandler('jobs.maintain', maintainJobs);
+
+/**
+ * Per-type queue health: backlog, how far behind the oldest due job is, and run counts,
+ * failures and durations over the last `hours`.
+ */
+export async function getJobMetrics({ hours = 24 } = {}) {
+  const result = await query(
+    `SELECT type,
+       COUNT(*) FILTER (WHERE status = 'queued') as queued,
+       COUNT(*) FILTER (WHERE status = 'queued' AND attempts > 0) as retrying,
+       COUNT(*) FILTER (WHERE status = 'running') as running,
+       COUNT(*) FILTER (WHERE status = 'succeeded' AND finished_at > NOW() - make_interval(hours => $1::int)) as succeeded,
+       COUNT(*) FILTER (WHERE status = 'dead') as dead,
+       EXTRACT(EPOCH FROM NOW() - MIN(run_at) FILTER (WHERE status = 'queued' AND run_at <= NOW())) as lag_seconds,
+       AVG(duration_ms) FILTER (WHERE status = 'succeeded' AND finished_at > NOW() - make_interval(hours => $1::int)) as avg_ms,
+       PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY duration_ms)
+         FILTER (WHERE status = 'succeeded' AND finished_at > NOW() - make_interval(hours => $1::int)) as p95_ms
+     FROM jobs
+     GROUP BY type
+     ORDER BY type`,
+    [hours]
+  );
+
+  const schedules = await query('SELECT * FROM job_schedules ORDER BY job_type');
+
+  return {
+    windowHours: hours,
+    types: result.rows.map(row => ({
+      type: row.type,
+      queued: parseInt(row.queued),
+      retrying: parseInt(row.retrying),
+      running: parseInt(row.running),
+      succeeded: parseInt(row.succeeded),
+      dead: parseInt(row.dead),
+      lagSeconds: row.lag_seconds === null ? 0 : Math.round(parseFloat(row.lag_seconds)),
+      avgDurationMs: row.avg_ms === null ? null : Math.round(parseFloat(row.avg_ms)),
+      p95DurationMs: row.p95_ms === null ? null : Math.round(parseFloat(row.p95_ms)),
+    })),
+    schedules: schedules.rows.map(s => ({
+      type: s.job_type,
+      everyMinutes: s.every_minutes,
+      dailyAtHour: s.daily_at_hour,
+      nextRunAt: s.next_run_at,
+      lastRunAt: s.last_run_at,
+    })),
+  };
+}
+
+/**
+ * Send a dead job back to the queue with a fresh set of attempts.
+ */
+export async function retryDeadJob(jobId) {
+  const result = await query(
+    `UPDATE jobs
+     SET status = 'queued', attempts = 0, run_at = NOW(), finished_at = NULL
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [jobId]
+  );
+  if (result.rows.length === 0) throw jobError('No dead job with that id', 404, 'JOB_NOT_FOUND');
+  return formatJob(result.rows[0]);
+}
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Poll for due schedules and jobs until stopJobWorker() is called. Busy workers go
+ * straight on to the next batch; idle ones wait POLL_INTERVAL_MS.
+ */
+export function startJobWorker({ batchSize = 10 } = {}) {
+  if (workerRunning) return;
+  workerRunning = true;
+  let lastScheduleCheck = 0;
+
+  const tick = async () => {
+    let ran = 0;
+    try {
+      if (Date.now() - lastScheduleCheck >= SCHEDULE_CHECK_MS) {
+        lastScheduleCheck = Date.now();
+        await enqueueDueSchedules();
+      }
+      ({ ran } = await runDueJobs({ limit: batchSize }));
+    } catch (err) {
+      logger.error('Job worker error:', err);
+    }
+    if (workerRunning) workerTimer = setTimeout(tick, ran > 0 ? 0 : POLL_INTERVAL_MS);
+  };
+
+  tick();
+  logger.info(`Job worker ${WORKER_ID} started for: ${[...handlers.keys()].join(', ')}`);
+}
+
+export function stopJobWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+export default {
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  scheduleJob,
+  enqueueDueSchedules,
+  runDueJobs,
+  drainJobs,
+  maintainJobs,
+  getJobMetrics,
+  retryDeadJob,
+  startJobWorker,
+  stopJobWorker,
+  jobBackoffSeconds,
+  permanentJobError,
+};
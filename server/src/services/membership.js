@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Community membership. Open communities add members straight away. Communities
+ * with requires_approval queue a join request (with answers to the organizer's
+ * join questions) until an organizer approves it. The request lives outside
+ * community_memberships, so nothing that checks membership sees a pending member.
+ * Invite codes from an organizer skip the queue.
+ */
+
+export const MAX_JOIN_QUESTIONS = 5;
+
+// No 0/O/1/I so codes can be read aloud and typed back
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const membershipError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+export function generateInviteCode() {
+  const bytes = crypto.randomBytes(8);
+  let code = 'BH-';
+  for (const byte of bytes) {
+    code += INVITE_ALPHABET[byte % INVITE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Validate organizer-supplied join questions. Accepts [{ question, required }] (or
+ * plain strings) and returns them with stable ids, keeping ids that were passed back.
+ */
+export function normalizeJoinQuestions(input) {
+  if (!Array.isArray(input)) {
+    throw membershipError('joinQuestions must be an array');
+  }
+  if (input.length > MAX_JOIN_QUESTIONS) {
+    throw membershipError(`A neighborhood can ask at most ${MAX_JOIN_QUESTIONS} questions`);
+  }
+
+  return input.map((q) => {
+    const text = (typeof q === 'string' ? q : q?.question || '').trim();
+    if (!text || text.length > 200) {
+      throw membershipError('Each question needs 1-200 characters');
+    }
+    return {
+      id: (typeof q === 'object' && q.id) || crypto.randomUUID().slice(0, 8),
+      question: text,
+      required: typeof q === 'object' ? q.required !== false : true,
+    };
+  });
+}
+
+/**
+ * Match answers ([{ questionId, answer }]) to the community's questions. Returns the
+ * answers to store, each with a copy of the question text, or throws ANSWERS_REQUIRED.
+ */
+export function checkJoinAnswers(questions = [], answers = []) {
+  const byId = new Map((Array.isArray(answers) ? answers : [])
+    .map(a => [a?.questionId, String(a?.answer ?? '').trim().slice(0, 1000)]));
+
+  const missing = questions.filter(q => q.required && !byId.get(q.id));
+  if (missing.length > 0) {
+    const err = membershipError('Please answer the neighborhood\'s join questions', 400, 'ANSWERS_REQUIRED');
+    err.questions = questions;
+    throw err;
+  }
+
+  return questions
+    .filter(q => byId.get(q.id))
+    .map(q => ({ questionId: q.id, question: q.question, answer: byId.get(q.id) }));
+}
+
+/**
+ * Add a member and close any join request they had pending.
+ */
+export async function addMember(userId, communityId, client = db) {
+  await client.query(
+    `INSERT INTO community_memberships (user_id, community_id)
+     VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [userId, communityId]
+  );
+  await client.query(
+    `UPDATE community_join_requests SET status = 'approved', reviewed_at = NOW()
+     WHERE user_id = $1 AND community_id = $2 AND status = 'pending'`,
+    [userId, communityId]
+  );
+}
+
+/**
+ * Look up an invite code. Returns null if it doesn't exist, was revoked, expired or
+ * has been used up.
+ */
+export async function findUsableInvite(code, client = db) {
+  const result = await client.query(
+    `SELECT i.*, c.name as community_name, c.slug as community_slug, c.city, c.state,
+            c.description, c.banner_url, c.is_active
+     FROM community_invites i
+     JOIN communities c ON i.community_id = c.id
+     WHERE i.code = UPPER($1)
+       AND i.revoked_at IS NULL
+       AND (i.expires_at IS NULL OR i.expires_at > NOW())
+       AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+       AND c.is_active = true`,
+    [String(code || '').trim()]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Join through an invite, bypassing approval. Returns false if the code isn't
+ * valid for this community.
+ */
+export async function redeemInvite(code, userId, communityId, client = db) {
+  // Claim a use in the same statement that checks the limit so two neighbors can't
+  // both take the last one
+  const result = await client.query(
+    `UPDATE community_invites SET use_count = use_count + 1
+     WHERE code = UPPER($1) AND community_id = $2
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND (max_uses IS NULL OR use_count < max_uses)
+     RETURNING id`,
+    [String(code || '').trim(), communityId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await addMember(userId, communityId, client);
+  return true;
+}
+
+export default {
+  MAX_JOIN_QUESTIONS,
+  generateInviteCode,
+  normalizeJoinQuestions,
+  checkJoinAnswers,
+  addMember,
+  findUsableInvite,
+  redeemInvite,
+};
@@ -0,0 +1,173 @@
+import { query } from '../utils/db.js';
+import { publish } from './realtime.js';
+
+const db = { query };
+
+/**
+ * Moderation — what can be reported, who it belongs to, who may review it, and how
+ * each kind of content is taken down. Routes own the report lifecycle; this module
+ * owns the per-target details so every caller treats a listing, post, message or
+ * profile the same way.
+ */
+
+export const REPORT_TARGET_TYPES = ['listing', 'discussion', 'message', 'user'];
+export const REPORT_REASONS = ['spam', 'harassment', 'scam', 'inappropriate', 'prohibited_item', 'other'];
+export const MODERATION_ACTIONS = ['hide', 'warn', 'suspend', 'dismiss'];
+
+/**
+ * Look up a report target. Returns null when it doesn't exist, otherwise:
+ *   reportedUserId — the content's author (or the profile itself)
+ *   communityId    — community of the listing the content hangs off, if any
+ *   participantIds — for messages, the two people in the conversation
+ *   preview        — short text for reviewers
+ *   isHidden       — already taken down
+ */
+export async function getReportTarget(targetType, targetId, client = db) {
+  if (targetType === 'listing') {
+    const result = await client.query(
+      'SELECT owner_id, community_id, title, status FROM listings WHERE id = $1',
+      [targetId]
+    );
+    const l = result.rows[0];
+    if (!l) return null;
+    return {
+      reportedUserId: l.owner_id,
+      communityId: l.community_id,
+      preview: l.title,
+      isHidden: l.status === 'hidden',
+    };
+  }
+
+  if (targetType === 'discussion') {
+    const result = await client.query(
+      `SELECT d.user_id, d.content, d.is_hidden, l.community_id
+       FROM listing_discussions d
+       LEFT JOIN listings l ON d.listing_id = l.id
+       WHERE d.id = $1`,
+      [targetId]
+    );
+    const d = result.rows[0];
+    if (!d) return null;
+    return {
+      reportedUserId: d.user_id,
+      communityId: d.community_id,
+      preview: d.content,
+      isHidden: d.is_hidden,
+    };
+  }
+
+  if (targetType === 'message') {
+    const result = await client.query(
+      `SELECT m.sender_id, m.content, m.image_url, m.deleted_at, c.user1_id, c.user2_id
+       FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       WHERE m.id = $1`,
+      [targetId]
+    );
+    const m = result.rows[0];
+    if (!m) return null;
+    return {
+      reportedUserId: m.sender_id,
+      communityId: null,
+      participantIds: [m.user1_id, m.user2_id],
+      preview: m.content || (m.image_url ? 'Sent a photo' : ''),
+      isHidden: !!m.deleted_at,
+    };
+  }
+
+  if (targetType === 'user') {
+    const result = await client.query(
+      'SELECT id, first_name, display_name, status FROM users WHERE id = $1',
+      [targetId]
+    );
+    const u = result.rows[0];
+    if (!u) return null;
+    return {
+      reportedUserId: u.id,
+      communityId: null,
+      preview: u.display_name || u.first_name,
+      isHidden: u.status === 'suspended',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Communities the user organizes.
+ */
+export async function getOrganizedCommunityIds(userId, client = db) {
+  const result = await client.query(
+    `SELECT community_id FROM community_memberships
+     WHERE user_id = $1 AND role = 'organizer'`,
+    [userId]
+  );
+  return result.rows.map(r => r.community_id);
+}
+
+/**
+ * Admins review everything. Organizers review reports about content in their
+ * community, or about anyone who's an active member of it.
+ */
+export async function canReviewReport(user, report, client = db) {
+  if (user.is_admin) return true;
+
+  const result = await client.query(
+    `SELECT 1 FROM community_memberships org
+     WHERE org.user_id = $1 AND org.role = 'organizer'
+       AND (org.community_id = $2 OR EXISTS (
+         SELECT 1 FROM community_memberships cm
+         WHERE cm.community_id = org.community_id AND cm.user_id = $3 AND cm.status = 'active'
+       ))`,
+    [user.id, report.community_id, report.reported_user_id]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Take reported content down. Listings move to the 'hidden' status (which the owner
+ * can't undo), discussion posts use their existing hidden flag, and messages are soft
+ * deleted the same way a sender deletes their own. Profiles aren't hidden — suspend instead.
+ */
+export async function hideReportTarget(targetType, targetId, moderatorId, client = db) {
+  if (targetType === 'listing') {
+    await client.query(
+      `UPDATE listings SET status = 'hidden', is_available = false WHERE id = $1`,
+      [targetId]
+    );
+  } else if (targetType === 'discussion') {
+    await client.query(
+      `UPDATE listing_discussions
+       SET is_hidden = true, hidden_by = $1, hidden_at = NOW()
+       WHERE id = $2`,
+      [moderatorId, targetId]
+    );
+  } else if (targetType === 'message') {
+    const result = await client.query(
+      `UPDATE messages m SET deleted_at = NOW()
+       FROM conversations c
+       WHERE m.conversation_id = c.id AND m.id = $1
+       RETURNING m.conversation_id, c.user1_id, c.user2_id`,
+      [targetId]
+    );
+    const m = result.rows[0];
+    if (m) {
+      publish([m.user1_id, m.user2_id], 'message:deleted', {
+        id: targetId,
+        conversationId: m.conversation_id,
+      });
+    }
+  } else {
+    throw new Error(`Cannot hide a ${targetType}`);
+  }
+}
+
+export default {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  getReportTarget,
+  getOrganizedCommunityIds,
+  canReviewReport,
+  hideReportTarget,
+};
@@ -1,5 +1,13 @@
 import { query } from '../utils/db.js';
 import logger from '../utils/logger.js';
+import { publish, publishLoaded, registerRealtimeLoader } from './realtime.js';
+import { enqueueJob, enqueueJobs, registerJobHandler } from './jobQueue.js';
+import {
+  sendNotificationEmail,
+  sendDigestEmail,
+  notificationActionUrl,
+  unsubscribeUrl,
+} from './email.js';
 
 // Notification types and their templates
 const NOTIFICATION_TEMPLATES = {
@@ -59,6 +67,32 @@ const NOTIFICATION_TEMPLATES = {
       ? `Your deposit for ${data.itemTitle} has been refunded. Tap to view details.`
       : 'Your security deposit has been refunded. Tap to view details.',
   },
+
+  // Payment holds (card authorizations lapse after about a week)
+  hold_expiring_lender: {
+    title: 'Request Expiring Soon',
+    body: (data) => `Respond to the request for ${data.itemTitle || 'your item'} by ${data.expiresOn} — the borrower's payment hold lapses after that.`,
+  },
+  hold_expiring_borrower: {
+    title: 'Payment Hold Expiring',
+    body: (data) => `Your payment hold for ${data.itemTitle || 'your request'} lapses on ${data.expiresOn} if the owner hasn't responded. You'd need to check out again.`,
+  },
+  deposit_hold_renewal_failed: {
+    title: 'Update Your Card',
+    body: (data) => `We couldn't renew the deposit hold for ${data.itemTitle || 'your rental'}. Update your card before ${data.expiresOn} to keep your rental covered.`,
+  },
+  deposit_hold_at_risk: {
+    title: 'Deposit Hold Expiring',
+    body: (data) => `The deposit hold for ${data.itemTitle || 'your item'} lapses on ${data.expiresOn} unless the borrower updates their card. We've let them know.`,
+  },
+  deposit_charged: {
+    title: 'Deposit Charged',
+    body: (data) => `Your $${data.amount} deposit for ${data.itemTitle || 'your rental'} was charged to your card so it stays in place for the rest of the rental. It's refunded when the item comes back.`,
+  },
+  deposit_hold_lapsed: {
+    title: 'Deposit Hold Lapsed',
+    body: (data) => `The deposit hold for ${data.itemTitle || 'your item'} has lapsed, so a damage claim can't be paid from it. Contact support if something goes wrong.`,
+  },
   giveaway_complete: {
     title: 'Item is Yours!',
     body: (data) => data.itemTitle
@@ -87,6 +121,102 @@ const NOTIFICATION_TEMPLATES = {
     },
   },
 
+  // Overdue rentals
+  rental_overdue: {
+    title: 'Rental Overdue',
+    body: (data) => {
+      const item = data.itemTitle || 'Your borrowed item';
+      const late = data.daysOverdue === 1 ? 'was due back yesterday' : `is ${data.daysOverdue} days overdue`;
+      const fees = parseFloat(data.lateFee) > 0 ? ` Late fees so far: $${data.lateFee}.` : '';
+      const dispute = data.disputeInDays > 0 && data.daysOverdue >= 7
+        ? ` A non-return dispute opens in ${data.disputeInDays} days.`
+        : '';
+      return `${item} ${late}.${fees}${dispute} Tap to arrange the return.`;
+    },
+  },
+  rental_overdue_lender: {
+    title: 'Item Not Returned',
+    body: (data) => data.itemTitle
+      ? `${data.itemTitle} is ${data.daysOverdue} days overdue. We've reminded the borrower. Tap for details.`
+      : `Your item is ${data.daysOverdue} days overdue. We've reminded the borrower. Tap for details.`,
+  },
+  late_fee_charged: {
+    title: 'Late Fee Charged',
+    body: (data) => data.itemTitle
+      ? `A $${data.amount} late fee for ${data.itemTitle} was taken from your deposit. Return it to stop further fees.`
+      : `A $${data.amount} late fee was taken from your deposit. Return the item to stop further fees.`,
+  },
+  overdue_dispute_opened: {
+    title: 'Dispute Opened',
+    body: (data) => data.itemTitle
+      ? `${data.itemTitle} is ${data.daysOverdue} days overdue, so we opened a non-return dispute for you. Tap to follow it.`
+      : 'Your item is still not back, so we opened a non-return dispute for you. Tap to follow it.',
+  },
+
+  // Waitlist
+  waitlist_offer: {
+    title: 'Your Turn!',
+    body: (data) => data.itemTitle
+      ? `${data.itemTitle} is free for you. Claim it within ${data.hours || 24} hours before it goes to the next person.`
+      : `An item you were waiting for is free. Claim it within ${data.hours || 24} hours.`,
+  },
+  waitlist_offer_expired: {
+    title: 'Offer Expired',
+    body: (data) => data.itemTitle
+      ? `Your hold on ${data.itemTitle} expired, so it's been offered to the next person in line.`
+      : 'Your waitlist hold expired and the item was offered to the next person in line.',
+  },
+
+  // Rent-to-own
+  rto_request: {
+    title: 'Rent-to-Own Request',
+    body: (data) => data.borrowerName
+      ? `${data.borrowerName} wants to rent-to-own your ${data.itemTitle || 'item'}. Tap to review the terms.`
+      : 'You have a new rent-to-own request. Tap to review the terms.',
+  },
+  rto_approved: {
+    title: 'Rent-to-Own Approved',
+    body: (data) => data.itemTitle
+      ? `Your rent-to-own contract for ${data.itemTitle} is active. Tap to see your payment schedule.`
+      : 'Your rent-to-own contract is active. Tap to see your payment schedule.',
+  },
+  rto_declined: {
+    title: 'Rent-to-Own Update',
+    body: (data) => data.itemTitle
+      ? `Your rent-to-own request for ${data.itemTitle} wasn't accepted.`
+      : 'Your rent-to-own request wasn\'t accepted.',
+  },
+  rto_payment_due: {
+    title: 'Payment Coming Up',
+    body: (data) => data.itemTitle
+      ? `Your $${parseFloat(data.amount || 0).toFixed(2)} payment for ${data.itemTitle} is due ${data.dueDate || 'soon'}.`
+      : 'Your next rent-to-own payment is due soon.',
+  },
+  rto_payment_received: {
+    title: 'Payment Received',
+    body: (data) => data.itemTitle
+      ? `Payment ${data.paymentNumber} of ${data.totalPayments} for ${data.itemTitle} went through. Tap to see your progress.`
+      : 'Your rent-to-own payment went through. Tap to see your progress.',
+  },
+  rto_payment_failed: {
+    title: 'Payment Issue',
+    body: (data) => data.itemTitle
+      ? `We couldn't charge your card for ${data.itemTitle}. Update your payment method to keep your contract active.`
+      : 'We couldn\'t charge your rent-to-own payment. Update your payment method to keep your contract active.',
+  },
+  rto_completed: {
+    title: 'Ownership Transferred',
+    body: (data) => data.itemTitle
+      ? `All payments for ${data.itemTitle} are complete — ownership has been transferred.`
+      : 'All rent-to-own payments are complete — ownership has been transferred.',
+  },
+  rto_defaulted: {
+    title: 'Contract Ended',
+    body: (data) => data.itemTitle
+      ? `The rent-to-own contract for ${data.itemTitle} ended after missed payments. Tap for details.`
+      : 'A rent-to-own contract ended after missed payments. Tap for details.',
+  },
+
   // Disputes
   dispute_opened: {
     title: 'Action Needed',
@@ -139,6 +269,36 @@ const NOTIFICATION_TEMPLATES = {
     title: 'Payment Issue',
     body: (data) => data.body || 'There was an issue processing a payment. Please check your account or contact support.',
   },
+  payout_sent: {
+    title: 'Payout Sent',
+    body: (data) => data.itemTitle
+      ? `$${data.amount} for ${data.itemTitle} is on its way to your bank account.`
+      : `A payout of $${data.amount} is on its way to your bank account.`,
+  },
+  payment_needs_attention: {
+    title: 'Payment Needs Attention',
+    body: (data) => data.reason || 'A payment operation failed or doesn\'t match Stripe. Check the admin console.',
+  },
+
+  // Moderation
+  report_resolved: {
+    title: 'Report Reviewed',
+    body: (data) => data.actioned
+      ? `Thanks for your report. We reviewed the ${data.targetType || 'content'} and took action.`
+      : `Thanks for your report. We reviewed the ${data.targetType || 'content'} and it doesn't break our guidelines.`,
+  },
+  content_removed: {
+    title: 'Content Removed',
+    body: (data) => data.reasonLabel
+      ? `Your ${data.targetType || 'post'} was removed after a report (${data.reasonLabel.toLowerCase()}).`
+      : `Your ${data.targetType || 'post'} was removed after a report.`,
+  },
+  moderation_warning: {
+    title: 'Community Guidelines Warning',
+    body: (data) => data.body || (data.reasonLabel
+      ? `You received a warning after a report (${data.reasonLabel.toLowerCase()}). Repeated issues can lead to suspension.`
+      : 'You received a warning after a report. Repeated issues can lead to suspension.'),
+  },
 
   // Ratings
   new_rating: {
@@ -165,6 +325,20 @@ const NOTIFICATION_TEMPLATES = {
       ? `You've been approved to join ${data.communityName}. Tap to start browsing items nearby.`
       : 'You\'re in! Tap to start browsing items from your neighbors.',
   },
+  join_denied: {
+    title: 'Join Request Update',
+    body: (data) => {
+      const base = `Your request to join ${data.communityName || 'the neighborhood'} wasn't approved.`;
+      return data.message ? `${base} The organizer said: "${data.message}"` : base;
+    },
+  },
+
+  impact_report_ready: {
+    title: 'Your Community\'s Impact',
+    body: (data) => data.communityName
+      ? `${data.communityName} saved ${Math.round(data.co2SavedKg || 0)}kg of CO₂ by sharing in ${data.monthName || 'the last month'}. Tap to see and share the report.`
+      : 'Your community\'s monthly impact report is ready. Tap to see and share it.',
+  },
 
   // Item requests (wanted items)
   item_match: {
@@ -174,6 +348,23 @@ const NOTIFICATION_TEMPLATES = {
       : 'An item matching your request is available nearby! Tap to check it out.',
   },
 
+  // Saved searches
+  saved_search_match: {
+    title: 'New Match for Your Search',
+    body: (data) => data.itemTitle
+      ? `${data.itemTitle} was just listed and matches "${data.searchName || 'your saved search'}". Tap to take a look.`
+      : 'A new item matches one of your saved searches. Tap to take a look.',
+  },
+  saved_search_digest: {
+    title: 'New Matches Today',
+    body: (data) => {
+      const items = data.count === 1 ? '1 new item' : `${data.count || 'Some'} new items`;
+      return data.searchName
+        ? `${items} matched "${data.searchName}". Tap to see what's new.`
+        : `${items} matched your saved searches. Tap to see what's new.`;
+    },
+  },
+
   // New request posted
   new_request: {
     title: 'Neighbor Needs Help',
@@ -249,121 +440,274 @@ const NOTIFICATION_TEMPLATES = {
   },
 };
 
+// Lifecycle events that are also emailed. 'digest' types are low priority: users who
+// pick a daily or weekly digest get them bundled; everything else is sent right away.
+export const EMAIL_NOTIFICATIONS = {
+  borrow_request: 'instant',
+  request_approved: 'instant',
+  request_declined: 'instant',
+  payment_confirmed: 'digest',
+  deposit_released: 'digest',
+  deposit_charged: 'instant',
+  return_reminder: 'instant',
+  rental_overdue: 'instant',
+  dispute_filed_against_you: 'instant',
+  dispute_resolved: 'instant',
+  payout_sent: 'digest',
+};
+
+export const EMAIL_DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const emailEnabled = (prefs, type) => prefs.email !== false && prefs.emailTypes?.[type] !== false;
+
 /**
- * Send a notification to a user
- * @param {string} userId - Recipient user ID
- * @param {string} type - Notification type (key from NOTIFICATION_TEMPLATES)
- * @param {object} data - Data for the notification template
- * @param {object} options - Additional options (fromUserId, transactionId, listingId)
+ * Email a notification the user hasn't opted out of, or queue it for their digest.
+ * Runs as a 'notification.email' job; a failed send throws so the queue retries it.
  */
-export async function sendNotification(userId, type, data, options = {}) {
-  try {
-    const template = NOTIFICATION_TEMPLATES[type];
-    if (!template) {
-      logger.warn(`Unknown notification type: ${type}`);
-      return null;
-    }
-
-    const title = template.title;
-    const body = typeof template.body === 'function' ? template.body(data) : template.body;
-
-    // Create notification record
-    const result = await query(
-      `INSERT INTO notifications (user_id, type, title, body, from_user_id, transaction_id, listing_id, request_id, conversation_id, dispute_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING id`,
-      [
-        userId,
-        type,
-        title,
-        body,
-        options.fromUserId || data.fromUserId || null,
-        options.transactionId || data.transactionId || null,
-        options.listingId || data.listingId || null,
-        options.requestId || data.requestId || null,
-        options.conversationId || data.conversationId || null,
-        options.disputeId || data.disputeId || null,
-      ]
+async function deliverEmail({ userId, type, title, body, data }) {
+  const user = await query('SELECT email, notification_preferences FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) return;
+  const { email } = user.rows[0];
+  const prefs = user.rows[0].notification_preferences || {};
+  if (!email || !EMAIL_NOTIFICATIONS[type] || !emailEnabled(prefs, type)) return;
+
+  const actionUrl = notificationActionUrl(data);
+  if (EMAIL_NOTIFICATIONS[type] === 'digest' && EMAIL_DIGEST_FREQUENCIES.includes(prefs.emailDigest)) {
+    await query(
+      `INSERT INTO email_digest_items (user_id, type, title, body, action_url)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, type, title, body, actionUrl]
     );
+    return;
+  }
 
-    const notificationId = result.rows[0].id;
+  await sendNotificationEmail(email, {
+    title,
+    body,
+    actionUrl,
+    unsubscribeUrl: unsubscribeUrl(userId, type),
+  });
+}
 
-    // Get user's push token and preferences
-    const user = await query(
-      'SELECT push_token, notification_preferences FROM users WHERE id = $1',
-      [userId]
-    );
+/**
+ * Push a notification to the user's device with their current unread count as the
+ * badge. Runs as a 'notification.push' job.
+ */
+async function deliverPush({ userId, notificationId, type, title, body, data }) {
+  const user = await query('SELECT push_token, notification_preferences FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) return;
+  const { push_token } = user.rows[0];
+  const prefs = user.rows[0].notification_preferences || {};
+  if (!push_token || prefs.push === false || prefs[type] === false) return;
+
+  // Get unread count for app icon badge
+  const unreadResult = await query(
+    'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+    [userId]
+  );
+  const badge = parseInt(unreadResult.rows[0].count) || 1;
 
-    if (user.rows.length > 0) {
-      const { push_token, notification_preferences } = user.rows[0];
-      const prefs = notification_preferences || {};
+  await sendPushNotification(push_token, { title, body, data: { notificationId, type, ...data }, badge });
+}
 
-      // Send push notification if enabled and token exists
-      if (push_token && prefs.push !== false && prefs[type] !== false) {
-        // Get unread count for app icon badge
-        const unreadResult = await query(
-          'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
-          [userId]
-        );
-        const badge = parseInt(unreadResult.rows[0].count) || 1;
+registerJobHandler('notification.email', deliverEmail);
+registerJobHandler('notification.push', deliverPush);
+registerJobHandler('notification.send', async ({ userId, type, data, options }) => {
+  await createNotification(userId, type, data, options);
+});
 
-        await sendPushNotification(push_token, { title, body, data: { notificationId, type, ...data }, badge });
-      }
+/**
+ * Record a notification, update the user's live badge, and queue its push and email.
+ * Throws on failure; sendNotification() is the forgiving wrapper most callers want.
+ */
+async function createNotification(userId, type, data = {}, options = {}) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    logger.warn(`Unknown notification type: ${type}`);
+    return null;
+  }
+
+  const title = template.title;
+  const body = typeof template.body === 'function' ? template.body(data) : template.body;
+
+  // Create notification record
+  const result = await query(
+    `INSERT INTO notifications (user_id, type, title, body, from_user_id, transaction_id, listing_id, request_id, conversation_id, dispute_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      userId,
+      type,
+      title,
+      body,
+      options.fromUserId || data.fromUserId || null,
+      options.transactionId || data.transactionId || null,
+      options.listingId || data.listingId || null,
+      options.requestId || data.requestId || null,
+      options.conversationId || data.conversationId || null,
+      options.disputeId || data.disputeId || null,
+    ]
+  );
+
+  const notificationId = result.rows[0].id;
+
+  // Live clients update their badge (and open transaction screens) without polling
+  await publishBadgeCount(userId);
+  const transactionId = options.transactionId || data.transactionId;
+  if (transactionId) {
+    publish(userId, 'transaction:updated', { transactionId, notificationType: type });
+  }
+
+  // Push and email go out from the job queue, so a slow Expo or mail server never holds
+  // up the caller and failed sends are retried. Preferences are checked again at send time.
+  const user = await query(
+    'SELECT email, push_token, notification_preferences FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (user.rows.length > 0) {
+    const { email, push_token, notification_preferences } = user.rows[0];
+    const prefs = notification_preferences || {};
+    const delivery = { userId, notificationId, type, title, body, data };
+
+    if (push_token && prefs.push !== false && prefs[type] !== false) {
+      await enqueueJob('notification.push', delivery, { dedupeKey: `notification:${notificationId}:push` });
+    }
+    if (email && EMAIL_NOTIFICATIONS[type] && emailEnabled(prefs, type)) {
+      await enqueueJob('notification.email', delivery, { dedupeKey: `notification:${notificationId}:email` });
     }
+  }
+
+  return notificationId;
+}
 
-    return notificationId;
+/**
+ * Send a notification to a user
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Notification type (key from NOTIFICATION_TEMPLATES)
+ * @param {object} data - Data for the notification template
+ * @param {object} options - Additional options (fromUserId, transactionId, listingId)
+ */
+export async function sendNotification(userId, type, data, options = {}) {
+  try {
+    return await createNotification(userId, type, data, options);
   } catch (err) {
     logger.error('Send notification error:', err);
     return null;
   }
 }
 
+/**
+ * Queue one notification per recipient instead of sending them in the caller — for
+ * audiences too big to notify inside a request. dedupeKey keeps a retried fan-out from
+ * notifying anyone twice; each recipient's job key is `${dedupeKey}:${userId}`.
+ */
+export async function enqueueBulkNotification(userIds, type, data, options = {}, { dedupeKey } = {}) {
+  return enqueueJobs('notification.send', userIds.map(userId => ({
+    payload: { userId, type, data, options },
+    dedupeKey: dedupeKey ? `${dedupeKey}:${userId}` : null,
+  })));
+}
+
+/**
+ * Combined unread counts shown on the tab bar badge
+ */
+export async function getBadgeCounts(userId) {
+  const [messagesResult, notificationsResult, actionsResult] = await Promise.all([
+    query(
+      `SELECT COUNT(*) FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       WHERE m.is_read = false AND m.sender_id != $1
+       AND (c.user1_id = $1 OR c.user2_id = $1)`,
+      [userId]
+    ),
+    query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+      [userId]
+    ),
+    query(
+      `SELECT COUNT(*) FROM borrow_transactions WHERE (
+       (lender_id = $1 AND status = 'pending')
+       OR (borrower_id = $1 AND status = 'approved')
+       OR (lender_id = $1 AND status = 'return_pending'))`,
+      [userId]
+    ),
+  ]);
+
+  const messages = parseInt(messagesResult.rows[0].count);
+  const notifications = parseInt(notificationsResult.rows[0].count);
+  const actions = parseInt(actionsResult.rows[0].count);
+
+  return {
+    messages,
+    notifications,
+    actions,
+    total: messages + notifications + actions,
+  };
+}
+
+registerRealtimeLoader('badge_count', getBadgeCounts);
+
+/**
+ * Push the current badge counts to the user's open realtime connections.
+ * Most users have none open, so the counts are only queried by the instance
+ * holding the user's sockets — this can be called from a job worker too.
+ */
+export async function publishBadgeCount(userId) {
+  publishLoaded(userId, 'badge_count');
+}
+
 /**
  * Send push notification via Expo Push Service
- * Borrowhood uses React Native with Expo, so we use Expo's push service
+ * Borrowhood uses React Native with Expo, so we use Expo's push service.
+ * Throws when Expo can't take the message right now, so the push job is retried.
  */
 async function sendPushNotification(pushToken, { title, body, data, badge }) {
-  try {
-    // Validate Expo push token format
-    if (!pushToken.startsWith('ExponentPushToken[')) {
-      logger.warn('Invalid Expo push token format');
-      return;
-    }
+  // Validate Expo push token format
+  if (!pushToken.startsWith('ExponentPushToken[')) {
+    logger.warn('Invalid Expo push token format');
+    return;
+  }
 
-    const message = {
-      to: pushToken,
-      sound: 'default',
-      title,
-      body,
-      data,
-      badge: badge || 1,
-    };
-
-    const response = await fetch('https://exp.host/--/api/v2/push/send', {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Accept-Encoding': 'gzip, deflate',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(message),
-    });
-
-    const result = await response.json();
-
-    if (result.data?.status === 'error') {
+  const message = {
+    to: pushToken,
+    sound: 'default',
+    title,
+    body,
+    data,
+    badge: badge || 1,
+  };
+
+  const response = await fetch('https://exp.host/--/api/v2/push/send', {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Accept-Encoding': 'gzip, deflate',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(message),
+  });
+
+  if (response.status === 429 || response.status >= 500) {
+    throw new Error(`Expo push service returned ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  if (result.data?.status === 'error') {
+    const error = result.data.details?.error;
+    // Clear invalid push tokens so we stop failing silently
+    if (error === 'DeviceNotRegistered') {
+      await query('UPDATE users SET push_token = NULL WHERE push_token = $1', [pushToken]);
+      logger.info(`Cleared invalid push token: ${pushToken.substring(0, 20)}...`);
+    } else if (error === 'MessageRateExceeded') {
+      throw new Error('Expo push rate limit exceeded');
+    } else {
       logger.warn('Push notification error:', result.data.message);
-      // Clear invalid push tokens so we stop failing silently
-      if (result.data.details?.error === 'DeviceNotRegistered') {
-        await query('UPDATE users SET push_token = NULL WHERE push_token = $1', [pushToken]);
-        logger.info(`Cleared invalid push token: ${pushToken.substring(0, 20)}...`);
-      }
     }
-
-    return result;
-  } catch (err) {
-    logger.error('Push notification send error:', err);
   }
+
+  return result;
 }
 
 /**
@@ -395,4 +739,61 @@ export async function notifyOrganizers(communityId, type, data, options = {}) {
   return sendBulkNotification(organizerIds, type, data, options);
 }
 
-export default { sendNotification, sendBulkNotification, notifyOrganizers };
+/**
+ * Send queued digest emails to users on the given frequency ('daily' or 'weekly').
+ * Daily runs also flush the queue of anyone who has since turned digests off, so
+ * nothing waits forever. Run by the scheduler.
+ */
+export async function sendEmailDigests(frequency) {
+  const users = await query(
+    `SELECT DISTINCT u.id, u.email, u.notification_preferences
+     FROM email_digest_items d
+     JOIN users u ON d.user_id = u.id
+     WHERE d.sent_at IS NULL
+       AND CASE WHEN $1::text = 'weekly'
+         THEN u.notification_preferences->>'emailDigest' = 'weekly'
+         ELSE COALESCE(u.notification_preferences->>'emailDigest', 'off') <> 'weekly'
+       END`,
+    [frequency]
+  );
+
+  let sent = 0;
+  for (const user of users.rows) {
+    const prefs = user.notification_preferences || {};
+    const items = await query(
+      `SELECT * FROM email_digest_items WHERE user_id = $1 AND sent_at IS NULL ORDER BY created_at`,
+      [user.id]
+    );
+    // Types turned off since they were queued are dropped, not sent
+    const wanted = items.rows.filter(item => emailEnabled(prefs, item.type));
+
+    try {
+      if (wanted.length > 0 && user.email) {
+        await sendDigestEmail(user.email, {
+          frequency,
+          items: wanted,
+          unsubscribeUrl: unsubscribeUrl(user.id, 'all'),
+        });
+        sent++;
+      }
+      await query(
+        'UPDATE email_digest_items SET sent_at = NOW() WHERE id = ANY($1)',
+        [items.rows.map(item => item.id)]
+      );
+    } catch (err) {
+      logger.error(`Digest email failed for user ${user.id}:`, err.message);
+    }
+  }
+
+  return sent;
+}
+
+export default {
+  sendNotification,
+  sendBulkNotification,
+  enqueueBulkNotification,
+  notifyOrganizers,
+  getBadgeCounts,
+  publishBadgeCount,
+  sendEmailDigests,
+};
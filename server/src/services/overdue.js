@@ -0,0 +1,282 @@
+import { query, withTransaction } from '../utils/db.js';
+import { sendNotification } from './notifications.js';
+import { executePaymentOperation } from './paymentOperations.js';
+import { getActiveDepositHold } from './paymentHolds.js';
+import { OVERDUE_REMINDER_DAYS, OVERDUE_DISPUTE_DAYS, LATE_FEE_AUTO_CHARGE } from '../utils/constants.js';
+import logger from '../utils/logger.js';
+
+const db = { query };
+
+/**
+ * Overdue escalation — once a rental is past its return date the scheduler walks it
+ * down a ladder, one step at a time:
+ *   1. accrue late_fee_per_day for every day late, capped at the deposit
+ *   2. nudge the borrower at +1/+3/+7 days (and the lender from +3)
+ *   3. optionally charge the accrued fee against the deposit the platform holds
+ *   4. open a non-return dispute once it's OVERDUE_DISPUTE_DAYS late
+ *
+ * Each step writes a rental_overdue_events row. The (transaction, event, day) key is
+ * unique, so hourly runs never repeat a step, and the rows double as the audit trail.
+ */
+
+/**
+ * Most a rental can accrue in late fees: the deposit, or the rental fee when there
+ * isn't one — never more than the borrower put up for the item.
+ */
+export function lateFeeCapCents(t) {
+  const deposit = Math.round((parseFloat(t.deposit_amount) || 0) * 100);
+  if (deposit > 0) return deposit;
+  return Math.round((parseFloat(t.rental_fee) || 0) * 100);
+}
+
+/**
+ * The late fee a rental has earned after daysOverdue days, capped.
+ */
+export function accruedLateFeeCents(t, daysOverdue) {
+  const perDay = Math.round((parseFloat(t.late_fee_per_day) || 0) * 100);
+  if (perDay <= 0 || daysOverdue <= 0) return 0;
+  return Math.min(perDay * daysOverdue, lateFeeCapCents(t));
+}
+
+/**
+ * A transaction's overdue history, oldest first.
+ */
+export async function getOverdueEvents(transactionId, client = db) {
+  const result = await client.query(
+    `SELECT id, event_type, days_overdue, amount_cents, details, created_at
+     FROM rental_overdue_events
+     WHERE transaction_id = $1
+     ORDER BY created_at, days_overdue`,
+    [transactionId]
+  );
+
+  return result.rows.map(e => ({
+    id: e.id,
+    type: e.event_type,
+    daysOverdue: e.days_overdue,
+    amount: e.amount_cents / 100,
+    details: e.details,
+    createdAt: e.created_at,
+  }));
+}
+
+// Record a step; returns false when it was already taken for this day
+async function recordEvent(client, t, eventType, daysOverdue, amountCents = 0, details = {}) {
+  const result = await client.query(
+    `INSERT INTO rental_overdue_events (transaction_id, event_type, days_overdue, amount_cents, details)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (transaction_id, event_type, days_overdue) DO NOTHING
+     RETURNING id`,
+    [t.id, eventType, daysOverdue, amountCents, JSON.stringify(details)]
+  );
+  return result.rows.length > 0;
+}
+
+async function accrueLateFee(t) {
+  const accrued = accruedLateFeeCents(t, t.days_overdue);
+  const current = t.late_fee_amount_cents || 0;
+  if (accrued <= current) return current;
+
+  await withTransaction(async (client) => {
+    const recorded = await recordEvent(client, t, 'fee_accrued', t.days_overdue, accrued - current, {
+      totalCents: accrued,
+      capCents: lateFeeCapCents(t),
+    });
+    if (!recorded) return;
+
+    await client.query(
+      'UPDATE borrow_transactions SET late_fee_amount_cents = $1 WHERE id = $2',
+      [accrued, t.id]
+    );
+  });
+
+  logger.info(`Accrued late fee on transaction ${t.id}: ${accrued} cents after ${t.days_overdue} days`);
+  return accrued;
+}
+
+async function sendOverdueReminder(t, lateFeeCents) {
+  // Only the highest step reached — a rental first seen at +8 days shouldn't get three nudges
+  const step = [...OVERDUE_REMINDER_DAYS].reverse().find(d => t.days_overdue >= d);
+  if (!step) return;
+
+  const recorded = await recordEvent(db, t, 'reminder', step, 0, { lateFeeCents });
+  if (!recorded) return;
+
+  const data = {
+    itemTitle: t.item_title,
+    daysOverdue: step,
+    lateFee: (lateFeeCents / 100).toFixed(2),
+    disputeInDays: Math.max(0, OVERDUE_DISPUTE_DAYS - step),
+    transactionId: t.id,
+  };
+
+  await sendNotification(t.borrower_id, 'rental_overdue', data);
+  if (step > OVERDUE_REMINDER_DAYS[0]) {
+    await sendNotification(t.lender_id, 'rental_overdue_lender', data);
+  }
+
+  logger.info(`Sent +${step} day overdue reminder for transaction ${t.id}`);
+}
+
+/**
+ * Take the accrued-but-uncharged late fee out of the deposit and pay it to the lender.
+ * Only deposits the platform has captured can be charged this way — an uncaptured hold
+ * can only be captured once, so those fees are settled through the dispute instead. That
+ * includes long rentals, whose captured payment is just the fee and whose deposit is held apart.
+ */
+async function chargeLateFee(t, lateFeeCents) {
+  const outstanding = lateFeeCents - (t.late_fee_charged_cents || 0);
+  if (outstanding <= 0) return;
+  if (t.payment_status !== 'captured' || !t.stripe_payment_intent_id) return;
+  if ((parseFloat(t.deposit_amount) || 0) <= 0) return;
+  if (await getActiveDepositHold(t.id)) return;
+
+  if (!t.lender_connect_account_id) {
+    logger.info(`Lender ${t.lender_id} has no Connect account, leaving late fee on transaction ${t.id} uncharged`);
+    return;
+  }
+
+  const charged = await withTransaction(async (client) => {
+    const recorded = await recordEvent(client, t, 'fee_charged', t.days_overdue, outstanding);
+    if (!recorded) return false;
+
+    await client.query(
+      'UPDATE borrow_transactions SET late_fee_charged_cents = late_fee_charged_cents + $1 WHERE id = $2',
+      [outstanding, t.id]
+    );
+
+    // Throwing rolls back the event, so a failed transfer is retried on the next run
+    const transfer = await executePaymentOperation({
+      kind: 'transfer',
+      purpose: 'late_fee',
+      idempotencyKey: `late_fee:${t.id}:${t.days_overdue}`,
+      paymentIntentId: t.stripe_payment_intent_id,
+      amountCents: outstanding,
+      destinationAccountId: t.lender_connect_account_id,
+      transactionId: t.id,
+      metadata: { transactionId: t.id, type: 'late_fee', daysOverdue: t.days_overdue.toString() },
+      retry: false,
+    });
+    if (transfer.status !== 'succeeded') {
+      throw new Error(`Late fee transfer failed: ${transfer.lastError}`);
+    }
+
+    await client.query(
+      `UPDATE rental_overdue_events SET details = jsonb_build_object('transferId', $3::text)
+       WHERE transaction_id = $1 AND event_type = 'fee_charged' AND days_overdue = $2`,
+      [t.id, t.days_overdue, transfer.stripeObjectId]
+    );
+    return true;
+  });
+
+  if (!charged) return;
+  t.late_fee_charged_cents = (t.late_fee_charged_cents || 0) + outstanding;
+
+  await sendNotification(t.borrower_id, 'late_fee_charged', {
+    itemTitle: t.item_title,
+    amount: (outstanding / 100).toFixed(2),
+    transactionId: t.id,
+  });
+
+  logger.info(`Charged ${outstanding} cents in late fees against the deposit on transaction ${t.id}`);
+}
+
+/**
+ * Past the threshold the lender's only remedy is a claim, so open one for them — the
+ * same non-return dispute they could file themselves, with the remaining deposit requested.
+ */
+async function openOverdueDispute(t) {
+  if (t.days_overdue < OVERDUE_DISPUTE_DAYS) return;
+  // No money held on free rentals, so there's nothing for a dispute to settle
+  if (!t.stripe_payment_intent_id) return;
+
+  const remaining = (parseFloat(t.deposit_amount) || 0) - (t.late_fee_charged_cents || 0) / 100;
+  const description = `"${t.item_title}" is ${t.days_overdue} days past its return date and hasn't been returned. This dispute was opened automatically.`;
+
+  const dispute = await withTransaction(async (client) => {
+    const existing = await client.query(
+      'SELECT id FROM disputes WHERE transaction_id = $1',
+      [t.id]
+    );
+    if (existing.rows.length > 0) return null;
+
+    const result = await client.query(
+      `INSERT INTO disputes (
+        transaction_id, claimant_user_id, respondent_user_id, opened_by_id,
+        type, description, reason, requested_amount, status
+      ) VALUES ($1, $2, $3, $2, 'nonReturn', $4, $4, $5, 'awaitingResponse')
+      RETURNING id`,
+      [t.id, t.lender_id, t.borrower_id, description, remaining > 0 ? remaining : null]
+    );
+    const disputeId = result.rows[0].id;
+
+    await client.query(
+      `UPDATE borrow_transactions SET status = 'disputed' WHERE id = $1 AND status = 'picked_up'`,
+      [t.id]
+    );
+
+    await recordEvent(client, t, 'dispute_opened', t.days_overdue, Math.round(Math.max(remaining, 0) * 100), { disputeId });
+
+    return disputeId;
+  });
+
+  if (!dispute) return;
+
+  await sendNotification(t.borrower_id, 'dispute_filed_against_you', {
+    disputeId: dispute,
+    transactionId: t.id,
+    itemTitle: t.item_title,
+    typeLabel: 'Non-Return',
+  });
+  await sendNotification(t.lender_id, 'overdue_dispute_opened', {
+    disputeId: dispute,
+    transactionId: t.id,
+    itemTitle: t.item_title,
+    daysOverdue: t.days_overdue,
+  });
+
+  logger.info(`Opened non-return dispute ${dispute} for transaction ${t.id}`);
+}
+
+/**
+ * Scheduler pass over every rental that's still out past its return date.
+ * Returns the number of rentals processed.
+ */
+export async function processOverdueRentals() {
+  const result = await query(
+    `SELECT bt.id, bt.borrower_id, bt.lender_id, bt.deposit_amount, bt.rental_fee,
+            bt.payment_status, bt.stripe_payment_intent_id,
+            bt.late_fee_amount_cents, bt.late_fee_charged_cents,
+            CURRENT_DATE - bt.requested_end_date as days_overdue,
+            l.title as item_title, l.late_fee_per_day,
+            u.stripe_connect_account_id as lender_connect_account_id
+     FROM borrow_transactions bt
+     JOIN listings l ON bt.listing_id = l.id
+     JOIN users u ON bt.lender_id = u.id
+     WHERE bt.status = 'picked_up'
+       AND bt.requested_end_date < CURRENT_DATE
+       AND l.listing_type <> 'giveaway'`
+  );
+
+  for (const t of result.rows) {
+    try {
+      const lateFeeCents = await accrueLateFee(t);
+      await sendOverdueReminder(t, lateFeeCents);
+      if (LATE_FEE_AUTO_CHARGE) {
+        await chargeLateFee(t, lateFeeCents);
+      }
+      await openOverdueDispute(t);
+    } catch (err) {
+      logger.error(`Overdue escalation failed for transaction ${t.id}:`, err);
+    }
+  }
+
+  return result.rows.length;
+}
+
+export default {
+  lateFeeCapCents,
+  accruedLateFeeCents,
+  getOverdueEvents,
+  processOverdueRentals,
+};
@@ -0,0 +1,394 @@
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { stripe, chargeSavedPaymentMethod } from './stripe.js';
+import { executePaymentOperation } from './paymentOperations.js';
+import { sendNotification } from './notifications.js';
+import {
+  AUTHORIZATION_HOLD_DAYS,
+  LONG_RENTAL_DAYS,
+  HOLD_RENEWAL_HOURS,
+  HOLD_WARNING_HOURS,
+} from '../utils/constants.js';
+
+const db = { query };
+
+/**
+ * Card authorization lifecycle. Every hold placed for a transaction is a
+ * payment_holds row with the time it lapses:
+ *
+ *  - checkout: the borrower's authorization for fee + deposit, waiting on the lender
+ *  - deposit:  long rentals only — at approval the rental fee is captured and the
+ *              deposit moves to its own hold on the saved card, renewed before it
+ *              lapses, or charged outright (and refunded on return) if renewal fails
+ *
+ * held → captured | released | replaced (renewed) | lapsed
+ * charged → refunded | captured
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deposit PIs don't carry transaction_id in their metadata — the payment_intent
+// webhooks treat that key as the checkout payment and would cancel the rental
+const depositMetadata = (t) => ({ type: 'deposit_hold', hold_transaction_id: t.id });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric',
+});
+
+export const formatHold = (h) => ({
+  id: h.id,
+  purpose: h.purpose,
+  status: h.status,
+  amount: h.amount_cents / 100,
+  expiresAt: h.expires_at,
+  renewalFailed: h.status === 'held' && h.renewal_attempts > 0,
+});
+
+/**
+ * Whether a rental keeps its deposit on a separate, renewable hold: longer than
+ * LONG_RENTAL_DAYS, with a deposit, and a fee big enough to capture on its own.
+ */
+export function needsDepositHold(t) {
+  return (parseInt(t.rental_days, 10) || 0) > LONG_RENTAL_DAYS
+    && (parseFloat(t.deposit_amount) || 0) > 0
+    && Math.round((parseFloat(t.rental_fee) || 0) * 100) >= 50;
+}
+
+/**
+ * When an authorization lapses — Stripe's capture_before when the charge is
+ * expanded, otherwise AUTHORIZATION_HOLD_DAYS after the PaymentIntent was created.
+ */
+export function holdExpiresAt(pi) {
+  const captureBefore = pi.latest_charge?.payment_method_details?.card?.capture_before;
+  if (captureBefore) return new Date(captureBefore * 1000);
+  return new Date(pi.created * 1000 + AUTHORIZATION_HOLD_DAYS * DAY_MS);
+}
+
+/**
+ * Record the borrower's checkout authorization once it's in place.
+ */
+export async function recordCheckoutHold(transactionId, pi, client = db) {
+  await client.query(
+    `INSERT INTO payment_holds (transaction_id, purpose, stripe_payment_intent_id, amount_cents, expires_at)
+     VALUES ($1, 'checkout', $2, $3, $4)
+     ON CONFLICT (stripe_payment_intent_id) DO NOTHING`,
+    [transactionId, pi.id, pi.amount_capturable || pi.amount, holdExpiresAt(pi)]
+  );
+}
+
+/**
+ * Close out the checkout hold when the request is answered: 'captured' on approval,
+ * 'released' on decline or cancel.
+ */
+export async function settleCheckoutHold(transactionId, status, client = db) {
+  await client.query(
+    `UPDATE payment_holds SET status = $2, updated_at = NOW()
+     WHERE transaction_id = $1 AND purpose = 'checkout' AND status = 'held'`,
+    [transactionId, status]
+  );
+}
+
+/**
+ * The deposit hold (or charge) still covering a transaction, if it has one.
+ */
+export async function getActiveDepositHold(transactionId, client = db) {
+  const result = await client.query(
+    `SELECT * FROM payment_holds
+     WHERE transaction_id = $1 AND purpose = 'deposit' AND status IN ('held', 'charged')
+     ORDER BY created_at DESC LIMIT 1`,
+    [transactionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The hold a transaction's parties should know about: the live deposit hold for
+ * long rentals, else an unanswered checkout hold.
+ */
+export async function getCurrentHold(transactionId, client = db) {
+  const result = await client.query(
+    `SELECT * FROM payment_holds
+     WHERE transaction_id = $1 AND status IN ('held', 'charged', 'lapsed')
+     ORDER BY (purpose = 'deposit') DESC, created_at DESC
+     LIMIT 1`,
+    [transactionId]
+  );
+  return result.rows[0] ? formatHold(result.rows[0]) : null;
+}
+
+/**
+ * Put the deposit on the borrower's saved card — an authorization hold, or with
+ * charge: true an immediate charge that's refunded on return.
+ */
+async function placeDeposit(t, { customerId, paymentMethodId, idempotencyKey, charge = false }) {
+  const amountCents = Math.round(parseFloat(t.deposit_amount) * 100);
+  const pi = await chargeSavedPaymentMethod({
+    amount: amountCents,
+    customerId,
+    paymentMethodId,
+    metadata: depositMetadata(t),
+    idempotencyKey,
+    captureMethod: charge ? 'automatic' : 'manual',
+  });
+
+  const expected = charge ? 'succeeded' : 'requires_capture';
+  if (pi.status !== expected) {
+    const err = new Error(`Deposit ${charge ? 'charge' : 'authorization'} is ${pi.status}`);
+    err.code = pi.last_payment_error?.code || 'DEPOSIT_NOT_HELD';
+    throw err;
+  }
+
+  const result = await query(
+    `INSERT INTO payment_holds (transaction_id, purpose, stripe_payment_intent_id, amount_cents, status, expires_at)
+     VALUES ($1, 'deposit', $2, $3, $4, $5)
+     ON CONFLICT (stripe_payment_intent_id) DO UPDATE SET updated_at = NOW()
+     RETURNING *`,
+    [t.id, pi.id, amountCents, charge ? 'charged' : 'held', charge ? null : holdExpiresAt(pi)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Capture payment when the lender approves. Long rentals move the deposit to its
+ * own hold first and then capture just the rental fee (Stripe releases the rest of
+ * the checkout authorization); if the deposit can't be held, everything is captured
+ * up front as for short rentals.
+ *
+ * Returns { operation, depositHold } — check operation.status === 'succeeded'.
+ */
+export async function captureApprovedPayment(t, pi) {
+  let depositHold = null;
+
+  if (needsDepositHold(t) && pi.payment_method && pi.customer) {
+    try {
+      depositHold = await placeDeposit(t, {
+        customerId: pi.customer,
+        paymentMethodId: pi.payment_method,
+        idempotencyKey: `deposit_hold:${t.id}`,
+      });
+    } catch (err) {
+      logger.warn(`Couldn't hold the deposit separately for transaction ${t.id}, capturing it up front:`, err.message);
+    }
+  }
+
+  const operation = await executePaymentOperation({
+    kind: 'capture',
+    purpose: 'rental_capture',
+    idempotencyKey: `rental_capture:${t.id}`,
+    paymentIntentId: t.stripe_payment_intent_id,
+    amountCents: depositHold ? Math.round(parseFloat(t.rental_fee) * 100) : null,
+    transactionId: t.id,
+    retry: false,
+  });
+
+  if (operation.status !== 'succeeded') {
+    // The request isn't approved, so the new deposit hold has nothing to cover
+    if (depositHold) {
+      await settleDeposit(t);
+    }
+    return { operation, depositHold: null };
+  }
+
+  await settleCheckoutHold(t.id, 'captured');
+  return { operation, depositHold: depositHold ? formatHold(depositHold) : null };
+}
+
+/**
+ * Pay out of the deposit and return the rest: capture claimCents from a held deposit
+ * (releasing the remainder), or refund what's left of a charged one. Returns null when
+ * the transaction has no separate deposit, else { hold, claimedCents }.
+ */
+export async function settleDeposit(t, claimCents = 0, { disputeId = null } = {}) {
+  const hold = await getActiveDepositHold(t.id);
+  if (!hold) return null;
+
+  const claim = Math.max(0, Math.min(Math.round(claimCents), hold.amount_cents));
+  const base = {
+    paymentIntentId: hold.stripe_payment_intent_id,
+    transactionId: t.id,
+    disputeId,
+  };
+
+  let status;
+  let claimedCents = claim;
+
+  if (hold.status === 'held' && claim > 0) {
+    const capture = await executePaymentOperation({
+      ...base,
+      kind: 'capture',
+      purpose: 'deposit_capture',
+      idempotencyKey: `deposit_capture:${hold.id}`,
+      amountCents: claim,
+      retry: false,
+    });
+    if (capture.status === 'succeeded') {
+      status = 'captured';
+    } else {
+      logger.error(`Deposit capture failed for transaction ${t.id}:`, capture.lastError);
+      status = 'lapsed';
+      claimedCents = 0;
+    }
+  } else if (hold.status === 'held') {
+    // Failures are retried by the payment ledger; the hold itself is done either way
+    await executePaymentOperation({
+      ...base,
+      kind: 'cancel',
+      purpose: 'deposit_hold_release',
+      idempotencyKey: `deposit_release:${hold.id}`,
+    });
+    status = 'released';
+  } else {
+    const refundCents = hold.amount_cents - claim;
+    if (refundCents > 0) {
+      await executePaymentOperation({
+        ...base,
+        kind: 'refund',
+        purpose: 'deposit_refund',
+        idempotencyKey: `deposit_refund:${hold.id}`,
+        amountCents: refundCents,
+      });
+    }
+    status = claim > 0 ? 'captured' : 'refunded';
+  }
+
+  await query(
+    'UPDATE payment_holds SET status = $2, updated_at = NOW() WHERE id = $1',
+    [hold.id, status]
+  );
+  return { hold: formatHold({ ...hold, status }), claimedCents };
+}
+
+/**
+ * Renew deposit holds that lapse within HOLD_RENEWAL_HOURS: authorize again on the
+ * same card, or charge the deposit if the authorization is declined. The old hold is
+ * released only once the new one is in place. Run by the scheduler.
+ */
+export async function renewExpiringHolds() {
+  const expiring = await query(
+    `SELECT h.*, t.deposit_amount, t.borrower_id, u.stripe_customer_id, l.title as item_title
+     FROM payment_holds h
+     JOIN borrow_transactions t ON h.transaction_id = t.id
+     JOIN users u ON t.borrower_id = u.id
+     JOIN listings l ON t.listing_id = l.id
+     WHERE h.purpose = 'deposit' AND h.status = 'held'
+       AND h.expires_at > NOW()
+       AND h.expires_at < NOW() + make_interval(hours => $1::int)`,
+    [HOLD_RENEWAL_HOURS]
+  );
+
+  let renewed = 0;
+  for (const h of expiring.rows) {
+    const t = { id: h.transaction_id, deposit_amount: h.deposit_amount };
+    let replacement = null;
+    let error = null;
+
+    try {
+      const current = await stripe.paymentIntents.retrieve(h.stripe_payment_intent_id);
+      const deposit = {
+        customerId: h.stripe_customer_id,
+        paymentMethodId: current.payment_method,
+      };
+
+      try {
+        replacement = await placeDeposit(t, { ...deposit, idempotencyKey: `deposit_hold:${t.id}:renew:${h.id}` });
+      } catch (authErr) {
+        logger.warn(`Deposit re-authorization declined for transaction ${t.id}, charging instead:`, authErr.message);
+        replacement = await placeDeposit(t, { ...deposit, idempotencyKey: `deposit_charge:${h.id}`, charge: true });
+        await sendNotification(h.borrower_id, 'deposit_charged', {
+          itemTitle: h.item_title,
+          amount: (h.amount_cents / 100).toFixed(2),
+          transactionId: t.id,
+        });
+      }
+    } catch (err) {
+      error = err;
+    }
+
+    if (!replacement) {
+      await query(
+        `UPDATE payment_holds SET renewal_attempts = renewal_attempts + 1, last_error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [h.id, error?.message]
+      );
+      logger.error(`Couldn't renew the deposit hold for transaction ${t.id}:`, error?.message);
+      continue;
+    }
+
+    await query(`UPDATE payment_holds SET status = 'replaced', updated_at = NOW() WHERE id = $1`, [h.id]);
+    await executePaymentOperation({
+      kind: 'cancel',
+      purpose: 'deposit_renewal',
+      idempotencyKey: `deposit_release:${h.id}`,
+      paymentIntentId: h.stripe_payment_intent_id,
+      transactionId: t.id,
+    });
+    renewed++;
+  }
+
+  return renewed;
+}
+
+/**
+ * Warn both parties before a hold lapses — checkout holds on unanswered requests,
+ * and deposit holds that couldn't be renewed — then mark lapsed holds. Run by the
+ * scheduler.
+ */
+export async function sendHoldExpiryWarnings() {
+  const expiring = await query(
+    `SELECT h.*, t.borrower_id, t.lender_id, t.status as transaction_status, l.title as item_title
+     FROM payment_holds h
+     JOIN borrow_transactions t ON h.transaction_id = t.id
+     JOIN listings l ON t.listing_id = l.id
+     WHERE h.status = 'held' AND h.warned_at IS NULL
+       AND h.expires_at > NOW()
+       AND h.expires_at < NOW() + make_interval(hours => $1::int)
+       AND ((h.purpose = 'checkout' AND t.status = 'pending')
+         OR (h.purpose = 'deposit' AND h.renewal_attempts > 0))`,
+    [HOLD_WARNING_HOURS]
+  );
+
+  for (const h of expiring.rows) {
+    const data = { itemTitle: h.item_title, expiresOn: formatDate(h.expires_at), transactionId: h.transaction_id };
+    if (h.purpose === 'checkout') {
+      await sendNotification(h.lender_id, 'hold_expiring_lender', data);
+      await sendNotification(h.borrower_id, 'hold_expiring_borrower', data);
+    } else {
+      await sendNotification(h.borrower_id, 'deposit_hold_renewal_failed', data);
+      await sendNotification(h.lender_id, 'deposit_hold_at_risk', data);
+    }
+    await query('UPDATE payment_holds SET warned_at = NOW() WHERE id = $1', [h.id]);
+  }
+
+  const lapsed = await query(
+    `UPDATE payment_holds h SET status = 'lapsed', updated_at = NOW()
+     FROM borrow_transactions t, listings l
+     WHERE h.transaction_id = t.id AND t.listing_id = l.id
+       AND h.status = 'held' AND h.expires_at <= NOW()
+     RETURNING h.*, t.lender_id, l.title as item_title`
+  );
+  for (const h of lapsed.rows) {
+    logger.warn(`${h.purpose} hold ${h.stripe_payment_intent_id} lapsed on transaction ${h.transaction_id}`);
+    if (h.purpose === 'deposit') {
+      await sendNotification(h.lender_id, 'deposit_hold_lapsed', {
+        itemTitle: h.item_title,
+        transactionId: h.transaction_id,
+      });
+    }
+  }
+
+  return { warned: expiring.rows.length, lapsed: lapsed.rows.length };
+}
+
+export default {
+  formatHold,
+  needsDepositHold,
+  holdExpiresAt,
+  recordCheckoutHold,
+  settleCheckoutHold,
+  getActiveDepositHold,
+  getCurrentHold,
+  captureApprovedPayment,
+  settleDeposit,
+  renewExpiringHolds,
+  sendHoldExpiryWarnings,
+};
@@ -0,0 +1,577 @@
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+import {
+  stripe,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createTransfer,
+  refundPayment,
+} from './stripe.js';
+import { sendNotification, sendBulkNotification } from './notifications.js';
+
+/**
+ * Payment operations ledger. Every capture, cancel, refund and transfer goes through
+ * executePaymentOperation(), which records the intent before Stripe is called, so the
+ * database never claims money moved when it didn't.
+ *
+ * pending → processing → succeeded
+ *                      → failed (retried with backoff) → … → dead (admins told)
+ *                      → abandoned (retry: false — the caller reports the failure itself)
+ *
+ * retryPaymentOperations() works the failed queue; reconcilePaymentOperations() checks
+ * the ledger against Stripe and flags mismatches to admins.
+ */
+
+export const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MINUTES = 5;
+const MAX_BACKOFF_MINUTES = 12 * 60;
+const STUCK_PROCESSING_MINUTES = 15;
+const RECONCILE_AFTER_MINUTES = 10;
+
+// Stripe errors that will fail the same way however many times we retry
+const PERMANENT_ERROR_CODES = new Set([
+  'charge_already_refunded',
+  'payment_intent_unexpected_state',
+  'resource_missing',
+  'amount_too_large',
+  'account_invalid',
+]);
+
+/**
+ * Minutes to wait before the next attempt: 5, 10, 20, … capped at 12 hours.
+ */
+export function backoffMinutes(attempts) {
+  return Math.min(BASE_BACKOFF_MINUTES * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MINUTES);
+}
+
+export const formatOperation = (op) => ({
+  id: op.id,
+  kind: op.kind,
+  purpose: op.purpose,
+  status: op.status,
+  amountCents: op.amount_cents,
+  transactionId: op.transaction_id,
+  disputeId: op.dispute_id,
+  stripePaymentIntentId: op.stripe_payment_intent_id,
+  stripeObjectId: op.stripe_object_id,
+  attempts: op.attempts,
+  lastError: op.last_error,
+  nextAttemptAt: op.next_attempt_at,
+  succeededAt: op.succeeded_at,
+  webhookConfirmedAt: op.webhook_confirmed_at,
+  reconciliationStatus: op.reconciliation_status,
+  reconciliationNote: op.reconciliation_note,
+  createdAt: op.created_at,
+});
+
+// Tell the lender their money is on the way once a payout transfer goes through
+async function notifyPayout(op) {
+  const result = await query(
+    `SELECT t.lender_id, l.title FROM borrow_transactions t
+     JOIN listings l ON t.listing_id = l.id
+     WHERE t.id = $1`,
+    [op.transaction_id]
+  );
+  if (result.rows.length === 0) return;
+  await sendNotification(result.rows[0].lender_id, 'payout_sent', {
+    amount: (op.amount_cents / 100).toFixed(2),
+    itemTitle: result.rows[0].title,
+    transactionId: op.transaction_id,
+  });
+}
+
+// Bring the rest of the database in line once money has actually moved — these also
+// run when a retry succeeds long after the original request returned
+const SUCCESS_HOOKS = {
+  rental_payout: async (op) => {
+    await query(
+      `UPDATE borrow_transactions
+       SET stripe_transfer_id = $1,
+           payment_status = CASE WHEN payment_status = 'transfer_failed' THEN 'completed' ELSE payment_status END
+       WHERE id = $2`,
+      [op.stripe_object_id, op.transaction_id]
+    );
+    await notifyPayout(op);
+  },
+  dispute_payout: notifyPayout,
+  deposit_release: (op) => query(
+    `UPDATE borrow_transactions SET payment_status = 'deposit_released'
+     WHERE id = $1 AND payment_status = 'authorized'`,
+    [op.transaction_id]
+  ),
+  rto_payout: (op) => query(
+    'UPDATE rto_payments SET stripe_transfer_id = $1 WHERE id = $2',
+    [op.stripe_object_id, op.metadata.rtoPaymentId]
+  ),
+};
+
+async function notifyAdmins(reason, op) {
+  try {
+    const admins = await query('SELECT id FROM users WHERE is_admin = true');
+    await sendBulkNotification(admins.rows.map(a => a.id), 'payment_needs_attention', {
+      reason,
+      paymentOperationId: op.id,
+      transactionId: op.transaction_id,
+    });
+  } catch (err) {
+    logger.error(`Failed to notify admins about payment operation ${op.id}:`, err.message);
+  }
+}
+
+async function flagMismatch(op, note) {
+  await query(
+    `UPDATE payment_operations
+     SET reconciliation_status = 'mismatch', reconciliation_note = $2, reconciled_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+    [op.id, note]
+  );
+  logger.error(`Payment operation ${op.id} (${op.purpose}) doesn't match Stripe: ${note}`);
+  await notifyAdmins(`${op.purpose.replace(/_/g, ' ')} doesn't match Stripe: ${note}`, op);
+}
+
+function callStripe(op) {
+  // A fresh Stripe key per attempt: Stripe replays a saved error for a reused key,
+  // and findStripeObject() has already ruled out an earlier attempt going through
+  const idempotencyKey = `${op.idempotency_key}:${op.attempts}`;
+  const metadata = { ...op.metadata, paymentOperationId: op.id };
+
+  switch (op.kind) {
+    case 'capture':
+      return capturePaymentIntent(op.stripe_payment_intent_id, op.amount_cents, { idempotencyKey });
+    case 'cancel':
+      return cancelPaymentIntent(op.stripe_payment_intent_id, { idempotencyKey });
+    case 'refund':
+      return refundPayment(op.stripe_payment_intent_id, op.amount_cents, { metadata, idempotencyKey });
+    case 'transfer':
+      return createTransfer({
+        amount: op.amount_cents,
+        destinationAccountId: op.destination_account_id,
+        sourcePaymentIntentId: op.stripe_payment_intent_id,
+        metadata,
+        transferGroup: `payop_${op.id}`,
+        idempotencyKey,
+      });
+    default:
+      throw new Error(`Unknown payment operation kind: ${op.kind}`);
+  }
+}
+
+/**
+ * Look in Stripe for evidence that this operation already happened — an earlier
+ * attempt that timed out, or one the ledger marked failed. Returns the Stripe object
+ * or null.
+ */
+async function findStripeObject(op) {
+  switch (op.kind) {
+    case 'capture': {
+      const pi = await stripe.paymentIntents.retrieve(op.stripe_payment_intent_id);
+      return pi.status === 'succeeded' ? pi : null;
+    }
+    case 'cancel': {
+      const pi = await stripe.paymentIntents.retrieve(op.stripe_payment_intent_id);
+      return pi.status === 'canceled' ? pi : null;
+    }
+    case 'refund': {
+      const refunds = await stripe.refunds.list({ payment_intent: op.stripe_payment_intent_id, limit: 100 });
+      return refunds.data.find(r => r.metadata?.paymentOperationId === op.id && !['failed', 'canceled'].includes(r.status)) || null;
+    }
+    case 'transfer': {
+      const transfers = await stripe.transfers.list({ transfer_group: `payop_${op.id}`, limit: 1 });
+      return transfers.data[0] || null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare a succeeded operation with its Stripe object. Returns a mismatch
+ * description, or null when Stripe agrees with the ledger.
+ */
+async function checkStripeObject(op) {
+  switch (op.kind) {
+    case 'capture': {
+      const pi = await stripe.paymentIntents.retrieve(op.stripe_payment_intent_id);
+      if (pi.status !== 'succeeded') return `payment intent is ${pi.status}, not captured`;
+      if (op.amount_cents !== null && pi.amount_received !== op.amount_cents) {
+        return `captured ${pi.amount_received} cents, ledger says ${op.amount_cents}`;
+      }
+      return null;
+    }
+    case 'cancel': {
+      const pi = await stripe.paymentIntents.retrieve(op.stripe_payment_intent_id);
+      return pi.status === 'canceled' ? null : `payment intent is ${pi.status}, not canceled`;
+    }
+    case 'refund': {
+      const refund = await stripe.refunds.retrieve(op.stripe_object_id);
+      if (['failed', 'canceled'].includes(refund.status)) return `refund ${refund.id} is ${refund.status}`;
+      if (op.amount_cents !== null && refund.amount !== op.amount_cents) {
+        return `refunded ${refund.amount} cents, ledger says ${op.amount_cents}`;
+      }
+      return null;
+    }
+    case 'transfer': {
+      const transfer = await stripe.transfers.retrieve(op.stripe_object_id);
+      if (transfer.reversed) return `transfer ${transfer.id} was reversed`;
+      if (transfer.amount !== op.amount_cents) {
+        return `transferred ${transfer.amount} cents, ledger says ${op.amount_cents}`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+async function markSucceeded(op, stripeObject) {
+  const result = await query(
+    `UPDATE payment_operations
+     SET status = 'succeeded', stripe_object_id = $2, last_error = NULL, next_attempt_at = NULL,
+         succeeded_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [op.id, stripeObject.id]
+  );
+  const done = result.rows[0];
+
+  const hook = SUCCESS_HOOKS[done.purpose];
+  if (hook) {
+    try {
+      await hook(done);
+    } catch (err) {
+      // The money moved — don't mark the operation failed over a bookkeeping error
+      logger.error(`Post-payment update failed for operation ${done.id} (${done.purpose}):`, err.message);
+    }
+  }
+
+  if (done.attempts > 1) {
+    logger.info(`Payment operation ${done.id} (${done.purpose}) succeeded on attempt ${done.attempts}`);
+  }
+  return done;
+}
+
+async function markFailed(op, err) {
+  let status = 'failed';
+  if (!op.retryable) {
+    status = 'abandoned';
+  } else if (PERMANENT_ERROR_CODES.has(err.code) || op.attempts >= MAX_ATTEMPTS) {
+    status = 'dead';
+  }
+
+  const result = await query(
+    `UPDATE payment_operations
+     SET status = $2, last_error = $3,
+         next_attempt_at = NOW() + make_interval(mins => $4::int), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [op.id, status, err.message, status === 'failed' ? backoffMinutes(op.attempts) : null]
+  );
+  const failed = result.rows[0];
+
+  if (status === 'dead') {
+    logger.error(`Payment operation ${op.id} (${op.purpose}) gave up after ${op.attempts} attempts: ${err.message}`);
+    const tries = op.attempts > 1 ? ` after ${op.attempts} attempts` : '';
+    await notifyAdmins(`${op.purpose.replace(/_/g, ' ')} failed${tries}: ${err.message}`, op);
+  } else {
+    logger.warn(`Payment operation ${op.id} (${op.purpose}) attempt ${op.attempts} failed: ${err.message}`);
+  }
+  return failed;
+}
+
+async function attemptOperation(op) {
+  const claimed = await query(
+    `UPDATE payment_operations
+     SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'failed', 'abandoned')
+     RETURNING *`,
+    [op.id]
+  );
+  if (claimed.rows.length === 0) {
+    // Someone else is working on it (or it already finished)
+    const current = await query('SELECT * FROM payment_operations WHERE id = $1', [op.id]);
+    return current.rows[0];
+  }
+  const current = claimed.rows[0];
+
+  try {
+    // Cancels are checked every time: a hold that already lapsed needs no cancelling
+    const existing = current.attempts > 1 || current.kind === 'cancel'
+      ? await findStripeObject(current)
+      : null;
+    const stripeObject = existing || await callStripe(current);
+    return await markSucceeded(current, stripeObject);
+  } catch (err) {
+    return markFailed(current, err);
+  }
+}
+
+/**
+ * Record a money movement in the ledger and try it once. The idempotency key names
+ * the movement (e.g. `dispute_refund:<disputeId>`), so calling again for the same
+ * movement returns the existing operation rather than moving money twice.
+ *
+ * Returns the formatted operation; check `status === 'succeeded'`. With retry: false
+ * a failure is left abandoned for the caller to report; otherwise it's queued for
+ * retryPaymentOperations().
+ */
+export async function executePaymentOperation({
+  kind,
+  purpose,
+  idempotencyKey,
+  paymentIntentId = null,
+  amountCents = null,
+  destinationAccountId = null,
+  transactionId = null,
+  disputeId = null,
+  metadata = {},
+  retry = true,
+}) {
+  const inserted = await query(
+    `INSERT INTO payment_operations
+       (kind, purpose, idempotency_key, retryable, transaction_id, dispute_id,
+        stripe_payment_intent_id, destination_account_id, amount_cents, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (idempotency_key) DO NOTHING
+     RETURNING *`,
+    [
+      kind, purpose, idempotencyKey, retry, transactionId, disputeId,
+      paymentIntentId, destinationAccountId, amountCents, JSON.stringify(metadata),
+    ]
+  );
+
+  let op = inserted.rows[0];
+  if (!op) {
+    const existing = await query('SELECT * FROM payment_operations WHERE idempotency_key = $1', [idempotencyKey]);
+    op = existing.rows[0];
+    // Already done, or queued and owned by the retry worker
+    if (!['pending', 'abandoned'].includes(op.status)) {
+      return formatOperation(op);
+    }
+  }
+
+  return formatOperation(await attemptOperation(op));
+}
+
+/**
+ * Retry failed operations whose backoff has elapsed. Run by the scheduler.
+ */
+export async function retryPaymentOperations({ limit = 25 } = {}) {
+  const due = await query(
+    `SELECT * FROM payment_operations
+     WHERE status = 'failed' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at
+     LIMIT $1`,
+    [limit]
+  );
+
+  let succeeded = 0;
+  for (const op of due.rows) {
+    const result = await attemptOperation(op);
+    if (result.status === 'succeeded') succeeded++;
+  }
+  return { attempted: due.rows.length, succeeded };
+}
+
+/**
+ * Check the ledger against Stripe:
+ *  - operations stuck in pending or processing (the server died mid-call) go back on the queue
+ *  - succeeded operations are compared with their Stripe object
+ *  - dead and abandoned operations are checked for money that moved anyway
+ * Mismatches are flagged on the operation and sent to admins.
+ */
+export async function reconcilePaymentOperations({ limit = 100 } = {}) {
+  await query(
+    `UPDATE payment_operations
+     SET status = CASE WHEN retryable THEN 'failed' ELSE 'abandoned' END,
+         next_attempt_at = CASE WHEN retryable THEN NOW() END,
+         last_error = 'Interrupted before Stripe responded', updated_at = NOW()
+     WHERE status IN ('pending', 'processing') AND updated_at < NOW() - make_interval(mins => $1::int)`,
+    [STUCK_PROCESSING_MINUTES]
+  );
+
+  const summary = { checked: 0, mismatches: 0, recovered: 0 };
+
+  const succeeded = await query(
+    `SELECT * FROM payment_operations
+     WHERE status = 'succeeded' AND reconciliation_status = 'unchecked'
+       AND succeeded_at < NOW() - make_interval(mins => $1::int)
+     ORDER BY succeeded_at
+     LIMIT $2`,
+    [RECONCILE_AFTER_MINUTES, limit]
+  );
+  for (const op of succeeded.rows) {
+    try {
+      const mismatch = await checkStripeObject(op);
+      summary.checked++;
+      if (mismatch) {
+        summary.mismatches++;
+        await flagMismatch(op, mismatch);
+      } else {
+        await query(
+          `UPDATE payment_operations SET reconciliation_status = 'matched', reconciled_at = NOW() WHERE id = $1`,
+          [op.id]
+        );
+      }
+    } catch (err) {
+      logger.warn(`Could not reconcile payment operation ${op.id}:`, err.message);
+    }
+  }
+
+  const unfinished = await query(
+    `SELECT * FROM payment_operations
+     WHERE status IN ('dead', 'abandoned') AND reconciliation_status = 'unchecked'
+       AND updated_at < NOW() - make_interval(mins => $1::int)
+     ORDER BY updated_at
+     LIMIT $2`,
+    [RECONCILE_AFTER_MINUTES, limit]
+  );
+  for (const op of unfinished.rows) {
+    try {
+      const stripeObject = await findStripeObject(op);
+      summary.checked++;
+      if (stripeObject && op.status === 'dead') {
+        // It went through after all — record it and let the success hook catch up
+        await markSucceeded(op, stripeObject);
+        await query(
+          `UPDATE payment_operations
+           SET reconciliation_status = 'matched', reconciled_at = NOW(),
+               reconciliation_note = 'Found in Stripe after the ledger gave up'
+           WHERE id = $1`,
+          [op.id]
+        );
+        summary.recovered++;
+      } else if (stripeObject) {
+        // The user was told this failed, but Stripe moved the money
+        summary.mismatches++;
+        await flagMismatch(op, `${op.kind} ${stripeObject.id} went through in Stripe after the request reported failure`);
+      } else {
+        await query(
+          `UPDATE payment_operations SET reconciliation_status = 'matched', reconciled_at = NOW() WHERE id = $1`,
+          [op.id]
+        );
+      }
+    } catch (err) {
+      logger.warn(`Could not reconcile payment operation ${op.id}:`, err.message);
+    }
+  }
+
+  return summary;
+}
+
+async function confirmOperations(whereSql, params, eventId) {
+  const result = await query(
+    `UPDATE payment_operations SET webhook_confirmed_at = NOW(), updated_at = NOW()
+     WHERE ${whereSql} AND webhook_confirmed_at IS NULL`,
+    params
+  );
+  if (result.rowCount > 0) {
+    logger.info(`Webhook ${eventId} confirmed ${result.rowCount} payment operation(s)`);
+  }
+}
+
+/**
+ * Compare a Stripe webhook event with the ledger: confirm operations Stripe reports
+ * as done, and flag ones Stripe later failed or reversed.
+ */
+export async function applyWebhookToLedger(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return confirmOperations(
+        `kind = 'capture' AND stripe_payment_intent_id = $1 AND status = 'succeeded'`,
+        [object.id], event.id
+      );
+
+    case 'payment_intent.canceled':
+      return confirmOperations(
+        `kind = 'cancel' AND stripe_payment_intent_id = $1 AND status = 'succeeded'`,
+        [object.id], event.id
+      );
+
+    case 'transfer.created':
+      return confirmOperations(`stripe_object_id = $1`, [object.id], event.id);
+
+    case 'charge.refunded': {
+      const refundIds = (object.refunds?.data || [])
+        .filter(r => !['failed', 'canceled'].includes(r.status))
+        .map(r => r.id);
+      if (refundIds.length === 0) return null;
+      return confirmOperations(`stripe_object_id = ANY($1)`, [refundIds], event.id);
+    }
+
+    case 'refund.created':
+    case 'refund.updated':
+    case 'refund.failed':
+    case 'charge.refund.updated': {
+      if (['failed', 'canceled'].includes(object.status)) {
+        const ops = await query(
+          `SELECT * FROM payment_operations WHERE stripe_object_id = $1 AND reconciliation_status != 'mismatch'`,
+          [object.id]
+        );
+        for (const op of ops.rows) {
+          await flagMismatch(op, `Stripe reports refund ${object.id} ${object.status}`);
+        }
+        return null;
+      }
+      return confirmOperations(`stripe_object_id = $1`, [object.id], event.id);
+    }
+
+    case 'transfer.reversed': {
+      const ops = await query(
+        `SELECT * FROM payment_operations WHERE stripe_object_id = $1 AND reconciliation_status != 'mismatch'`,
+        [object.id]
+      );
+      for (const op of ops.rows) {
+        await flagMismatch(op, `transfer ${object.id} was reversed in Stripe`);
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Admin: put an unfinished operation back through Stripe now.
+ */
+export async function retryOperationNow(operationId) {
+  const result = await query(
+    `UPDATE payment_operations
+     SET status = 'failed', retryable = true, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'failed', 'dead', 'abandoned')
+     RETURNING *`,
+    [operationId]
+  );
+  if (result.rows.length === 0) return null;
+  return formatOperation(await attemptOperation(result.rows[0]));
+}
+
+/**
+ * Admin: close out a mismatch, or a dead operation settled by hand outside the app.
+ * Returns the updated operation, or null when there's nothing to resolve.
+ */
+export async function resolvePaymentOperation(operationId, note) {
+  const result = await query(
+    `UPDATE payment_operations
+     SET reconciliation_status = 'resolved', reconciliation_note = $2, reconciled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND (reconciliation_status = 'mismatch' OR status = 'dead')
+       AND reconciliation_status != 'resolved'
+     RETURNING *`,
+    [operationId, note]
+  );
+  return result.rows[0] ? formatOperation(result.rows[0]) : null;
+}
+
+export default {
+  MAX_ATTEMPTS,
+  backoffMinutes,
+  formatOperation,
+  executePaymentOperation,
+  retryPaymentOperations,
+  reconcilePaymentOperations,
+  applyWebhookToLedger,
+  retryOperationNow,
+  resolvePaymentOperation,
+};
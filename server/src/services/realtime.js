@@ -0,0 +1,277 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { pool, query } from '../utils/db.js';
+import { verifyAccessToken } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Realtime gateway — a WebSocket endpoint at /ws that pushes events to signed-in clients.
+ * Clients authenticate with the same JWT as the REST API, sent either as
+ * `Authorization: Bearer <token>` or `?token=<token>` (browsers can't set WS headers).
+ *
+ * Server → client frames: { type, data }
+ *   message:new, message:deleted, message:reaction, message:read,
+ *   typing, badge_count, transaction:updated
+ * Client → server frames: { type: 'typing', conversationId, isTyping }
+ *
+ * Sockets live in memory on the instance that accepted them, but events are raised
+ * anywhere — API instances, job workers — so publish() goes out over Postgres
+ * NOTIFY and every instance with a gateway delivers to the sockets it holds.
+ */
+
+export const REALTIME_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+const NOTIFY_CHANNEL = 'realtime_events';
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_NOTIFY_BYTES = 7900;
+const LISTEN_RETRY_MS = 5000;
+
+// userId -> Set<WebSocket>
+const connections = new Map();
+let wss = null;
+let heartbeat = null;
+let listener = null;
+let listenRetry = null;
+let stopped = false;
+
+// Event types whose data is built where the socket is, only for users connected there
+const loaders = new Map();
+
+function addConnection(userId, ws) {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(ws);
+}
+
+function removeConnection(userId, ws) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) connections.delete(userId);
+}
+
+function tokenFromRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ')) return authHeader.split(' ')[1];
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Forward a typing indicator to the other participant of a conversation
+async function handleTyping(userId, frame) {
+  if (!frame.conversationId) return;
+  const conv = await query(
+    'SELECT user1_id, user2_id FROM conversations WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
+    [frame.conversationId, userId]
+  );
+  if (conv.rows.length === 0) return;
+
+  const { user1_id, user2_id } = conv.rows[0];
+  const otherUserId = user1_id === userId ? user2_id : user1_id;
+  publish(otherUserId, 'typing', {
+    conversationId: frame.conversationId,
+    userId,
+    isTyping: frame.isTyping !== false,
+  });
+}
+
+function sendToUser(userId, frame) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  for (const ws of sockets) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(frame);
+    }
+  }
+}
+
+// Deliver an event from the channel to this instance's sockets
+async function deliver({ userIds, type, data, load }) {
+  for (const userId of userIds) {
+    if (!connections.has(userId)) continue;
+    if (!load) {
+      sendToUser(userId, JSON.stringify({ type, data }));
+      continue;
+    }
+    const loader = loaders.get(type);
+    if (!loader) continue;
+    try {
+      sendToUser(userId, JSON.stringify({ type, data: await loader(userId) }));
+    } catch (err) {
+      logger.error(`Realtime ${type} load error:`, err);
+    }
+  }
+}
+
+// Hold one connection open on the channel, reconnecting if it drops
+async function listen() {
+  listenRetry = null;
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+  } catch (err) {
+    client?.release(err);
+    logger.error('Realtime listen error:', err);
+    if (!stopped) listenRetry = setTimeout(listen, LISTEN_RETRY_MS);
+    return;
+  }
+
+  listener = client;
+  client.on('notification', (msg) => {
+    let event;
+    try {
+      event = JSON.parse(msg.payload);
+    } catch (e) {
+      return;
+    }
+    deliver(event);
+  });
+  client.on('error', (err) => {
+    logger.warn('Realtime listener lost:', err.message);
+    if (listener !== client) return;
+    listener = null;
+    client.release(err);
+    if (!stopped) listenRetry = setTimeout(listen, LISTEN_RETRY_MS);
+  });
+}
+
+function stopListening() {
+  stopped = true;
+  clearTimeout(listenRetry);
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.query(`UNLISTEN ${NOTIFY_CHANNEL}`)
+      .catch(() => {})
+      .finally(() => client.release());
+  }
+}
+
+function notify(event) {
+  const payload = JSON.stringify(event);
+  if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+    // Too big for the channel — reach whoever is connected here rather than no one
+    logger.warn(`Realtime ${event.type} too large to broadcast, delivering locally`);
+    deliver(event);
+    return;
+  }
+  query('SELECT pg_notify($1, $2)', [NOTIFY_CHANNEL, payload])
+    .catch(err => logger.error('Realtime publish error:', err));
+}
+
+/**
+ * Attach the gateway to the HTTP server returned by app.listen().
+ */
+export function attachRealtimeGateway(server) {
+  wss = new WebSocketServer({ noServer: true });
+  stopped = false;
+  listen();
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== REALTIME_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const token = tokenFromRequest(req);
+    if (!token) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    let user;
+    try {
+      user = await verifyAccessToken(token);
+    } catch (err) {
+      rejectUpgrade(socket, err.status || 401, err.status === 403 ? 'Forbidden' : 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, user);
+    });
+  });
+
+  wss.on('connection', (ws, user) => {
+    ws.isAlive = true;
+    addConnection(user.id, ws);
+
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', async (raw) => {
+      let frame;
+      try {
+        frame = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+      try {
+        if (frame.type === 'typing') {
+          await handleTyping(user.id, frame);
+        }
+      } catch (err) {
+        logger.error('Realtime frame error:', err);
+      }
+    });
+
+    ws.on('close', () => removeConnection(user.id, ws));
+    ws.on('error', (err) => logger.warn('Realtime socket error:', err.message));
+
+    ws.send(JSON.stringify({ type: 'ready', data: { userId: user.id } }));
+  });
+
+  // Drop sockets that stopped answering pings (phones going to sleep, dead networks)
+  heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    stopListening();
+  });
+  server.on('close', () => wss.close());
+
+  logger.info(`Realtime gateway listening on ${REALTIME_PATH}`);
+  return wss;
+}
+
+/**
+ * Push an event to every open socket of one or more users, on whichever instance
+ * holds them. Fire-and-forget: nobody listening (tests, scripts) is fine.
+ */
+export function publish(userIds, type, data = {}) {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  notify({ userIds: ids, type, data });
+}
+
+/**
+ * Register how to build the data for an event type sent with publishLoaded().
+ */
+export function registerRealtimeLoader(type, load) {
+  loaders.set(type, load);
+}
+
+/**
+ * Like publish(), but the instance holding each user's sockets builds the data with
+ * the registered loader — so nothing is queried for users who aren't connected.
+ */
+export function publishLoaded(userIds, type) {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  notify({ userIds: ids, type, load: true });
+}
+
+export default {
+  attachRealtimeGateway, publish, publishLoaded, registerRealtimeLoader, REALTIME_PATH,
+};
@@ -0,0 +1,438 @@
+import { query } from '../utils/db.js';
+import { createPdf, wrapText, PAGE_WIDTH } from '../utils/pdf.js';
+import { formatHold } from './paymentHolds.js';
+
+/**
+ * Receipts — an itemized breakdown of what a transaction cost the borrower or earned
+ * the lender, built from the transaction, its disputes, deposit holds and the payment
+ * ledger. Each line item is signed from the viewer's side (charges and earnings are
+ * positive, refunds and fees taken are negative); memo lines explain where part of
+ * another line went and don't count toward the total.
+ */
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+const dollars = (cents) => cents / 100;
+
+// Statuses where the request never went ahead — nothing was kept
+const UNFULFILLED_STATUSES = ['pending', 'declined', 'cancelled'];
+
+// Payment ledger entries each party sees on their receipt
+const ACTIVITY = {
+  borrower: {
+    rental_capture: 'Payment captured',
+    rental_cancel: 'Card hold released',
+    rental_refund: 'Payment refunded',
+    deposit_release: 'Deposit hold released',
+    deposit_hold_release: 'Deposit hold released',
+    deposit_refund: 'Deposit refunded',
+    deposit_capture: 'Claim taken from deposit',
+    dispute_capture: 'Claim captured',
+    dispute_refund: 'Refund after dispute',
+    dispute_release: 'Card hold released after dispute',
+  },
+  lender: {
+    rental_payout: 'Payout',
+    late_fee: 'Late fee payout',
+    dispute_payout: 'Claim payout',
+  },
+};
+
+export const receiptNumber = (transactionId) => `BH-${transactionId.slice(0, 8).toUpperCase()}`;
+
+const formatMoney = (amount) => {
+  const value = `$${Math.abs(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  return amount < 0 ? `-${value}` : value;
+};
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  : '');
+
+async function loadTransaction(transactionId, userId) {
+  const result = await query(
+    `SELECT t.*, l.title as listing_title,
+            TRIM(COALESCE(b.display_name, b.first_name || ' ' || b.last_name)) as borrower_name,
+            TRIM(COALESCE(lnd.display_name, lnd.first_name || ' ' || lnd.last_name)) as lender_name
+     FROM borrow_transactions t
+     JOIN listings l ON t.listing_id = l.id
+     JOIN users b ON t.borrower_id = b.id
+     JOIN users lnd ON t.lender_id = lnd.id
+     WHERE t.id = $1 AND (t.borrower_id = $2 OR t.lender_id = $2)`,
+    [transactionId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+function borrowerLines(t, { disputes, holds }) {
+  const lines = [];
+  const feeCents = toCents(t.rental_fee);
+  const serviceCents = toCents(t.borrower_service_fee);
+  const depositCents = toCents(t.deposit_amount);
+  const depositHold = holds.find(h => h.purpose === 'deposit');
+
+  lines.push({
+    type: 'rental_fee',
+    label: `Rental fee (${t.rental_days} days x ${formatMoney(parseFloat(t.daily_rate) || 0)})`,
+    cents: feeCents,
+  });
+  if (serviceCents > 0) {
+    lines.push({ type: 'service_fee', label: 'Service fee', cents: serviceCents });
+  }
+  if (depositCents > 0) {
+    lines.push({
+      type: 'deposit',
+      label: depositHold ? 'Security deposit (held on card)' : 'Security deposit (refundable)',
+      cents: depositCents,
+    });
+  }
+
+  if (UNFULFILLED_STATUSES.includes(t.status)) {
+    const total = feeCents + serviceCents + depositCents;
+    if (total > 0) {
+      lines.push({
+        type: 'refund',
+        label: t.status === 'pending' ? 'Card hold (not charged until approved)' : 'Refunded - request not completed',
+        cents: -total,
+      });
+    }
+    return lines;
+  }
+
+  // Late fees billed on their own PaymentIntent, beyond what the deposit covered
+  const lateFromDepositCents = t.late_fee_charged_cents || 0;
+  const lateBilledCents = t.stripe_late_fee_payment_intent_id
+    ? Math.max(0, (t.late_fee_amount_cents || 0) - lateFromDepositCents)
+    : 0;
+  if (lateBilledCents > 0) {
+    lines.push({ type: 'late_fee', label: 'Late fee', cents: lateBilledCents });
+  }
+
+  // Claims the lender won come out of the deposit first
+  const claimCents = disputes
+    .filter(d => d.status === 'resolvedInFavorOfClaimant' && d.claimant_user_id === t.lender_id)
+    .reduce((sum, d) => sum + toCents(d.resolved_amount), 0);
+  const openClaim = disputes.some(d => !d.resolved_at);
+
+  const depositSettled = t.status === 'completed'
+    || ['deposit_released', 'resolved', 'refunded'].includes(t.payment_status)
+    || (depositHold && !['held', 'charged'].includes(depositHold.status));
+
+  if (depositCents > 0 && depositSettled) {
+    const keptLate = Math.min(lateFromDepositCents, depositCents);
+    const keptClaim = Math.min(claimCents, depositCents - keptLate);
+    if (keptLate > 0) {
+      lines.push({ type: 'late_fee', label: 'Late fee (kept from deposit)', cents: keptLate, memo: true });
+    }
+    if (keptClaim > 0) {
+      lines.push({ type: 'damage_claim', label: 'Damage claim (kept from deposit)', cents: keptClaim, memo: true });
+    }
+    lines.push({ type: 'deposit_return', label: 'Deposit returned', cents: -(depositCents - keptLate - keptClaim) });
+  } else if (openClaim && t.damage_claim_amount_cents) {
+    lines.push({
+      type: 'damage_claim',
+      label: 'Damage claim under review',
+      cents: t.damage_claim_amount_cents,
+      memo: true,
+    });
+  }
+
+  return lines;
+}
+
+function lenderLines(t, { disputes }) {
+  if (UNFULFILLED_STATUSES.includes(t.status)) return [];
+
+  const lines = [
+    { type: 'rental_fee', label: `Rental fee (${t.rental_days} days)`, cents: toCents(t.rental_fee) },
+    { type: 'platform_fee', label: 'Platform fee', cents: -toCents(t.platform_fee) },
+  ];
+  if (t.late_fee_charged_cents > 0) {
+    lines.push({ type: 'late_fee', label: 'Late fee (from deposit)', cents: t.late_fee_charged_cents });
+  }
+  const claimCents = disputes
+    .filter(d => d.status === 'resolvedInFavorOfClaimant' && d.claimant_user_id === t.lender_id)
+    .reduce((sum, d) => sum + toCents(d.resolved_amount), 0);
+  if (claimCents > 0) {
+    lines.push({ type: 'damage_claim', label: 'Damage claim awarded', cents: claimCents });
+  }
+  return lines;
+}
+
+/**
+ * Itemized receipt for one party to a transaction, or null if the user isn't a party.
+ */
+export async function buildReceipt(transactionId, userId) {
+  const t = await loadTransaction(transactionId, userId);
+  if (!t) return null;
+
+  const role = t.borrower_id === userId ? 'borrower' : 'lender';
+
+  const [disputes, holds, operations] = await Promise.all([
+    query(
+      `SELECT status, claimant_user_id, resolved_amount, resolved_at
+       FROM disputes WHERE transaction_id = $1 ORDER BY created_at`,
+      [t.id]
+    ),
+    query('SELECT * FROM payment_holds WHERE transaction_id = $1 ORDER BY created_at', [t.id]),
+    query(
+      `SELECT kind, purpose, status, amount_cents, succeeded_at, created_at
+       FROM payment_operations WHERE transaction_id = $1 ORDER BY created_at`,
+      [t.id]
+    ),
+  ]);
+
+  const context = { disputes: disputes.rows, holds: holds.rows };
+  const lines = role === 'borrower' ? borrowerLines(t, context) : lenderLines(t, context);
+  const totalCents = lines.filter(line => !line.memo).reduce((sum, line) => sum + line.cents, 0);
+
+  const labels = ACTIVITY[role];
+  return {
+    receiptNumber: receiptNumber(t.id),
+    transactionId: t.id,
+    role,
+    status: t.status,
+    issuedAt: new Date().toISOString(),
+    item: { id: t.listing_id, title: t.listing_title },
+    borrower: { id: t.borrower_id, name: t.borrower_name },
+    lender: { id: t.lender_id, name: t.lender_name },
+    period: {
+      start: t.requested_start_date,
+      end: t.requested_end_date,
+      returnedAt: t.actual_return_at,
+      days: t.rental_days,
+    },
+    lineItems: lines.map(({ cents, ...line }) => ({ ...line, amount: dollars(cents), memo: Boolean(line.memo) })),
+    total: dollars(totalCents),
+    totalLabel: role === 'borrower' ? 'Total paid' : 'Your earnings',
+    depositHolds: role === 'borrower'
+      ? holds.rows.filter(h => h.purpose === 'deposit').map(formatHold)
+      : [],
+    activity: operations.rows
+      .filter(op => labels[op.purpose])
+      .map(op => ({
+        label: labels[op.purpose],
+        amount: op.amount_cents !== null ? dollars(op.amount_cents) : null,
+        status: op.status,
+        date: op.succeeded_at || op.created_at,
+      })),
+  };
+}
+
+/**
+ * Year-end totals across every transaction a user took part in that finished (or was
+ * due back) in the given year, split by role — what they spent borrowing and what
+ * they earned lending.
+ */
+export async function buildYearEndStatement(userId, year) {
+  const result = await query(
+    `SELECT t.id
+     FROM borrow_transactions t
+     WHERE (t.borrower_id = $1 OR t.lender_id = $1)
+       AND t.status NOT IN ('pending', 'declined', 'cancelled')
+       AND EXTRACT(YEAR FROM COALESCE(t.actual_return_at, t.requested_end_date)) = $2
+     ORDER BY COALESCE(t.actual_return_at, t.requested_end_date)`,
+    [userId, year]
+  );
+
+  const receipts = [];
+  for (const row of result.rows) {
+    receipts.push(await buildReceipt(row.id, userId));
+  }
+
+  const sum = (role, types, { memo } = {}) => dollars(receipts
+    .filter(r => r.role === role)
+    .flatMap(r => r.lineItems)
+    .filter(line => types.includes(line.type) && (memo === undefined || line.memo === memo))
+    .reduce((total, line) => total + Math.round(line.amount * 100), 0));
+
+  const borrowed = receipts.filter(r => r.role === 'borrower');
+  const lent = receipts.filter(r => r.role === 'lender');
+
+  const borrowing = {
+    rentals: borrowed.length,
+    rentalFees: sum('borrower', ['rental_fee']),
+    serviceFees: sum('borrower', ['service_fee']),
+    lateFees: sum('borrower', ['late_fee']),
+    damageClaims: sum('borrower', ['damage_claim'], { memo: true }),
+  };
+  borrowing.totalSpent = dollars(Math.round(
+    (borrowing.rentalFees + borrowing.serviceFees + borrowing.lateFees + borrowing.damageClaims) * 100
+  ));
+
+  const lending = {
+    rentals: lent.length,
+    grossIncome: sum('lender', ['rental_fee']),
+    platformFees: -sum('lender', ['platform_fee']),
+    lateFees: sum('lender', ['late_fee']),
+    damageClaims: sum('lender', ['damage_claim']),
+    netEarnings: dollars(lent.reduce((total, r) => total + Math.round(r.total * 100), 0)),
+  };
+
+  return {
+    year,
+    issuedAt: new Date().toISOString(),
+    borrowing,
+    lending,
+    receipts: receipts.map(r => ({
+      receiptNumber: r.receiptNumber,
+      transactionId: r.transactionId,
+      role: r.role,
+      itemTitle: r.item.title,
+      date: r.period.returnedAt || r.period.end,
+      total: r.total,
+    })),
+  };
+}
+
+// ── PDF renditions ──────────────────────────────────────────────────
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const PAGE_BOTTOM = 740;
+
+function pdfWriter(title) {
+  const doc = createPdf({ title });
+  let y = MARGIN;
+
+  const ensureRoom = (height) => {
+    if (y + height > PAGE_BOTTOM) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  return {
+    heading(text, subtitle) {
+      doc.text('Borrowhood', MARGIN, y + 14, { size: 18, bold: true });
+      doc.text(text, RIGHT, y + 14, { size: 12, bold: true, align: 'right' });
+      if (subtitle) doc.text(subtitle, RIGHT, y + 30, { size: 9, gray: 0.4, align: 'right' });
+      y += 48;
+      doc.rule(MARGIN, y, RIGHT, { width: 1, gray: 0.2 });
+      y += 22;
+    },
+    detail(label, value) {
+      ensureRoom(16);
+      doc.text(label, MARGIN, y, { size: 9, gray: 0.4 });
+      doc.text(value, MARGIN + 110, y, { size: 10 });
+      y += 16;
+    },
+    section(text) {
+      ensureRoom(40);
+      y += 14;
+      doc.text(text.toUpperCase(), MARGIN, y, { size: 9, bold: true, gray: 0.4 });
+      y += 8;
+      doc.rule(MARGIN, y, RIGHT);
+      y += 16;
+    },
+    row(label, amount, { bold = false, memo = false, note = '' } = {}) {
+      ensureRoom(18);
+      const gray = memo ? 0.45 : 0;
+      doc.text(memo ? `   ${label}` : label, MARGIN, y, { size: 10, bold, gray });
+      if (note) doc.text(note, RIGHT - 110, y, { size: 9, gray: 0.45, align: 'right' });
+      if (amount !== null) {
+        const value = memo ? `(${formatMoney(amount)})` : formatMoney(amount);
+        doc.text(value, RIGHT, y, { size: 10, bold, gray, align: 'right' });
+      }
+      y += 18;
+    },
+    total(label, amount) {
+      ensureRoom(30);
+      doc.rule(MARGIN, y - 6, RIGHT, { width: 1, gray: 0.2 });
+      y += 8;
+      doc.text(label, MARGIN, y, { size: 12, bold: true });
+      doc.text(formatMoney(amount), RIGHT, y, { size: 12, bold: true, align: 'right' });
+      y += 22;
+    },
+    note(text) {
+      const lines = wrapText(text, 8, RIGHT - MARGIN);
+      ensureRoom(18 + lines.length * 11);
+      y += 16;
+      for (const line of lines) {
+        doc.text(line, MARGIN, y, { size: 8, gray: 0.45 });
+        y += 11;
+      }
+    },
+    toBuffer: () => doc.toBuffer(),
+  };
+}
+
+export function renderReceiptPdf(receipt) {
+  const pdf = pdfWriter(`Receipt ${receipt.receiptNumber}`);
+  pdf.heading(`Receipt ${receipt.receiptNumber}`, `Issued ${formatDate(receipt.issuedAt)}`);
+
+  pdf.detail('Item', receipt.item.title);
+  pdf.detail('Borrower', receipt.borrower.name);
+  pdf.detail('Lender', receipt.lender.name);
+  pdf.detail('Rental period', `${formatDate(receipt.period.start)} - ${formatDate(receipt.period.end)}`);
+  if (receipt.period.returnedAt) pdf.detail('Returned', formatDate(receipt.period.returnedAt));
+
+  pdf.section('Charges');
+  for (const line of receipt.lineItems) {
+    pdf.row(line.label, line.amount, { memo: line.memo });
+  }
+  pdf.total(receipt.totalLabel, receipt.total);
+
+  if (receipt.depositHolds.length > 0) {
+    pdf.section('Deposit holds');
+    for (const hold of receipt.depositHolds) {
+      const until = hold.expiresAt ? `until ${formatDate(hold.expiresAt)}` : '';
+      pdf.row(`Deposit ${hold.status}`, hold.amount, { note: hold.status === 'held' ? until : '' });
+    }
+  }
+
+  if (receipt.activity.length > 0) {
+    pdf.section('Payment activity');
+    for (const entry of receipt.activity) {
+      const note = entry.status === 'succeeded' ? formatDate(entry.date) : entry.status;
+      pdf.row(entry.label, entry.amount, { note });
+    }
+  }
+
+  pdf.note('Amounts in US dollars. Memo lines in parentheses show where part of the deposit went and are not added to the total.');
+  return pdf.toBuffer();
+}
+
+export function renderStatementPdf(statement, { name } = {}) {
+  const pdf = pdfWriter(`${statement.year} statement`);
+  pdf.heading(`${statement.year} Year-End Statement`, `Issued ${formatDate(statement.issuedAt)}`);
+  if (name) pdf.detail('Prepared for', name);
+
+  const { lending, borrowing } = statement;
+  if (lending.rentals > 0) {
+    pdf.section(`Lending - ${lending.rentals} rental${lending.rentals === 1 ? '' : 's'}`);
+    pdf.row('Gross rental income', lending.grossIncome);
+    pdf.row('Platform fees', -lending.platformFees);
+    if (lending.lateFees > 0) pdf.row('Late fees received', lending.lateFees);
+    if (lending.damageClaims > 0) pdf.row('Damage claims awarded', lending.damageClaims);
+    pdf.total('Net earnings', lending.netEarnings);
+  }
+
+  if (borrowing.rentals > 0) {
+    pdf.section(`Borrowing - ${borrowing.rentals} rental${borrowing.rentals === 1 ? '' : 's'}`);
+    pdf.row('Rental fees', borrowing.rentalFees);
+    if (borrowing.serviceFees > 0) pdf.row('Service fees', borrowing.serviceFees);
+    if (borrowing.lateFees > 0) pdf.row('Late fees', borrowing.lateFees);
+    if (borrowing.damageClaims > 0) pdf.row('Damage claims paid', borrowing.damageClaims);
+    pdf.total('Total spent', borrowing.totalSpent);
+  }
+
+  if (statement.receipts.length > 0) {
+    pdf.section('Receipts');
+    for (const r of statement.receipts) {
+      pdf.row(`${r.receiptNumber}  ${r.itemTitle}`, r.total, { note: `${r.role} - ${formatDate(r.date)}` });
+    }
+  } else {
+    pdf.note(`No completed rentals in ${statement.year}.`);
+  }
+
+  pdf.note('Deposits held and returned are not income or spending and are left out of these totals.');
+  return pdf.toBuffer();
+}
+
+export default {
+  receiptNumber,
+  buildReceipt,
+  buildYearEndStatement,
+  renderReceiptPdf,
+  renderStatementPdf,
+};
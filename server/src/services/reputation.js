@@ -0,0 +1,307 @@
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reputation engine — recalculates the users reputation columns from history:
+ * reputation_score, response_time_avg_hours, on_time_return_rate, item_care_rating,
+ * lending_streak and longest_lending_streak.
+ *
+ * Everything is derived from borrow_transactions, ratings, disputes and user_badges,
+ * so a recalculation is idempotent and the nightly job can rebuild any user from scratch.
+ */
+
+export const REPUTATION_POINTS = {
+  completedLend: 5,
+  completedBorrow: 2,
+  ratingStep: 2,            // per star above/below 3 on each rating received
+  onTimeReturn: 3,
+  lateReturn: -5,
+  conditionDrop: -5,        // per condition level lost while borrowed
+  disputeLost: -15,
+  streakDay: 1,
+  streakCap: 10,
+  fastResponse: 10,         // average response within FAST_RESPONSE_HOURS
+  okResponse: 5,            // within OK_RESPONSE_HOURS
+  slowResponse: -5,         // slower than SLOW_RESPONSE_HOURS
+};
+
+const FAST_RESPONSE_HOURS = 4;
+const OK_RESPONSE_HOURS = 24;
+const SLOW_RESPONSE_HOURS = 72;
+const MIN_RESPONSES_FOR_SCORE = 3;
+
+// Condition levels, best to worst — matches the item_condition enum order
+const CONDITION_LEVELS = `ARRAY['like_new', 'good', 'fair', 'worn']`;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Current and longest runs of consecutive days in a list of ISO date strings.
+ * The current streak survives until the end of the day after the last active day.
+ */
+export function computeStreaks(activeDays, today = new Date()) {
+  const days = [...new Set(activeDays)].sort();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const toTime = (d) => Date.parse(`${d}T00:00:00Z`);
+
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const day of days) {
+    const t = toTime(day);
+    run = prev !== null && t - prev === dayMs ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = t;
+  }
+
+  const todayTime = toTime(today.toISOString().slice(0, 10));
+  const current = prev !== null && todayTime - prev <= dayMs ? run : 0;
+
+  return { current, longest };
+}
+
+/**
+ * Turn raw metrics into score components. Pure — no database access.
+ */
+export function scoreReputation(metrics) {
+  const p = REPUTATION_POINTS;
+  const components = [];
+  const add = (key, label, detail, points) => components.push({ key, label, detail, points });
+
+  add('lending', 'Completed lends', `${metrics.completedLends} completed`, metrics.completedLends * p.completedLend);
+  add('borrowing', 'Completed borrows', `${metrics.completedBorrows} completed`, metrics.completedBorrows * p.completedBorrow);
+
+  const ratingPoints = (metrics.ratingSum - 3 * metrics.ratingCount) * p.ratingStep;
+  add('ratings', 'Ratings received',
+    metrics.ratingCount > 0
+      ? `${metrics.ratingCount} ratings, ${round2(metrics.ratingSum / metrics.ratingCount)} average`
+      : 'No ratings yet',
+    ratingPoints);
+
+  add('returns', 'Return timeliness', `${metrics.onTimeReturns} on time, ${metrics.lateReturns} late`,
+    metrics.onTimeReturns * p.onTimeReturn + metrics.lateReturns * p.lateReturn);
+
+  add('itemCare', 'Item care', `${metrics.conditionLevelsLost} condition levels lost`,
+    metrics.conditionLevelsLost * p.conditionDrop);
+
+  let responsePoints = 0;
+  let responseDetail = `Fewer than ${MIN_RESPONSES_FOR_SCORE} responses`;
+  if (metrics.responseCount >= MIN_RESPONSES_FOR_SCORE) {
+    const hours = metrics.responseTimeAvgHours;
+    if (hours <= FAST_RESPONSE_HOURS) responsePoints = p.fastResponse;
+    else if (hours <= OK_RESPONSE_HOURS) responsePoints = p.okResponse;
+    else if (hours > SLOW_RESPONSE_HOURS) responsePoints = p.slowResponse;
+    responseDetail = `${round2(hours)}h average over ${metrics.responseCount} requests`;
+  }
+  add('responsiveness', 'Responsiveness', responseDetail, responsePoints);
+
+  add('disputes', 'Disputes lost', `${metrics.disputesLost} lost`, metrics.disputesLost * p.disputeLost);
+  add('badges', 'Badges', `${metrics.badgeCount} earned`, metrics.badgePoints);
+  add('streak', 'Lending streak', `${metrics.lendingStreak} days`,
+    Math.min(metrics.lendingStreak, p.streakCap) * p.streakDay);
+
+  const total = components.reduce((sum, c) => sum + c.points, 0);
+  return { score: Math.max(0, Math.round(total)), components };
+}
+
+/**
+ * Gather the raw reputation metrics for a user.
+ */
+export async function getReputationMetrics(userId) {
+  const counts = await query(
+    `SELECT
+       COUNT(*) FILTER (WHERE lender_id = $1 AND status = 'completed') as completed_lends,
+       COUNT(*) FILTER (WHERE borrower_id = $1 AND status = 'completed') as completed_borrows,
+       COUNT(lender_responded_at) FILTER (WHERE lender_id = $1) as response_count,
+       AVG(EXTRACT(EPOCH FROM (lender_responded_at - created_at)) / 3600)
+         FILTER (WHERE lender_id = $1 AND lender_responded_at IS NOT NULL) as response_avg_hours
+     FROM borrow_transactions
+     WHERE lender_id = $1 OR borrower_id = $1`,
+    [userId]
+  );
+
+  // Returns as the borrower — giveaways never come back, so they don't count
+  const returns = await query(
+    `SELECT
+       COUNT(*) FILTER (WHERE bt.actual_return_at::date <= bt.requested_end_date) as on_time,
+       COUNT(*) FILTER (WHERE bt.actual_return_at::date > bt.requested_end_date) as late
+     FROM borrow_transactions bt
+     JOIN listings l ON bt.listing_id = l.id
+     WHERE bt.borrower_id = $1 AND bt.actual_return_at IS NOT NULL
+       AND l.listing_type IS DISTINCT FROM 'giveaway'`,
+    [userId]
+  );
+
+  // Per returned borrow: worst condition drop (across bundle items too) and the lender's rating
+  const care = await query(
+    `SELECT bt.id,
+            GREATEST(
+              COALESCE(array_position(${CONDITION_LEVELS}, bt.condition_at_return::text)
+                     - array_position(${CONDITION_LEVELS}, bt.condition_at_pickup::text), 0),
+              COALESCE((
+                SELECT MAX(array_position(${CONDITION_LEVELS}, bti.condition_at_return::text)
+                         - array_position(${CONDITION_LEVELS}, bti.condition_at_pickup::text))
+                FROM bundle_transaction_items bti WHERE bti.transaction_id = bt.id
+              ), 0)
+            ) as levels_lost,
+            (SELECT r.rating FROM ratings r
+             WHERE r.transaction_id = bt.id AND r.ratee_id = $1 AND r.is_lender_rating = false
+             LIMIT 1) as lender_rating
+     FROM borrow_transactions bt
+     WHERE bt.borrower_id = $1 AND bt.condition_at_return IS NOT NULL`,
+    [userId]
+  );
+
+  const ratings = await query(
+    'SELECT COUNT(*) as count, COALESCE(SUM(rating), 0) as sum FROM ratings WHERE ratee_id = $1',
+    [userId]
+  );
+
+  const disputes = await query(
+    `SELECT COUNT(*) as lost FROM disputes
+     WHERE (respondent_user_id = $1 AND status = 'resolvedInFavorOfClaimant')
+        OR (claimant_user_id = $1 AND status = 'resolvedInFavorOfRespondent')`,
+    [userId]
+  );
+
+  const badges = await query(
+    `SELECT COUNT(*) as count, COALESCE(SUM(bd.points), 0) as points
+     FROM user_badges ub
+     JOIN badge_definitions bd ON ub.badge_id = bd.id
+     WHERE ub.user_id = $1`,
+    [userId]
+  );
+
+  // Days on which at least one of the user's items was out on loan
+  const lendingDays = await query(
+    `SELECT DISTINCT to_char(d, 'YYYY-MM-DD') as day
+     FROM borrow_transactions bt
+     JOIN listings l ON bt.listing_id = l.id,
+     LATERAL generate_series(bt.actual_pickup_at::date, COALESCE(bt.actual_return_at, NOW())::date, INTERVAL '1 day') d
+     WHERE bt.lender_id = $1 AND bt.actual_pickup_at IS NOT NULL
+       AND l.listing_type IS DISTINCT FROM 'giveaway'`,
+    [userId]
+  );
+
+  const c = counts.rows[0];
+  const careRows = care.rows.map(r => {
+    const levelsLost = Math.max(0, parseInt(r.levels_lost) || 0);
+    const conditionScore = Math.max(1, 5 - 1.5 * levelsLost);
+    return {
+      levelsLost,
+      score: r.lender_rating ? (conditionScore + r.lender_rating) / 2 : conditionScore,
+    };
+  });
+  const streaks = computeStreaks(lendingDays.rows.map(r => r.day));
+
+  return {
+    completedLends: parseInt(c.completed_lends),
+    completedBorrows: parseInt(c.completed_borrows),
+    responseCount: parseInt(c.response_count),
+    responseTimeAvgHours: c.response_avg_hours !== null ? parseFloat(c.response_avg_hours) : null,
+    onTimeReturns: parseInt(returns.rows[0].on_time),
+    lateReturns: parseInt(returns.rows[0].late),
+    conditionLevelsLost: careRows.reduce((sum, r) => sum + r.levelsLost, 0),
+    itemCareRating: careRows.length > 0
+      ? round2(careRows.reduce((sum, r) => sum + r.score, 0) / careRows.length)
+      : null,
+    ratingCount: parseInt(ratings.rows[0].count),
+    ratingSum: parseInt(ratings.rows[0].sum),
+    disputesLost: parseInt(disputes.rows[0].lost),
+    badgeCount: parseInt(badges.rows[0].count),
+    badgePoints: parseInt(badges.rows[0].points),
+    lendingStreak: streaks.current,
+    longestLendingStreak: streaks.longest,
+  };
+}
+
+/**
+ * Recalculate and store a user's reputation columns. Returns the metrics and score breakdown.
+ */
+export async function recalculateReputation(userId) {
+  const metrics = await getReputationMetrics(userId);
+  const { score, components } = scoreReputation(metrics);
+  const returnCount = metrics.onTimeReturns + metrics.lateReturns;
+  const onTimeReturnRate = returnCount > 0 ? round2(metrics.onTimeReturns / returnCount) : null;
+  const responseTimeAvgHours = metrics.responseTimeAvgHours !== null
+    ? Math.min(round2(metrics.responseTimeAvgHours), 999.99)
+    : null;
+
+  await query(
+    `UPDATE users SET
+       reputation_score = $1, response_time_avg_hours = $2, on_time_return_rate = $3,
+       item_care_rating = $4, lending_streak = $5, longest_lending_streak = $6,
+       reputation_components = $7, reputation_updated_at = NOW()
+     WHERE id = $8`,
+    [score, responseTimeAvgHours, onTimeReturnRate, metrics.itemCareRating,
+     metrics.lendingStreak, metrics.longestLendingStreak, JSON.stringify(components), userId]
+  );
+
+  return {
+    score,
+    components,
+    metrics: {
+      ...metrics,
+      responseTimeAvgHours,
+      onTimeReturnRate,
+    },
+  };
+}
+
+/**
+ * Recalculate both parties of a transaction.
+ */
+export async function recalculateForTransaction(transactionId) {
+  const txn = await query(
+    'SELECT lender_id, borrower_id FROM borrow_transactions WHERE id = $1',
+    [transactionId]
+  );
+  if (txn.rows.length === 0) return;
+
+  await recalculateReputation(txn.rows[0].lender_id);
+  await recalculateReputation(txn.rows[0].borrower_id);
+}
+
+/**
+ * Fire-and-forget recalculation after a transaction event, so a failure here never
+ * fails the request that triggered it.
+ */
+export function refreshTransactionReputation(transactionId) {
+  recalculateForTransaction(transactionId).catch(err => {
+    logger.error(`Reputation update failed for transaction ${transactionId}:`, err);
+  });
+}
+
+/**
+ * Nightly full rebuild — catches streaks that lapsed and anything the incremental
+ * updates missed. Only users with any transaction history or badges are touched.
+ */
+export async function recalculateAllReputations() {
+  const users = await query(
+    `SELECT id FROM users u
+     WHERE EXISTS (SELECT 1 FROM borrow_transactions WHERE lender_id = u.id OR borrower_id = u.id)
+        OR EXISTS (SELECT 1 FROM user_badges WHERE user_id = u.id)
+        OR u.reputation_score <> 0`
+  );
+
+  let updated = 0;
+  for (const u of users.rows) {
+    try {
+      await recalculateReputation(u.id);
+      updated++;
+    } catch (err) {
+      logger.error(`Reputation recalculation failed for user ${u.id}:`, err);
+    }
+  }
+  return updated;
+}
+
+export default {
+  computeStreaks,
+  scoreReputation,
+  getReputationMetrics,
+  recalculateReputation,
+  recalculateForTransaction,
+  refreshTransactionReputation,
+  recalculateAllReputations,
+};
@@ -0,0 +1,76 @@
+import { query } from '../utils/db.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { enqueueBulkNotification } from './notifications.js';
+
+/**
+ * New-request alerts. Posting a request only queues a 'request.notify_audience' job; the
+ * worker works out who can see the request and queues one notification per recipient,
+ * so a town-wide request never fans out inside the HTTP request that created it.
+ */
+
+export async function queueNewRequestNotifications(requestId) {
+  return enqueueJob('request.notify_audience', { requestId }, { dedupeKey: `request:${requestId}:audience` });
+}
+
+// Everyone who should hear about the request. The widest visibility wins: the whole
+// town, else the community, else the poster's friends.
+async function findAudience(request) {
+  const visParts = (request.visibility || '').split(',');
+
+  if (visParts.includes('town') && request.city) {
+    const townUsers = await query(
+      'SELECT id FROM users WHERE city = $1 AND state = $2 AND id != $3',
+      [request.city, request.state, request.user_id]
+    );
+    return townUsers.rows.map(u => u.id);
+  }
+
+  if (visParts.includes('neighborhood') && request.community_id) {
+    const members = await query(
+      'SELECT user_id FROM community_memberships WHERE community_id = $1 AND user_id != $2',
+      [request.community_id, request.user_id]
+    );
+    return members.rows.map(m => m.user_id);
+  }
+
+  if (visParts.includes('close_friends')) {
+    const friends = await query(
+      `SELECT CASE WHEN user_id = $1 THEN friend_id ELSE user_id END as uid
+       FROM friendships WHERE (user_id = $1 OR friend_id = $1) AND status = 'accepted'`,
+      [request.user_id]
+    );
+    return friends.rows.map(f => f.uid);
+  }
+
+  return [];
+}
+
+async function notifyRequestAudience({ requestId }) {
+  const result = await query(
+    `SELECT r.id, r.user_id, r.title, r.community_id, r.visibility, r.status,
+            u.first_name, u.display_name, u.city, u.state
+     FROM item_requests r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.id = $1`,
+    [requestId]
+  );
+  const request = result.rows[0];
+  if (!request || request.status !== 'open') return;
+
+  const recipientIds = await findAudience(request);
+  if (recipientIds.length === 0) return;
+
+  await enqueueBulkNotification(
+    recipientIds,
+    'new_request',
+    { firstName: request.display_name || request.first_name || 'Someone', title: request.title, requestId },
+    { fromUserId: request.user_id, requestId },
+    { dedupeKey: `request:${requestId}:new_request` }
+  );
+}
+
+registerJobHandler('request.notify_audience', notifyRequestAudience);
+
+export default {
+  queueNewRequestNotifications,
+};
@@ -0,0 +1,220 @@
+import { query } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Reservation engine — every dated borrow holds its dates in listing_reservations.
+ * A reservation covers [startDate, endDate + buffer_days): the next borrower can pick up
+ * on the return day, or buffer_days later when the owner wants turnaround time.
+ * Overlaps are rejected by the listing_reservations_no_overlap exclusion constraint;
+ * the checks here exist to give a readable answer before we hit it.
+ */
+
+const EXCLUSION_VIOLATION = '23P01';
+
+function reservationError(message, code, conflicts = []) {
+  const err = new Error(message);
+  err.code = code;
+  err.conflicts = conflicts;
+  return err;
+}
+
+// DATE columns are selected ::text (YYYY-MM-DD) so node's local timezone can't shift them
+const formatDate = (d) => (d instanceof Date ? d.toISOString().split('T')[0] : d);
+
+function addDays(dateStr, days) {
+  const d = new Date(`${formatDate(dateStr)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDate(d);
+}
+
+/**
+ * Merge date ranges ({ startDate, endDate }, inclusive, YYYY-MM-DD) into the fewest
+ * non-overlapping ranges. Adjacent ranges are joined.
+ */
+export function mergeDateRanges(ranges) {
+  const sorted = ranges
+    .map(r => ({ startDate: formatDate(r.startDate), endDate: formatDate(r.endDate) }))
+    .filter(r => r.startDate <= r.endDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.startDate <= addDays(last.endDate, 1)) {
+      if (range.endDate > last.endDate) last.endDate = range.endDate;
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Owner blocks, active reservations and open waitlist offers that a booking of
+ * listingIds for [startDate, endDate] would collide with. Each listing's buffer applies
+ * to the new booking's tail as well, so back-to-back bookings still get their turnaround
+ * time. A waitlist offer only holds its dates against people other than borrowerId.
+ */
+export async function findConflicts(listingIds, startDate, endDate, { excludeTransactionId = null, borrowerId = null } = {}, client = db) {
+  const blocked = await client.query(
+    `SELECT listing_id, start_date::text, end_date::text, note
+     FROM listing_availability
+     WHERE listing_id = ANY($1) AND is_available = false
+       AND start_date <= $3::date AND end_date >= $2::date
+     ORDER BY start_date`,
+    [listingIds, startDate, endDate]
+  );
+
+  const booked = await client.query(
+    `SELECT lr.listing_id, lr.transaction_id,
+            bt.requested_start_date::text, bt.requested_end_date::text,
+            (upper(lr.period) - 1)::text as reserved_through
+     FROM listing_reservations lr
+     JOIN listings l ON lr.listing_id = l.id
+     JOIN borrow_transactions bt ON lr.transaction_id = bt.id
+     WHERE lr.listing_id = ANY($1) AND lr.released_at IS NULL
+       AND lr.period && daterange($2::date, $3::date + l.buffer_days, '[)')
+       AND ($4::uuid IS NULL OR lr.transaction_id <> $4)
+     ORDER BY lower(lr.period)`,
+    [listingIds, startDate, endDate, excludeTransactionId]
+  );
+
+  const held = await client.query(
+    `SELECT listing_id, desired_start_date::text, desired_end_date::text, offer_expires_at
+     FROM listing_waitlist
+     WHERE listing_id = ANY($1) AND status = 'offered' AND offer_expires_at > NOW()
+       AND desired_start_date <= $3::date AND desired_end_date >= $2::date
+       AND ($4::uuid IS NULL OR user_id <> $4)`,
+    [listingIds, startDate, endDate, borrowerId]
+  );
+
+  return [
+    ...blocked.rows.map(b => ({
+      type: 'blocked',
+      listingId: b.listing_id,
+      startDate: formatDate(b.start_date),
+      endDate: formatDate(b.end_date),
+      note: b.note,
+    })),
+    ...booked.rows.map(b => ({
+      type: 'booked',
+      listingId: b.listing_id,
+      startDate: formatDate(b.requested_start_date),
+      endDate: formatDate(b.requested_end_date),
+      reservedThrough: formatDate(b.reserved_through),
+    })),
+    ...held.rows.map(h => ({
+      type: 'held',
+      listingId: h.listing_id,
+      startDate: formatDate(h.desired_start_date),
+      endDate: formatDate(h.desired_end_date),
+      heldUntil: h.offer_expires_at,
+    })),
+  ];
+}
+
+/**
+ * Reserve [startDate, endDate] on every listing for a transaction. Run inside
+ * withTransaction together with the borrow_transactions insert so a conflict
+ * rolls back the whole request.
+ * Throws with code DATES_BLOCKED or DATES_UNAVAILABLE (and .conflicts) on a clash.
+ */
+export async function reserveListings(client, { transactionId, listingIds, startDate, endDate, borrowerId = null }) {
+  const conflicts = await findConflicts(listingIds, startDate, endDate, { borrowerId }, client);
+  if (conflicts.some(c => c.type === 'blocked')) {
+    throw reservationError('The owner has marked some of these dates unavailable', 'DATES_BLOCKED', conflicts);
+  }
+  if (conflicts.some(c => c.type === 'booked')) {
+    throw reservationError('Already booked for these dates', 'DATES_UNAVAILABLE', conflicts);
+  }
+  if (conflicts.length > 0) {
+    throw reservationError('These dates are being held for someone on the waitlist', 'DATES_UNAVAILABLE', conflicts);
+  }
+
+  try {
+    await client.query(
+      `INSERT INTO listing_reservations (listing_id, transaction_id, period, buffer_days)
+       SELECT id, $2, daterange($3::date, $4::date + buffer_days, '[)'), buffer_days
+       FROM listings WHERE id = ANY($1)`,
+      [listingIds, transactionId, startDate, endDate]
+    );
+  } catch (err) {
+    // Someone booked the same dates between our check and the insert
+    if (err.code === EXCLUSION_VIOLATION) {
+      throw reservationError('Already booked for these dates', 'DATES_UNAVAILABLE');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Calendar for one listing between from and to: owner blocks, bookings (pending
+ * requests included, since they hold their dates) and the merged ranges on which
+ * a new booking can't start.
+ */
+export async function getListingCalendar(listingId, from, to) {
+  const listing = await query('SELECT buffer_days FROM listings WHERE id = $1', [listingId]);
+  const bufferDays = listing.rows[0]?.buffer_days || 0;
+
+  const blocked = await query(
+    `SELECT id, start_date::text, end_date::text, note
+     FROM listing_availability
+     WHERE listing_id = $1 AND is_available = false
+       AND end_date >= $2::date AND start_date <= $3::date
+     ORDER BY start_date`,
+    [listingId, from, to]
+  );
+
+  const bookings = await query(
+    `SELECT lr.transaction_id, lr.buffer_days, (upper(lr.period) - 1)::text as reserved_through,
+            bt.status, bt.requested_start_date::text, bt.requested_end_date::text, bt.bundle_id,
+            u.id as borrower_id, u.first_name, u.display_name, u.profile_photo_url
+     FROM listing_reservations lr
+     JOIN borrow_transactions bt ON lr.transaction_id = bt.id
+     JOIN users u ON bt.borrower_id = u.id
+     WHERE lr.listing_id = $1 AND lr.released_at IS NULL
+       AND lr.period && daterange($2::date, $3::date, '[]')
+     ORDER BY lower(lr.period)`,
+    [listingId, from, to]
+  );
+
+  const blockedRanges = blocked.rows.map(b => ({
+    id: b.id,
+    startDate: formatDate(b.start_date),
+    endDate: formatDate(b.end_date),
+    note: b.note,
+  }));
+
+  const bookingRanges = bookings.rows.map(b => ({
+    transactionId: b.transaction_id,
+    bundleId: b.bundle_id,
+    status: b.status,
+    startDate: formatDate(b.requested_start_date),
+    endDate: formatDate(b.requested_end_date),
+    reservedThrough: formatDate(b.reserved_through),
+    bufferDays: b.buffer_days,
+    borrower: {
+      id: b.borrower_id,
+      firstName: b.display_name || b.first_name,
+      profilePhotoUrl: b.profile_photo_url,
+    },
+  }));
+
+  return {
+    bufferDays,
+    blocked: blockedRanges,
+    bookings: bookingRanges,
+    unavailable: mergeDateRanges([
+      ...blockedRanges,
+      ...bookingRanges.map(b => ({ startDate: b.startDate, endDate: b.reservedThrough })),
+    ]),
+  };
+}
+
+export default {
+  mergeDateRanges,
+  findConflicts,
+  reserveListings,
+  getListingCalendar,
+};
@@ -0,0 +1,386 @@
+import { query, withTransaction } from '../utils/db.js';
+import { chargeSavedPaymentMethod } from './stripe.js';
+import { executePaymentOperation } from './paymentOperations.js';
+import { sendNotification } from './notifications.js';
+import logger from '../utils/logger.js';
+import { PLATFORM_FEE_PERCENT } from '../utils/constants.js';
+
+// A contract defaults once a single installment has failed this many times
+export const RTO_MAX_PAYMENT_ATTEMPTS = 3;
+
+const FREQUENCY_INTERVALS = {
+  weekly: '1 week',
+  biweekly: '2 weeks',
+  monthly: '1 month',
+};
+
+/**
+ * Split a purchase price into installments.
+ * Each payment credits rental_credit_percent toward ownership; the rest is rent.
+ * Works in cents and puts any rounding remainder on the final installment so
+ * equity always sums to exactly the purchase price.
+ */
+export function buildPaymentSchedule({ purchasePrice, rentalCreditPercent, totalPayments }) {
+  const priceCents = Math.round(parseFloat(purchasePrice) * 100);
+  const creditRatio = parseFloat(rentalCreditPercent) / 100;
+  const baseEquityCents = Math.floor(priceCents / totalPayments);
+
+  const installments = [];
+  for (let n = 1; n <= totalPayments; n++) {
+    const equityCents = n === totalPayments
+      ? priceCents - baseEquityCents * (totalPayments - 1)
+      : baseEquityCents;
+    const totalCents = Math.round(equityCents / creditRatio);
+    const platformFeeCents = Math.round(totalCents * PLATFORM_FEE_PERCENT);
+
+    installments.push({
+      paymentNumber: n,
+      totalAmount: totalCents / 100,
+      equityPortion: equityCents / 100,
+      rentalPortion: (totalCents - equityCents) / 100,
+      platformFee: platformFeeCents / 100,
+      lenderPayout: (totalCents - platformFeeCents) / 100,
+    });
+  }
+
+  return {
+    paymentAmount: installments[0]?.totalAmount || 0,
+    installments,
+  };
+}
+
+/**
+ * Insert the rto_payments rows for a contract that was just approved.
+ * Due dates step from first_payment_date by the contract's payment frequency.
+ */
+export async function createPaymentSchedule(client, contract) {
+  const { installments } = buildPaymentSchedule({
+    purchasePrice: contract.purchase_price,
+    rentalCreditPercent: contract.rental_credit_percent,
+    totalPayments: contract.total_payments,
+  });
+  const step = FREQUENCY_INTERVALS[contract.payment_frequency] || FREQUENCY_INTERVALS.monthly;
+
+  for (const inst of installments) {
+    await client.query(
+      `INSERT INTO rto_payments (
+        contract_id, payment_number, total_amount, equity_portion, rental_portion,
+        platform_fee, lender_payout, due_date
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, ($8::date + ($2 - 1) * $9::interval)::date)`,
+      [
+        contract.id, inst.paymentNumber, inst.totalAmount, inst.equityPortion, inst.rentalPortion,
+        inst.platformFee, inst.lenderPayout, contract.first_payment_date, step,
+      ]
+    );
+  }
+
+  return installments;
+}
+
+async function getInstallment(paymentId) {
+  const result = await query(
+    `SELECT p.*, c.borrower_id, c.lender_id, c.listing_id, c.total_payments, c.status as contract_status,
+            l.title as item_title, b.stripe_customer_id, lnd.stripe_connect_account_id as lender_connect_id
+     FROM rto_payments p
+     JOIN rto_contracts c ON p.contract_id = c.id
+     JOIN listings l ON c.listing_id = l.id
+     JOIN users b ON c.borrower_id = b.id
+     JOIN users lnd ON c.lender_id = lnd.id
+     WHERE p.id = $1`,
+    [paymentId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Charge one installment against the borrower's saved card.
+ * Returns the resulting payment status ('completed', 'processing' or 'failed').
+ * Manual attempts (the borrower tapping Pay) don't count toward defaulting.
+ */
+export async function chargeInstallment(paymentId, { manual = false } = {}) {
+  const p = await getInstallment(paymentId);
+  if (!p) throw new Error('Payment not found');
+  if (p.status === 'completed') return 'completed';
+  if (p.contract_status !== 'active') throw new Error('Contract is not active');
+
+  if (!p.stripe_customer_id) {
+    await failInstallment(p.id, 'Borrower has no payment method on file', null, { manual });
+    return 'failed';
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await chargeSavedPaymentMethod({
+      amount: Math.round(parseFloat(p.total_amount) * 100),
+      customerId: p.stripe_customer_id,
+      metadata: {
+        type: 'rto_payment',
+        rto_payment_id: p.id,
+        rto_contract_id: p.contract_id,
+        payment_number: String(p.payment_number),
+        trigger: manual ? 'manual' : 'scheduled',
+      },
+      // A failed attempt records its PaymentIntent, so the next manual attempt gets a new key
+      idempotencyKey: manual
+        ? `rto_${p.id}_manual_${p.stripe_payment_intent_id || 'first'}`
+        : `rto_${p.id}_${p.retry_count || 0}`,
+    });
+  } catch (chargeErr) {
+    logger.warn(`RTO installment ${p.id} charge failed:`, chargeErr.message);
+    // Card declines still create a PaymentIntent — record it so the matching webhook is a no-op
+    await failInstallment(p.id, chargeErr.message, chargeErr.raw?.payment_intent?.id || null, { manual });
+    return 'failed';
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    await completeInstallment(p.id, paymentIntent.id);
+    return 'completed';
+  }
+
+  if (paymentIntent.status === 'processing') {
+    // Webhook finishes the installment once the charge settles
+    await query(
+      `UPDATE rto_payments SET status = 'processing', stripe_payment_intent_id = $1 WHERE id = $2`,
+      [paymentIntent.id, p.id]
+    );
+    return 'processing';
+  }
+
+  await failInstallment(p.id, `Payment ${paymentIntent.status}`, paymentIntent.id, { manual });
+  return 'failed';
+}
+
+/**
+ * Mark an installment paid. The process_rto_payment trigger rolls equity and
+ * payments_completed into the contract; once the last payment clears we transfer ownership.
+ */
+export async function completeInstallment(paymentId, paymentIntentId) {
+  const updated = await query(
+    `UPDATE rto_payments
+     SET status = 'completed', paid_at = NOW(), stripe_payment_intent_id = COALESCE($2, stripe_payment_intent_id),
+         failure_reason = NULL
+     WHERE id = $1 AND status != 'completed'
+     RETURNING id`,
+    [paymentId, paymentIntentId]
+  );
+  if (updated.rows.length === 0) return;
+
+  const p = await getInstallment(paymentId);
+
+  // Keep next_payment_date pointed at the earliest unpaid installment
+  await query(
+    `UPDATE rto_contracts SET next_payment_date = (
+       SELECT MIN(due_date) FROM rto_payments WHERE contract_id = $1 AND status != 'completed'
+     ) WHERE id = $1`,
+    [p.contract_id]
+  );
+
+  // Pay the lender their share
+  if (p.lender_connect_id) {
+    const payoutCents = Math.round(parseFloat(p.lender_payout) * 100);
+    if (payoutCents > 0) {
+      // The ledger records the transfer id on the installment once the transfer goes through
+      const payout = await executePaymentOperation({
+        kind: 'transfer',
+        purpose: 'rto_payout',
+        idempotencyKey: `rto_payout:${p.id}`,
+        paymentIntentId: p.stripe_payment_intent_id,
+        amountCents: payoutCents,
+        destinationAccountId: p.lender_connect_id,
+        metadata: { rtoPaymentId: p.id, rtoContractId: p.contract_id, type: 'rto_payout' },
+      });
+      if (payout.status !== 'succeeded') {
+        logger.error(`RTO payout transfer failed for payment ${p.id}:`, payout.lastError);
+        await sendNotification(p.lender_id, 'payment_failed', {
+          body: `We couldn't process your payout for "${p.item_title}" yet. We'll keep retrying — check your payout settings or contact support if it doesn't arrive.`,
+          listingId: p.listing_id,
+        });
+      }
+    }
+  } else {
+    logger.info(`Lender ${p.lender_id} has no Connect account, skipping RTO payout transfer`);
+  }
+
+  await sendNotification(p.borrower_id, 'rto_payment_received', {
+    itemTitle: p.item_title,
+    paymentNumber: p.payment_number,
+    totalPayments: p.total_payments,
+    listingId: p.listing_id,
+  });
+
+  const contract = await query('SELECT status FROM rto_contracts WHERE id = $1', [p.contract_id]);
+  if (contract.rows[0]?.status === 'completed') {
+    await transferOwnership(p.contract_id);
+  }
+}
+
+/**
+ * Record a failed charge attempt. After RTO_MAX_PAYMENT_ATTEMPTS scheduled failures the
+ * contract defaults; a failed manual attempt only records the reason and leaves the
+ * installment on the scheduled retry cycle. A failure already recorded for the same
+ * PaymentIntent is ignored.
+ */
+export async function failInstallment(paymentId, reason, paymentIntentId = null, { manual = false } = {}) {
+  if (manual) {
+    // A manual attempt that was still processing goes back to where the schedule left it
+    const result = await query(
+      `UPDATE rto_payments
+       SET failure_reason = $2,
+           stripe_payment_intent_id = COALESCE($3, stripe_payment_intent_id),
+           status = CASE
+             WHEN status = 'processing' THEN (CASE WHEN last_retry_at IS NULL THEN 'pending' ELSE 'failed' END)::rto_payment_status
+             ELSE status
+           END
+       WHERE id = $1 AND status != 'completed'
+         AND NOT (status != 'processing' AND $3::text IS NOT NULL AND stripe_payment_intent_id = $3)
+       RETURNING id`,
+      [paymentId, reason, paymentIntentId]
+    );
+    if (result.rows.length === 0) return;
+
+    const p = await getInstallment(paymentId);
+    await sendNotification(p.borrower_id, 'rto_payment_failed', {
+      itemTitle: p.item_title,
+      listingId: p.listing_id,
+    });
+    return;
+  }
+
+  const result = await query(
+    `UPDATE rto_payments
+     SET status = 'failed', failure_reason = $2, retry_count = retry_count + 1, last_retry_at = NOW(),
+         stripe_payment_intent_id = COALESCE($3, stripe_payment_intent_id)
+     WHERE id = $1 AND status != 'completed'
+       AND NOT (status = 'failed' AND $3::text IS NOT NULL AND stripe_payment_intent_id = $3)
+     RETURNING contract_id, retry_count`,
+    [paymentId, reason, paymentIntentId]
+  );
+  if (result.rows.length === 0) return;
+
+  const { contract_id: contractId, retry_count: attempts } = result.rows[0];
+  const p = await getInstallment(paymentId);
+
+  if (attempts >= RTO_MAX_PAYMENT_ATTEMPTS) {
+    await defaultContract(contractId, `Payment ${p.payment_number} failed ${attempts} times: ${reason}`);
+    return;
+  }
+
+  await sendNotification(p.borrower_id, 'rto_payment_failed', {
+    itemTitle: p.item_title,
+    listingId: p.listing_id,
+  });
+}
+
+/**
+ * Terminate an active contract after missed installments and put the item back on the shelf.
+ */
+export async function defaultContract(contractId, reason) {
+  const result = await query(
+    `UPDATE rto_contracts
+     SET status = 'defaulted', cancelled_at = NOW(), cancellation_reason = $2, next_payment_date = NULL
+     WHERE id = $1 AND status = 'active'
+     RETURNING borrower_id, lender_id, listing_id`,
+    [contractId, reason]
+  );
+  if (result.rows.length === 0) return;
+
+  const c = result.rows[0];
+  const listing = await query(
+    `UPDATE listings SET is_available = true WHERE id = $1 RETURNING title`,
+    [c.listing_id]
+  );
+  const itemTitle = listing.rows[0]?.title;
+
+  await sendNotification(c.borrower_id, 'rto_defaulted', { itemTitle, listingId: c.listing_id });
+  await sendNotification(c.lender_id, 'rto_defaulted', { itemTitle, listingId: c.listing_id });
+
+  logger.info(`RTO contract ${contractId} defaulted: ${reason}`);
+}
+
+/**
+ * Final payment cleared — the listing leaves the lender's shelf for good.
+ */
+export async function transferOwnership(contractId) {
+  const c = await withTransaction(async (client) => {
+    const contract = await client.query(
+      'SELECT borrower_id, lender_id, listing_id FROM rto_contracts WHERE id = $1',
+      [contractId]
+    );
+    const row = contract.rows[0];
+    const listing = await client.query(
+      `UPDATE listings SET status = 'transferred', is_available = false, rto_available = false
+       WHERE id = $1 RETURNING title`,
+      [row.listing_id]
+    );
+    await client.query(
+      `UPDATE rto_contracts SET next_payment_date = NULL WHERE id = $1`,
+      [contractId]
+    );
+    return { ...row, itemTitle: listing.rows[0]?.title };
+  });
+
+  await sendNotification(c.borrower_id, 'rto_completed', { itemTitle: c.itemTitle, listingId: c.listing_id });
+  await sendNotification(c.lender_id, 'rto_completed', { itemTitle: c.itemTitle, listingId: c.listing_id });
+
+  logger.info(`RTO contract ${contractId} completed, listing ${c.listing_id} transferred`);
+}
+
+/**
+ * Scheduler pass: remind borrowers a day ahead, then charge installments
+ * that are due (or due for a retry after an earlier failure).
+ */
+export async function processRtoPayments() {
+  const upcoming = await query(
+    `SELECT p.id, p.total_amount, p.due_date, c.borrower_id, c.listing_id, l.title as item_title
+     FROM rto_payments p
+     JOIN rto_contracts c ON p.contract_id = c.id
+     JOIN listings l ON c.listing_id = l.id
+     WHERE c.status = 'active'
+       AND p.status = 'pending'
+       AND p.reminder_sent IS NOT TRUE
+       AND p.due_date = CURRENT_DATE + 1`
+  );
+
+  for (const p of upcoming.rows) {
+    await sendNotification(p.borrower_id, 'rto_payment_due', {
+      itemTitle: p.item_title,
+      amount: p.total_amount,
+      dueDate: new Date(p.due_date).toLocaleDateString(),
+      listingId: p.listing_id,
+    });
+    await query('UPDATE rto_payments SET reminder_sent = true WHERE id = $1', [p.id]);
+  }
+
+  const due = await query(
+    `SELECT p.id
+     FROM rto_payments p
+     JOIN rto_contracts c ON p.contract_id = c.id
+     WHERE c.status = 'active'
+       AND p.due_date <= CURRENT_DATE
+       AND (
+         p.status = 'pending'
+         OR (p.status = 'failed' AND p.last_retry_at < NOW() - INTERVAL '2 days')
+       )
+     ORDER BY p.due_date, p.payment_number`
+  );
+
+  for (const p of due.rows) {
+    try {
+      const status = await chargeInstallment(p.id);
+      logger.info(`RTO installment ${p.id} charge result: ${status}`);
+    } catch (err) {
+      logger.error(`RTO installment ${p.id} processing error:`, err);
+    }
+  }
+}
+
+export default {
+  buildPaymentSchedule,
+  createPaymentSchedule,
+  chargeInstallment,
+  completeInstallment,
+  failInstallment,
+  defaultContract,
+  transferOwnership,
+  processRtoPayments,
+};
@@ -0,0 +1,418 @@
+import { query, withTransaction } from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from './geofence.js';
+
+/**
+ * Saved searches — a browse query plus filters (category, max price, listing type,
+ * radius and which audiences to include) that keeps looking after the user leaves.
+ *
+ * When a listing goes live, the listings trigger queues 'saved_search.match_listing'.
+ * Matches are recorded in saved_search_matches; 'instant' searches alert right away,
+ * 'daily' ones are summed up by the morning digest, and 'off' ones only collect.
+ * A listing that comes back (unpaused, relisted giveaway) alerts again once a day
+ * has passed since its last match.
+ */
+
+export const SAVED_SEARCH_LIMIT = 20;
+export const SAVED_SEARCH_VISIBILITIES = ['close_friends', 'neighborhood', 'town'];
+export const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+const REALERT_AFTER_HOURS = 24;
+const METERS_PER_MILE = 1609.34;
+const MAX_RESULTS = 50;
+
+const db = { query };
+
+const savedSearchError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+export const formatSavedSearch = (s) => ({
+  id: s.id,
+  name: s.name,
+  query: s.query,
+  categoryId: s.category_id,
+  categoryName: s.category_name || null,
+  maxPrice: s.max_price !== null ? parseFloat(s.max_price) : null,
+  listingType: s.listing_type,
+  radiusMiles: s.radius_miles !== null ? parseFloat(s.radius_miles) : null,
+  visibility: s.visibility.split(','),
+  alertFrequency: s.alert_frequency,
+  matchCount: parseInt(s.match_count) || 0,
+  newMatchCount: parseInt(s.new_match_count) || 0,
+  createdAt: s.created_at,
+});
+
+/**
+ * Active listings that satisfy saved searches, as (saved_search_id, listing_id) rows.
+ * $1 narrows to one listing and $2 to one search; either may be null. The listing
+ * must also be visible to the searcher through one of the search's audiences, and
+ * nobody sees listings from someone on either side of a block.
+ */
+async function matchSql(client) {
+  const geofenced = await hasBoundarySupport(client);
+  const neighborhoodMatch = neighborhoodMatchSql(geofenced, { viewerParam: 'v.id', cityParam: 'v.city' });
+  const inScope = (level) =>
+    `'${level}' = ANY(string_to_array(s.visibility, ',')) AND '${level}' = ANY(string_to_array(l.visibility::text, ','))`;
+  // Radius only narrows when both people have a location to measure between
+  const withinRadius = geofenced
+    ? `(s.radius_miles IS NULL OR v.location IS NULL OR u.location IS NULL
+        OR ST_DWithin(u.location, v.location, s.radius_miles * ${METERS_PER_MILE}))`
+    : 'true';
+
+  return `
+    SELECT s.id AS saved_search_id, l.id AS listing_id
+    FROM saved_searches s
+    JOIN users v ON v.id = s.user_id
+    JOIN listings l ON l.status = 'active' AND l.is_available = true AND l.owner_id <> s.user_id
+    JOIN users u ON u.id = l.owner_id
+    WHERE ($1::uuid IS NULL OR l.id = $1::uuid)
+      AND ($2::uuid IS NULL OR s.id = $2::uuid)
+      AND (s.query IS NULL
+           OR to_tsvector('english', l.title || ' ' || COALESCE(l.description, '')) @@ search_tsquery(s.query)
+           OR (LENGTH(s.query) >= 4 AND LOWER(s.query) <% LOWER(l.title)))
+      AND (s.category_id IS NULL OR l.category_id = s.category_id
+           OR l.category_id IN (SELECT id FROM categories WHERE parent_id = s.category_id))
+      AND (s.max_price IS NULL OR l.is_free OR COALESCE(l.price_per_day, 0) <= s.max_price)
+      AND (s.listing_type IS NULL OR COALESCE(l.listing_type, 'lend') = s.listing_type)
+      AND ${withinRadius}
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE (b.blocker_id = s.user_id AND b.blocked_id = l.owner_id)
+           OR (b.blocker_id = l.owner_id AND b.blocked_id = s.user_id)
+      )
+      AND (
+        (${inScope('close_friends')} AND EXISTS (
+          SELECT 1 FROM friendships f
+          WHERE f.user_id = s.user_id AND f.friend_id = l.owner_id AND f.status = 'accepted'
+        ))
+        OR (${inScope('neighborhood')} AND ${neighborhoodMatch})
+        OR (${inScope('town')} AND (v.is_verified OR v.verification_grace_until > NOW())
+            AND v.city IS NOT NULL AND LOWER(u.city) = LOWER(v.city))
+      )`;
+}
+
+// Record every listing a search already matches, without alerting — used when a search
+// is created or its filters change, so only listings that go live later alert
+async function backfillMatches(savedSearchId, client) {
+  await client.query(
+    `INSERT INTO saved_search_matches (saved_search_id, listing_id, alerted_at)
+     SELECT m.saved_search_id, m.listing_id, NOW() FROM (${await matchSql(client)}) m
+     ON CONFLICT (saved_search_id, listing_id) DO NOTHING`,
+    [null, savedSearchId]
+  );
+}
+
+function normalizeFields(fields) {
+  const normalized = {};
+  if (fields.name !== undefined) normalized.name = fields.name?.trim() || null;
+  if (fields.query !== undefined) normalized.query = fields.query?.trim() || null;
+  if (fields.categoryId !== undefined) normalized.category_id = fields.categoryId || null;
+  if (fields.maxPrice !== undefined) normalized.max_price = fields.maxPrice ?? null;
+  if (fields.listingType !== undefined) normalized.listing_type = fields.listingType || null;
+  if (fields.radiusMiles !== undefined) normalized.radius_miles = fields.radiusMiles ?? null;
+  if (fields.visibility !== undefined) {
+    const levels = SAVED_SEARCH_VISIBILITIES.filter(v => (fields.visibility || []).includes(v));
+    if (levels.length === 0) throw savedSearchError('Pick at least one audience', 400, 'INVALID_VISIBILITY');
+    normalized.visibility = levels.join(',');
+  }
+  if (fields.alertFrequency !== undefined) normalized.alert_frequency = fields.alertFrequency;
+  return normalized;
+}
+
+const FILTER_COLUMNS = ['query', 'category_id', 'max_price', 'listing_type', 'radius_miles', 'visibility'];
+
+async function assertSearchable(search, client) {
+  if (!search.query && !search.category_id && !search.listing_type && search.max_price === null) {
+    throw savedSearchError('Add a search term or at least one filter', 400, 'SAVED_SEARCH_EMPTY');
+  }
+  if (search.category_id) {
+    const category = await client.query('SELECT 1 FROM categories WHERE id = $1', [search.category_id]);
+    if (category.rows.length === 0) throw savedSearchError('Category not found', 400, 'INVALID_CATEGORY');
+  }
+}
+
+async function getSavedSearchRow(userId, savedSearchId, client = db) {
+  const result = await client.query(
+    `SELECT s.*, c.name AS category_name,
+            COUNT(m.id) FILTER (WHERE l.status = 'active' AND l.is_available) AS match_count,
+            COUNT(m.id) FILTER (WHERE l.status = 'active' AND l.is_available
+                                AND m.matched_at > s.last_viewed_at) AS new_match_count
+     FROM saved_searches s
+     LEFT JOIN categories c ON c.id = s.category_id
+     LEFT JOIN saved_search_matches m ON m.saved_search_id = s.id
+     LEFT JOIN listings l ON l.id = m.listing_id
+     WHERE s.user_id = $1 AND ($2::uuid IS NULL OR s.id = $2::uuid)
+     GROUP BY s.id, c.name
+     ORDER BY s.created_at DESC`,
+    [userId, savedSearchId]
+  );
+  return result.rows;
+}
+
+/**
+ * A user's saved searches with how many live listings each matches and how many of
+ * those arrived since the user last opened it.
+ */
+export async function listSavedSearches(userId) {
+  const rows = await getSavedSearchRow(userId, null);
+  return rows.map(formatSavedSearch);
+}
+
+export async function createSavedSearch(userId, fields) {
+  const search = {
+    name: null, query: null, category_id: null, max_price: null, listing_type: null, radius_miles: null,
+    visibility: SAVED_SEARCH_VISIBILITIES.join(','), alert_frequency: 'instant',
+    ...normalizeFields(fields),
+  };
+
+  const savedSearchId = await withTransaction(async (client) => {
+    await assertSearchable(search, client);
+
+    const count = await client.query('SELECT COUNT(*)::int AS count FROM saved_searches WHERE user_id = $1', [userId]);
+    if (count.rows[0].count >= SAVED_SEARCH_LIMIT) {
+      throw savedSearchError(`You can keep up to ${SAVED_SEARCH_LIMIT} saved searches`, 400, 'SAVED_SEARCH_LIMIT');
+    }
+
+    if (!search.name) {
+      const category = search.category_id
+        ? await client.query('SELECT name FROM categories WHERE id = $1', [search.category_id])
+        : { rows: [] };
+      search.name = search.query || category.rows[0]?.name || (search.listing_type === 'giveaway' ? 'Free giveaways' : 'Saved search');
+    }
+
+    const result = await client.query(
+      `INSERT INTO saved_searches
+         (user_id, name, query, category_id, max_price, listing_type, radius_miles, visibility, alert_frequency)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [userId, search.name, search.query, search.category_id, search.max_price, search.listing_type,
+       search.radius_miles, search.visibility, search.alert_frequency]
+    );
+    await backfillMatches(result.rows[0].id, client);
+    return result.rows[0].id;
+  });
+
+  const [row] = await getSavedSearchRow(userId, savedSearchId);
+  return formatSavedSearch(row);
+}
+
+/**
+ * Change a saved search. New filters start the match list over (without alerting);
+ * a new alert frequency applies to listings that go live from now on.
+ */
+export async function updateSavedSearch(userId, savedSearchId, fields) {
+  const updates = normalizeFields(fields);
+
+  await withTransaction(async (client) => {
+    const existing = await client.query(
+      'SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [savedSearchId, userId]
+    );
+    if (existing.rows.length === 0) throw savedSearchError('Saved search not found', 404, 'SAVED_SEARCH_NOT_FOUND');
+
+    const search = { ...existing.rows[0], ...updates };
+    if (!search.name) search.name = existing.rows[0].name;
+    await assertSearchable(search, client);
+
+    await client.query(
+      `UPDATE saved_searches SET
+         name = $3, query = $4, category_id = $5, max_price = $6, listing_type = $7,
+         radius_miles = $8, visibility = $9, alert_frequency = $10, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2`,
+      [savedSearchId, userId, search.name, search.query, search.category_id, search.max_price,
+       search.listing_type, search.radius_miles, search.visibility, search.alert_frequency]
+    );
+
+    const filtersChanged = FILTER_COLUMNS.some(col => col in updates && String(updates[col]) !== String(existing.rows[0][col]));
+    if (filtersChanged) {
+      await client.query('DELETE FROM saved_search_matches WHERE saved_search_id = $1', [savedSearchId]);
+      await client.query('UPDATE saved_searches SET last_viewed_at = NOW() WHERE id = $1', [savedSearchId]);
+      await backfillMatches(savedSearchId, client);
+    } else if (updates.alert_frequency && updates.alert_frequency !== existing.rows[0].alert_frequency) {
+      await client.query(
+        'UPDATE saved_search_matches SET alerted_at = NOW() WHERE saved_search_id = $1 AND alerted_at IS NULL',
+        [savedSearchId]
+      );
+    }
+  });
+
+  const [row] = await getSavedSearchRow(userId, savedSearchId);
+  return formatSavedSearch(row);
+}
+
+export async function deleteSavedSearch(userId, savedSearchId) {
+  const result = await query(
+    'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+    [savedSearchId, userId]
+  );
+  if (result.rows.length === 0) throw savedSearchError('Saved search not found', 404, 'SAVED_SEARCH_NOT_FOUND');
+}
+
+/**
+ * Listings a saved search matches right now, newest match first, flagging the ones
+ * that arrived since the last visit. Opening the search marks them seen.
+ */
+export async function getSavedSearchListings(userId, savedSearchId) {
+  const owned = await query(
+    'SELECT last_viewed_at FROM saved_searches WHERE id = $1 AND user_id = $2',
+    [savedSearchId, userId]
+  );
+  if (owned.rows.length === 0) throw savedSearchError('Saved search not found', 404, 'SAVED_SEARCH_NOT_FOUND');
+
+  const result = await query(
+    `SELECT l.id, l.title, l.condition, l.is_free, l.price_per_day, l.listing_type,
+            u.id AS owner_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url,
+            u.lender_rating AS rating, u.lender_rating_count AS rating_count,
+            (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) AS photo_url,
+            m.matched_at, m.matched_at > $3 AS is_new
+     FROM (${await matchSql(db)}) live
+     JOIN saved_search_matches m ON m.saved_search_id = live.saved_search_id AND m.listing_id = live.listing_id
+     JOIN listings l ON l.id = m.listing_id
+     JOIN users u ON u.id = l.owner_id
+     ORDER BY m.matched_at DESC
+     LIMIT ${MAX_RESULTS}`,
+    [null, savedSearchId, owned.rows[0].last_viewed_at]
+  );
+
+  await query('UPDATE saved_searches SET last_viewed_at = NOW() WHERE id = $1', [savedSearchId]);
+
+  return result.rows.map(l => ({
+    id: l.id,
+    title: l.title,
+    condition: l.condition,
+    isFree: l.is_free,
+    pricePerDay: l.price_per_day ? parseFloat(l.price_per_day) : null,
+    listingType: l.listing_type || 'lend',
+    photoUrl: l.photo_url,
+    matchedAt: l.matched_at,
+    isNew: l.is_new,
+    owner: {
+      id: l.owner_id,
+      firstName: l.display_name || l.first_name,
+      lastName: l.display_name ? '' : (l.last_name ? l.last_name.charAt(0) + '.' : ''),
+      profilePhotoUrl: l.profile_photo_url,
+      rating: parseFloat(l.rating) || 0,
+      ratingCount: l.rating_count,
+    },
+  }));
+}
+
+/**
+ * Check a listing that just went live against every saved search. Matches and their
+ * alerts are written in one transaction, so a retried job never alerts twice.
+ * Returns how many searches matched.
+ */
+export async function matchListing(listingId) {
+  return withTransaction(async (client) => {
+    const matched = await client.query(
+      `INSERT INTO saved_search_matches (saved_search_id, listing_id)
+       SELECT m.saved_search_id, m.listing_id FROM (${await matchSql(client)}) m
+       ON CONFLICT (saved_search_id, listing_id) DO UPDATE
+         SET matched_at = NOW(), alerted_at = NULL
+         WHERE saved_search_matches.matched_at < NOW() - INTERVAL '${REALERT_AFTER_HOURS} hours'
+       RETURNING saved_search_id`,
+      [listingId, null]
+    );
+    if (matched.rows.length === 0) return 0;
+
+    // Instant searches alert now (one alert per person however many of their searches
+    // matched); 'off' searches are marked so a later switch to daily doesn't dump them
+    const alerts = await client.query(
+      `UPDATE saved_search_matches m SET alerted_at = NOW()
+       FROM saved_searches s, listings l
+       WHERE m.saved_search_id = s.id AND l.id = m.listing_id
+         AND m.listing_id = $1 AND m.saved_search_id = ANY($2::uuid[])
+         AND s.alert_frequency IN ('instant', 'off')
+       RETURNING s.id, s.user_id, s.name, s.alert_frequency, l.title, l.owner_id`,
+      [listingId, matched.rows.map(r => r.saved_search_id)]
+    );
+
+    const alerted = new Set();
+    for (const a of alerts.rows) {
+      if (a.alert_frequency !== 'instant' || alerted.has(a.user_id)) continue;
+      alerted.add(a.user_id);
+      await enqueueJob('notification.send', {
+        userId: a.user_id,
+        type: 'saved_search_match',
+        data: { searchName: a.name, itemTitle: a.title, savedSearchId: a.id },
+        options: { listingId, fromUserId: a.owner_id },
+      }, {}, client);
+    }
+
+    return matched.rows.length;
+  });
+}
+
+/**
+ * Morning digest for 'daily' searches: one notification per person covering every
+ * listing their daily searches picked up since the last digest that's still available.
+ */
+export async function sendSavedSearchDigests() {
+  const pending = await query(
+    `SELECT DISTINCT s.user_id
+     FROM saved_search_matches m
+     JOIN saved_searches s ON s.id = m.saved_search_id
+     WHERE m.alerted_at IS NULL AND s.alert_frequency = 'daily'`
+  );
+
+  let sent = 0;
+  for (const { user_id: userId } of pending.rows) {
+    try {
+      await withTransaction(async (client) => {
+        const claimed = await client.query(
+          `UPDATE saved_search_matches m SET alerted_at = NOW()
+           FROM saved_searches s, listings l
+           WHERE m.saved_search_id = s.id AND l.id = m.listing_id
+             AND s.user_id = $1 AND s.alert_frequency = 'daily' AND m.alerted_at IS NULL
+           RETURNING s.id, s.name, l.status = 'active' AND l.is_available AS available`,
+          [userId]
+        );
+        const available = claimed.rows.filter(r => r.available);
+        if (available.length === 0) return;
+
+        const searches = [...new Map(available.map(r => [r.id, r.name])).entries()];
+        await enqueueJob('notification.send', {
+          userId,
+          type: 'saved_search_digest',
+          data: {
+            count: available.length,
+            searchName: searches.length === 1 ? searches[0][1] : null,
+            savedSearchId: searches.length === 1 ? searches[0][0] : null,
+          },
+          options: {},
+        }, {}, client);
+        sent++;
+      });
+    } catch (err) {
+      logger.error(`Saved search digest failed for user ${userId}:`, err);
+    }
+  }
+  return sent;
+}
+
+registerJobHandler('saved_search.match_listing', async ({ listingId }) => {
+  await matchListing(listingId);
+});
+
+registerJobHandler('saved_searches.digest', async () => {
+  const sent = await sendSavedSearchDigests();
+  if (sent > 0) logger.info(`Sent ${sent} saved search digests`);
+});
+
+export default {
+  SAVED_SEARCH_LIMIT,
+  SAVED_SEARCH_VISIBILITIES,
+  ALERT_FREQUENCIES,
+  formatSavedSearch,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchListings,
+  matchListing,
+  sendSavedSearchDigests,
+};
@@ -1,6 +1,13 @@
 import { query } from '../utils/db.js';
 import { sendNotification } from './notifications.js';
+import { registerJobHandler, scheduleJob, startJobWorker } from './jobQueue.js';
 import logger from '../utils/logger.js';
+// Register their handlers with the queue: new-request fan-out, impact crediting and reports,
+// saved search matching and digests, search vocabulary refreshes
+import './requestNotifications.js';
+import './impact.js';
+import './savedSearches.js';
+import './search.js';
 
 /**
  * Check for rentals due back tomorrow or today and send reminders.
@@ -8,122 +15,124 @@ import logger from '../utils/logger.js';
  * by tracking via the reminder_sent_at columns.
  */
 async function sendReturnReminders() {
-  try {
-    // Find active rentals (picked_up) due back today or tomorrow
-    const result = await query(
-      `SELECT bt.id, bt.borrower_id, bt.lender_id, bt.requested_end_date,
-              bt.reminder_day_before_sent, bt.reminder_day_of_sent,
-              l.title as item_title
-       FROM borrow_transactions bt
-       JOIN listings l ON bt.listing_id = l.id
-       WHERE bt.status = 'picked_up'
-         AND bt.requested_end_date <= NOW() + INTERVAL '1 day'`
-    );
+  // Find active rentals (picked_up) due back today or tomorrow
+  const result = await query(
+    `SELECT bt.id, bt.borrower_id, bt.lender_id, bt.requested_end_date,
+            bt.reminder_day_before_sent, bt.reminder_day_of_sent,
+            l.title as item_title
+     FROM borrow_transactions bt
+     JOIN listings l ON bt.listing_id = l.id
+     WHERE bt.status = 'picked_up'
+       AND bt.requested_end_date <= NOW() + INTERVAL '1 day'`
+  );
 
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    for (const txn of result.rows) {
-      const dueDate = new Date(txn.requested_end_date);
-      const dueDateOnly = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
-
-      // Due tomorrow — send day-before reminder
-      if (dueDateOnly.getTime() === tomorrow.getTime() && !txn.reminder_day_before_sent) {
-        await sendNotification(txn.borrower_id, 'return_reminder', {
-          itemTitle: txn.item_title,
-          dueDate: dueDate.toLocaleDateString(),
-          transactionId: txn.id,
-        });
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
 
-        await query(
-          'UPDATE borrow_transactions SET reminder_day_before_sent = true WHERE id = $1',
-          [txn.id]
-        );
+  for (const txn of result.rows) {
+    const dueDate = new Date(txn.requested_end_date);
+    const dueDateOnly = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
 
-        logger.info(`Sent day-before return reminder for transaction ${txn.id}`);
-      }
+    // Due tomorrow — send day-before reminder
+    if (dueDateOnly.getTime() === tomorrow.getTime() && !txn.reminder_day_before_sent) {
+      await sendNotification(txn.borrower_id, 'return_reminder', {
+        itemTitle: txn.item_title,
+        dueDate: dueDate.toLocaleDateString(),
+        transactionId: txn.id,
+      });
 
-      // Due today — send day-of reminder
-      if (dueDateOnly.getTime() === today.getTime() && !txn.reminder_day_of_sent) {
-        await sendNotification(txn.borrower_id, 'return_reminder', {
-          itemTitle: txn.item_title,
-          dueDate: 'today',
-          transactionId: txn.id,
-        });
+      await query(
+        'UPDATE borrow_transactions SET reminder_day_before_sent = true WHERE id = $1',
+        [txn.id]
+      );
 
-        // Also notify the lender
-        await sendNotification(txn.lender_id, 'return_reminder', {
-          itemTitle: txn.item_title,
-          dueDate: 'today',
-          transactionId: txn.id,
-        });
+      logger.info(`Sent day-before return reminder for transaction ${txn.id}`);
+    }
 
-        await query(
-          'UPDATE borrow_transactions SET reminder_day_of_sent = true WHERE id = $1',
-          [txn.id]
-        );
+    // Due today — send day-of reminder
+    if (dueDateOnly.getTime() === today.getTime() && !txn.reminder_day_of_sent) {
+      await sendNotification(txn.borrower_id, 'return_reminder', {
+        itemTitle: txn.item_title,
+        dueDate: 'today',
+        transactionId: txn.id,
+      });
 
-        logger.info(`Sent day-of return reminder for transaction ${txn.id}`);
-      }
+      // Also notify the lender
+      await sendNotification(txn.lender_id, 'return_reminder', {
+        itemTitle: txn.item_title,
+        dueDate: 'today',
+        transactionId: txn.id,
+      });
+
+      await query(
+        'UPDATE borrow_transactions SET reminder_day_of_sent = true WHERE id = $1',
+        [txn.id]
+      );
+
+      logger.info(`Sent day-of return reminder for transaction ${txn.id}`);
     }
-  } catch (err) {
-    logger.error('Return reminder check error:', err);
   }
 }
 
+/**
+ * Walk rentals that are past due down the overdue ladder: accrue late fees, send the
+ * +1/+3/+7 day nudges, charge the deposit when enabled, and open a dispute past the
+ * threshold. Each step is recorded once per day, so running hourly is safe.
+ */
+async function runOverdueEscalation() {
+  const { processOverdueRentals } = await import('./overdue.js');
+  await processOverdueRentals();
+}
+
 /**
  * Auto-advance disputes from awaitingResponse to underReview
  * after 48 hours with no response from the respondent.
  */
 async function autoAdvanceDisputes() {
-  try {
-    const result = await query(
-      `UPDATE disputes
-       SET status = 'underReview'
-       WHERE status = 'awaitingResponse'
-         AND created_at < NOW() - INTERVAL '48 hours'
-       RETURNING id, claimant_user_id, respondent_user_id, transaction_id`
-    );
+  const result = await query(
+    `UPDATE disputes
+     SET status = 'underReview'
+     WHERE status = 'awaitingResponse'
+       AND created_at < NOW() - INTERVAL '48 hours'
+     RETURNING id, claimant_user_id, respondent_user_id, transaction_id`
+  );
 
-    for (const d of result.rows) {
-      await sendNotification(d.claimant_user_id, 'dispute_under_review', {
-        disputeId: d.id,
-        transactionId: d.transaction_id,
-      });
+  for (const d of result.rows) {
+    await sendNotification(d.claimant_user_id, 'dispute_under_review', {
+      disputeId: d.id,
+      transactionId: d.transaction_id,
+    });
 
-      // Notify respondent they missed the window
-      await sendNotification(d.respondent_user_id, 'dispute_auto_advanced', {
-        disputeId: d.id,
-        transactionId: d.transaction_id,
-      });
+    // Notify respondent they missed the window
+    await sendNotification(d.respondent_user_id, 'dispute_auto_advanced', {
+      disputeId: d.id,
+      transactionId: d.transaction_id,
+    });
 
-      // Notify community organizers
-      const listing = await query(
-        `SELECT l.community_id FROM borrow_transactions t
-         JOIN listings l ON t.listing_id = l.id
-         WHERE t.id = $1`,
-        [d.transaction_id]
+    // Notify community organizers
+    const listing = await query(
+      `SELECT l.community_id FROM borrow_transactions t
+       JOIN listings l ON t.listing_id = l.id
+       WHERE t.id = $1`,
+      [d.transaction_id]
+    );
+    if (listing.rows[0]?.community_id) {
+      const organizers = await query(
+        `SELECT user_id FROM community_memberships
+         WHERE community_id = $1 AND role = 'organizer'`,
+        [listing.rows[0].community_id]
       );
-      if (listing.rows[0]?.community_id) {
-        const organizers = await query(
-          `SELECT user_id FROM community_memberships
-           WHERE community_id = $1 AND role = 'organizer'`,
-          [listing.rows[0].community_id]
-        );
-        for (const org of organizers.rows) {
-          await sendNotification(org.user_id, 'dispute_ready_for_review', {
-            disputeId: d.id,
-            transactionId: d.transaction_id,
-          });
-        }
+      for (const org of organizers.rows) {
+        await sendNotification(org.user_id, 'dispute_ready_for_review', {
+          disputeId: d.id,
+          transactionId: d.transaction_id,
+        });
       }
-
-      logger.info(`Auto-advanced dispute ${d.id} to underReview`);
     }
-  } catch (err) {
-    logger.error('Auto-advance disputes error:', err);
+
+    logger.info(`Auto-advanced dispute ${d.id} to underReview`);
   }
 }
 
@@ -132,61 +141,99 @@ async function autoAdvanceDisputes() {
  * where 72 hours have passed with no dispute filed.
  */
 async function autoReleaseDeposits() {
-  try {
-    const { cancelPaymentIntent } = await import('../services/stripe.js');
-
-    const result = await query(
-      `SELECT bt.id, bt.stripe_payment_intent_id, bt.deposit_amount, bt.borrower_id
-       FROM borrow_transactions bt
-       WHERE bt.status IN ('returned', 'completed')
-         AND bt.actual_return_at < NOW() - INTERVAL '7 days'
-         AND bt.payment_status = 'authorized'
-         AND NOT EXISTS (SELECT 1 FROM disputes WHERE transaction_id = bt.id)`
-    );
+  const { executePaymentOperation } = await import('./paymentOperations.js');
 
-    for (const t of result.rows) {
-      try {
-        if (t.stripe_payment_intent_id) {
-          await cancelPaymentIntent(t.stripe_payment_intent_id);
-        }
-        await query(
-          `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
-          [t.id]
-        );
-        await sendNotification(t.borrower_id, 'deposit_released', { transactionId: t.id });
-        logger.info(`Auto-released deposit for transaction ${t.id}`);
-      } catch (err) {
-        logger.error(`Auto-release deposit failed for txn ${t.id}:`, err);
-      }
+  // A failed release stays queued in the payment ledger, which marks the deposit
+  // released once a retry goes through
+  const releaseDeposit = async (t) => {
+    if (!t.stripe_payment_intent_id) return true;
+    const release = await executePaymentOperation({
+      kind: 'cancel',
+      purpose: 'deposit_release',
+      idempotencyKey: `deposit_release:${t.id}`,
+      paymentIntentId: t.stripe_payment_intent_id,
+      transactionId: t.id,
+    });
+    if (release.status !== 'succeeded') {
+      logger.warn(`Deposit release for txn ${t.id} queued for retry: ${release.lastError}`);
+      return false;
     }
+    return true;
+  };
 
-    // Second pass: lender ghosted — return marked 48+ hours ago but lender never confirmed
-    const ghosted = await query(
-      `SELECT bt.id, bt.stripe_payment_intent_id, bt.deposit_amount, bt.borrower_id
-       FROM borrow_transactions bt
-       WHERE bt.status = 'returned'
-         AND bt.actual_return_at < NOW() - INTERVAL '48 hours'
-         AND bt.payment_status = 'authorized'
-         AND NOT EXISTS (SELECT 1 FROM disputes WHERE transaction_id = bt.id)`
-    );
+  const result = await query(
+    `SELECT bt.id, bt.stripe_payment_intent_id, bt.deposit_amount, bt.borrower_id
+     FROM borrow_transactions bt
+     WHERE bt.status IN ('returned', 'completed')
+       AND bt.actual_return_at < NOW() - INTERVAL '7 days'
+       AND bt.payment_status = 'authorized'
+       AND NOT EXISTS (SELECT 1 FROM disputes WHERE transaction_id = bt.id)`
+  );
 
-    for (const t of ghosted.rows) {
-      try {
-        if (t.stripe_payment_intent_id) {
-          await cancelPaymentIntent(t.stripe_payment_intent_id);
-        }
-        await query(
-          `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
-          [t.id]
-        );
-        await sendNotification(t.borrower_id, 'deposit_released', { transactionId: t.id });
-        logger.info(`Auto-released deposit (lender ghosted) for transaction ${t.id}`);
-      } catch (err) {
-        logger.error(`Auto-release (lender ghosted) failed for txn ${t.id}:`, err);
-      }
+  for (const t of result.rows) {
+    try {
+      if (!await releaseDeposit(t)) continue;
+      await query(
+        `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
+        [t.id]
+      );
+      await sendNotification(t.borrower_id, 'deposit_released', { transactionId: t.id });
+      logger.info(`Auto-released deposit for transaction ${t.id}`);
+    } catch (err) {
+      logger.error(`Auto-release deposit failed for txn ${t.id}:`, err);
+    }
+  }
+
+  // Second pass: lender ghosted — return marked 48+ hours ago but lender never confirmed
+  const ghosted = await query(
+    `SELECT bt.id, bt.stripe_payment_intent_id, bt.deposit_amount, bt.borrower_id
+     FROM borrow_transactions bt
+     WHERE bt.status = 'returned'
+       AND bt.actual_return_at < NOW() - INTERVAL '48 hours'
+       AND bt.payment_status = 'authorized'
+       AND NOT EXISTS (SELECT 1 FROM disputes WHERE transaction_id = bt.id)`
+  );
+
+  for (const t of ghosted.rows) {
+    try {
+      if (!await releaseDeposit(t)) continue;
+      await query(
+        `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
+        [t.id]
+      );
+      await sendNotification(t.borrower_id, 'deposit_released', { transactionId: t.id });
+      logger.info(`Auto-released deposit (lender ghosted) for transaction ${t.id}`);
+    } catch (err) {
+      logger.error(`Auto-release (lender ghosted) failed for txn ${t.id}:`, err);
+    }
+  }
+
+  // Third pass: long rentals, whose deposit sits on its own hold after the fee was captured
+  const { settleDeposit } = await import('./paymentHolds.js');
+  const separate = await query(
+    `SELECT bt.id, bt.borrower_id
+     FROM borrow_transactions bt
+     WHERE ((bt.status = 'completed' AND bt.actual_return_at < NOW() - INTERVAL '7 days')
+         OR (bt.status = 'returned' AND bt.actual_return_at < NOW() - INTERVAL '48 hours'))
+       AND EXISTS (
+         SELECT 1 FROM payment_holds h
+         WHERE h.transaction_id = bt.id AND h.purpose = 'deposit' AND h.status IN ('held', 'charged')
+       )
+       AND NOT EXISTS (SELECT 1 FROM disputes WHERE transaction_id = bt.id)`
+  );
+
+  for (const t of separate.rows) {
+    try {
+      await settleDeposit(t);
+      await query(
+        `UPDATE borrow_transactions SET payment_status = 'deposit_released' WHERE id = $1`,
+        [t.id]
+      );
+      await sendNotification(t.borrower_id, 'deposit_released', { transactionId: t.id });
+      logger.info(`Auto-released deposit hold for transaction ${t.id}`);
+    } catch (err) {
+      logger.error(`Auto-release deposit hold failed for txn ${t.id}:`, err);
     }
-  } catch (err) {
-    logger.error('Auto-release deposits error:', err);
   }
 }
 
@@ -195,26 +242,22 @@ async function autoReleaseDeposits() {
  * and who still aren't fully verified.
  */
 async function checkVerificationGraceExpiry() {
-  try {
-    const result = await query(
-      `SELECT id FROM users
-       WHERE is_verified = false
-         AND verification_grace_until IS NOT NULL
-         AND verification_grace_until > NOW()
-         AND verification_grace_until <= NOW() + INTERVAL '1 hour'
-         AND grace_expiry_notified IS NOT TRUE`
-    );
+  const result = await query(
+    `SELECT id FROM users
+     WHERE is_verified = false
+       AND verification_grace_until IS NOT NULL
+       AND verification_grace_until > NOW()
+       AND verification_grace_until <= NOW() + INTERVAL '1 hour'
+       AND grace_expiry_notified IS NOT TRUE`
+  );
 
-    for (const user of result.rows) {
-      await sendNotification(user.id, 'verification_expiring', {});
-      await query(
-        'UPDATE users SET grace_expiry_notified = true WHERE id = $1',
-        [user.id]
-      );
-      logger.info(`Sent verification grace expiry warning to user ${user.id}`);
-    }
-  } catch (err) {
-    logger.error('Verification grace expiry check error:', err);
+  for (const user of result.rows) {
+    await sendNotification(user.id, 'verification_expiring', {});
+    await query(
+      'UPDATE users SET grace_expiry_notified = true WHERE id = $1',
+      [user.id]
+    );
+    logger.info(`Sent verification grace expiry warning to user ${user.id}`);
   }
 }
 
@@ -223,27 +266,23 @@ async function checkVerificationGraceExpiry() {
  * within 48 hours. Cancels the transaction and notifies the requester.
  */
 async function expireStaleGiveawayRequests() {
-  try {
-    const result = await query(
-      `UPDATE borrow_transactions bt
-       SET status = 'cancelled'
-       FROM listings l
-       WHERE bt.listing_id = l.id
-         AND l.listing_type = 'giveaway'
-         AND bt.status = 'pending'
-         AND bt.created_at < NOW() - INTERVAL '48 hours'
-       RETURNING bt.id, bt.borrower_id, bt.lender_id, l.title as item_title`
-    );
+  const result = await query(
+    `UPDATE borrow_transactions bt
+     SET status = 'cancelled'
+     FROM listings l
+     WHERE bt.listing_id = l.id
+       AND l.listing_type = 'giveaway'
+       AND bt.status = 'pending'
+       AND bt.created_at < NOW() - INTERVAL '48 hours'
+     RETURNING bt.id, bt.borrower_id, bt.lender_id, l.title as item_title`
+  );
 
-    for (const t of result.rows) {
-      await sendNotification(t.borrower_id, 'giveaway_expired', {
-        itemTitle: t.item_title,
-        transactionId: t.id,
-      });
-      logger.info(`Expired stale giveaway request ${t.id}`);
-    }
-  } catch (err) {
-    logger.error('Expire stale giveaway requests error:', err);
+  for (const t of result.rows) {
+    await sendNotification(t.borrower_id, 'giveaway_expired', {
+      itemTitle: t.item_title,
+      transactionId: t.id,
+    });
+    logger.info(`Expired stale giveaway request ${t.id}`);
   }
 }
 
@@ -252,61 +291,167 @@ async function expireStaleGiveawayRequests() {
  * within 7 days. Cancels the transaction and relists the item.
  */
 async function expireGiveawayPickups() {
-  try {
-    const result = await query(
-      `SELECT bt.id, bt.borrower_id, bt.lender_id, bt.listing_id, l.title as item_title
-       FROM borrow_transactions bt
-       JOIN listings l ON bt.listing_id = l.id
-       WHERE l.listing_type = 'giveaway'
-         AND bt.status = 'paid'
-         AND bt.actual_pickup_at IS NULL
-         AND bt.updated_at < NOW() - INTERVAL '7 days'`
+  const result = await query(
+    `SELECT bt.id, bt.borrower_id, bt.lender_id, bt.listing_id, l.title as item_title
+     FROM borrow_transactions bt
+     JOIN listings l ON bt.listing_id = l.id
+     WHERE l.listing_type = 'giveaway'
+       AND bt.status = 'paid'
+       AND bt.actual_pickup_at IS NULL
+       AND bt.updated_at < NOW() - INTERVAL '7 days'`
+  );
+
+  for (const t of result.rows) {
+    await query(
+      `UPDATE borrow_transactions SET status = 'cancelled' WHERE id = $1`,
+      [t.id]
+    );
+    await query(
+      `UPDATE listings SET is_available = true, status = 'active' WHERE id = $1`,
+      [t.listing_id]
     );
 
-    for (const t of result.rows) {
-      await query(
-        `UPDATE borrow_transactions SET status = 'cancelled' WHERE id = $1`,
-        [t.id]
-      );
-      await query(
-        `UPDATE listings SET is_available = true, status = 'active' WHERE id = $1`,
-        [t.listing_id]
-      );
+    await sendNotification(t.borrower_id, 'giveaway_pickup_expired', {
+      itemTitle: t.item_title,
+      transactionId: t.id,
+    });
+    await sendNotification(t.lender_id, 'giveaway_pickup_expired', {
+      itemTitle: t.item_title,
+      transactionId: t.id,
+    });
+    logger.info(`Expired giveaway pickup ${t.id}, relisted item ${t.listing_id}`);
+  }
+}
 
-      await sendNotification(t.borrower_id, 'giveaway_pickup_expired', {
-        itemTitle: t.item_title,
-        transactionId: t.id,
-      });
-      await sendNotification(t.lender_id, 'giveaway_pickup_expired', {
-        itemTitle: t.item_title,
-        transactionId: t.id,
-      });
-      logger.info(`Expired giveaway pickup ${t.id}, relisted item ${t.listing_id}`);
-    }
-  } catch (err) {
-    logger.error('Expire giveaway pickups error:', err);
+/**
+ * Send rent-to-own payment reminders and charge installments that are due.
+ * Failed installments are retried every 2 days until the contract defaults.
+ */
+async function runRtoPayments() {
+  const { processRtoPayments } = await import('./rto.js');
+  await processRtoPayments();
+}
+
+/**
+ * Offer freed-up items to the next person on their waitlist, and pass along offers
+ * that weren't claimed within the claim window.
+ */
+async function runWaitlists() {
+  const { processWaitlists } = await import('./waitlist.js');
+  const offered = await processWaitlists();
+  if (offered > 0) logger.info(`Made ${offered} waitlist offers`);
+}
+
+/**
+ * Rebuild every active user's reputation metrics. Runs nightly so lending streaks
+ * lapse on schedule even when nothing else happens on the account.
+ */
+async function recalculateReputations() {
+  const { recalculateAllReputations } = await import('./reputation.js');
+  const updated = await recalculateAllReputations();
+  logger.info(`Recalculated reputation for ${updated} users`);
+}
+
+/**
+ * Drop device sessions (and their refresh tokens) that expired or were revoked
+ * more than 30 days ago.
+ */
+async function pruneAuthSessions() {
+  const { pruneSessions } = await import('./sessions.js');
+  const pruned = await pruneSessions();
+  if (pruned > 0) logger.info(`Pruned ${pruned} old sessions`);
+}
+
+/**
+ * Retry payment ledger operations (refunds, payouts, releases) whose backoff has elapsed.
+ */
+async function retryPayments() {
+  const { retryPaymentOperations } = await import('./paymentOperations.js');
+  const { attempted, succeeded } = await retryPaymentOperations();
+  if (attempted > 0) logger.info(`Retried ${attempted} payment operations, ${succeeded} succeeded`);
+}
+
+/**
+ * Check the payment ledger against Stripe and flag mismatches to admins.
+ */
+async function reconcilePayments() {
+  const { reconcilePaymentOperations } = await import('./paymentOperations.js');
+  const { checked, mismatches, recovered } = await reconcilePaymentOperations();
+  if (mismatches > 0 || recovered > 0) {
+    logger.warn(`Payment reconciliation: ${checked} checked, ${mismatches} mismatched, ${recovered} recovered`);
   }
 }
 
 /**
- * Start the scheduler — runs checks every hour.
+ * Renew long-rental deposit holds before Stripe's authorization window closes.
  */
-export function startScheduler() {
-  // Run immediately on startup
-  sendReturnReminders();
-  autoAdvanceDisputes();
-  autoReleaseDeposits();
-  checkVerificationGraceExpiry();
-  expireStaleGiveawayRequests();
-  expireGiveawayPickups();
-
-  // Then run every hour
-  setInterval(sendReturnReminders, 60 * 60 * 1000);
-  setInterval(autoAdvanceDisputes, 60 * 60 * 1000);
-  setInterval(autoReleaseDeposits, 60 * 60 * 1000);
-  setInterval(checkVerificationGraceExpiry, 60 * 60 * 1000);
-  setInterval(expireStaleGiveawayRequests, 60 * 60 * 1000);
-  setInterval(expireGiveawayPickups, 60 * 60 * 1000);
-
-  logger.info('Scheduler started: return reminders, dispute auto-advance, deposit auto-release, verification grace expiry, giveaway expiry every hour');
+async function renewDepositHolds() {
+  const { renewExpiringHolds } = await import('./paymentHolds.js');
+  const renewed = await renewExpiringHolds();
+  if (renewed > 0) logger.info(`Renewed ${renewed} deposit holds`);
+}
+
+/**
+ * Warn borrowers and lenders about card holds that are about to lapse.
+ */
+async function warnExpiringHolds() {
+  const { sendHoldExpiryWarnings } = await import('./paymentHolds.js');
+  const { warned, lapsed } = await sendHoldExpiryWarnings();
+  if (warned > 0 || lapsed > 0) logger.info(`Hold expiry: ${warned} warned, ${lapsed} lapsed`);
+}
+
+/**
+ * Send queued notification emails as digests — daily every morning, weekly on Mondays.
+ */
+async function sendDigests() {
+  const { sendEmailDigests } = await import('./notifications.js');
+  let sent = await sendEmailDigests('daily');
+  if (new Date().getDay() === 1) {
+    sent += await sendEmailDigests('weekly');
+  }
+  if (sent > 0) logger.info(`Sent ${sent} digest emails`);
+}
+
+// Each task is a job type on the queue. A failed run is retried with backoff, and only
+// one replica enqueues each run, so adding web servers doesn't duplicate reminders.
+const SCHEDULED_JOBS = [
+  // Payment retries back off from 5 minutes, so check for due ones often
+  ['payments.retry', retryPayments, { everyMinutes: 5 }],
+  ['rentals.return_reminders', sendReturnReminders, { everyMinutes: 60 }],
+  ['rentals.overdue_escalation', runOverdueEscalation, { everyMinutes: 60 }],
+  ['disputes.auto_advance', autoAdvanceDisputes, { everyMinutes: 60 }],
+  ['deposits.auto_release', autoReleaseDeposits, { everyMinutes: 60 }],
+  ['users.verification_grace_expiry', checkVerificationGraceExpiry, { everyMinutes: 60 }],
+  ['giveaways.expire_requests', expireStaleGiveawayRequests, { everyMinutes: 60 }],
+  ['giveaways.expire_pickups', expireGiveawayPickups, { everyMinutes: 60 }],
+  ['rto.payments', runRtoPayments, { everyMinutes: 60 }],
+  ['waitlists.process', runWaitlists, { everyMinutes: 60 }],
+  ['payments.reconcile', reconcilePayments, { everyMinutes: 60 }],
+  ['holds.renew', renewDepositHolds, { everyMinutes: 60 }],
+  ['holds.expiry_warnings', warnExpiringHolds, { everyMinutes: 60 }],
+  ['reputation.recalculate', recalculateReputations, { dailyAt: 3 }],
+  ['sessions.prune', pruneAuthSessions, { dailyAt: 3 }],
+  ['notifications.digests', sendDigests, { dailyAt: 8 }],
+  ['jobs.maintain', null, { everyMinutes: 5 }],
+  ['impact.community_reports', null, { dailyAt: 4 }],
+  ['saved_searches.digest', null, { dailyAt: 7 }],
+  ['search.refresh_terms', null, { everyMinutes: 60 }],
+];
+
+for (const [type, handler] of SCHEDULED_JOBS) {
+  if (handler) registerJobHandler(type, handler);
+}
+
+/**
+ * Register the recurring jobs and start this process's queue worker. Safe to run on
+ * every replica: schedules are claimed with SKIP LOCKED and jobs are claimed one
+ * worker at a time.
+ */
+export async function startScheduler() {
+  for (const [type, , timing] of SCHEDULED_JOBS) {
+    await scheduleJob(type, timing);
+  }
+  startJobWorker();
+
+  logger.info('Scheduler started: return reminders, overdue escalation, dispute auto-advance, deposit auto-release, verification grace expiry, giveaway expiry, RTO payments, waitlist offers, payment reconciliation, deposit hold renewal, hold expiry warnings, search vocabulary refresh every hour; payment retries every 5 minutes; reputation and session pruning nightly; community impact reports at 4am; saved search digests at 7am; email digests at 8am');
 }
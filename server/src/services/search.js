@@ -0,0 +1,484 @@
+import { query } from '../utils/db.js';
+import logger from '../utils/logger.js';
+import { registerJobHandler } from './jobQueue.js';
+import { hasBoundarySupport, neighborhoodMatchSql } from './geofence.js';
+import { getBlockedUserIds } from './blocks.js';
+
+/**
+ * Search. Every place that matches text — browse, the feed, request suggestions,
+ * seasonal picks and GET /api/search — goes through prepareSearch() and
+ * textMatchSql(), so they agree on what matches:
+ *
+ * - full text over title and description, with each phrase also expanded through
+ *   search_synonyms by the search_tsquery() SQL function ("weed whacker" finds
+ *   "string trimmer" and the other way round)
+ * - pg_trgm word similarity on the title, so typos and partial words still match
+ * - misspelled words are corrected against search_terms (words people actually
+ *   list) and the corrected text is searched too and offered as didYouMean
+ * - categories the query names, or that most title matches fall in, rank higher
+ */
+
+export const SEARCH_TYPES = ['listings', 'requests', 'bundles', 'users'];
+export const PRICE_BANDS = ['free', 'under_10', '10_to_25', 'over_25'];
+export const DISTANCE_BANDS = [1, 5, 10, 25];
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 100;
+
+const MAX_PHRASES = 10;
+const MIN_FUZZY_LENGTH = 4;         // shorter phrases trigram-match too much noise
+const CORRECTION_SIMILARITY = 0.45;
+const CATEGORY_BOOST = 0.5;
+const MIN_CATEGORY_HITS = 2;        // title matches needed before a category is inferred
+const METERS_PER_MILE = 1609.34;
+
+const db = { query };
+
+const searchError = (message, status = 400, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const PRICE_BAND_SQL = `CASE
+  WHEN l.is_free OR COALESCE(l.price_per_day, 0) = 0 THEN 'free'
+  WHEN l.price_per_day < 10 THEN 'under_10'
+  WHEN l.price_per_day <= 25 THEN '10_to_25'
+  ELSE 'over_25'
+END`;
+
+const normalizeText = (text) => String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+
+const publicOwner = (row) => ({
+  id: row.owner_id,
+  firstName: row.display_name || row.first_name,
+  lastName: row.display_name ? '' : (row.last_name ? row.last_name.charAt(0) + '.' : ''),
+  profilePhotoUrl: row.profile_photo_url,
+});
+
+/**
+ * Replace words that no live listing or request uses with the closest word that
+ * one does. Returns the corrected text, or null when nothing needed correcting.
+ */
+async function correctSpelling(text, client = db) {
+  const lowered = text.toLowerCase();
+  const words = [...new Set(lowered.match(/[a-z]+/g) || [])].filter(w => w.length >= MIN_FUZZY_LENGTH);
+  if (words.length === 0) return null;
+
+  const result = await client.query(
+    `SELECT w.input, best.word
+     FROM unnest($1::text[]) w(input)
+     JOIN LATERAL (
+       SELECT t.word FROM search_terms t
+       WHERE t.word % w.input AND similarity(t.word, w.input) >= $2
+       ORDER BY similarity(t.word, w.input) DESC, t.ndoc DESC
+       LIMIT 1
+     ) best ON true
+     WHERE NOT EXISTS (SELECT 1 FROM search_terms t WHERE t.word = w.input)`,
+    [words, CORRECTION_SIMILARITY]
+  );
+  if (result.rows.length === 0) return null;
+
+  const fixes = new Map(result.rows.map(r => [r.input, r.word]));
+  return lowered.replace(/[a-z]+/g, w => fixes.get(w) || w);
+}
+
+/**
+ * Turn what someone typed (or a list of phrases, any of which should match) into
+ * a prepared search for textMatchSql(). Spelling correction only applies to a
+ * single typed phrase.
+ *
+ * @returns {{ text, phrases, corrected, tsquery, categoryIds }}
+ */
+export async function prepareSearch(input, { correct = true } = {}, client = db) {
+  const phrases = [...new Set((Array.isArray(input) ? input : [input]).map(normalizeText).filter(Boolean))]
+    .slice(0, MAX_PHRASES);
+  if (phrases.length === 0) throw searchError('Enter something to search for', 400, 'SEARCH_EMPTY');
+
+  const corrected = correct && phrases.length === 1 ? await correctSpelling(phrases[0], client) : null;
+  const searched = corrected ? [...phrases, corrected] : phrases;
+
+  // The OR of every phrase's synonym-expanded tsquery, and the categories to boost:
+  // ones the query names (with their subcategories) and the one most title matches are in
+  const result = await client.query(
+    `WITH q AS (
+       SELECT (
+         SELECT string_agg('(' || search_tsquery(p)::text || ')', ' | ')
+         FROM unnest($1::text[]) p
+         WHERE numnode(search_tsquery(p)) > 0
+       )::tsquery AS tsq
+     )
+     SELECT q.tsq::text AS tsquery,
+            ARRAY(
+              SELECT c.id FROM categories c
+              WHERE to_tsvector('english', c.name) @@ q.tsq
+                 OR c.parent_id IN (SELECT id FROM categories WHERE to_tsvector('english', name) @@ q.tsq)
+              UNION
+              SELECT top.category_id FROM (
+                SELECT l.category_id FROM listings l
+                WHERE l.status = 'active' AND l.category_id IS NOT NULL
+                  AND to_tsvector('english', l.title || ' ' || COALESCE(l.description, '')) @@ q.tsq
+                GROUP BY l.category_id
+                HAVING COUNT(*) >= $2
+                ORDER BY COUNT(*) DESC
+                LIMIT 1
+              ) top
+            ) AS category_ids
+     FROM q`,
+    [searched, MIN_CATEGORY_HITS]
+  );
+
+  return {
+    text: phrases[0],
+    phrases: searched,
+    corrected: corrected && corrected !== phrases[0].toLowerCase() ? corrected : null,
+    tsquery: result.rows[0].tsquery || null,
+    categoryIds: result.rows[0].category_ids || [],
+  };
+}
+
+/**
+ * SQL fragments that match and score a table's rows against a prepared search.
+ * `param` adds a value to the caller's parameter list and returns its placeholder.
+ *
+ * @param {object} prepared - from prepareSearch()
+ * @param {object} refs - { alias, title, body, category, param }; pass category: null
+ *   for tables without a category_id
+ * @returns {{ match, rank, titleHighlight, snippet }} - highlights wrap matched words in <b></b>
+ */
+export function textMatchSql(prepared, { alias, title = 'title', body = 'description', category = 'category_id', param }) {
+  const field = `LOWER(${alias}.${title})`;
+  const doc = `to_tsvector('english', ${alias}.${title} || ' ' || COALESCE(${alias}.${body}, ''))`;
+
+  const textParams = prepared.phrases.map(p => param(p.toLowerCase()));
+  const fuzzyParams = textParams.filter((_, i) => prepared.phrases[i].length >= MIN_FUZZY_LENGTH);
+  const fuzzy = fuzzyParams.map(p => `${p} <% ${field}`);
+  const similarities = textParams.map(p => `word_similarity(${p}, ${field})`);
+  let rank = similarities.length === 1 ? similarities[0] : `GREATEST(${similarities.join(', ')})`;
+
+  let match;
+  let titleHighlight = `${alias}.${title}`;
+  let snippet = `LEFT(COALESCE(NULLIF(${alias}.${body}, ''), ${alias}.${title}), 160)`;
+  if (prepared.tsquery) {
+    const tsq = `${param(prepared.tsquery)}::tsquery`;
+    match = `(${[`${doc} @@ ${tsq}`, ...fuzzy].join(' OR ')})`;
+    rank = `ts_rank_cd(${doc}, ${tsq}) + ${rank}`;
+    titleHighlight = `ts_headline('english', ${alias}.${title}, ${tsq}, 'HighlightAll=true')`;
+    snippet = `ts_headline('english', COALESCE(NULLIF(${alias}.${body}, ''), ${alias}.${title}), ${tsq},
+      'MaxWords=24, MinWords=10, MaxFragments=1')`;
+  } else {
+    // Only stopwords — nothing for full text to match, so fall back to the title alone
+    match = fuzzy.length > 0 ? `(${fuzzy.join(' OR ')})` : 'false';
+  }
+
+  if (category && prepared.categoryIds.length > 0) {
+    rank += ` + CASE WHEN ${alias}.${category} = ANY(${param(prepared.categoryIds)}::uuid[]) THEN ${CATEGORY_BOOST} ELSE 0 END`;
+  }
+
+  return { match, rank: `(${rank})`, titleHighlight, snippet };
+}
+
+// Whether the viewer (joined as `v`) can see an item under its visibility levels.
+// Town needs a verified viewer in the owner's city, as in browse.
+function visibleToViewerSql({ item, owner, ownerCol }, geofenced) {
+  const level = (name) => `'${name}' = ANY(string_to_array(${item}.visibility::text, ','))`;
+  return `(
+    (${level('close_friends')} AND EXISTS (
+      SELECT 1 FROM friendships f
+      WHERE f.user_id = v.id AND f.friend_id = ${item}.${ownerCol} AND f.status = 'accepted'
+    ))
+    OR (${level('neighborhood')} AND ${neighborhoodMatchSql(geofenced, { item, owner, viewerParam: 'v.id', cityParam: 'v.city' })})
+    OR (${level('town')} AND (v.is_verified OR v.verification_grace_until > NOW())
+        AND v.city IS NOT NULL AND LOWER(${owner}.city) = LOWER(v.city))
+  )`;
+}
+
+function paramList(initial) {
+  const params = [...initial];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { params, param };
+}
+
+async function searchListings(ctx, prepared, filters, { limit, offset }) {
+  const { params, param } = paramList([ctx.viewerId, ctx.blockedIds]);
+  const text = textMatchSql(prepared, { alias: 'l', param });
+  const distanceSql = ctx.geofenced ? `ST_Distance(u.location, v.location) / ${METERS_PER_MILE}` : 'NULL::float';
+
+  const conditions = [
+    `l.status = 'active'`,
+    `(l.listing_type IS DISTINCT FROM 'giveaway' OR l.is_available = true)`,
+    'l.owner_id <> v.id',
+    'l.owner_id <> ALL($2)',
+    visibleToViewerSql({ item: 'l', owner: 'u', ownerCol: 'owner_id' }, ctx.geofenced),
+    text.match,
+  ];
+  if (filters.categoryId) {
+    const categoryId = param(filters.categoryId);
+    conditions.push(`(l.category_id = ${categoryId} OR l.category_id IN (SELECT id FROM categories WHERE parent_id = ${categoryId}))`);
+  }
+  if (filters.condition) conditions.push(`l.condition::text = ${param(filters.condition)}`);
+  if (filters.priceBand) conditions.push(`${PRICE_BAND_SQL} = ${param(filters.priceBand)}`);
+  if (filters.listingType) conditions.push(`COALESCE(l.listing_type, 'lend') = ${param(filters.listingType)}`);
+  if (filters.maxDistance && ctx.geofenced) {
+    conditions.push(`ST_DWithin(u.location, v.location, ${param(filters.maxDistance * METERS_PER_MILE)})`);
+  }
+
+  const result = await query(
+    `WITH matched AS (
+       SELECT l.id, l.category_id, l.condition::text AS condition, l.created_at,
+              ${PRICE_BAND_SQL} AS price_band,
+              ${distanceSql} AS distance_miles,
+              ${text.rank} AS score
+       FROM listings l
+       JOIN users u ON u.id = l.owner_id
+       JOIN users v ON v.id = $1
+       WHERE ${conditions.join(' AND ')}
+     ),
+     page AS (
+       SELECT l.id, l.title, l.condition, l.is_free, l.price_per_day, l.listing_type, l.is_available,
+              l.category_id, c.name AS category_name, m.distance_miles, m.score, m.created_at,
+              ${text.titleHighlight} AS title_highlight,
+              ${text.snippet} AS snippet,
+              u.id AS owner_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url,
+              u.lender_rating AS rating,
+              (SELECT url FROM listing_photos WHERE listing_id = l.id ORDER BY sort_order LIMIT 1) AS photo_url
+       FROM (
+         SELECT * FROM matched ORDER BY score DESC, created_at DESC, id
+         LIMIT ${param(limit)} OFFSET ${param(offset)}
+       ) m
+       JOIN listings l ON l.id = m.id
+       JOIN users u ON u.id = l.owner_id
+       LEFT JOIN categories c ON c.id = l.category_id
+     )
+     SELECT
+       (SELECT COUNT(*)::int FROM matched) AS total,
+       (SELECT COALESCE(json_agg(p ORDER BY p.score DESC, p.created_at DESC, p.id), '[]') FROM page p) AS items,
+       (SELECT COALESCE(json_agg(f), '[]') FROM (
+          SELECT c.id, c.name, COUNT(*)::int AS count
+          FROM matched m JOIN categories c ON c.id = m.category_id
+          GROUP BY c.id, c.name
+          ORDER BY count DESC, c.name
+          LIMIT 12
+        ) f) AS category_facets,
+       (SELECT COALESCE(json_object_agg(price_band, count), '{}') FROM (
+          SELECT price_band, COUNT(*)::int AS count FROM matched GROUP BY price_band
+        ) f) AS price_facets,
+       (SELECT COALESCE(json_object_agg(condition, count), '{}') FROM (
+          SELECT condition, COUNT(*)::int AS count FROM matched WHERE condition IS NOT NULL GROUP BY condition
+        ) f) AS condition_facets,
+       (SELECT json_build_object(${DISTANCE_BANDS.map(miles => `'${miles}', COUNT(*) FILTER (WHERE distance_miles <= ${miles})`).join(', ')})
+        FROM matched) AS distance_facets`,
+    params
+  );
+  const row = result.rows[0];
+
+  return {
+    total: row.total,
+    items: row.items.map(l => ({
+      id: l.id,
+      title: l.title,
+      titleHighlight: l.title_highlight,
+      snippet: l.snippet,
+      condition: l.condition,
+      isFree: l.is_free,
+      pricePerDay: l.price_per_day ? parseFloat(l.price_per_day) : null,
+      listingType: l.listing_type || 'lend',
+      isAvailable: l.is_available,
+      categoryId: l.category_id,
+      categoryName: l.category_name,
+      photoUrl: l.photo_url,
+      distanceMiles: l.distance_miles !== null ? Math.round(l.distance_miles * 10) / 10 : null,
+      createdAt: l.created_at,
+      owner: { ...publicOwner(l), rating: parseFloat(l.rating) || 0 },
+    })),
+    // Counts are over every match with the current filters applied
+    facets: {
+      categories: row.category_facets,
+      priceBands: PRICE_BANDS.map(band => ({ value: band, count: row.price_facets[band] || 0 })),
+      conditions: Object.entries(row.condition_facets).map(([value, count]) => ({ value, count })),
+      distances: ctx.hasLocation
+        ? DISTANCE_BANDS.map(miles => ({ maxMiles: miles, count: row.distance_facets[miles] }))
+        : [],
+    },
+  };
+}
+
+async function searchRequests(ctx, prepared, { limit }) {
+  const { params, param } = paramList([ctx.viewerId, ctx.blockedIds]);
+  const text = textMatchSql(prepared, { alias: 'r', param });
+
+  const result = await query(
+    `SELECT r.id, r.title, r.needed_from, r.needed_until, r.created_at, c.name AS category_name,
+            ${text.titleHighlight} AS title_highlight,
+            ${text.snippet} AS snippet,
+            u.id AS owner_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url
+     FROM item_requests r
+     JOIN users u ON u.id = r.user_id
+     JOIN users v ON v.id = $1
+     LEFT JOIN categories c ON c.id = r.category_id
+     WHERE r.status = 'open'
+       AND (r.expires_at IS NULL OR r.expires_at > NOW())
+       AND (r.needed_until IS NULL OR r.needed_until >= CURRENT_DATE)
+       AND r.user_id <> v.id
+       AND r.user_id <> ALL($2)
+       AND ${visibleToViewerSql({ item: 'r', owner: 'u', ownerCol: 'user_id' }, ctx.geofenced)}
+       AND ${text.match}
+     ORDER BY ${text.rank} DESC, r.created_at DESC
+     LIMIT ${param(limit)}`,
+    params
+  );
+
+  return {
+    items: result.rows.map(r => ({
+      id: r.id,
+      title: r.title,
+      titleHighlight: r.title_highlight,
+      snippet: r.snippet,
+      category: r.category_name,
+      neededFrom: r.needed_from,
+      neededUntil: r.needed_until,
+      createdAt: r.created_at,
+      requester: publicOwner(r),
+    })),
+  };
+}
+
+async function searchBundles(ctx, prepared, { limit }) {
+  const { params, param } = paramList([ctx.viewerId, ctx.blockedIds]);
+  const text = textMatchSql(prepared, { alias: 'b', title: 'name', category: null, param });
+
+  // A bundle shows up only if the viewer could borrow every item in it
+  const result = await query(
+    `SELECT b.id, b.name, b.photo_url, b.is_free, b.price_per_day,
+            ${text.titleHighlight} AS name_highlight,
+            ${text.snippet} AS snippet,
+            (SELECT COUNT(*)::int FROM bundle_items WHERE bundle_id = b.id) AS item_count,
+            u.id AS owner_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url
+     FROM bundles b
+     JOIN users u ON u.id = b.owner_id
+     JOIN users v ON v.id = $1
+     WHERE b.status = 'active'
+       AND b.owner_id <> v.id
+       AND b.owner_id <> ALL($2)
+       AND EXISTS (SELECT 1 FROM bundle_items bi WHERE bi.bundle_id = b.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM bundle_items bi
+         JOIN listings l ON l.id = bi.listing_id
+         WHERE bi.bundle_id = b.id
+           AND NOT (l.status = 'active' AND ${visibleToViewerSql({ item: 'l', owner: 'u', ownerCol: 'owner_id' }, ctx.geofenced)})
+       )
+       AND ${text.match}
+     ORDER BY ${text.rank} DESC, b.created_at DESC
+     LIMIT ${param(limit)}`,
+    params
+  );
+
+  return {
+    items: result.rows.map(b => ({
+      id: b.id,
+      name: b.name,
+      nameHighlight: b.name_highlight,
+      snippet: b.snippet,
+      photoUrl: b.photo_url,
+      isFree: b.is_free,
+      pricePerDay: b.price_per_day ? parseFloat(b.price_per_day) : null,
+      itemCount: b.item_count,
+      owner: publicOwner(b),
+    })),
+  };
+}
+
+// People by name only — typo tolerant, but no synonyms or stemming
+async function searchUsers(ctx, prepared, { limit }) {
+  const name = `LOWER(u.first_name || ' ' || COALESCE(u.last_name, '') || ' ' || COALESCE(u.display_name, ''))`;
+  const text = prepared.text.toLowerCase();
+
+  const result = await query(
+    `SELECT u.id AS owner_id, u.first_name, u.last_name, u.display_name, u.profile_photo_url, u.city,
+            EXISTS (
+              SELECT 1 FROM friendships f
+              WHERE f.user_id = $1 AND f.friend_id = u.id AND f.status = 'accepted'
+            ) AS is_friend
+     FROM users u
+     WHERE u.id <> $1
+       AND u.id <> ALL($2)
+       AND u.status IS DISTINCT FROM 'suspended'
+       AND ($3 <% ${name} OR ${name} LIKE $4)
+     ORDER BY word_similarity($3, ${name}) DESC, u.first_name
+     LIMIT $5`,
+    [ctx.viewerId, ctx.blockedIds, text, `${text.replace(/[\\%_]/g, '\\$&')}%`, limit]
+  );
+
+  return {
+    items: result.rows.map(u => ({
+      ...publicOwner(u),
+      id: u.owner_id,
+      city: u.city,
+      isFriend: u.is_friend,
+    })),
+  };
+}
+
+/**
+ * Everything the viewer can see that matches `q`, by type. Listings are paged and
+ * come with facet counts; the other types return their best few matches.
+ *
+ * @param {object} options - { q, types, filters: { categoryId, condition, priceBand,
+ *   listingType, maxDistance }, limit, offset, otherLimit }
+ */
+export async function search(viewerId, { q, types = SEARCH_TYPES, filters = {}, limit = 20, offset = 0, otherLimit = 5 }) {
+  if (normalizeText(q).length < MIN_QUERY_LENGTH) {
+    throw searchError(`Enter at least ${MIN_QUERY_LENGTH} characters to search`, 400, 'SEARCH_TOO_SHORT');
+  }
+
+  const prepared = await prepareSearch(q);
+  const geofenced = await hasBoundarySupport();
+  const [blockedIds, viewer] = await Promise.all([
+    getBlockedUserIds(viewerId),
+    query(`SELECT ${geofenced ? 'location IS NOT NULL' : 'false'} AS has_location FROM users WHERE id = $1`, [viewerId]),
+  ]);
+  const ctx = { viewerId, blockedIds, geofenced, hasLocation: !!viewer.rows[0]?.has_location };
+
+  const [listings, requests, bundles, users] = await Promise.all([
+    types.includes('listings') ? searchListings(ctx, prepared, filters, { limit, offset }) : null,
+    types.includes('requests') ? searchRequests(ctx, prepared, { limit: otherLimit }) : null,
+    types.includes('bundles') ? searchBundles(ctx, prepared, { limit: otherLimit }) : null,
+    types.includes('users') ? searchUsers(ctx, prepared, { limit: otherLimit }) : null,
+  ]);
+
+  return {
+    query: prepared.text,
+    didYouMean: prepared.corrected,
+    ...(listings && { listings }),
+    ...(requests && { requests }),
+    ...(bundles && { bundles }),
+    ...(users && { users }),
+  };
+}
+
+/**
+ * Rebuild the spelling vocabulary from what's listed now.
+ */
+export async function refreshSearchTerms() {
+  await query('REFRESH MATERIALIZED VIEW CONCURRENTLY search_terms');
+}
+
+registerJobHandler('search.refresh_terms', async () => {
+  await refreshSearchTerms();
+  logger.debug('Refreshed search vocabulary');
+});
+
+export default {
+  SEARCH_TYPES,
+  PRICE_BANDS,
+  DISTANCE_BANDS,
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  prepareSearch,
+  textMatchSql,
+  search,
+  refreshSearchTerms,
+};
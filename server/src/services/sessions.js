@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { query, withTransaction } from '../utils/db.js';
+import { generateTokens, REFRESH_TOKEN_TTL_DAYS } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+const db = { query };
+
+/**
+ * Device sessions. Each sign-in starts a session; its refresh token is single-use and
+ * swapped for a new pair at POST /api/auth/refresh. Only hashes are stored. If a token
+ * that was already swapped shows up again, someone else has a copy, so the whole
+ * session is revoked and both holders have to sign in again.
+ */
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const authError = (message, status = 401, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+// Device label sent by the app (X-Device-Name / X-Platform), falling back to the user agent
+function describeDevice(req) {
+  const userAgent = req?.get?.('user-agent') || null;
+  return {
+    deviceName: (req?.get?.('x-device-name') || '').slice(0, 255) || null,
+    platform: (req?.get?.('x-platform') || '').slice(0, 50) || null,
+    ipAddress: req?.ip || null,
+    userAgent,
+  };
+}
+
+async function storeRefreshToken(sessionId, refreshToken, client) {
+  await client.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+    [sessionId, hashToken(refreshToken)]
+  );
+}
+
+/**
+ * Start a session for a freshly authenticated user and return its first token pair.
+ */
+export async function startSession(userId, req, client = db) {
+  const device = describeDevice(req);
+  const result = await client.query(
+    `INSERT INTO auth_sessions (user_id, device_name, platform, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING id`,
+    [userId, device.deviceName, device.platform, device.ipAddress, device.userAgent, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+
+  const tokens = generateTokens(userId, sessionId);
+  await storeRefreshToken(sessionId, tokens.refreshToken, client);
+  return tokens;
+}
+
+/**
+ * Exchange a refresh token for a new pair. Throws an error with .status (and .code
+ * REFRESH_REUSED when a rotated token is replayed).
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (err) {
+    throw authError(err.name === 'TokenExpiredError' ? 'Session expired — please sign in again' : 'Invalid refresh token');
+  }
+
+  // Tokens issued before sessions existed have no sid and can't be rotated
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw authError('Session expired — please sign in again');
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, s.id as session_id, s.user_id, s.created_at as session_created_at,
+              s.revoked_at, s.expires_at, u.status, u.token_invalidated_at
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON rt.session_id = s.id
+       JOIN users u ON s.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+
+    const row = result.rows[0];
+    if (!row || row.session_id !== decoded.sid) {
+      return { error: authError('Invalid refresh token') };
+    }
+
+    if (row.revoked_at || new Date(row.expires_at) < new Date()) {
+      return { error: authError('Session expired — please sign in again') };
+    }
+
+    if (row.used_at) {
+      await client.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_reuse' WHERE id = $1`,
+        [row.session_id]
+      );
+      logger.warn(`Refresh token reuse detected for session ${row.session_id} (user ${row.user_id}) — session revoked`);
+      return { error: authError('Session expired — please sign in again', 401, 'REFRESH_REUSED') };
+    }
+
+    if (row.status === 'suspended') {
+      return { error: authError('Account suspended', 403) };
+    }
+
+    // Password resets invalidate every session that existed at the time
+    if (row.token_invalidated_at && new Date(row.token_invalidated_at) > new Date(row.session_created_at)) {
+      await client.query(
+        `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'password_reset' WHERE id = $1`,
+        [row.session_id]
+      );
+      return { error: authError('Session expired — please sign in again') };
+    }
+
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [row.id]);
+
+    const tokens = generateTokens(row.user_id, row.session_id);
+    await storeRefreshToken(row.session_id, tokens.refreshToken, client);
+
+    await client.query(
+      'UPDATE auth_sessions SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address) WHERE id = $1',
+      [row.session_id, req?.ip || null]
+    );
+
+    return { tokens };
+  });
+
+  if (outcome.error) throw outcome.error;
+  return outcome.tokens;
+}
+
+/**
+ * Active sessions for a user, most recently used first.
+ */
+export async function listSessions(userId, client = db) {
+  const result = await client.query(
+    `SELECT id, device_name, platform, ip_address, user_agent, created_at, last_used_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Revoke one of the user's sessions. Returns false if it isn't theirs or is already gone.
+ */
+export async function revokeSession(userId, sessionId, reason = 'signed_out', client = db) {
+  const result = await client.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke every session for a user, optionally keeping the caller's own.
+ */
+export async function revokeAllSessions(userId, { exceptSessionId = null, reason = 'signed_out' } = {}, client = db) {
+  const result = await client.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::uuid IS NULL OR id != $2)`,
+    [userId, exceptSessionId, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Delete sessions that expired or were revoked more than 30 days ago.
+ */
+export async function pruneSessions(client = db) {
+  const result = await client.query(
+    `DELETE FROM auth_sessions
+     WHERE expires_at < NOW() - INTERVAL '30 days'
+        OR revoked_at < NOW() - INTERVAL '30 days'`
+  );
+  return result.rowCount;
+}
+
+export default {
+  startSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  pruneSessions,
+};
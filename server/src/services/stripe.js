@@ -102,34 +102,82 @@ export async function createPaymentIntent({
   customerId,
   metadata = {},
   captureMethod = 'manual', // manual for authorization hold
+  setupFutureUsage = null, // 'off_session' keeps the card for renewing holds later
 }) {
   const idempotencyKey = `pi_${customerId}_${crypto.randomUUID()}`;
-  return stripe.paymentIntents.create({
+  const params = {
     amount,
     currency: 'usd',
     customer: customerId,
     capture_method: captureMethod,
     payment_method_types: ['card'],
     metadata,
-  }, {
+  };
+  if (setupFutureUsage) {
+    params.setup_future_usage = setupFutureUsage;
+  }
+  return stripe.paymentIntents.create(params, {
     idempotencyKey,
   });
 }
 
+// Charge the customer's saved card without them present (recurring installments, deposit
+// holds). Uses the given card, else the default payment method, else the first saved card.
+// captureMethod 'manual' places an authorization hold instead of charging.
+export async function chargeSavedPaymentMethod({
+  amount, // in cents
+  customerId,
+  metadata = {},
+  idempotencyKey,
+  paymentMethodId: preferredPaymentMethodId = null,
+  captureMethod = 'automatic',
+}) {
+  let paymentMethodId = preferredPaymentMethodId;
+
+  if (!paymentMethodId) {
+    const customer = await stripe.customers.retrieve(customerId);
+    paymentMethodId = customer.invoice_settings?.default_payment_method;
+  }
+
+  if (!paymentMethodId) {
+    const methods = await listPaymentMethods(customerId);
+    paymentMethodId = methods.data[0]?.id;
+  }
+
+  if (!paymentMethodId) {
+    const err = new Error('No saved payment method on file');
+    err.code = 'NO_PAYMENT_METHOD';
+    throw err;
+  }
+
+  return stripe.paymentIntents.create({
+    amount,
+    currency: 'usd',
+    customer: customerId,
+    payment_method: paymentMethodId,
+    off_session: true,
+    confirm: true,
+    capture_method: captureMethod,
+    metadata,
+  }, {
+    idempotencyKey: idempotencyKey || `offsession_${customerId}_${crypto.randomUUID()}`,
+  });
+}
+
 export async function getPaymentIntent(paymentIntentId) {
   return stripe.paymentIntents.retrieve(paymentIntentId);
 }
 
-export async function capturePaymentIntent(paymentIntentId, amountToCapture = null) {
+export async function capturePaymentIntent(paymentIntentId, amountToCapture = null, { idempotencyKey } = {}) {
   const params = {};
   if (amountToCapture !== null) {
     params.amount_to_capture = amountToCapture;
   }
-  return stripe.paymentIntents.capture(paymentIntentId, params);
+  return stripe.paymentIntents.capture(paymentIntentId, params, idempotencyKey ? { idempotencyKey } : {});
 }
 
-export async function cancelPaymentIntent(paymentIntentId) {
-  return stripe.paymentIntents.cancel(paymentIntentId);
+export async function cancelPaymentIntent(paymentIntentId, { idempotencyKey } = {}) {
+  return stripe.paymentIntents.cancel(paymentIntentId, {}, idempotencyKey ? { idempotencyKey } : {});
 }
 
 // ============================================
@@ -141,6 +189,8 @@ export async function createTransfer({
   destinationAccountId,
   sourcePaymentIntentId,
   metadata = {},
+  transferGroup,
+  idempotencyKey,
 }) {
   const params = {
     amount,
@@ -148,6 +198,9 @@ export async function createTransfer({
     destination: destinationAccountId,
     metadata,
   };
+  if (transferGroup) {
+    params.transfer_group = transferGroup;
+  }
 
   // Tie transfer to the source charge so it works even if platform balance hasn't settled
   if (sourcePaymentIntentId) {
@@ -157,21 +210,24 @@ export async function createTransfer({
     }
   }
 
-  return stripe.transfers.create(params);
+  return stripe.transfers.create(params, idempotencyKey ? { idempotencyKey } : {});
 }
 
 // ============================================
 // Refunds
 // ============================================
 
-export async function refundPayment(paymentIntentId, amount = null) {
+export async function refundPayment(paymentIntentId, amount = null, { metadata, idempotencyKey } = {}) {
   const params = {
     payment_intent: paymentIntentId,
   };
   if (amount !== null) {
     params.amount = amount;
   }
-  return stripe.refunds.create(params);
+  if (metadata) {
+    params.metadata = metadata;
+  }
+  return stripe.refunds.create(params, idempotencyKey ? { idempotencyKey } : {});
 }
 
 // ============================================
@@ -0,0 +1,176 @@
+import { query, withTransaction } from '../utils/db.js';
+
+const db = { query };
+
+/**
+ * Transaction history. A trigger on borrow_transactions appends a transaction_events row
+ * for every status or payment_status change, wherever it comes from — routes, Stripe
+ * webhooks or scheduler jobs — and a second trigger rejects status changes that
+ * transaction_status_transitions doesn't allow. Events can't be edited, and are only
+ * deleted along with their transaction. The database only knows who made a
+ * change when the caller says so: run the update through queryAs, or call
+ * setTransactionActor inside withTransaction. Anything else is recorded as the system.
+ */
+
+// SQLSTATE raised by guard_transaction_transition()
+export const ILLEGAL_TRANSITION = 'BH001';
+
+const STATUS_LABELS = {
+  pending: 'Request sent',
+  approved: 'Request approved',
+  paid: 'Request approved',
+  picked_up: 'Picked up',
+  return_pending: 'Return reported',
+  returned: 'Returned',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  declined: 'Declined',
+  disputed: 'Dispute opened',
+  account_deleted: 'Account deleted',
+};
+
+const PAYMENT_LABELS = {
+  authorized: 'Payment authorized',
+  captured: 'Payment captured',
+  failed: 'Payment failed',
+  cancelled: 'Payment hold released',
+  refunded: 'Refunded',
+  deposit_released: 'Deposit released',
+  transfer_failed: 'Payout delayed',
+  completed: 'Payout sent',
+  resolved: 'Dispute settled',
+  disputed: 'Card dispute opened',
+};
+
+const MILESTONE_LABELS = {
+  pickup_verified: 'Pickup verified in person',
+  return_verified: 'Return verified in person',
+  pickup_unverified: 'Pickup confirmed without an in-person check',
+  return_unverified: 'Return confirmed without an in-person check',
+};
+
+/**
+ * Name who is acting for the rest of a withTransaction block.
+ * actor is { userId } for a person, or { source: 'stripe' | 'scheduler' } for automation.
+ */
+export async function setTransactionActor(client, actor = {}) {
+  await client.query(
+    `SELECT set_config('borrowhood.actor_id', $1, true),
+            set_config('borrowhood.actor_source', $2, true)`,
+    [actor.userId || '', actor.source || '']
+  );
+}
+
+/**
+ * Run a single statement with the actor recorded against any transaction events it
+ * causes. An illegal status change comes back as a 409 error with code ILLEGAL_TRANSITION.
+ */
+export async function queryAs(actor, text, params) {
+  try {
+    return await withTransaction(async (client) => {
+      await setTransactionActor(client, actor);
+      return client.query(text, params);
+    });
+  } catch (err) {
+    throw asTransitionError(err);
+  }
+}
+
+/**
+ * Convert the guard trigger's error into one routes can answer with.
+ */
+export function asTransitionError(err) {
+  if (err.code !== ILLEGAL_TRANSITION) return err;
+  const wrapped = new Error(err.message);
+  wrapped.status = 409;
+  wrapped.code = 'ILLEGAL_TRANSITION';
+  return wrapped;
+}
+
+/**
+ * Append a milestone that isn't a status change, such as an in-person handoff check.
+ */
+export async function recordTransactionEvent(transactionId, eventType, { actor = {}, role, metadata = {} } = {}, client = db) {
+  await client.query(
+    `INSERT INTO transaction_events (transaction_id, event_type, actor_id, actor_role, metadata)
+     SELECT t.id, $2, $3::uuid,
+            COALESCE($4, CASE WHEN $3::uuid = t.borrower_id THEN 'borrower'
+                              WHEN $3::uuid = t.lender_id THEN 'lender'
+                              WHEN $3::uuid IS NOT NULL THEN 'admin'
+                              ELSE 'system' END),
+            $5
+     FROM borrow_transactions t WHERE t.id = $1`,
+    [transactionId, eventType, actor.userId || null, role || actor.source || null, JSON.stringify(metadata)]
+  );
+}
+
+function describeEvent(event) {
+  if (event.event_type === 'created') return STATUS_LABELS.pending;
+  if (event.event_type === 'status_changed') {
+    // A request turned down by the owner is stored as cancelled
+    if (event.to_status === 'cancelled' && event.from_status === 'pending' && event.actor_role === 'lender') {
+      return 'Request declined';
+    }
+    return STATUS_LABELS[event.to_status] || event.to_status;
+  }
+  if (event.event_type === 'payment_status_changed') {
+    return PAYMENT_LABELS[event.to_payment_status] || `Payment ${event.to_payment_status}`;
+  }
+  return MILESTONE_LABELS[event.event_type] || event.event_type.replace(/_/g, ' ');
+}
+
+/**
+ * Full history of a transaction, oldest first, with a display label for each event.
+ */
+export async function getTransactionTimeline(transactionId) {
+  const result = await query(
+    `SELECT e.*,
+            COALESCE(u.display_name, u.first_name) as actor_first_name,
+            CASE WHEN u.display_name IS NOT NULL THEN '' ELSE u.last_name END as actor_last_name
+     FROM transaction_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.transaction_id = $1
+     ORDER BY e.created_at, e.id`,
+    [transactionId]
+  );
+
+  return result.rows.map(event => ({
+    id: event.id,
+    type: event.event_type,
+    label: describeEvent(event),
+    fromStatus: event.from_status,
+    toStatus: event.to_status,
+    fromPaymentStatus: event.from_payment_status,
+    toPaymentStatus: event.to_payment_status,
+    actor: {
+      role: event.actor_role,
+      id: event.actor_id,
+      name: event.actor_id
+        ? [event.actor_first_name, event.actor_last_name].filter(Boolean).join(' ') || null
+        : null,
+    },
+    metadata: event.metadata || {},
+    createdAt: event.created_at,
+  }));
+}
+
+/**
+ * Statuses a transaction can move to next.
+ */
+export async function getAllowedTransitions(status) {
+  const result = await query(
+    'SELECT to_status FROM transaction_status_transitions WHERE from_status = $1 ORDER BY to_status',
+    [status]
+  );
+  return result.rows.map(row => row.to_status);
+}
+
+export default {
+  ILLEGAL_TRANSITION,
+  setTransactionActor,
+  queryAs,
+  asTransitionError,
+  recordTransactionEvent,
+  getTransactionTimeline,
+  getAllowedTransitions,
+};
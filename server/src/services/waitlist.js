@@ -0,0 +1,179 @@
+import { query } from '../utils/db.js';
+import { sendNotification } from './notifications.js';
+import { findConflicts } from './reservations.js';
+import logger from '../utils/logger.js';
+
+const db = { query };
+
+/**
+ * Waitlist — borrowers queue for an item that's out. When it frees up, the next person
+ * in line gets an offer that holds the item for WAITLIST_CLAIM_HOURS; claiming it means
+ * requesting the borrow (or checking out a library item) before the offer expires.
+ *
+ * "Free" depends on the item: a library item is free when it's back on the shelf, a
+ * dated listing when nothing is booked or blocked over the waiter's desired dates.
+ */
+
+export const WAITLIST_CLAIM_HOURS = 24;
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+/**
+ * The user's open entry for a listing with their place in line, or null.
+ */
+export async function getWaitlistEntry(listingId, userId, client = db) {
+  const result = await client.query(
+    `SELECT w.id, w.status, w.desired_start_date::text, w.desired_end_date::text,
+            w.offer_expires_at, w.created_at,
+            (SELECT COUNT(*) FROM listing_waitlist ahead
+             WHERE ahead.listing_id = w.listing_id AND ahead.status = ANY($3)
+               AND ahead.created_at < w.created_at) + 1 as position
+     FROM listing_waitlist w
+     WHERE w.listing_id = $1 AND w.user_id = $2 AND w.status = ANY($3)`,
+    [listingId, userId, OPEN_STATUSES]
+  );
+
+  const w = result.rows[0];
+  if (!w) return null;
+
+  return {
+    id: w.id,
+    status: w.status,
+    position: parseInt(w.position),
+    startDate: w.desired_start_date,
+    endDate: w.desired_end_date,
+    offerExpiresAt: w.offer_expires_at,
+    joinedAt: w.created_at,
+  };
+}
+
+/**
+ * Whether someone other than userId holds an open offer on the listing.
+ * Library checkouts have no dates, so any live offer holds the whole item.
+ */
+export async function isHeldForSomeoneElse(listingId, userId, client = db) {
+  const result = await client.query(
+    `SELECT 1 FROM listing_waitlist
+     WHERE listing_id = $1 AND status = 'offered' AND offer_expires_at > NOW() AND user_id <> $2`,
+    [listingId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Close the borrower's open entries on these listings once they've borrowed them —
+ * whether or not the scheduler got around to offering first.
+ */
+export async function claimWaitlistEntries({ listingIds, userId, transactionId }, client = db) {
+  await client.query(
+    `UPDATE listing_waitlist
+     SET status = 'claimed', claimed_transaction_id = $3, resolved_at = NOW()
+     WHERE listing_id = ANY($1) AND user_id = $2 AND status = ANY($4)`,
+    [listingIds, userId, transactionId, OPEN_STATUSES]
+  );
+}
+
+async function offerTo(entry, listing) {
+  const result = await query(
+    `UPDATE listing_waitlist
+     SET status = 'offered', offered_at = NOW(),
+         offer_expires_at = NOW() + make_interval(hours => $2)
+     WHERE id = $1 AND status = 'waiting'
+     RETURNING offer_expires_at`,
+    [entry.id, WAITLIST_CLAIM_HOURS]
+  );
+  if (result.rows.length === 0) return false;
+
+  await sendNotification(entry.user_id, 'waitlist_offer', {
+    itemTitle: listing.title,
+    hours: WAITLIST_CLAIM_HOURS,
+    listingId: listing.listing_id,
+  });
+  logger.info(`Offered listing ${listing.listing_id} to waitlist entry ${entry.id}`);
+  return true;
+}
+
+/**
+ * Scheduler pass: expire unclaimed offers and stale entries, then offer every freed-up
+ * listing to the first person in line whose dates now fit. Returns the number of offers made.
+ */
+export async function processWaitlists() {
+  const expired = await query(
+    `UPDATE listing_waitlist w
+     SET status = 'expired', resolved_at = NOW()
+     FROM listings l
+     WHERE w.listing_id = l.id AND w.status = 'offered' AND w.offer_expires_at <= NOW()
+     RETURNING w.id, w.user_id, w.listing_id, l.title`
+  );
+  for (const w of expired.rows) {
+    await sendNotification(w.user_id, 'waitlist_offer_expired', {
+      itemTitle: w.title,
+      listingId: w.listing_id,
+    });
+    logger.info(`Waitlist offer ${w.id} expired unclaimed`);
+  }
+
+  // Nobody can borrow for dates that have already gone by
+  await query(
+    `UPDATE listing_waitlist SET status = 'expired', resolved_at = NOW()
+     WHERE status = 'waiting' AND desired_end_date < CURRENT_DATE`
+  );
+
+  const listings = await query(
+    `SELECT DISTINCT w.listing_id, l.title, cli.is_available as library_available,
+            (cli.id IS NOT NULL) as is_library
+     FROM listing_waitlist w
+     JOIN listings l ON w.listing_id = l.id
+     LEFT JOIN community_library_items cli ON cli.listing_id = l.id
+     WHERE w.status = 'waiting' AND l.status = 'active'
+       AND NOT EXISTS (
+         SELECT 1 FROM listing_waitlist o
+         WHERE o.listing_id = w.listing_id AND o.status = 'offered'
+       )`
+  );
+
+  const today = new Date().toISOString().split('T')[0];
+  let offered = 0;
+
+  for (const listing of listings.rows) {
+    try {
+      if (listing.is_library && !listing.library_available) continue;
+
+      const queue = await query(
+        `SELECT id, user_id, desired_start_date::text, desired_end_date::text
+         FROM listing_waitlist
+         WHERE listing_id = $1 AND status = 'waiting'
+         ORDER BY created_at`,
+        [listing.listing_id]
+      );
+
+      let next = null;
+      if (listing.is_library) {
+        next = queue.rows[0];
+      } else {
+        for (const entry of queue.rows) {
+          const start = entry.desired_start_date > today ? entry.desired_start_date : today;
+          const conflicts = await findConflicts([listing.listing_id], start, entry.desired_end_date);
+          if (conflicts.length === 0) {
+            next = entry;
+            break;
+          }
+        }
+      }
+
+      if (next && await offerTo(next, listing)) offered++;
+    } catch (err) {
+      logger.error(`Waitlist processing failed for listing ${listing.listing_id}:`, err);
+    }
+  }
+
+  return offered;
+}
+
+export default {
+  WAITLIST_CLAIM_HOURS,
+  getWaitlistEntry,
+  isHeldForSomeoneElse,
+  claimWaitlistEntries,
+  processWaitlists,
+};
@@ -2,3 +2,26 @@
 export const PLATFORM_FEE_PERCENT = 0.03;          // 3% platform fee from lender
 export const BORROWER_SERVICE_FEE_PERCENT = 0.03;   // 3% service fee from borrower
 export const ORGANIZER_FEE_PERCENT = 0.02;           // 2% organizer fee on dispute resolution
+
+// Overdue escalation — reminders go out at these days past due, and the lender's claim
+// becomes a non-return dispute at OVERDUE_DISPUTE_DAYS. Auto-charging accrued late fees
+// against the held deposit is opt-in per deployment.
+export const OVERDUE_REMINDER_DAYS = [1, 3, 7];
+export const OVERDUE_DISPUTE_DAYS = parseInt(process.env.OVERDUE_DISPUTE_DAYS, 10) || 14;
+export const LATE_FEE_AUTO_CHARGE = process.env.LATE_FEE_AUTO_CHARGE === 'true';
+
+// Card authorizations lapse AUTHORIZATION_HOLD_DAYS after they're placed. Rentals longer than
+// LONG_RENTAL_DAYS with a deposit capture the rental fee at approval and keep the deposit on
+// its own hold, renewed HOLD_RENEWAL_HOURS before it lapses. Holds that can't be renewed warn
+// both parties HOLD_WARNING_HOURS ahead.
+export const AUTHORIZATION_HOLD_DAYS = 7;
+export const LONG_RENTAL_DAYS = parseInt(process.env.LONG_RENTAL_DAYS, 10) || 5;
+export const HOLD_RENEWAL_HOURS = 36;
+export const HOLD_WARNING_HOURS = 48;
+
+// Form 1099-K reporting — payees over both thresholds in a calendar year are reported to the
+// IRS by the payment processor. Lenders are warned in their earnings export once they pass
+// TAX_REPORTING_WARNING_RATIO of either threshold.
+export const TAX_REPORTING_THRESHOLD_CENTS = 2000000;  // $20,000 gross
+export const TAX_REPORTING_THRESHOLD_TRANSACTIONS = 200;
+export const TAX_REPORTING_WARNING_RATIO = 0.8;
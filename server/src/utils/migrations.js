@@ -608,6 +608,1038 @@ export async function runMigrations() {
       logger.info('Migration complete: communities banner and announcement columns added');
     }
 
+    // Migration: Rent-to-Own lifecycle (transferred listing status + payment reminders)
+    const hasRtoReminderSent = await query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'rto_payments' AND column_name = 'reminder_sent'
+    `);
+    if (hasRtoReminderSent.rows.length === 0) {
+      logger.info('Running migration: Rent-to-Own lifecycle columns');
+      await query("ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'transferred'");
+      await query('ALTER TABLE rto_payments ADD COLUMN IF NOT EXISTS reminder_sent BOOLEAN DEFAULT false');
+      logger.info('Migration complete: rto_payments.reminder_sent and listing_status transferred added');
+    }
+
+    // Migration: Bundle borrowing (one transaction covering every item in a bundle)
+    const hasBundleTxnItems = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'bundle_transaction_items'
+    `);
+    if (hasBundleTxnItems.rows.length === 0) {
+      logger.info('Running migration: Bundle borrowing');
+      await query('ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id) ON DELETE SET NULL');
+      await query('CREATE INDEX IF NOT EXISTS idx_transactions_bundle ON borrow_transactions(bundle_id) WHERE bundle_id IS NOT NULL');
+      await query(`
+        CREATE TABLE IF NOT EXISTS bundle_transaction_items (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+          condition_at_pickup item_condition,
+          condition_at_return item_condition,
+          sort_order INT DEFAULT 0,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE(transaction_id, listing_id)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_bundle_txn_items_txn ON bundle_transaction_items(transaction_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_bundle_txn_items_listing ON bundle_transaction_items(listing_id)');
+      logger.info('Migration complete: borrow_transactions.bundle_id and bundle_transaction_items added');
+    }
+
+    // Migration: Reputation engine (computed metrics replace the in-place increment triggers)
+    const hasLenderRespondedAt = await query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'borrow_transactions' AND column_name = 'lender_responded_at'
+    `);
+    if (hasLenderRespondedAt.rows.length === 0) {
+      logger.info('Running migration: Reputation engine');
+      await query('ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS lender_responded_at TIMESTAMPTZ');
+      await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_updated_at TIMESTAMPTZ');
+      await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_components JSONB');
+      await query('DROP TRIGGER IF EXISTS trigger_update_lending_streak ON borrow_transactions');
+      await query('DROP FUNCTION IF EXISTS update_lending_streak()');
+      await query(`
+        CREATE OR REPLACE FUNCTION update_sustainability_stats()
+        RETURNS TRIGGER AS $$
+        DECLARE
+          item_value DECIMAL(10,2);
+          co2_per_item DECIMAL(10,2) := 5.0;
+        BEGIN
+          IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
+            SELECT COALESCE(l.deposit_amount, 50) INTO item_value
+            FROM listings l WHERE l.id = NEW.listing_id;
+
+            UPDATE users SET
+              items_shared_count = items_shared_count + 1,
+              co2_saved_kg = co2_saved_kg + co2_per_item
+            WHERE id = NEW.lender_id;
+
+            UPDATE users SET
+              items_borrowed_count = items_borrowed_count + 1,
+              total_money_saved = total_money_saved + item_value,
+              co2_saved_kg = co2_saved_kg + co2_per_item
+            WHERE id = NEW.borrower_id;
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      logger.info('Migration complete: lender_responded_at added, reputation triggers retired');
+    }
+
+    // Migration: Listing reservations (non-overlapping dated bookings, enforced by an exclusion constraint)
+    const hasReservations = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'listing_reservations'
+    `);
+    if (hasReservations.rows.length === 0) {
+      logger.info('Running migration: Listing reservations');
+      await query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+      await query('ALTER TABLE listings ADD COLUMN IF NOT EXISTS buffer_days INT NOT NULL DEFAULT 0');
+      await query(`
+        CREATE TABLE IF NOT EXISTS listing_reservations (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          period DATERANGE NOT NULL,
+          buffer_days INT NOT NULL DEFAULT 0,
+          released_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE(transaction_id, listing_id),
+          CONSTRAINT listing_reservations_no_overlap
+            EXCLUDE USING gist (listing_id WITH =, period WITH &&) WHERE (released_at IS NULL)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_listing_reservations_listing ON listing_reservations(listing_id) WHERE released_at IS NULL');
+      await query(`
+        CREATE OR REPLACE FUNCTION sync_listing_reservations()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF NEW.status IN ('cancelled', 'declined') AND OLD.status IS DISTINCT FROM NEW.status THEN
+            UPDATE listing_reservations SET released_at = NOW()
+            WHERE transaction_id = NEW.id AND released_at IS NULL;
+          ELSIF NEW.actual_return_at IS NOT NULL AND OLD.actual_return_at IS NULL THEN
+            UPDATE listing_reservations
+            SET period = daterange(
+              lower(period),
+              LEAST(upper(period), GREATEST(lower(period), NEW.actual_return_at::date) + buffer_days),
+              '[)'
+            )
+            WHERE transaction_id = NEW.id AND released_at IS NULL;
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_sync_listing_reservations ON borrow_transactions');
+      await query(`
+        CREATE TRIGGER trigger_sync_listing_reservations
+          AFTER UPDATE ON borrow_transactions
+          FOR EACH ROW EXECUTE FUNCTION sync_listing_reservations()
+      `);
+      await query(`
+        DO $$
+        DECLARE
+          r RECORD;
+        BEGIN
+          FOR r IN
+            SELECT bt.id, bt.listing_id, bt.requested_start_date, bt.requested_end_date
+            FROM borrow_transactions bt
+            JOIN listings l ON bt.listing_id = l.id
+            WHERE bt.status IN ('pending', 'approved', 'paid', 'picked_up', 'return_pending')
+              AND bt.bundle_id IS NULL
+              AND l.listing_type IS DISTINCT FROM 'giveaway'
+              AND bt.requested_end_date >= CURRENT_DATE
+            ORDER BY bt.created_at
+          LOOP
+            BEGIN
+              INSERT INTO listing_reservations (listing_id, transaction_id, period)
+              VALUES (r.listing_id, r.id, daterange(r.requested_start_date, GREATEST(r.requested_end_date, r.requested_start_date + 1), '[)'))
+              ON CONFLICT (transaction_id, listing_id) DO NOTHING;
+            EXCEPTION WHEN exclusion_violation THEN
+              RAISE NOTICE 'Skipped overlapping reservation for transaction %', r.id;
+            END;
+          END LOOP;
+        END $$
+      `);
+      logger.info('Migration complete: listing_reservations with no-overlap constraint, listings.buffer_days added');
+    }
+
+    // Migration: Listing waitlist (queue + time-limited claim offers when an item frees up)
+    const hasWaitlist = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'listing_waitlist'
+    `);
+    if (hasWaitlist.rows.length === 0) {
+      logger.info('Running migration: Listing waitlist');
+      await query(`
+        CREATE TABLE IF NOT EXISTS listing_waitlist (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          desired_start_date DATE,
+          desired_end_date DATE,
+          note TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+          offered_at TIMESTAMPTZ,
+          offer_expires_at TIMESTAMPTZ,
+          claimed_transaction_id UUID REFERENCES borrow_transactions(id) ON DELETE SET NULL,
+          resolved_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_waitlist_open
+        ON listing_waitlist(listing_id, user_id) WHERE status IN ('waiting', 'offered')`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_listing_waitlist_queue
+        ON listing_waitlist(listing_id, created_at) WHERE status IN ('waiting', 'offered')`);
+      logger.info('Migration complete: listing_waitlist created');
+    }
+
+    // Migration: Overdue escalation (late fee accrual, reminder ladder, auto-dispute audit trail)
+    const hasOverdueEvents = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'rental_overdue_events'
+    `);
+    if (hasOverdueEvents.rows.length === 0) {
+      logger.info('Running migration: Overdue escalation');
+      await query('ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS late_fee_charged_cents INT DEFAULT 0');
+      await query(`
+        CREATE TABLE IF NOT EXISTS rental_overdue_events (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          event_type VARCHAR(30) NOT NULL,
+          days_overdue INT NOT NULL,
+          amount_cents INT DEFAULT 0,
+          details JSONB DEFAULT '{}',
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (transaction_id, event_type, days_overdue)
+        )
+      `);
+      await query(`CREATE INDEX IF NOT EXISTS idx_rental_overdue_events_txn
+        ON rental_overdue_events(transaction_id, created_at)`);
+      logger.info('Migration complete: rental_overdue_events created');
+    }
+
+    // Migration: Moderation reports (review queue + hidden listing status)
+    const hasReports = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'reports'
+    `);
+    if (hasReports.rows.length === 0) {
+      logger.info('Running migration: Moderation reports');
+      await query(`
+        CREATE TABLE IF NOT EXISTS reports (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          target_type VARCHAR(20) NOT NULL,
+          target_id UUID NOT NULL,
+          reported_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+          community_id UUID REFERENCES communities(id) ON DELETE SET NULL,
+          reason VARCHAR(30) NOT NULL,
+          details TEXT,
+          evidence_urls TEXT[] DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'open',
+          action VARCHAR(20),
+          resolution_notes TEXT,
+          reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          reviewed_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_unique
+        ON reports(reporter_id, target_type, target_id) WHERE status = 'open'`);
+      await query('CREATE INDEX IF NOT EXISTS idx_reports_queue ON reports(status, created_at)');
+      await query('CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_reports_reported_user ON reports(reported_user_id)');
+      await query("ALTER TYPE listing_status ADD VALUE IF NOT EXISTS 'hidden'");
+      logger.info('Migration complete: reports created, listing_status hidden added');
+    }
+
+    // Migration: User blocking
+    const hasUserBlocks = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'user_blocks'
+    `);
+    if (hasUserBlocks.rows.length === 0) {
+      logger.info('Running migration: User blocking');
+      await query(`
+        CREATE TABLE IF NOT EXISTS user_blocks (
+          blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (blocker_id, blocked_id),
+          CHECK (blocker_id != blocked_id)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id)');
+      logger.info('Migration complete: user_blocks created');
+    }
+
+    // Migration: Admin console
+    const hasFeatureFlags = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'feature_flags'
+    `);
+    if (hasFeatureFlags.rows.length === 0) {
+      logger.info('Running migration: Admin console');
+      await query(`
+        CREATE TABLE IF NOT EXISTS feature_flags (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          key VARCHAR(100) UNIQUE NOT NULL,
+          enabled BOOLEAN NOT NULL DEFAULT false,
+          description TEXT,
+          updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at DESC)');
+      logger.info('Migration complete: feature_flags created');
+    }
+
+    // Migration: Device sessions and refresh-token rotation
+    const hasAuthSessions = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'auth_sessions'
+    `);
+    if (hasAuthSessions.rows.length === 0) {
+      logger.info('Running migration: Device sessions');
+      await query(`
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          device_name VARCHAR(255),
+          platform VARCHAR(50),
+          ip_address INET,
+          user_agent TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL,
+          revoked_at TIMESTAMPTZ,
+          revoked_reason VARCHAR(50)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id) WHERE revoked_at IS NULL');
+      await query(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          used_at TIMESTAMPTZ
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id)');
+      logger.info('Migration complete: auth_sessions, refresh_tokens created');
+    }
+
+    // Migration: Approval-gated community membership
+    const hasJoinRequests = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'community_join_requests'
+    `);
+    if (hasJoinRequests.rows.length === 0) {
+      logger.info('Running migration: Community join requests');
+      await query(`ALTER TABLE communities ADD COLUMN IF NOT EXISTS join_questions JSONB DEFAULT '[]'`);
+      await query(`
+        CREATE TABLE IF NOT EXISTS community_join_requests (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')),
+          answers JSONB DEFAULT '[]',
+          review_message TEXT,
+          reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          reviewed_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_join_requests_pending
+        ON community_join_requests(community_id, user_id) WHERE status = 'pending'
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_join_requests_user ON community_join_requests(user_id)');
+      await query(`
+        CREATE TABLE IF NOT EXISTS community_invites (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+          code VARCHAR(20) UNIQUE NOT NULL,
+          created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          max_uses INTEGER,
+          use_count INTEGER DEFAULT 0,
+          expires_at TIMESTAMPTZ,
+          revoked_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_community_invites_community ON community_invites(community_id)');
+      logger.info('Migration complete: community_join_requests, community_invites created');
+    }
+
+    // Migration: Geofenced communities (boundary polygons need PostGIS; without it
+    // communities keep matching members by city)
+    const hasScopeToBoundary = await query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'communities' AND column_name = 'scope_to_boundary'
+    `);
+    if (hasScopeToBoundary.rows.length === 0) {
+      logger.info('Running migration: Community geofences');
+      await query('ALTER TABLE communities ADD COLUMN IF NOT EXISTS scope_to_boundary BOOLEAN DEFAULT false');
+
+      const hasPostgis = await query(`SELECT 1 FROM pg_extension WHERE extname = 'postgis'`);
+      if (hasPostgis.rows.length > 0) {
+        await query('ALTER TABLE communities ADD COLUMN IF NOT EXISTS boundary GEOGRAPHY(POLYGON, 4326)');
+        await query('CREATE INDEX IF NOT EXISTS idx_communities_boundary ON communities USING GIST(boundary)');
+        await query('ALTER TABLE users ADD COLUMN IF NOT EXISTS location GEOGRAPHY(POINT, 4326)');
+        await query('CREATE INDEX IF NOT EXISTS idx_users_location ON users USING GIST(location)');
+
+        const hasLatitude = await query(`
+          SELECT column_name FROM information_schema.columns
+          WHERE table_name = 'users' AND column_name = 'latitude'
+        `);
+        if (hasLatitude.rows.length > 0) {
+          await query(`
+            UPDATE users
+            SET location = ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography
+            WHERE location IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL
+          `);
+        }
+        logger.info('Migration complete: community boundaries enabled');
+      } else {
+        logger.info('Migration complete: PostGIS not installed, communities will match by city');
+      }
+    }
+
+    // Migration: Payment operations ledger (every money movement, retried and reconciled)
+    const hasPaymentOperations = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'payment_operations'
+    `);
+    if (hasPaymentOperations.rows.length === 0) {
+      logger.info('Running migration: Payment operations ledger');
+      await query(`
+        CREATE TABLE IF NOT EXISTS payment_operations (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          kind VARCHAR(20) NOT NULL CHECK (kind IN ('capture', 'cancel', 'refund', 'transfer')),
+          purpose VARCHAR(50) NOT NULL,
+          idempotency_key VARCHAR(255) UNIQUE NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'dead', 'abandoned')),
+          retryable BOOLEAN NOT NULL DEFAULT true,
+          transaction_id UUID REFERENCES borrow_transactions(id) ON DELETE SET NULL,
+          dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL,
+          stripe_payment_intent_id VARCHAR(255),
+          destination_account_id VARCHAR(255),
+          amount_cents INTEGER,
+          currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+          metadata JSONB NOT NULL DEFAULT '{}',
+          stripe_object_id VARCHAR(255),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at TIMESTAMPTZ,
+          succeeded_at TIMESTAMPTZ,
+          webhook_confirmed_at TIMESTAMPTZ,
+          reconciliation_status VARCHAR(20) NOT NULL DEFAULT 'unchecked'
+            CHECK (reconciliation_status IN ('unchecked', 'matched', 'mismatch', 'resolved')),
+          reconciliation_note TEXT,
+          reconciled_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_payment_operations_retry
+        ON payment_operations(next_attempt_at) WHERE status = 'failed'
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_payment_operations_transaction ON payment_operations(transaction_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_payment_operations_dispute ON payment_operations(dispute_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_payment_operations_stripe_object ON payment_operations(stripe_object_id)');
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_payment_operations_mismatch
+        ON payment_operations(created_at) WHERE reconciliation_status = 'mismatch'
+      `);
+      logger.info('Migration complete: payment_operations created');
+    }
+
+    // Migration: Payment holds (authorization expiry per transaction, renewable deposit holds)
+    const hasPaymentHolds = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'payment_holds'
+    `);
+    if (hasPaymentHolds.rows.length === 0) {
+      logger.info('Running migration: Payment holds');
+      await query(`
+        CREATE TABLE IF NOT EXISTS payment_holds (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('checkout', 'deposit')),
+          stripe_payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+          amount_cents INTEGER NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'held'
+            CHECK (status IN ('held', 'charged', 'captured', 'released', 'refunded', 'replaced', 'lapsed')),
+          expires_at TIMESTAMPTZ,
+          renewal_attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          warned_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_payment_holds_expiring
+        ON payment_holds(expires_at) WHERE status = 'held'
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_payment_holds_transaction ON payment_holds(transaction_id)');
+      logger.info('Migration complete: payment_holds created');
+    }
+
+    // Migration: Email digest queue (low-priority notification emails batched daily/weekly)
+    const hasEmailDigest = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'email_digest_items'
+    `);
+    if (hasEmailDigest.rows.length === 0) {
+      logger.info('Running migration: Email digest queue');
+      await query(`
+        CREATE TABLE IF NOT EXISTS email_digest_items (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          type VARCHAR(50) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          body TEXT NOT NULL,
+          action_url TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          sent_at TIMESTAMPTZ
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_email_digest_items_pending
+        ON email_digest_items(user_id) WHERE sent_at IS NULL
+      `);
+      logger.info('Migration complete: email_digest_items created');
+    }
+
+    // Migration: Verified pickup/return handoffs (signed QR codes + condition photos)
+    const hasHandoffCodes = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'handoff_codes'
+    `);
+    if (hasHandoffCodes.rows.length === 0) {
+      logger.info('Running migration: Verified handoffs');
+      await query(`
+        CREATE TABLE IF NOT EXISTS handoff_codes (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          handoff VARCHAR(10) NOT NULL CHECK (handoff IN ('pickup', 'return')),
+          nonce VARCHAR(64) UNIQUE NOT NULL,
+          code_hash VARCHAR(64) NOT NULL,
+          issued_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          failed_attempts INT NOT NULL DEFAULT 0,
+          expires_at TIMESTAMPTZ NOT NULL,
+          used_at TIMESTAMPTZ,
+          used_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_handoff_codes_open
+        ON handoff_codes(transaction_id, handoff) WHERE used_at IS NULL
+      `);
+      await query(`
+        CREATE TABLE IF NOT EXISTS handoff_photos (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          handoff VARCHAR(10) NOT NULL CHECK (handoff IN ('pickup', 'return')),
+          url TEXT NOT NULL,
+          taken_at TIMESTAMPTZ NOT NULL,
+          uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_handoff_photos_transaction
+        ON handoff_photos(transaction_id, handoff)
+      `);
+      await query('ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS pickup_verified_at TIMESTAMPTZ');
+      await query('ALTER TABLE borrow_transactions ADD COLUMN IF NOT EXISTS return_verified_at TIMESTAMPTZ');
+      await query('ALTER TABLE disputes ADD COLUMN IF NOT EXISTS handoff_evidence JSONB');
+      logger.info('Migration complete: handoff_codes and handoff_photos created');
+    }
+
+    // Migration: Transaction event history + guarded status state machine
+    const hasTransactionEvents = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'transaction_events'
+    `);
+    if (hasTransactionEvents.rows.length === 0) {
+      logger.info('Running migration: Transaction events');
+      await query(`
+        CREATE TABLE IF NOT EXISTS transaction_events (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          event_type VARCHAR(40) NOT NULL,
+          from_status VARCHAR(30),
+          to_status VARCHAR(30),
+          from_payment_status VARCHAR(30),
+          to_payment_status VARCHAR(30),
+          actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          actor_role VARCHAR(20) NOT NULL DEFAULT 'system',
+          metadata JSONB NOT NULL DEFAULT '{}',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_transaction_events_transaction ON transaction_events(transaction_id, created_at)');
+      await query(`
+        CREATE TABLE IF NOT EXISTS transaction_status_transitions (
+          from_status VARCHAR(30) NOT NULL,
+          to_status VARCHAR(30) NOT NULL,
+          PRIMARY KEY (from_status, to_status)
+        )
+      `);
+      await query(`
+        INSERT INTO transaction_status_transitions (from_status, to_status) VALUES
+          ('pending', 'approved'), ('pending', 'paid'), ('pending', 'cancelled'), ('pending', 'declined'),
+          ('approved', 'paid'), ('approved', 'picked_up'), ('approved', 'returned'), ('approved', 'completed'),
+          ('approved', 'cancelled'), ('approved', 'disputed'),
+          ('paid', 'picked_up'), ('paid', 'returned'), ('paid', 'cancelled'), ('paid', 'disputed'),
+          ('picked_up', 'return_pending'), ('picked_up', 'returned'), ('picked_up', 'completed'),
+          ('picked_up', 'disputed'), ('picked_up', 'account_deleted'),
+          ('return_pending', 'returned'), ('return_pending', 'completed'), ('return_pending', 'disputed'),
+          ('returned', 'completed'), ('returned', 'disputed'),
+          ('disputed', 'completed'),
+          ('completed', 'disputed'),
+          ('account_deleted', 'returned'), ('account_deleted', 'completed'), ('account_deleted', 'disputed')
+        ON CONFLICT DO NOTHING
+      `);
+      await query(`
+        CREATE OR REPLACE FUNCTION guard_transaction_transition()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF NEW.status IS DISTINCT FROM OLD.status AND NOT EXISTS (
+            SELECT 1 FROM transaction_status_transitions
+            WHERE from_status = OLD.status AND to_status = NEW.status
+          ) THEN
+            RAISE EXCEPTION 'Illegal transaction status transition: % -> %', OLD.status, NEW.status
+              USING ERRCODE = 'BH001';
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_guard_transaction_transition ON borrow_transactions');
+      await query(`
+        CREATE TRIGGER trigger_guard_transaction_transition
+          BEFORE UPDATE OF status ON borrow_transactions
+          FOR EACH ROW EXECUTE FUNCTION guard_transaction_transition()
+      `);
+      await query(`
+        CREATE OR REPLACE FUNCTION record_transaction_event()
+        RETURNS TRIGGER AS $$
+        DECLARE
+          actor UUID := NULLIF(current_setting('borrowhood.actor_id', true), '')::uuid;
+          actor_source TEXT := NULLIF(current_setting('borrowhood.actor_source', true), '');
+          actor_kind TEXT;
+        BEGIN
+          actor_kind := CASE
+            WHEN actor IS NOT NULL AND actor = NEW.borrower_id THEN 'borrower'
+            WHEN actor IS NOT NULL AND actor = NEW.lender_id THEN 'lender'
+            WHEN actor_source IS NOT NULL THEN actor_source
+            WHEN actor IS NOT NULL THEN 'admin'
+            ELSE 'system'
+          END;
+
+          IF TG_OP = 'INSERT' THEN
+            INSERT INTO transaction_events
+              (transaction_id, event_type, to_status, to_payment_status, actor_id, actor_role)
+            VALUES (NEW.id, 'created', NEW.status, NEW.payment_status, actor, actor_kind);
+          ELSIF NEW.status IS DISTINCT FROM OLD.status
+             OR NEW.payment_status IS DISTINCT FROM OLD.payment_status THEN
+            INSERT INTO transaction_events
+              (transaction_id, event_type, from_status, to_status, from_payment_status, to_payment_status, actor_id, actor_role)
+            VALUES (
+              NEW.id,
+              CASE WHEN NEW.status IS DISTINCT FROM OLD.status THEN 'status_changed' ELSE 'payment_status_changed' END,
+              OLD.status, NEW.status, OLD.payment_status, NEW.payment_status, actor, actor_kind
+            );
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_record_transaction_event ON borrow_transactions');
+      await query(`
+        CREATE TRIGGER trigger_record_transaction_event
+          AFTER INSERT OR UPDATE ON borrow_transactions
+          FOR EACH ROW EXECUTE FUNCTION record_transaction_event()
+      `);
+      // History is append-only; events are only deleted when their transaction is
+      await query(`
+        CREATE OR REPLACE FUNCTION reject_transaction_event_change()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM borrow_transactions WHERE id = OLD.transaction_id) THEN
+            RETURN OLD;
+          END IF;
+          RAISE EXCEPTION 'transaction_events is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_transaction_events_append_only ON transaction_events');
+      await query(`
+        CREATE TRIGGER trigger_transaction_events_append_only
+          BEFORE UPDATE OR DELETE ON transaction_events
+          FOR EACH ROW EXECUTE FUNCTION reject_transaction_event_change()
+      `);
+      // Existing transactions start their history from what the row already records
+      await query(`
+        INSERT INTO transaction_events (transaction_id, event_type, to_status, actor_id, actor_role, metadata, created_at)
+        SELECT id, 'created', 'pending', borrower_id, 'borrower', '{"backfilled": true}', created_at
+        FROM borrow_transactions bt
+        WHERE NOT EXISTS (SELECT 1 FROM transaction_events e WHERE e.transaction_id = bt.id)
+      `);
+      await query(`
+        INSERT INTO transaction_events
+          (transaction_id, event_type, from_status, to_status, to_payment_status, actor_role, metadata, created_at)
+        SELECT id, 'status_changed', 'pending', status, payment_status, 'system', '{"backfilled": true}',
+               COALESCE(updated_at, created_at)
+        FROM borrow_transactions bt
+        WHERE status <> 'pending'
+          AND NOT EXISTS (SELECT 1 FROM transaction_events e WHERE e.transaction_id = bt.id AND e.event_type = 'status_changed')
+      `);
+      logger.info('Migration complete: transaction_events created');
+    }
+
+    // Migration: Indexes for SQL feed ranking
+    const hasFeedRankingIndex = await query(`
+      SELECT indexname FROM pg_indexes WHERE indexname = 'idx_saved_listings_listing_created'
+    `);
+    if (hasFeedRankingIndex.rows.length === 0) {
+      logger.info('Running migration: Feed ranking indexes');
+      await query('CREATE INDEX IF NOT EXISTS idx_saved_listings_listing_created ON saved_listings(listing_id, created_at)');
+      await query(`CREATE INDEX IF NOT EXISTS idx_listings_active_created ON listings(created_at DESC) WHERE status = 'active'`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_item_requests_open_created ON item_requests(created_at DESC) WHERE status = 'open'`);
+      await query('CREATE INDEX IF NOT EXISTS idx_borrow_transactions_borrower_created ON borrow_transactions(borrower_id, created_at)');
+      logger.info('Migration complete: feed ranking indexes created');
+    }
+
+    // Migration: Job queue (background work claimed with SKIP LOCKED, recurring schedules)
+    const hasJobs = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'jobs'
+    `);
+    if (hasJobs.rows.length === 0) {
+      logger.info('Running migration: Job queue');
+      await query(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          type VARCHAR(100) NOT NULL,
+          payload JSONB NOT NULL DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'queued'
+            CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+          dedupe_key VARCHAR(255),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 5,
+          run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          locked_by VARCHAR(255),
+          locked_at TIMESTAMPTZ,
+          last_error TEXT,
+          duration_ms INTEGER,
+          finished_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL');
+      await query(`CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'queued'`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running'`);
+      await query('CREATE INDEX IF NOT EXISTS idx_jobs_type_status ON jobs(type, status)');
+      await query(`CREATE INDEX IF NOT EXISTS idx_jobs_finished ON jobs(finished_at) WHERE status = 'succeeded'`);
+      await query(`
+        CREATE TABLE IF NOT EXISTS job_schedules (
+          job_type VARCHAR(100) PRIMARY KEY,
+          every_minutes INTEGER CHECK (every_minutes > 0),
+          daily_at_hour INTEGER CHECK (daily_at_hour BETWEEN 0 AND 23),
+          max_attempts INTEGER NOT NULL DEFAULT 3,
+          next_run_at TIMESTAMPTZ NOT NULL,
+          last_run_at TIMESTAMPTZ,
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          CHECK ((every_minutes IS NULL) <> (daily_at_hour IS NULL))
+        )
+      `);
+      logger.info('Migration complete: jobs and job_schedules created');
+    }
+
+    // Migration: Sustainability impact engine (category factors, credit ledger, community reports)
+    const hasImpactCredits = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'impact_credits'
+    `);
+    if (hasImpactCredits.rows.length === 0) {
+      logger.info('Running migration: Sustainability impact engine');
+      await query('ALTER TABLE categories ADD COLUMN IF NOT EXISTS embodied_co2_kg DECIMAL(8,2)');
+      await query('ALTER TABLE categories ADD COLUMN IF NOT EXISTS replacement_cost DECIMAL(10,2)');
+      await query(`
+        UPDATE categories SET embodied_co2_kg = f.co2, replacement_cost = f.cost
+        FROM (VALUES
+          ('tools-hardware', 25, 120),
+          ('kitchen-cooking', 15, 60),
+          ('garden-outdoor', 30, 150),
+          ('sports-recreation', 20, 100),
+          ('electronics-tech', 60, 300),
+          ('party-events', 10, 50),
+          ('kids-baby', 20, 90),
+          ('camping-travel', 35, 150),
+          ('cleaning', 20, 100),
+          ('other', 15, 60)
+        ) AS f(slug, co2, cost)
+        WHERE categories.slug = f.slug AND categories.embodied_co2_kg IS NULL
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_update_sustainability ON borrow_transactions');
+      await query('DROP FUNCTION IF EXISTS update_sustainability_stats()');
+      await query(`
+        CREATE TABLE IF NOT EXISTS impact_credits (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          transaction_id UUID NOT NULL REFERENCES borrow_transactions(id) ON DELETE CASCADE,
+          listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role VARCHAR(10) NOT NULL CHECK (role IN ('borrower', 'lender', 'receiver', 'giver')),
+          category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+          co2_kg DECIMAL(10,2) NOT NULL DEFAULT 0,
+          money_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+          earned_at TIMESTAMPTZ NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE(transaction_id, listing_id, role)
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_impact_credits_user ON impact_credits(user_id)');
+      await query('CREATE INDEX IF NOT EXISTS idx_impact_credits_earned ON impact_credits(earned_at)');
+      await query(`
+        CREATE OR REPLACE FUNCTION queue_impact_credit()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF 'completed' IN (NEW.status, OLD.status) OR EXISTS (
+            SELECT 1 FROM listings WHERE id = NEW.listing_id AND listing_type = 'giveaway'
+          ) THEN
+            INSERT INTO jobs (type, payload)
+            VALUES ('impact.credit_transaction', jsonb_build_object('transactionId', NEW.id));
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_queue_impact_credit ON borrow_transactions');
+      await query(`
+        CREATE TRIGGER trigger_queue_impact_credit
+          AFTER UPDATE OF status ON borrow_transactions
+          FOR EACH ROW
+          WHEN (NEW.status IS DISTINCT FROM OLD.status
+                AND (NEW.status IN ('completed', 'returned') OR OLD.status IN ('completed', 'returned')))
+          EXECUTE FUNCTION queue_impact_credit()
+      `);
+      await query(`UPDATE badge_definitions SET requirement_type = 'co2_kg' WHERE name = 'Eco Warrior'`);
+      await query(`
+        CREATE TABLE IF NOT EXISTS community_impact_reports (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          community_id UUID NOT NULL REFERENCES communities(id) ON DELETE CASCADE,
+          month DATE NOT NULL,
+          co2_kg DECIMAL(10,2) NOT NULL DEFAULT 0,
+          money_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+          borrows INT NOT NULL DEFAULT 0,
+          giveaways INT NOT NULL DEFAULT 0,
+          active_members INT NOT NULL DEFAULT 0,
+          top_categories JSONB NOT NULL DEFAULT '[]',
+          share_token VARCHAR(64) UNIQUE,
+          shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          shared_at TIMESTAMPTZ,
+          generated_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE(community_id, month)
+        )
+      `);
+      await query(`
+        INSERT INTO jobs (type, payload, dedupe_key)
+        VALUES ('impact.recalculate', '{}', 'impact:backfill')
+        ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+      `);
+      logger.info('Migration complete: impact_credits and community_impact_reports created');
+    }
+
+    // Migration: Saved searches (stored browse filters with alerts for new matching listings)
+    const hasSavedSearches = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'saved_searches'
+    `);
+    if (hasSavedSearches.rows.length === 0) {
+      logger.info('Running migration: Saved searches');
+      await query(`
+        CREATE TABLE IF NOT EXISTS saved_searches (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          query VARCHAR(100),
+          category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+          max_price DECIMAL(10,2) CHECK (max_price >= 0),
+          listing_type VARCHAR(10) CHECK (listing_type IN ('lend', 'giveaway')),
+          radius_miles DECIMAL(5,1) CHECK (radius_miles > 0),
+          visibility VARCHAR(50) NOT NULL DEFAULT 'close_friends,neighborhood,town',
+          alert_frequency VARCHAR(10) NOT NULL DEFAULT 'instant'
+            CHECK (alert_frequency IN ('instant', 'daily', 'off')),
+          last_viewed_at TIMESTAMPTZ DEFAULT NOW(),
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id)');
+      await query(`
+        CREATE TABLE IF NOT EXISTS saved_search_matches (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+          listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+          matched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          alerted_at TIMESTAMPTZ,
+          UNIQUE(saved_search_id, listing_id)
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+          ON saved_search_matches(saved_search_id) WHERE alerted_at IS NULL
+      `);
+      await query(`
+        CREATE OR REPLACE FUNCTION queue_saved_search_match()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'active' THEN
+            INSERT INTO jobs (type, payload)
+            VALUES ('saved_search.match_listing', jsonb_build_object('listingId', NEW.id));
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await query('DROP TRIGGER IF EXISTS trigger_queue_saved_search_match ON listings');
+      await query(`
+        CREATE TRIGGER trigger_queue_saved_search_match
+          AFTER INSERT OR UPDATE OF status ON listings
+          FOR EACH ROW
+          WHEN (NEW.status = 'active')
+          EXECUTE FUNCTION queue_saved_search_match()
+      `);
+      logger.info('Migration complete: saved_searches and saved_search_matches created');
+    }
+
+    // Migration: Unified search (pg_trgm, synonyms, spelling vocabulary)
+    const hasSearchSynonyms = await query(`
+      SELECT table_name FROM information_schema.tables
+      WHERE table_name = 'search_synonyms'
+    `);
+    if (hasSearchSynonyms.rows.length === 0) {
+      logger.info('Running migration: Unified search');
+      await query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      await query(`
+        CREATE TABLE IF NOT EXISTS search_synonyms (
+          phrase VARCHAR(100) PRIMARY KEY CHECK (phrase = LOWER(phrase)),
+          canonical VARCHAR(100) NOT NULL CHECK (canonical = LOWER(canonical)),
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_search_synonyms_canonical ON search_synonyms(canonical)');
+      await query(`
+        INSERT INTO search_synonyms (phrase, canonical) VALUES
+          ('weed whacker', 'string trimmer'),
+          ('weed wacker', 'string trimmer'),
+          ('weed eater', 'string trimmer'),
+          ('weedeater', 'string trimmer'),
+          ('whipper snipper', 'string trimmer'),
+          ('line trimmer', 'string trimmer'),
+          ('power washer', 'pressure washer'),
+          ('jet washer', 'pressure washer'),
+          ('hand truck', 'dolly'),
+          ('sack truck', 'dolly'),
+          ('shop vac', 'wet dry vacuum'),
+          ('shopvac', 'wet dry vacuum'),
+          ('skilsaw', 'circular saw'),
+          ('skil saw', 'circular saw'),
+          ('sawzall', 'reciprocating saw'),
+          ('bbq', 'grill'),
+          ('barbecue', 'grill'),
+          ('barbeque', 'grill'),
+          ('snowblower', 'snow blower'),
+          ('snow thrower', 'snow blower'),
+          ('rototiller', 'tiller'),
+          ('cultivator', 'tiller'),
+          ('stepladder', 'ladder'),
+          ('step ladder', 'ladder'),
+          ('hedge clippers', 'hedge trimmer'),
+          ('pop up canopy', 'canopy tent'),
+          ('gazebo', 'canopy tent'),
+          ('stroller', 'pushchair'),
+          ('pram', 'pushchair'),
+          ('car seat', 'infant car seat'),
+          ('projector screen', 'projection screen'),
+          ('pa system', 'speaker'),
+          ('bike', 'bicycle'),
+          ('sup', 'paddle board'),
+          ('paddleboard', 'paddle board')
+        ON CONFLICT (phrase) DO NOTHING
+      `);
+      await query(`
+        CREATE OR REPLACE FUNCTION search_tsquery(q TEXT)
+        RETURNS tsquery AS $$
+          SELECT COALESCE(string_agg('(' || alt_query || ')', ' | ')::tsquery, plainto_tsquery('english', q))
+          FROM (
+            SELECT DISTINCT plainto_tsquery('english', alt)::text AS alt_query
+            FROM (
+              SELECT LOWER(q) AS alt
+              UNION
+              SELECT regexp_replace(LOWER(q), '\\m' || s.phrase || '\\M', s.canonical, 'g')
+              FROM search_synonyms s WHERE LOWER(q) ~ ('\\m' || s.phrase || '\\M')
+              UNION
+              SELECT regexp_replace(LOWER(q), '\\m' || s.phrase || '\\M', other.phrase, 'g')
+              FROM search_synonyms s
+              JOIN search_synonyms other ON other.canonical = s.canonical AND other.phrase <> s.phrase
+              WHERE LOWER(q) ~ ('\\m' || s.phrase || '\\M')
+              UNION
+              SELECT regexp_replace(LOWER(q), '\\m' || s.canonical || '\\M', s.phrase, 'g')
+              FROM search_synonyms s WHERE LOWER(q) ~ ('\\m' || s.canonical || '\\M')
+            ) alts
+          ) queries
+          WHERE numnode(alt_query::tsquery) > 0
+        $$ LANGUAGE sql STABLE
+      `);
+      await query(`
+        CREATE MATERIALIZED VIEW IF NOT EXISTS search_terms AS
+        SELECT word, ndoc
+        FROM ts_stat($terms$
+          SELECT to_tsvector('simple', title || ' ' || COALESCE(description, '')) FROM listings WHERE status = 'active'
+          UNION ALL
+          SELECT to_tsvector('simple', title) FROM item_requests WHERE status = 'open'
+          UNION ALL
+          SELECT to_tsvector('simple', name) FROM categories
+          UNION ALL
+          SELECT to_tsvector('simple', phrase || ' ' || canonical) FROM search_synonyms
+        $terms$)
+        WHERE length(word) >= 3 AND word ~ '^[a-z]+$'
+      `);
+      await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_search_terms_word ON search_terms(word)');
+      await query('CREATE INDEX IF NOT EXISTS idx_search_terms_trgm ON search_terms USING gin(word gin_trgm_ops)');
+      await query('CREATE INDEX IF NOT EXISTS idx_listings_title_trgm ON listings USING gin(LOWER(title) gin_trgm_ops)');
+      await query('CREATE INDEX IF NOT EXISTS idx_item_requests_title_trgm ON item_requests USING gin(LOWER(title) gin_trgm_ops)');
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_item_requests_search
+          ON item_requests USING gin(to_tsvector('english', title || ' ' || COALESCE(description, '')))
+      `);
+      await query('CREATE INDEX IF NOT EXISTS idx_bundles_name_trgm ON bundles USING gin(LOWER(name) gin_trgm_ops)');
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_bundles_search
+          ON bundles USING gin(to_tsvector('english', name || ' ' || COALESCE(description, '')))
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS idx_users_name_trgm
+          ON users USING gin(LOWER(first_name || ' ' || COALESCE(last_name, '') || ' ' || COALESCE(display_name, '')) gin_trgm_ops)
+      `);
+      logger.info('Migration complete: search_synonyms, search_tsquery() and search_terms created');
+    }
+
     logger.info('Migrations check complete');
   } catch (err) {
     logger.error('Migration error:', err);
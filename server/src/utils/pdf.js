@@ -0,0 +1,123 @@
+// Minimal PDF writer for text documents (receipts, statements) — US Letter pages,
+// the built-in Helvetica fonts, text and rules. Coordinates are in points measured
+// from the top-left corner. Not a layout engine: callers place every line.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (per 1000 em) for the characters that show up in amounts;
+// everything else is estimated at the average glyph width
+const GLYPH_WIDTHS = { ' ': 278, '.': 278, ',': 278, '-': 333, '(': 333, ')': 333, $: 556 };
+const DIGIT_WIDTH = 556;
+const AVERAGE_WIDTH = 520;
+// Helvetica-Bold runs about 8% wider on average
+const BOLD_SCALE = 1.08;
+
+// The standard fonts use WinAnsiEncoding — anything outside Latin-1 is replaced
+const toLatin1 = (value) => String(value ?? '')
+  .replace(/[‘’]/g, '\'')
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/×/g, 'x')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (value) => value.replace(/[\\()]/g, '\\$&');
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+export function textWidth(value, size, { bold = false } = {}) {
+  let units = 0;
+  for (const ch of toLatin1(value)) {
+    units += GLYPH_WIDTHS[ch] ?? (ch >= '0' && ch <= '9' ? DIGIT_WIDTH : AVERAGE_WIDTH);
+  }
+  return (units * size * (bold ? BOLD_SCALE : 1)) / 1000;
+}
+
+// Break text into lines no wider than maxWidth, at spaces
+export function wrapText(value, size, maxWidth, { bold = false } = {}) {
+  const lines = [];
+  let current = '';
+  for (const word of toLatin1(value).split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && textWidth(candidate, size, { bold }) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Start a document with one blank page. Draw with text() and rule(), add pages with
+ * addPage(), then call toBuffer().
+ */
+export function createPdf({ title = 'Document' } = {}) {
+  const pages = [];
+  let ops;
+
+  const doc = {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    text(value, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+      const text = toLatin1(value);
+      const left = align === 'right' ? x - textWidth(text, size, { bold }) : x;
+      ops.push(`${num(gray)} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escapeText(text)}) Tj ET`);
+      return doc;
+    },
+
+    rule(x1, y, x2, { width = 0.5, gray = 0.75 } = {}) {
+      ops.push(`${num(gray)} G ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y)} m ${num(x2)} ${num(PAGE_HEIGHT - y)} l S`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const infoId = add(`<< /Title (${escapeText(toLatin1(title))}) /Producer (Borrowhood) >>`);
+
+      const pageIds = pages.map((pageOps) => {
+        const stream = pageOps.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+      output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+
+  return doc.addPage();
+}
@@ -0,0 +1,23 @@
+import 'dotenv/config';
+import { logger } from './utils/logger.js';
+import { runMigrations } from './utils/migrations.js';
+import { startScheduler } from './services/scheduler.js';
+import { stopJobWorker } from './services/jobQueue.js';
+
+// Background job worker without the HTTP server. Run as many as the queue needs;
+// jobs and schedules are claimed with SKIP LOCKED, so workers never double up.
+runMigrations()
+  .then(() => startScheduler())
+  .catch((err) => {
+    logger.error('Worker start error:', err);
+    process.exit(1);
+  });
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    logger.info(`Worker received ${signal}, stopping`);
+    stopJobWorker();
+    // Give the job in hand a moment to finish; an unfinished one is requeued later
+    setTimeout(() => process.exit(0), 5000);
+  });
+}
@@ -0,0 +1,351 @@
+/**
+ * Admin Console Route Tests
+ * Tests: requireAdmin gate, user lookup, suspension, verification overrides, account resets,
+ * transaction inspection, payout retry guards, community management,
+ * feature flags, and audit log entries for every action
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction, createTestCommunity, addCommunityMember } from './helpers/fixtures.js';
+
+let app;
+let admin, member, lender;
+let communityId, listingId, transactionId;
+const flagKey = 'library';
+const createdUserIds = [];
+
+const auditEntries = async (entityId, action) => {
+  const result = await query(
+    'SELECT * FROM audit_log WHERE entity_id = $1 AND action = $2',
+    [entityId, action]
+  );
+  return result.rows;
+};
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/admin', module: '../../src/routes/admin.js' },
+    { path: '/api/library', module: '../../src/routes/library.js' }
+  );
+
+  admin = await createTestUser({ email: `adm-admin-${Date.now()}@borrowhood.test`, firstName: 'Adminna' });
+  member = await createTestUser({ email: `adm-member-${Date.now()}@borrowhood.test`, firstName: 'Memberly' });
+  lender = await createTestUser({ email: `adm-lender-${Date.now()}@borrowhood.test` });
+  createdUserIds.push(admin.userId, member.userId, lender.userId);
+
+  await query('UPDATE users SET is_admin = true WHERE id = $1', [admin.userId]);
+
+  communityId = await createTestCommunity({ name: `Admin Community ${Date.now()}` });
+  await addCommunityMember(member.userId, communityId);
+
+  listingId = await createTestListing(lender.userId, { title: 'Admin Test Tent' });
+  transactionId = await createTestTransaction(member.userId, lender.userId, listingId, { status: 'picked_up' });
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM audit_log WHERE actor_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM feature_flags WHERE key = $1', [flagKey]);
+    await query('DELETE FROM community_memberships WHERE community_id = $1', [communityId]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('Admin access', () => {
+  it('should reject non-admins', async () => {
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${member.token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject unauthenticated requests', async () => {
+    const res = await request(app).get('/api/admin/stats');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('User management', () => {
+  it('should find users by name', async () => {
+    const res = await request(app)
+      .get('/api/admin/users?q=Memberly')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(u => u.id)).toContain(member.userId);
+  });
+
+  it('should return account detail with communities', async () => {
+    const res = await request(app)
+      .get(`/api/admin/users/${member.userId}`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.counts.borrows).toBe(1);
+    expect(res.body.communities.map(c => c.id)).toContain(communityId);
+  });
+
+  it('should require a reason to suspend', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${member.userId}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should not let admins suspend themselves', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${admin.userId}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Testing' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should suspend an account and audit it', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${member.userId}/suspend`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Repeated no-shows' });
+
+    expect(res.status).toBe(200);
+
+    const user = await query('SELECT status FROM users WHERE id = $1', [member.userId]);
+    expect(user.rows[0].status).toBe('suspended');
+
+    const entries = await auditEntries(member.userId, 'user.suspend');
+    expect(entries).toHaveLength(1);
+    expect(entries[0].actor_id).toBe(admin.userId);
+    expect(entries[0].new_values.reason).toBe('Repeated no-shows');
+  });
+
+  it('should keep the account suspended through a verification override', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${member.userId}/verification`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ isVerified: true, reason: 'Checked ID in person' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.isVerified).toBe(true);
+    expect(res.body.status).toBe('suspended');
+    expect(await auditEntries(member.userId, 'user.verification_override')).toHaveLength(1);
+  });
+
+  it('should restore a suspended account to verified', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${member.userId}/unsuspend`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('verified');
+    expect(await auditEntries(member.userId, 'user.unsuspend')).toHaveLength(1);
+  });
+
+  it('should reset onboarding and record the admin who did it', async () => {
+    const target = await createTestUser({ email: `adm-onboard-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(target.userId);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${target.userId}/reset-onboarding`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Moved cities' });
+
+    expect(res.status).toBe(200);
+    const user = await query('SELECT onboarding_completed, city FROM users WHERE id = $1', [target.userId]);
+    expect(user.rows[0].onboarding_completed).toBe(false);
+    expect(user.rows[0].city).toBeNull();
+
+    const [entry] = await auditEntries(target.userId, 'user.reset_onboarding');
+    expect(entry.actor_id).toBe(admin.userId);
+  });
+
+  it('should fully reset an account and audit it', async () => {
+    const target = await createTestUser({ email: `adm-reset-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(target.userId);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${target.userId}/reset`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Support request' });
+
+    expect(res.status).toBe(200);
+    const user = await query('SELECT subscription_tier, status FROM users WHERE id = $1', [target.userId]);
+    expect(user.rows[0].subscription_tier).toBe('free');
+    expect(user.rows[0].status).toBe('pending');
+
+    const [entry] = await auditEntries(target.userId, 'user.reset');
+    expect(entry.actor_id).toBe(admin.userId);
+  });
+
+  it('should 404 when resetting an unknown account', async () => {
+    const res = await request(app)
+      .post('/api/admin/users/00000000-0000-0000-0000-000000000000/reset')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Support request' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should not let non-admins reset accounts', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${lender.userId}/reset`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ reason: 'Support request' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should require a reason to reset every verification', async () => {
+    const res = await request(app)
+      .post('/api/admin/verifications/reset')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Transactions', () => {
+  it('should list a user\'s transactions', async () => {
+    const res = await request(app)
+      .get(`/api/admin/transactions?userId=${lender.userId}`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(t => t.id)).toEqual([transactionId]);
+  });
+
+  it('should show transaction detail', async () => {
+    const res = await request(app)
+      .get(`/api/admin/transactions/${transactionId}`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.listing.title).toBe('Admin Test Tent');
+    expect(res.body.paymentIntent).toBeNull();
+  });
+
+  it('should refuse to retry a payout before the item is returned', async () => {
+    const res = await request(app)
+      .post(`/api/admin/transactions/${transactionId}/retry-payout`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Communities', () => {
+  it('should deactivate a community and audit it', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/communities/${communityId}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ isActive: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.isActive).toBe(false);
+
+    const entries = await auditEntries(communityId, 'community.update');
+    expect(entries[0].old_values.isActive).toBe(true);
+    expect(entries[0].new_values.isActive).toBe(false);
+  });
+
+  it('should promote a member to organizer', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/communities/${communityId}/members/${member.userId}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'organizer' });
+
+    expect(res.status).toBe(200);
+
+    const membership = await query(
+      'SELECT role FROM community_memberships WHERE community_id = $1 AND user_id = $2',
+      [communityId, member.userId]
+    );
+    expect(membership.rows[0].role).toBe('organizer');
+  });
+});
+
+describe('Feature flags', () => {
+  it('should reject malformed keys', async () => {
+    const res = await request(app)
+      .put('/api/admin/feature-flags/Not A Key')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ enabled: true });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should only toggle features it knows about', async () => {
+    const res = await request(app)
+      .put('/api/admin/feature-flags/made_up_feature')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ enabled: true });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should list every feature, including ones never toggled', async () => {
+    const res = await request(app)
+      .get('/api/admin/feature-flags')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(f => f.key)).toEqual(expect.arrayContaining(['rto', 'bundles', 'library']));
+  });
+
+  it('should create and flip a flag', async () => {
+    const created = await request(app)
+      .put(`/api/admin/feature-flags/${flagKey}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ enabled: true, description: 'Test flag' });
+
+    expect(created.status).toBe(200);
+    expect(created.body.enabled).toBe(true);
+
+    const flipped = await request(app)
+      .put(`/api/admin/feature-flags/${flagKey}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ enabled: false });
+
+    expect(flipped.body.enabled).toBe(false);
+    expect(flipped.body.description).toBe('Test flag');
+
+    const list = await request(app)
+      .get('/api/admin/feature-flags')
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(list.body.find(f => f.key === flagKey).enabled).toBe(false);
+
+    expect(await auditEntries(created.body.id, 'feature_flag.set')).toHaveLength(2);
+  });
+
+  it('should turn off the feature a flag names', async () => {
+    const res = await request(app)
+      .post(`/api/library/${listingId}/checkout`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ returnDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString() });
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('FEATURE_DISABLED');
+  });
+});
+
+describe('GET /api/admin/audit-log', () => {
+  it('should list actions by an admin, newest first', async () => {
+    const res = await request(app)
+      .get(`/api/admin/audit-log?actorId=${admin.userId}`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThanOrEqual(6);
+    expect(res.body[0].action).toBe('feature_flag.set');
+    expect(res.body[0].actor.id).toBe(admin.userId);
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * Auth Route Tests
- * Tests: register, login, forgot/reset password, GET /me, admin endpoints
+ * Tests: register, login, forgot/reset password, GET /me
  */
 
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
@@ -354,53 +354,110 @@ describe('POST /api/auth/reset-password', () => {
   });
 });
 
-describe('Admin endpoints', () => {
-  it('POST /admin/reset-user should reject without secret', async () => {
+describe('Refresh tokens and device sessions', () => {
+  let email;
+  let phone, tablet;
+
+  const signIn = async (deviceName) => {
     const res = await request(app)
-      .post('/api/auth/admin/reset-user')
-      .send({ email: 'anyone@test.com' });
+      .post('/api/auth/login')
+      .set('X-Device-Name', deviceName)
+      .set('X-Platform', 'ios')
+      .send({ email, password: 'SessionPass123!' });
+    return res.body;
+  };
 
-    expect(res.status).toBe(403);
+  beforeAll(async () => {
+    email = `sessions-${Date.now()}@authtest.borrowhood.test`;
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email, password: 'SessionPass123!', firstName: 'Session', lastName: 'Tester' });
+    createdUserIds.push(res.body.user.id);
+
+    phone = await signIn('Test iPhone');
+    tablet = await signIn('Test iPad');
   });
 
-  it('POST /admin/reset-user should work with correct secret', async () => {
-    const user = await createTestUser({ email: `adminreset-${Date.now()}@authtest.borrowhood.test` });
-    createdUserIds.push(user.userId);
+  it('should rotate the refresh token for a new pair', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(phone.refreshToken);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.accessToken}`);
+    expect(me.status).toBe(200);
 
+    phone = { ...phone, previousRefreshToken: phone.refreshToken, ...res.body };
+  });
+
+  it('should list sessions and mark the current one', async () => {
     const res = await request(app)
-      .post('/api/auth/admin/reset-user')
-      .send({ email: user.email, secret: process.env.ADMIN_SECRET });
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${phone.accessToken}`);
 
     expect(res.status).toBe(200);
-    expect(res.body.success).toBe(true);
+    const names = res.body.map(s => s.deviceName);
+    expect(names).toContain('Test iPhone');
+    expect(names).toContain('Test iPad');
+    expect(res.body.find(s => s.isCurrent).deviceName).toBe('Test iPhone');
+  });
 
-    // Verify user was reset
-    const dbUser = await query('SELECT subscription_tier, status FROM users WHERE id = $1', [user.userId]);
-    expect(dbUser.rows[0].subscription_tier).toBe('free');
-    expect(dbUser.rows[0].status).toBe('pending');
+  it('should revoke another device and reject its tokens', async () => {
+    const sessions = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${phone.accessToken}`);
+    const tabletSession = sessions.body.find(s => s.deviceName === 'Test iPad');
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${tabletSession.id}`)
+      .set('Authorization', `Bearer ${phone.accessToken}`);
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${tablet.accessToken}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: tablet.refreshToken });
+    expect(refresh.status).toBe(401);
   });
 
-  it('POST /admin/reset-user should return 404 for non-existent email', async () => {
+  it('should reject a malformed session id', async () => {
     const res = await request(app)
-      .post('/api/auth/admin/reset-user')
-      .send({ email: 'no-such-user@test.com', secret: process.env.ADMIN_SECRET });
+      .delete('/api/auth/sessions/not-a-session')
+      .set('Authorization', `Bearer ${phone.accessToken}`);
 
-    expect(res.status).toBe(404);
+    expect(res.status).toBe(400);
   });
 
-  it('POST /admin/reset-onboarding should reject without secret', async () => {
+  it('should revoke the whole session when a rotated token is reused', async () => {
     const res = await request(app)
-      .post('/api/auth/admin/reset-onboarding')
-      .send({ email: 'anyone@test.com' });
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.previousRefreshToken });
 
-    expect(res.status).toBe(403);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('REFRESH_REUSED');
+
+    // The legitimate holder's latest token is dead too
+    const latest = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.refreshToken });
+    expect(latest.status).toBe(401);
   });
 
-  it('POST /admin/reset-verifications should reject without secret', async () => {
+  it('should reject an access token used as a refresh token', async () => {
+    const fresh = await signIn('Test Laptop');
     const res = await request(app)
-      .post('/api/auth/admin/reset-verifications')
-      .send({});
+      .post('/api/auth/refresh')
+      .send({ refreshToken: fresh.accessToken });
 
-    expect(res.status).toBe(403);
+    expect(res.status).toBe(401);
   });
 });
@@ -0,0 +1,194 @@
+/**
+ * User Blocking Tests
+ * Tests: block/unblock, friendship removal, hidden from feed/browse/search,
+ * messages and borrow requests rejected in both directions
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createFriendship } from './helpers/fixtures.js';
+
+let app;
+let blocker, blocked;
+let blockedListingId, blockerListingId;
+const createdUserIds = [];
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/users', module: '../../src/routes/users.js' },
+    { path: '/api/feed', module: '../../src/routes/feed.js' },
+    { path: '/api/listings', module: '../../src/routes/listings.js' },
+    { path: '/api/messages', module: '../../src/routes/messages.js' },
+    { path: '/api/transactions', module: '../../src/routes/transactions.js' },
+  );
+
+  blocker = await createTestUser({
+    email: `block-a-${Date.now()}@borrowhood.test`,
+    firstName: 'Blocka',
+    city: 'BlockCity',
+    state: 'BC',
+  });
+  blocked = await createTestUser({
+    email: `block-b-${Date.now()}@borrowhood.test`,
+    firstName: 'Blockb',
+    city: 'BlockCity',
+    state: 'BC',
+  });
+  createdUserIds.push(blocker.userId, blocked.userId);
+
+  await createFriendship(blocker.userId, blocked.userId);
+
+  blockedListingId = await createTestListing(blocked.userId, {
+    title: 'Blocked Owner Ladder', isFree: true, visibility: 'neighborhood',
+  });
+  blockerListingId = await createTestListing(blocker.userId, {
+    title: 'Blocker Owner Rake', isFree: true, visibility: 'neighborhood',
+  });
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM user_blocks WHERE blocker_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM friendships WHERE user_id = ANY($1)', [createdUserIds]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('Before blocking', () => {
+  it('should show the neighbor\'s listing in the feed', async () => {
+    const res = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.items.map(i => i.id)).toContain(blockedListingId);
+  });
+});
+
+describe('POST /api/users/:id/block', () => {
+  it('should not let users block themselves', async () => {
+    const res = await request(app)
+      .post(`/api/users/${blocker.userId}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should block and remove the friendship', async () => {
+    const res = await request(app)
+      .post(`/api/users/${blocked.userId}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(res.status).toBe(201);
+
+    const friendships = await query(
+      `SELECT 1 FROM friendships
+       WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)`,
+      [blocker.userId, blocked.userId]
+    );
+    expect(friendships.rows).toHaveLength(0);
+  });
+
+  it('should be idempotent', async () => {
+    const res = await request(app)
+      .post(`/api/users/${blocked.userId}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(res.status).toBe(201);
+  });
+
+  it('should list the blocked user and flag their profile', async () => {
+    const list = await request(app)
+      .get('/api/users/me/blocked')
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.map(u => u.id)).toEqual([blocked.userId]);
+
+    const profile = await request(app)
+      .get(`/api/users/${blocked.userId}`)
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(profile.body.isBlocked).toBe(true);
+  });
+});
+
+describe('While blocked', () => {
+  it('should hide listings from the feed in both directions', async () => {
+    const mine = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${blocker.token}`);
+    expect(mine.body.items.map(i => i.id)).not.toContain(blockedListingId);
+
+    const theirs = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${blocked.token}`);
+    expect(theirs.body.items.map(i => i.id)).not.toContain(blockerListingId);
+  });
+
+  it('should hide listings from browse', async () => {
+    const res = await request(app)
+      .get('/api/listings')
+      .set('Authorization', `Bearer ${blocked.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(l => l.id)).not.toContain(blockerListingId);
+  });
+
+  it('should hide each user from people search', async () => {
+    const res = await request(app)
+      .get('/api/users/search?q=Blocka')
+      .set('Authorization', `Bearer ${blocked.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(u => u.id)).not.toContain(blocker.userId);
+  });
+
+  it('should reject messages from the blocked side', async () => {
+    const res = await request(app)
+      .post('/api/messages')
+      .set('Authorization', `Bearer ${blocked.token}`)
+      .send({ recipientId: blocker.userId, content: 'Why did you block me?' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('BLOCKED');
+  });
+
+  it('should reject borrow requests from the blocker too', async () => {
+    const res = await request(app)
+      .post('/api/transactions')
+      .set('Authorization', `Bearer ${blocker.token}`)
+      .send({ listingId: blockedListingId });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('BLOCKED');
+  });
+
+  it('should reject friend requests', async () => {
+    const res = await request(app)
+      .post('/api/users/me/friends')
+      .set('Authorization', `Bearer ${blocked.token}`)
+      .send({ friendId: blocker.userId });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/users/:id/block', () => {
+  it('should unblock and restore visibility', async () => {
+    const res = await request(app)
+      .delete(`/api/users/${blocked.userId}/block`)
+      .set('Authorization', `Bearer ${blocker.token}`);
+
+    expect(res.status).toBe(200);
+
+    const search = await request(app)
+      .get('/api/users/search?q=Blocka')
+      .set('Authorization', `Bearer ${blocked.token}`);
+    expect(search.body.map(u => u.id)).toContain(blocker.userId);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Bundle Borrowing Tests
+ * Tests: borrow request, blocked users, item locking, per-item condition, bundle times_borrowed
+ * Uses a free bundle so the lifecycle runs without Stripe
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { handoffPhotos } from './helpers/fixtures.js';
+
+let app;
+let lender, borrower;
+let tentId, stoveId, bundleId, transactionId;
+const createdUserIds = [];
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString();
+}
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/bundles', module: '../../src/routes/bundles.js' },
+    { path: '/api/rentals', module: '../../src/routes/rentals.js' }
+  );
+
+  lender = await createTestUser({ email: `bundle-lender-${Date.now()}@borrowhood.test` });
+  borrower = await createTestUser({ email: `bundle-borrower-${Date.now()}@borrowhood.test` });
+  createdUserIds.push(lender.userId, borrower.userId);
+
+  tentId = await createTestListing(lender.userId, { title: 'Tent', visibility: 'neighborhood', isFree: true, pricePerDay: 0, depositAmount: 0, maxDuration: 7 });
+  stoveId = await createTestListing(lender.userId, { title: 'Camp Stove', visibility: 'neighborhood', isFree: true, pricePerDay: 0, depositAmount: 0 });
+
+  const bundle = await query(
+    `INSERT INTO bundles (owner_id, name, is_free, deposit_amount)
+     VALUES ($1, 'Camping Kit', true, 0) RETURNING id`,
+    [lender.userId]
+  );
+  bundleId = bundle.rows[0].id;
+  await query(
+    'INSERT INTO bundle_items (bundle_id, listing_id, sort_order) VALUES ($1, $2, 0), ($1, $3, 1)',
+    [bundleId, tentId, stoveId]
+  );
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM bundles WHERE id = $1', [bundleId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('POST /api/bundles/:id/borrow', () => {
+  it('should reject borrowing your own bundle', async () => {
+    const res = await request(app)
+      .post(`/api/bundles/${bundleId}/borrow`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ startDate: daysFromNow(1), endDate: daysFromNow(3) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject borrowing from someone who blocked you', async () => {
+    await query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)', [lender.userId, borrower.userId]);
+    try {
+      const res = await request(app)
+        .post(`/api/bundles/${bundleId}/borrow`)
+        .set('Authorization', `Bearer ${borrower.token}`)
+        .send({ startDate: daysFromNow(1), endDate: daysFromNow(3) });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('BLOCKED');
+    } finally {
+      await query('DELETE FROM user_blocks WHERE blocker_id = $1', [lender.userId]);
+    }
+  });
+
+  it('should enforce the tightest duration across items', async () => {
+    const res = await request(app)
+      .post(`/api/bundles/${bundleId}/borrow`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ startDate: daysFromNow(1), endDate: daysFromNow(11) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/between 1 and 7 days/);
+  });
+
+  it('should create one transaction covering every item', async () => {
+    const res = await request(app)
+      .post(`/api/bundles/${bundleId}/borrow`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ startDate: daysFromNow(1), endDate: daysFromNow(3) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.freeRental).toBe(true);
+    transactionId = res.body.id;
+
+    const txn = await query('SELECT bundle_id, listing_id, rental_days FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].bundle_id).toBe(bundleId);
+    expect(txn.rows[0].listing_id).toBe(tentId);
+
+    const items = await query('SELECT listing_id FROM bundle_transaction_items WHERE transaction_id = $1', [transactionId]);
+    expect(items.rows.map(i => i.listing_id).sort()).toEqual([tentId, stoveId].sort());
+  });
+});
+
+describe('Bundle borrow lifecycle', () => {
+  it('should hold the dates but keep every item listed when the lender approves', async () => {
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/approve`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+
+    const listings = await query('SELECT is_available FROM listings WHERE id = ANY($1)', [[tentId, stoveId]]);
+    expect(listings.rows.every(l => l.is_available === true)).toBe(true);
+  });
+
+  it('should reject a second borrow for overlapping dates', async () => {
+    const other = await createTestUser({ email: `bundle-other-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(other.userId);
+
+    const res = await request(app)
+      .post(`/api/bundles/${bundleId}/borrow`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ startDate: daysFromNow(2), endDate: daysFromNow(4) });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DATES_UNAVAILABLE');
+  });
+
+  it('should record condition per item at pickup', async () => {
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ itemConditions: [{ listingId: tentId, condition: 'like_new' }], unverified: true, photos: handoffPhotos() });
+
+    expect(res.status).toBe(200);
+
+    const items = await query(
+      'SELECT listing_id, condition_at_pickup FROM bundle_transaction_items WHERE transaction_id = $1',
+      [transactionId]
+    );
+    const byListing = Object.fromEntries(items.rows.map(i => [i.listing_id, i.condition_at_pickup]));
+    expect(byListing[tentId]).toBe('like_new');
+    expect(byListing[stoveId]).toBe('good'); // falls back to the listing's own condition
+
+    const listings = await query('SELECT is_available FROM listings WHERE id = ANY($1)', [[tentId, stoveId]]);
+    expect(listings.rows.every(l => l.is_available === false)).toBe(true);
+  });
+
+  it('should flag a single degraded item on return', async () => {
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/return`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', itemConditions: [{ listingId: tentId, condition: 'fair' }], unverified: true, photos: handoffPhotos() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.conditionDegraded).toBe(true);
+    expect(res.body.degradedItems).toHaveLength(1);
+    expect(res.body.degradedItems[0].listingId).toBe(tentId);
+  });
+
+  it('should release every item and count the borrow on the bundle after a clean return', async () => {
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/return`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', itemConditions: [{ listingId: tentId, condition: 'like_new' }], unverified: true, photos: handoffPhotos() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.conditionDegraded).toBe(false);
+
+    const listings = await query('SELECT is_available FROM listings WHERE id = ANY($1)', [[tentId, stoveId]]);
+    expect(listings.rows.every(l => l.is_available === true)).toBe(true);
+
+    const bundle = await query('SELECT times_borrowed FROM bundles WHERE id = $1', [bundleId]);
+    expect(bundle.rows[0].times_borrowed).toBe(1);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Earnings Export Tests
+ * Tests: month-by-month lender earnings built from payment ledger transfers, pre-ledger
+ * payouts, refunds on cancelled bookings, reconciliation against Stripe transfers, 1099-K threshold
+ * warnings, and the CSV/PDF/email renditions
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { stripe } from '../src/services/stripe.js';
+import { sendEarningsExportEmail } from '../src/services/email.js';
+import { buildEarningsExport } from '../src/services/earningsExport.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+vi.mock('../src/services/stripe.js', () => ({
+  stripe: {
+    transfers: { list: vi.fn() },
+  },
+}));
+
+vi.mock('../src/services/email.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  sendEarningsExportEmail: vi.fn(),
+}));
+
+let app;
+let lender, borrower;
+const run = Date.now();
+const year = new Date().getFullYear();
+const connectId = `acct_export_${run}`;
+const createdUserIds = [];
+const transactionIds = [];
+
+const at = (month, day) => new Date(Date.UTC(year, month - 1, day, 12));
+
+const insertOperation = (kind, purpose, transactionId, amountCents, succeededAt) => query(
+  `INSERT INTO payment_operations
+     (kind, purpose, idempotency_key, status, transaction_id, destination_account_id, amount_cents, succeeded_at)
+   VALUES ($1, $2, $3, 'succeeded', $4, $5, $6, $7)`,
+  [kind, purpose, `${purpose}:${transactionId}:${run}`, transactionId,
+    kind === 'transfer' ? connectId : null, amountCents, succeededAt]
+);
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/earnings', module: '../../src/routes/earnings.js' });
+
+  lender = await createTestUser({ email: `export-lender-${run}@borrowhood.test` });
+  borrower = await createTestUser({ email: `export-borrower-${run}@borrowhood.test` });
+  createdUserIds.push(lender.userId, borrower.userId);
+  await query('UPDATE users SET stripe_connect_account_id = $1 WHERE id = $2', [connectId, lender.userId]);
+
+  const listingId = await createTestListing(lender.userId, { title: 'Export Test Trailer' });
+
+  // A $17,000 season-long rental paid out in March with a late fee and a damage claim in April
+  const rentalId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'completed', rentalFee: 17000, platformFee: 510, lenderPayout: 16490, depositAmount: 100,
+  });
+  // A $60 booking refunded in May before it was ever paid out
+  const refundedId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'cancelled', rentalFee: 60, platformFee: 1.8, lenderPayout: 58.2, depositAmount: 0,
+  });
+  transactionIds.push(rentalId, refundedId);
+
+  await insertOperation('transfer', 'rental_payout', rentalId, 1649000, at(3, 10));
+  await insertOperation('transfer', 'late_fee', rentalId, 500, at(4, 2));
+  await insertOperation('transfer', 'dispute_payout', rentalId, 2000, at(4, 20));
+  await insertOperation('refund', 'rental_refund', refundedId, 6000, at(5, 5));
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM payment_operations WHERE transaction_id = ANY($1)', [transactionIds]);
+    await query('UPDATE users SET stripe_connect_account_id = NULL WHERE id = $1', [lender.userId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  stripe.transfers.list.mockResolvedValue({
+    data: [{ id: 'tr_1', amount: 1649000 }, { id: 'tr_2', amount: 500 }, { id: 'tr_3', amount: 2000 }],
+    has_more: false,
+  });
+});
+
+describe('buildEarningsExport', () => {
+  it('should break payouts down by the month they were paid', async () => {
+    const summary = await buildEarningsExport(lender.userId, year);
+
+    expect(summary.months).toHaveLength(12);
+    expect(summary.months[2]).toMatchObject({
+      month: `${year}-03`,
+      grossRentalIncome: 17000,
+      platformFees: 510,
+      netPayouts: 16490,
+      payments: 1,
+    });
+    expect(summary.months[3]).toMatchObject({ lateFeeIncome: 5, damageIncome: 20, netPayouts: 25 });
+    expect(summary.months[4]).toMatchObject({ refunds: 60, netPayouts: 0 });
+    expect(summary.totals.netPayouts).toBe(16515);
+  });
+
+  it('should match the ledger against Stripe transfers', async () => {
+    const summary = await buildEarningsExport(lender.userId, year);
+
+    expect(stripe.transfers.list).toHaveBeenCalledWith(expect.objectContaining({ destination: connectId }));
+    expect(summary.reconciliation).toMatchObject({ checked: true, matched: true, stripeTransfers: 16515 });
+  });
+
+  it('should flag totals that differ from Stripe', async () => {
+    stripe.transfers.list.mockResolvedValue({ data: [{ id: 'tr_1', amount: 1649000 }], has_more: false });
+
+    const summary = await buildEarningsExport(lender.userId, year);
+
+    expect(summary.reconciliation.matched).toBe(false);
+    expect(summary.reconciliation.stripeTransfers).toBe(16490);
+  });
+
+  it('should still export when Stripe is unreachable', async () => {
+    stripe.transfers.list.mockRejectedValue(new Error('Network error'));
+
+    const summary = await buildEarningsExport(lender.userId, year);
+
+    expect(summary.reconciliation).toMatchObject({ checked: false, matched: null });
+    expect(summary.totals.netPayouts).toBe(16515);
+  });
+
+  it('should warn when gross payments approach the 1099-K threshold', async () => {
+    const summary = await buildEarningsExport(lender.userId, year);
+
+    expect(summary.reporting.grossPayments).toBe(17025);
+    expect(summary.reporting.approaching).toBe(true);
+    expect(summary.reporting.exceeded).toBe(false);
+    expect(summary.reporting.warning).toMatch(/1099-K/);
+  });
+
+  it('should fall back to payouts recorded before the ledger existed', async () => {
+    const legacyLender = await createTestUser({ email: `export-legacy-${run}@borrowhood.test` });
+    createdUserIds.push(legacyLender.userId);
+    const listingId = await createTestListing(legacyLender.userId, { title: 'Export Legacy Ladder' });
+
+    // Paid out in June with only the transfer id on the transaction
+    const legacyId = await createTestTransaction(borrower.userId, legacyLender.userId, listingId, {
+      status: 'completed', rentalFee: 100, platformFee: 3, lenderPayout: 97,
+    });
+    // Paid out in July through the ledger — must not be counted twice
+    const ledgerId = await createTestTransaction(borrower.userId, legacyLender.userId, listingId, {
+      status: 'completed', rentalFee: 50, platformFee: 1.5, lenderPayout: 48.5,
+    });
+    transactionIds.push(legacyId, ledgerId);
+    await query(
+      `UPDATE borrow_transactions SET stripe_transfer_id = 'tr_legacy_' || id, actual_return_at = $2
+       WHERE id = ANY($1)`,
+      [[legacyId, ledgerId], at(6, 15)]
+    );
+    await insertOperation('transfer', 'rental_payout', ledgerId, 4850, at(7, 1));
+
+    const summary = await buildEarningsExport(legacyLender.userId, year);
+
+    expect(summary.months[5]).toMatchObject({ grossRentalIncome: 100, platformFees: 3, netPayouts: 97, payments: 1 });
+    expect(summary.months[6]).toMatchObject({ grossRentalIncome: 50, netPayouts: 48.5, payments: 1 });
+    expect(summary.totals.payments).toBe(2);
+  });
+
+  it('should be empty for a lender with no payouts that year', async () => {
+    const summary = await buildEarningsExport(borrower.userId, year);
+
+    expect(summary.totals.netPayouts).toBe(0);
+    expect(summary.reporting.warning).toBeNull();
+  });
+});
+
+describe('GET /api/earnings/export', () => {
+  it('should download a CSV with a row per month and a total', async () => {
+    const res = await request(app)
+      .get(`/api/earnings/export?year=${year}&format=csv`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    const rows = res.text.trim().split('\r\n');
+    expect(rows).toHaveLength(14);
+    expect(rows[0]).toContain('Gross rental income');
+    expect(rows[3]).toBe(`${year}-03,17000.00,510.00,0.00,0.00,0.00,16490.00,1`);
+    expect(rows[13]).toMatch(/^Total,17000\.00,510\.00,5\.00,20\.00,60\.00,16515\.00,1$/);
+  });
+
+  it('should render a PDF', async () => {
+    const res = await request(app)
+      .get(`/api/earnings/export?year=${year}&format=pdf`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/pdf');
+    expect(res.body.subarray(0, 8).toString()).toBe('%PDF-1.4');
+  });
+
+  it('should reject an unknown format or a future year', async () => {
+    const badFormat = await request(app)
+      .get(`/api/earnings/export?year=${year}&format=xlsx`)
+      .set('Authorization', `Bearer ${lender.token}`);
+    const futureYear = await request(app)
+      .get(`/api/earnings/export?year=${year + 1}`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(badFormat.status).toBe(400);
+    expect(futureYear.status).toBe(400);
+  });
+});
+
+describe('POST /api/earnings/export/email', () => {
+  it('should email the CSV and PDF to the lender', async () => {
+    const res = await request(app)
+      .post('/api/earnings/export/email')
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ year });
+
+    expect(res.status).toBe(200);
+    expect(sendEarningsExportEmail).toHaveBeenCalledTimes(1);
+    const [to, { summary, csv, pdf }] = sendEarningsExportEmail.mock.calls[0];
+    expect(to).toBe(lender.email);
+    expect(summary.year).toBe(year);
+    expect(csv).toContain('Net payouts');
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Email Notification Tests
+ * Tests: lifecycle notifications emailed through a local SMTP stand-in, per-type
+ * email preferences, daily digests for low-priority types, signed unsubscribe links,
+ * and the preferences endpoints
+ */
+
+import net from 'net';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { sendNotification, sendEmailDigests } from '../src/services/notifications.js';
+import { drainJobs } from '../src/services/jobQueue.js';
+import { unsubscribeUrl } from '../src/services/email.js';
+import { createTestUser, createTestApp, cleanupTestUser } from './helpers/stripe.js';
+
+// Emails must go to the SMTP stand-in below, never to Resend
+vi.hoisted(() => {
+  delete process.env.RESEND_API_KEY;
+});
+
+let app;
+let smtpServer;
+let user;
+const inbox = [];
+const run = Date.now();
+const createdUserIds = [];
+
+// Just enough SMTP to accept a message and keep its raw source
+function startSmtpServer() {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.setEncoding('utf8');
+      socket.write('220 localhost test SMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          inbox.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK queued\r\n');
+        }
+        let lineEnd;
+        while (!inData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, lineEnd);
+          buffer = buffer.slice(lineEnd + 2);
+          if (/^EHLO/i.test(line)) socket.write('250-localhost\r\n250 SMTPUTF8\r\n');
+          else if (/^DATA/i.test(line)) { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+          else if (/^QUIT/i.test(line)) { socket.write('221 Bye\r\n'); socket.end(); }
+          else socket.write('250 OK\r\n');
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Emails go out from the job queue; run the queued sends before checking the inbox
+const notify = async (...args) => {
+  await sendNotification(...args);
+  await drainJobs({ types: ['notification.email'] });
+};
+
+const header = (message, name) => message.match(new RegExp(`^${name}: (.*)$`, 'mi'))?.[1];
+
+const setPreferences = (prefs) => query(
+  'UPDATE users SET notification_preferences = $1 WHERE id = $2',
+  [JSON.stringify(prefs), user.userId]
+);
+
+beforeAll(async () => {
+  // Send anything earlier test files queued before the stand-in starts collecting
+  await drainJobs({ types: ['notification.email'] });
+  smtpServer = await startSmtpServer();
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtpServer.address().port);
+
+  app = await createTestApp({ path: '/api/notifications', module: '../../src/routes/notifications.js' });
+
+  user = await createTestUser({ email: `email-notify-${run}@borrowhood.test` });
+  createdUserIds.push(user.userId);
+});
+
+afterAll(async () => {
+  delete process.env.SMTP_HOST;
+  delete process.env.SMTP_PORT;
+  await new Promise(resolve => smtpServer.close(resolve));
+  try {
+    await query('DELETE FROM email_digest_items WHERE user_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [createdUserIds]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+beforeEach(async () => {
+  inbox.length = 0;
+  await setPreferences({ email: true, push: true });
+});
+
+describe('Notification emails', () => {
+  it('should email a lifecycle notification with an unsubscribe link', async () => {
+    await notify(user.userId, 'request_approved', { itemTitle: 'Tent' });
+
+    expect(inbox).toHaveLength(1);
+    expect(header(inbox[0], 'To')).toBe(`email-notify-${run}@borrowhood.test`);
+    expect(header(inbox[0], 'Subject')).toBe('You\'re all set!');
+    expect(header(inbox[0], 'List-Unsubscribe')).toContain('scope=request_approved');
+    expect(header(inbox[0], 'List-Unsubscribe-Post')).toBe('List-Unsubscribe=One-Click');
+  });
+
+  it('should not email notification types outside the email channel', async () => {
+    await notify(user.userId, 'new_message', { senderName: 'Sam' });
+    expect(inbox).toHaveLength(0);
+  });
+
+  it('should respect a per-type email opt-out', async () => {
+    await setPreferences({ email: true, emailTypes: { request_approved: false } });
+
+    await notify(user.userId, 'request_approved', { itemTitle: 'Tent' });
+    await notify(user.userId, 'borrow_request', { itemTitle: 'Tent', borrowerName: 'Sam' });
+
+    expect(inbox).toHaveLength(1);
+    expect(header(inbox[0], 'Subject')).toBe('New Borrow Request');
+  });
+
+  it('should not email anything when email is turned off', async () => {
+    await setPreferences({ email: false });
+    await notify(user.userId, 'borrow_request', { itemTitle: 'Tent' });
+    expect(inbox).toHaveLength(0);
+  });
+});
+
+describe('Email digests', () => {
+  it('should hold low-priority emails for the daily digest', async () => {
+    await setPreferences({ email: true, emailDigest: 'daily' });
+
+    await notify(user.userId, 'payout_sent', { amount: '12.50', itemTitle: 'Tent' });
+    await notify(user.userId, 'borrow_request', { itemTitle: 'Tent' });
+
+    // The booking request can't wait; the payout joins the digest
+    expect(inbox).toHaveLength(1);
+    expect(header(inbox[0], 'Subject')).toBe('New Borrow Request');
+
+    inbox.length = 0;
+    await sendEmailDigests('daily');
+
+    expect(inbox).toHaveLength(1);
+    expect(header(inbox[0], 'Subject')).toBe('Your Borrowhood daily summary');
+    const pending = await query(
+      'SELECT 1 FROM email_digest_items WHERE user_id = $1 AND sent_at IS NULL',
+      [user.userId]
+    );
+    expect(pending.rows).toHaveLength(0);
+  });
+
+  it('should leave weekly digests for the weekly run', async () => {
+    await setPreferences({ email: true, emailDigest: 'weekly' });
+    await notify(user.userId, 'payment_confirmed', { itemTitle: 'Tent' });
+
+    await sendEmailDigests('daily');
+    expect(inbox).toHaveLength(0);
+
+    await sendEmailDigests('weekly');
+    expect(inbox).toHaveLength(1);
+    expect(header(inbox[0], 'Subject')).toBe('Your Borrowhood weekly summary');
+  });
+});
+
+describe('Unsubscribe links', () => {
+  const path = (url) => url.slice(url.indexOf('/api/'));
+
+  it('should confirm before changing anything on GET', async () => {
+    const res = await request(app).get(path(unsubscribeUrl(user.userId, 'borrow_request')));
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<form method="POST"');
+    const prefs = await query('SELECT notification_preferences FROM users WHERE id = $1', [user.userId]);
+    expect(prefs.rows[0].notification_preferences.emailTypes).toBeUndefined();
+  });
+
+  it('should turn off one type on POST', async () => {
+    const res = await request(app).post(path(unsubscribeUrl(user.userId, 'borrow_request')));
+
+    expect(res.status).toBe(200);
+    const prefs = await query('SELECT notification_preferences FROM users WHERE id = $1', [user.userId]);
+    expect(prefs.rows[0].notification_preferences.emailTypes.borrow_request).toBe(false);
+    expect(prefs.rows[0].notification_preferences.email).toBe(true);
+  });
+
+  it('should turn off all email for the all scope', async () => {
+    await request(app).post(path(unsubscribeUrl(user.userId, 'all')));
+
+    const prefs = await query('SELECT notification_preferences FROM users WHERE id = $1', [user.userId]);
+    expect(prefs.rows[0].notification_preferences.email).toBe(false);
+  });
+
+  it('should reject a link signed for another scope', async () => {
+    const url = path(unsubscribeUrl(user.userId, 'borrow_request')).replace('scope=borrow_request', 'scope=all');
+    const res = await request(app).post(url);
+
+    expect(res.status).toBe(400);
+    const prefs = await query('SELECT notification_preferences FROM users WHERE id = $1', [user.userId]);
+    expect(prefs.rows[0].notification_preferences.email).toBe(true);
+  });
+});
+
+describe('GET/PATCH /api/notifications/preferences', () => {
+  it('should list every emailable type with the digest setting', async () => {
+    const res = await request(app)
+      .get('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${user.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe(true);
+    expect(res.body.emailTypes.borrow_request).toBe(true);
+    expect(res.body.emailDigest).toBe('off');
+    expect(res.body.digestTypes).toContain('payout_sent');
+  });
+
+  it('should merge per-type email settings and set the digest', async () => {
+    const res = await request(app)
+      .patch('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ emailTypes: { dispute_resolved: false }, emailDigest: 'weekly' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.emailTypes.dispute_resolved).toBe(false);
+    expect(res.body.preferences.emailTypes.borrow_request).toBe(true);
+    expect(res.body.preferences.emailDigest).toBe('weekly');
+  });
+
+  it('should reject types that are never emailed', async () => {
+    const res = await request(app)
+      .patch('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ emailTypes: { new_message: false } });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject an unknown digest frequency', async () => {
+    const res = await request(app)
+      .patch('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ emailDigest: 'hourly' });
+
+    expect(res.status).toBe(400);
+  });
+});
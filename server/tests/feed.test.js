@@ -1,11 +1,12 @@
 /**
  * Feed Route Tests
- * Tests: combined feed, type filtering, search, visibility
+ * Tests: combined feed, type filtering, search, visibility, ranking, cursor paging
  */
 
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import request from 'supertest';
 import { query } from '../src/utils/db.js';
+import { encodeFeedCursor } from '../src/services/feedRanking.js';
 import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
 import { createTestCommunity, addCommunityMember, createFriendship } from './helpers/fixtures.js';
 
@@ -164,3 +165,93 @@ describe('GET /api/feed', () => {
     expect(drill).toBeDefined();
   });
 });
+
+describe('Feed ranking and paging', () => {
+  const pageThrough = async (user) => {
+    const seen = [];
+    let cursor = null;
+    for (let i = 0; i < 20; i++) {
+      const res = await request(app)
+        .get(`/api/feed?limit=1${cursor ? `&cursor=${cursor}` : ''}`)
+        .set('Authorization', `Bearer ${user.token}`);
+      expect(res.status).toBe(200);
+      seen.push(...res.body.items.map(item => item.id));
+      if (!res.body.hasMore) {
+        expect(res.body.nextCursor).toBeNull();
+        break;
+      }
+      cursor = res.body.nextCursor;
+    }
+    return seen;
+  };
+
+  it('should return the same order on every load', async () => {
+    const first = await request(app).get('/api/feed').set('Authorization', `Bearer ${freeUser.token}`);
+    const second = await request(app).get('/api/feed').set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(second.body.items.map(i => i.id)).toEqual(first.body.items.map(i => i.id));
+  });
+
+  it('should page through with a cursor without repeating or skipping items', async () => {
+    const all = await request(app).get('/api/feed?limit=50').set('Authorization', `Bearer ${freeUser.token}`);
+    const paged = await pageThrough(freeUser);
+
+    expect(new Set(paged).size).toBe(paged.length);
+    expect(paged).toEqual(all.body.items.map(i => i.id));
+  });
+
+  it('should keep later pages stable when something new is posted', async () => {
+    const first = await request(app).get('/api/feed?limit=1').set('Authorization', `Bearer ${freeUser.token}`);
+    const late = await createTestListing(verifiedPlusUser.userId, {
+      title: 'Feed Late Arrival', isFree: true, visibility: 'close_friends',
+    });
+    createdListingIds.push(late);
+
+    const next = await request(app)
+      .get(`/api/feed?limit=50&cursor=${first.body.nextCursor}`)
+      .set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(next.status).toBe(200);
+    expect(next.body.items.find(i => i.id === late)).toBeUndefined();
+    expect(next.body.items.find(i => i.id === first.body.items[0].id)).toBeUndefined();
+  });
+
+  it('should rank a friend\'s listing with affinity', async () => {
+    const res = await request(app)
+      .get('/api/feed?explain=true&type=listings')
+      .set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(res.status).toBe(200);
+    const camera = res.body.items.find(i => i.title === 'Feed Friend Camera');
+    expect(camera.ranking.components.affinity).toBeGreaterThan(0);
+    expect(camera.ranking.score).toBeCloseTo(
+      Object.values(camera.ranking.components).reduce((sum, n) => sum + n, 0), 2
+    );
+    expect(res.body.weights).toBeDefined();
+  });
+
+  it('should leave out score details without explain', async () => {
+    const res = await request(app).get('/api/feed').set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(res.body.items.every(i => i.ranking === undefined)).toBe(true);
+  });
+
+  it('should reject a cursor it didn\'t issue', async () => {
+    const res = await request(app)
+      .get('/api/feed?cursor=not-a-cursor')
+      .set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+
+  it('should reject a cursor whose id isn\'t a UUID', async () => {
+    const cursor = encodeFeedCursor({ score: '100', id: 'not-a-uuid', asOf: new Date().toISOString() });
+    const res = await request(app)
+      .get(`/api/feed?cursor=${cursor}`)
+      .set('Authorization', `Bearer ${freeUser.token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+});
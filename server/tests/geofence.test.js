@@ -0,0 +1,219 @@
+/**
+ * Geofence Tests
+ * Tests: GeoJSON boundary parsing, boundary import/export, join eligibility by
+ * polygon, neighborhood visibility scoped to the boundary
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { parseBoundary } from '../src/services/geofence.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestCommunity, addCommunityMember } from './helpers/fixtures.js';
+
+let app;
+let organizer, insider, outsider, unlocated;
+let communityId;
+let listingId;
+const createdUserIds = [];
+
+// Roughly a 0.7 x 0.7 mile square
+const square = [[-122.01, 37.0], [-122.0, 37.0], [-122.0, 37.01], [-122.01, 37.01], [-122.01, 37.0]];
+const boundary = { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [square] } };
+
+const setLocation = (userId, lat, lng) => query(
+  `UPDATE users SET latitude = $2, longitude = $3,
+          location = ST_SetSRID(ST_MakePoint($3, $2), 4326)::geography
+   WHERE id = $1`,
+  [userId, lat, lng]
+);
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/communities', module: '../../src/routes/communities.js' },
+    { path: '/api/feed', module: '../../src/routes/feed.js' }
+  );
+
+  const city = { city: 'FenceCity', state: 'FC' };
+  organizer = await createTestUser({ email: `fence-org-${Date.now()}@borrowhood.test`, ...city });
+  insider = await createTestUser({ email: `fence-in-${Date.now()}@borrowhood.test`, ...city });
+  outsider = await createTestUser({ email: `fence-out-${Date.now()}@borrowhood.test`, ...city });
+  unlocated = await createTestUser({ email: `fence-none-${Date.now()}@borrowhood.test`, ...city });
+  createdUserIds.push(organizer.userId, insider.userId, outsider.userId, unlocated.userId);
+
+  await setLocation(organizer.userId, 37.005, -122.005);
+  await setLocation(insider.userId, 37.002, -122.008);
+  await setLocation(outsider.userId, 37.05, -122.05);
+
+  communityId = await createTestCommunity({ name: 'Fenced Neighborhood', ...city });
+  await addCommunityMember(organizer.userId, communityId, 'organizer');
+
+  listingId = await createTestListing(organizer.userId, {
+    title: 'Fenced Hedge Trimmer',
+    isFree: true,
+    visibility: 'neighborhood',
+  });
+  await query('UPDATE listings SET community_id = $1 WHERE id = $2', [communityId, listingId]);
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM listings WHERE id = $1', [listingId]);
+    await query('DELETE FROM community_memberships WHERE community_id = $1', [communityId]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('parseBoundary', () => {
+  it('should accept a Feature and close an open ring', () => {
+    const polygon = parseBoundary({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [square.slice(0, 4)] },
+    });
+    expect(polygon.type).toBe('Polygon');
+    expect(polygon.coordinates[0]).toHaveLength(5);
+    expect(polygon.coordinates[0][4]).toEqual(polygon.coordinates[0][0]);
+  });
+
+  it('should take the only polygon from a FeatureCollection', () => {
+    const polygon = parseBoundary({ type: 'FeatureCollection', features: [boundary] });
+    expect(polygon.coordinates[0]).toEqual(square);
+  });
+
+  it('should reject collections with several polygons', () => {
+    expect(() => parseBoundary({ type: 'FeatureCollection', features: [boundary, boundary] })).toThrow(/exactly one/);
+  });
+
+  it('should reject points and out-of-range coordinates', () => {
+    expect(() => parseBoundary({ type: 'Point', coordinates: [-122, 37] })).toThrow(/Polygon/);
+    expect(() => parseBoundary({ type: 'Polygon', coordinates: [[[200, 37], [-122, 37], [-122, 38]]] })).toThrow(/longitude, latitude/);
+    expect(() => parseBoundary({ type: 'Polygon', coordinates: [[[-122, 37], [-122, 38]]] })).toThrow(/three corners/);
+  });
+});
+
+describe('PUT /api/communities/:communityId/boundary', () => {
+  it('should only let organizers set the boundary', async () => {
+    const res = await request(app)
+      .put(`/api/communities/${communityId}/boundary`)
+      .set('Authorization', `Bearer ${insider.token}`)
+      .send({ boundary });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject a self-intersecting polygon', async () => {
+    const bowtie = [[-122.01, 37.0], [-122.0, 37.01], [-122.0, 37.0], [-122.01, 37.01], [-122.01, 37.0]];
+    const res = await request(app)
+      .put(`/api/communities/${communityId}/boundary`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ boundary: { type: 'Polygon', coordinates: [bowtie] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_BOUNDARY');
+  });
+
+  it('should import a GeoJSON boundary', async () => {
+    const res = await request(app)
+      .put(`/api/communities/${communityId}/boundary`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ boundary });
+
+    expect(res.status).toBe(200);
+    expect(res.body.areaSqMiles).toBeGreaterThan(0.3);
+    expect(res.body.areaSqMiles).toBeLessThan(0.6);
+  });
+});
+
+describe('GET /api/communities/:id/boundary', () => {
+  it('should export the boundary as a GeoJSON Feature', async () => {
+    const res = await request(app)
+      .get(`/api/communities/${communityId}/boundary`)
+      .set('Authorization', `Bearer ${insider.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/geo+json');
+    const feature = JSON.parse(res.text);
+    expect(feature.type).toBe('Feature');
+    expect(feature.geometry.type).toBe('Polygon');
+    expect(feature.properties.id).toBe(communityId);
+  });
+
+  it('should offer the export as a download', async () => {
+    const res = await request(app)
+      .get(`/api/communities/${communityId}/boundary?download=1`)
+      .set('Authorization', `Bearer ${insider.token}`);
+
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename=".+-boundary\.geojson"/);
+  });
+});
+
+describe('POST /api/communities/:id/join (geofenced)', () => {
+  it('should turn away neighbors outside the boundary even in the same city', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${outsider.token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('OUTSIDE_BOUNDARY');
+  });
+
+  it('should ask for a location when the user has none', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${unlocated.token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('LOCATION_REQUIRED');
+  });
+
+  it('should let neighbors inside the boundary join', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${insider.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('member');
+  });
+});
+
+describe('Neighborhood visibility scoped to the boundary', () => {
+  const feedTitles = async (user) => {
+    const res = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${user.token}`);
+    return res.body.items.map(i => i.title);
+  };
+
+  it('should match by city until the community opts in', async () => {
+    expect(await feedTitles(outsider)).toContain('Fenced Hedge Trimmer');
+  });
+
+  it('should only show neighborhood items to people inside the boundary once scoped', async () => {
+    const res = await request(app)
+      .patch(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ scopeToBoundary: true });
+    expect(res.status).toBe(200);
+
+    expect(await feedTitles(insider)).toContain('Fenced Hedge Trimmer');
+    expect(await feedTitles(outsider)).not.toContain('Fenced Hedge Trimmer');
+  });
+
+  it('should fall back to city matching when the boundary is removed', async () => {
+    const res = await request(app)
+      .delete(`/api/communities/${communityId}/boundary`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+    expect(res.status).toBe(200);
+
+    expect(await feedTitles(outsider)).toContain('Fenced Hedge Trimmer');
+
+    const detail = await request(app)
+      .get(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${outsider.token}`);
+    expect(detail.body.hasBoundary).toBe(false);
+    expect(detail.body.scopeToBoundary).toBe(false);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Handoff Verification Tests
+ * Tests: borrower one-time codes, lender confirmation of pickup and return with the code
+ * or the signed QR payload, required timestamped condition photos, single use and
+ * lockout, the explicit unverified fallback, and pickup/return photos carried into
+ * disputes as evidence
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+let app;
+let borrower, lender, outsider;
+let transactionId;
+const run = Date.now();
+const createdUserIds = [];
+
+const photo = (minutesAgo = 1) => ({
+  url: `https://test.s3.amazonaws.com/handoffs/${run}-${minutesAgo}.jpg`,
+  takenAt: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+});
+
+const issueCode = (type, user = borrower) => request(app)
+  .post(`/api/transactions/${transactionId}/handoff-code`)
+  .set('Authorization', `Bearer ${user.token}`)
+  .send({ type });
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/transactions', module: '../../src/routes/transactions.js' },
+    { path: '/api/rentals', module: '../../src/routes/rentals.js' },
+    { path: '/api/disputes', module: '../../src/routes/disputes.js' }
+  );
+
+  borrower = await createTestUser({ email: `handoff-borrower-${run}@borrowhood.test` });
+  lender = await createTestUser({ email: `handoff-lender-${run}@borrowhood.test` });
+  outsider = await createTestUser({ email: `handoff-outsider-${run}@borrowhood.test` });
+  createdUserIds.push(borrower.userId, lender.userId, outsider.userId);
+
+  const listingId = await createTestListing(lender.userId, { title: 'Handoff Test Ladder' });
+  transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'paid', rentalFee: 20, depositAmount: 40,
+  });
+  await query(
+    "UPDATE borrow_transactions SET payment_status = 'captured', condition_at_pickup = 'good' WHERE id = $1",
+    [transactionId]
+  );
+});
+
+afterAll(async () => {
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('POST /api/transactions/:id/handoff-code', () => {
+  it('should give the borrower a 6-digit code and a signed QR payload', async () => {
+    const res = await issueCode('pickup');
+
+    expect(res.status).toBe(200);
+    expect(res.body.code).toMatch(/^\d{6}$/);
+    expect(res.body.qrPayload).toMatch(new RegExp(`^bh-handoff:${transactionId}:pickup:`));
+    expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should only issue codes to the borrower', async () => {
+    const res = await issueCode('pickup', lender);
+    const other = await issueCode('pickup', outsider);
+
+    expect(res.status).toBe(403);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not issue a return code before pickup', async () => {
+    const res = await issueCode('return');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WRONG_STATUS');
+  });
+});
+
+describe('Verified pickup', () => {
+  it('should not confirm pickup without a code unless asked to skip the check', async () => {
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ condition: 'good' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('HANDOFF_REQUIRED');
+  });
+
+  it('should require condition photos', async () => {
+    const { body: { code } } = await issueCode('pickup');
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: code, photos: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PHOTOS_REQUIRED');
+  });
+
+  it('should reject photos that weren\'t taken at the handoff', async () => {
+    const { body: { code } } = await issueCode('pickup');
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: code, photos: [photo(24 * 60)] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PHOTO_STALE');
+  });
+
+  it('should reject a code that a newer one has replaced', async () => {
+    const { body: { code: oldCode } } = await issueCode('pickup');
+    await issueCode('pickup');
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: oldCode, photos: [photo()] });
+
+    expect(res.status).toBe(400);
+    expect(['CODE_INVALID', 'CODE_EXPIRED']).toContain(res.body.code);
+  });
+
+  it('should lock a code after too many wrong guesses', async () => {
+    const { body: { code } } = await issueCode('pickup');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post(`/api/rentals/${transactionId}/pickup`)
+        .set('Authorization', `Bearer ${lender.token}`)
+        .send({ condition: 'good', handoffCode: wrong, photos: [photo()] });
+    }
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: code, photos: [photo()] });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('CODE_LOCKED');
+  });
+
+  it('should confirm pickup when the lender enters the borrower\'s code', async () => {
+    const { body: { code } } = await issueCode('pickup');
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/pickup`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: code, photos: [photo(2), photo(1)] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(true);
+
+    const txn = await query(
+      'SELECT status, pickup_verified_at FROM borrow_transactions WHERE id = $1',
+      [transactionId]
+    );
+    expect(txn.rows[0].status).toBe('picked_up');
+    expect(txn.rows[0].pickup_verified_at).not.toBeNull();
+  });
+
+  it('should list the pickup photos on the transaction', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${transactionId}`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.handoff.pickup.verifiedAt).not.toBeNull();
+    expect(res.body.handoff.pickup.photos).toHaveLength(2);
+    expect(res.body.handoff.return.photos).toHaveLength(0);
+  });
+});
+
+describe('Verified return', () => {
+  it('should accept the scanned QR payload only once', async () => {
+    const { body: { qrPayload } } = await issueCode('return');
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/return`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: qrPayload, photos: [photo()] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(true);
+
+    const replay = await request(app)
+      .post(`/api/rentals/${transactionId}/return`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: qrPayload, photos: [photo()] });
+
+    expect(replay.status).toBe(400);
+  });
+
+  it('should reject a QR payload that has been tampered with', async () => {
+    const forged = `bh-handoff:${transactionId}:return:nonce.${Math.floor(Date.now() / 1000) + 600}.forged`;
+
+    const res = await request(app)
+      .post(`/api/rentals/${transactionId}/return`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ condition: 'good', handoffCode: forged, photos: [photo()] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('CODE_INVALID');
+  });
+});
+
+describe('Disputes', () => {
+  it('should attach the pickup and return photos as evidence', async () => {
+    const filed = await request(app)
+      .post('/api/disputes')
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({
+        transactionId,
+        type: 'damagesClaim',
+        description: 'A rung was cracked when it came back',
+        requestedAmount: 25,
+      });
+
+    expect(filed.status).toBe(201);
+
+    const res = await request(app)
+      .get(`/api/disputes/${filed.body.id}`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.handoffEvidence.pickup.photos).toHaveLength(2);
+    expect(res.body.handoffEvidence.return.photos).toHaveLength(1);
+    expect(res.body.handoffEvidence.return.verifiedAt).not.toBeNull();
+  });
+});
+
+describe('Unverified fallback', () => {
+  let fallbackId;
+
+  beforeAll(async () => {
+    const listingId = await createTestListing(lender.userId, { title: 'Handoff Fallback Drill' });
+    fallbackId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'paid' });
+  });
+
+  it('should still require condition photos without a code', async () => {
+    const res = await request(app)
+      .post(`/api/transactions/${fallbackId}/pickup`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ condition: 'good', unverified: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PHOTOS_REQUIRED');
+
+    const txn = await query('SELECT status FROM borrow_transactions WHERE id = $1', [fallbackId]);
+    expect(txn.rows[0].status).toBe('paid');
+  });
+
+  it('should confirm pickup without a code when asked and note it in the history', async () => {
+    const res = await request(app)
+      .post(`/api/transactions/${fallbackId}/pickup`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ condition: 'good', unverified: true, photos: [photo()] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verified).toBe(false);
+
+    const events = await query(
+      `SELECT actor_id FROM transaction_events WHERE transaction_id = $1 AND event_type = 'pickup_unverified'`,
+      [fallbackId]
+    );
+    expect(events.rows).toHaveLength(1);
+    expect(events.rows[0].actor_id).toBe(borrower.userId);
+
+    const photos = await query(`SELECT 1 FROM handoff_photos WHERE transaction_id = $1 AND handoff = 'pickup'`, [fallbackId]);
+    expect(photos.rows).toHaveLength(1);
+  });
+
+  it('should still let the borrower show a return code afterwards', async () => {
+    const res = await request(app)
+      .post(`/api/transactions/${fallbackId}/handoff-code`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ type: 'return' });
+
+    expect(res.status).toBe(200);
+  });
+});
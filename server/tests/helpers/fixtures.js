@@ -218,6 +218,17 @@ export async function createTestTransaction(borrowerId, lenderId, listingId, ove
   return result.rows[0].id;
 }
 
+/**
+ * Condition photos for a handoff confirmed without the in-person check — they still
+ * have to be taken at the handoff.
+ */
+export function handoffPhotos(count = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    url: `https://test.s3.amazonaws.com/handoffs/${Date.now()}-${i}.jpg`,
+    takenAt: new Date().toISOString(),
+  }));
+}
+
 /**
  * Create a discussion post on a listing.
  */
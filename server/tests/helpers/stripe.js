@@ -265,6 +265,7 @@ export async function cleanupTestUser(userId) {
   await query(`DELETE FROM disputes WHERE transaction_id IN ${txnFilter}`, [userId]);
   await query('DELETE FROM borrow_transactions WHERE borrower_id = $1 OR lender_id = $1', [userId]);
   await query('DELETE FROM listings WHERE owner_id = $1', [userId]);
+  await query('DELETE FROM audit_log WHERE actor_id = $1', [userId]);
   await query('DELETE FROM users WHERE id = $1', [userId]);
 }
 
@@ -0,0 +1,340 @@
+/**
+ * Job Queue Tests
+ * Tests: enqueueing with dedupe keys, workers claiming jobs without doubling up,
+ * retries with backoff, dead-lettering, stuck-job recovery and leases, schedules enqueued once
+ * across replicas, new-request fan-out off the request path, and the admin endpoints
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import {
+  registerJobHandler,
+  enqueueJob,
+  scheduleJob,
+  enqueueDueSchedules,
+  runDueJobs,
+  drainJobs,
+  maintainJobs,
+  permanentJobError,
+} from '../src/services/jobQueue.js';
+import { createTestUser, createTestApp, cleanupTestUser } from './helpers/stripe.js';
+
+let app;
+let poster, neighbor, admin;
+const run = Date.now();
+const createdUserIds = [];
+const type = (name) => `test.${name}.${run}`;
+
+const jobsOf = async (jobType) => {
+  const result = await query('SELECT * FROM jobs WHERE type = $1 ORDER BY created_at', [jobType]);
+  return result.rows;
+};
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/requests', module: '../../src/routes/requests.js' },
+    { path: '/api/admin', module: '../../src/routes/admin.js' }
+  );
+
+  poster = await createTestUser({
+    email: `jobs-poster-${run}@borrowhood.test`,
+    firstName: 'Pia',
+    isVerified: true,
+    city: `JobTown${run}`,
+    state: 'JT',
+  });
+  neighbor = await createTestUser({
+    email: `jobs-neighbor-${run}@borrowhood.test`,
+    city: `JobTown${run}`,
+    state: 'JT',
+  });
+  admin = await createTestUser({ email: `jobs-admin-${run}@borrowhood.test` });
+  await query('UPDATE users SET is_admin = true WHERE id = $1', [admin.userId]);
+  createdUserIds.push(poster.userId, neighbor.userId, admin.userId);
+});
+
+afterAll(async () => {
+  try {
+    await query(`DELETE FROM jobs WHERE type LIKE $1`, [`test.%.${run}`]);
+    await query(`DELETE FROM job_schedules WHERE job_type LIKE $1`, [`test.%.${run}`]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM item_requests WHERE user_id = ANY($1)', [createdUserIds]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('Enqueueing and running jobs', () => {
+  it('should run a queued job once and record how long it took', async () => {
+    const seen = [];
+    registerJobHandler(type('ok'), async (payload) => { seen.push(payload.n); });
+
+    await enqueueJob(type('ok'), { n: 1 });
+    await drainJobs({ types: [type('ok')] });
+
+    expect(seen).toEqual([1]);
+    const [job] = await jobsOf(type('ok'));
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 1 });
+    expect(job.duration_ms).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should ignore a second enqueue with the same dedupe key', async () => {
+    const first = await enqueueJob(type('dedupe'), {}, { dedupeKey: `dedupe-${run}` });
+    const second = await enqueueJob(type('dedupe'), {}, { dedupeKey: `dedupe-${run}` });
+
+    expect(first).toBeTruthy();
+    expect(second).toBeNull();
+    expect(await jobsOf(type('dedupe'))).toHaveLength(1);
+  });
+
+  it('should never hand the same job to two workers', async () => {
+    let calls = 0;
+    registerJobHandler(type('claim'), async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    });
+    for (let i = 0; i < 6; i++) await enqueueJob(type('claim'), { i });
+
+    const results = await Promise.all([
+      runDueJobs({ types: [type('claim')], limit: 4 }),
+      runDueJobs({ types: [type('claim')], limit: 4 }),
+    ]);
+
+    expect(results[0].ran + results[1].ran).toBe(6);
+    expect(calls).toBe(6);
+  });
+
+  it('should leave jobs without a handler on the queue', async () => {
+    await enqueueJob(type('unhandled'), {});
+
+    const result = await runDueJobs({ types: [type('unhandled')] });
+
+    expect(result.ran).toBe(0);
+    const [job] = await jobsOf(type('unhandled'));
+    expect(job.status).toBe('queued');
+  });
+});
+
+describe('Retries and dead letters', () => {
+  it('should retry a failed job later with backoff', async () => {
+    registerJobHandler(type('flaky'), async () => { throw new Error('Expo is down'); });
+    await enqueueJob(type('flaky'), {}, { maxAttempts: 3 });
+
+    await runDueJobs({ types: [type('flaky')] });
+
+    const [job] = await jobsOf(type('flaky'));
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, last_error: 'Expo is down' });
+    expect(new Date(job.run_at).getTime()).toBeGreaterThan(Date.now() + 20 * 1000);
+  });
+
+  it('should dead-letter a job once its attempts run out', async () => {
+    registerJobHandler(type('broken'), async () => { throw new Error('Still broken'); });
+    await enqueueJob(type('broken'), {}, { maxAttempts: 2 });
+
+    await runDueJobs({ types: [type('broken')] });
+    await query(`UPDATE jobs SET run_at = NOW() WHERE type = $1`, [type('broken')]);
+    await runDueJobs({ types: [type('broken')] });
+
+    const [job] = await jobsOf(type('broken'));
+    expect(job).toMatchObject({ status: 'dead', attempts: 2, last_error: 'Still broken' });
+    expect(job.finished_at).not.toBeNull();
+  });
+
+  it('should dead-letter a permanent failure without retrying', async () => {
+    registerJobHandler(type('permanent'), async () => { throw permanentJobError('Bad payload'); });
+    await enqueueJob(type('permanent'), {}, { maxAttempts: 5 });
+
+    await runDueJobs({ types: [type('permanent')] });
+
+    const [job] = await jobsOf(type('permanent'));
+    expect(job).toMatchObject({ status: 'dead', attempts: 1 });
+  });
+
+  it('should requeue a job whose worker died mid-run', async () => {
+    const id = await enqueueJob(type('stuck'), {});
+    await query(
+      `UPDATE jobs SET status = 'running', attempts = 1, locked_by = 'gone:1', locked_at = NOW() - INTERVAL '1 hour'
+       WHERE id = $1`,
+      [id]
+    );
+
+    await maintainJobs();
+
+    const [job] = await jobsOf(type('stuck'));
+    expect(job).toMatchObject({ status: 'queued', locked_by: null });
+  });
+
+  it('should leave a long job alone while its lease is current', async () => {
+    const id = await enqueueJob(type('long'), {});
+    await query(
+      `UPDATE jobs SET status = 'running', attempts = 1, locked_by = 'busy:1',
+         created_at = NOW() - INTERVAL '2 hours', locked_at = NOW() - INTERVAL '1 minute'
+       WHERE id = $1`,
+      [id]
+    );
+
+    await maintainJobs();
+
+    const [job] = await jobsOf(type('long'));
+    expect(job).toMatchObject({ status: 'running', locked_by: 'busy:1' });
+  });
+
+  it('should leave the rest of a batch queued while a job runs', async () => {
+    const seen = [];
+    registerJobHandler(type('batch'), async (payload, job) => {
+      const others = (await jobsOf(type('batch'))).filter(j => j.id !== job.id && j.status !== 'succeeded');
+      seen.push(...others.map(j => j.status));
+    });
+    await enqueueJob(type('batch'), { n: 1 });
+    await enqueueJob(type('batch'), { n: 2 });
+
+    const summary = await runDueJobs({ types: [type('batch')] });
+
+    expect(summary).toMatchObject({ ran: 2, succeeded: 2 });
+    expect(seen).toEqual(['queued']);
+  });
+
+  it('should not let a run whose lease lapsed overwrite the requeued job', async () => {
+    registerJobHandler(type('lapsed'), async (payload, job) => {
+      // The worker stalled past its lease and another one requeued the job meanwhile
+      await query(`UPDATE jobs SET locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1`, [job.id]);
+      await maintainJobs();
+    });
+    await enqueueJob(type('lapsed'), {});
+
+    const summary = await runDueJobs({ types: [type('lapsed')] });
+
+    expect(summary).toMatchObject({ ran: 1, succeeded: 0 });
+    const [job] = await jobsOf(type('lapsed'));
+    expect(job.status).toBe('queued');
+    expect(job.last_error).toBe('Worker stopped before the job finished');
+  });
+});
+
+describe('Schedules', () => {
+  it('should enqueue a due schedule once however many workers check it', async () => {
+    registerJobHandler(type('hourly'), async () => {});
+    await scheduleJob(type('hourly'), { everyMinutes: 60 });
+
+    await Promise.all([enqueueDueSchedules(), enqueueDueSchedules(), enqueueDueSchedules()]);
+
+    expect(await jobsOf(type('hourly'))).toHaveLength(1);
+    const schedule = await query('SELECT next_run_at FROM job_schedules WHERE job_type = $1', [type('hourly')]);
+    expect(new Date(schedule.rows[0].next_run_at).getTime()).toBeGreaterThan(Date.now() + 50 * 60 * 1000);
+  });
+
+  it('should not queue another run while the last one is still waiting', async () => {
+    await scheduleJob(type('slow'), { everyMinutes: 5 });
+    await enqueueDueSchedules();
+    await query('UPDATE job_schedules SET next_run_at = NOW() WHERE job_type = $1', [type('slow')]);
+    await enqueueDueSchedules();
+
+    expect(await jobsOf(type('slow'))).toHaveLength(1);
+  });
+
+  it('should keep the next run when a replica re-registers the same schedule', async () => {
+    await scheduleJob(type('nightly'), { dailyAt: 3 });
+    const before = await query('SELECT next_run_at FROM job_schedules WHERE job_type = $1', [type('nightly')]);
+
+    await scheduleJob(type('nightly'), { dailyAt: 3 });
+    const after = await query('SELECT next_run_at FROM job_schedules WHERE job_type = $1', [type('nightly')]);
+
+    expect(after.rows[0].next_run_at).toEqual(before.rows[0].next_run_at);
+    expect(new Date(after.rows[0].next_run_at).getHours()).toBe(3);
+  });
+});
+
+describe('New request fan-out', () => {
+  it('should answer before notifying the town, then notify from the queue', async () => {
+    const res = await request(app)
+      .post('/api/requests')
+      .set('Authorization', `Bearer ${poster.token}`)
+      .send({ title: 'Need a pressure washer', visibility: ['town'] });
+
+    expect(res.status).toBe(201);
+    const pending = await query(
+      `SELECT 1 FROM notifications WHERE user_id = $1 AND request_id = $2`,
+      [neighbor.userId, res.body.id]
+    );
+    expect(pending.rows).toHaveLength(0);
+
+    await drainJobs({ types: ['request.notify_audience', 'notification.send'] });
+
+    const delivered = await query(
+      `SELECT type, from_user_id FROM notifications WHERE user_id = $1 AND request_id = $2`,
+      [neighbor.userId, res.body.id]
+    );
+    expect(delivered.rows).toEqual([{ type: 'new_request', from_user_id: poster.userId }]);
+  });
+
+  it('should not notify anyone twice if the fan-out runs again', async () => {
+    const res = await request(app)
+      .post('/api/requests')
+      .set('Authorization', `Bearer ${poster.token}`)
+      .send({ title: 'Need a canoe', visibility: ['town'] });
+    await drainJobs({ types: ['request.notify_audience', 'notification.send'] });
+
+    await query(
+      `UPDATE jobs SET status = 'queued', run_at = NOW() WHERE dedupe_key = $1`,
+      [`request:${res.body.id}:audience`]
+    );
+    await drainJobs({ types: ['request.notify_audience', 'notification.send'] });
+
+    const delivered = await query(
+      'SELECT 1 FROM notifications WHERE user_id = $1 AND request_id = $2',
+      [neighbor.userId, res.body.id]
+    );
+    expect(delivered.rows).toHaveLength(1);
+  });
+});
+
+describe('Admin job endpoints', () => {
+  it('should report per-type metrics and schedules', async () => {
+    const res = await request(app)
+      .get('/api/admin/jobs')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    const broken = res.body.types.find(t => t.type === type('broken'));
+    expect(broken).toMatchObject({ dead: 1, queued: 0 });
+    const ok = res.body.types.find(t => t.type === type('ok'));
+    expect(ok.succeeded).toBe(1);
+    expect(ok.avgDurationMs).not.toBeNull();
+    expect(res.body.schedules.map(s => s.type)).toContain(type('hourly'));
+  });
+
+  it('should list dead jobs and put one back on the queue', async () => {
+    const dead = await request(app)
+      .get(`/api/admin/jobs/dead?type=${type('broken')}`)
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(dead.status).toBe(200);
+    expect(dead.body).toHaveLength(1);
+
+    const res = await request(app)
+      .post(`/api/admin/jobs/${dead.body[0].id}/retry`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+
+  it('should refuse to retry a job that isn\'t dead', async () => {
+    const [job] = await jobsOf(type('ok'));
+    const res = await request(app)
+      .post(`/api/admin/jobs/${job.id}/retry`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('JOB_NOT_FOUND');
+  });
+
+  it('should be admin-only', async () => {
+    const res = await request(app)
+      .get('/api/admin/jobs')
+      .set('Authorization', `Bearer ${neighbor.token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
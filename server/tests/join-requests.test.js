@@ -0,0 +1,247 @@
+/**
+ * Join Request Tests
+ * Tests: approval-gated joins, join questions, organizer queue, approve/deny,
+ * invite codes that skip approval
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, cleanupTestUser } from './helpers/stripe.js';
+import { createTestCommunity, addCommunityMember } from './helpers/fixtures.js';
+
+let app;
+let organizer, applicant, denied, invited;
+let communityId;
+let questionId;
+const createdUserIds = [];
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/communities', module: '../../src/routes/communities.js' }
+  );
+
+  const city = { city: 'GateCity', state: 'GC' };
+  organizer = await createTestUser({ email: `gate-org-${Date.now()}@borrowhood.test`, ...city });
+  applicant = await createTestUser({ email: `gate-app-${Date.now()}@borrowhood.test`, ...city });
+  denied = await createTestUser({ email: `gate-den-${Date.now()}@borrowhood.test`, ...city });
+  invited = await createTestUser({ email: `gate-inv-${Date.now()}@borrowhood.test`, ...city });
+  createdUserIds.push(organizer.userId, applicant.userId, denied.userId, invited.userId);
+
+  communityId = await createTestCommunity({ name: 'Gated Neighborhood', ...city });
+  await addCommunityMember(organizer.userId, communityId, 'organizer');
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM community_memberships WHERE community_id = $1', [communityId]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+const isMember = async (userId) => {
+  const result = await query(
+    'SELECT 1 FROM community_memberships WHERE community_id = $1 AND user_id = $2',
+    [communityId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+describe('PATCH /api/communities/:id (approval settings)', () => {
+  it('should let the organizer require approval and add join questions', async () => {
+    const res = await request(app)
+      .patch(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({
+        requiresApproval: true,
+        joinQuestions: [{ question: 'Which street do you live on?', required: true }],
+      });
+
+    expect(res.status).toBe(200);
+
+    const detail = await request(app)
+      .get(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${applicant.token}`);
+
+    expect(detail.body.requiresApproval).toBe(true);
+    expect(detail.body.joinQuestions).toHaveLength(1);
+    questionId = detail.body.joinQuestions[0].id;
+  });
+
+  it('should reject too many questions', async () => {
+    const res = await request(app)
+      .patch(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ joinQuestions: ['1', '2', '3', '4', '5', '6'] });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/communities/:id/join (approval required)', () => {
+  it('should require answers to the join questions', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${applicant.token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('ANSWERS_REQUIRED');
+    expect(res.body.questions[0].id).toBe(questionId);
+  });
+
+  it('should queue a pending request instead of joining', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${applicant.token}`)
+      .send({ answers: [{ questionId, answer: 'Maple Street' }] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('pending');
+    expect(await isMember(applicant.userId)).toBe(false);
+
+    const detail = await request(app)
+      .get(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${applicant.token}`);
+    expect(detail.body.isMember).toBe(false);
+    expect(detail.body.joinRequest.status).toBe('pending');
+  });
+
+  it('should not create a second request while one is pending', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${applicant.token}`)
+      .send({ answers: [{ questionId, answer: 'Maple Street' }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('pending');
+  });
+
+  it('should leave pending members out of the member list', async () => {
+    const res = await request(app)
+      .get(`/api/communities/${communityId}/members`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+
+    expect(res.body.map(m => m.id)).not.toContain(applicant.userId);
+  });
+});
+
+describe('Organizer join request queue', () => {
+  it('should list pending requests with answers for organizers', async () => {
+    const res = await request(app)
+      .get(`/api/communities/${communityId}/join-requests`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+
+    expect(res.status).toBe(200);
+    const entry = res.body.find(r => r.user.id === applicant.userId);
+    expect(entry.answers[0].answer).toBe('Maple Street');
+    expect(entry.answers[0].question).toBe('Which street do you live on?');
+  });
+
+  it('should not show the queue to non-organizers', async () => {
+    const res = await request(app)
+      .get(`/api/communities/${communityId}/join-requests`)
+      .set('Authorization', `Bearer ${applicant.token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should approve a request and add the member', async () => {
+    const queue = await request(app)
+      .get(`/api/communities/${communityId}/join-requests`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+    const requestId = queue.body.find(r => r.user.id === applicant.userId).id;
+
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join-requests/${requestId}/approve`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ message: 'Welcome!' });
+
+    expect(res.status).toBe(200);
+    expect(await isMember(applicant.userId)).toBe(true);
+
+    const again = await request(app)
+      .post(`/api/communities/${communityId}/join-requests/${requestId}/approve`)
+      .set('Authorization', `Bearer ${organizer.token}`);
+    expect(again.status).toBe(404);
+  });
+
+  it('should deny a request with a message', async () => {
+    const join = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${denied.token}`)
+      .send({ answers: [{ questionId, answer: 'Not sure' }] });
+
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join-requests/${join.body.requestId}/deny`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ message: 'This group is for Maple Street only' });
+
+    expect(res.status).toBe(200);
+    expect(await isMember(denied.userId)).toBe(false);
+
+    const detail = await request(app)
+      .get(`/api/communities/${communityId}`)
+      .set('Authorization', `Bearer ${denied.token}`);
+    expect(detail.body.joinRequest.status).toBe('denied');
+    expect(detail.body.joinRequest.message).toBe('This group is for Maple Street only');
+  });
+});
+
+describe('Invite codes', () => {
+  let code;
+
+  it('should only let organizers create invites', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/invites`)
+      .set('Authorization', `Bearer ${invited.token}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should create a single-use invite', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/invites`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ maxUses: 1, expiresInDays: 7 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.code).toMatch(/^BH-/);
+    expect(res.body.link).toContain(res.body.code);
+    code = res.body.code;
+  });
+
+  it('should resolve the invite to its community', async () => {
+    const res = await request(app)
+      .get(`/api/communities/invites/${code.toLowerCase()}`)
+      .set('Authorization', `Bearer ${invited.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.community.id).toBe(communityId);
+  });
+
+  it('should join immediately with an invite code', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${invited.token}`)
+      .send({ inviteCode: code });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('member');
+    expect(await isMember(invited.userId)).toBe(true);
+  });
+
+  it('should reject a used-up invite', async () => {
+    const res = await request(app)
+      .post(`/api/communities/${communityId}/join`)
+      .set('Authorization', `Bearer ${denied.token}`)
+      .send({ inviteCode: code });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_INVITE');
+  });
+});
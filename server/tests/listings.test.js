@@ -384,4 +384,21 @@ describe('GET /api/listings (browse)', () => {
     expect(res.status).toBe(200);
     expect(Array.isArray(res.body)).toBe(true);
   });
+
+  it('should keep listing an item that is out on loan so other dates can be booked', async () => {
+    await createFriendship(freeUser.userId, plusUser.userId);
+    const listingId = await createTestListing(freeUser.userId, { title: 'Borrowed Wheelbarrow' });
+    createdListingIds.push(listingId);
+    await query('UPDATE listings SET is_available = false WHERE id = $1', [listingId]);
+
+    const res = await request(app)
+      .get('/api/listings')
+      .query({ search: 'Borrowed Wheelbarrow' })
+      .set('Authorization', `Bearer ${plusUser.token}`);
+
+    expect(res.status).toBe(200);
+    const listing = res.body.find(l => l.id === listingId);
+    expect(listing).toBeTruthy();
+    expect(listing.isAvailable).toBe(false);
+  });
 });
@@ -0,0 +1,159 @@
+/**
+ * Overdue Escalation Tests
+ * Tests: late fee cap, daily accrual, reminder ladder without repeats,
+ * automatic non-return dispute past the threshold, audit trail in payment status
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { accruedLateFeeCents, lateFeeCapCents, processOverdueRentals } from '../src/services/overdue.js';
+import { OVERDUE_DISPUTE_DAYS } from '../src/utils/constants.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+describe('accruedLateFeeCents', () => {
+  const rental = { late_fee_per_day: '5.00', deposit_amount: '20.00', rental_fee: '10.00' };
+
+  it('should charge the daily fee for each day late', () => {
+    expect(accruedLateFeeCents(rental, 3)).toBe(1500);
+  });
+
+  it('should stop at the deposit', () => {
+    expect(accruedLateFeeCents(rental, 10)).toBe(2000);
+  });
+
+  it('should cap at the rental fee when there is no deposit', () => {
+    expect(lateFeeCapCents({ ...rental, deposit_amount: '0' })).toBe(1000);
+  });
+
+  it('should accrue nothing without a daily fee', () => {
+    expect(accruedLateFeeCents({ ...rental, late_fee_per_day: '0' }, 5)).toBe(0);
+  });
+});
+
+describe('Overdue escalation', () => {
+  let app;
+  let lender, borrower;
+  let listingId, transactionId;
+  const createdUserIds = [];
+
+  const setDaysOverdue = (days) => query(
+    'UPDATE borrow_transactions SET requested_end_date = $1 WHERE id = $2',
+    [daysFromNow(-days), transactionId]
+  );
+
+  const events = async (type) => {
+    const result = await query(
+      'SELECT * FROM rental_overdue_events WHERE transaction_id = $1 AND event_type = $2 ORDER BY days_overdue',
+      [transactionId, type]
+    );
+    return result.rows;
+  };
+
+  const notifications = async (userId, type) => {
+    const result = await query(
+      'SELECT 1 FROM notifications WHERE user_id = $1 AND type = $2 AND transaction_id = $3',
+      [userId, type, transactionId]
+    );
+    return result.rows.length;
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp({ path: '/api/rentals', module: '../../src/routes/rentals.js' });
+
+    lender = await createTestUser({ email: `od-lender-${Date.now()}@borrowhood.test` });
+    borrower = await createTestUser({ email: `od-borrower-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(lender.userId, borrower.userId);
+
+    listingId = await createTestListing(lender.userId, {
+      title: 'Pressure Washer', isFree: false, pricePerDay: 5.00, depositAmount: 20.00, lateFeePerDay: 5.00,
+    });
+
+    transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+      depositAmount: 20.00,
+      requestedStartDate: daysFromNow(-8),
+      requestedEndDate: daysFromNow(-3),
+    });
+    await query(
+      `UPDATE borrow_transactions SET payment_status = 'captured', stripe_payment_intent_id = 'pi_overdue_placeholder'
+       WHERE id = $1`,
+      [transactionId]
+    );
+  });
+
+  afterAll(async () => {
+    for (const id of createdUserIds) {
+      try { await cleanupTestUser(id); } catch (e) { /* */ }
+    }
+  });
+
+  it('should accrue late fees for each day overdue', async () => {
+    await processOverdueRentals();
+
+    const txn = await query('SELECT late_fee_amount_cents FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].late_fee_amount_cents).toBe(1500);
+
+    const accrued = await events('fee_accrued');
+    expect(accrued).toHaveLength(1);
+    expect(accrued[0].amount_cents).toBe(1500);
+  });
+
+  it('should send the +3 day reminder to both parties once', async () => {
+    await processOverdueRentals();
+
+    expect(await events('reminder')).toHaveLength(1);
+    expect(await notifications(borrower.userId, 'rental_overdue')).toBe(1);
+    expect(await notifications(lender.userId, 'rental_overdue_lender')).toBe(1);
+  });
+
+  it('should stop accruing at the deposit', async () => {
+    await setDaysOverdue(7);
+    await processOverdueRentals();
+
+    const txn = await query('SELECT late_fee_amount_cents FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].late_fee_amount_cents).toBe(2000);
+
+    const accrued = await events('fee_accrued');
+    expect(accrued.map(e => e.amount_cents)).toEqual([1500, 500]);
+    expect((await events('reminder')).map(e => e.days_overdue)).toEqual([3, 7]);
+  });
+
+  it('should open a non-return dispute past the threshold', async () => {
+    await setDaysOverdue(OVERDUE_DISPUTE_DAYS);
+    await processOverdueRentals();
+
+    const dispute = await query(
+      'SELECT type, claimant_user_id, respondent_user_id, requested_amount FROM disputes WHERE transaction_id = $1',
+      [transactionId]
+    );
+    expect(dispute.rows).toHaveLength(1);
+    expect(dispute.rows[0].type).toBe('nonReturn');
+    expect(dispute.rows[0].claimant_user_id).toBe(lender.userId);
+    expect(dispute.rows[0].respondent_user_id).toBe(borrower.userId);
+    expect(parseFloat(dispute.rows[0].requested_amount)).toBe(20);
+
+    const txn = await query('SELECT status FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].status).toBe('disputed');
+    expect(await events('dispute_opened')).toHaveLength(1);
+  });
+
+  it('should show the overdue history in the payment status', async () => {
+    const res = await request(app)
+      .get(`/api/rentals/${transactionId}/payment-status`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.lateFeeAccrued).toBe(20);
+    expect(res.body.lateFeeCap).toBe(20);
+    expect(res.body.overdueEvents.map(e => e.type)).toEqual(
+      expect.arrayContaining(['fee_accrued', 'reminder', 'dispute_opened'])
+    );
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Payment Hold Tests
+ * Tests: which rentals hold the deposit separately, fee-only capture at approval with
+ * fallback to capturing everything, settling the deposit hold, renewal with a charge
+ * fallback, and expiry warnings for holds about to lapse
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { query } from '../src/utils/db.js';
+import {
+  stripe,
+  chargeSavedPaymentMethod,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+} from '../src/services/stripe.js';
+import {
+  needsDepositHold,
+  captureApprovedPayment,
+  settleDeposit,
+  renewExpiringHolds,
+  sendHoldExpiryWarnings,
+} from '../src/services/paymentHolds.js';
+import { createTestUser, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+vi.mock('../src/services/stripe.js', () => ({
+  stripe: {
+    paymentIntents: { retrieve: vi.fn() },
+    refunds: { list: vi.fn(), retrieve: vi.fn() },
+    transfers: { list: vi.fn(), retrieve: vi.fn() },
+  },
+  chargeSavedPaymentMethod: vi.fn(),
+  capturePaymentIntent: vi.fn(),
+  cancelPaymentIntent: vi.fn(),
+  createTransfer: vi.fn(),
+  refundPayment: vi.fn(),
+}));
+
+let borrower, lender;
+let listingId;
+const run = Date.now();
+const createdUserIds = [];
+const transactionIds = [];
+
+const newTransaction = async (overrides = {}) => {
+  const id = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'pending', rentalDays: 14, rentalFee: 40, depositAmount: 100, ...overrides,
+  });
+  transactionIds.push(id);
+  const result = await query('SELECT * FROM borrow_transactions WHERE id = $1', [id]);
+  return result.rows[0];
+};
+
+const checkoutIntent = (t) => ({
+  id: `pi_checkout_${t.id}`,
+  customer: `cus_${run}`,
+  payment_method: `pm_${run}`,
+  amount: 14000,
+  amount_capturable: 14000,
+  created: Math.floor(Date.now() / 1000),
+});
+
+const insertHold = async (t, { purpose = 'deposit', expiresInHours, renewalAttempts = 0 }) => {
+  const result = await query(
+    `INSERT INTO payment_holds (transaction_id, purpose, stripe_payment_intent_id, amount_cents, expires_at, renewal_attempts)
+     VALUES ($1, $2, $3, 10000, NOW() + make_interval(hours => $4::int), $5)
+     RETURNING *`,
+    [t.id, purpose, `pi_${purpose}_${t.id}`, expiresInHours, renewalAttempts]
+  );
+  return result.rows[0];
+};
+
+const getHolds = async (transactionId) => {
+  const result = await query(
+    'SELECT * FROM payment_holds WHERE transaction_id = $1 ORDER BY created_at',
+    [transactionId]
+  );
+  return result.rows;
+};
+
+beforeAll(async () => {
+  borrower = await createTestUser({ email: `hold-borrower-${run}@borrowhood.test` });
+  lender = await createTestUser({ email: `hold-lender-${run}@borrowhood.test` });
+  createdUserIds.push(borrower.userId, lender.userId);
+
+  listingId = await createTestListing(lender.userId, { title: 'Hold Test Canoe' });
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM payment_operations WHERE transaction_id = ANY($1)', [transactionIds]);
+    await query('DELETE FROM payment_holds WHERE transaction_id = ANY($1)', [transactionIds]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [createdUserIds]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  stripe.paymentIntents.retrieve.mockResolvedValue({ status: 'requires_capture', payment_method: `pm_${run}` });
+  cancelPaymentIntent.mockImplementation(async (id) => ({ id, status: 'canceled' }));
+});
+
+describe('needsDepositHold', () => {
+  it('should hold the deposit apart only for long rentals with a deposit', () => {
+    expect(needsDepositHold({ rental_days: 14, rental_fee: '40.00', deposit_amount: '100.00' })).toBe(true);
+    expect(needsDepositHold({ rental_days: 3, rental_fee: '40.00', deposit_amount: '100.00' })).toBe(false);
+    expect(needsDepositHold({ rental_days: 14, rental_fee: '40.00', deposit_amount: '0' })).toBe(false);
+  });
+
+  it('should not split off a fee too small to capture on its own', () => {
+    expect(needsDepositHold({ rental_days: 14, rental_fee: '0.25', deposit_amount: '100.00' })).toBe(false);
+  });
+});
+
+describe('captureApprovedPayment', () => {
+  it('should hold the deposit and capture just the rental fee', async () => {
+    const t = await newTransaction();
+    const pi = checkoutIntent(t);
+    chargeSavedPaymentMethod.mockResolvedValue({
+      id: `pi_deposit_${t.id}`, status: 'requires_capture', created: Math.floor(Date.now() / 1000),
+    });
+    capturePaymentIntent.mockResolvedValue({ id: pi.id, status: 'succeeded' });
+
+    const { operation, depositHold } = await captureApprovedPayment(t, pi);
+
+    expect(operation.status).toBe('succeeded');
+    expect(chargeSavedPaymentMethod).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 10000,
+      paymentMethodId: `pm_${run}`,
+      captureMethod: 'manual',
+      metadata: { type: 'deposit_hold', hold_transaction_id: t.id },
+    }));
+    expect(capturePaymentIntent).toHaveBeenCalledWith(pi.id, 4000, expect.anything());
+    expect(depositHold).toMatchObject({ purpose: 'deposit', status: 'held', amount: 100 });
+  });
+
+  it('should capture everything up front when the deposit cannot be held', async () => {
+    const t = await newTransaction();
+    const pi = checkoutIntent(t);
+    chargeSavedPaymentMethod.mockRejectedValue(Object.assign(new Error('Your card was declined.'), { code: 'card_declined' }));
+    capturePaymentIntent.mockResolvedValue({ id: pi.id, status: 'succeeded' });
+
+    const { operation, depositHold } = await captureApprovedPayment(t, pi);
+
+    expect(operation.status).toBe('succeeded');
+    expect(capturePaymentIntent).toHaveBeenCalledWith(pi.id, null, expect.anything());
+    expect(depositHold).toBeNull();
+    expect(await getHolds(t.id)).toHaveLength(0);
+  });
+
+  it('should release the new deposit hold when the fee capture fails', async () => {
+    const t = await newTransaction();
+    const pi = checkoutIntent(t);
+    chargeSavedPaymentMethod.mockResolvedValue({
+      id: `pi_deposit_${t.id}`, status: 'requires_capture', created: Math.floor(Date.now() / 1000),
+    });
+    capturePaymentIntent.mockRejectedValue(new Error('This PaymentIntent could not be captured'));
+
+    const { operation, depositHold } = await captureApprovedPayment(t, pi);
+
+    expect(operation.status).toBe('abandoned');
+    expect(depositHold).toBeNull();
+    expect(cancelPaymentIntent).toHaveBeenCalledWith(`pi_deposit_${t.id}`, expect.anything());
+    const [hold] = await getHolds(t.id);
+    expect(hold.status).toBe('released');
+  });
+});
+
+describe('settleDeposit', () => {
+  it('should capture a claim from the held deposit', async () => {
+    const t = await newTransaction({ status: 'returned' });
+    await insertHold(t, { expiresInHours: 72 });
+    capturePaymentIntent.mockImplementation(async (id) => ({ id, status: 'succeeded' }));
+
+    const settled = await settleDeposit(t, 2500);
+
+    expect(settled.claimedCents).toBe(2500);
+    expect(settled.hold.status).toBe('captured');
+    expect(capturePaymentIntent).toHaveBeenCalledWith(`pi_deposit_${t.id}`, 2500, expect.anything());
+  });
+
+  it('should release a held deposit with nothing claimed', async () => {
+    const t = await newTransaction({ status: 'returned' });
+    await insertHold(t, { expiresInHours: 72 });
+
+    const settled = await settleDeposit(t);
+
+    expect(settled.hold.status).toBe('released');
+    expect(cancelPaymentIntent).toHaveBeenCalledWith(`pi_deposit_${t.id}`, expect.anything());
+  });
+
+  it('should return null for a rental without a separate deposit', async () => {
+    const t = await newTransaction({ rentalDays: 3 });
+    expect(await settleDeposit(t)).toBeNull();
+  });
+});
+
+describe('renewExpiringHolds', () => {
+  it('should re-authorize a deposit hold before it lapses', async () => {
+    const t = await newTransaction({ status: 'picked_up' });
+    const old = await insertHold(t, { expiresInHours: 12 });
+    chargeSavedPaymentMethod.mockResolvedValue({
+      id: `pi_renewed_${t.id}`, status: 'requires_capture', created: Math.floor(Date.now() / 1000),
+    });
+
+    expect(await renewExpiringHolds()).toBeGreaterThanOrEqual(1);
+
+    const holds = await getHolds(t.id);
+    expect(holds.find(h => h.id === old.id).status).toBe('replaced');
+    expect(holds.find(h => h.stripe_payment_intent_id === `pi_renewed_${t.id}`).status).toBe('held');
+    expect(cancelPaymentIntent).toHaveBeenCalledWith(old.stripe_payment_intent_id, expect.anything());
+  });
+
+  it('should charge the deposit when re-authorization is declined', async () => {
+    const t = await newTransaction({ status: 'picked_up' });
+    const old = await insertHold(t, { expiresInHours: 12 });
+    chargeSavedPaymentMethod.mockImplementation(async ({ captureMethod }) => {
+      if (captureMethod === 'manual') {
+        throw Object.assign(new Error('Your card was declined.'), { code: 'card_declined' });
+      }
+      return { id: `pi_charged_${t.id}`, status: 'succeeded', created: Math.floor(Date.now() / 1000) };
+    });
+
+    await renewExpiringHolds();
+
+    const holds = await getHolds(t.id);
+    expect(holds.find(h => h.id === old.id).status).toBe('replaced');
+    expect(holds.find(h => h.stripe_payment_intent_id === `pi_charged_${t.id}`).status).toBe('charged');
+
+    const notified = await query(
+      `SELECT 1 FROM notifications WHERE user_id = $1 AND type = 'deposit_charged' AND transaction_id = $2`,
+      [borrower.userId, t.id]
+    );
+    expect(notified.rows).toHaveLength(1);
+  });
+
+  it('should keep the hold and count the attempt when the card fails entirely', async () => {
+    const t = await newTransaction({ status: 'picked_up' });
+    const old = await insertHold(t, { expiresInHours: 12 });
+    chargeSavedPaymentMethod.mockRejectedValue(Object.assign(new Error('Your card has expired.'), { code: 'expired_card' }));
+
+    await renewExpiringHolds();
+
+    const [hold] = await getHolds(t.id);
+    expect(hold.id).toBe(old.id);
+    expect(hold.status).toBe('held');
+    expect(hold.renewal_attempts).toBe(1);
+    expect(hold.last_error).toBe('Your card has expired.');
+  });
+});
+
+describe('sendHoldExpiryWarnings', () => {
+  it('should warn both parties once about an unanswered request whose hold is lapsing', async () => {
+    const t = await newTransaction();
+    const hold = await insertHold(t, { purpose: 'checkout', expiresInHours: 24 });
+
+    await sendHoldExpiryWarnings();
+    await sendHoldExpiryWarnings();
+
+    const notified = await query(
+      `SELECT user_id, type FROM notifications WHERE transaction_id = $1 AND type LIKE 'hold_expiring_%'`,
+      [t.id]
+    );
+    expect(notified.rows).toHaveLength(2);
+    expect(notified.rows.map(n => n.type).sort()).toEqual(['hold_expiring_borrower', 'hold_expiring_lender']);
+
+    const [warned] = await getHolds(t.id);
+    expect(warned.id).toBe(hold.id);
+    expect(warned.warned_at).not.toBeNull();
+  });
+
+  it('should mark a deposit hold lapsed and tell the lender', async () => {
+    const t = await newTransaction({ status: 'picked_up' });
+    await insertHold(t, { expiresInHours: -1, renewalAttempts: 3 });
+
+    await sendHoldExpiryWarnings();
+
+    const [hold] = await getHolds(t.id);
+    expect(hold.status).toBe('lapsed');
+    const notified = await query(
+      `SELECT 1 FROM notifications WHERE user_id = $1 AND type = 'deposit_hold_lapsed' AND transaction_id = $2`,
+      [lender.userId, t.id]
+    );
+    expect(notified.rows).toHaveLength(1);
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Payment Operations Ledger Tests
+ * Tests: idempotent execution, success hooks, retry with backoff and a fresh Stripe
+ * key per attempt, dead operations flagged to admins, reconciliation against
+ * Stripe, webhook mismatches, and the admin retry/resolve endpoints
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { stripe, createTransfer, refundPayment, cancelPaymentIntent } from '../src/services/stripe.js';
+import {
+  backoffMinutes,
+  executePaymentOperation,
+  retryPaymentOperations,
+  reconcilePaymentOperations,
+  applyWebhookToLedger,
+  MAX_ATTEMPTS,
+} from '../src/services/paymentOperations.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+vi.mock('../src/services/stripe.js', () => ({
+  stripe: {
+    paymentIntents: { retrieve: vi.fn() },
+    refunds: { list: vi.fn(), retrieve: vi.fn() },
+    transfers: { list: vi.fn(), retrieve: vi.fn() },
+  },
+  capturePaymentIntent: vi.fn(),
+  cancelPaymentIntent: vi.fn(),
+  createTransfer: vi.fn(),
+  refundPayment: vi.fn(),
+}));
+
+let app;
+let admin, borrower, lender;
+let listingId, transactionId;
+const run = Date.now();
+const createdUserIds = [];
+
+const getOp = async (key) => {
+  const result = await query('SELECT * FROM payment_operations WHERE idempotency_key = $1', [key]);
+  return result.rows[0];
+};
+
+const makeDue = (id) => query(
+  `UPDATE payment_operations SET next_attempt_at = NOW() - INTERVAL '1 minute' WHERE id = $1`,
+  [id]
+);
+
+const stripeError = (message, code) => Object.assign(new Error(message), { code });
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/admin', module: '../../src/routes/admin.js' });
+
+  admin = await createTestUser({ email: `payop-admin-${run}@borrowhood.test` });
+  borrower = await createTestUser({ email: `payop-borrower-${run}@borrowhood.test` });
+  lender = await createTestUser({ email: `payop-lender-${run}@borrowhood.test` });
+  createdUserIds.push(admin.userId, borrower.userId, lender.userId);
+
+  await query('UPDATE users SET is_admin = true WHERE id = $1', [admin.userId]);
+
+  listingId = await createTestListing(lender.userId, { title: 'Ledger Test Kayak' });
+  transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'returned' });
+  await query(
+    `UPDATE borrow_transactions SET stripe_payment_intent_id = $1, payment_status = 'transfer_failed' WHERE id = $2`,
+    [`pi_ledger_${run}`, transactionId]
+  );
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM payment_operations WHERE idempotency_key LIKE $1', [`%${run}%`]);
+    await query('DELETE FROM payment_operations WHERE transaction_id = $1', [transactionId]);
+    await query('DELETE FROM audit_log WHERE actor_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [createdUserIds]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  stripe.refunds.list.mockResolvedValue({ data: [] });
+  stripe.transfers.list.mockResolvedValue({ data: [] });
+});
+
+describe('backoffMinutes', () => {
+  it('should double from five minutes', () => {
+    expect(backoffMinutes(1)).toBe(5);
+    expect(backoffMinutes(2)).toBe(10);
+    expect(backoffMinutes(4)).toBe(40);
+  });
+
+  it('should cap at twelve hours', () => {
+    expect(backoffMinutes(MAX_ATTEMPTS + 10)).toBe(12 * 60);
+  });
+});
+
+describe('executePaymentOperation', () => {
+  it('should record a transfer and bring the transaction up to date', async () => {
+    createTransfer.mockResolvedValueOnce({ id: `tr_payout_${run}` });
+
+    const op = await executePaymentOperation({
+      kind: 'transfer',
+      purpose: 'rental_payout',
+      idempotencyKey: `rental_payout:${transactionId}`,
+      paymentIntentId: `pi_ledger_${run}`,
+      amountCents: 980,
+      destinationAccountId: 'acct_ledger_test',
+      transactionId,
+    });
+
+    expect(op.status).toBe('succeeded');
+    expect(op.stripeObjectId).toBe(`tr_payout_${run}`);
+    expect(createTransfer).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 980,
+      transferGroup: `payop_${op.id}`,
+      idempotencyKey: `rental_payout:${transactionId}:1`,
+    }));
+
+    const txn = await query('SELECT stripe_transfer_id, payment_status FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].stripe_transfer_id).toBe(`tr_payout_${run}`);
+    expect(txn.rows[0].payment_status).toBe('completed');
+  });
+
+  it('should not move money twice for the same key', async () => {
+    const op = await executePaymentOperation({
+      kind: 'transfer',
+      purpose: 'rental_payout',
+      idempotencyKey: `rental_payout:${transactionId}`,
+      paymentIntentId: `pi_ledger_${run}`,
+      amountCents: 980,
+      destinationAccountId: 'acct_ledger_test',
+      transactionId,
+    });
+
+    expect(op.status).toBe('succeeded');
+    expect(createTransfer).not.toHaveBeenCalled();
+  });
+
+  it('should leave a failure for the caller when retry is off', async () => {
+    cancelPaymentIntent.mockRejectedValueOnce(new Error('Network timeout'));
+    stripe.paymentIntents.retrieve.mockResolvedValueOnce({ status: 'requires_capture' });
+
+    const op = await executePaymentOperation({
+      kind: 'cancel',
+      purpose: 'rental_cancel',
+      idempotencyKey: `rental_cancel:test-${run}`,
+      paymentIntentId: `pi_cancel_${run}`,
+      retry: false,
+    });
+
+    expect(op.status).toBe('abandoned');
+    expect(op.lastError).toBe('Network timeout');
+    expect(op.nextAttemptAt).toBeNull();
+  });
+
+  it('should treat an already-released hold as cancelled', async () => {
+    stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: `pi_gone_${run}`, status: 'canceled' });
+
+    const op = await executePaymentOperation({
+      kind: 'cancel',
+      purpose: 'deposit_release',
+      idempotencyKey: `deposit_release:test-${run}`,
+      paymentIntentId: `pi_gone_${run}`,
+    });
+
+    expect(op.status).toBe('succeeded');
+    expect(cancelPaymentIntent).not.toHaveBeenCalled();
+  });
+});
+
+describe('retryPaymentOperations', () => {
+  const key = `dispute_refund:retry-${run}`;
+
+  it('should queue a failed refund with backoff', async () => {
+    refundPayment.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    const op = await executePaymentOperation({
+      kind: 'refund',
+      purpose: 'dispute_refund',
+      idempotencyKey: key,
+      paymentIntentId: `pi_refund_${run}`,
+      amountCents: 2500,
+    });
+
+    expect(op.status).toBe('failed');
+    expect(new Date(op.nextAttemptAt).getTime()).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+  });
+
+  it('should retry once due, checking Stripe first and using a fresh key', async () => {
+    const op = await getOp(key);
+    await makeDue(op.id);
+    refundPayment.mockResolvedValueOnce({ id: `re_retry_${run}` });
+
+    const result = await retryPaymentOperations();
+
+    expect(result.succeeded).toBeGreaterThanOrEqual(1);
+    expect(stripe.refunds.list).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: `pi_refund_${run}` }));
+    expect(refundPayment).toHaveBeenCalledWith(`pi_refund_${run}`, 2500, expect.objectContaining({
+      idempotencyKey: `${key}:2`,
+    }));
+
+    const after = await getOp(key);
+    expect(after.status).toBe('succeeded');
+    expect(after.attempts).toBe(2);
+  });
+
+  it('should not refund again when an earlier attempt went through', async () => {
+    const earlyKey = `dispute_refund:early-${run}`;
+    refundPayment.mockRejectedValueOnce(new Error('Request timed out'));
+    const op = await executePaymentOperation({
+      kind: 'refund',
+      purpose: 'dispute_refund',
+      idempotencyKey: earlyKey,
+      paymentIntentId: `pi_early_${run}`,
+      amountCents: 1000,
+    });
+    await makeDue(op.id);
+
+    stripe.refunds.list.mockResolvedValueOnce({
+      data: [{ id: `re_early_${run}`, status: 'succeeded', metadata: { paymentOperationId: op.id } }],
+    });
+    refundPayment.mockClear();
+
+    await retryPaymentOperations();
+
+    expect(refundPayment).not.toHaveBeenCalled();
+    expect((await getOp(earlyKey)).stripe_object_id).toBe(`re_early_${run}`);
+  });
+
+  it('should give up on permanent errors and tell admins', async () => {
+    refundPayment.mockRejectedValueOnce(stripeError('Charge already refunded', 'charge_already_refunded'));
+
+    const op = await executePaymentOperation({
+      kind: 'refund',
+      purpose: 'deposit_refund',
+      idempotencyKey: `deposit_refund:dead-${run}`,
+      paymentIntentId: `pi_dead_${run}`,
+      amountCents: 5000,
+    });
+
+    expect(op.status).toBe('dead');
+
+    const notes = await query(
+      `SELECT body FROM notifications WHERE user_id = $1 AND type = 'payment_needs_attention'`,
+      [admin.userId]
+    );
+    expect(notes.rows.map(n => n.body)).toContain('deposit refund failed: Charge already refunded');
+  });
+});
+
+describe('reconcilePaymentOperations', () => {
+  it('should flag a transfer that was reversed in Stripe', async () => {
+    createTransfer.mockResolvedValueOnce({ id: `tr_reversed_${run}` });
+    const op = await executePaymentOperation({
+      kind: 'transfer',
+      purpose: 'dispute_payout',
+      idempotencyKey: `dispute_payout:reconcile-${run}`,
+      paymentIntentId: `pi_reconcile_${run}`,
+      amountCents: 1500,
+      destinationAccountId: 'acct_ledger_test',
+    });
+    await query(`UPDATE payment_operations SET succeeded_at = NOW() - INTERVAL '1 hour' WHERE id = $1`, [op.id]);
+    stripe.transfers.retrieve.mockResolvedValue({ id: `tr_reversed_${run}`, amount: 1500, reversed: true });
+
+    await reconcilePaymentOperations();
+
+    const after = await getOp(`dispute_payout:reconcile-${run}`);
+    expect(after.reconciliation_status).toBe('mismatch');
+    expect(after.reconciliation_note).toMatch(/reversed/);
+  });
+
+  it('should put operations interrupted mid-call back on the queue', async () => {
+    const op = await executePaymentOperation({
+      kind: 'refund',
+      purpose: 'dispute_refund',
+      idempotencyKey: `dispute_refund:stuck-${run}`,
+      paymentIntentId: `pi_stuck_${run}`,
+      amountCents: 700,
+    });
+    await query(
+      `UPDATE payment_operations SET status = 'processing', updated_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+      [op.id]
+    );
+
+    await reconcilePaymentOperations();
+
+    const after = await getOp(`dispute_refund:stuck-${run}`);
+    expect(after.status).toBe('failed');
+    expect(after.next_attempt_at).not.toBeNull();
+  });
+});
+
+describe('applyWebhookToLedger', () => {
+  it('should flag a refund Stripe later failed', async () => {
+    refundPayment.mockResolvedValueOnce({ id: `re_webhook_${run}` });
+    await executePaymentOperation({
+      kind: 'refund',
+      purpose: 'dispute_refund',
+      idempotencyKey: `dispute_refund:webhook-${run}`,
+      paymentIntentId: `pi_webhook_${run}`,
+      amountCents: 1200,
+    });
+
+    await applyWebhookToLedger({
+      id: `evt_${run}`,
+      type: 'refund.failed',
+      data: { object: { id: `re_webhook_${run}`, status: 'failed' } },
+    });
+
+    const after = await getOp(`dispute_refund:webhook-${run}`);
+    expect(after.reconciliation_status).toBe('mismatch');
+  });
+
+  it('should confirm a transfer Stripe reports', async () => {
+    await applyWebhookToLedger({
+      id: `evt_tr_${run}`,
+      type: 'transfer.created',
+      data: { object: { id: `tr_payout_${run}` } },
+    });
+
+    const after = await getOp(`rental_payout:${transactionId}`);
+    expect(after.webhook_confirmed_at).not.toBeNull();
+  });
+});
+
+describe('Admin payment operation routes', () => {
+  it('should list operations needing attention', async () => {
+    const res = await request(app)
+      .get('/api/admin/payment-operations?attention=true')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    const keys = res.body.map(op => op.purpose);
+    expect(keys).toContain('deposit_refund');
+    expect(keys).toContain('dispute_payout');
+  });
+
+  it('should reject non-admins', async () => {
+    const res = await request(app)
+      .get('/api/admin/payment-operations')
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should retry a dead operation on demand and audit it', async () => {
+    const dead = await getOp(`deposit_refund:dead-${run}`);
+    refundPayment.mockResolvedValueOnce({ id: `re_manual_${run}` });
+
+    const res = await request(app)
+      .post(`/api/admin/payment-operations/${dead.id}/retry`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('succeeded');
+
+    const audit = await query(
+      `SELECT * FROM audit_log WHERE entity_id = $1 AND action = 'payment_operation.retry'`,
+      [dead.id]
+    );
+    expect(audit.rows).toHaveLength(1);
+  });
+
+  it('should resolve a mismatch with a note', async () => {
+    const mismatch = await getOp(`dispute_payout:reconcile-${run}`);
+
+    const res = await request(app)
+      .post(`/api/admin/payment-operations/${mismatch.id}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ note: 'Lender repaid the reversed transfer by hand' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reconciliationStatus).toBe('resolved');
+
+    const again = await request(app)
+      .post(`/api/admin/payment-operations/${mismatch.id}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ note: 'Lender repaid the reversed transfer by hand' });
+    expect(again.status).toBe(404);
+  });
+});
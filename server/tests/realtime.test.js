@@ -0,0 +1,147 @@
+/**
+ * Realtime Gateway Tests
+ * Tests: socket auth, message:new fan-out, typing relay, read receipts,
+ * delivery of events raised by another process (job workers)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, cleanupTestUser } from './helpers/stripe.js';
+import { attachRealtimeGateway } from '../src/services/realtime.js';
+
+let app, server, baseUrl;
+let alice, bob;
+let conversationId;
+let aliceWs, bobWs;
+const sockets = [];
+const createdUserIds = [];
+
+// Open a socket and buffer its frames so tests can wait for a given type
+function connect(token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl}/ws`, { headers: { Authorization: `Bearer ${token}` } });
+    ws.frames = [];
+    ws.waiters = [];
+    ws.on('message', (raw) => {
+      const frame = JSON.parse(raw.toString());
+      const waiter = ws.waiters.find(w => w.type === frame.type);
+      if (waiter) {
+        ws.waiters.splice(ws.waiters.indexOf(waiter), 1);
+        waiter.resolve(frame.data);
+      } else {
+        ws.frames.push(frame);
+      }
+    });
+    ws.once('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    ws.once('error', reject);
+    sockets.push(ws);
+    nextFrame(ws, 'ready').then(() => resolve(ws), reject);
+  });
+}
+
+function nextFrame(ws, type, timeoutMs = 3000) {
+  const buffered = ws.frames.findIndex(f => f.type === type);
+  if (buffered !== -1) {
+    return Promise.resolve(ws.frames.splice(buffered, 1)[0].data);
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${type}`)), timeoutMs);
+    ws.waiters.push({ type, resolve: (data) => { clearTimeout(timer); resolve(data); } });
+  });
+}
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/messages', module: '../../src/routes/messages.js' }
+  );
+  server = app.listen(0);
+  attachRealtimeGateway(server);
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+
+  alice = await createTestUser({ email: `rt-alice-${Date.now()}@borrowhood.test` });
+  bob = await createTestUser({ email: `rt-bob-${Date.now()}@borrowhood.test` });
+  createdUserIds.push(alice.userId, bob.userId);
+});
+
+afterAll(async () => {
+  for (const ws of sockets) ws.terminate();
+  await new Promise(resolve => server.close(resolve));
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('WebSocket /ws', () => {
+  it('should reject connections without a token', async () => {
+    const status = await new Promise((resolve) => {
+      const ws = new WebSocket(`${baseUrl}/ws`);
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    expect(status).toBe(401);
+  });
+
+  it('should reject an invalid token', async () => {
+    await expect(connect('not-a-jwt')).rejects.toThrow('HTTP 401');
+  });
+
+  it('should push message:new to both participants', async () => {
+    aliceWs = await connect(alice.token);
+    bobWs = await connect(bob.token);
+
+    const res = await request(app)
+      .post('/api/messages')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ recipientId: bob.userId, content: 'Is the ladder free Saturday?' });
+
+    expect(res.status).toBe(201);
+    conversationId = res.body.conversationId;
+
+    const received = await nextFrame(bobWs, 'message:new');
+    expect(received.id).toBe(res.body.id);
+    expect(received.conversationId).toBe(conversationId);
+    expect(received.senderId).toBe(alice.userId);
+    expect(received.content).toBe('Is the ladder free Saturday?');
+
+    const echoed = await nextFrame(aliceWs, 'message:new');
+    expect(echoed.id).toBe(res.body.id);
+
+    const badge = await nextFrame(bobWs, 'badge_count');
+    expect(badge.messages).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should relay typing to the other participant', async () => {
+    aliceWs.send(JSON.stringify({ type: 'typing', conversationId, isTyping: true }));
+    const typing = await nextFrame(bobWs, 'typing');
+    expect(typing).toMatchObject({ conversationId, userId: alice.userId, isTyping: true });
+  });
+
+  it('should notify the sender with message:read when the recipient reads', async () => {
+    const res = await request(app)
+      .post(`/api/messages/conversations/${conversationId}/read`)
+      .set('Authorization', `Bearer ${bob.token}`);
+
+    expect(res.status).toBe(200);
+    const read = await nextFrame(aliceWs, 'message:read');
+    expect(read).toMatchObject({ conversationId, readerId: bob.userId });
+  });
+
+  it('should deliver events raised in another process', async () => {
+    // What a job worker's publish() sends — no sockets in that process
+    await query('SELECT pg_notify($1, $2)', [
+      'realtime_events',
+      JSON.stringify({ userIds: [bob.userId], type: 'transaction:updated', data: { transactionId: 'txn-remote' } }),
+    ]);
+    const updated = await nextFrame(bobWs, 'transaction:updated');
+    expect(updated.transactionId).toBe('txn-remote');
+
+    await query('SELECT pg_notify($1, $2)', [
+      'realtime_events',
+      JSON.stringify({ userIds: [bob.userId], type: 'badge_count', load: true }),
+    ]);
+    const badge = await nextFrame(bobWs, 'badge_count');
+    expect(badge).toHaveProperty('total');
+  });
+});
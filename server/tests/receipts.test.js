@@ -0,0 +1,194 @@
+/**
+ * Receipt Tests
+ * Tests: itemized borrower and lender receipts (deposit returns, late fees and damage
+ * claims kept from the deposit, refunds for requests that never went ahead), the PDF
+ * rendition, emailing a receipt, and year-end statements
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { sendReceiptEmail } from '../src/services/email.js';
+import { buildReceipt, buildYearEndStatement } from '../src/services/receipts.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction, createTestDispute } from './helpers/fixtures.js';
+
+vi.mock('../src/services/email.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  sendReceiptEmail: vi.fn(),
+}));
+
+let app;
+let borrower, lender, outsider;
+let listingId;
+let completedId, declinedId;
+const run = Date.now();
+const createdUserIds = [];
+const year = new Date().getFullYear();
+
+const line = (receipt, label) => receipt.lineItems.find(item => item.label === label);
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/transactions', module: '../../src/routes/transactions.js' });
+
+  borrower = await createTestUser({ email: `receipt-borrower-${run}@borrowhood.test`, firstName: 'Sam', lastName: 'Lee' });
+  lender = await createTestUser({ email: `receipt-lender-${run}@borrowhood.test`, firstName: 'Jordan', lastName: 'Park' });
+  outsider = await createTestUser({ email: `receipt-outsider-${run}@borrowhood.test` });
+  createdUserIds.push(borrower.userId, lender.userId, outsider.userId);
+
+  listingId = await createTestListing(lender.userId, { title: 'Receipt Test Drill' });
+
+  // $30 rental with a $50 deposit: $5 late fee and a $20 damage claim came out of the deposit
+  completedId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'completed', rentalDays: 3, dailyRate: 10, rentalFee: 30, depositAmount: 50,
+    platformFee: 3, lenderPayout: 27,
+  });
+  await query(
+    `UPDATE borrow_transactions
+     SET late_fee_amount_cents = 500, late_fee_charged_cents = 500,
+         payment_status = 'deposit_released', actual_return_at = NOW()
+     WHERE id = $1`,
+    [completedId]
+  );
+  const disputeId = await createTestDispute(completedId, lender.userId, borrower.userId, {
+    status: 'resolvedInFavorOfClaimant',
+  });
+  await query(
+    'UPDATE disputes SET resolved_amount = 20, resolved_at = NOW() WHERE id = $1',
+    [disputeId]
+  );
+
+  declinedId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+    status: 'declined', rentalDays: 2, dailyRate: 10, rentalFee: 20, depositAmount: 50,
+  });
+});
+
+afterAll(async () => {
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('buildReceipt', () => {
+  it('should itemize what the borrower paid and what came back from the deposit', async () => {
+    const receipt = await buildReceipt(completedId, borrower.userId);
+
+    expect(receipt.role).toBe('borrower');
+    expect(receipt.receiptNumber).toBe(`BH-${completedId.slice(0, 8).toUpperCase()}`);
+    expect(line(receipt, 'Rental fee (3 days x $10.00)').amount).toBe(30);
+    expect(line(receipt, 'Security deposit (refundable)').amount).toBe(50);
+    expect(line(receipt, 'Late fee (kept from deposit)')).toMatchObject({ amount: 5, memo: true });
+    expect(line(receipt, 'Damage claim (kept from deposit)')).toMatchObject({ amount: 20, memo: true });
+    expect(line(receipt, 'Deposit returned').amount).toBe(-25);
+    expect(receipt.total).toBe(55);
+  });
+
+  it('should itemize the lender\'s earnings after fees', async () => {
+    const receipt = await buildReceipt(completedId, lender.userId);
+
+    expect(receipt.role).toBe('lender');
+    expect(line(receipt, 'Platform fee').amount).toBe(-3);
+    expect(line(receipt, 'Late fee (from deposit)').amount).toBe(5);
+    expect(line(receipt, 'Damage claim awarded').amount).toBe(20);
+    expect(receipt.total).toBe(52);
+  });
+
+  it('should show a refund for a request that never went ahead', async () => {
+    const receipt = await buildReceipt(declinedId, borrower.userId);
+
+    expect(line(receipt, 'Refunded - request not completed').amount).toBe(-70);
+    expect(receipt.total).toBe(0);
+  });
+
+  it('should return null for someone outside the transaction', async () => {
+    expect(await buildReceipt(completedId, outsider.userId)).toBeNull();
+  });
+});
+
+describe('GET /api/transactions/:id/receipt', () => {
+  it('should return the requesting party\'s receipt', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${completedId}/receipt`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalLabel).toBe('Your earnings');
+    expect(res.body.item.title).toBe('Receipt Test Drill');
+  });
+
+  it('should render a PDF invoice', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${completedId}/receipt?format=pdf`)
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/pdf');
+    expect(res.headers['content-disposition']).toContain('.pdf');
+    expect(res.body.subarray(0, 8).toString()).toBe('%PDF-1.4');
+  });
+
+  it('should 404 for someone outside the transaction', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${completedId}/receipt`)
+      .set('Authorization', `Bearer ${outsider.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/transactions/:id/receipt/email', () => {
+  it('should email the receipt with the PDF attached', async () => {
+    const res = await request(app)
+      .post(`/api/transactions/${completedId}/receipt/email`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sentTo).toBe(borrower.email);
+    expect(sendReceiptEmail).toHaveBeenCalledTimes(1);
+    const [to, { receipt, pdf }] = sendReceiptEmail.mock.calls[0];
+    expect(to).toBe(borrower.email);
+    expect(receipt.transactionId).toBe(completedId);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('Year-end statements', () => {
+  it('should total the year\'s lending income and fees', async () => {
+    const statement = await buildYearEndStatement(lender.userId, year);
+
+    expect(statement.lending).toMatchObject({
+      rentals: 1,
+      grossIncome: 30,
+      platformFees: 3,
+      lateFees: 5,
+      damageClaims: 20,
+      netEarnings: 52,
+    });
+    expect(statement.receipts).toHaveLength(1);
+  });
+
+  it('should total the year\'s borrowing spend and leave out declined requests', async () => {
+    const statement = await buildYearEndStatement(borrower.userId, year);
+
+    expect(statement.borrowing).toMatchObject({ rentals: 1, rentalFees: 30, totalSpent: 55 });
+    expect(statement.receipts.map(r => r.transactionId)).not.toContain(declinedId);
+  });
+
+  it('should reject a year outside the supported range', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/statements/${year + 1}`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Reports Route Tests
+ * Tests: filing reports, duplicate guard, message privacy, review queue scoping,
+ * hide / warn / suspend / dismiss actions, reporter notifications
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import {
+  createTestCommunity,
+  addCommunityMember,
+  createConversation,
+  createMessage,
+  createTestDiscussion,
+} from './helpers/fixtures.js';
+
+let app;
+let owner, reporter, secondReporter, organizer, admin, outsider;
+let communityId, listingId, discussionId, messageId;
+const createdUserIds = [];
+
+const notificationCount = async (userId, type) => {
+  const result = await query(
+    'SELECT 1 FROM notifications WHERE user_id = $1 AND type = $2',
+    [userId, type]
+  );
+  return result.rows.length;
+};
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/reports', module: '../../src/routes/reports.js' });
+
+  owner = await createTestUser({ email: `rep-owner-${Date.now()}@borrowhood.test` });
+  reporter = await createTestUser({ email: `rep-reporter-${Date.now()}@borrowhood.test` });
+  secondReporter = await createTestUser({ email: `rep-second-${Date.now()}@borrowhood.test` });
+  organizer = await createTestUser({ email: `rep-org-${Date.now()}@borrowhood.test` });
+  admin = await createTestUser({ email: `rep-admin-${Date.now()}@borrowhood.test` });
+  outsider = await createTestUser({ email: `rep-out-${Date.now()}@borrowhood.test` });
+  createdUserIds.push(owner.userId, reporter.userId, secondReporter.userId, organizer.userId, admin.userId, outsider.userId);
+
+  await query('UPDATE users SET is_admin = true WHERE id = $1', [admin.userId]);
+
+  communityId = await createTestCommunity({ name: `Reports Community ${Date.now()}` });
+  await addCommunityMember(owner.userId, communityId);
+  await addCommunityMember(organizer.userId, communityId, 'organizer');
+
+  listingId = await createTestListing(owner.userId, { title: 'Suspicious Drill', isFree: true });
+  await query('UPDATE listings SET community_id = $1 WHERE id = $2', [communityId, listingId]);
+
+  discussionId = await createTestDiscussion(listingId, owner.userId, 'Buy followers at spam.example');
+
+  const conversationId = await createConversation(reporter.userId, owner.userId, listingId);
+  messageId = await createMessage(conversationId, owner.userId, 'Pay me off-platform');
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM reports WHERE reporter_id = ANY($1) OR reported_user_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM listing_discussions WHERE listing_id = $1', [listingId]);
+    await query('DELETE FROM messages WHERE id = $1', [messageId]);
+    await query('DELETE FROM conversations WHERE user1_id = ANY($1)', [createdUserIds]);
+    await query('DELETE FROM community_memberships WHERE community_id = $1', [communityId]);
+    await query('DELETE FROM listings WHERE id = $1', [listingId]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('POST /api/reports', () => {
+  it('should file a report against a listing', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'listing', targetId: listingId, reason: 'scam', details: 'Asked for a wire transfer' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('open');
+
+    const stored = await query('SELECT reported_user_id, community_id FROM reports WHERE id = $1', [res.body.id]);
+    expect(stored.rows[0].reported_user_id).toBe(owner.userId);
+    expect(stored.rows[0].community_id).toBe(communityId);
+  });
+
+  it('should reject a second open report from the same person', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'listing', targetId: listingId, reason: 'spam' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should reject reporting yourself', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ targetType: 'listing', targetId: listingId, reason: 'spam' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should only let conversation participants report a message', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${outsider.token}`)
+      .send({ targetType: 'message', targetId: messageId, reason: 'scam' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for missing content', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'discussion', targetId: '00000000-0000-0000-0000-000000000000', reason: 'spam' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should require details for "other"', async () => {
+    const res = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'user', targetId: owner.userId, reason: 'other' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/reports', () => {
+  it('should refuse members who organize nothing', async () => {
+    const res = await request(app)
+      .get('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should group reports about the same content for organizers', async () => {
+    await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${secondReporter.token}`)
+      .send({ targetType: 'listing', targetId: listingId, reason: 'scam' });
+
+    const res = await request(app)
+      .get('/api/reports')
+      .set('Authorization', `Bearer ${organizer.token}`);
+
+    expect(res.status).toBe(200);
+    const entry = res.body.find(r => r.targetId === listingId);
+    expect(entry).toBeDefined();
+    expect(entry.reportCount).toBe(2);
+    expect(entry.preview).toBe('Suspicious Drill');
+  });
+});
+
+describe('POST /api/reports/:id/resolve', () => {
+  it('should hide the listing and close every open report about it', async () => {
+    const open = await query(
+      `SELECT id FROM reports WHERE target_id = $1 AND status = 'open' LIMIT 1`,
+      [listingId]
+    );
+
+    const res = await request(app)
+      .post(`/api/reports/${open.rows[0].id}/resolve`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ action: 'hide', notes: 'Scam listing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reportsClosed).toBe(2);
+
+    const listing = await query('SELECT status FROM listings WHERE id = $1', [listingId]);
+    expect(listing.rows[0].status).toBe('hidden');
+
+    expect(await notificationCount(owner.userId, 'content_removed')).toBe(1);
+    expect(await notificationCount(reporter.userId, 'report_resolved')).toBe(1);
+    expect(await notificationCount(secondReporter.userId, 'report_resolved')).toBe(1);
+  });
+
+  it('should hide a discussion post', async () => {
+    const created = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'discussion', targetId: discussionId, reason: 'spam' });
+
+    const res = await request(app)
+      .post(`/api/reports/${created.body.id}/resolve`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ action: 'hide' });
+
+    expect(res.status).toBe(200);
+    const post = await query('SELECT is_hidden, hidden_by FROM listing_discussions WHERE id = $1', [discussionId]);
+    expect(post.rows[0].is_hidden).toBe(true);
+    expect(post.rows[0].hidden_by).toBe(organizer.userId);
+  });
+
+  it('should not let organizers suspend accounts', async () => {
+    const created = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'user', targetId: owner.userId, reason: 'harassment' });
+
+    const res = await request(app)
+      .post(`/api/reports/${created.body.id}/resolve`)
+      .set('Authorization', `Bearer ${organizer.token}`)
+      .send({ action: 'suspend' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should let admins suspend the reported user', async () => {
+    const open = await query(
+      `SELECT id FROM reports WHERE target_type = 'user' AND target_id = $1 AND status = 'open'`,
+      [owner.userId]
+    );
+
+    const res = await request(app)
+      .post(`/api/reports/${open.rows[0].id}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'suspend' });
+
+    expect(res.status).toBe(200);
+    const user = await query('SELECT status FROM users WHERE id = $1', [owner.userId]);
+    expect(user.rows[0].status).toBe('suspended');
+  });
+
+  it('should dismiss a report without touching the content', async () => {
+    const created = await request(app)
+      .post('/api/reports')
+      .set('Authorization', `Bearer ${reporter.token}`)
+      .send({ targetType: 'message', targetId: messageId, reason: 'scam' });
+
+    const res = await request(app)
+      .post(`/api/reports/${created.body.id}/resolve`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ action: 'dismiss' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('dismissed');
+
+    const message = await query('SELECT deleted_at FROM messages WHERE id = $1', [messageId]);
+    expect(message.rows[0].deleted_at).toBeNull();
+  });
+
+  it('should show the outcome to the reporter', async () => {
+    const res = await request(app)
+      .get('/api/reports/mine')
+      .set('Authorization', `Bearer ${reporter.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(r => r.status)).toEqual(
+      expect.arrayContaining(['actioned', 'dismissed'])
+    );
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Reputation Engine Tests
+ * Tests: streak calculation, score components, recalculation from transaction history,
+ * GET /api/users/:id/reputation breakdown
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { computeStreaks, scoreReputation, recalculateReputation, REPUTATION_POINTS } from '../src/services/reputation.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+const emptyMetrics = {
+  completedLends: 0,
+  completedBorrows: 0,
+  responseCount: 0,
+  responseTimeAvgHours: null,
+  onTimeReturns: 0,
+  lateReturns: 0,
+  conditionLevelsLost: 0,
+  itemCareRating: null,
+  ratingCount: 0,
+  ratingSum: 0,
+  disputesLost: 0,
+  badgeCount: 0,
+  badgePoints: 0,
+  lendingStreak: 0,
+  longestLendingStreak: 0,
+};
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+describe('computeStreaks', () => {
+  const today = new Date('2026-03-10T12:00:00Z');
+
+  it('should count a run ending today as the current streak', () => {
+    const result = computeStreaks(['2026-03-08', '2026-03-09', '2026-03-10'], today);
+    expect(result).toEqual({ current: 3, longest: 3 });
+  });
+
+  it('should keep the streak alive through the day after the last active day', () => {
+    const result = computeStreaks(['2026-03-08', '2026-03-09'], today);
+    expect(result.current).toBe(2);
+  });
+
+  it('should drop the current streak after a missed day but keep the longest', () => {
+    const result = computeStreaks(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-07'], today);
+    expect(result).toEqual({ current: 0, longest: 4 });
+  });
+
+  it('should handle no activity', () => {
+    expect(computeStreaks([], today)).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('scoreReputation', () => {
+  it('should score zero with no history', () => {
+    const { score, components } = scoreReputation(emptyMetrics);
+    expect(score).toBe(0);
+    expect(components.map(c => c.key)).toEqual([
+      'lending', 'borrowing', 'ratings', 'returns', 'itemCare', 'responsiveness', 'disputes', 'badges', 'streak',
+    ]);
+  });
+
+  it('should sum components into the score', () => {
+    const { score, components } = scoreReputation({
+      ...emptyMetrics,
+      completedLends: 2,
+      completedBorrows: 1,
+      ratingCount: 2,
+      ratingSum: 9,
+      onTimeReturns: 1,
+      badgeCount: 1,
+      badgePoints: 10,
+    });
+    const expected = 2 * REPUTATION_POINTS.completedLend
+      + REPUTATION_POINTS.completedBorrow
+      + 3 * REPUTATION_POINTS.ratingStep
+      + REPUTATION_POINTS.onTimeReturn
+      + 10;
+    expect(score).toBe(expected);
+    expect(components.reduce((sum, c) => sum + c.points, 0)).toBe(expected);
+  });
+
+  it('should only score responsiveness after enough responses', () => {
+    const few = scoreReputation({ ...emptyMetrics, responseCount: 2, responseTimeAvgHours: 1 });
+    expect(few.components.find(c => c.key === 'responsiveness').points).toBe(0);
+
+    const fast = scoreReputation({ ...emptyMetrics, responseCount: 3, responseTimeAvgHours: 1 });
+    expect(fast.components.find(c => c.key === 'responsiveness').points).toBe(REPUTATION_POINTS.fastResponse);
+
+    const slow = scoreReputation({ ...emptyMetrics, completedLends: 5, responseCount: 3, responseTimeAvgHours: 100 });
+    expect(slow.components.find(c => c.key === 'responsiveness').points).toBe(REPUTATION_POINTS.slowResponse);
+  });
+
+  it('should cap the streak bonus and never go below zero', () => {
+    const streak = scoreReputation({ ...emptyMetrics, lendingStreak: 40 });
+    expect(streak.score).toBe(REPUTATION_POINTS.streakCap * REPUTATION_POINTS.streakDay);
+
+    const negative = scoreReputation({ ...emptyMetrics, lateReturns: 3, disputesLost: 1 });
+    expect(negative.score).toBe(0);
+  });
+});
+
+describe('Reputation recalculation', () => {
+  let app;
+  let lender, borrower;
+  let listingId;
+  const createdUserIds = [];
+
+  beforeAll(async () => {
+    app = await createTestApp(
+      { path: '/api/users', module: '../../src/routes/users.js' }
+    );
+
+    lender = await createTestUser({ email: `rep-lender-${Date.now()}@borrowhood.test` });
+    borrower = await createTestUser({ email: `rep-borrower-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(lender.userId, borrower.userId);
+
+    listingId = await createTestListing(lender.userId, { title: 'Pressure Washer' });
+
+    // Returned on time in like-new condition, rated 5 by the lender
+    const onTime = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+      status: 'completed',
+      requestedStartDate: daysAgo(10),
+      requestedEndDate: daysAgo(7),
+    });
+    await query(
+      `UPDATE borrow_transactions SET
+         created_at = $2, lender_responded_at = $3,
+         actual_pickup_at = $4, actual_return_at = $5,
+         condition_at_pickup = 'like_new', condition_at_return = 'like_new'
+       WHERE id = $1`,
+      [onTime, daysAgo(12), new Date(Date.parse(daysAgo(12)) + 2 * 3600 * 1000).toISOString(), daysAgo(10), daysAgo(8)]
+    );
+    await query(
+      `INSERT INTO ratings (transaction_id, rater_id, ratee_id, rating, is_lender_rating)
+       VALUES ($1, $2, $3, 5, false)`,
+      [onTime, lender.userId, borrower.userId]
+    );
+
+    // Returned two days late, one condition level worse
+    const late = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+      status: 'completed',
+      requestedStartDate: daysAgo(6),
+      requestedEndDate: daysAgo(4),
+    });
+    await query(
+      `UPDATE borrow_transactions SET
+         actual_pickup_at = $2, actual_return_at = $3,
+         condition_at_pickup = 'good', condition_at_return = 'fair'
+       WHERE id = $1`,
+      [late, daysAgo(6), daysAgo(2)]
+    );
+  });
+
+  afterAll(async () => {
+    for (const id of createdUserIds) {
+      try { await cleanupTestUser(id); } catch (e) { /* */ }
+    }
+  });
+
+  it('should store borrower metrics derived from transaction history', async () => {
+    const { metrics } = await recalculateReputation(borrower.userId);
+
+    expect(metrics.onTimeReturns).toBe(1);
+    expect(metrics.lateReturns).toBe(1);
+    expect(metrics.onTimeReturnRate).toBe(0.5);
+    expect(metrics.conditionLevelsLost).toBe(1);
+    // (5 + 5) / 2 for the rated clean return, 5 - 1.5 for the damaged one
+    expect(metrics.itemCareRating).toBe(4.25);
+
+    const user = await query(
+      'SELECT on_time_return_rate, item_care_rating, reputation_updated_at FROM users WHERE id = $1',
+      [borrower.userId]
+    );
+    expect(parseFloat(user.rows[0].on_time_return_rate)).toBe(0.5);
+    expect(parseFloat(user.rows[0].item_care_rating)).toBe(4.25);
+    expect(user.rows[0].reputation_updated_at).not.toBeNull();
+  });
+
+  it('should store lender response time and lending streak', async () => {
+    const { metrics } = await recalculateReputation(lender.userId);
+
+    expect(metrics.completedLends).toBe(2);
+    expect(metrics.responseCount).toBe(1);
+    expect(metrics.responseTimeAvgHours).toBeCloseTo(2, 1);
+    expect(metrics.longestLendingStreak).toBeGreaterThanOrEqual(5);
+  });
+
+  it('should return a breakdown that adds up to the score', async () => {
+    const res = await request(app)
+      .get(`/api/users/${borrower.userId}/reputation`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.onTimeReturnRate).toBe(0.5);
+    const total = res.body.components.reduce((sum, c) => sum + c.points, 0);
+    expect(res.body.reputationScore).toBe(Math.max(0, total));
+  });
+
+  it('should serve the stored score without recalculating', async () => {
+    const before = await query('SELECT reputation_updated_at FROM users WHERE id = $1', [borrower.userId]);
+
+    const res = await request(app)
+      .get(`/api/users/${borrower.userId}/reputation`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    const after = await query('SELECT reputation_updated_at FROM users WHERE id = $1', [borrower.userId]);
+    expect(after.rows[0].reputation_updated_at).toEqual(before.rows[0].reputation_updated_at);
+  });
+
+  it('should 404 for an unknown user', async () => {
+    const res = await request(app)
+      .get('/api/users/00000000-0000-0000-0000-000000000000/reputation')
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Reservation Tests
+ * Tests: date range merging, no double-booking of overlapping requests,
+ * buffer days between bookings, approved bookings leaving the listing up for other dates,
+ * check-availability, owner calendar, release on decline
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { mergeDateRanges } from '../src/services/reservations.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+describe('mergeDateRanges', () => {
+  it('should merge overlapping and adjacent ranges', () => {
+    const merged = mergeDateRanges([
+      { startDate: '2026-05-10', endDate: '2026-05-12' },
+      { startDate: '2026-05-01', endDate: '2026-05-03' },
+      { startDate: '2026-05-04', endDate: '2026-05-05' },
+      { startDate: '2026-05-11', endDate: '2026-05-15' },
+    ]);
+    expect(merged).toEqual([
+      { startDate: '2026-05-01', endDate: '2026-05-05' },
+      { startDate: '2026-05-10', endDate: '2026-05-15' },
+    ]);
+  });
+
+  it('should keep ranges separated by a free day apart', () => {
+    const merged = mergeDateRanges([
+      { startDate: '2026-05-01', endDate: '2026-05-02' },
+      { startDate: '2026-05-04', endDate: '2026-05-05' },
+    ]);
+    expect(merged).toHaveLength(2);
+  });
+
+  it('should join ranges across a month boundary', () => {
+    const merged = mergeDateRanges([
+      { startDate: '2026-01-30', endDate: '2026-01-31' },
+      { startDate: '2026-02-01', endDate: '2026-02-02' },
+    ]);
+    expect(merged).toEqual([{ startDate: '2026-01-30', endDate: '2026-02-02' }]);
+  });
+
+  it('should drop inverted ranges', () => {
+    expect(mergeDateRanges([{ startDate: '2026-05-03', endDate: '2026-05-01' }])).toEqual([]);
+  });
+});
+
+describe('Listing reservations', () => {
+  let app;
+  let owner, borrower, other;
+  let listingId, bufferedListingId;
+  const createdUserIds = [];
+
+  const borrow = (user, id, startDate, endDate) => request(app)
+    .post('/api/transactions')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ listingId: id, startDate, endDate });
+
+  beforeAll(async () => {
+    app = await createTestApp(
+      { path: '/api/transactions', module: '../../src/routes/transactions.js' },
+      { path: '/api/listings', module: '../../src/routes/availability.js' }
+    );
+
+    owner = await createTestUser({ email: `res-owner-${Date.now()}@borrowhood.test` });
+    borrower = await createTestUser({ email: `res-borrower-${Date.now()}@borrowhood.test` });
+    other = await createTestUser({ email: `res-other-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(owner.userId, borrower.userId, other.userId);
+
+    const free = { isFree: true, pricePerDay: null, depositAmount: 0, visibility: 'neighborhood' };
+    listingId = await createTestListing(owner.userId, { ...free, title: 'Tile Saw' });
+    bufferedListingId = await createTestListing(owner.userId, { ...free, title: 'Carpet Cleaner' });
+    await query('UPDATE listings SET buffer_days = 2 WHERE id = $1', [bufferedListingId]);
+  });
+
+  afterAll(async () => {
+    for (const id of createdUserIds) {
+      try { await cleanupTestUser(id); } catch (e) { /* */ }
+    }
+  });
+
+  it('should reject a second request for overlapping dates', async () => {
+    const first = await borrow(borrower, listingId, daysFromNow(2), daysFromNow(5));
+    expect(first.status).toBe(201);
+
+    const second = await borrow(other, listingId, daysFromNow(4), daysFromNow(6));
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('DATES_UNAVAILABLE');
+    expect(second.body.conflicts[0].type).toBe('booked');
+  });
+
+  it('should allow a booking that starts on the return day', async () => {
+    const res = await borrow(other, listingId, daysFromNow(5), daysFromNow(7));
+    expect(res.status).toBe(201);
+  });
+
+  it('should keep the listing available after approving a future booking', async () => {
+    const booking = await query(
+      `SELECT id FROM borrow_transactions WHERE listing_id = $1 AND borrower_id = $2 AND status = 'pending'`,
+      [listingId, other.userId]
+    );
+    const approve = await request(app)
+      .post(`/api/transactions/${booking.rows[0].id}/approve`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(approve.status).toBe(200);
+
+    const listing = await query('SELECT is_available FROM listings WHERE id = $1', [listingId]);
+    expect(listing.rows[0].is_available).toBe(true);
+  });
+
+  it('should keep buffer days free after a booking', async () => {
+    const first = await borrow(borrower, bufferedListingId, daysFromNow(2), daysFromNow(4));
+    expect(first.status).toBe(201);
+
+    const tooSoon = await borrow(other, bufferedListingId, daysFromNow(5), daysFromNow(7));
+    expect(tooSoon.status).toBe(409);
+
+    const afterBuffer = await borrow(other, bufferedListingId, daysFromNow(6), daysFromNow(8));
+    expect(afterBuffer.status).toBe(201);
+  });
+
+  it('should report booked dates from check-availability', async () => {
+    const taken = await request(app)
+      .get(`/api/listings/${listingId}/check-availability`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .query({ startDate: daysFromNow(3), endDate: daysFromNow(4) });
+
+    expect(taken.status).toBe(200);
+    expect(taken.body.available).toBe(false);
+    expect(taken.body.code).toBe('DATES_UNAVAILABLE');
+
+    const free = await request(app)
+      .get(`/api/listings/${listingId}/check-availability`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .query({ startDate: daysFromNow(10), endDate: daysFromNow(12) });
+
+    expect(free.body.available).toBe(true);
+  });
+
+  it('should report owner-blocked dates', async () => {
+    await query(
+      `INSERT INTO listing_availability (listing_id, start_date, end_date, is_available, note)
+       VALUES ($1, $2, $3, false, 'Away')`,
+      [listingId, daysFromNow(20), daysFromNow(22)]
+    );
+
+    const res = await borrow(other, listingId, daysFromNow(21), daysFromNow(23));
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DATES_BLOCKED');
+  });
+
+  it('should show the owner their calendar', async () => {
+    const res = await request(app)
+      .get(`/api/listings/${listingId}/calendar`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookings).toHaveLength(2);
+    expect(res.body.bookings[0].startDate).toBe(daysFromNow(2));
+    expect(res.body.blocked).toHaveLength(1);
+    // Back-to-back bookings read as one unavailable stretch
+    expect(res.body.unavailable[0]).toEqual({ startDate: daysFromNow(2), endDate: daysFromNow(6) });
+  });
+
+  it('should not show the calendar to anyone else', async () => {
+    const res = await request(app)
+      .get(`/api/listings/${listingId}/calendar`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should release the dates when a request is declined', async () => {
+    const pending = await query(
+      `SELECT id FROM borrow_transactions
+       WHERE listing_id = $1 AND borrower_id = $2 AND status = 'pending'`,
+      [listingId, borrower.userId]
+    );
+
+    const decline = await request(app)
+      .post(`/api/transactions/${pending.rows[0].id}/decline`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ reason: 'Need it that week' });
+    expect(decline.status).toBe(200);
+
+    const res = await borrow(other, listingId, daysFromNow(2), daysFromNow(4));
+    expect(res.status).toBe(201);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Rent-to-Own Route Tests
+ * Tests: schedule math, propose, approve (schedule generation), decline, cancel, access control,
+ * manual payment failures not counting toward default
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { buildPaymentSchedule, failInstallment, RTO_MAX_PAYMENT_ATTEMPTS } from '../src/services/rto.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+
+let app;
+let lender, borrower, stranger;
+let listingId;
+const createdUserIds = [];
+
+function futureDate(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/rto', module: '../../src/routes/rto.js' }
+  );
+
+  lender = await createTestUser({ email: `rto-lender-${Date.now()}@borrowhood.test` });
+  borrower = await createTestUser({ email: `rto-borrower-${Date.now()}@borrowhood.test` });
+  stranger = await createTestUser({ email: `rto-stranger-${Date.now()}@borrowhood.test` });
+  createdUserIds.push(lender.userId, borrower.userId, stranger.userId);
+
+  // Fake customer ID — no charges happen because the first payment is in the future
+  await query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', ['cus_test_rto', borrower.userId]);
+
+  listingId = await createTestListing(lender.userId, { title: 'RTO Lawn Mower' });
+  await query(
+    `UPDATE listings SET rto_available = true, rto_purchase_price = 300.00,
+            rto_min_payments = 3, rto_max_payments = 12, rto_rental_credit_percent = 50.00
+     WHERE id = $1`,
+    [listingId]
+  );
+});
+
+afterAll(async () => {
+  try {
+    await query('DELETE FROM notifications WHERE listing_id = $1', [listingId]);
+    await query('DELETE FROM rto_contracts WHERE listing_id = $1', [listingId]);
+  } catch (e) { /* */ }
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('buildPaymentSchedule', () => {
+  it('should credit exactly the purchase price across installments', () => {
+    const { installments } = buildPaymentSchedule({
+      purchasePrice: 100, rentalCreditPercent: 50, totalPayments: 3,
+    });
+
+    expect(installments).toHaveLength(3);
+    const equity = installments.reduce((sum, i) => sum + Math.round(i.equityPortion * 100), 0);
+    expect(equity).toBe(10000);
+    expect(installments[2].equityPortion).toBe(33.34);
+  });
+
+  it('should split each payment into equity and rent by the credit percent', () => {
+    const { paymentAmount, installments } = buildPaymentSchedule({
+      purchasePrice: 300, rentalCreditPercent: 50, totalPayments: 3,
+    });
+
+    expect(paymentAmount).toBe(200);
+    expect(installments[0].equityPortion).toBe(100);
+    expect(installments[0].rentalPortion).toBe(100);
+    expect(installments[0].lenderPayout + installments[0].platformFee).toBe(200);
+  });
+});
+
+describe('POST /api/rto', () => {
+  it('should reject a payment count outside the listing terms', async () => {
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ listingId, totalPayments: 24, termsAccepted: true, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should require accepting the terms', async () => {
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ listingId, totalPayments: 3, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should not let the owner propose on their own item', async () => {
+    await query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', ['cus_test_rto_owner', lender.userId]);
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ listingId, totalPayments: 3, termsAccepted: true, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should require a saved payment method', async () => {
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${stranger.token}`)
+      .send({ listingId, totalPayments: 3, termsAccepted: true, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PAYMENT_METHOD_REQUIRED');
+  });
+
+  it('should create a pending contract and notify the lender', async () => {
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ listingId, totalPayments: 3, paymentFrequency: 'monthly', termsAccepted: true, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.paymentAmount).toBe(200);
+
+    const contract = await query('SELECT status FROM rto_contracts WHERE id = $1', [res.body.id]);
+    expect(contract.rows[0].status).toBe('pending');
+
+    const notif = await query(
+      `SELECT 1 FROM notifications WHERE user_id = $1 AND type = 'rto_request' AND listing_id = $2`,
+      [lender.userId, listingId]
+    );
+    expect(notif.rows.length).toBe(1);
+  });
+
+  it('should reject a duplicate open proposal', async () => {
+    const res = await request(app)
+      .post('/api/rto')
+      .set('Authorization', `Bearer ${borrower.token}`)
+      .send({ listingId, totalPayments: 3, termsAccepted: true, firstPaymentDate: futureDate(7) });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('POST /api/rto/:id/approve', () => {
+  let contractId;
+
+  beforeAll(async () => {
+    const c = await query(
+      `SELECT id FROM rto_contracts WHERE listing_id = $1 AND borrower_id = $2 AND status = 'pending'`,
+      [listingId, borrower.userId]
+    );
+    contractId = c.rows[0].id;
+  });
+
+  it('should not let the borrower approve', async () => {
+    const res = await request(app)
+      .post(`/api/rto/${contractId}/approve`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should activate the contract, generate the schedule and reserve the item', async () => {
+    const res = await request(app)
+      .post(`/api/rto/${contractId}/approve`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.firstPaymentStatus).toBeNull();
+
+    const payments = await query(
+      'SELECT payment_number, status, equity_portion FROM rto_payments WHERE contract_id = $1 ORDER BY payment_number',
+      [contractId]
+    );
+    expect(payments.rows).toHaveLength(3);
+    expect(payments.rows.every(p => p.status === 'pending')).toBe(true);
+
+    const listing = await query('SELECT is_available FROM listings WHERE id = $1', [listingId]);
+    expect(listing.rows[0].is_available).toBe(false);
+  });
+
+  it('should return the schedule with contract details', async () => {
+    const res = await request(app)
+      .get(`/api/rto/${contractId}`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('active');
+    expect(res.body.isBorrower).toBe(true);
+    expect(res.body.payments).toHaveLength(3);
+  });
+
+  it('should hide the contract from unrelated users', async () => {
+    const res = await request(app)
+      .get(`/api/rto/${contractId}`)
+      .set('Authorization', `Bearer ${stranger.token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should not default the contract over failed manual payments', async () => {
+    const first = await query(
+      'SELECT id FROM rto_payments WHERE contract_id = $1 AND payment_number = 1',
+      [contractId]
+    );
+    const paymentId = first.rows[0].id;
+
+    for (let i = 0; i < RTO_MAX_PAYMENT_ATTEMPTS; i++) {
+      await failInstallment(paymentId, 'Your card was declined.', `pi_manual_${Date.now()}_${i}`, { manual: true });
+    }
+
+    const payment = await query('SELECT status, retry_count, failure_reason FROM rto_payments WHERE id = $1', [paymentId]);
+    expect(payment.rows[0].status).toBe('pending');
+    expect(payment.rows[0].retry_count).toBe(0);
+    expect(payment.rows[0].failure_reason).toBe('Your card was declined.');
+
+    const contract = await query('SELECT status FROM rto_contracts WHERE id = $1', [contractId]);
+    expect(contract.rows[0].status).toBe('active');
+  });
+});
+
+describe('GET /api/rto', () => {
+  it('should list contracts filtered by role', async () => {
+    const res = await request(app)
+      .get('/api/rto?role=lender')
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body.every(c => c.isLender)).toBe(true);
+  });
+});
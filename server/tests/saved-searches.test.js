@@ -0,0 +1,292 @@
+/**
+ * Saved Search Tests
+ * Tests: create/list/update/delete, validation, matching new and relisted
+ * listings (query, category, price, type, audience, blocks), instant alerts, the daily
+ * digest, and new-match counts that clear when the search is opened
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { drainJobs } from '../src/services/jobQueue.js';
+import { sendSavedSearchDigests } from '../src/services/savedSearches.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createFriendship, createTestCategory } from './helpers/fixtures.js';
+
+let app;
+let searcher, lender, stranger;
+let categoryId;
+let searchId, dailySearchId;
+const run = Date.now();
+const listingIds = [];
+
+const listItem = async (ownerId, overrides) => {
+  const id = await createTestListing(ownerId, overrides);
+  listingIds.push(id);
+  await drainJobs({ types: ['saved_search.match_listing'] });
+  return id;
+};
+
+const alertJobsFor = async (userId, type) => {
+  const result = await query(
+    `SELECT payload FROM jobs
+     WHERE type = 'notification.send' AND payload->>'userId' = $1 AND payload->>'type' = $2`,
+    [userId, type]
+  );
+  return result.rows.map(r => r.payload);
+};
+
+const matchesOf = async (savedSearchId) => {
+  const result = await query(
+    'SELECT listing_id, alerted_at FROM saved_search_matches WHERE saved_search_id = $1',
+    [savedSearchId]
+  );
+  return result.rows;
+};
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/saved', module: '../../src/routes/saved.js' });
+
+  searcher = await createTestUser({ email: `search-searcher-${run}@borrowhood.test`, isVerified: true });
+  lender = await createTestUser({ email: `search-lender-${run}@borrowhood.test` });
+  stranger = await createTestUser({ email: `search-stranger-${run}@borrowhood.test`, city: 'ElsewhereCity' });
+  await createFriendship(searcher.userId, lender.userId);
+
+  categoryId = await createTestCategory(`Search Tools ${run}`);
+
+  // Already listed before the search exists — counted, but never alerted
+  await listItem(lender.userId, { title: `Cordless drill ${run}`, pricePerDay: 8 });
+});
+
+afterAll(async () => {
+  const userIds = [searcher.userId, lender.userId, stranger.userId];
+  try {
+    await query(`DELETE FROM jobs WHERE type = 'notification.send' AND payload->>'userId' = ANY($1)`, [userIds]);
+    await query(`DELETE FROM jobs WHERE type = 'saved_search.match_listing' AND payload->>'listingId' = ANY($1)`, [listingIds]);
+    await query('DELETE FROM saved_searches WHERE user_id = ANY($1)', [userIds]);
+    await query('DELETE FROM user_blocks WHERE blocker_id = ANY($1)', [userIds]);
+    await query('DELETE FROM listings WHERE id = ANY($1)', [listingIds]);
+    await query('DELETE FROM categories WHERE id = $1', [categoryId]);
+  } catch (e) { /* */ }
+  for (const id of userIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('POST /api/saved/searches', () => {
+  it('should save a search and count what already matches without alerting', async () => {
+    const res = await request(app)
+      .post('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ query: 'drill', maxPrice: 10, radiusMiles: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe('drill');
+    expect(res.body.maxPrice).toBe(10);
+    expect(res.body.visibility).toEqual(['close_friends', 'neighborhood', 'town']);
+    expect(res.body.alertFrequency).toBe('instant');
+    expect(res.body.matchCount).toBe(1);
+    expect(res.body.newMatchCount).toBe(0);
+    searchId = res.body.id;
+
+    expect(await alertJobsFor(searcher.userId, 'saved_search_match')).toEqual([]);
+  });
+
+  it('should require a search term or filter', async () => {
+    const res = await request(app)
+      .post('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ name: 'Anything', radiusMiles: 3 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SAVED_SEARCH_EMPTY');
+  });
+
+  it('should reject unknown categories and bad filters', async () => {
+    const unknown = await request(app)
+      .post('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ categoryId: '00000000-0000-0000-0000-000000000000' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.code).toBe('INVALID_CATEGORY');
+
+    const invalid = await request(app)
+      .post('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ query: 'saw', listingType: 'sell', visibility: ['everyone'] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.length).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should save a daily category search named after the category', async () => {
+    const res = await request(app)
+      .post('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ categoryId, listingType: 'lend', alertFrequency: 'daily', visibility: ['close_friends'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe(`Search Tools ${run}`);
+    expect(res.body.categoryName).toBe(`Search Tools ${run}`);
+    dailySearchId = res.body.id;
+  });
+});
+
+describe('Matching new listings', () => {
+  it('should alert instant searches when a matching listing goes live', async () => {
+    const listingId = await listItem(lender.userId, { title: `Hammer drill ${run}`, isFree: true });
+
+    const matches = await matchesOf(searchId);
+    expect(matches.map(m => m.listing_id)).toContain(listingId);
+
+    const alerts = await alertJobsFor(searcher.userId, 'saved_search_match');
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].data.itemTitle).toBe(`Hammer drill ${run}`);
+    expect(alerts[0].data.savedSearchId).toBe(searchId);
+    expect(alerts[0].options.listingId).toBe(listingId);
+  });
+
+  it('should skip listings over the max price, outside the audience, or from blocked users', async () => {
+    const pricey = await listItem(lender.userId, { title: `Drill press ${run}`, pricePerDay: 25 });
+    const faraway = await listItem(stranger.userId, { title: `Drill bits ${run}`, visibility: 'town' });
+
+    await query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)', [lender.userId, searcher.userId]);
+    const blocked = await listItem(lender.userId, { title: `Drill driver ${run}`, isFree: true });
+    await query('DELETE FROM user_blocks WHERE blocker_id = $1', [lender.userId]);
+
+    const matched = (await matchesOf(searchId)).map(m => m.listing_id);
+    expect(matched).not.toContain(pricey);
+    expect(matched).not.toContain(faraway);
+    expect(matched).not.toContain(blocked);
+  });
+
+  it('should not match the searcher\'s own listings', async () => {
+    const own = await listItem(searcher.userId, { title: `Spare drill ${run}`, isFree: true });
+    expect((await matchesOf(searchId)).map(m => m.listing_id)).not.toContain(own);
+  });
+
+  it('should hold daily matches for the digest', async () => {
+    const listingId = await listItem(lender.userId, { title: `Ladder ${run}`, pricePerDay: 12 });
+    await query('UPDATE listings SET category_id = $1 WHERE id = $2', [categoryId, listingId]);
+    await query(`UPDATE listings SET status = 'paused' WHERE id = $1`, [listingId]);
+    await query(`UPDATE listings SET status = 'active' WHERE id = $1`, [listingId]);
+    await drainJobs({ types: ['saved_search.match_listing'] });
+
+    const matches = await matchesOf(dailySearchId);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].alerted_at).toBeNull();
+
+    await sendSavedSearchDigests();
+
+    const digests = await alertJobsFor(searcher.userId, 'saved_search_digest');
+    expect(digests).toHaveLength(1);
+    expect(digests[0].data.count).toBe(1);
+    expect(digests[0].data.searchName).toBe(`Search Tools ${run}`);
+    expect((await matchesOf(dailySearchId))[0].alerted_at).not.toBeNull();
+
+    // Nothing new since — no second digest
+    await sendSavedSearchDigests();
+    expect(await alertJobsFor(searcher.userId, 'saved_search_digest')).toHaveLength(1);
+  });
+
+  it('should not alert again when a listing is relisted the same day', async () => {
+    const [listingId] = (await matchesOf(searchId)).map(m => m.listing_id);
+    const before = (await alertJobsFor(searcher.userId, 'saved_search_match')).length;
+
+    await query(`UPDATE listings SET status = 'paused' WHERE id = $1`, [listingId]);
+    await query(`UPDATE listings SET status = 'active' WHERE id = $1`, [listingId]);
+    await drainJobs({ types: ['saved_search.match_listing'] });
+
+    expect(await alertJobsFor(searcher.userId, 'saved_search_match')).toHaveLength(before);
+  });
+});
+
+describe('GET /api/saved/searches', () => {
+  it('should list searches with match and new-match counts', async () => {
+    const res = await request(app)
+      .get('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`);
+
+    expect(res.status).toBe(200);
+    const search = res.body.find(s => s.id === searchId);
+    expect(search.matchCount).toBe(2);
+    expect(search.newMatchCount).toBe(1);
+  });
+
+  it('should show matching listings and clear the new count once opened', async () => {
+    const res = await request(app)
+      .get(`/api/saved/searches/${searchId}/listings`)
+      .set('Authorization', `Bearer ${searcher.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0].title).toBe(`Hammer drill ${run}`);
+    expect(res.body[0].isNew).toBe(true);
+    expect(res.body[1].isNew).toBe(false);
+    expect(res.body[0].owner.id).toBe(lender.userId);
+
+    const list = await request(app)
+      .get('/api/saved/searches')
+      .set('Authorization', `Bearer ${searcher.token}`);
+    expect(list.body.find(s => s.id === searchId).newMatchCount).toBe(0);
+  });
+
+  it('should not show another user\'s search', async () => {
+    const res = await request(app)
+      .get(`/api/saved/searches/${searchId}/listings`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/saved/searches/:id', () => {
+  it('should change the alert frequency', async () => {
+    const res = await request(app)
+      .patch(`/api/saved/searches/${searchId}`)
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ alertFrequency: 'off', name: 'Drills' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.alertFrequency).toBe('off');
+    expect(res.body.name).toBe('Drills');
+    expect(res.body.matchCount).toBe(2);
+  });
+
+  it('should rematch without alerting when filters change', async () => {
+    const res = await request(app)
+      .patch(`/api/saved/searches/${searchId}`)
+      .set('Authorization', `Bearer ${searcher.token}`)
+      .send({ maxPrice: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.maxPrice).toBeNull();
+    expect(res.body.matchCount).toBe(4);
+    expect(res.body.newMatchCount).toBe(0);
+    expect((await matchesOf(searchId)).every(m => m.alerted_at)).toBe(true);
+  });
+
+  it('should return 404 for another user\'s search', async () => {
+    const res = await request(app)
+      .patch(`/api/saved/searches/${searchId}`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ alertFrequency: 'instant' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/saved/searches/:id', () => {
+  it('should delete a saved search and its matches', async () => {
+    const res = await request(app)
+      .delete(`/api/saved/searches/${dailySearchId}`)
+      .set('Authorization', `Bearer ${searcher.token}`);
+
+    expect(res.status).toBe(200);
+    expect(await matchesOf(dailySearchId)).toEqual([]);
+
+    const again = await request(app)
+      .delete(`/api/saved/searches/${dailySearchId}`)
+      .set('Authorization', `Bearer ${searcher.token}`);
+    expect(again.status).toBe(404);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Search Tests
+ * Tests: synonym expansion, typo tolerance and "did you mean", highlights, listing
+ * facets and filters, requests, bundles and people in one search, blocks, validation
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { refreshSearchTerms } from '../src/services/search.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createFriendship, createTestCategory, createTestCommunity } from './helpers/fixtures.js';
+
+let app;
+let searcher, lender, blocker;
+let categoryId, communityId, requestId, bundleId;
+let trimmerId, washerId, freeWasherId;
+const run = Date.now();
+const city = `SearchCity${run}`;
+const listingIds = [];
+
+const searchFor = (params, user = searcher) =>
+  request(app)
+    .get('/api/search')
+    .query(params)
+    .set('Authorization', `Bearer ${user.token}`);
+
+const listItem = async (ownerId, overrides) => {
+  const id = await createTestListing(ownerId, overrides);
+  listingIds.push(id);
+  return id;
+};
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/search', module: '../../src/routes/search.js' });
+
+  searcher = await createTestUser({ email: `find-searcher-${run}@borrowhood.test`, city, isVerified: true });
+  lender = await createTestUser({ email: `find-lender-${run}@borrowhood.test`, city, firstName: 'Marguerite', lastName: 'Okonkwo' });
+  blocker = await createTestUser({ email: `find-blocker-${run}@borrowhood.test`, city });
+  await createFriendship(searcher.userId, lender.userId);
+  await createFriendship(searcher.userId, blocker.userId);
+
+  categoryId = await createTestCategory(`Yard Tools ${run}`);
+  communityId = await createTestCommunity({ name: `Search Community ${run}`, city });
+
+  trimmerId = await listItem(lender.userId, { title: 'Cordless string trimmer', description: 'Light and quiet, spare line included', pricePerDay: 8 });
+  washerId = await listItem(lender.userId, { title: 'Electric pressure washer', pricePerDay: 15, condition: 'like_new' });
+  freeWasherId = await listItem(lender.userId, { title: 'Old pressure washer', isFree: true, pricePerDay: null, condition: 'worn' });
+  await query('UPDATE listings SET category_id = $1 WHERE id = ANY($2)', [categoryId, [trimmerId, washerId, freeWasherId]]);
+
+  // Listed by someone who then blocked the searcher
+  await listItem(blocker.userId, { title: 'Gas pressure washer', pricePerDay: 20 });
+  await query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)', [blocker.userId, searcher.userId]);
+
+  const requestResult = await query(
+    `INSERT INTO item_requests (user_id, community_id, title, description, visibility, status)
+     VALUES ($1, $2, 'Need a ladder', 'For clearing gutters this weekend', 'close_friends', 'open')
+     RETURNING id`,
+    [lender.userId, communityId]
+  );
+  requestId = requestResult.rows[0].id;
+
+  const bundleResult = await query(
+    `INSERT INTO bundles (owner_id, name, description, is_free, deposit_amount)
+     VALUES ($1, 'Yard cleanup kit', 'Pressure washer and trimmer together', true, 0) RETURNING id`,
+    [lender.userId]
+  );
+  bundleId = bundleResult.rows[0].id;
+  await query(
+    'INSERT INTO bundle_items (bundle_id, listing_id, sort_order) VALUES ($1, $2, 0), ($1, $3, 1)',
+    [bundleId, washerId, trimmerId]
+  );
+
+  await refreshSearchTerms();
+});
+
+afterAll(async () => {
+  const userIds = [searcher.userId, lender.userId, blocker.userId];
+  try {
+    await query('DELETE FROM bundles WHERE id = $1', [bundleId]);
+    await query('DELETE FROM item_requests WHERE id = $1', [requestId]);
+    await query('DELETE FROM user_blocks WHERE blocker_id = ANY($1)', [userIds]);
+    await query('DELETE FROM listings WHERE id = ANY($1)', [listingIds]);
+    await query('DELETE FROM categories WHERE id = $1', [categoryId]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  } catch (e) { /* */ }
+  for (const id of userIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('GET /api/search — listings', () => {
+  it('should find listings by a synonym and highlight the match', async () => {
+    const res = await searchFor({ q: 'weed whacker', types: 'listings' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.listings.items.map(l => l.id)).toContain(trimmerId);
+    const trimmer = res.body.listings.items.find(l => l.id === trimmerId);
+    expect(trimmer.titleHighlight).toContain('<b>');
+    expect(trimmer.owner.id).toBe(lender.userId);
+  });
+
+  it('should tolerate typos and suggest the corrected spelling', async () => {
+    const res = await searchFor({ q: 'presure washer', types: 'listings' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.didYouMean).toBe('pressure washer');
+    expect(res.body.listings.items.map(l => l.id)).toEqual(expect.arrayContaining([washerId, freeWasherId]));
+  });
+
+  it('should leave out listings from people on either side of a block', async () => {
+    const res = await searchFor({ q: 'pressure washer', types: 'listings' });
+
+    expect(res.body.listings.items.every(l => l.owner.id !== blocker.userId)).toBe(true);
+    expect(res.body.listings.total).toBe(2);
+  });
+
+  it('should count facets across all matches', async () => {
+    const res = await searchFor({ q: 'pressure washer', types: 'listings' });
+    const { facets } = res.body.listings;
+
+    expect(facets.categories).toEqual([{ id: categoryId, name: `Yard Tools ${run}`, count: 2 }]);
+    expect(facets.priceBands.find(b => b.value === 'free').count).toBe(1);
+    expect(facets.priceBands.find(b => b.value === '10_to_25').count).toBe(1);
+    expect(facets.conditions).toEqual(expect.arrayContaining([
+      { value: 'like_new', count: 1 },
+      { value: 'worn', count: 1 },
+    ]));
+  });
+
+  it('should narrow by price band and condition', async () => {
+    const free = await searchFor({ q: 'pressure washer', types: 'listings', priceBand: 'free' });
+    expect(free.body.listings.items.map(l => l.id)).toEqual([freeWasherId]);
+
+    const likeNew = await searchFor({ q: 'pressure washer', types: 'listings', condition: 'like_new' });
+    expect(likeNew.body.listings.items.map(l => l.id)).toEqual([washerId]);
+  });
+});
+
+describe('GET /api/search — other types', () => {
+  it('should find requests through synonyms', async () => {
+    const res = await searchFor({ q: 'step ladder', types: 'requests' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.requests.items.map(r => r.id)).toContain(requestId);
+    expect(res.body.listings).toBeUndefined();
+  });
+
+  it('should find bundles whose items the searcher can see', async () => {
+    const res = await searchFor({ q: 'yard cleanup', types: 'bundles' });
+
+    expect(res.body.bundles.items.map(b => b.id)).toContain(bundleId);
+    expect(res.body.bundles.items.find(b => b.id === bundleId).itemCount).toBe(2);
+  });
+
+  it('should find people by a misspelled name', async () => {
+    const res = await searchFor({ q: 'margerite okonkwo', types: 'users' });
+
+    const person = res.body.users.items.find(u => u.id === lender.userId);
+    expect(person).toBeDefined();
+    expect(person.isFriend).toBe(true);
+  });
+
+  it('should not find people who blocked the searcher', async () => {
+    const res = await searchFor({ q: 'test user', types: 'users' });
+
+    expect(res.body.users.items.map(u => u.id)).not.toContain(blocker.userId);
+  });
+});
+
+describe('GET /api/search — validation', () => {
+  it('should reject queries that are too short', async () => {
+    const res = await searchFor({ q: 'a' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SEARCH_TOO_SHORT');
+  });
+
+  it('should reject unknown types and filters', async () => {
+    const res = await searchFor({ q: 'washer', types: 'listings,events', priceBand: 'cheap' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+});
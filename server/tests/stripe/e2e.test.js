@@ -25,6 +25,7 @@ import {
   stripe,
 } from '../helpers/stripe.js';
 import { query } from '../../src/utils/db.js';
+import { handoffPhotos } from '../helpers/fixtures.js';
 
 describe('E2E Flows', () => {
   let app;
@@ -352,7 +353,7 @@ describe('E2E Flows', () => {
       const res = await request(app)
         .post(`/api/rentals/${transactionId}/pickup`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'like_new' });
+        .send({ condition: 'like_new', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       const txn = await query('SELECT status FROM borrow_transactions WHERE id = $1', [transactionId]);
@@ -363,7 +364,7 @@ describe('E2E Flows', () => {
       const res = await request(app)
         .post(`/api/rentals/${transactionId}/return`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'like_new', notes: 'Perfect condition' });
+        .send({ condition: 'like_new', notes: 'Perfect condition', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       expect(res.body.conditionDegraded).toBe(false);
@@ -437,7 +438,7 @@ describe('E2E Flows', () => {
       const res = await request(app)
         .post(`/api/rentals/${transactionId}/pickup`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'like_new' });
+        .send({ condition: 'like_new', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       const txn = await query('SELECT status FROM borrow_transactions WHERE id = $1', [transactionId]);
@@ -448,7 +449,7 @@ describe('E2E Flows', () => {
       const res = await request(app)
         .post(`/api/rentals/${transactionId}/return`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'worn', notes: 'Water damage on the corner' });
+        .send({ condition: 'worn', notes: 'Water damage on the corner', unverified: true, photos: handoffPhotos() });
 
       expect(res.body.conditionDegraded).toBe(true);
     });
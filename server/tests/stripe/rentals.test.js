@@ -18,6 +18,7 @@ import {
   stripe,
 } from '../helpers/stripe.js';
 import { query } from '../../src/utils/db.js';
+import { handoffPhotos } from '../helpers/fixtures.js';
 
 describe('Rentals API', () => {
   let app;
@@ -339,7 +340,7 @@ describe('Rentals API', () => {
       const res = await request(app)
         .post(`/api/rentals/${listing.transactionId}/pickup`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'good' });
+        .send({ condition: 'good', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -356,7 +357,7 @@ describe('Rentals API', () => {
       const res = await request(app)
         .post(`/api/rentals/${listing.transactionId}/pickup`)
         .set('Authorization', `Bearer ${borrower.token}`)
-        .send({ condition: 'good' });
+        .send({ condition: 'good', unverified: true, photos: handoffPhotos() });
 
       // Endpoint returns 404 (not found) rather than 403 — query filters by lender_id
       expect(res.status).toBe(404);
@@ -371,7 +372,7 @@ describe('Rentals API', () => {
       const res = await request(app)
         .post(`/api/rentals/${listing.transactionId}/return`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'good', notes: 'Returned in great shape' });
+        .send({ condition: 'good', notes: 'Returned in great shape', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -417,14 +418,14 @@ describe('Rentals API', () => {
       await request(app)
         .post(`/api/rentals/${damageTxnId}/pickup`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'good' });
+        .send({ condition: 'good', unverified: true, photos: handoffPhotos() });
     });
 
     it('should flag condition degradation on return', async () => {
       const res = await request(app)
         .post(`/api/rentals/${damageTxnId}/return`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'worn', notes: 'Multiple scratches found' });
+        .send({ condition: 'worn', notes: 'Multiple scratches found', unverified: true, photos: handoffPhotos() });
 
       expect(res.status).toBe(200);
       expect(res.body.conditionDegraded).toBe(true);
@@ -468,7 +469,7 @@ describe('Rentals API', () => {
       await request(app)
         .post(`/api/rentals/${txnId}/pickup`)
         .set('Authorization', `Bearer ${lender.token}`)
-        .send({ condition: 'good' });
+        .send({ condition: 'good', unverified: true, photos: handoffPhotos() });
 
       // Claim far more than the deposit
       const res = await request(app)
@@ -0,0 +1,318 @@
+/**
+ * Sustainability Impact Tests
+ * Tests: credits for both parties when a rental completes or a giveaway is handed off,
+ * category factors with parent fallback, revoking credits, CO2 badges, rebuilding from
+ * history, GET /api/sustainability/stats, and monthly community reports with sharing
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { drainJobs } from '../src/services/jobQueue.js';
+import { recalculateAllImpact, generateMonthlyImpactReports } from '../src/services/impact.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction, createTestCommunity, addCommunityMember } from './helpers/fixtures.js';
+
+let app;
+let lender, borrower, outsider;
+let communityId, parentCategoryId, childCategoryId, badgeId;
+let rentalId, giveawayId;
+let currentMonth, lastMonth;
+const run = Date.now();
+const transactionIds = [];
+
+const totalsOf = async (userId) => {
+  const result = await query(
+    `SELECT co2_saved_kg::float, total_money_saved::float, items_shared_count, items_borrowed_count
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+const setStatus = async (transactionId, status) => {
+  await query('UPDATE borrow_transactions SET status = $1 WHERE id = $2', [status, transactionId]);
+  await drainJobs({ types: ['impact.credit_transaction'] });
+};
+
+beforeAll(async () => {
+  app = await createTestApp({ path: '/api/sustainability', module: '../../src/routes/sustainability.js' });
+
+  lender = await createTestUser({ email: `impact-lender-${run}@borrowhood.test`, isVerified: true });
+  borrower = await createTestUser({ email: `impact-borrower-${run}@borrowhood.test`, isVerified: true });
+  outsider = await createTestUser({ email: `impact-outsider-${run}@borrowhood.test` });
+
+  communityId = await createTestCommunity({ name: `Impact Hollow ${run}` });
+  await addCommunityMember(lender.userId, communityId, 'organizer');
+  await addCommunityMember(borrower.userId, communityId);
+
+  const parent = await query(
+    `INSERT INTO categories (name, slug, embodied_co2_kg, replacement_cost)
+     VALUES ($1, $2, 40, 200) RETURNING id`,
+    [`Impact Gear ${run}`, `impact-gear-${run}`]
+  );
+  parentCategoryId = parent.rows[0].id;
+  const child = await query(
+    'INSERT INTO categories (name, slug, parent_id) VALUES ($1, $2, $3) RETURNING id',
+    [`Impact Ladders ${run}`, `impact-ladders-${run}`, parentCategoryId]
+  );
+  childCategoryId = child.rows[0].id;
+
+  const badge = await query(
+    `INSERT INTO badge_definitions (name, description, icon, category, requirement_type, requirement_value, points)
+     VALUES ($1, 'Saved 25kg CO2', 'leaf-outline', 'special', 'co2_kg', 25, 5) RETURNING id`,
+    [`Test Eco ${run}`]
+  );
+  badgeId = badge.rows[0].id;
+
+  const months = await query(
+    `SELECT to_char(NOW(), 'YYYY-MM') AS current,
+            to_char(date_trunc('month', NOW()) - INTERVAL '1 month', 'YYYY-MM') AS last`
+  );
+  currentMonth = months.rows[0].current;
+  lastMonth = months.rows[0].last;
+});
+
+afterAll(async () => {
+  try {
+    await query(`DELETE FROM jobs WHERE type LIKE 'impact.%' AND payload->>'transactionId' = ANY($1)`, [transactionIds]);
+    await query('DELETE FROM notifications WHERE user_id = ANY($1)', [[lender.userId, borrower.userId, outsider.userId]]);
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+    await query('DELETE FROM badge_definitions WHERE id = $1', [badgeId]);
+  } catch (e) { /* */ }
+  for (const u of [lender, borrower, outsider]) {
+    try { await cleanupTestUser(u.userId); } catch (e) { /* */ }
+  }
+  try {
+    await query('DELETE FROM categories WHERE id = ANY($1)', [[childCategoryId, parentCategoryId]]);
+  } catch (e) { /* */ }
+});
+
+describe('Impact credits', () => {
+  it('should credit both parties once a rental completes, using the parent category\'s factors', async () => {
+    const listingId = await createTestListing(lender.userId, { title: 'Extension ladder' });
+    await query('UPDATE listings SET category_id = $1 WHERE id = $2', [childCategoryId, listingId]);
+    rentalId = await createTestTransaction(borrower.userId, lender.userId, listingId, { rentalFee: 10 });
+    transactionIds.push(rentalId);
+
+    await setStatus(rentalId, 'returned');
+    expect((await totalsOf(borrower.userId)).co2_saved_kg).toBe(0);
+
+    await setStatus(rentalId, 'completed');
+
+    // Half of 40kg avoided, split two ways; the borrower saved $200 less the $10 fee
+    expect(await totalsOf(borrower.userId)).toEqual({
+      co2_saved_kg: 10, total_money_saved: 190, items_shared_count: 0, items_borrowed_count: 1,
+    });
+    expect(await totalsOf(lender.userId)).toEqual({
+      co2_saved_kg: 10, total_money_saved: 0, items_shared_count: 1, items_borrowed_count: 0,
+    });
+  });
+
+  it('should credit a giveaway when it is handed off', async () => {
+    const listingId = await createTestListing(lender.userId, { title: 'Camp stove', isFree: true });
+    await query(
+      `UPDATE listings SET category_id = $1, listing_type = 'giveaway' WHERE id = $2`,
+      [parentCategoryId, listingId]
+    );
+    giveawayId = await createTestTransaction(borrower.userId, lender.userId, listingId, {
+      status: 'approved', rentalFee: 0,
+    });
+    transactionIds.push(giveawayId);
+
+    await setStatus(giveawayId, 'returned');
+
+    const credits = await query(
+      'SELECT role, co2_kg::float, money_saved::float FROM impact_credits WHERE transaction_id = $1 ORDER BY role',
+      [giveawayId]
+    );
+    expect(credits.rows).toEqual([
+      { role: 'giver', co2_kg: 20, money_saved: 0 },
+      { role: 'receiver', co2_kg: 20, money_saved: 200 },
+    ]);
+    expect(await totalsOf(borrower.userId)).toMatchObject({ co2_saved_kg: 30, total_money_saved: 390, items_borrowed_count: 2 });
+  });
+
+  it('should award CO2 badges once the threshold is reached', async () => {
+    const badges = await query('SELECT user_id FROM user_badges WHERE badge_id = $1 ORDER BY user_id', [badgeId]);
+    expect(badges.rows.map(b => b.user_id).sort()).toEqual([lender.userId, borrower.userId].sort());
+  });
+
+  it('should take the credits back if a completed rental is disputed', async () => {
+    const listingId = await createTestListing(lender.userId, { title: 'Tile saw' });
+    const disputedId = await createTestTransaction(borrower.userId, lender.userId, listingId, { rentalFee: 10 });
+    transactionIds.push(disputedId);
+
+    await setStatus(disputedId, 'completed');
+    expect((await totalsOf(borrower.userId)).items_borrowed_count).toBe(3);
+
+    await setStatus(disputedId, 'disputed');
+
+    const credits = await query('SELECT 1 FROM impact_credits WHERE transaction_id = $1', [disputedId]);
+    expect(credits.rows).toHaveLength(0);
+    expect((await totalsOf(borrower.userId)).items_borrowed_count).toBe(2);
+  });
+
+  it('should rebuild totals from history', async () => {
+    await query('DELETE FROM impact_credits WHERE user_id = $1', [borrower.userId]);
+    await query(
+      'UPDATE users SET co2_saved_kg = 999, total_money_saved = 0, items_borrowed_count = 0 WHERE id = $1',
+      [borrower.userId]
+    );
+
+    await recalculateAllImpact();
+
+    expect(await totalsOf(borrower.userId)).toMatchObject({ co2_saved_kg: 30, total_money_saved: 390, items_borrowed_count: 2 });
+  });
+});
+
+describe('GET /api/sustainability/stats', () => {
+  it('should report the user\'s impact', async () => {
+    const res = await request(app)
+      .get('/api/sustainability/stats')
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      co2SavedKg: 30,
+      moneySaved: 390,
+      moneySavedCents: 39000,
+      itemsBorrowed: 2,
+      totalBorrows: 2,
+      treesEquivalent: 1.43,
+    });
+  });
+
+  it('should report the community\'s impact', async () => {
+    const res = await request(app)
+      .get('/api/sustainability/community')
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      communityId,
+      totalCo2SavedKg: 60,
+      totalTransactions: 2,
+      memberCount: 2,
+      isOrganizer: true,
+    });
+  });
+});
+
+describe('Community impact reports', () => {
+  it('should show the current month as a live running total', async () => {
+    const res = await request(app)
+      .get(`/api/sustainability/communities/${communityId}/reports/${currentMonth}`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      month: currentMonth,
+      inProgress: true,
+      co2SavedKg: 60,
+      moneySaved: 390,
+      borrows: 1,
+      giveaways: 1,
+      activeMembers: 2,
+      shareUrl: null,
+    });
+    expect(res.body.topCategories[0]).toEqual({ name: `Impact Gear ${run}`, co2SavedKg: 40, items: 1 });
+  });
+
+  it('should store last month\'s report and tell the organizers', async () => {
+    await query(
+      `UPDATE impact_credits SET earned_at = date_trunc('month', NOW()) - INTERVAL '10 days'
+       WHERE transaction_id = ANY($1)`,
+      [transactionIds]
+    );
+
+    await generateMonthlyImpactReports();
+    await drainJobs({ types: ['notification.send'] });
+
+    const stored = await query(
+      `SELECT co2_kg::float, borrows, giveaways FROM community_impact_reports
+       WHERE community_id = $1 AND to_char(month, 'YYYY-MM') = $2`,
+      [communityId, lastMonth]
+    );
+    expect(stored.rows).toEqual([{ co2_kg: 60, borrows: 1, giveaways: 1 }]);
+
+    const notified = await query(
+      `SELECT user_id FROM notifications WHERE type = 'impact_report_ready' AND user_id = ANY($1)`,
+      [[lender.userId, borrower.userId]]
+    );
+    expect(notified.rows).toEqual([{ user_id: lender.userId }]);
+  });
+
+  it('should list stored reports for members only', async () => {
+    const res = await request(app)
+      .get(`/api/sustainability/communities/${communityId}/reports`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.reports.map(r => r.month)).toEqual([lastMonth]);
+    expect(res.body.isOrganizer).toBe(false);
+
+    const denied = await request(app)
+      .get(`/api/sustainability/communities/${communityId}/reports`)
+      .set('Authorization', `Bearer ${outsider.token}`);
+    expect(denied.status).toBe(403);
+  });
+
+  it('should let only organizers share a finished month', async () => {
+    const member = await request(app)
+      .post(`/api/sustainability/communities/${communityId}/reports/${lastMonth}/share`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+    expect(member.status).toBe(403);
+
+    const unfinished = await request(app)
+      .post(`/api/sustainability/communities/${communityId}/reports/${currentMonth}/share`)
+      .set('Authorization', `Bearer ${lender.token}`);
+    expect(unfinished.status).toBe(400);
+    expect(unfinished.body.code).toBe('MONTH_NOT_FINISHED');
+
+    const first = await request(app)
+      .post(`/api/sustainability/communities/${communityId}/reports/${lastMonth}/share`)
+      .set('Authorization', `Bearer ${lender.token}`);
+    const again = await request(app)
+      .post(`/api/sustainability/communities/${communityId}/reports/${lastMonth}/share`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(first.status).toBe(200);
+    expect(first.body.shareUrl).toMatch(/\/api\/sustainability\/reports\/shared\/[0-9a-f]{48}$/);
+    expect(again.body.shareUrl).toBe(first.body.shareUrl);
+  });
+
+  it('should show a shared report without logging in', async () => {
+    const shared = await query(
+      `SELECT share_token FROM community_impact_reports WHERE community_id = $1 AND share_token IS NOT NULL`,
+      [communityId]
+    );
+    const token = shared.rows[0].share_token;
+
+    const json = await request(app)
+      .get(`/api/sustainability/reports/shared/${token}`)
+      .set('Accept', 'application/json');
+    expect(json.status).toBe(200);
+    expect(json.body).toMatchObject({ communityName: `Impact Hollow ${run}`, co2SavedKg: 60, month: lastMonth });
+
+    const page = await request(app)
+      .get(`/api/sustainability/reports/shared/${token}`)
+      .set('Accept', 'text/html');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain(`Impact Hollow ${run}`);
+    expect(page.text).toContain('60kg');
+
+    const missing = await request(app)
+      .get('/api/sustainability/reports/shared/nope')
+      .set('Accept', 'application/json');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should reject a malformed month', async () => {
+    const res = await request(app)
+      .get(`/api/sustainability/communities/${communityId}/reports/2026-13`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_MONTH');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Transaction Event History Tests
+ * Tests: events appended by the database on every status and payment change, the acting
+ * user recorded for route-driven changes, illegal status transitions rejected, the
+ * append-only event log, and the timeline endpoint
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { queryAs } from '../src/services/transactionEvents.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestTransaction } from './helpers/fixtures.js';
+
+let app;
+let borrower, lender, outsider;
+let listingId;
+const run = Date.now();
+const createdUserIds = [];
+
+const eventsFor = async (transactionId) => {
+  const result = await query(
+    'SELECT * FROM transaction_events WHERE transaction_id = $1 ORDER BY created_at, id',
+    [transactionId]
+  );
+  return result.rows;
+};
+
+beforeAll(async () => {
+  app = await createTestApp(
+    { path: '/api/transactions', module: '../../src/routes/transactions.js' },
+    { path: '/api/rentals', module: '../../src/routes/rentals.js' }
+  );
+
+  borrower = await createTestUser({ email: `events-borrower-${run}@borrowhood.test`, firstName: 'Bea' });
+  lender = await createTestUser({ email: `events-lender-${run}@borrowhood.test`, firstName: 'Leo' });
+  outsider = await createTestUser({ email: `events-outsider-${run}@borrowhood.test` });
+  createdUserIds.push(borrower.userId, lender.userId, outsider.userId);
+
+  listingId = await createTestListing(lender.userId, { title: 'Event Test Kayak' });
+});
+
+afterAll(async () => {
+  for (const id of createdUserIds) {
+    try { await cleanupTestUser(id); } catch (e) { /* */ }
+  }
+});
+
+describe('Recording events', () => {
+  it('should record a created event when a transaction is inserted', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    const events = await eventsFor(transactionId);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event_type: 'created', to_status: 'pending', actor_role: 'system' });
+  });
+
+  it('should record the lender who declined a request', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    const res = await request(app)
+      .post(`/api/transactions/${transactionId}/decline`)
+      .set('Authorization', `Bearer ${lender.token}`)
+      .send({ reason: 'Out of town' });
+
+    expect(res.status).toBe(200);
+
+    const events = await eventsFor(transactionId);
+    expect(events[1]).toMatchObject({
+      event_type: 'status_changed',
+      from_status: 'pending',
+      to_status: 'cancelled',
+      actor_id: lender.userId,
+      actor_role: 'lender',
+    });
+  });
+
+  it('should record payment changes that leave the status alone', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    await query("UPDATE borrow_transactions SET payment_status = 'authorized' WHERE id = $1", [transactionId]);
+
+    const events = await eventsFor(transactionId);
+    expect(events[1]).toMatchObject({
+      event_type: 'payment_status_changed',
+      from_status: 'pending',
+      to_status: 'pending',
+      to_payment_status: 'authorized',
+      actor_role: 'system',
+    });
+  });
+
+  it('should not record updates to other columns', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    await query("UPDATE borrow_transactions SET borrower_message = 'See you Saturday' WHERE id = $1", [transactionId]);
+
+    expect(await eventsFor(transactionId)).toHaveLength(1);
+  });
+
+  it('should refuse to rewrite history', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    await expect(
+      query("UPDATE transaction_events SET event_type = 'edited' WHERE transaction_id = $1", [transactionId])
+    ).rejects.toThrow(/append-only/);
+  });
+
+  it('should refuse to delete history while the transaction exists', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    await expect(
+      query('DELETE FROM transaction_events WHERE transaction_id = $1', [transactionId])
+    ).rejects.toThrow(/append-only/);
+    expect(await eventsFor(transactionId)).toHaveLength(1);
+  });
+
+  it('should delete the history along with its transaction', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+
+    await query('DELETE FROM borrow_transactions WHERE id = $1', [transactionId]);
+
+    expect(await eventsFor(transactionId)).toHaveLength(0);
+  });
+});
+
+describe('Status state machine', () => {
+  it('should reject a transition that isn\'t allowed', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'cancelled' });
+
+    await expect(
+      query("UPDATE borrow_transactions SET status = 'picked_up' WHERE id = $1", [transactionId])
+    ).rejects.toMatchObject({ code: 'BH001' });
+
+    const txn = await query('SELECT status FROM borrow_transactions WHERE id = $1', [transactionId]);
+    expect(txn.rows[0].status).toBe('cancelled');
+    expect(await eventsFor(transactionId)).toHaveLength(1);
+  });
+
+  it('should surface illegal transitions from queryAs as a 409', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'completed' });
+
+    await expect(
+      queryAs({ userId: lender.userId }, "UPDATE borrow_transactions SET status = 'pending' WHERE id = $1", [transactionId])
+    ).rejects.toMatchObject({ status: 409, code: 'ILLEGAL_TRANSITION' });
+  });
+
+  it('should allow updates that keep the same status', async () => {
+    const transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'completed' });
+
+    await query("UPDATE borrow_transactions SET status = 'completed' WHERE id = $1", [transactionId]);
+
+    expect(await eventsFor(transactionId)).toHaveLength(1);
+  });
+});
+
+describe('GET /api/transactions/:id/timeline', () => {
+  let transactionId;
+
+  beforeAll(async () => {
+    transactionId = await createTestTransaction(borrower.userId, lender.userId, listingId, { status: 'pending' });
+    await queryAs({ userId: lender.userId }, "UPDATE borrow_transactions SET status = 'paid' WHERE id = $1", [transactionId]);
+    await queryAs({ userId: borrower.userId }, "UPDATE borrow_transactions SET status = 'picked_up' WHERE id = $1", [transactionId]);
+  });
+
+  it('should list the history oldest first with labels and actors', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${transactionId}/timeline`)
+      .set('Authorization', `Bearer ${borrower.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('picked_up');
+    expect(res.body.nextStatuses).toContain('returned');
+    expect(res.body.events.map(e => e.label)).toEqual(['Request sent', 'Request approved', 'Picked up']);
+    expect(res.body.events[1].actor).toMatchObject({ id: lender.userId, role: 'lender', name: expect.stringContaining('Leo') });
+    expect(res.body.events[2].actor.role).toBe('borrower');
+  });
+
+  it('should be visible to the lender', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${transactionId}/timeline`)
+      .set('Authorization', `Bearer ${lender.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toHaveLength(3);
+  });
+
+  it('should hide the timeline from anyone else', async () => {
+    const res = await request(app)
+      .get(`/api/transactions/${transactionId}/timeline`)
+      .set('Authorization', `Bearer ${outsider.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
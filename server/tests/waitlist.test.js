@@ -0,0 +1,237 @@
+/**
+ * Waitlist Tests
+ * Tests: joining for booked dates, queue order, offers when dates free up,
+ * holds against other borrowers, expiry passing the offer on, claiming by borrowing,
+ * community library checkouts
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { query } from '../src/utils/db.js';
+import { processWaitlists } from '../src/services/waitlist.js';
+import { createTestUser, createTestApp, createTestListing, cleanupTestUser } from './helpers/stripe.js';
+import { createTestCommunity, addCommunityMember } from './helpers/fixtures.js';
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+describe('Listing waitlist', () => {
+  let app;
+  let owner, booker, first, second;
+  let listingId, bookingId;
+  const createdUserIds = [];
+
+  const joinWaitlist = (user, startDate, endDate) => request(app)
+    .post(`/api/listings/${listingId}/waitlist`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ startDate, endDate });
+
+  const borrow = (user, startDate, endDate) => request(app)
+    .post('/api/transactions')
+    .set('Authorization', `Bearer ${user.token}`)
+    .send({ listingId, startDate, endDate });
+
+  const entryStatus = async (user) => {
+    const result = await query(
+      `SELECT status FROM listing_waitlist WHERE listing_id = $1 AND user_id = $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [listingId, user.userId]
+    );
+    return result.rows[0]?.status;
+  };
+
+  beforeAll(async () => {
+    app = await createTestApp(
+      { path: '/api/transactions', module: '../../src/routes/transactions.js' },
+      { path: '/api/listings', module: '../../src/routes/waitlist.js' }
+    );
+
+    owner = await createTestUser({ email: `wl-owner-${Date.now()}@borrowhood.test` });
+    booker = await createTestUser({ email: `wl-booker-${Date.now()}@borrowhood.test` });
+    first = await createTestUser({ email: `wl-first-${Date.now()}@borrowhood.test` });
+    second = await createTestUser({ email: `wl-second-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(owner.userId, booker.userId, first.userId, second.userId);
+
+    listingId = await createTestListing(owner.userId, {
+      title: 'Stand Mixer', isFree: true, pricePerDay: null, depositAmount: 0, visibility: 'neighborhood',
+    });
+
+    const booking = await borrow(booker, daysFromNow(2), daysFromNow(6));
+    bookingId = booking.body.id;
+  });
+
+  afterAll(async () => {
+    for (const id of createdUserIds) {
+      try { await cleanupTestUser(id); } catch (e) { /* */ }
+    }
+  });
+
+  it('should refuse to queue for dates that are already open', async () => {
+    const res = await joinWaitlist(first, daysFromNow(10), daysFromNow(12));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('DATES_AVAILABLE');
+  });
+
+  it('should queue borrowers in the order they join', async () => {
+    const a = await joinWaitlist(first, daysFromNow(3), daysFromNow(5));
+    expect(a.status).toBe(201);
+    expect(a.body.position).toBe(1);
+
+    const b = await joinWaitlist(second, daysFromNow(4), daysFromNow(6));
+    expect(b.status).toBe(201);
+    expect(b.body.position).toBe(2);
+  });
+
+  it('should not let a borrower join twice', async () => {
+    const res = await joinWaitlist(first, daysFromNow(3), daysFromNow(5));
+    expect(res.status).toBe(409);
+  });
+
+  it('should show the owner the whole queue', async () => {
+    const res = await request(app)
+      .get(`/api/listings/${listingId}/waitlist`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.queue.map(w => w.user.id)).toEqual([first.userId, second.userId]);
+  });
+
+  it('should not offer while the dates are still booked', async () => {
+    await processWaitlists();
+    expect(await entryStatus(first)).toBe('waiting');
+  });
+
+  it('should offer to the first in line once the booking is cancelled', async () => {
+    await query(`UPDATE borrow_transactions SET status = 'cancelled' WHERE id = $1`, [bookingId]);
+
+    await processWaitlists();
+
+    expect(await entryStatus(first)).toBe('offered');
+    expect(await entryStatus(second)).toBe('waiting');
+
+    const notification = await query(
+      `SELECT 1 FROM notifications WHERE user_id = $1 AND type = 'waitlist_offer'`,
+      [first.userId]
+    );
+    expect(notification.rows.length).toBe(1);
+  });
+
+  it('should hold the offered dates against everyone else', async () => {
+    const res = await borrow(booker, daysFromNow(3), daysFromNow(5));
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts[0].type).toBe('held');
+  });
+
+  it('should pass an unclaimed offer to the next person', async () => {
+    await query(
+      `UPDATE listing_waitlist SET offer_expires_at = NOW() - INTERVAL '1 minute'
+       WHERE listing_id = $1 AND user_id = $2`,
+      [listingId, first.userId]
+    );
+
+    await processWaitlists();
+
+    expect(await entryStatus(first)).toBe('expired');
+    expect(await entryStatus(second)).toBe('offered');
+  });
+
+  it('should close the entry when the offer is claimed', async () => {
+    const res = await borrow(second, daysFromNow(4), daysFromNow(6));
+    expect(res.status).toBe(201);
+
+    const entry = await query(
+      `SELECT status, claimed_transaction_id FROM listing_waitlist
+       WHERE listing_id = $1 AND user_id = $2`,
+      [listingId, second.userId]
+    );
+    expect(entry.rows[0].status).toBe('claimed');
+    expect(entry.rows[0].claimed_transaction_id).toBe(res.body.id);
+  });
+});
+
+describe('Library waitlist', () => {
+  let app;
+  let donor, waiter, other;
+  let communityId, listingId;
+  const createdUserIds = [];
+
+  beforeAll(async () => {
+    app = await createTestApp(
+      { path: '/api/library', module: '../../src/routes/library.js' },
+      { path: '/api/listings', module: '../../src/routes/waitlist.js' }
+    );
+
+    donor = await createTestUser({ email: `wl-donor-${Date.now()}@borrowhood.test` });
+    waiter = await createTestUser({ email: `wl-waiter-${Date.now()}@borrowhood.test` });
+    other = await createTestUser({ email: `wl-other-${Date.now()}@borrowhood.test` });
+    createdUserIds.push(donor.userId, waiter.userId, other.userId);
+
+    communityId = await createTestCommunity({ name: 'Waitlist Library' });
+    for (const user of [donor, waiter, other]) {
+      await addCommunityMember(user.userId, communityId);
+    }
+
+    listingId = await createTestListing(donor.userId, { title: 'Tent', isFree: true, pricePerDay: null, depositAmount: 0 });
+    await query(
+      `INSERT INTO community_library_items (community_id, listing_id, donated_by, is_available)
+       VALUES ($1, $2, $3, false)`,
+      [communityId, listingId, donor.userId]
+    );
+  });
+
+  afterAll(async () => {
+    for (const id of createdUserIds) {
+      try { await cleanupTestUser(id); } catch (e) { /* */ }
+    }
+    await query('DELETE FROM communities WHERE id = $1', [communityId]);
+  });
+
+  it('should queue for a checked-out item without dates', async () => {
+    const res = await request(app)
+      .post(`/api/listings/${listingId}/waitlist`)
+      .set('Authorization', `Bearer ${waiter.token}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.position).toBe(1);
+  });
+
+  it('should hold a returned item for the next person in line', async () => {
+    await query('UPDATE community_library_items SET is_available = true WHERE listing_id = $1', [listingId]);
+    await processWaitlists();
+
+    const res = await request(app)
+      .post(`/api/library/${listingId}/checkout`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ returnDate: daysFromNow(3) });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('HELD_FOR_WAITLIST');
+
+    const library = await request(app)
+      .get('/api/library')
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(library.body.find(i => i.id === listingId).isHeld).toBe(true);
+  });
+
+  it('should let the offered member check it out', async () => {
+    const res = await request(app)
+      .post(`/api/library/${listingId}/checkout`)
+      .set('Authorization', `Bearer ${waiter.token}`)
+      .send({ returnDate: daysFromNow(3) });
+
+    expect(res.status).toBe(200);
+
+    const entry = await query(
+      'SELECT status FROM listing_waitlist WHERE listing_id = $1 AND user_id = $2',
+      [listingId, waiter.userId]
+    );
+    expect(entry.rows[0].status).toBe('claimed');
+  });
+});